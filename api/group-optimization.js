@@ -1,4 +1,5 @@
 import { groupBuilderService } from '../src/services/group-builder-service.js';
+import { normalizeConstraints } from '../src/services/group-constraint-solver.js';
 import { supabase } from '../src/lib/supabase.js';
 
 // Cache for performance optimization
@@ -9,6 +10,18 @@ const CACHE_DURATION = {
   LONG: 10 * 60 * 1000   // 10 minutes
 };
 
+// Group success scoring: hand-tuned heuristic, or the deployed ML model
+// (falls back to the heuristic when none is deployed)
+const SCORING_METHODS = ['heuristic', 'model'];
+
+function invalidScoring(res, scoring) {
+  return res.status(400).json({
+    error: `Unknown scoring method: ${scoring}`,
+    message: `Use one of: ${SCORING_METHODS.join(', ')}`,
+    code: 'INVALID_SCORING'
+  });
+}
+
 /**
  * Auto-grouping API endpoint
  * POST /api/groups/auto-group
@@ -19,6 +32,7 @@ export async function autoGroup(req, res) {
       participants,
       vendorId,
       adventureId,
+      constraints = null,
       options = {}
     } = req.body;
 
@@ -30,8 +44,25 @@ export async function autoGroup(req, res) {
       });
     }
 
+    const scoring = options.scoring || 'heuristic';
+    if (!SCORING_METHODS.includes(scoring)) {
+      return invalidScoring(res, scoring);
+    }
+
+    if (constraints) {
+      try {
+        normalizeConstraints(constraints, { adventureId, targetGroupSize: options.targetGroupSize });
+      } catch (constraintError) {
+        return res.status(400).json({
+          error: 'Invalid grouping constraints',
+          message: constraintError.message,
+          code: 'INVALID_CONSTRAINTS'
+        });
+      }
+    }
+
     // Cache key for this grouping request
-    const cacheKey = `auto-group-${vendorId}-${adventureId}-${JSON.stringify(options)}-${participants.map(p => p.id).sort().join(',')}`;
+    const cacheKey = `auto-group-${vendorId}-${adventureId}-${JSON.stringify(options)}-${JSON.stringify(constraints)}-${participants.map(p => p.id).sort().join(',')}`;
 
     // Check cache first
     if (cache.has(cacheKey)) {
@@ -72,6 +103,18 @@ export async function autoGroup(req, res) {
           break;
       }
 
+      // Repair the algorithm's groups against the constraint model
+      let constraintReport = null;
+      if (constraints) {
+        const constrained = await groupBuilderService.applyGroupConstraints(participants, groups, constraints, {
+          ...options,
+          adventureId,
+          algorithm: selectedAlgorithm
+        });
+        groups = constrained.groups;
+        constraintReport = constrained.constraintReport;
+      }
+
       // Analyze conflicts for each group
       const groupsWithAnalysis = await Promise.all(
         groups.map(async (group) => {
@@ -79,7 +122,10 @@ export async function autoGroup(req, res) {
             includeMinorConflicts: true
           });
 
-          const successPrediction = groupBuilderService.predictGroupSuccess(group.participants, conflicts);
+          const successPrediction = await groupBuilderService.scoreGroupSuccess(group.participants, conflicts, {
+            scoring,
+            subjectKey: group.id
+          });
           const resolutionSuggestions = groupBuilderService.getConflictResolutionSuggestions(conflicts);
 
           return {
@@ -102,11 +148,13 @@ export async function autoGroup(req, res) {
           totalParticipants: participants.length,
           totalGroups: groups.length,
           algorithm: selectedAlgorithm,
+          scoring,
           averageGroupSize: Math.round(participants.length / groups.length),
           overallSuccessScore: Math.round(
             groupsWithAnalysis.reduce((sum, group) => sum + group.successPrediction.successScore, 0) / groups.length
           )
-        }
+        },
+        constraints: constraintReport
       };
 
       // Cache the result
@@ -126,7 +174,12 @@ export async function autoGroup(req, res) {
       console.error(`Algorithm ${algorithm} failed:`, algorithmError);
 
       // Fallback to basic grouping
-      const fallbackGroups = await groupBuilderService.generateOptimalGroups(participants, options);
+      const fallback = await groupBuilderService.generateOptimalGroups(participants, {
+        ...options,
+        adventureId,
+        ...(constraints ? { constraints } : {})
+      });
+      const fallbackGroups = fallback.groups;
 
       res.json({
         success: true,
@@ -137,7 +190,8 @@ export async function autoGroup(req, res) {
             totalGroups: fallbackGroups.length,
             algorithm: 'fallback',
             warning: 'Advanced algorithm failed, used fallback grouping'
-          }
+          },
+          constraints: fallback.constraintReport || null
         },
         fallback: true
       });
@@ -164,7 +218,8 @@ export async function getGroupSuggestions(req, res) {
       adventureId,
       vendorId,
       maxSuggestions = 5,
-      includeCompatibilityScores = true
+      includeCompatibilityScores = true,
+      scoring = 'heuristic'
     } = req.query;
 
     if (!userId) {
@@ -174,8 +229,12 @@ export async function getGroupSuggestions(req, res) {
       });
     }
 
+    if (!SCORING_METHODS.includes(scoring)) {
+      return invalidScoring(res, scoring);
+    }
+
     // Cache key for suggestions
-    const cacheKey = `suggestions-${userId}-${adventureId}-${vendorId}`;
+    const cacheKey = `suggestions-${userId}-${adventureId}-${vendorId}-${scoring}`;
 
     if (cache.has(cacheKey)) {
       const cached = cache.get(cacheKey);
@@ -286,7 +345,11 @@ export async function getGroupSuggestions(req, res) {
         // Analyze the potential group
         const groupCompatibility = await groupBuilderService.calculateGroupCompatibility(testGroupParticipants);
         const conflicts = await groupBuilderService.detectGroupConflicts(testGroupParticipants);
-        const successPrediction = groupBuilderService.predictGroupSuccess(testGroupParticipants, conflicts);
+        const successPrediction = await groupBuilderService.scoreGroupSuccess(testGroupParticipants, conflicts, {
+          scoring,
+          subjectKey: `suggestion-${userId}-${match.participant.id}`,
+          userId
+        });
 
         return {
           id: `suggestion-${index + 1}`,
@@ -371,12 +434,20 @@ export async function optimizeGroup(req, res) {
       });
     }
 
+    const scoring = options.scoring || 'heuristic';
+    if (!SCORING_METHODS.includes(scoring)) {
+      return invalidScoring(res, scoring);
+    }
+
     // Analyze current group
     const currentCompatibility = await groupBuilderService.calculateGroupCompatibility(participants);
     const currentConflicts = await groupBuilderService.detectGroupConflicts(participants, {
       includeMinorConflicts: true
     });
-    const currentSuccess = groupBuilderService.predictGroupSuccess(participants, currentConflicts);
+    const currentSuccess = await groupBuilderService.scoreGroupSuccess(participants, currentConflicts, {
+      scoring,
+      subjectKey: groupId
+    });
 
     // Generate optimization suggestions
     const optimizationSuggestions = [];
@@ -0,0 +1,39 @@
+/**
+ * Saved Search Alerts
+ * Scheduled function that checks adventures changed since the last few sweeps
+ * against saved searches. Windows overlap so a late or failed run loses nothing;
+ * an adventure only ever alerts a saved search once, so the overlap is not re-sent.
+ * Vercel Cron calls it with the CRON_SECRET as a bearer token.
+ */
+import { savedSearchAlerts } from '../../src/services/saved-search-service.js';
+
+// Three 15 minute runs, so the window survives two missed runs
+const SWEEP_WINDOW_MS = 45 * 60 * 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const since = req.query?.since ? new Date(req.query.since) : new Date(Date.now() - SWEEP_WINDOW_MS);
+  if (Number.isNaN(since.getTime())) {
+    return res.status(400).json({ error: 'since must be a date' });
+  }
+
+  try {
+    const results = await savedSearchAlerts.processRecentAdventureChanges(since);
+
+    console.log('[SAVED_SEARCH_ALERTS]', JSON.stringify({ since, ...results, errors: results.errors.length }));
+    return res.status(200).json({ since, ...results });
+
+  } catch (error) {
+    console.error('Saved search alert sweep failed:', error);
+    return res.status(500).json({ error: error.message || 'Saved search alert sweep failed' });
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Saved Search Digests
+ * Scheduled function that sends the daily or weekly saved search digest, chosen by
+ * the frequency query parameter. Vercel Cron calls it with the CRON_SECRET as a
+ * bearer token.
+ */
+import { savedSearchAlerts, SAVED_SEARCH_CONFIG } from '../../src/services/saved-search-service.js';
+
+const DIGEST_FREQUENCIES = SAVED_SEARCH_CONFIG.frequencies.filter(frequency => frequency.endsWith('_digest'));
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const frequency = req.query?.frequency;
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    return res.status(400).json({ error: `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+  }
+
+  try {
+    const results = await savedSearchAlerts.sendDigests(frequency);
+
+    console.log('[SAVED_SEARCH_DIGESTS]', JSON.stringify({ frequency, ...results, errors: results.errors.length }));
+    return res.status(200).json({ frequency, ...results });
+
+  } catch (error) {
+    console.error('Saved search digest run failed:', error);
+    return res.status(500).json({ error: error.message || 'Saved search digest run failed' });
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Trip Feedback Schedule
+ * Scheduled function that queues the next post-trip survey dispatch. Each dispatch
+ * run queues the one after it; this seeds the first run and re-seeds the schedule
+ * if a run is ever lost. Vercel Cron calls it with the CRON_SECRET as a bearer token.
+ * The queued run is picked up by the job workers, so the queue needs the postgres store.
+ */
+import { tripFeedbackEngine } from '../../src/services/trip-feedback-service.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    // Idempotent per day, so re-seeding never queues a second dispatch
+    const { job, duplicate } = await tripFeedbackEngine.scheduleDispatch();
+
+    console.log('[TRIP_FEEDBACK_SCHEDULE]', JSON.stringify({ jobId: job.id, runAt: job.runAt, duplicate }));
+    return res.status(200).json({ jobId: job.id, runAt: job.runAt, duplicate });
+
+  } catch (error) {
+    console.error('Trip feedback scheduling failed:', error);
+    return res.status(500).json({ error: error.message || 'Trip feedback scheduling failed' });
+  }
+}
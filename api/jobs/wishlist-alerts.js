@@ -0,0 +1,30 @@
+/**
+ * Wishlist Alerts
+ * Scheduled function that evaluates wishlist price and availability alerts. Each run
+ * takes the alerts checked longest ago, so every alert is reached over a few runs.
+ * Vercel Cron calls it with the CRON_SECRET as a bearer token.
+ */
+import { wishlistAlertEngine } from '../../src/services/wishlist-alert-service.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const results = await wishlistAlertEngine.evaluateAlerts();
+
+    console.log('[WISHLIST_ALERTS]', JSON.stringify({ ...results, errors: results.errors.length }));
+    return res.status(200).json(results);
+
+  } catch (error) {
+    console.error('Wishlist alert run failed:', error);
+    return res.status(500).json({ error: error.message || 'Wishlist alert run failed' });
+  }
+}
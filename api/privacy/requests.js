@@ -0,0 +1,84 @@
+import { createClient } from '@supabase/supabase-js';
+import { createDataSubjectRequestEngine } from '../../src/services/data-subject-request-service.js';
+
+// Exports and erasure read and change every user table, so they run with the service role
+const serviceClient = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const dataSubjectRequests = createDataSubjectRequestEngine({ client: serviceClient });
+
+/**
+ * Data subject request API endpoint
+ * POST /api/privacy/requests { type, categories } - export or erase the signed-in user's data
+ * POST /api/privacy/requests { requestId }        - re-run a pending or failed request (admin only)
+ *
+ * Requests are recorded with their deadline and processed straight away; a request
+ * that fails stays open and visible in the compliance dashboard until it is re-run.
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check authentication
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    const { data: { user }, error: authError } = await serviceClient.auth.getUser(token);
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const { type, categories = [], requestId } = req.body || {};
+    let request;
+
+    if (requestId) {
+      const { data: profile } = await serviceClient
+        .from('profiles')
+        .select('role')
+        .eq('id', user.id)
+        .single();
+
+      if (profile?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      request = await dataSubjectRequests.getRequest(requestId);
+      if (!request) {
+        return res.status(404).json({ error: 'Data subject request not found' });
+      }
+    } else {
+      if (!Array.isArray(categories)) {
+        return res.status(400).json({ error: 'categories must be an array' });
+      }
+      try {
+        ({ request } = await dataSubjectRequests.submitRequest(user.id, type, { categories }));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    const processed = await dataSubjectRequests.processRequest(request.id);
+    if (processed) {
+      request = processed.request;
+    } else if (requestId) {
+      return res.status(409).json({ error: 'Only pending or failed requests can be re-run' });
+    }
+
+    console.log(`[DSR] request ${request.id}:`, request.status);
+
+    const completedExport = request.request_type === 'export' && request.status === 'completed';
+    return res.status(request.status === 'failed' ? 202 : 200).json({
+      request,
+      archive: processed?.archive || null,
+      archiveUrl: completedExport ? await dataSubjectRequests.getArchiveUrl(request) : null,
+    });
+  } catch (error) {
+    console.error('Error in privacy requests API:', error);
+    return res.status(500).json({ error: 'Failed to process data subject request' });
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Stripe Webhook Events Admin API
+ * GET  /api/stripe/webhook-events           - failed and dead-lettered events
+ * POST /api/stripe/webhook-events { eventId } - re-drive an event with fresh attempts
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { webhookPipeline } = require('./webhooks.js');
+
+// Initialize Supabase client with service role for full access
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Resolve the signed-in user and make sure they are an admin
+async function requireAdmin(req, res) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) {
+    res.status(401).json({ error: 'Invalid token' });
+    return null;
+  }
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .single();
+
+  if (profile?.role !== 'admin') {
+    res.status(403).json({ error: 'Admin access required' });
+    return null;
+  }
+  return user;
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const limit = Math.min(parseInt(req.query?.limit) || 50, 200);
+      const events = await webhookPipeline.listFailed({ limit });
+      return res.status(200).json({ events });
+    }
+
+    const { eventId } = req.body || {};
+    if (!eventId) {
+      return res.status(400).json({ error: 'eventId is required' });
+    }
+
+    const result = await webhookPipeline.redrive(eventId);
+    if (!result) {
+      return res.status(409).json({ error: 'Only failed or dead-lettered events can be re-driven' });
+    }
+
+    console.log(`[WEBHOOK_REDRIVE] ${eventId} re-driven by ${admin.id}:`, result.status);
+    return res.status(200).json({ result });
+
+  } catch (error) {
+    console.error('Webhook events API error:', error);
+    return res.status(500).json({ error: error.message || 'Failed to load webhook events' });
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Stripe Webhook Retries
+ * Scheduled function that re-runs failed webhook events once their backoff has
+ * passed. Vercel Cron calls it with the CRON_SECRET as a bearer token.
+ */
+
+const { webhookPipeline } = require('./webhooks.js');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const results = await webhookPipeline.retryDue();
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log('[WEBHOOK_RETRIES]', JSON.stringify({ attempted: results.length, ...summary }));
+    return res.status(200).json({ attempted: results.length, summary });
+
+  } catch (error) {
+    console.error('Webhook retry run failed:', error);
+    return res.status(500).json({ error: error.message || 'Webhook retry run failed' });
+  }
+};
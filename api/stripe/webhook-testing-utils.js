@@ -191,14 +191,18 @@ class WebhookTestUtils {
         throw new Error(`Webhook event ${eventId} not found in database`);
       }
 
-      // Reset processing status for replay
+      // Reset processing status for replay so the pipeline runs it again
       await supabase
         .from('stripe_webhook_events')
         .update({
+          status: 'received',
           processed: false,
           processing_attempts: 0,
           last_processing_error: null,
           processed_at: null,
+          retry_after: null,
+          locked_until: null,
+          skip_reason: null,
         })
         .eq('stripe_event_id', eventId);
 
@@ -233,7 +237,7 @@ class WebhookTestUtils {
     try {
       const { data: events, error } = await supabase
         .from('stripe_webhook_events')
-        .select('stripe_event_id, event_type, processed, processing_attempts, created_at, last_processing_error')
+        .select('stripe_event_id, event_type, status, processing_attempts, created_at, last_processing_error')
         .order('created_at', { ascending: false })
         .limit(limit);
 
@@ -10,6 +10,10 @@ const { createClient } = require('@supabase/supabase-js');
 const datadogService = require('../../src/services/datadog-service.js').default;
 const sentryService = require('../../src/services/sentry-service.js').default;
 const notificationService = require('../../src/services/notification-service.js').default;
+const {
+  createWebhookPipeline,
+  createPostgresWebhookEventStore,
+} = require('../../src/services/stripe-webhook-pipeline.js');
 
 // Initialize Supabase client with service role for full access
 const supabase = createClient(
@@ -17,12 +21,8 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Enhanced webhook configuration
+// Enhanced webhook configuration - retry limits and backoff live in the webhook pipeline
 const WEBHOOK_CONFIG = {
-  maxRetries: 5,
-  baseRetryDelay: 1000, // 1 second
-  maxRetryDelay: 300000, // 5 minutes
-  exponentialBase: 2,
   alertOnMaxRetriesReached: true,
   trackMetrics: true,
 };
@@ -52,12 +52,6 @@ function verifyWebhookSignature(payload, signature) {
   }
 }
 
-// Calculate exponential backoff delay
-function calculateRetryDelay(attemptNumber) {
-  const delay = WEBHOOK_CONFIG.baseRetryDelay * Math.pow(WEBHOOK_CONFIG.exponentialBase, attemptNumber);
-  return Math.min(delay, WEBHOOK_CONFIG.maxRetryDelay);
-}
-
 // Log webhook metrics (would integrate with monitoring service)
 async function logWebhookMetrics(eventType, status, processingTimeMs = null, error = null) {
   if (!WEBHOOK_CONFIG.trackMetrics) return;
@@ -175,47 +169,6 @@ async function sendWebhookAlert(eventId, eventType, error, attemptCount) {
   }
 }
 
-// Store webhook event for deduplication and tracking
-async function storeWebhookEvent(event) {
-  try {
-    const { error } = await supabase
-      .from('stripe_webhook_events')
-      .upsert({
-        stripe_event_id: event.id,
-        event_type: event.type,
-        event_data: event,
-        processed: false,
-      }, {
-        onConflict: 'stripe_event_id'
-      });
-
-    if (error && !error.message.includes('duplicate key')) {
-      console.error('Failed to store webhook event:', error);
-      await logWebhookMetrics(event.type, 'storage_failed', null, error);
-    }
-  } catch (error) {
-    console.error('Error storing webhook event:', error);
-    await logWebhookMetrics(event.type, 'storage_error', null, error);
-  }
-}
-
-// Mark webhook event as processed
-async function markEventProcessed(eventId, error = null) {
-  try {
-    await supabase
-      .from('stripe_webhook_events')
-      .update({
-        processed: !error,
-        processed_at: new Date().toISOString(),
-        last_processing_error: error ? error.message : null,
-        processing_attempts: supabase.raw('processing_attempts + 1'),
-      })
-      .eq('stripe_event_id', eventId);
-  } catch (dbError) {
-    console.error('Error updating webhook event status:', dbError);
-  }
-}
-
 // Handle account updated event
 async function handleAccountUpdated(account) {
   console.log('Handling account.updated for account:', account.id);
@@ -295,6 +248,17 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
         console.error('Failed to update payment status:', paymentError);
       }
 
+      // Move the traveler's held seats into booked seats; safe to repeat per booking
+      const { error: seatsError } = await supabase.rpc('confirm_booking_seats', { p_booking_id: booking_id });
+
+      if (seatsError?.message?.includes('INSUFFICIENT_CAPACITY')) {
+        await refundSoldOutBooking(booking_id);
+        return { soldOut: true };
+      }
+      if (seatsError) {
+        throw new Error(`Failed to confirm booking seats: ${seatsError.message}`);
+      }
+
       // Update booking status if all payments are complete
       const { data: payments } = await supabase
         .from('booking_payments')
@@ -314,12 +278,58 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       }
     }
 
+    return { soldOut: false };
   } catch (error) {
     console.error('Error handling payment_intent.succeeded:', error);
     throw error;
   }
 }
 
+// The departure filled up between checkout and payment: refund what was captured
+// and cancel the booking. The charge.refunded events notify the traveler.
+async function refundSoldOutBooking(bookingId) {
+  console.warn('Departure sold out after payment, refunding booking:', bookingId);
+
+  const { data: payments, error } = await supabase
+    .from('booking_payments')
+    .select('stripe_payment_intent_id')
+    .eq('booking_id', bookingId)
+    .eq('status', 'completed');
+
+  if (error) {
+    throw new Error(`Failed to load booking payments: ${error.message}`);
+  }
+
+  for (const payment of payments || []) {
+    if (!payment.stripe_payment_intent_id) continue;
+    await stripe.refunds.create(
+      {
+        payment_intent: payment.stripe_payment_intent_id,
+        reason: 'requested_by_customer',
+        metadata: { booking_id: bookingId, cause: 'departure_sold_out' },
+      },
+      // Retried deliveries must not refund twice
+      { idempotencyKey: `sold-out-refund:${payment.stripe_payment_intent_id}` }
+    );
+  }
+
+  await supabase
+    .from('bookings')
+    .update({
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: 'departure_sold_out',
+    })
+    .eq('id', bookingId);
+
+  if (sentryService && sentryService.captureException) {
+    sentryService.captureException(new Error('Departure sold out after payment'), {
+      tags: { webhook_handler: 'payment_intent.succeeded' },
+      extra: { bookingId, refundedPayments: payments?.length || 0 },
+    });
+  }
+}
+
 // Handle payment intent failed
 async function handlePaymentIntentFailed(paymentIntent) {
   console.log('Handling payment_intent.payment_failed:', paymentIntent.id);
@@ -431,14 +441,17 @@ async function handleChargeRefunded(charge) {
         .single();
 
       if (payment) {
-        const isPartialRefund = latestRefund.amount < payment.amount;
+        // The charge carries the running refund total, so re-processing the
+        // same event sets the same amount instead of adding it twice
+        const refundedAmount = charge.amount_refunded ?? latestRefund.amount;
+        const isPartialRefund = refundedAmount < payment.amount;
 
         // Update payment status
         await supabase
           .from('booking_payments')
           .update({
             status: isPartialRefund ? 'partially_refunded' : 'refunded',
-            refunded_amount: supabase.raw('COALESCE(refunded_amount, 0) + ?', [latestRefund.amount]),
+            refunded_amount: refundedAmount,
             refund_reason: latestRefund.reason,
           })
           .eq('stripe_payment_intent_id', paymentIntentId);
@@ -619,8 +632,9 @@ async function processEvent(event) {
         await handleAccountUpdated(event.data.object);
         break;
 
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
+      case 'payment_intent.succeeded': {
+        const { soldOut } = await handlePaymentIntentSucceeded(event.data.object);
+        if (soldOut) break;
         await sendPaymentNotification(event.type, {
           paymentIntentId: event.data.object.id,
           bookingId: event.data.object.metadata?.booking_id,
@@ -629,6 +643,7 @@ async function processEvent(event) {
           currency: event.data.object.currency,
         });
         break;
+      }
 
       case 'payment_intent.payment_failed':
         await handlePaymentIntentFailed(event.data.object);
@@ -680,6 +695,20 @@ async function processEvent(event) {
   }
 }
 
+// Stored-event pipeline: record, dedupe on stripe_event_id, skip out-of-order
+// deliveries per object and retry failed handlers with backoff
+const webhookPipeline = createWebhookPipeline({
+  store: createPostgresWebhookEventStore(supabase),
+  processEvent,
+  onDeadLetter: async (row, error) => {
+    await sendWebhookAlert(row.stripe_event_id, row.event_type, error, row.processing_attempts);
+    await supabase
+      .from('stripe_webhook_events')
+      .update({ alert_sent: true })
+      .eq('stripe_event_id', row.stripe_event_id);
+  },
+});
+
 // Main webhook handler
 async function handleWebhook(req, res) {
   try {
@@ -693,36 +722,21 @@ async function handleWebhook(req, res) {
     // Verify webhook signature and construct event
     const event = verifyWebhookSignature(payload, signature);
 
-    // Store event for tracking and deduplication
-    await storeWebhookEvent(event);
-
-    // Check if we've already processed this event
-    const { data: existingEvent } = await supabase
-      .from('stripe_webhook_events')
-      .select('processed, processing_attempts')
-      .eq('stripe_event_id', event.id)
-      .single();
-
-    if (existingEvent?.processed) {
-      console.log('Event already processed:', event.id);
-      return res.status(200).json({ received: true, message: 'Event already processed' });
-    }
+    // Once the event is recorded it is ours to retry, so handler failures are
+    // still acknowledged. Only a failure to record it asks Stripe to redeliver.
+    const result = await webhookPipeline.receive(event);
 
-    if (existingEvent?.processing_attempts >= WEBHOOK_CONFIG.maxRetries) {
-      console.log('Event max processing attempts reached:', event.id);
-      return res.status(200).json({ received: true, message: 'Max attempts reached' });
+    if (result.duplicate) {
+      console.log('Duplicate webhook delivery:', event.id, result.status);
     }
 
-    // Process the event
-    try {
-      await processEvent(event);
-      await markEventProcessed(event.id);
-
-      res.status(200).json({ received: true, processed: true });
-    } catch (processingError) {
-      await markEventProcessed(event.id, processingError);
-      throw processingError;
-    }
+    res.status(200).json({
+      received: true,
+      status: result.status,
+      duplicate: result.duplicate,
+      processed: result.status === 'processed',
+      retryAt: result.retryAt || null,
+    });
 
   } catch (error) {
     console.error('Webhook processing error:', error);
@@ -751,4 +765,7 @@ module.exports = async (req, res) => {
   }
 
   await handleWebhook(req, res);
-};
\ No newline at end of file
+};
+
+// Shared with the retry and admin endpoints
+module.exports.webhookPipeline = webhookPipeline;
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { tripRequestEngine } from '../../src/services/trip-request-service.js';
+import { supabase } from '../../src/lib/supabase.js';
+
+/**
+ * Trip description parsing API endpoint
+ * POST /api/trips/parse - { description, answers } -> { parsed, clarifications, explanations }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check authentication
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify the user is authenticated
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const { description, answers = {} } = req.body;
+
+    if (typeof description !== 'string' || description.trim().length < 10) {
+      return res.status(400).json({
+        error: 'Trip description must be at least 10 characters'
+      });
+    }
+
+    const analysis = await tripRequestEngine.analyzeDescription(description, answers);
+
+    return res.status(200).json({
+      success: true,
+      ...analysis
+    });
+  } catch (error) {
+    console.error('Error in trip parse API:', error);
+    return res.status(500).json({ error: 'Failed to parse trip description' });
+  }
+}
@@ -0,0 +1,66 @@
+import { createClient } from '@supabase/supabase-js';
+import { tripRequestEngine } from '../../src/services/trip-request-service.js';
+
+// Requests are stored for the verified user, so the insert runs with the service role
+const serviceClient = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * Trip request submission API endpoint
+ * POST /api/trips/requests - { description, answers }
+ *
+ * Re-parses the description so stored requests never depend on client-side
+ * parsing. Responds with the follow-up questions still open, or with the
+ * validated trip request once it has been stored for vendor matching.
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check authentication
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify the user is authenticated
+    const { data: { user }, error: authError } = await serviceClient.auth.getUser(token);
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const { description, answers = {} } = req.body;
+
+    if (typeof description !== 'string' || description.trim().length < 10) {
+      return res.status(400).json({
+        error: 'Trip description must be at least 10 characters'
+      });
+    }
+
+    let result;
+    try {
+      result = await tripRequestEngine.createTripRequest(user.id, description, answers, { client: serviceClient });
+    } catch (error) {
+      if (error.errors) {
+        return res.status(400).json({
+          error: 'Invalid trip request',
+          errors: error.errors
+        });
+      }
+      throw error;
+    }
+
+    return res.status(result.needsClarification ? 200 : 201).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error in trip requests API:', error);
+    return res.status(500).json({ error: 'Failed to create trip request' });
+  }
+}
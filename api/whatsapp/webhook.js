@@ -1,4 +1,12 @@
+import { createClient } from '@supabase/supabase-js';
 import whatsAppService from '../../src/services/whatsapp-service.js';
+import { createSupportTicketEngine } from '../../src/services/support-ticket-service.js';
+import { createWhatsAppConversationEngine } from '../../src/services/whatsapp-conversation-service.js';
+
+// WhatsApp messages reach conversations and support tickets through the service role
+const serviceClient = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const supportTickets = createSupportTicketEngine({ client: serviceClient });
+const conversations = createWhatsAppConversationEngine({ client: serviceClient });
 
 /**
  * WhatsApp webhook endpoint for handling incoming messages and status updates
@@ -50,12 +58,25 @@ export default async function handler(req, res) {
       const result = await whatsAppService.processWebhookMessage(body);
 
       if (result.success) {
-        // Execute any actions determined from the messages
+        // Linked travelers get the conversational flows; everything else falls
+        // back to the auto-responses and support tickets
         for (const processedMessage of result.processedMessages) {
-          if (processedMessage.success && processedMessage.actions) {
+          if (!processedMessage.success) continue;
+
+          const conversation = await conversations.handleMessage(processedMessage.messageData);
+          if (conversation.error) {
+            console.error('WhatsApp conversation error:', conversation.error);
+          }
+
+          const actions = conversation.forwardToSupport
+            ? [{ type: 'forward_to_support', priority: 'normal' }]
+            : conversation.handled ? [] : processedMessage.actions;
+
+          if (actions?.length) {
             await whatsAppService.executeMessageActions(
               processedMessage.messageData,
-              processedMessage.actions
+              actions,
+              { supportTickets }
             );
           }
         }
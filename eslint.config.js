@@ -29,4 +29,14 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Serverless functions, CLI scripts and the job queue they share run on Node
+    files: ['api/**/*.js', 'scripts/**/*.js', 'src/services/durable-job-queue.js'],
+    languageOptions: {
+      globals: {
+        ...globals.browser,
+        ...globals.node,
+      },
+    },
+  },
 ])
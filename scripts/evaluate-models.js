@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * TRVL Social - Offline Model Evaluation
+ *
+ * Re-evaluates saved models against a frozen dataset and compares each with the
+ * deployed model of its type before promotion.
+ *
+ * Usage:
+ *   npm run evaluate-models -- --dataset <dataset-id|fixture.json> --model <model-id> [--model <model-id>]
+ *
+ * Options:
+ *   --dataset <id|path>  training_datasets ID, or a JSON fixture { name, dataHash, featureNames, records }
+ *   --model <id>         Model to evaluate; repeat for several
+ *   --threshold <n>      Decision threshold for confusion matrices (default 0.5)
+ *   --no-baseline        Skip the comparison with the deployed model
+ *   --out <path>         Write the full JSON report
+ *   --save               Store metrics in model_performance_metrics
+ *   --gate               Exit with code 2 unless every candidate is recommended for promotion
+ */
+
+import { config } from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs';
+import { ModelEvaluator, createModelSource } from '../src/services/ml/model-evaluator.js';
+
+config();
+
+function parseArgs(argv) {
+  const options = { modelIds: [], compareToDeployed: true, save: false, gate: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    if (arg === '--dataset') options.dataset = next();
+    else if (arg === '--model') options.modelIds.push(next());
+    else if (arg === '--threshold') options.threshold = Number(next());
+    else if (arg === '--out') options.out = next();
+    else if (arg === '--no-baseline') options.compareToDeployed = false;
+    else if (arg === '--save') options.save = true;
+    else if (arg === '--gate') options.gate = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (!options.dataset || options.modelIds.length === 0) {
+    throw new Error('Usage: evaluate-models --dataset <id|fixture.json> --model <id> [--model <id>]');
+  }
+  if (options.threshold !== undefined && !(options.threshold > 0 && options.threshold < 1)) {
+    throw new Error('--threshold must be between 0 and 1');
+  }
+  return options;
+}
+
+const format = (value) => (value === null || value === undefined ? '—' : value.toFixed(4));
+
+function printModel(model) {
+  const { metrics } = model;
+  const { truePositive, falsePositive, trueNegative, falseNegative } = metrics.confusionMatrix;
+
+  console.log(`\n📊 ${model.name || model.modelId} v${model.version} (${model.modelType}, ${model.baseline ? 'deployed' : model.status})`);
+  console.log(`   Accuracy ${format(metrics.accuracy)}  Precision ${format(metrics.precision)}  Recall ${format(metrics.recall)}  F1 ${format(metrics.f1Score)}`);
+  console.log(`   AUC ${format(metrics.auc)}  Brier ${format(metrics.brierScore)}  Calibration error ${format(metrics.expectedCalibrationError)}`);
+  console.log('   Confusion matrix     predicted +   predicted -');
+  console.log(`     actual +           ${String(truePositive).padStart(11)}   ${String(falseNegative).padStart(11)}`);
+  console.log(`     actual -           ${String(falsePositive).padStart(11)}   ${String(trueNegative).padStart(11)}`);
+
+  console.log('   Calibration          predicted     observed     count');
+  model.calibration.filter(bin => bin.count > 0).forEach(bin => {
+    console.log(`     ${bin.lower.toFixed(1)}-${bin.upper.toFixed(1)}            ${format(bin.meanPredicted)}       ${format(bin.observedRate)}   ${String(bin.count).padStart(7)}`);
+  });
+
+  Object.entries(model.segments).forEach(([dimension, segments]) => {
+    console.log(`   By ${dimension}`);
+    Object.entries(segments).forEach(([label, segment]) => {
+      console.log(`     ${label.padEnd(18)} n=${String(segment.sampleCount).padEnd(6)} accuracy ${format(segment.accuracy)}  AUC ${format(segment.auc)}`);
+    });
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_PUBLISHABLE_KEY;
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase configuration. Check VITE_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in .env');
+  }
+  if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.warn('⚠️  Using anonymous key - model and dataset reads may be blocked. Add SUPABASE_SERVICE_ROLE_KEY to .env.');
+  }
+
+  const client = createClient(supabaseUrl, supabaseKey);
+  const evaluator = new ModelEvaluator({ client, modelSource: createModelSource(client), threshold: options.threshold });
+
+  const dataset = fs.existsSync(options.dataset)
+    ? JSON.parse(fs.readFileSync(options.dataset, 'utf8'))
+    : options.dataset;
+
+  console.log('🧪 TRVL Social - Offline Model Evaluation');
+  const report = await evaluator.evaluate({
+    dataset,
+    modelIds: options.modelIds,
+    compareToDeployed: options.compareToDeployed,
+  });
+
+  console.log(`Dataset: ${report.dataset.name || report.dataset.id || options.dataset} (${report.dataset.sampleCount} samples, hash ${report.dataset.dataHash})`);
+  report.models.forEach(printModel);
+
+  report.comparisons.forEach(comparison => {
+    const promote = comparison.recommendation === 'promote';
+    console.log(`\n${promote ? '✅' : '⛔'} ${comparison.candidateId}: ${promote ? 'promote' : 'hold'}${comparison.baselineId ? ` (vs deployed ${comparison.baselineId})` : ' (nothing deployed)'}`);
+    comparison.reasons.forEach(reason => console.log(`   - ${reason}`));
+  });
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`\n📄 Report written to ${options.out}`);
+  }
+  if (options.save) {
+    const saved = await evaluator.saveReport(report);
+    console.log(`💾 Saved ${saved} metrics to model_performance_metrics`);
+  }
+
+  if (options.gate && report.comparisons.some(comparison => comparison.recommendation !== 'promote')) {
+    process.exit(2);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * TRVL Social - Job Worker
+ *
+ * Long-running worker for the shared durable job queue. Importing the services
+ * registers their job handlers; the recurring jobs then queue their own next run,
+ * so the worker only seeds the first one. Every instance seeds the same windows,
+ * so running several workers never queues a run twice.
+ *
+ * Usage:
+ *   JOB_QUEUE_STORE=postgres npm run jobs:worker
+ *
+ * Environment:
+ *   JOB_QUEUE_STORE    'postgres' so jobs are shared between workers and survive restarts
+ *   JOB_QUEUE_WORKERS  Concurrent workers in this process (default 3)
+ */
+
+// Loaded first: the queue reads its store and worker count on import
+import 'dotenv/config';
+import { jobQueue, getJobQueueConfig } from '../src/services/durable-job-queue.js';
+import { collectionAutomation } from '../src/services/payment-collection-service.js';
+import '../src/services/trip-feedback-service.js';
+
+async function main() {
+  const collection = await collectionAutomation.scheduleCollectionJob();
+  console.log(`Payment collection ${collection.duplicate ? 'already queued' : 'queued'} for ${new Date(collection.runAt).toISOString()}`);
+
+  jobQueue.start();
+  const { store, workers } = getJobQueueConfig();
+  console.log(`Job worker started: ${workers} workers on the ${store} store`);
+
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, waiting for running jobs...`);
+    await jobQueue.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch((error) => {
+  console.error('Job worker failed to start:', error.message);
+  process.exit(1);
+});
@@ -38,10 +38,13 @@ const SearchPage = lazy(() => import('./pages/SearchPage'));
 const WishlistPage = lazy(() => import('./pages/WishlistPage'));
 const SharedWishlistPage = lazy(() => import('./pages/SharedWishlistPage'));
 const TripRequestPage = lazy(() => import('./pages/trips/TripRequestPage'));
+const TripFeedbackPage = lazy(() => import('./pages/trips/TripFeedbackPage'));
+const BookingCheckoutPage = lazy(() => import('./pages/bookings/BookingCheckoutPage'));
 const VendorDashboardPage = lazy(() => import('./pages/vendor/VendorDashboardPage'));
 const AdminDashboardPage = lazy(() => import('./pages/admin/AdminDashboardPage'));
 const ABTestingDashboard = lazy(() => import('./components/admin/ABTestingDashboard'));
 const ComplianceDashboard = lazy(() => import('./components/admin/ComplianceDashboard'));
+const WebhookEventsDashboard = lazy(() => import('./components/admin/WebhookEventsDashboard'));
 const PrivacyPreferenceCenter = lazy(() => import('./components/settings/PrivacyPreferenceCenter'));
 const BookingChatDemo = lazy(() => import('./components/booking/BookingChatDemo'));
 const ConnectionsPage = lazy(() => import('./pages/ConnectionsPage'));
@@ -151,6 +154,17 @@ function App() {
                   {/* Trip Routes */}
                   <Route path="trips">
                     <Route path="request" element={<TripRequestPage />} />
+                    <Route element={<ProtectedRoute requireAuth={true} />}>
+                      <Route path="feedback/:surveyId" element={<TripFeedbackPage />} />
+                    </Route>
+                  </Route>
+
+                  {/* Booking Routes */}
+                  <Route path="bookings/:bookingId">
+                    <Route element={<ProtectedRoute requireAuth={true} />}>
+                      <Route path="checkout" element={<BookingCheckoutPage />} />
+                      <Route path="retry-payment" element={<BookingCheckoutPage />} />
+                    </Route>
                   </Route>
 
                   {/* Demo Pages */}
@@ -162,6 +176,7 @@ function App() {
                   <Route element={<ProtectedRoute requireAuth={true} requiredRole="admin" />}>
                     <Route path="admin" element={<AdminDashboardPage />} />
                     <Route path="admin/ab-testing" element={<ABTestingDashboard />} />
+                    <Route path="admin/webhooks" element={<WebhookEventsDashboard />} />
                     <Route path="admin/*" element={<AdminDashboardPage />} />
                   </Route>
 
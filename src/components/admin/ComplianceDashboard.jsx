@@ -5,10 +5,32 @@ import { Badge } from '../ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import gdprConsentService from '../../services/gdpr-consent-service';
 import gdprAnalyticsService from '../../services/gdpr-analytics-service';
+import { dataSubjectRequestEngine, summarizeSteps } from '../../services/data-subject-request-service';
+const DEADLINE_STYLES = {
+  on_track: 'bg-green-100 text-green-800',
+  due_soon: 'bg-yellow-100 text-yellow-800',
+  overdue: 'bg-red-100 text-red-800',
+  closed: 'bg-gray-100 text-gray-700'
+};
+const REQUEST_STATUS_STYLES = {
+  pending: 'bg-blue-100 text-blue-800',
+  processing: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  rejected: 'bg-gray-100 text-gray-700'
+};
+const formatDeadline = ({ state, daysRemaining }) => {
+  if (state === 'closed') return 'closed';
+  if (state === 'overdue') return `${Math.abs(daysRemaining)}d overdue`;
+  return `${daysRemaining}d left`;
+};
 const ComplianceDashboard = () => {
   const [complianceReport, setComplianceReport] = useState(null);
   const [auditTrail, setAuditTrail] = useState([]);
   const [privacyMetrics, setPrivacyMetrics] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [requestError, setRequestError] = useState(null);
+  const [requestAction, setRequestAction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   useEffect(() => {
@@ -29,32 +51,76 @@ const ComplianceDashboard = () => {
       // Load privacy metrics
       const metrics = gdprAnalyticsService.generatePrivacyReport();
       setPrivacyMetrics(metrics);
+      // Load data subject requests with their deadlines
+      try {
+        setRequestError(null);
+        setRequests(await dataSubjectRequestEngine.listRequests({ limit: 200 }));
+      } catch (error) {
+        setRequestError(error.message);
+      }
     } catch (error) {
     } finally {
       setLoading(false);
       setRefreshing(false);
     }
   };
-  const exportComplianceReport = () => {
-    if (!complianceReport) return;
-    const reportData = {
-      ...complianceReport,
-      auditTrail,
-      privacyMetrics,
-      exportedAt: new Date().toISOString()
-    };
-    const blob = new Blob([JSON.stringify(reportData, null, 2)], {
+  const loadRequests = async () => {
+    try {
+      setRequestError(null);
+      setRequests(await dataSubjectRequestEngine.listRequests({ limit: 200 }));
+    } catch (error) {
+      setRequestError(error.message);
+    }
+  };
+  // Run a request action, then reload the list
+  const runRequestAction = async (requestId, action) => {
+    setRequestAction(requestId);
+    try {
+      setRequestError(null);
+      await action();
+      await loadRequests();
+    } catch (error) {
+      setRequestError(error.message);
+    } finally {
+      setRequestAction(null);
+    }
+  };
+  const extendRequest = (request) => {
+    const reason = window.prompt('Reason for extending the deadline (shared with the user):');
+    if (!reason) return;
+    runRequestAction(request.id, () => dataSubjectRequestEngine.extendDeadline(request.id, reason));
+  };
+  const downloadJson = (data, filename) => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
       type: 'application/json'
     });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `compliance-report-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
+  const exportDsrLog = () => {
+    const log = requests.map(({ steps, deadline, ...request }) => ({
+      ...request,
+      deadline: deadline.state,
+      outcome: summarizeSteps(steps)
+    }));
+    downloadJson({ exportedAt: new Date().toISOString(), requests: log }, `dsr-log-${new Date().toISOString().split('T')[0]}.json`);
+  };
+  const exportComplianceReport = () => {
+    if (!complianceReport) return;
+    const reportData = {
+      ...complianceReport,
+      auditTrail,
+      privacyMetrics,
+      exportedAt: new Date().toISOString()
+    };
+    downloadJson(reportData, `compliance-report-${new Date().toISOString().split('T')[0]}.json`);
+  };
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -94,6 +160,10 @@ const ComplianceDashboard = () => {
   const complianceScore = getComplianceScore();
   const eventStats = getEventTypeStats();
   const regionStats = getRegionStats();
+  const exportRequests = requests.filter(request => request.request_type === 'export');
+  const erasureRequests = requests.filter(request => request.request_type === 'erasure');
+  const overdueErasures = erasureRequests.filter(request => request.deadline.state === 'overdue');
+  const upcomingErasures = erasureRequests.filter(request => request.deadline.state !== 'closed');
   return (
     <div className="max-w-7xl mx-auto p-6 space-y-6">
       <div className="flex justify-between items-center">
@@ -137,21 +207,26 @@ const ComplianceDashboard = () => {
         <Card className="p-6">
           <h3 className="text-sm font-medium text-gray-500">Data Exports</h3>
           <div className="text-2xl font-bold text-gray-900">
-            {eventStats.data_exported || 0}
+            {exportRequests.length}
           </div>
-          <p className="text-xs text-gray-500">User requests</p>
+          <p className="text-xs text-gray-500">
+            {exportRequests.filter(request => request.deadline.state !== 'closed').length} open
+          </p>
         </Card>
         <Card className="p-6">
           <h3 className="text-sm font-medium text-gray-500">Data Deletions</h3>
           <div className="text-2xl font-bold text-gray-900">
-            {eventStats.data_deletion_requested || 0}
+            {erasureRequests.length}
           </div>
-          <p className="text-xs text-gray-500">Pending/completed</p>
+          <p className={overdueErasures.length > 0 ? 'text-xs text-red-600' : 'text-xs text-gray-500'}>
+            {upcomingErasures.length} open · {overdueErasures.length} overdue
+          </p>
         </Card>
       </div>
       <Tabs defaultValue="overview" className="w-full">
-        <TabsList className="grid w-full grid-cols-6">
+        <TabsList className="grid w-full grid-cols-7">
           <TabsTrigger value="overview">Overview</TabsTrigger>
+          <TabsTrigger value="requests">Data Requests</TabsTrigger>
           <TabsTrigger value="consent">Consent Analytics</TabsTrigger>
           <TabsTrigger value="age-verification">Age Verification</TabsTrigger>
           <TabsTrigger value="audit">Audit Trail</TabsTrigger>
@@ -218,6 +293,101 @@ const ComplianceDashboard = () => {
             </div>
           </Card>
         </TabsContent>
+        <TabsContent value="requests" className="space-y-6">
+          {requestError && (
+            <div className="p-4 rounded-lg bg-red-50 text-red-700">{requestError}</div>
+          )}
+          <Card className="p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold">Data Subject Requests</h3>
+              <Button onClick={exportDsrLog} variant="outline" size="sm" disabled={requests.length === 0}>
+                Export DSR Log
+              </Button>
+            </div>
+            {requests.length === 0 ? (
+              <p className="text-gray-500">No data subject requests yet.</p>
+            ) : (
+              <div className="space-y-3">
+                {requests.map(request => {
+                  const outcome = summarizeSteps(request.steps);
+                  const open = request.deadline.state !== 'closed';
+                  return (
+                    <div key={request.id} className="border border-gray-200 rounded-lg p-3">
+                      <div className="flex justify-between items-start gap-4">
+                        <div className="flex-1">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <Badge variant="outline" className="capitalize">{request.request_type}</Badge>
+                            <Badge className={REQUEST_STATUS_STYLES[request.status]}>{request.status}</Badge>
+                            <Badge className={DEADLINE_STYLES[request.deadline.state]}>
+                              {formatDeadline(request.deadline)}
+                            </Badge>
+                            {request.categories?.length > 0 && (
+                              <span className="text-xs text-gray-500">{request.categories.join(', ')}</span>
+                            )}
+                          </div>
+                          <div className="mt-1 text-xs text-gray-500">
+                            User {request.user_id.slice(0, 8)}... · requested {formatDate(request.requested_at)} · due {formatDate(request.due_at)}
+                            {request.completed_at && ` · completed ${formatDate(request.completed_at)}`}
+                          </div>
+                          {request.extension_reason && (
+                            <div className="mt-1 text-xs text-gray-500">Extended: {request.extension_reason}</div>
+                          )}
+                          {request.error && (
+                            <div className="mt-1 text-xs text-red-600">{request.error}</div>
+                          )}
+                          {request.steps?.length > 0 && (
+                            <details className="mt-2">
+                              <summary className="text-xs text-gray-600 cursor-pointer">
+                                {outcome.tables} tables, {outcome.rows} rows
+                              </summary>
+                              <table className="mt-2 w-full text-xs">
+                                <tbody>
+                                  {request.steps.map(step => (
+                                    <tr key={step.table} className="border-b border-gray-100 last:border-b-0">
+                                      <td className="py-1 font-mono">{step.table}</td>
+                                      <td className="py-1">{step.action}</td>
+                                      <td className="py-1">{step.rows}</td>
+                                      <td className={step.status === 'failed' ? 'py-1 text-red-600' : 'py-1 text-gray-500'}>
+                                        {step.error || step.reason || step.status}
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </details>
+                          )}
+                        </div>
+                        {open && (
+                          <div className="flex gap-2">
+                            {request.status !== 'processing' && (
+                              <Button
+                                size="sm"
+                                disabled={requestAction === request.id}
+                                onClick={() => runRequestAction(request.id, () => dataSubjectRequestEngine.retry(request.id))}
+                              >
+                                {request.status === 'failed' ? 'Retry' : 'Process'}
+                              </Button>
+                            )}
+                            {!request.extended_at && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={requestAction === request.id}
+                                onClick={() => extendRequest(request)}
+                              >
+                                Extend
+                              </Button>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Card>
+        </TabsContent>
         <TabsContent value="consent" className="space-y-6">
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             <Card className="p-6">
@@ -429,7 +599,18 @@ const ComplianceDashboard = () => {
           </Card>
           <Card className="p-6">
             <h3 className="text-lg font-semibold mb-4">Upcoming Deletions</h3>
-            <p className="text-gray-500">No data scheduled for deletion in the next 30 days.</p>
+            {upcomingErasures.length === 0 ? (
+              <p className="text-gray-500">No erasure requests waiting to be processed.</p>
+            ) : (
+              <div className="space-y-2">
+                {upcomingErasures.map(request => (
+                  <div key={request.id} className="flex justify-between items-center text-sm">
+                    <span>User {request.user_id.slice(0, 8)}... · due {formatDate(request.due_at)}</span>
+                    <Badge className={DEADLINE_STYLES[request.deadline.state]}>{formatDeadline(request.deadline)}</Badge>
+                  </div>
+                ))}
+              </div>
+            )}
           </Card>
         </TabsContent>
         <TabsContent value="reports" className="space-y-6">
@@ -457,9 +638,9 @@ const ComplianceDashboard = () => {
               <div className="border-t pt-4">
                 <h4 className="font-medium mb-2">Data Subject Requests</h4>
                 <p className="text-sm text-gray-600 mb-3">
-                  Summary of data export, deletion, and correction requests.
+                  Data export and erasure requests with their deadlines and per-table outcomes.
                 </p>
-                <Button variant="outline">
+                <Button variant="outline" onClick={exportDsrLog} disabled={requests.length === 0}>
                   Export DSR Log
                 </Button>
               </div>
@@ -18,10 +18,21 @@ import {
   Settings,
   Activity,
   TrendingUp,
-  Zap
+  Zap,
+  RefreshCw
 } from 'lucide-react';
 import ContentModerationService from '../../services/content-moderation-service';
+import { useAuth } from '../../hooks/useAuth';
+const CATEGORY_LABELS = {
+  harassment: 'Harassment',
+  hate: 'Hate',
+  sexual: 'Sexual',
+  spam: 'Spam',
+  scam: 'Scams',
+  off_platform_payment: 'Off-platform Payment'
+};
 const ContentFilterManager = () => {
+  const { user } = useAuth();
   const [activeTab, setActiveTab] = useState('rules');
   const [filterRules, setFilterRules] = useState([]);
   const [showAddRule, setShowAddRule] = useState(false);
@@ -30,14 +41,15 @@ const ContentFilterManager = () => {
   const [testResults, setTestResults] = useState(null);
   const [systemSettings, setSystemSettings] = useState({
     autoModeration: true,
-    toxicityThreshold: 0.7,
-    spamThreshold: 0.6,
-    profanityThreshold: 0.5,
-    autoBlockThreshold: 0.85,
     enableMLDetection: true,
     enableProfanityFilter: true,
     enableSpamDetection: true
   });
+  const [classifierSettings, setClassifierSettings] = useState(ContentModerationService.getSettings());
+  const [classifierStatus, setClassifierStatus] = useState(null);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [retraining, setRetraining] = useState(false);
+  const [settingsMessage, setSettingsMessage] = useState(null);
   const defaultRules = [
     {
       id: 1,
@@ -90,7 +102,47 @@ const ContentFilterManager = () => {
   ];
   useEffect(() => {
     setFilterRules(defaultRules);
+    loadClassifier();
   }, []);
+  const loadClassifier = async () => {
+    const settings = await ContentModerationService.loadSettings();
+    setClassifierSettings(settings.data);
+    const status = await ContentModerationService.getClassifierStatus();
+    if (status.success) {
+      setClassifierStatus(status.data);
+    }
+  };
+  const handleThresholdChange = (category, value) => {
+    setClassifierSettings(prev => ({
+      ...prev,
+      thresholds: { ...prev.thresholds, [category]: value }
+    }));
+  };
+  const handleSaveThresholds = async () => {
+    setSavingSettings(true);
+    const result = await ContentModerationService.saveSettings(classifierSettings, user?.id);
+    setSettingsMessage(result.success
+      ? { type: 'success', text: 'Thresholds saved' }
+      : { type: 'error', text: `Failed to save thresholds: ${result.error}` });
+    setSavingSettings(false);
+  };
+  const handleRetrain = async () => {
+    setRetraining(true);
+    const result = await ContentModerationService.retrainClassifier(user?.id);
+    if (result.success) {
+      setSettingsMessage({
+        type: 'success',
+        text: `Model ${result.data.version} trained on ${result.data.examples} examples (${result.data.labels} moderator labels)`
+      });
+      const status = await ContentModerationService.getClassifierStatus();
+      if (status.success) {
+        setClassifierStatus(status.data);
+      }
+    } else {
+      setSettingsMessage({ type: 'error', text: `Retraining failed: ${result.error}` });
+    }
+    setRetraining(false);
+  };
   const handleTestContent = async () => {
     if (!testContent.trim()) return;
     try {
@@ -451,26 +503,25 @@ const ContentFilterManager = () => {
                   <div className="text-red-600">Error: {testResults.error}</div>
                 ) : (
                   <div className="space-y-4">
-                    <div className="grid grid-cols-3 gap-4">
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-red-600">
-                          {Math.round(testResults.scores.profanity * 100)}%
-                        </div>
-                        <div className="text-sm text-gray-600">Profanity Score</div>
-                      </div>
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-yellow-600">
-                          {Math.round(testResults.scores.spam * 100)}%
-                        </div>
-                        <div className="text-sm text-gray-600">Spam Score</div>
-                      </div>
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-orange-600">
-                          {Math.round(testResults.scores.toxicity * 100)}%
-                        </div>
-                        <div className="text-sm text-gray-600">Toxicity Score</div>
-                      </div>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                      {Object.entries(CATEGORY_LABELS).map(([category, label]) => {
+                        const score = testResults.scores[category] || 0;
+                        const flagged = score >= classifierSettings.thresholds[category];
+                        return (
+                          <div key={category} className="text-center">
+                            <div className={`text-2xl font-bold ${flagged ? 'text-red-600' : 'text-gray-900'}`}>
+                              {Math.round(score * 100)}%
+                            </div>
+                            <div className="text-sm text-gray-600">{label} Score</div>
+                          </div>
+                        );
+                      })}
                     </div>
+                    {testResults.model && (
+                      <div className="text-xs text-gray-500">
+                        Scored by {testResults.model.name} model {testResults.model.version}
+                      </div>
+                    )}
                     {testResults.violations.length > 0 && (
                       <div>
                         <h5 className="font-medium text-gray-900 mb-2">Violations Detected:</h5>
@@ -522,41 +573,88 @@ const ContentFilterManager = () => {
                 className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
               />
             </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Toxicity Threshold
-                </label>
-                <input
-                  type="range"
-                  min="0"
-                  max="1"
-                  step="0.1"
-                  value={systemSettings.toxicityThreshold}
-                  onChange={(e) => setSystemSettings(prev => ({ ...prev, toxicityThreshold: parseFloat(e.target.value) }))}
-                  className="w-full"
-                />
-                <div className="text-sm text-gray-600 mt-1">
-                  Current: {Math.round(systemSettings.toxicityThreshold * 100)}%
-                </div>
+            <div>
+              <h4 className="font-medium text-gray-900">Classifier Thresholds</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Content scoring at or above a category threshold is flagged for review; any score above the auto-block threshold is blocked
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {[...Object.entries(CATEGORY_LABELS), ['autoBlock', 'Auto-Block']].map(([key, label]) => {
+                  const value = key === 'autoBlock'
+                    ? classifierSettings.autoBlockThreshold
+                    : classifierSettings.thresholds[key];
+                  return (
+                    <div key={key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {label} Threshold
+                      </label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={value}
+                        onChange={(e) => {
+                          const threshold = parseFloat(e.target.value);
+                          if (key === 'autoBlock') {
+                            setClassifierSettings(prev => ({ ...prev, autoBlockThreshold: threshold }));
+                          } else {
+                            handleThresholdChange(key, threshold);
+                          }
+                        }}
+                        className="w-full"
+                      />
+                      <div className="text-sm text-gray-600 mt-1">
+                        Current: {Math.round(value * 100)}%
+                      </div>
+                    </div>
+                  );
+                })}
               </div>
+              <div className="flex items-center space-x-4 mt-4">
+                <button
+                  onClick={handleSaveThresholds}
+                  disabled={savingSettings}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>{savingSettings ? 'Saving...' : 'Save Thresholds'}</span>
+                </button>
+                {settingsMessage && (
+                  <span className={`text-sm ${settingsMessage.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+                    {settingsMessage.text}
+                  </span>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Auto-Block Threshold
-                </label>
-                <input
-                  type="range"
-                  min="0"
-                  max="1"
-                  step="0.1"
-                  value={systemSettings.autoBlockThreshold}
-                  onChange={(e) => setSystemSettings(prev => ({ ...prev, autoBlockThreshold: parseFloat(e.target.value) }))}
-                  className="w-full"
-                />
-                <div className="text-sm text-gray-600 mt-1">
-                  Current: {Math.round(systemSettings.autoBlockThreshold * 100)}%
-                </div>
+                <h4 className="font-medium text-gray-900">Classifier Model</h4>
+                <p className="text-sm text-gray-600">
+                  {classifierStatus
+                    ? `${classifierStatus.name} ${classifierStatus.version} - ${classifierStatus.newLabels} moderator labels since last training`
+                    : 'Loading model status...'}
+                </p>
+                {classifierStatus?.metrics && Object.keys(classifierStatus.metrics).length > 0 && (
+                  <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+                    {Object.entries(classifierStatus.metrics)
+                      .filter(([, metric]) => metric.support > 0)
+                      .map(([category, metric]) => (
+                        <span key={category}>
+                          {CATEGORY_LABELS[category]}: {Math.round((metric.recall || 0) * 100)}% recall
+                        </span>
+                      ))}
+                  </div>
+                )}
               </div>
+              <button
+                onClick={handleRetrain}
+                disabled={retraining}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white disabled:opacity-50 transition-colors flex items-center space-x-2"
+              >
+                <RefreshCw className={`w-4 h-4 ${retraining ? 'animate-spin' : ''}`} />
+                <span>{retraining ? 'Retraining...' : 'Retrain Model'}</span>
+              </button>
             </div>
             <div className="space-y-4">
               {[
@@ -27,7 +27,10 @@ import {
   VolumeX
 } from 'lucide-react';
 import ContentModerationService from '../../services/content-moderation-service';
+import { MODERATION_CATEGORIES } from '../../services/moderation-classifier';
+import { useAuth } from '../../hooks/useAuth';
 const ModerationDashboard = () => {
+  const { user } = useAuth();
   const [activeTab, setActiveTab] = useState('queue');
   const [moderationQueue, setModerationQueue] = useState([]);
   const [stats, setStats] = useState({});
@@ -39,6 +42,7 @@ const ModerationDashboard = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedItems, setSelectedItems] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [rejecting, setRejecting] = useState(null);
   useEffect(() => {
     loadDashboardData();
   }, [filters]);
@@ -70,11 +74,21 @@ const ModerationDashboard = () => {
         'approve',
         'Approved by moderator'
       );
+      // Decisions are kept as labels for retraining the classifier
+      await ContentModerationService.recordModeratorDecision({
+        contentId: item.content_id,
+        contentType: item.content_type,
+        queueItemId: item.id,
+        decision: 'approved',
+        moderatorId: user?.id
+      });
       await loadDashboardData();
     } catch (error) {
     }
   };
-  const handleReject = async (itemId, reason = 'Violates community guidelines') => {
+  const getSuggestedLabels = (item) =>
+    ContentModerationService.getSuggestedLabels(item.content_reports?.[0]?.report_category);
+  const handleReject = async (itemId, labels, reason = 'Violates community guidelines') => {
     try {
       const item = moderationQueue.find(q => q.id === itemId);
       if (!item) return;
@@ -84,10 +98,30 @@ const ModerationDashboard = () => {
         'block',
         reason
       );
+      // Without a label the rejection is not kept as a training example
+      if (labels.length > 0) {
+        await ContentModerationService.recordModeratorDecision({
+          contentId: item.content_id,
+          contentType: item.content_type,
+          queueItemId: item.id,
+          decision: 'rejected',
+          labels,
+          moderatorId: user?.id
+        });
+      }
+      setRejecting(null);
       await loadDashboardData();
     } catch (error) {
     }
   };
+  const toggleRejectLabel = (label) => {
+    setRejecting(prev => ({
+      ...prev,
+      labels: prev.labels.includes(label)
+        ? prev.labels.filter(l => l !== label)
+        : [...prev.labels, label]
+    }));
+  };
   const handleBulkAction = async (action) => {
     if (selectedItems.length === 0) return;
     try {
@@ -97,7 +131,7 @@ const ModerationDashboard = () => {
           if (action === 'approve') {
             await handleApprove(itemId);
           } else if (action === 'reject') {
-            await handleReject(itemId);
+            await handleReject(itemId, getSuggestedLabels(item));
           }
         }
       }
@@ -196,6 +230,41 @@ const ModerationDashboard = () => {
                 "This is a preview of the reported content that needs moderation review..."
               </p>
             </div>
+            {/* Rejection Labels */}
+            {rejecting?.id === item.id && (
+              <div className="border border-red-200 rounded-lg p-3 mb-3">
+                <p className="text-sm font-medium text-gray-700 mb-2">Why is this content rejected?</p>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {MODERATION_CATEGORIES.map((label) => (
+                    <button
+                      key={label}
+                      onClick={() => toggleRejectLabel(label)}
+                      className={`px-2 py-1 rounded-full text-xs font-medium border transition-colors ${
+                        rejecting.labels.includes(label)
+                          ? 'bg-red-100 text-red-800 border-red-300'
+                          : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {label.replace(/_/g, ' ')}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleReject(item.id, rejecting.labels)}
+                    className="px-3 py-1 bg-red-600 text-white text-xs rounded-md hover:bg-red-700 transition-colors"
+                  >
+                    Confirm Reject
+                  </button>
+                  <button
+                    onClick={() => setRejecting(null)}
+                    className="px-3 py-1 border border-gray-300 text-gray-700 text-xs rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
             {/* Metadata */}
             <div className="flex items-center space-x-6 text-xs text-gray-500">
               <div className="flex items-center space-x-1">
@@ -226,7 +295,7 @@ const ModerationDashboard = () => {
               <span>Approve</span>
             </button>
             <button
-              onClick={() => handleReject(item.id)}
+              onClick={() => setRejecting({ id: item.id, labels: getSuggestedLabels(item) })}
               className="px-3 py-1 bg-red-600 text-white text-xs rounded-md hover:bg-red-700 transition-colors flex items-center space-x-1"
             >
               <XCircle className="w-3 h-3" />
@@ -0,0 +1,310 @@
+/**
+ * SupportTicketQueue Component
+ * Agent queue for WhatsApp, booking chat and contact form tickets, ordered by SLA.
+ * Replies are sent back over the ticket's channel; internal notes stay on the ticket.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { useAuth } from '../../hooks/useAuth';
+import {
+  supportTicketEngine,
+  formatTicketReference,
+  getSupportTicketConfig,
+} from '../../services/support-ticket-service';
+
+const { statuses, priorities, channels } = getSupportTicketConfig();
+
+const SLA_STYLES = {
+  on_track: 'bg-green-100 text-green-800',
+  at_risk: 'bg-yellow-100 text-yellow-800',
+  breached: 'bg-red-100 text-red-800',
+  met: 'bg-gray-100 text-gray-700',
+};
+
+const PRIORITY_STYLES = {
+  urgent: 'bg-red-100 text-red-800',
+  high: 'bg-orange-100 text-orange-800',
+  normal: 'bg-blue-100 text-blue-800',
+  low: 'bg-gray-100 text-gray-700',
+};
+
+const DELIVERY_LABELS = {
+  pending: 'Sending',
+  sent: 'Sent',
+  failed: 'Not delivered',
+  internal: 'Internal note',
+};
+
+const formatLabel = (value) => value.replace(/_/g, ' ');
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatRemaining = (ms) => {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  const text = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  return ms < 0 ? `${text} overdue` : `${text} left`;
+};
+
+const SlaBadge = ({ label, timer }) => (
+  <Badge className={SLA_STYLES[timer.state]}>
+    {label}: {timer.remainingMs === null ? formatLabel(timer.state) : formatRemaining(timer.remainingMs)}
+  </Badge>
+);
+
+const SupportTicketQueue = () => {
+  const { user } = useAuth();
+  const [tickets, setTickets] = useState([]);
+  const [filters, setFilters] = useState({ priority: '', channel: '', mine: false });
+  const [selected, setSelected] = useState(null);
+  const [reply, setReply] = useState('');
+  const [internal, setInternal] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setError(null);
+      setTickets(await supportTicketEngine.listQueue({
+        priority: filters.priority || null,
+        channel: filters.channel || null,
+        assigneeId: filters.mine ? user?.id : undefined,
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, user?.id]);
+
+  const openTicket = useCallback(async (ticketId) => {
+    try {
+      setError(null);
+      setSelected(await supportTicketEngine.getTicket(ticketId));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  // Run an agent action, then refresh the open ticket and the queue
+  const runAction = async (action) => {
+    setSaving(true);
+    try {
+      setError(null);
+      await action();
+      await Promise.all([openTicket(selected.id), loadQueue()]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendReply = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    runAction(async () => {
+      const result = await supportTicketEngine.replyAsAgent(selected.id, user.id, reply, { internal });
+      if (result.error) {
+        setError(`Reply saved but not delivered: ${result.error}`);
+      }
+      setReply('');
+    });
+  };
+
+  const updateTicket = (updates) => runAction(() => supportTicketEngine.updateTicket(selected.id, updates));
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const breachedCount = tickets.filter(ticket => ticket.sla.breached).length;
+  const unassignedCount = tickets.filter(ticket => !ticket.assignee_id).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <Card className="p-6">
+          <h3 className="text-sm font-medium text-gray-500">Open tickets</h3>
+          <div className="text-2xl font-bold text-gray-900">{tickets.length}</div>
+        </Card>
+        <Card className="p-6">
+          <h3 className="text-sm font-medium text-gray-500">SLA breached</h3>
+          <div className="text-2xl font-bold text-red-600">{breachedCount}</div>
+        </Card>
+        <Card className="p-6">
+          <h3 className="text-sm font-medium text-gray-500">Unassigned</h3>
+          <div className="text-2xl font-bold text-gray-900">{unassignedCount}</div>
+        </Card>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select
+          value={filters.priority}
+          onChange={e => setFilters(prev => ({ ...prev, priority: e.target.value }))}
+          className="border rounded-md px-3 py-2"
+        >
+          <option value="">All priorities</option>
+          {priorities.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+        </select>
+        <select
+          value={filters.channel}
+          onChange={e => setFilters(prev => ({ ...prev, channel: e.target.value }))}
+          className="border rounded-md px-3 py-2"
+        >
+          <option value="">All channels</option>
+          {channels.map(channel => <option key={channel} value={channel}>{channel}</option>)}
+        </select>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={filters.mine}
+            onChange={e => setFilters(prev => ({ ...prev, mine: e.target.checked }))}
+          />
+          Assigned to me
+        </label>
+        <Button onClick={loadQueue} variant="outline" size="sm">
+          Refresh
+        </Button>
+      </div>
+
+      {error && (
+        <div className="p-4 rounded-lg bg-red-50 text-red-700">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card className="p-0 overflow-hidden">
+          {tickets.length === 0 ? (
+            <p className="p-6 text-gray-500">No open tickets.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {tickets.map(ticket => (
+                <li key={ticket.id}>
+                  <button
+                    type="button"
+                    onClick={() => openTicket(ticket.id)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selected?.id === ticket.id ? 'bg-blue-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-medium text-gray-900 truncate">
+                        {formatTicketReference(ticket)} {ticket.subject}
+                      </span>
+                      <Badge className={PRIORITY_STYLES[ticket.priority]}>{ticket.priority}</Badge>
+                    </div>
+                    <div className="mt-1 text-xs text-gray-500">
+                      {ticket.channel} · {formatLabel(ticket.status)} · {ticket.requester_name || ticket.channel_ref}
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      <SlaBadge label="Response" timer={ticket.sla.firstResponse} />
+                      <SlaBadge label="Resolution" timer={ticket.sla.resolution} />
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        {selected ? (
+          <Card className="p-6 space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {formatTicketReference(selected)} {selected.subject}
+              </h3>
+              <p className="text-sm text-gray-500">
+                {selected.channel} · {selected.requester_email || selected.channel_ref} · opened {formatTime(selected.created_at)}
+              </p>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <select
+                value={selected.status}
+                disabled={saving}
+                onChange={e => updateTicket({ status: e.target.value })}
+                className="border rounded-md px-3 py-2"
+              >
+                {statuses.map(status => <option key={status} value={status}>{formatLabel(status)}</option>)}
+              </select>
+              <select
+                value={selected.priority}
+                disabled={saving}
+                onChange={e => updateTicket({ priority: e.target.value })}
+                className="border rounded-md px-3 py-2"
+              >
+                {priorities.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+              </select>
+              {selected.assignee_id !== user?.id && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={saving}
+                  onClick={() => runAction(() => supportTicketEngine.assignTicket(selected.id, user.id))}
+                >
+                  Assign to me
+                </Button>
+              )}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <SlaBadge label="Response" timer={selected.sla.firstResponse} />
+              <SlaBadge label="Resolution" timer={selected.sla.resolution} />
+            </div>
+
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {selected.messages.map(message => (
+                <div
+                  key={message.id}
+                  className={`p-3 rounded-lg text-sm ${
+                    message.is_internal
+                      ? 'bg-yellow-50 border border-yellow-200'
+                      : message.author_type === 'agent' ? 'bg-blue-50 ml-8' : 'bg-gray-100 mr-8'
+                  }`}
+                >
+                  <div className="whitespace-pre-wrap text-gray-900">{message.body}</div>
+                  <div className="mt-1 text-xs text-gray-500">
+                    {message.author_type} · {formatTime(message.created_at)}
+                    {DELIVERY_LABELS[message.delivery_status] && ` · ${DELIVERY_LABELS[message.delivery_status]}`}
+                    {message.delivery_error && ` (${message.delivery_error})`}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <form onSubmit={sendReply} className="space-y-2">
+              <textarea
+                value={reply}
+                onChange={e => setReply(e.target.value)}
+                rows={4}
+                className="w-full border rounded-md px-3 py-2 text-sm"
+                placeholder={internal ? 'Internal note for the team' : `Reply via ${selected.channel}`}
+              />
+              <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input type="checkbox" checked={internal} onChange={e => setInternal(e.target.checked)} />
+                  Internal note
+                </label>
+                <Button type="submit" size="sm" disabled={saving || !reply.trim()}>
+                  {saving ? 'Saving...' : internal ? 'Add note' : 'Send reply'}
+                </Button>
+              </div>
+            </form>
+          </Card>
+        ) : (
+          <Card className="p-6 text-gray-500">Select a ticket to see the conversation.</Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SupportTicketQueue;
@@ -0,0 +1,153 @@
+/**
+ * WebhookEventsDashboard Component
+ * Lists Stripe webhook events that are waiting to retry or were dead-lettered,
+ * and lets admins re-drive them with a fresh set of attempts
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { webhooks } from '../../services/stripe-service';
+
+const STATUS_STYLES = {
+  failed: 'bg-yellow-100 text-yellow-800',
+  dead: 'bg-red-100 text-red-800',
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const WebhookEventsDashboard = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [redriving, setRedriving] = useState(null);
+  const [lastResult, setLastResult] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setError(null);
+      setEvents(await webhooks.listFailedEvents());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const redrive = async (eventId) => {
+    setRedriving(eventId);
+    try {
+      const result = await webhooks.redriveEvent(eventId);
+      setLastResult({ eventId, status: result.status, error: result.error });
+      await loadEvents();
+    } catch (err) {
+      setLastResult({ eventId, status: 'error', error: err.message });
+    } finally {
+      setRedriving(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const deadCount = events.filter(event => event.status === 'dead').length;
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Stripe Webhook Events</h1>
+          <p className="mt-2 text-gray-600">
+            Events waiting to retry and events that ran out of attempts
+          </p>
+        </div>
+        <Button onClick={loadEvents} variant="outline">
+          Refresh
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card className="p-6">
+          <h3 className="text-sm font-medium text-gray-500">Retrying</h3>
+          <div className="text-2xl font-bold text-gray-900">{events.length - deadCount}</div>
+        </Card>
+        <Card className="p-6">
+          <h3 className="text-sm font-medium text-gray-500">Dead-lettered</h3>
+          <div className="text-2xl font-bold text-gray-900">{deadCount}</div>
+        </Card>
+      </div>
+
+      {error && (
+        <div className="p-4 rounded-lg bg-red-50 text-red-700">{error}</div>
+      )}
+
+      {lastResult && (
+        <div className={`p-4 rounded-lg ${lastResult.status === 'processed' ? 'bg-green-50 text-green-700' : 'bg-yellow-50 text-yellow-800'}`}>
+          {lastResult.eventId}: {lastResult.status}
+          {lastResult.error && ` - ${lastResult.error}`}
+        </div>
+      )}
+
+      <Card className="p-0 overflow-x-auto">
+        {events.length === 0 ? (
+          <p className="p-6 text-gray-500">No failed webhook events.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Event</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Attempts</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Last error</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Next retry</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {events.map(event => (
+                <tr key={event.stripe_event_id}>
+                  <td className="px-4 py-3">
+                    <div className="font-medium text-gray-900">{event.event_type}</div>
+                    <div className="text-xs text-gray-500">{event.stripe_event_id}</div>
+                    {event.object_key && <div className="text-xs text-gray-500">{event.object_key}</div>}
+                  </td>
+                  <td className="px-4 py-3">
+                    <Badge className={STATUS_STYLES[event.status]}>{event.status}</Badge>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{event.processing_attempts}</td>
+                  <td className="px-4 py-3 text-gray-700 max-w-md">
+                    <div className="truncate" title={event.last_processing_error || ''}>
+                      {event.last_processing_error || '—'}
+                    </div>
+                    {event.error_category && <div className="text-xs text-gray-500">{event.error_category}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{formatTime(event.retry_after)}</td>
+                  <td className="px-4 py-3 text-right">
+                    <Button
+                      size="sm"
+                      onClick={() => redrive(event.stripe_event_id)}
+                      disabled={redriving !== null}
+                    >
+                      {redriving === event.stripe_event_id ? 'Re-driving...' : 'Re-drive'}
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default WebhookEventsDashboard;
@@ -1,18 +1,47 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { format, startOfMonth, endOfMonth, eachDayOfInterval, isSameMonth, isSameDay, addMonths, subMonths, parseISO, isBefore, startOfToday } from 'date-fns';
 import GlassCard from '../ui/GlassCard';
+import { availabilityEngine, buildAvailabilityCalendar } from '../../services/availability-service';
 
-const AvailabilityCalendar = ({ adventure }) => {
+const AvailabilityCalendar = ({ adventure, onHoldPlaced, allowHolds = true }) => {
   const [currentMonth, setCurrentMonth] = useState(new Date());
   const [selectedDate, setSelectedDate] = useState(null);
+  const [departures, setDepartures] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [seats, setSeats] = useState(1);
+  const [hold, setHold] = useState(null);
+  const [holdError, setHoldError] = useState(null);
+  const [isHolding, setIsHolding] = useState(false);
 
-  if (!adventure || !adventure.availability) {
+  // Adventures without static date lists read live departures and seat counts
+  const isLive = Boolean(adventure?.id) && !adventure?.availability;
+
+  useEffect(() => {
+    if (!isLive) return undefined;
+    let cancelled = false;
+    availabilityEngine
+      .getDepartureInventory(adventure.id, format(startOfMonth(currentMonth), 'yyyy-MM-dd'), format(endOfMonth(currentMonth), 'yyyy-MM-dd'))
+      .then(rows => {
+        if (!cancelled) setDepartures(rows);
+      })
+      .catch(() => {
+        if (!cancelled) setDepartures([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isLive, adventure?.id, currentMonth, refreshKey]);
+
+  if (!adventure || (!adventure.availability && !isLive)) {
     return null;
   }
 
-  const { availability } = adventure;
+  const availability = isLive ? buildAvailabilityCalendar(departures) : adventure.availability;
   const today = startOfToday();
+  const selectedDepartures = isLive && selectedDate
+    ? departures.filter(departure => departure.date === format(selectedDate, 'yyyy-MM-dd'))
+    : [];
 
   // Parse availability dates
   const availableDates = availability.available?.map(date => parseISO(date)) || [];
@@ -91,9 +120,35 @@ const AvailabilityCalendar = ({ adventure }) => {
   const handleDateClick = (date, status) => {
     if (status === 'available' || status === 'limited') {
       setSelectedDate(date);
+      setHoldError(null);
+    }
+  };
+
+  const handleHoldSeats = async (departure) => {
+    setIsHolding(true);
+    setHoldError(null);
+    try {
+      const placedHold = await availabilityEngine.placeHold(departure.id, seats);
+      setHold({ ...placedHold, departure });
+      onHoldPlaced?.(placedHold, departure);
+    } catch (error) {
+      setHoldError(error.message);
+    } finally {
+      setIsHolding(false);
+      setRefreshKey(key => key + 1);
     }
   };
 
+  const handleReleaseHold = async () => {
+    try {
+      await availabilityEngine.releaseHold(hold.id);
+    } catch {
+      // An expired hold has already released its seats
+    }
+    setHold(null);
+    setRefreshKey(key => key + 1);
+  };
+
   const navigateMonth = (direction) => {
     setCurrentMonth(prev => direction > 0 ? addMonths(prev, 1) : subMonths(prev, 1));
   };
@@ -217,14 +272,61 @@ const AvailabilityCalendar = ({ adventure }) => {
               <h4 className="font-semibold text-primary-900 dark:text-primary-100 mb-2">
                 Selected Date: {format(selectedDate, 'EEEE, MMMM d, yyyy')}
               </h4>
-              <div className="flex items-center justify-between">
-                <div className="text-sm text-primary-700 dark:text-primary-300">
-                  {getDateStatus(selectedDate) === 'limited' ? 'Limited availability - book soon!' : 'Available for booking'}
+              {isLive ? (
+                <div className="space-y-3">
+                  {allowHolds && (
+                    <label className="flex items-center gap-2 text-sm text-primary-700 dark:text-primary-300">
+                      Travelers
+                      <input
+                        type="number"
+                        min="1"
+                        value={seats}
+                        onChange={(e) => setSeats(Math.max(parseInt(e.target.value) || 1, 1))}
+                        className="w-20 px-2 py-1 border border-primary-200 dark:border-primary-800 rounded-lg bg-white/50 dark:bg-gray-800/50"
+                      />
+                    </label>
+                  )}
+                  {selectedDepartures.map(departure => (
+                    <div key={departure.id} className="flex items-center justify-between">
+                      <div className="text-sm text-primary-700 dark:text-primary-300">
+                        {departure.startTime} - {departure.endTime} • {departure.remaining} {departure.remaining === 1 ? 'seat' : 'seats'} left
+                        {!allowHolds && ` (${departure.booked} booked, ${departure.held} on hold, ${departure.capacity} total)`}
+                      </div>
+                      {allowHolds && (
+                        <button
+                          onClick={() => handleHoldSeats(departure)}
+                          disabled={isHolding || departure.status === 'booked' || departure.remaining < seats}
+                          className="px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed text-white text-sm font-medium rounded-lg transition-colors"
+                        >
+                          Hold {seats} {seats === 1 ? 'Seat' : 'Seats'}
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {holdError && (
+                    <p className="text-sm text-red-600 dark:text-red-400">{holdError}</p>
+                  )}
+                  {hold && (
+                    <div className="flex items-center justify-between text-sm text-green-700 dark:text-green-300">
+                      <span>
+                        {hold.seats} {hold.seats === 1 ? 'seat' : 'seats'} held until {format(new Date(hold.expiresAt), 'h:mm a')} - complete checkout before then
+                      </span>
+                      <button onClick={handleReleaseHold} className="underline">
+                        Release
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-primary-700 dark:text-primary-300">
+                    {getDateStatus(selectedDate) === 'limited' ? 'Limited availability - book soon!' : 'Available for booking'}
+                  </div>
+                  <button className="px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium rounded-lg transition-colors">
+                    Book This Date
+                  </button>
                 </div>
-                <button className="px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium rounded-lg transition-colors">
-                  Book This Date
-                </button>
-              </div>
+              )}
             </motion.div>
           )}
 
@@ -10,16 +10,22 @@ import {
   UserGroupIcon,
   TagIcon,
   XMarkIcon,
-  AdjustmentsHorizontalIcon
+  AdjustmentsHorizontalIcon,
+  ClockIcon,
+  ChartBarIcon
 } from '@heroicons/react/24/outline';
 import { Footprints, Waves, Building, Plane, TreePine, Building2, Camera, Heart } from 'lucide-react';
 import GlassCard from '../ui/GlassCard';
 import { useGeolocation } from '../../hooks/useGeolocation';
+import { PRICE_BANDS } from '../../services/adventure-search-backends';
+
+const listParam = (searchParams, key) => searchParams.get(key)?.split(',').filter(Boolean) || [];
 
 const FilterPanel = ({
   onFiltersChange,
   className = '',
-  totalCount = 0
+  totalCount = 0,
+  facets = null // Facet counts from searchService.query(); enables duration/difficulty filters
 }) => {
   const [searchParams, setSearchParams] = useSearchParams();
   const { location: userLocation, requestLocation } = useGeolocation();
@@ -30,6 +36,8 @@ const FilterPanel = ({
     dates: false,
     price: false,
     adventureType: false,
+    duration: false,
+    difficulty: false,
     groupSize: false
   });
 
@@ -40,7 +48,10 @@ const FilterPanel = ({
     endDate: searchParams.get('endDate') || '',
     priceMin: parseInt(searchParams.get('priceMin')) || 0,
     priceMax: parseInt(searchParams.get('priceMax')) || 5000,
-    adventureTypes: searchParams.get('adventureTypes')?.split(',').filter(Boolean) || [],
+    adventureTypes: listParam(searchParams, 'adventureTypes'),
+    destinations: listParam(searchParams, 'destinations'),
+    durations: listParam(searchParams, 'durations'),
+    difficulty: listParam(searchParams, 'difficulty'),
     groupSize: searchParams.get('groupSize') || 'all'
   }));
 
@@ -83,6 +94,9 @@ const FilterPanel = ({
     if (filters.priceMin > 0) newParams.set('priceMin', filters.priceMin.toString());
     if (filters.priceMax < 5000) newParams.set('priceMax', filters.priceMax.toString());
     if (filters.adventureTypes.length > 0) newParams.set('adventureTypes', filters.adventureTypes.join(','));
+    if (filters.destinations.length > 0) newParams.set('destinations', filters.destinations.join(','));
+    if (filters.durations.length > 0) newParams.set('durations', filters.durations.join(','));
+    if (filters.difficulty.length > 0) newParams.set('difficulty', filters.difficulty.join(','));
     if (filters.groupSize !== 'all') newParams.set('groupSize', filters.groupSize);
 
     setSearchParams(newParams);
@@ -112,6 +126,29 @@ const FilterPanel = ({
     }));
   }, []);
 
+  // Handle destination/duration/difficulty toggles
+  const toggleListFilter = useCallback((key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter(item => item !== value)
+        : [...prev[key], value]
+    }));
+  }, []);
+
+  // Apply a price band as the slider range
+  const selectPriceBand = useCallback((bandId) => {
+    const band = PRICE_BANDS.find(candidate => candidate.id === bandId);
+    if (!band) return;
+    setFilters(prev => ({ ...prev, priceMin: band.min, priceMax: band.max ?? 5000 }));
+  }, []);
+
+  // Facet count for an option, or null when no facets were provided
+  const getFacetCount = useCallback((facetKey, optionId) => {
+    if (!facets?.[facetKey]) return null;
+    return facets[facetKey].find(option => option.id === optionId)?.count ?? 0;
+  }, [facets]);
+
   // Reset all filters
   const resetFilters = useCallback(() => {
     const defaultFilters = {
@@ -121,6 +158,9 @@ const FilterPanel = ({
       priceMin: 0,
       priceMax: 5000,
       adventureTypes: [],
+      destinations: [],
+      durations: [],
+      difficulty: [],
       groupSize: 'all'
     };
     setFilters(defaultFilters);
@@ -182,6 +222,20 @@ const FilterPanel = ({
       }
     });
 
+    filters.destinations.forEach(destination => {
+      active.push({ key: 'destinations', label: destination, value: destination });
+    });
+
+    filters.durations.forEach(durationId => {
+      const durationOption = facets?.durations?.find(opt => opt.id === durationId);
+      active.push({ key: 'durations', label: durationOption?.label || durationId, value: durationId });
+    });
+
+    filters.difficulty.forEach(level => {
+      const difficultyOption = facets?.difficulty?.find(opt => opt.id === level);
+      active.push({ key: 'difficulty', label: difficultyOption?.label || level, value: level });
+    });
+
     if (filters.groupSize !== 'all') {
       const groupSizeOption = groupSizeOptions.find(opt => opt.id === filters.groupSize);
       active.push({
@@ -192,7 +246,7 @@ const FilterPanel = ({
     }
 
     return active;
-  }, [filters]);
+  }, [filters, facets]);
 
   // Remove individual filter
   const removeFilter = useCallback((filterKey, filterValue) => {
@@ -215,13 +269,18 @@ const FilterPanel = ({
       case 'adventureTypes':
         toggleAdventureType(filterValue);
         break;
+      case 'destinations':
+      case 'durations':
+      case 'difficulty':
+        toggleListFilter(filterKey, filterValue);
+        break;
       case 'groupSize':
         updateFilter('groupSize', 'all');
         break;
       default:
         break;
     }
-  }, [updateFilter, toggleAdventureType]);
+  }, [updateFilter, toggleAdventureType, toggleListFilter]);
 
   // Format currency
   const formatCurrency = useCallback((value) => {
@@ -346,6 +405,27 @@ const FilterPanel = ({
                       )}
                     </label>
                   ))}
+
+                  {/* Destination facet counts */}
+                  {facets?.location?.length > 0 && (
+                    <div className="pt-3 space-y-2">
+                      <div className="text-xs font-medium text-gray-700 dark:text-gray-300">
+                        Popular destinations
+                      </div>
+                      {facets.location.map((option) => (
+                        <label key={option.id} className="flex items-center gap-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={filters.destinations.includes(option.id)}
+                            onChange={() => toggleListFilter('destinations', option.id)}
+                            className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 dark:border-gray-600 rounded"
+                          />
+                          <span className="flex-1 text-sm text-gray-900 dark:text-white">{option.label}</span>
+                          <span className="text-xs text-gray-500 dark:text-gray-400">{option.count}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </motion.div>
             )}
@@ -498,6 +578,22 @@ const FilterPanel = ({
                       />
                     </div>
                   </div>
+
+                  {/* Price band facet counts */}
+                  {facets?.priceBands && (
+                    <div className="space-y-1">
+                      {facets.priceBands.map((option) => (
+                        <button
+                          key={option.id}
+                          onClick={() => selectPriceBand(option.id)}
+                          className="w-full flex items-center justify-between px-2 py-1 text-sm rounded hover:bg-gray-50 dark:hover:bg-gray-800 text-gray-900 dark:text-white"
+                        >
+                          <span>{option.label}</span>
+                          <span className="text-xs text-gray-500 dark:text-gray-400">{option.count}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </motion.div>
             )}
@@ -541,9 +637,14 @@ const FilterPanel = ({
                         className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 dark:border-gray-600 rounded"
                       />
                       <option.iconComponent className="w-5 h-5" />
-                      <span className="text-sm font-medium text-gray-900 dark:text-white">
+                      <span className="flex-1 text-sm font-medium text-gray-900 dark:text-white">
                         {option.name}
                       </span>
+                      {getFacetCount('adventureTypes', option.id) !== null && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {getFacetCount('adventureTypes', option.id)}
+                        </span>
+                      )}
                     </label>
                   ))}
                 </div>
@@ -552,6 +653,106 @@ const FilterPanel = ({
           </AnimatePresence>
         </div>
 
+        {/* Trip Length Filter (search facets only) */}
+        {facets?.durations && (
+          <div className="border-0">
+            <button
+              onClick={() => toggleSection('duration')}
+              className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-50/50 dark:hover:bg-gray-800/50 transition-colors"
+            >
+              <div className="flex items-center gap-3">
+                <ClockIcon className="h-5 w-5 text-gray-600 dark:text-gray-400" />
+                <span className="font-medium text-gray-900 dark:text-white">Trip Length</span>
+              </div>
+              <motion.div
+                animate={{ rotate: expandedSections.duration ? 180 : 0 }}
+                transition={{ duration: 0.2 }}
+              >
+                <ChevronDownIcon className="h-4 w-4 text-gray-500" />
+              </motion.div>
+            </button>
+
+            <AnimatePresence>
+              {expandedSections.duration && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className="overflow-hidden"
+                >
+                  <div className="px-4 pb-4 space-y-2">
+                    {facets.durations.map((option) => (
+                      <label key={option.id} className="flex items-center gap-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={filters.durations.includes(option.id)}
+                          onChange={() => toggleListFilter('durations', option.id)}
+                          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 dark:border-gray-600 rounded"
+                        />
+                        <span className="flex-1 text-sm font-medium text-gray-900 dark:text-white">
+                          {option.label}
+                        </span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">{option.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </div>
+        )}
+
+        {/* Difficulty Filter (search facets only) */}
+        {facets?.difficulty && (
+          <div className="border-0">
+            <button
+              onClick={() => toggleSection('difficulty')}
+              className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-50/50 dark:hover:bg-gray-800/50 transition-colors"
+            >
+              <div className="flex items-center gap-3">
+                <ChartBarIcon className="h-5 w-5 text-gray-600 dark:text-gray-400" />
+                <span className="font-medium text-gray-900 dark:text-white">Difficulty</span>
+              </div>
+              <motion.div
+                animate={{ rotate: expandedSections.difficulty ? 180 : 0 }}
+                transition={{ duration: 0.2 }}
+              >
+                <ChevronDownIcon className="h-4 w-4 text-gray-500" />
+              </motion.div>
+            </button>
+
+            <AnimatePresence>
+              {expandedSections.difficulty && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className="overflow-hidden"
+                >
+                  <div className="px-4 pb-4 space-y-2">
+                    {facets.difficulty.map((option) => (
+                      <label key={option.id} className="flex items-center gap-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={filters.difficulty.includes(option.id)}
+                          onChange={() => toggleListFilter('difficulty', option.id)}
+                          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 dark:border-gray-600 rounded"
+                        />
+                        <span className="flex-1 text-sm font-medium text-gray-900 dark:text-white">
+                          {option.label}
+                        </span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">{option.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </div>
+        )}
+
         {/* Group Size Filter */}
         <div className="border-0">
           <button
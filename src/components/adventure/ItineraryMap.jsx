@@ -0,0 +1,56 @@
+import { useMemo } from 'react';
+import Map, { Marker, NavigationControl } from 'react-map-gl';
+import { useMapbox } from '../../contexts/MapboxContext';
+import { useTheme } from '../../hooks/useTheme';
+import { getMapPoints, getMapBounds } from '../../services/itinerary-service';
+import 'mapbox-gl/dist/mapbox-gl.css';
+
+// Activity and accommodation stops from the itinerary, numbered by day.
+// Renders nothing without a Mapbox token or any located stops.
+const ItineraryMap = ({ itinerary, selectedId, onSelect, height = '360px', className = '' }) => {
+  const { accessToken, isConfigured, defaultStyle, darkStyle } = useMapbox();
+  const { isDark } = useTheme();
+
+  const points = useMemo(() => getMapPoints(itinerary), [itinerary]);
+  const bounds = useMemo(() => getMapBounds(points), [points]);
+
+  if (!isConfigured || !bounds) {
+    return null;
+  }
+
+  return (
+    <div className={`relative rounded-xl overflow-hidden ${className}`} style={{ height }}>
+      <Map
+        initialViewState={{ bounds, fitBoundsOptions: { padding: 48, maxZoom: 12 } }}
+        mapboxAccessToken={accessToken}
+        mapStyle={isDark ? darkStyle : defaultStyle}
+        attributionControl={false}
+      >
+        <NavigationControl position="bottom-right" />
+        {points.map((point) => (
+          <Marker
+            key={point.id}
+            longitude={point.lng}
+            latitude={point.lat}
+            anchor="bottom"
+            onClick={(event) => {
+              event.originalEvent.stopPropagation();
+              onSelect?.(point.id);
+            }}
+          >
+            <div
+              title={point.label}
+              className={`flex items-center justify-center w-7 h-7 rounded-full border-2 border-white dark:border-gray-800 shadow-lg text-xs font-bold text-white cursor-pointer transition-transform ${
+                point.kind === 'accommodation' ? 'bg-gray-600' : 'bg-primary-500'
+              } ${selectedId === point.id ? 'scale-125 ring-2 ring-primary-300' : ''}`}
+            >
+              {point.day}
+            </div>
+          </Marker>
+        ))}
+      </Map>
+    </div>
+  );
+};
+
+export default ItineraryMap;
@@ -0,0 +1,110 @@
+import { useMemo } from 'react';
+import { ClockIcon, MapPinIcon, HomeIcon } from '@heroicons/react/24/outline';
+import DOMPurify from 'dompurify';
+import { buildTimeline } from '../../services/itinerary-service';
+
+const ACTIVITY_ICONS = {
+  arrival: '✈️',
+  sightseeing: '👀',
+  activity: '🎯',
+  meal: '🍽️',
+  accommodation: '🏨',
+  transport: '🚌',
+  'free-time': '⏰',
+  departure: '🏁',
+  other: '📝',
+};
+
+const formatDuration = (minutes) => {
+  if (!minutes) return null;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ');
+};
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+});
+
+const ItineraryTimeline = ({ itinerary, startDate, selectedId, onSelect }) => {
+  const timeline = useMemo(() => buildTimeline(itinerary, { startDate }), [itinerary, startDate]);
+
+  return (
+    <div className="space-y-6">
+      {timeline.map((day) => (
+        <div key={day.day} className="border-l-2 border-primary-200 dark:border-primary-800 pl-6 relative">
+          <div className="absolute -left-2 top-0 w-4 h-4 bg-primary-500 rounded-full"></div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Day {day.day}: {day.title}
+          </h3>
+          {day.date && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{formatDate(day.date)}</p>
+          )}
+          {day.summary && (
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">{day.summary}</p>
+          )}
+
+          <ul className="space-y-2 mb-3">
+            {day.activities.map((activity) => (
+              <li key={activity.id}>
+                <button
+                  type="button"
+                  onClick={() => onSelect?.(activity.id)}
+                  className={`w-full text-left flex gap-3 p-2 rounded-lg transition-colors ${
+                    selectedId === activity.id
+                      ? 'bg-primary-50 dark:bg-primary-900/30'
+                      : 'hover:bg-gray-50 dark:hover:bg-gray-800/50'
+                  }`}
+                >
+                  <span className="text-lg leading-6">{ACTIVITY_ICONS[activity.type] || ACTIVITY_ICONS.other}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-baseline gap-x-2">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white">{activity.title}</span>
+                      {activity.startTime && (
+                        <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                          <ClockIcon className="h-3 w-3" />
+                          {activity.startTime}{activity.endTime && `–${activity.endTime}`}
+                          {activity.durationMinutes ? ` · ${formatDuration(activity.durationMinutes)}` : ''}
+                        </span>
+                      )}
+                    </div>
+                    {activity.location && (
+                      <p className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                        <MapPinIcon className="h-3 w-3" />
+                        {activity.location.name}
+                      </p>
+                    )}
+                    {activity.description && (
+                      <div
+                        className="prose prose-sm dark:prose-invert max-w-none text-gray-600 dark:text-gray-300"
+                        dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(activity.description) }}
+                      />
+                    )}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-500 dark:text-gray-400">
+            {day.accommodation && (
+              <p className="flex items-center gap-1">
+                <HomeIcon className="h-4 w-4" />
+                <strong>Accommodation:</strong> {day.accommodation.name}
+              </p>
+            )}
+            {day.meals.length > 0 && (
+              <p>
+                <strong>Meals:</strong> {day.meals.join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ItineraryTimeline;
@@ -1,14 +1,73 @@
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import GlassCard from '../ui/GlassCard';
+import CurrencyService from '../../services/currency-service';
+import QuoteLineItems from './QuoteLineItems';
+import { pricingEngine, normalizePricingRules, calculateQuote } from '../../services/pricing-service';
+import { useAuth } from '../../hooks/useAuth';
 
-const PricingBreakdown = ({ adventure }) => {
-  if (!adventure || !adventure.pricing) {
+const PricingBreakdown = ({ adventure, quote: lockedQuote = null }) => {
+  const { user } = useAuth();
+  const [rules, setRules] = useState(null);
+  const [quote, setQuote] = useState(lockedQuote);
+  const [travelers, setTravelers] = useState(2);
+  const [tripDate, setTripDate] = useState('');
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const adventureId = adventure?.id;
+
+  // The adventure's saved pricing rules, the same ones checkout quotes from
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        const saved = await pricingEngine.getRules(adventureId);
+        setRules(saved ? normalizePricingRules(saved) : null);
+      } catch {
+        setRules(null);
+      }
+    };
+    if (adventureId) {
+      loadRules();
+    }
+  }, [adventureId]);
+
+  // Quotes come from the engine that locks the price onto the booking
+  useEffect(() => {
+    if (lockedQuote) {
+      setQuote(lockedQuote);
+      return;
+    }
+    const loadQuote = async () => {
+      try {
+        setQuote(await pricingEngine.quote(adventureId, {
+          participants: travelers,
+          tripDate: tripDate || null,
+          promoCode,
+          userId: user?.id || null,
+        }));
+      } catch (error) {
+        if (promoCode) {
+          setPromoCode(null);
+          setPromoError(error.message);
+        }
+      }
+    };
+    if (adventureId && rules) {
+      loadQuote();
+    }
+  }, [adventureId, rules, lockedQuote, travelers, tripDate, promoCode, user?.id]);
+
+  if (!adventure || !rules) {
     return null;
   }
 
-  const { pricing } = adventure;
-  const basePrice = pricing.basePrice || adventure.price;
-  const currency = pricing.currency || adventure.currency || 'USD';
+  const { basePrice, currency } = rules;
+
+  const handleApplyPromo = () => {
+    setPromoError(null);
+    setPromoCode(promoInput.trim());
+  };
 
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-US', {
@@ -19,12 +78,15 @@ const PricingBreakdown = ({ adventure }) => {
     }).format(price);
   };
 
-  const calculateDiscountedPrice = (basePrice, discountPercent) => {
-    return basePrice - (basePrice * discountPercent / 100);
+  const calculateDiscountedPrice = (tier) => {
+    const tierQuote = calculateQuote(rules, { participants: tier.minGroupSize });
+    return CurrencyService.stripeToDisplay(tierQuote.perPerson, currency);
   };
 
-  const calculateSeasonalPrice = (basePrice, modifier) => {
-    return basePrice * modifier;
+  const calculateSeasonalPrice = (season) => {
+    return season.priceType === 'fixed' && season.fixedPrice !== null
+      ? season.fixedPrice
+      : basePrice * season.multiplier;
   };
 
   return (
@@ -62,7 +124,7 @@ const PricingBreakdown = ({ adventure }) => {
           </div>
 
           {/* Group Discounts */}
-          {pricing.groupDiscounts && pricing.groupDiscounts.length > 0 && (
+          {rules.groupTiers.length > 0 && (
             <div className="space-y-3">
               <h4 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
                 <svg className="w-5 h-5 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -72,18 +134,20 @@ const PricingBreakdown = ({ adventure }) => {
               </h4>
 
               <div className="space-y-2">
-                {pricing.groupDiscounts.map((discount, index) => {
-                  const discountedPrice = calculateDiscountedPrice(basePrice, discount.discount);
+                {rules.groupTiers.map((tier) => {
+                  const discountedPrice = calculateDiscountedPrice(tier);
                   const savings = basePrice - discountedPrice;
 
                   return (
-                    <div key={index} className="flex justify-between items-center p-3 bg-green-50 dark:bg-green-900/20 rounded-lg">
+                    <div key={tier.minGroupSize} className="flex justify-between items-center p-3 bg-green-50 dark:bg-green-900/20 rounded-lg">
                       <div>
                         <span className="font-medium text-gray-900 dark:text-white">
-                          {discount.size}
+                          {`Groups of ${tier.minGroupSize}+`}
                         </span>
                         <span className="text-sm text-green-600 dark:text-green-400 ml-2">
-                          {discount.discount}% off
+                          {tier.type === 'fixed'
+                            ? `${formatPrice(tier.value)} off`
+                            : `${tier.value}% off`}
                         </span>
                       </div>
                       <div className="text-right">
@@ -102,7 +166,7 @@ const PricingBreakdown = ({ adventure }) => {
           )}
 
           {/* Seasonal Pricing */}
-          {pricing.seasonalPricing && pricing.seasonalPricing.length > 0 && (
+          {rules.seasons.length > 0 && (
             <div className="space-y-3">
               <h4 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
                 <svg className="w-5 h-5 text-orange-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -112,8 +176,8 @@ const PricingBreakdown = ({ adventure }) => {
               </h4>
 
               <div className="space-y-2">
-                {pricing.seasonalPricing.map((season, index) => {
-                  const seasonalPrice = calculateSeasonalPrice(basePrice, season.modifier);
+                {rules.seasons.map((season, index) => {
+                  const seasonalPrice = calculateSeasonalPrice(season);
                   const difference = seasonalPrice - basePrice;
                   const isIncrease = difference > 0;
 
@@ -121,7 +185,7 @@ const PricingBreakdown = ({ adventure }) => {
                     <div key={index} className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-800/50 rounded-lg">
                       <div>
                         <span className="font-medium text-gray-900 dark:text-white">
-                          {season.season}
+                          {season.name}
                         </span>
                         {difference !== 0 && (
                           <span className={`text-sm ml-2 ${
@@ -129,7 +193,7 @@ const PricingBreakdown = ({ adventure }) => {
                               ? 'text-red-600 dark:text-red-400'
                               : 'text-green-600 dark:text-green-400'
                           }`}>
-                            {isIncrease ? '+' : ''}{Math.round(((season.modifier - 1) * 100))}%
+                            {isIncrease ? '+' : ''}{Math.round((difference / basePrice) * 100)}%
                           </span>
                         )}
                       </div>
@@ -154,6 +218,67 @@ const PricingBreakdown = ({ adventure }) => {
             </div>
           )}
 
+          {/* Quote */}
+          <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+            <h4 className="font-semibold text-gray-900 dark:text-white">
+              {lockedQuote ? 'Your Booking Price' : 'Your Quote'}
+            </h4>
+
+            {!lockedQuote && (
+              <div className="grid grid-cols-2 gap-3">
+                <label className="text-sm text-gray-600 dark:text-gray-400">
+                  Travelers
+                  <input
+                    type="number"
+                    min="1"
+                    value={travelers}
+                    onChange={(e) => setTravelers(Math.max(parseInt(e.target.value) || 1, 1))}
+                    className="mt-1 w-full px-3 py-2 border border-gray-200 dark:border-gray-700 rounded-lg bg-white/50 dark:bg-gray-800/50"
+                  />
+                </label>
+                <label className="text-sm text-gray-600 dark:text-gray-400">
+                  Trip date
+                  <input
+                    type="date"
+                    value={tripDate}
+                    onChange={(e) => setTripDate(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-200 dark:border-gray-700 rounded-lg bg-white/50 dark:bg-gray-800/50"
+                  />
+                </label>
+                <div className="col-span-2 flex gap-2">
+                  <input
+                    type="text"
+                    value={promoInput}
+                    onChange={(e) => setPromoInput(e.target.value)}
+                    placeholder="Promo code"
+                    className="flex-1 px-3 py-2 border border-gray-200 dark:border-gray-700 rounded-lg bg-white/50 dark:bg-gray-800/50 uppercase"
+                  />
+                  {promoCode ? (
+                    <button
+                      onClick={() => { setPromoCode(null); setPromoInput(''); }}
+                      className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleApplyPromo}
+                      disabled={!promoInput.trim()}
+                      className="px-4 py-2 text-sm bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+                {promoError && (
+                  <p className="col-span-2 text-sm text-red-600 dark:text-red-400">{promoError}</p>
+                )}
+              </div>
+            )}
+
+            {quote && <QuoteLineItems quote={quote} />}
+          </div>
+
           {/* What's Included Summary */}
           {adventure.included && adventure.included.length > 0 && (
             <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
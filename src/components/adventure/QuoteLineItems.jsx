@@ -0,0 +1,26 @@
+import { formatQuoteAmount } from '../../services/pricing-service';
+
+const QuoteLineItems = ({ quote }) => (
+  <div className="space-y-2 text-sm">
+    {quote.lineItems.map((item) => (
+      <div key={item.type} className="flex justify-between text-gray-600 dark:text-gray-300">
+        <span>
+          {item.description}
+          {item.quantity > 1 && ` (${formatQuoteAmount(item.unitAmount, quote.currency)} × ${item.quantity})`}
+        </span>
+        <span className={item.amount < 0 ? 'text-green-600 dark:text-green-400' : ''}>
+          {formatQuoteAmount(item.amount, quote.currency)}
+        </span>
+      </div>
+    ))}
+    <div className="flex justify-between pt-2 border-t border-gray-200 dark:border-gray-700 font-bold text-gray-900 dark:text-white">
+      <span>Total</span>
+      <span>{formatQuoteAmount(quote.total, quote.currency)}</span>
+    </div>
+    <p className="text-xs text-gray-500 dark:text-gray-400 text-right">
+      {formatQuoteAmount(quote.perPerson, quote.currency)} per person
+    </p>
+  </div>
+);
+
+export default QuoteLineItems;
@@ -13,6 +13,8 @@ export { default as PricingBreakdown } from './PricingBreakdown';
 export { default as AvailabilityCalendar } from './AvailabilityCalendar';
 export { default as SocialProof } from './SocialProof';
 export { default as SimilarAdventures } from './SimilarAdventures';
+export { default as ItineraryTimeline } from './ItineraryTimeline';
+export { default as ItineraryMap } from './ItineraryMap';
 
 // Re-export contexts and hooks that work with these components
 export { MapboxProvider, useMapbox } from '../../contexts/MapboxContext';
@@ -1,5 +1,5 @@
 import { useState, useCallback } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import GlassCard from '../ui/GlassCard';
 import GlassButton from '../ui/GlassButton';
@@ -11,9 +11,11 @@ import {
   getMinAllowedDate,
 } from '../../utils/age-verification';
 import { getErrorMessage, isRetryableError, ERROR_CODES } from '../../utils/error-mapping';
+import { referralEngine } from '../../services/promo-service';
 const RegisterForm = () => {
   const navigate = useNavigate();
   const { signUp, loading, error } = useAuth();
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -21,6 +23,7 @@ const RegisterForm = () => {
     fullName: '',
     dateOfBirth: '',
     role: 'traveler',
+    referralCode: searchParams.get('ref') || '',
     agreeToTerms: false,
   });
   const [errors, setErrors] = useState({});
@@ -138,6 +141,8 @@ const RegisterForm = () => {
       });
 
       if (result.success) {
+        // Registered against the new account at its first sign-in
+        referralEngine.rememberReferralCode(formData.referralCode);
         setRegistrationSuccess(true);
         setRetryAttempts(0);
         return;
@@ -401,6 +406,23 @@ const RegisterForm = () => {
             </label>
           </div>
         </div>
+        {/* Referral Code */}
+        {formData.role === 'traveler' && (
+          <div>
+            <label htmlFor="referralCode" className="block text-sm font-medium mb-1">
+              Referral Code <span className="text-gray-500 font-normal">(optional)</span>
+            </label>
+            <input
+              type="text"
+              id="referralCode"
+              name="referralCode"
+              value={formData.referralCode}
+              onChange={handleChange}
+              className="w-full px-4 py-2 glass-input rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 uppercase"
+              placeholder="Code from a friend's invite"
+            />
+          </div>
+        )}
         {/* Terms and Conditions */}
         <div>
           <label className="flex items-start">
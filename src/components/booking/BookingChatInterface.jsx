@@ -12,7 +12,9 @@ import {
 } from '@heroicons/react/24/outline';
 import BookingChatMessage from './BookingChatMessage';
 import GlassInput from '../ui/GlassInput';
-import { sendChatMessage, getChatHistory, getUserChatSessions, clearChatSession } from '../../services/booking-chat-service';
+import { sendChatMessage, syncSupportReplies, getChatHistory, getUserChatSessions, clearChatSession } from '../../services/booking-chat-service';
+
+const SUPPORT_POLL_INTERVAL = 15000;
 const BookingChatInterface = ({
   isOpen = false,
   onClose,
@@ -33,6 +35,7 @@ const BookingChatInterface = ({
   const [error, setError] = useState(null);
   const [isVoiceMode, setIsVoiceMode] = useState(false);
   const [currentLanguage, setCurrentLanguage] = useState('en');
+  const [humanHandoff, setHumanHandoff] = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
@@ -56,6 +59,19 @@ const BookingChatInterface = ({
       handleSendMessage(initialMessage);
     }
   }, [isOpen, initialMessage, messages.length]);
+  // Pick up support agent replies while the chat is escalated
+  useEffect(() => {
+    if (!isOpen || !humanHandoff || !currentSessionId) return;
+    const interval = setInterval(async () => {
+      const result = await syncSupportReplies(userId, currentSessionId);
+      if (!result) return;
+      if (result.messages.length) {
+        setMessages(prev => [...prev, ...result.messages]);
+      }
+      setHumanHandoff(result.humanHandoffRequested);
+    }, SUPPORT_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isOpen, humanHandoff, currentSessionId, userId]);
   const loadChatHistory = async () => {
     if (!currentSessionId) return;
     try {
@@ -63,6 +79,7 @@ const BookingChatInterface = ({
       if (history) {
         setMessages(history.messages || []);
         setCurrentLanguage(history.language || 'en');
+        setHumanHandoff(history.humanHandoffRequested || false);
       }
     } catch (error) {
       setError('Failed to load chat history');
@@ -114,6 +131,7 @@ const BookingChatInterface = ({
         setCurrentSessionId(response.session.sessionId);
         setQuickActions(response.quickActions || []);
         setCurrentLanguage(response.session.language || 'en');
+        setHumanHandoff(response.session.humanHandoffRequested || false);
         // Update sessions list
         loadUserSessions();
       }
@@ -135,6 +153,7 @@ const BookingChatInterface = ({
     setMessages([]);
     setQuickActions([]);
     setError(null);
+    setHumanHandoff(false);
     setShowSessionsList(false);
     inputRef.current?.focus();
   };
@@ -201,7 +220,7 @@ const BookingChatInterface = ({
                   {!isTyping && (
                     <>
                       <div className="w-2 h-2 bg-green-500 rounded-full" />
-                      <span>Online</span>
+                      <span>{humanHandoff ? 'Support team' : 'Online'}</span>
                     </>
                   )}
                 </div>
@@ -25,6 +25,7 @@ const ModificationRequestModal = ({
   });
   const [bookingDetails, setBookingDetails] = useState(null);
   const [estimatedFees, setEstimatedFees] = useState(null);
+  const [feesLoading, setFeesLoading] = useState(false);
   const [error, setError] = useState('');
   const modificationTypes = [
     {
@@ -79,7 +80,7 @@ const ModificationRequestModal = ({
     if (modificationData.type && modificationData.changes) {
       calculateEstimatedFees();
     }
-  }, [modificationData.type, modificationData.changes]);
+  }, [bookingDetails, modificationData.type, modificationData.changes]);
   const loadBookingDetails = async () => {
     try {
       setLoading(true);
@@ -93,7 +94,7 @@ const ModificationRequestModal = ({
             start_date,
             end_date,
             vendor_id,
-            vendors (name)
+            vendors (name, modification_settings)
           ),
           split_payments (
             id,
@@ -114,21 +115,27 @@ const ModificationRequestModal = ({
   const calculateEstimatedFees = async () => {
     try {
       if (!bookingDetails || !modificationData.type) return;
+      setFeesLoading(true);
       const fees = await bookingModificationManager.calculateModificationFees(
         bookingDetails,
         modificationData.type,
         modificationData.changes
       );
       setEstimatedFees(fees);
-    } catch (error) {
+    } catch {
+      setEstimatedFees(null);
+    } finally {
+      setFeesLoading(false);
     }
   };
+  const isBlockedByPolicy = estimatedFees?.allowed === false;
   const handleTypeSelection = (type) => {
     setModificationData(prev => ({
       ...prev,
       type,
       changes: {},
     }));
+    setEstimatedFees(null);
     setStep(2);
   };
   const handleChangeUpdate = (field, value) => {
@@ -263,6 +270,24 @@ const ModificationRequestModal = ({
             </p>
           </div>
         </div>
+        {feesLoading && (
+          <p className="text-sm text-gray-500">Calculating fees...</p>
+        )}
+        {estimatedFees?.policy && (
+          <div className={`rounded-lg p-4 border ${isBlockedByPolicy ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}`}>
+            <h4 className="text-sm font-medium text-gray-900">
+              {estimatedFees.policy.name} <span className="text-gray-500 font-normal">(version {estimatedFees.policy.version})</span>
+            </h4>
+            <p className="text-sm text-gray-600 mt-1">
+              {estimatedFees.policy.daysBeforeTrip} day(s) before your trip: {estimatedFees.policy.tier}
+            </p>
+            {isBlockedByPolicy ? (
+              <p className="text-sm text-red-600 mt-2">{estimatedFees.reason}</p>
+            ) : estimatedFees.total === 0 && (
+              <p className="text-sm text-green-700 mt-2">No fee applies to this change.</p>
+            )}
+          </div>
+        )}
         {estimatedFees && estimatedFees.total > 0 && (
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
             <div className="flex">
@@ -447,12 +472,19 @@ const ModificationRequestModal = ({
               {modificationData.reason}
             </span>
           </div>
-          {estimatedFees && estimatedFees.total > 0 && (
+          {estimatedFees && (estimatedFees.total > 0 || estimatedFees.policy) && (
             <div>
-              <span className="text-sm font-medium text-gray-700">Estimated Fees:</span>
+              <span className="text-sm font-medium text-gray-700">
+                {estimatedFees.policy ? 'Modification Fee:' : 'Estimated Fees:'}
+              </span>
               <span className="ml-2 text-sm text-gray-900">
                 ${(estimatedFees.total / 100).toFixed(2)}
               </span>
+              {estimatedFees.policy && (
+                <span className="ml-2 text-xs text-gray-500">
+                  per {estimatedFees.policy.name} v{estimatedFees.policy.version}
+                </span>
+              )}
             </div>
           )}
         </div>
@@ -573,7 +605,7 @@ const ModificationRequestModal = ({
               {step === 2 && (
                 <button
                   onClick={() => setStep(3)}
-                  disabled={!modificationData.reason || Object.keys(modificationData.changes).length === 0}
+                  disabled={!modificationData.reason || Object.keys(modificationData.changes).length === 0 || isBlockedByPolicy || feesLoading}
                   className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   Continue
@@ -26,6 +26,7 @@ const MultiCurrencyPayment = ({
 }) => {
   const [selectedCurrency, setSelectedCurrency] = useState(baseCurrency);
   const [convertedAmount, setConvertedAmount] = useState(baseAmount);
+  const [exchangeRateSnapshot, setExchangeRateSnapshot] = useState(null);
   const [currencyPreview, setCurrencyPreview] = useState({});
   const [paymentIntent, setPaymentIntent] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -39,6 +40,7 @@ const MultiCurrencyPayment = ({
       convertCurrency();
     } else {
       setConvertedAmount(baseAmount);
+      setExchangeRateSnapshot(null);
     }
     // Calculate tax details
     calculateTaxDetails();
@@ -46,12 +48,14 @@ const MultiCurrencyPayment = ({
   const convertCurrency = async () => {
     try {
       setLoading(true);
-      const converted = await CurrencyService.convertCurrency(
+      const { amount: converted, snapshot } = await CurrencyService.convertWithSnapshot(
         baseAmount,
         baseCurrency,
-        selectedCurrency
+        selectedCurrency,
+        { context: { bookingId } }
       );
       setConvertedAmount(converted);
+      setExchangeRateSnapshot(snapshot);
       // Generate preview for other currencies
       const preview = await stripeService.payments.getPaymentCurrencyPreview(
         converted,
@@ -61,6 +65,7 @@ const MultiCurrencyPayment = ({
       setCurrencyPreview(preview);
     } catch (error) {
       setConvertedAmount(baseAmount);
+      setExchangeRateSnapshot(null);
     } finally {
       setLoading(false);
     }
@@ -80,8 +85,8 @@ const MultiCurrencyPayment = ({
   const createPaymentIntent = async () => {
     try {
       setLoading(true);
+      // The charge comes from the booking's quote locked in this currency
       const paymentData = {
-        amount: convertedAmount,
         currency: selectedCurrency,
         vendorAccountId,
         bookingId,
@@ -139,6 +144,12 @@ const MultiCurrencyPayment = ({
                       </span>
                     </div>
                   )}
+                  {exchangeRateSnapshot && selectedCurrency !== baseCurrency && (
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span>Exchange Rate ({exchangeRateSnapshot.source}):</span>
+                      <span>1 {baseCurrency} = {Number(exchangeRateSnapshot.rate).toFixed(4)} {selectedCurrency}</span>
+                    </div>
+                  )}
                   {taxDetails && taxDetails.amount > 0 && (
                     <>
                       <div className="flex justify-between text-gray-600">
@@ -233,8 +244,8 @@ const MultiCurrencyPayment = ({
       {/* Payment Form */}
       <Elements stripe={stripePromise}>
         <PaymentForm
-          amount={taxDetails ? taxDetails.total : convertedAmount}
-          currency={selectedCurrency}
+          amount={paymentIntent ? paymentIntent.displayAmount : (taxDetails ? taxDetails.total : convertedAmount)}
+          currency={paymentIntent ? paymentIntent.currency : selectedCurrency}
           onCreatePaymentIntent={createPaymentIntent}
           onPaymentSuccess={onPaymentSuccess}
           onPaymentError={onPaymentError}
@@ -8,6 +8,7 @@ import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { GlassInput } from '../ui/GlassInput';
 import { supabase } from '../../lib/supabase';
+import { paymentLinks as paymentLinkService } from '../../services/split-payment-service';
 import {
   Link,
   Copy,
@@ -54,26 +55,9 @@ const PaymentLinkGenerator = ({
     }
   };
   const generatePaymentLink = async (payment) => {
-    const baseUrl = window.location.origin;
-    const paymentToken = generateSecureToken(payment.id, payment.user_id);
-    // Store payment token in database for verification
-    try {
-      await supabase
-        .from('payment_tokens')
-        .upsert({
-          individual_payment_id: payment.id,
-          token: paymentToken,
-          expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days
-        });
-    } catch (err) {
-    }
-    return `${baseUrl}/pay/${paymentToken}`;
-  };
-  const generateSecureToken = (paymentId, userId) => {
-    // Generate a secure token combining payment ID, user ID, and timestamp
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 15);
-    return btoa(`${paymentId}-${userId}-${timestamp}-${randomString}`).replace(/[+=\/]/g, '');
+    // The token is stored for verification; WhatsApp payment links use the same helper
+    const { url } = await paymentLinkService.createPaymentLink(payment, { baseUrl: window.location.origin });
+    return url;
   };
   const handleCopyLink = async (paymentId, link) => {
     try {
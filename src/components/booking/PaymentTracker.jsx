@@ -89,6 +89,8 @@ const PaymentTracker = ({
         return <CheckCircle className="w-4 h-4 text-green-500" />;
       case 'processing':
         return <RefreshCw className="w-4 h-4 text-blue-500 animate-spin" />;
+      case 'partially_paid':
+        return <Clock className="w-4 h-4 text-amber-500" />;
       case 'failed':
         return <XCircle className="w-4 h-4 text-red-500" />;
       default:
@@ -99,12 +101,13 @@ const PaymentTracker = ({
     const variants = {
       paid: 'default',
       processing: 'secondary',
+      partially_paid: 'secondary',
       failed: 'destructive',
       pending: 'outline',
     };
     return (
       <Badge variant={variants[status] || 'outline'}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+        {(status.charAt(0).toUpperCase() + status.slice(1)).replace('_', ' ')}
       </Badge>
     );
   };
@@ -127,8 +130,40 @@ const PaymentTracker = ({
   const getUserPayment = () => {
     return individualPayments.find(payment => payment.user_id === user?.id);
   };
+  const getNextInstallment = (payment) => {
+    return payment?.installments?.find(installment => ['pending', 'failed'].includes(installment.status));
+  };
+  const renderInstallmentSchedule = (payment) => {
+    if (!payment.installments?.length) return null;
+    return (
+      <div className="mt-3 space-y-1 border-t pt-2">
+        {payment.installments.map((installment) => (
+          <div key={installment.id} className="flex items-center justify-between text-xs">
+            <div className="flex items-center space-x-2">
+              {getStatusIcon(installment.status)}
+              <span>
+                {installment.kind === 'deposit' ? 'Deposit' : `Installment ${installment.sequence}`}
+              </span>
+              <span className="text-muted-foreground">
+                due {formatDateTime(installment.due_date)}
+              </span>
+            </div>
+            <div className="flex items-center space-x-2">
+              <span className="font-medium">{formatCurrency(installment.amount_due)}</span>
+              {getStatusBadge(installment.status)}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
   const userPayment = getUserPayment();
-  const canPayOwn = userPayment && userPayment.status === 'pending' && !disabled;
+  const nextInstallment = getNextInstallment(userPayment);
+  const canPayOwn = userPayment && !disabled && (
+    userPayment.installments?.length
+      ? !!nextInstallment
+      : userPayment.status === 'pending'
+  );
   return (
     <div className="space-y-6">
       {/* Overall Progress */}
@@ -218,9 +253,20 @@ const PaymentTracker = ({
               <p className="text-sm font-medium">
                 Amount Due: {formatCurrency(userPayment.amount_due)}
               </p>
-              <p className="text-xs text-muted-foreground">
-                Deadline: {formatDateTime(userPayment.payment_deadline)}
-              </p>
+              {userPayment.amount_paid > 0 && userPayment.status !== 'paid' && (
+                <p className="text-xs text-muted-foreground">
+                  Paid so far: {formatCurrency(userPayment.amount_paid)}
+                </p>
+              )}
+              {nextInstallment ? (
+                <p className="text-xs text-muted-foreground">
+                  Next payment: {formatCurrency(nextInstallment.amount_due)} due {formatDateTime(nextInstallment.due_date)}
+                </p>
+              ) : (
+                <p className="text-xs text-muted-foreground">
+                  Deadline: {formatDateTime(userPayment.payment_deadline)}
+                </p>
+              )}
               {userPayment.paid_at && (
                 <p className="text-xs text-green-600">
                   Paid: {formatDateTime(userPayment.paid_at)}
@@ -237,11 +283,14 @@ const PaymentTracker = ({
                   disabled={processingPayment === userPayment.id}
                 >
                   <CreditCard className="w-3 h-3 mr-1" />
-                  {processingPayment === userPayment.id ? 'Processing...' : 'Pay Now'}
+                  {processingPayment === userPayment.id
+                    ? 'Processing...'
+                    : nextInstallment?.kind === 'deposit' ? 'Pay Deposit' : nextInstallment ? 'Pay Installment' : 'Pay Now'}
                 </Button>
               )}
             </div>
           </div>
+          {renderInstallmentSchedule(userPayment)}
         </Card>
       )}
       {/* Individual Payments */}
@@ -251,40 +300,43 @@ const PaymentTracker = ({
           {individualPayments.map((payment) => (
             <div
               key={payment.id}
-              className="flex items-center justify-between p-3 border rounded-lg hover:bg-muted/50"
+              className="p-3 border rounded-lg hover:bg-muted/50"
             >
-              <div className="flex items-center space-x-3">
-                {getStatusIcon(payment.status)}
-                <div>
-                  <p className="text-sm font-medium">
-                    {payment.metadata?.participantName || 'Unknown Participant'}
-                  </p>
-                  <p className="text-xs text-muted-foreground">
-                    {payment.metadata?.participantEmail}
-                  </p>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  {getStatusIcon(payment.status)}
+                  <div>
+                    <p className="text-sm font-medium">
+                      {payment.metadata?.participantName || 'Unknown Participant'}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {payment.metadata?.participantEmail}
+                    </p>
+                  </div>
                 </div>
-              </div>
-              <div className="text-right">
-                <p className="text-sm font-semibold">
-                  {formatCurrency(payment.amount_due)}
-                </p>
-                {getStatusBadge(payment.status)}
-                {payment.status === 'paid' && payment.paid_at && (
-                  <p className="text-xs text-muted-foreground mt-1">
-                    {formatDateTime(payment.paid_at)}
-                  </p>
-                )}
-                {payment.reminder_count > 0 && (
-                  <p className="text-xs text-amber-600 mt-1">
-                    {payment.reminder_count} reminder(s) sent
-                  </p>
-                )}
-                {payment.last_reminder_sent && (
-                  <p className="text-xs text-muted-foreground">
-                    Last reminder: {formatDateTime(payment.last_reminder_sent)}
+                <div className="text-right">
+                  <p className="text-sm font-semibold">
+                    {formatCurrency(payment.amount_due)}
                   </p>
-                )}
+                  {getStatusBadge(payment.status)}
+                  {payment.status === 'paid' && payment.paid_at && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {formatDateTime(payment.paid_at)}
+                    </p>
+                  )}
+                  {payment.reminder_count > 0 && (
+                    <p className="text-xs text-amber-600 mt-1">
+                      {payment.reminder_count} reminder(s) sent
+                    </p>
+                  )}
+                  {payment.last_reminder_sent && (
+                    <p className="text-xs text-muted-foreground">
+                      Last reminder: {formatDateTime(payment.last_reminder_sent)}
+                    </p>
+                  )}
+                </div>
               </div>
+              {renderInstallmentSchedule(payment)}
             </div>
           ))}
         </div>
@@ -304,7 +356,9 @@ const PaymentTracker = ({
             </p>
           </div>
           <div>
-            <p className="text-muted-foreground">Payment Deadline</p>
+            <p className="text-muted-foreground">
+              {splitPaymentDetails?.metadata?.paymentPlan ? 'Final Payment Due' : 'Payment Deadline'}
+            </p>
             <p className="font-medium">
               {formatDateTime(splitPaymentDetails?.payment_deadline)}
             </p>
@@ -1,16 +1,16 @@
 /**
  * SplitCalculator - Component for calculating payment splits
- * Handles equal splits, custom amounts, and fee calculations
+ * Handles equal splits, custom amounts, fee calculations and deposit/installment plans
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Card } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { GlassInput } from '../ui/GlassInput';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { paymentSplitting, getSplitPaymentConfig } from '../../services/split-payment-service';
-import { Calculator, DollarSign, Users, Clock, AlertCircle, Info } from 'lucide-react';
+import { Calculator, DollarSign, Users, Clock, AlertCircle, Info, CalendarRange } from 'lucide-react';
 
 const SplitCalculator = ({
   totalAmount,
@@ -23,6 +23,8 @@ const SplitCalculator = ({
   splitPreview,
   paymentDeadline,
   onPaymentDeadlineChange,
+  paymentPlan = null,
+  onPaymentPlanChange,
   disabled = false
 }) => {
   const [feeHandling, setFeeHandling] = useState('organizer');
@@ -91,8 +93,44 @@ const SplitCalculator = ({
   const handleDeadlineChange = (e) => {
     const newDeadline = e.target.value;
     onPaymentDeadlineChange(newDeadline);
+    // With a plan the deadline above is when the deposit is due
+    if (paymentPlan) {
+      onPaymentPlanChange?.({ ...paymentPlan, depositDueDate: newDeadline });
+    }
+  };
+
+  const updatePaymentPlan = (changes) => {
+    onPaymentPlanChange?.({ ...paymentPlan, depositDueDate: paymentDeadline, ...changes });
+  };
+
+  const handlePaymentPlanToggle = (e) => {
+    if (!e.target.checked) {
+      onPaymentPlanChange?.(null);
+      return;
+    }
+    const depositDate = paymentDeadline ? new Date(paymentDeadline) : new Date();
+    updatePaymentPlan({
+      depositPercent: 25,
+      installmentCount: 2,
+      finalDueDate: new Date(depositDate.getTime() + 60 * 24 * 60 * 60 * 1000).toISOString(),
+    });
   };
 
+  // Per-participant deposit + installment schedules for the current split
+  const installmentPreview = useMemo(() => {
+    if (!paymentPlan || !splitPreview?.splits?.length) return null;
+    try {
+      return {
+        schedules: splitPreview.splits.map(amount =>
+          paymentSplitting.calculateInstallmentSchedule(amount, paymentPlan)
+        ),
+        error: null,
+      };
+    } catch (err) {
+      return { schedules: [], error: err.message };
+    }
+  }, [paymentPlan, splitPreview]);
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -253,7 +291,7 @@ const SplitCalculator = ({
 
         <div className="space-y-3">
           <div>
-            <label className="text-sm font-medium">Deadline</label>
+            <label className="text-sm font-medium">{paymentPlan ? 'Deposit Deadline' : 'Deadline'}</label>
             <input
               type="datetime-local"
               value={paymentDeadline ? new Date(paymentDeadline).toISOString().slice(0, 16) : ''}
@@ -265,7 +303,7 @@ const SplitCalculator = ({
             />
           </div>
 
-          {paymentDeadline && (
+          {paymentDeadline && !paymentPlan && (
             <div className="text-sm text-muted-foreground bg-muted/30 p-3 rounded-lg">
               <p className="font-medium">Deadline: {formatDate(paymentDeadline)}</p>
               <p className="text-xs mt-1">
@@ -276,6 +314,97 @@ const SplitCalculator = ({
         </div>
       </Card>
 
+      {/* Payment Plan */}
+      <Card className="p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h4 className="text-md font-medium flex items-center">
+            <CalendarRange className="w-4 h-4 mr-2" />
+            Payment Plan
+          </h4>
+          <label className="flex items-center space-x-2 text-sm">
+            <input
+              type="checkbox"
+              checked={!!paymentPlan}
+              onChange={handlePaymentPlanToggle}
+              disabled={disabled}
+            />
+            <span>Deposit + installments</span>
+          </label>
+        </div>
+
+        {!paymentPlan ? (
+          <p className="text-sm text-muted-foreground">
+            Each participant pays their full share by the deadline.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="text-sm font-medium">Deposit (%)</label>
+                <GlassInput
+                  type="number"
+                  min={config.installments.minDepositPercent}
+                  max="90"
+                  value={paymentPlan.depositPercent ?? ''}
+                  onChange={(e) => updatePaymentPlan({ depositPercent: parseFloat(e.target.value) || 0 })}
+                  disabled={disabled}
+                />
+              </div>
+              <div>
+                <label className="text-sm font-medium">Installments</label>
+                <GlassInput
+                  type="number"
+                  min="1"
+                  max={config.installments.maxInstallments}
+                  value={paymentPlan.installmentCount ?? ''}
+                  onChange={(e) => updatePaymentPlan({ installmentCount: parseInt(e.target.value, 10) || 0 })}
+                  disabled={disabled}
+                />
+              </div>
+              <div>
+                <label className="text-sm font-medium">Final Payment Due</label>
+                <input
+                  type="datetime-local"
+                  value={paymentPlan.finalDueDate ? new Date(paymentPlan.finalDueDate).toISOString().slice(0, 16) : ''}
+                  onChange={(e) => updatePaymentPlan({ finalDueDate: e.target.value })}
+                  disabled={disabled}
+                  className="w-full p-2 border rounded-md bg-background"
+                />
+              </div>
+            </div>
+
+            {installmentPreview?.error && (
+              <p className="text-xs text-destructive flex items-center">
+                <AlertCircle className="w-3 h-3 mr-1" />
+                {installmentPreview.error}
+              </p>
+            )}
+
+            {installmentPreview?.schedules.length > 0 && (
+              <div className="space-y-3">
+                {installmentPreview.schedules.map((schedule, index) => (
+                  <div key={index} className="bg-muted/30 p-3 rounded-lg">
+                    <p className="text-sm font-medium mb-2">
+                      {participants[index]?.name || `Participant ${index + 1}`}
+                    </p>
+                    <div className="space-y-1">
+                      {schedule.map(entry => (
+                        <div key={entry.sequence} className="flex justify-between text-xs">
+                          <span className="text-muted-foreground">
+                            {entry.kind === 'deposit' ? 'Deposit' : `Installment ${entry.sequence}`} · {formatDate(entry.dueDate)}
+                          </span>
+                          <span className="font-medium">{formatCurrency(entry.amount)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </Card>
+
       {/* Fee Handling */}
       <Card className="p-4">
         <div className="flex items-center justify-between mb-4">
@@ -348,8 +477,17 @@ const SplitCalculator = ({
               <p className="text-lg font-semibold">{participants.length}</p>
             </div>
             <div>
-              <p className="text-muted-foreground">Payment Deadline</p>
-              <p className="font-medium">{paymentDeadline ? formatDate(paymentDeadline) : 'Not set'}</p>
+              <p className="text-muted-foreground">{paymentPlan ? 'Final Payment Due' : 'Payment Deadline'}</p>
+              <p className="font-medium">
+                {paymentPlan?.finalDueDate
+                  ? formatDate(paymentPlan.finalDueDate)
+                  : paymentDeadline ? formatDate(paymentDeadline) : 'Not set'}
+              </p>
+              {paymentPlan && (
+                <p className="text-xs text-muted-foreground">
+                  Deposit + {paymentPlan.installmentCount} installment(s)
+                </p>
+              )}
             </div>
             <div>
               <p className="text-muted-foreground">Fee Handling</p>
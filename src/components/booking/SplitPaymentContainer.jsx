@@ -38,6 +38,8 @@ const SplitPaymentContainer = ({
   const [paymentDeadline, setPaymentDeadline] = useState(
     new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString() // 3 days from now
   );
+  // Deposit + installments plan; null means each participant pays in full by the deadline
+  const [paymentPlan, setPaymentPlan] = useState(null);
   // Payment tracking state
   const [splitPaymentDetails, setSplitPaymentDetails] = useState(null);
   const [paymentStats, setPaymentStats] = useState(null);
@@ -117,6 +119,7 @@ const SplitPaymentContainer = ({
         splitType,
         customSplits: splitType === 'custom' ? customSplits : null,
         paymentDeadline,
+        paymentPlan,
         vendorAccountId,
         description: bookingDescription,
         metadata: {
@@ -238,6 +241,8 @@ const SplitPaymentContainer = ({
             splitPreview={splitPreview}
             paymentDeadline={paymentDeadline}
             onPaymentDeadlineChange={setPaymentDeadline}
+            paymentPlan={paymentPlan}
+            onPaymentPlanChange={setPaymentPlan}
             disabled={hasActiveSplit || disabled}
           />
           <div className="flex justify-between">
@@ -1,7 +1,29 @@
 import { useMemo, useEffect, useState } from 'react';
 
+// Breakdown rows for a group builder success prediction (groupBuilderService.scoreGroupSuccess)
+const getPredictionFactors = (prediction) => {
+  const { conflicts = {}, groupSize = 0, personalityDiversity = 0, heuristicScore } = prediction.factors || {};
+  const conflictPenalty = (conflicts.critical || 0) * 15 + (conflicts.major || 0) * 8 + (conflicts.minor || 0) * 3;
+  const conflictCount = (conflicts.critical || 0) + (conflicts.major || 0) + (conflicts.minor || 0);
+  const factors = [
+    { label: 'Conflicts', value: Math.max(0, 100 - conflictPenalty), detail: `${conflictCount}` },
+    { label: 'Group Size', value: groupSize >= 4 && groupSize <= 8 ? 100 : 50, detail: `${groupSize}` },
+    { label: 'Personality Diversity', value: Math.round(personalityDiversity), detail: `${Math.round(personalityDiversity)}` }
+  ];
+  if (heuristicScore !== undefined) {
+    factors.push({ label: 'Estimate', value: heuristicScore, detail: `${Math.round(heuristicScore)}` });
+  }
+  return factors;
+};
+
+const getScoringLabel = (prediction) => {
+  if (prediction.scoringMethod !== 'model') return 'Estimated';
+  return prediction.model?.version ? `Model v${prediction.model.version}` : 'Model';
+};
+
 const BookingConfidenceScore = ({
-  score = 0,
+  score: scoreProp = 0,
+  prediction = null,
   size = 'md',
   animated = false,
   showLabel = true,
@@ -11,6 +33,8 @@ const BookingConfidenceScore = ({
 }) => {
   const [animatedScore, setAnimatedScore] = useState(0);
   const [isVisible, setIsVisible] = useState(false);
+  const score = prediction ? prediction.successScore : scoreProp;
+  const predictionFactors = useMemo(() => (prediction ? getPredictionFactors(prediction) : null), [prediction]);
 
   useEffect(() => {
     if (animated) {
@@ -91,7 +115,9 @@ const BookingConfidenceScore = ({
           animated && isVisible ? 'scale-105' : ''
         } ${onScoreClick ? 'hover:scale-110' : ''}`}
         onClick={() => onScoreClick?.(score)}
-        title={showLabel ? '' : `Booking Confidence: ${Math.round(animatedScore)}%`}
+        title={showLabel ? '' : prediction
+          ? `Predicted success: ${Math.round(animatedScore)}% (${getScoringLabel(prediction)})`
+          : `Booking Confidence: ${Math.round(animatedScore)}%`}
       >
         <svg className="w-full h-full transform -rotate-90" viewBox="0 0 100 100">
           {/* Background circle */}
@@ -139,11 +165,23 @@ const BookingConfidenceScore = ({
       {showLabel && (
         <div className="text-center">
           <div className="text-xs font-medium text-gray-700 dark:text-gray-300">
-            Booking Confidence
+            {prediction ? 'Predicted Success' : 'Booking Confidence'}
           </div>
           <div className={`text-xs font-semibold ${scoreInfo.text}`}>
             {getConfidenceLevel(animatedScore)}
           </div>
+          {prediction && (
+            <span
+              className={`inline-block mt-1 px-1.5 py-0.5 rounded text-[10px] font-medium ${
+                prediction.scoringMethod === 'model'
+                  ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300'
+                  : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-400'
+              }`}
+              title={prediction.scoringMethod === 'model' ? `${prediction.confidence} confidence` : 'No model deployed; heuristic estimate'}
+            >
+              {getScoringLabel(prediction)}
+            </span>
+          )}
         </div>
       )}
 
@@ -159,22 +197,27 @@ const BookingConfidenceScore = ({
             <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide">
               Key Factors
             </div>
-            {[
+            {(predictionFactors || [
               { label: 'Group Chemistry', weight: 40 },
               { label: 'Personality Balance', weight: 25 },
               { label: 'Travel Alignment', weight: 20 },
               { label: 'Communication', weight: 15 }
-            ].map((factor, index) => (
+            ]).map((factor, index) => (
               <div key={index} className="flex items-center justify-between">
                 <span className="text-xs text-gray-600 dark:text-gray-400">
                   {factor.label}
                 </span>
                 <div className="flex items-center space-x-2">
+                  {factor.detail !== undefined && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{factor.detail}</span>
+                  )}
                   <div className="w-12 h-1 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
                     <div
                       className="h-full transition-all duration-1000 ease-out"
                       style={{
-                        width: `${Math.min(100, (animatedScore * factor.weight / 100) + Math.random() * 20)}%`,
+                        width: `${factor.value !== undefined
+                          ? Math.max(0, Math.min(100, factor.value))
+                          : Math.min(100, (animatedScore * factor.weight / 100) + Math.random() * 20)}%`,
                         backgroundColor: scoreInfo.color,
                         transitionDelay: `${300 + index * 100}ms`
                       }}
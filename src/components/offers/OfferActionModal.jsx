@@ -15,7 +15,10 @@ const OfferActionModal = ({ type, offer, onClose, userId }) => {
     rejectionReason: '',
     counterOfferPrice: offer?.proposed_price || 0,
     counterOfferMessage: '',
-    counterOfferModifications: '',
+    counterOfferStartDate: offer?.negotiation?.latest?.startDate || offer?.trip_request?.start_date || '',
+    counterOfferEndDate: offer?.negotiation?.latest?.endDate || offer?.trip_request?.end_date || '',
+    counterOfferInclusions: (offer?.negotiation?.latest?.inclusions || offer?.included_services || []).join('\n'),
+    counterOfferValidHours: 72,
     shareMessage: '',
     selectedGroupId: ''
   });
@@ -79,7 +82,10 @@ const OfferActionModal = ({ type, offer, onClose, userId }) => {
       const counterOfferData = {
         proposed_price: formData.counterOfferPrice,
         message: formData.counterOfferMessage,
-        modifications: formData.counterOfferModifications
+        start_date: formData.counterOfferStartDate || null,
+        end_date: formData.counterOfferEndDate || null,
+        inclusions: formData.counterOfferInclusions,
+        valid_for_hours: formData.counterOfferValidHours
       };
       const result = await submitCounteroffer(offer.id, counterOfferData);
       if (result.success) {
@@ -329,18 +335,58 @@ const OfferActionModal = ({ type, offer, onClose, userId }) => {
             placeholder="Explain your counteroffer or any modifications you'd like..."
           />
         </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Start Date
+            </label>
+            <input
+              type="date"
+              value={formData.counterOfferStartDate}
+              onChange={(e) => handleInputChange('counterOfferStartDate', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              End Date
+            </label>
+            <input
+              type="date"
+              value={formData.counterOfferEndDate}
+              min={formData.counterOfferStartDate || undefined}
+              onChange={(e) => handleInputChange('counterOfferEndDate', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-            Requested Modifications (optional)
+            Inclusions (one per line)
           </label>
           <textarea
-            value={formData.counterOfferModifications}
-            onChange={(e) => handleInputChange('counterOfferModifications', e.target.value)}
+            value={formData.counterOfferInclusions}
+            onChange={(e) => handleInputChange('counterOfferInclusions', e.target.value)}
             rows={3}
             className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Any specific changes to itinerary, services, etc..."
+            placeholder="Airport transfers, meals, equipment rental..."
           />
         </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Counteroffer Valid For
+          </label>
+          <select
+            value={formData.counterOfferValidHours}
+            onChange={(e) => handleInputChange('counterOfferValidHours', parseInt(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value={24}>24 hours</option>
+            <option value={48}>48 hours</option>
+            <option value={72}>3 days</option>
+            <option value={168}>7 days</option>
+          </select>
+        </div>
       </div>
       {error && (
         <div className="mt-4 p-3 bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-lg text-red-800 dark:text-red-300 text-sm">
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import useOfferManagementStore from '../../stores/offerManagementStore';
-import { formatCurrency, formatDate } from '../../utils/formatters';
+import { diffRevisions } from '../../services/negotiation-service';
+import { formatCurrency, formatDate, formatDateTime } from '../../utils/formatters';
 
 const OfferComparison = ({ onAction, onBackToOffers }) => {
   const {
@@ -13,12 +14,21 @@ const OfferComparison = ({ onAction, onBackToOffers }) => {
     pricing: true,
     vendor: true,
     itinerary: false,
-    terms: false
+    terms: false,
+    revisions: true
   });
 
   const comparisonData = getComparisonData();
   const { offers, comparison } = comparisonData;
 
+  // Any two revisions of one negotiation can be diffed
+  const negotiatedOffers = offers.filter(offer => offer.negotiation?.revisions.length > 1);
+  const [revisionDiff, setRevisionDiff] = useState({ offerId: null, from: null, to: null });
+  const diffOffer = negotiatedOffers.find(offer => offer.id === revisionDiff.offerId) || negotiatedOffers[0];
+  const diffRevisionList = diffOffer?.negotiation.revisions || [];
+  const fromRevision = diffRevisionList.find(r => r.number === revisionDiff.from) || diffRevisionList[0];
+  const toRevision = diffRevisionList.find(r => r.number === revisionDiff.to) || diffRevisionList[diffRevisionList.length - 1];
+
   if (offers.length === 0) {
     return (
       <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-xl p-12 text-center border border-white/20 dark:border-gray-700/30">
@@ -57,6 +67,17 @@ const OfferComparison = ({ onAction, onBackToOffers }) => {
     }
   };
 
+  const formatTerm = (row, value, revision) => {
+    if (value === null || value === undefined) return '—';
+    switch (row.term) {
+      case 'proposedPrice': return formatCurrency(value, revision?.currency);
+      case 'startDate':
+      case 'endDate': return formatDate(value);
+      case 'validUntil': return formatDateTime(value);
+      default: return value.length > 0 ? value.join(', ') : 'None';
+    }
+  };
+
   const getBestValue = (offers, key, type = 'lowest') => {
     const values = offers.map(offer => {
       switch (key) {
@@ -411,6 +432,120 @@ const OfferComparison = ({ onAction, onBackToOffers }) => {
           )}
         </div>
 
+        {/* Negotiation History Section */}
+        {negotiatedOffers.length > 0 && (
+          <div className="border-b border-gray-200 dark:border-gray-700">
+            <button
+              onClick={() => toggleSection('revisions')}
+              className="w-full px-6 py-4 flex items-center justify-between text-left hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+            >
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                🔁 Negotiation History
+              </h3>
+              <span className="text-gray-500 dark:text-gray-400">
+                {expandedSections.revisions ? '▼' : '▶'}
+              </span>
+            </button>
+
+            {expandedSections.revisions && (
+              <div className="px-6 pb-6 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Offer</label>
+                    <select
+                      value={diffOffer.id}
+                      onChange={(e) => setRevisionDiff({ offerId: e.target.value, from: null, to: null })}
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                    >
+                      {negotiatedOffers.map(offer => (
+                        <option key={offer.id} value={offer.id}>
+                          {offer.vendor?.business_name || 'Unknown Vendor'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {[['from', fromRevision, 'Compare'], ['to', toRevision, 'With']].map(([key, selected, label]) => (
+                    <div key={key}>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{label}</label>
+                      <select
+                        value={selected.number}
+                        onChange={(e) => setRevisionDiff({
+                          offerId: diffOffer.id,
+                          from: fromRevision.number,
+                          to: toRevision.number,
+                          [key]: parseInt(e.target.value)
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                      >
+                        {diffRevisionList.map(revision => (
+                          <option key={revision.number} value={revision.number}>
+                            Revision {revision.number} ({revision.authorParty === 'vendor' ? 'Vendor' : 'You'}, {revision.status})
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 dark:text-gray-400">
+                        <th className="py-2 pr-4 font-medium">Term</th>
+                        <th className="py-2 pr-4 font-medium">Revision {fromRevision.number}</th>
+                        <th className="py-2 font-medium">Revision {toRevision.number}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diffRevisions(fromRevision, toRevision).map(row => (
+                        <tr
+                          key={row.term}
+                          className={`border-t border-gray-200 dark:border-gray-700 ${row.changed ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''}`}
+                        >
+                          <td className="py-2 pr-4 font-medium text-gray-900 dark:text-white">{row.label}</td>
+                          <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">{formatTerm(row, row.before, fromRevision)}</td>
+                          <td className="py-2 text-gray-900 dark:text-white">
+                            {formatTerm(row, row.after, toRevision)}
+                            {row.delta ? (
+                              <span className={`ml-2 text-xs font-medium ${row.delta < 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                {row.delta > 0 ? '+' : '−'}{formatCurrency(Math.abs(row.delta), toRevision.currency)}
+                              </span>
+                            ) : null}
+                            {row.added?.length > 0 && (
+                              <div className="text-xs text-green-600 dark:text-green-400">+ {row.added.join(', ')}</div>
+                            )}
+                            {row.removed?.length > 0 && (
+                              <div className="text-xs text-red-600 dark:text-red-400">− {row.removed.join(', ')}</div>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="space-y-2">
+                  {diffRevisionList.map(revision => (revision.message || revision.responseMessage) && (
+                    <div key={revision.number} className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg text-sm">
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                        Revision {revision.number} · {revision.authorParty === 'vendor' ? 'Vendor' : 'You'} · {formatDateTime(revision.createdAt)}
+                      </div>
+                      {revision.message && (
+                        <p className="text-gray-700 dark:text-gray-300">{revision.message}</p>
+                      )}
+                      {revision.responseMessage && (
+                        <p className="mt-1 text-gray-600 dark:text-gray-400 italic">
+                          Reply ({revision.status}): {revision.responseMessage}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="p-6">
           <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
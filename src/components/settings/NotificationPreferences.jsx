@@ -195,6 +195,24 @@ const NotificationPreferences = () => {
                 </label>
               </div>
 
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium">Saved Search Alerts</span>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    New adventures matching your saved searches
+                  </p>
+                </div>
+                <label className="relative inline-flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={localPreferences.savedSearchAlerts !== false}
+                    onChange={(e) => handlePreferenceChange('savedSearchAlerts', e.target.checked)}
+                    className="sr-only peer"
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 dark:peer-focus:ring-blue-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-blue-600"></div>
+                </label>
+              </div>
+
               <div className="flex items-center justify-between">
                 <div>
                   <span className="font-medium">Marketing Emails</span>
@@ -4,7 +4,9 @@ import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import gdprConsentService from '../../services/gdpr-consent-service';
+import { useAuth } from '../../hooks/useAuth';
 const PrivacyPreferenceCenter = () => {
+  const { user, signOut } = useAuth();
   const [consentStatus, setConsentStatus] = useState(null);
   const [auditTrail, setAuditTrail] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -47,9 +49,7 @@ const PrivacyPreferenceCenter = () => {
   const handleExportData = async () => {
     setExportLoading(true);
     try {
-      // This would normally require user authentication
-      const userId = 'current-user-id'; // Replace with actual user ID
-      const exportData = await gdprConsentService.exportUserData(userId);
+      const exportData = await gdprConsentService.exportUserData(user.id);
       // Create and download JSON file
       const blob = new Blob([JSON.stringify(exportData, null, 2)], {
         type: 'application/json'
@@ -62,9 +62,11 @@ const PrivacyPreferenceCenter = () => {
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
-      alert('Your data has been exported and downloaded successfully.');
+      alert(exportData.metadata.status === 'completed'
+        ? 'Your data has been exported and downloaded successfully.'
+        : `Your export is still being prepared. Reference ID: ${exportData.metadata.requestId}. It will be ready by ${formatDate(exportData.metadata.dueAt)}.`);
     } catch (error) {
-      alert('Failed to export data. Please try again.');
+      alert(`Failed to export data: ${error.message}`);
     } finally {
       setExportLoading(false);
     }
@@ -76,13 +78,13 @@ const PrivacyPreferenceCenter = () => {
     if (!confirmed) return;
     setDeleteLoading(true);
     try {
-      const userId = 'current-user-id'; // Replace with actual user ID
-      const result = await gdprConsentService.deleteUserData(userId);
-      alert(`Data deletion initiated. Reference ID: ${result.deletionId}. You will receive confirmation within 30 days.`);
-      // Redirect to logout or home page
+      const result = await gdprConsentService.deleteUserData(user.id);
+      alert(`${result.message} Reference ID: ${result.deletionId}.`);
+      // Sign out and return to the home page
+      await signOut();
       window.location.href = '/';
     } catch (error) {
-      alert('Failed to initiate data deletion. Please contact support.');
+      alert(`Failed to delete data: ${error.message}. Please contact support.`);
     } finally {
       setDeleteLoading(false);
     }
@@ -225,7 +227,7 @@ const PrivacyPreferenceCenter = () => {
                 </p>
                 <Button
                   onClick={handleExportData}
-                  disabled={exportLoading}
+                  disabled={exportLoading || !user}
                   className="bg-blue-600 text-white hover:bg-blue-700"
                 >
                   {exportLoading ? 'Exporting...' : 'Export My Data'}
@@ -235,11 +237,12 @@ const PrivacyPreferenceCenter = () => {
                 <h3 className="font-medium text-gray-900 mb-2">Delete Your Data</h3>
                 <p className="text-sm text-gray-600 mb-4">
                   Request permanent deletion of all your personal data. This action cannot be undone
-                  and you will be logged out immediately.
+                  and you will be logged out immediately. Booking and payment records we must keep
+                  by law are retained without your name or contact details.
                 </p>
                 <Button
                   onClick={handleDeleteData}
-                  disabled={deleteLoading}
+                  disabled={deleteLoading || !user}
                   variant="destructive"
                   className="bg-red-600 text-white hover:bg-red-700"
                 >
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { ClipboardDocumentIcon, CheckIcon } from '@heroicons/react/24/outline';
+import GlassCard from '../ui/GlassCard';
+import GlassButton from '../ui/GlassButton';
+import { referralEngine, getPromoConfig } from '../../services/promo-service';
+import CurrencyService from '../../services/currency-service';
+import { formatCurrency } from '../../utils/formatters';
+import { useAuth } from '../../hooks/useAuth';
+const ReferralInvite = () => {
+  const { user } = useAuth();
+  const [code, setCode] = useState(null);
+  const [balances, setBalances] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  useEffect(() => {
+    if (!user) return;
+    const loadReferral = async () => {
+      try {
+        setLoading(true);
+        const [referralCode, creditBalances] = await Promise.all([
+          referralEngine.getReferralCode(user.id),
+          referralEngine.getCreditBalances(user.id),
+        ]);
+        setCode(referralCode);
+        setBalances(creditBalances);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadReferral();
+  }, [user]);
+  const inviteLink = code ? referralEngine.getInviteLink(code) : '';
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('Could not copy the invite link');
+    }
+  };
+  const { creditAmount } = getPromoConfig().referral;
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+          Invite Friends
+        </h3>
+        <p className="text-gray-600 dark:text-gray-300 mb-6">
+          Share your invite link. When a friend completes their first booking, you both get{' '}
+          {formatCurrency(CurrencyService.stripeToDisplay(creditAmount, 'USD'), 'USD')} in travel credit.
+        </p>
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+        {loading ? (
+          <div className="animate-pulse h-12 bg-gray-200 dark:bg-gray-700 rounded-lg" />
+        ) : code && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Your referral code
+              </label>
+              <p className="text-2xl font-mono font-bold tracking-widest text-gray-900 dark:text-white">
+                {code}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                type="text"
+                readOnly
+                value={inviteLink}
+                className="flex-1 px-3 py-2 bg-white/10 dark:bg-white/5 border border-white/20 dark:border-white/10 rounded-lg text-gray-900 dark:text-white"
+              />
+              <GlassButton onClick={handleCopy}>
+                {copied ? <CheckIcon className="h-5 w-5" /> : <ClipboardDocumentIcon className="h-5 w-5" />}
+                <span className="ml-2">{copied ? 'Copied' : 'Copy link'}</span>
+              </GlassButton>
+            </div>
+          </div>
+        )}
+      </GlassCard>
+      <GlassCard>
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+          Referral Credit
+        </h3>
+        {Object.keys(balances).length === 0 ? (
+          <p className="text-gray-600 dark:text-gray-300">
+            No referral credit yet. Credit is applied automatically to your share of your next booking.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {Object.entries(balances).map(([currency, amount]) => (
+              <li key={currency} className="flex justify-between text-gray-900 dark:text-white">
+                <span>{currency.toUpperCase()}</span>
+                <span className="font-semibold">
+                  {formatCurrency(CurrencyService.stripeToDisplay(amount, currency.toUpperCase()), currency.toUpperCase())}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </GlassCard>
+    </div>
+  );
+};
+export default ReferralInvite;
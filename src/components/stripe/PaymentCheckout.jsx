@@ -5,6 +5,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth.js';
 import { payments } from '../../services/stripe-service.js';
+import CurrencyService from '../../services/currency-service.js';
 import StripeProvider from './StripeProvider.jsx';
 import PaymentForm from './PaymentForm.jsx';
 import PaymentMethodSelector from './PaymentMethodSelector.jsx';
@@ -17,10 +18,9 @@ import {
   CheckCircleIcon,
 } from '@heroicons/react/24/outline';
 const PaymentCheckout = ({
-  amount,
-  currency = 'usd',
   vendorAccountId,
   bookingId,
+  promoCode = null,
   description,
   onSuccess,
   onError,
@@ -36,25 +36,31 @@ const PaymentCheckout = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [paymentResult, setPaymentResult] = useState(null);
+  // What the booking's locked quote charges, in display units
+  const [charge, setCharge] = useState(null);
   // Create payment intent when component mounts
   useEffect(() => {
-    if (amount && vendorAccountId && bookingId && user) {
+    if (vendorAccountId && bookingId && user) {
       createPaymentIntent();
     }
-  }, [amount, vendorAccountId, bookingId, user]);
+  }, [vendorAccountId, bookingId, user]);
   const createPaymentIntent = async () => {
     try {
       setLoading(true);
       setError(null);
+      // The amount and currency come from the quote locked onto the booking
       const paymentData = await payments.createPaymentIntent({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency,
         vendorAccountId,
         bookingId,
         userId: user.id,
         description: description || `Payment for booking ${bookingId}`,
+        discounts: promoCode ? { promoCode } : {},
       });
       setClientSecret(paymentData.clientSecret);
+      setCharge({
+        amount: CurrencyService.stripeToDisplay(paymentData.amount, paymentData.currency.toUpperCase()),
+        currency: paymentData.currency,
+      });
     } catch (error) {
       setError(error.message);
       onError?.(error.message);
@@ -123,6 +129,7 @@ const PaymentCheckout = ({
       currency: currency.toUpperCase(),
     }).format(amount);
   };
+  const formattedCharge = charge ? formatAmount(charge.amount, charge.currency) : '';
   if (loading && !clientSecret) {
     return (
       <GlassCard className="p-6">
@@ -160,7 +167,7 @@ const PaymentCheckout = ({
           Payment Successful!
         </h3>
         <p className="text-gray-300 mb-4">
-          Your payment of {formatAmount(amount, currency)} has been processed successfully.
+          Your payment of {formattedCharge} has been processed successfully.
         </p>
         <div className="text-sm text-gray-400">
           Transaction ID: {paymentResult?.paymentIntent?.id}
@@ -179,7 +186,7 @@ const PaymentCheckout = ({
           </div>
           <div className="text-right">
             <div className="text-2xl font-bold text-white">
-              {formatAmount(amount, currency)}
+              {formattedCharge}
             </div>
             <div className="text-xs text-gray-400">
               Includes platform fee
@@ -210,7 +217,7 @@ const PaymentCheckout = ({
                     Processing...
                   </div>
                 ) : (
-                  `Pay ${formatAmount(amount, currency)}`
+                  `Pay ${formattedCharge}`
                 )}
               </GlassButton>
               <GlassButton
@@ -249,8 +256,8 @@ const PaymentCheckout = ({
           <StripeProvider clientSecret={clientSecret}>
             <PaymentForm
               clientSecret={clientSecret}
-              amount={amount}
-              currency={currency}
+              amount={charge?.amount}
+              currency={charge?.currency}
               onSuccess={handlePaymentSuccess}
               onError={handlePaymentError}
               onProcessing={setLoading}
@@ -1,18 +1,40 @@
-import { useState } from 'react';
-import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
 import {
   XMarkIcon,
   ArrowDownTrayIcon,
   DocumentTextIcon,
   TableCellsIcon,
-  DocumentArrowDownIcon
+  DocumentArrowDownIcon,
+  CalendarDaysIcon,
+  PrinterIcon,
+  MapIcon,
+  GlobeAltIcon
 } from '@heroicons/react/24/outline';
 import GlassModal from '../ui/GlassModal';
 
-const ExportModal = ({ isOpen, onClose, onExport, collectionName = 'All Items' }) => {
+const ExportModal = ({
+  isOpen,
+  onClose,
+  onExport,
+  collections = [],
+  selectedCollectionId = 'all',
+  collectionName = 'All Items'
+}) => {
   const [selectedFormat, setSelectedFormat] = useState('json');
+  const [exportCollectionId, setExportCollectionId] = useState(selectedCollectionId);
   const [isExporting, setIsExporting] = useState(false);
 
+  // Default to whichever collection the user is currently viewing
+  useEffect(() => {
+    if (isOpen) {
+      setExportCollectionId(selectedCollectionId);
+    }
+  }, [isOpen, selectedCollectionId]);
+
+  const exportCollectionName = exportCollectionId === 'all'
+    ? 'All Items'
+    : collections.find(c => c.id === exportCollectionId)?.name || collectionName;
+
   const exportFormats = [
     {
       id: 'json',
@@ -27,13 +49,41 @@ const ExportModal = ({ isOpen, onClose, onExport, collectionName = 'All Items' }
       description: 'Open in Excel, Google Sheets, or other spreadsheet apps',
       icon: TableCellsIcon,
       extension: '.csv'
+    },
+    {
+      id: 'ics',
+      name: 'Calendar (iCalendar)',
+      description: 'Add the next departure of each adventure to Google, Apple or Outlook Calendar',
+      icon: CalendarDaysIcon,
+      extension: '.ics'
+    },
+    {
+      id: 'pdf',
+      name: 'PDF Itinerary',
+      description: 'Printable itinerary with dates, locations and prices',
+      icon: PrinterIcon,
+      extension: '.pdf'
+    },
+    {
+      id: 'gpx',
+      name: 'GPX (GPS)',
+      description: 'Adventure coordinates as waypoints for GPS devices and hiking apps',
+      icon: MapIcon,
+      extension: '.gpx'
+    },
+    {
+      id: 'kml',
+      name: 'KML (Google Earth)',
+      description: 'Adventure locations for Google Earth and Google My Maps',
+      icon: GlobeAltIcon,
+      extension: '.kml'
     }
   ];
 
   const handleExport = async () => {
     setIsExporting(true);
     try {
-      await onExport(selectedFormat);
+      await onExport(selectedFormat, exportCollectionId === 'all' ? null : exportCollectionId);
     } finally {
       setIsExporting(false);
     }
@@ -64,11 +114,27 @@ const ExportModal = ({ isOpen, onClose, onExport, collectionName = 'All Items' }
         {/* Collection Info */}
         <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
           <h3 className="font-medium text-gray-900 dark:text-white mb-1">
-            Exporting: {collectionName}
+            Exporting: {exportCollectionName}
           </h3>
-          <p className="text-sm text-gray-600 dark:text-gray-300">
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
             Your wishlist data will be downloaded to your device
           </p>
+          {collections.length > 0 && (
+            <select
+              value={exportCollectionId}
+              onChange={(e) => setExportCollectionId(e.target.value)}
+              disabled={isExporting}
+              aria-label="Collection to export"
+              className="w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-white focus:ring-2 focus:ring-green-500"
+            >
+              <option value="all">All Items</option>
+              {collections.map(collection => (
+                <option key={collection.id} value={collection.id}>
+                  {collection.name}
+                </option>
+              ))}
+            </select>
+          )}
         </div>
 
         {/* Format Selection */}
@@ -77,7 +143,7 @@ const ExportModal = ({ isOpen, onClose, onExport, collectionName = 'All Items' }
             Choose Export Format
           </h3>
 
-          <div className="space-y-2">
+          <div className="space-y-2 max-h-72 overflow-y-auto">
             {exportFormats.map((format) => (
               <label
                 key={format.id}
@@ -120,6 +186,12 @@ const ExportModal = ({ isOpen, onClose, onExport, collectionName = 'All Items' }
                 <li>Date added to wishlist</li>
                 <li>Collection information (if any)</li>
                 <li>Adventure ratings and reviews</li>
+                {['ics', 'pdf'].includes(selectedFormat) && (
+                  <li>Next available departure date for each adventure</li>
+                )}
+                {['gpx', 'kml'].includes(selectedFormat) && (
+                  <li>Map coordinates (adventures without a location are left out)</li>
+                )}
               </ul>
             </div>
           </div>
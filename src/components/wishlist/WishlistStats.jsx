@@ -2,7 +2,23 @@ import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { WishlistService } from '../../services/wishlist-service';
 import GlassCard from '../ui/GlassCard';
-import { HeartIcon, FolderIcon, ClockIcon, CurrencyDollarIcon } from '@heroicons/react/24/outline';
+import { HeartIcon, FolderIcon, ClockIcon, CurrencyDollarIcon, BellAlertIcon } from '@heroicons/react/24/outline';
+const formatAlert = (alert) => {
+  const currency = alert.adventure?.currency || 'USD';
+  const formatPrice = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  switch (alert.alert_type) {
+    case 'target_price':
+      return `Hit your ${formatPrice(alert.target_price)} target: now ${formatPrice(alert.current_price)}`;
+    case 'price_drop':
+      return `Price dropped from ${formatPrice(alert.previous_price)} to ${formatPrice(alert.current_price)}`;
+    case 'availability': {
+      const dates = alert.available_dates || [];
+      return `${dates.length} new ${dates.length === 1 ? 'date' : 'dates'} available from ${dates[0]}`;
+    }
+    default:
+      return 'Alert triggered';
+  }
+};
 const WishlistStats = ({ userId, className = '' }) => {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -28,8 +44,8 @@ const WishlistStats = ({ userId, className = '' }) => {
         <GlassCard variant="light">
           <div className="animate-pulse">
             <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-1/4 mb-4"></div>
-            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
-              {[...Array(4)].map((_, i) => (
+            <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+              {[...Array(5)].map((_, i) => (
                 <div key={i} className="space-y-2">
                   <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded"></div>
                   <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-3/4"></div>
@@ -63,6 +79,13 @@ const WishlistStats = ({ userId, className = '' }) => {
       color: 'text-green-500',
       bgColor: 'bg-green-50 dark:bg-green-900/20'
     },
+    {
+      icon: BellAlertIcon,
+      label: 'Active Alerts',
+      value: stats.activeAlerts || 0,
+      color: 'text-purple-500',
+      bgColor: 'bg-purple-50 dark:bg-purple-900/20'
+    },
     {
       icon: CurrencyDollarIcon,
       label: 'Est. Total Value',
@@ -79,7 +102,7 @@ const WishlistStats = ({ userId, className = '' }) => {
         transition={{ delay: 0.1 }}
       >
         <GlassCard variant="light">
-          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
             {statItems.map((stat, index) => (
               <motion.div
                 key={stat.label}
@@ -100,6 +123,30 @@ const WishlistStats = ({ userId, className = '' }) => {
               </motion.div>
             ))}
           </div>
+          {stats.recentAlerts?.length > 0 && (
+            <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">
+                Recent Alerts
+              </h4>
+              <ul className="space-y-2">
+                {stats.recentAlerts.map(alert => (
+                  <li key={alert.id} className="flex items-start justify-between gap-4 text-sm">
+                    <div>
+                      <span className="font-medium text-gray-900 dark:text-white">
+                        {alert.adventure?.title || 'Adventure'}
+                      </span>
+                      <span className="block text-gray-600 dark:text-gray-300">
+                        {formatAlert(alert)}
+                      </span>
+                    </div>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {new Date(alert.triggered_at).toLocaleDateString()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </GlassCard>
       </motion.div>
     </div>
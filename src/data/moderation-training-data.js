@@ -0,0 +1,133 @@
+// Labelled examples bundled with the app to train the moderation classifier.
+// Each example lists the categories it belongs to; an empty list is acceptable content.
+// Moderator decisions (moderation_labels) are added to these when the model is retrained.
+export const moderationTrainingData = [
+  // Harassment
+  { text: 'You are a worthless idiot and nobody wants you on this trip', labels: ['harassment'] },
+  { text: 'Shut up you pathetic loser, stop posting', labels: ['harassment'] },
+  { text: 'I know where you live and I will make you regret this review', labels: ['harassment'] },
+  { text: 'Everyone in the group thinks you are stupid and ugly', labels: ['harassment'] },
+  { text: 'Go away moron, you ruined the whole hike for all of us', labels: ['harassment'] },
+  { text: 'You should be ashamed, what a disgusting excuse for a guide', labels: ['harassment'] },
+  { text: 'Keep posting and I will find you and hurt you', labels: ['harassment'] },
+  { text: 'Nobody cares about your dumb opinion, delete your account', labels: ['harassment'] },
+  { text: 'You are such a pathetic clown, I hope you get lost in the mountains and die', labels: ['harassment'] },
+  { text: 'Stupid idiot host, you deserve every bad thing that happens to you', labels: ['harassment'] },
+  { text: 'Shut your mouth loser, you are worthless', labels: ['harassment'] },
+  { text: 'I will keep messaging you until you quit, you freak', labels: ['harassment'] },
+
+  // Hate
+  { text: 'People of that religion are vermin and should be banned from travelling', labels: ['hate'] },
+  { text: 'Those immigrants are animals, keep them out of our tours', labels: ['hate'] },
+  { text: 'No foreigners allowed, this country is only for our race', labels: ['hate'] },
+  { text: 'That whole ethnic group is subhuman trash', labels: ['hate'] },
+  { text: 'Gay people are disgusting and should not be allowed in the group', labels: ['hate'] },
+  { text: 'Women are inferior and should never lead a trek', labels: ['hate'] },
+  { text: 'Go back to your own country, your kind is not welcome here', labels: ['hate'] },
+  { text: 'That race is inferior and dirty, never book with them', labels: ['hate'] },
+  { text: 'Disabled people are a burden and should stay home', labels: ['hate'] },
+  { text: 'Their religion breeds terrorists, ban them all', labels: ['hate'] },
+  { text: 'Your kind are vermin, nobody wants your people here', labels: ['hate'] },
+
+  // Sexual
+  { text: 'Send me nude pics tonight sexy', labels: ['sexual'] },
+  { text: 'Looking for a hookup in my hotel room after the tour, no strings', labels: ['sexual'] },
+  { text: 'You look hot in that bikini, want to have sex later', labels: ['sexual'] },
+  { text: 'Explicit adult content and porn videos in my profile link', labels: ['sexual'] },
+  { text: 'Any sexy girls want to share a bed on this trip', labels: ['sexual'] },
+  { text: 'I want to see you naked, send nudes', labels: ['sexual'] },
+  { text: 'Escort services available in every city, discreet and sexy', labels: ['sexual', 'spam'] },
+  { text: 'Horny and bored, message me for naughty pics', labels: ['sexual'] },
+  { text: 'Come to my room tonight for sex after the hike', labels: ['sexual'] },
+  { text: 'Sexy nude photos of the trip, adults only', labels: ['sexual'] },
+  { text: 'Naughty hookup anyone, send pics', labels: ['sexual'] },
+
+  // Spam
+  { text: 'Click here to buy now, limited time offer, act fast', labels: ['spam'] },
+  { text: 'Follow my channel and subscribe for daily travel giveaways http://bit.ly/x1 http://bit.ly/x2', labels: ['spam'] },
+  { text: 'BEST CHEAP FLIGHTS CLICK HERE CLICK HERE CLICK HERE', labels: ['spam'] },
+  { text: 'Earn money fast working from home, visit my website now', labels: ['spam'] },
+  { text: 'Cheap pills pharmacy online no prescription', labels: ['spam'] },
+  { text: 'Best casino bonus, play slots and poker now', labels: ['spam'] },
+  { text: 'Check out my profile link for discount codes, like and share', labels: ['spam'] },
+  { text: 'Buy followers and likes cheap, visit now', labels: ['spam'] },
+  { text: 'Promo promo promo buy now visit my shop link in bio', labels: ['spam'] },
+  { text: 'Subscribe to my newsletter for free stuff, click the link', labels: ['spam'] },
+  { text: 'Hot deal click here http://deals.example http://deals.example/2 buy now', labels: ['spam'] },
+  { text: 'Crypto trading signals, join my group and double your investment', labels: ['spam', 'scam'] },
+
+  // Scams
+  { text: 'Congratulations you won a free trip, pay the processing fee to claim your prize', labels: ['scam'] },
+  { text: 'Send me gift cards and I will secure your booking at half price', labels: ['scam'] },
+  { text: 'Guaranteed returns, invest in my bitcoin scheme and double your money in a week', labels: ['scam'] },
+  { text: 'Your account is suspended, verify your card details at this link to avoid losing your booking', labels: ['scam'] },
+  { text: 'I am the tour operator, wire a deposit to this account to hold your spot', labels: ['scam', 'off_platform_payment'] },
+  { text: 'Claim your refund by entering your password and card number here', labels: ['scam'] },
+  { text: 'Last seats at 90 percent off, pay in bitcoin only, no refunds', labels: ['scam', 'off_platform_payment'] },
+  { text: 'Winner selected, send a small fee for the prize delivery', labels: ['scam'] },
+  { text: 'Pay a fee to unlock your prize money today', labels: ['scam'] },
+  { text: 'Verify your account password and card number or your booking is cancelled', labels: ['scam'] },
+  { text: 'Investment opportunity guaranteed profit, double your money', labels: ['scam'] },
+
+  // Off-platform payment solicitation
+  { text: 'Pay me directly on venmo and we skip the platform fees', labels: ['off_platform_payment'] },
+  { text: 'Message me on whatsapp and I will give you a cash discount outside the app', labels: ['off_platform_payment'] },
+  { text: 'Send the money by paypal friends and family instead of booking here', labels: ['off_platform_payment'] },
+  { text: 'Cancel the booking and do a bank transfer to me, it is cheaper', labels: ['off_platform_payment'] },
+  { text: 'Email me at guide@example.com to book directly and avoid the commission', labels: ['off_platform_payment'] },
+  { text: 'Call me on +1 555 123 4567, pay cash on arrival, no need to book through the site', labels: ['off_platform_payment'] },
+  { text: 'I take zelle or cashapp if you want a lower price than the listing', labels: ['off_platform_payment'] },
+  { text: 'Book outside the platform with me and save 20 percent', labels: ['off_platform_payment'] },
+  { text: 'Pay me via revolut directly, the app charges too much', labels: ['off_platform_payment'] },
+  { text: 'Contact me on telegram to pay directly and skip the fees', labels: ['off_platform_payment'] },
+  { text: 'Cash only deal if you book directly with me outside the app', labels: ['off_platform_payment'] },
+
+  // Acceptable content
+  { text: 'Amazing sunrise hike today, the guide was patient and funny', labels: [] },
+  { text: 'Does anyone have tips for packing light for a week in Lisbon?', labels: [] },
+  { text: 'The kayaking tour was well organised and the group was lovely', labels: [] },
+  { text: 'Looking for two more travellers to join our Alps trek in October', labels: [] },
+  { text: 'Thanks everyone for a great trip, see you on the next adventure', labels: [] },
+  { text: 'What is the best time of year to visit Patagonia?', labels: [] },
+  { text: 'The hostel was clean but a bit noisy at night', labels: [] },
+  { text: 'Our guide explained the history of every temple we visited', labels: [] },
+  { text: 'Can I pay the balance with a different card in the app?', labels: [] },
+  { text: 'I paid my share of the split payment, thanks for organising', labels: [] },
+  { text: 'The booking confirmation arrived by email, everything looks right', labels: [] },
+  { text: 'Is there a vegetarian option on the food tour?', labels: [] },
+  { text: 'Great photos! Which camera did you use for the night shots?', labels: [] },
+  { text: 'We missed the bus but the host helped us find a taxi', labels: [] },
+  { text: 'Three days of diving and we saw turtles every single day', labels: [] },
+  { text: 'The trail was harder than expected, bring good boots', labels: [] },
+  { text: 'Would you recommend this surf camp for beginners?', labels: [] },
+  { text: 'Loved the cooking class, the pasta was incredible', labels: [] },
+  { text: 'Our flight was delayed, can we move the pickup to 3pm?', labels: [] },
+  { text: 'The refund for the cancelled day arrived in my account', labels: [] },
+  { text: 'Free walking tour meets at the main square at 10am', labels: [] },
+  { text: 'Please share the link to the itinerary again, I lost it', labels: [] },
+  { text: 'I hate getting up early but the view was worth it', labels: [] },
+  { text: 'The weather killed our plans for the summit, we will try again tomorrow', labels: [] },
+  { text: 'That descent was insane, my legs are dead', labels: [] },
+  { text: 'Met wonderful people from all over the world on this tour', labels: [] },
+  { text: 'The local women run the best market stalls in town', labels: [] },
+  { text: 'Swimming in the hot springs at night was magical', labels: [] },
+  { text: 'Please leave a review for our guide, she was fantastic', labels: [] },
+  { text: 'Where did everyone stay in Kyoto? Looking for a quiet area', labels: [] },
+  { text: 'Our group chat is on the app, see the trip page', labels: [] },
+  { text: 'The deposit was charged when I booked, the rest is due next week', labels: [] },
+  { text: 'Does the price include the park entrance fee?', labels: [] },
+  { text: 'Happy to share my packing list with anyone who needs it', labels: [] },
+  { text: 'The vendor replied quickly and changed our dates without a fee', labels: [] },
+  { text: 'First time solo travelling and I felt safe the whole trip', labels: [] },
+  { text: 'Can someone recommend a good travel insurance for hiking?', labels: [] },
+  { text: 'What a stunning beach, the water was crystal clear', labels: [] },
+  { text: 'The museum was closed on Monday, check the hours before going', labels: [] },
+  { text: 'Sharing my photos from the safari, the lions were so close', labels: [] },
+  { text: 'The guide said tips are welcome but not expected', labels: [] },
+  { text: 'We paid for the upgrade through the booking page and it went smoothly', labels: [] },
+  { text: 'Bring cash for the street food market, the stalls are small', labels: [] },
+  { text: 'Just got my prize from the photo contest, thanks to the community', labels: [] },
+  { text: 'Is anyone else doing the whatsapp group for the Bali trip?', labels: [] },
+];
+
+export default moderationTrainingData;
@@ -0,0 +1,20 @@
+// Reference exchange rates bundled with the app for offline use and tests.
+// Units of each currency per 1 USD; refresh when the table becomes noticeably stale.
+export const offlineExchangeRates = {
+  base: 'USD',
+  asOf: '2025-09-01T00:00:00.000Z',
+  rates: {
+    USD: 1,
+    EUR: 0.8547,
+    GBP: 0.7402,
+    CAD: 1.3751,
+    AUD: 1.5284,
+    JPY: 147.05,
+    CHF: 0.8021,
+    SEK: 9.4313,
+    DKK: 6.3816,
+    NOK: 10.0379,
+  },
+};
+
+export default offlineExchangeRates;
@@ -1,103 +1,188 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import SearchBar from '../components/search/SearchBar';
 import SearchResults from '../components/search/SearchResults';
 import FilterPanel from '../components/adventure/FilterPanel';
 import MapView from '../components/adventure/MapView';
 import searchService from '../services/searchService';
+import {
+  createPostgresSearchBackend,
+  normalizeSearchRequest,
+  LOCATION_RADIUS_KM
+} from '../services/adventure-search-backends';
+import { savedSearchManager } from '../services/saved-search-service';
+import { supabase } from '../lib/supabase';
+import { useGeolocation } from '../hooks/useGeolocation';
+import { useAuth } from '../hooks/useAuth';
 import { mockAdventures } from '../data/mock-adventures';
+// 'postgres' searches server-side; 'memory' searches the bundled mock adventures
+const SEARCH_BACKEND = import.meta.env.VITE_SEARCH_BACKEND || 'postgres';
+const PAGE_SIZE = 24;
+const SEARCH_BAR_ADVENTURES = SEARCH_BACKEND === 'memory' ? mockAdventures : [];
+const ALERT_FREQUENCY_OPTIONS = [
+  { value: '', label: 'Use my notification settings' },
+  { value: 'immediate', label: 'Immediately' },
+  { value: 'daily_digest', label: 'Daily digest' },
+  { value: 'weekly_digest', label: 'Weekly digest' }
+];
+// Saved filters as FilterPanel URL params, so the panel restores them on mount
+const filtersToParams = (searchQuery, savedFilters = {}) => {
+  const params = {};
+  if (searchQuery) params.q = searchQuery;
+  Object.entries(savedFilters).forEach(([key, value]) => {
+    if (key === 'geo' || value === '' || value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params[key] = value.join(',');
+    } else if (!['all', 0, 5000].includes(value)) {
+      params[key] = String(value);
+    }
+  });
+  return params;
+};
 const SearchPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
+  const { location: userLocation, requestLocation } = useGeolocation();
+  const { user } = useAuth();
   const [searchResults, setSearchResults] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [page, setPage] = useState(1);
+  const [popularAdventures, setPopularAdventures] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [query, setQuery] = useState(searchParams.get('q') || '');
   const [sortBy, setSortBy] = useState('relevance');
-  const [filters, setFilters] = useState({
-    priceRange: [0, 5000],
-    duration: '',
-    difficulty: '',
-    tags: [],
-    groupSize: '',
-    rating: 0
-  });
+  const [filters, setFilters] = useState({});
   const [showFilters, setShowFilters] = useState(false);
   const [showMap, setShowMap] = useState(false);
-  const [showTrendingSection, setShowTrendingSection] = useState(true);
-  // Initialize search service
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [filterPanelKey, setFilterPanelKey] = useState(0);
+  const latestRequest = useRef(0);
+  const lastUrlQuery = useRef(query);
+  // Choose the search backend and load popular adventures
   useEffect(() => {
-    searchService.initialize(mockAdventures);
+    if (SEARCH_BACKEND === 'memory') {
+      searchService.initialize(mockAdventures);
+      searchService.setBackend(null);
+    } else {
+      searchService.setBackend(createPostgresSearchBackend(supabase));
+    }
+    searchService.getBackend()
+      .search({ sort: 'rating', pageSize: 6 })
+      .then(response => setPopularAdventures(response.results))
+      .catch(() => setPopularAdventures([]));
   }, []);
-  // Handle initial search from URL params
+  // Load the user's saved searches
+  useEffect(() => {
+    if (!user) {
+      setSavedSearches([]);
+      return;
+    }
+    savedSearchManager.getSavedSearches(user.id)
+      .then(setSavedSearches)
+      .catch(() => setSavedSearches([]));
+  }, [user]);
+  // Keep the query in sync with the URL; only a changed q counts, not filter params
   useEffect(() => {
-    const urlQuery = searchParams.get('q');
-    if (urlQuery && urlQuery !== query) {
+    const urlQuery = searchParams.get('q') || '';
+    if (urlQuery !== lastUrlQuery.current) {
+      lastUrlQuery.current = urlQuery;
       setQuery(urlQuery);
-      performSearch(urlQuery);
+      setPage(1);
     }
   }, [searchParams]);
-  // Perform search
-  const performSearch = async (searchQuery) => {
-    if (!searchQuery.trim()) {
+  // Local/regional location filters need the user's coordinates
+  useEffect(() => {
+    if (LOCATION_RADIUS_KM[filters.location] && !userLocation) {
+      requestLocation();
+    }
+  }, [filters.location, userLocation, requestLocation]);
+  const request = useMemo(
+    () => ({ text: query, filters, sort: sortBy, userLocation, pageSize: PAGE_SIZE }),
+    [query, filters, sortBy, userLocation]
+  );
+  const hasActiveFilters = useMemo(() => {
+    const { filters: normalized } = normalizeSearchRequest(request);
+    return Object.values(normalized).some(value =>
+      Array.isArray(value) ? value.length > 0 : value !== null
+    );
+  }, [request]);
+  const showTrendingSection = !query.trim() && !hasActiveFilters;
+  // Run the search whenever the query, filters, sort or page change
+  useEffect(() => {
+    if (showTrendingSection) {
       setSearchResults([]);
-      setShowTrendingSection(true);
+      setTotalCount(0);
+      setFacets(null);
       return;
     }
+    const requestId = ++latestRequest.current;
     setIsLoading(true);
-    setShowTrendingSection(false);
-    try {
-      const results = searchService.search(searchQuery, { limit: 50 });
-      const filteredResults = applyFilters(results);
-      setSearchResults(filteredResults);
-    } catch (error) {
-      setSearchResults([]);
-    } finally {
-      setIsLoading(false);
+    searchService.query({ ...request, page })
+      .then(response => {
+        if (requestId !== latestRequest.current) return;
+        setSearchResults(prev => (page > 1 ? [...prev, ...response.results] : response.results));
+        setTotalCount(response.total);
+        setFacets(response.facets);
+      })
+      .catch(() => {
+        if (requestId !== latestRequest.current) return;
+        setSearchResults([]);
+        setTotalCount(0);
+      })
+      .finally(() => {
+        if (requestId === latestRequest.current) setIsLoading(false);
+      });
+  }, [request, page, showTrendingSection]);
+  // Handle search from search bar (results are fetched from the search backend)
+  const handleSearch = (_results, searchQuery) => {
+    // SearchBar only records recent searches when it has in-memory data to search
+    if (SEARCH_BACKEND !== 'memory' && searchQuery.trim()) {
+      searchService.saveRecentSearch(searchQuery.trim());
     }
-  };
-  // Apply filters to search results
-  const applyFilters = (results) => {
-    return results.filter(adventure => {
-      // Price filter
-      if (adventure.price < filters.priceRange[0] || adventure.price > filters.priceRange[1]) {
-        return false;
-      }
-      // Duration filter
-      if (filters.duration && !adventure.duration.toLowerCase().includes(filters.duration.toLowerCase())) {
-        return false;
-      }
-      // Difficulty filter
-      if (filters.difficulty && adventure.difficulty !== filters.difficulty) {
-        return false;
-      }
-      // Tags filter
-      if (filters.tags.length > 0 && !filters.tags.some(tag => adventure.tags?.includes(tag))) {
-        return false;
-      }
-      // Rating filter
-      if (filters.rating > 0 && adventure.rating < filters.rating) {
-        return false;
-      }
-      return true;
-    });
-  };
-  // Handle search from search bar
-  const handleSearch = (results, searchQuery) => {
     setQuery(searchQuery);
+    setPage(1);
     setSearchParams(searchQuery ? { q: searchQuery } : {});
-    setSearchResults(results);
   };
   // Handle adventure selection
   const handleAdventureSelect = (adventure) => {
     navigate(`/adventures/${adventure.id}`);
   };
-  // Handle filter changes
-  const handleFilterChange = (newFilters) => {
+  // FilterPanel reports its filters on every change (and on mount)
+  const handleFiltersChange = useCallback((newFilters) => {
     setFilters(newFilters);
-    if (query.trim()) {
-      const results = searchService.search(query, { limit: 50 });
-      const filteredResults = applyFilters(results.map(r => ({ ...r, ...newFilters })));
-      setSearchResults(filteredResults);
+    setPage(1);
+  }, []);
+  const handleSortChange = (newSort) => {
+    setSortBy(newSort);
+    setPage(1);
+  };
+  const handleSaveSearch = async ({ name, alertFrequency }) => {
+    const saved = await savedSearchManager.createSavedSearch(user.id, {
+      name,
+      text: query,
+      filters,
+      sort: sortBy,
+      userLocation,
+      alertFrequency: alertFrequency || null
+    });
+    setSavedSearches(prev => [saved, ...prev]);
+  };
+  const handleRunSavedSearch = (savedSearch) => {
+    const request = savedSearchManager.toSearchRequest(savedSearch);
+    setQuery(request.text);
+    setFilters(request.filters);
+    setSortBy(request.sort);
+    setPage(1);
+    setSearchParams(filtersToParams(request.text, request.filters));
+    setFilterPanelKey(prev => prev + 1);
+  };
+  const handleDeleteSavedSearch = async (savedSearchId) => {
+    try {
+      await savedSearchManager.deleteSavedSearch(savedSearchId);
+      setSavedSearches(prev => prev.filter(search => search.id !== savedSearchId));
+    } catch {
+      // Keep the search listed if the delete failed
     }
   };
   // Get trending searches for empty state
@@ -113,7 +198,7 @@ const SearchPage = () => {
               <SearchBar
                 onSearch={handleSearch}
                 onResultSelect={handleAdventureSelect}
-                adventures={mockAdventures}
+                adventures={SEARCH_BAR_ADVENTURES}
                 placeholder="Search adventures, locations, activities..."
                 className="w-full"
               />
@@ -140,9 +225,10 @@ const SearchPage = () => {
             <div className="w-80 flex-shrink-0">
               <div className="bg-white rounded-lg shadow-sm border border-gray-200 sticky top-8">
                 <FilterPanel
-                  filters={filters}
-                  onFilterChange={handleFilterChange}
-                  adventures={mockAdventures}
+                  key={filterPanelKey}
+                  onFiltersChange={handleFiltersChange}
+                  totalCount={totalCount}
+                  facets={facets}
                 />
               </div>
             </div>
@@ -158,36 +244,62 @@ const SearchPage = () => {
               </div>
             )}
             {/* Trending Section (shown when no search) */}
-            {showTrendingSection && !query.trim() && (
+            {showTrendingSection && (
               <div className="space-y-8">
+                {savedSearches.length > 0 && (
+                  <SavedSearchesSection
+                    savedSearches={savedSearches}
+                    onRun={handleRunSavedSearch}
+                    onDelete={handleDeleteSavedSearch}
+                  />
+                )}
                 <TrendingSection
                   trendingSearches={trendingSearches}
                   popularSearches={popularSearches}
                   onSearchSelect={(searchQuery) => {
                     setQuery(searchQuery);
+                    setPage(1);
                     setSearchParams({ q: searchQuery });
-                    performSearch(searchQuery);
                   }}
                 />
                 <PopularAdventures
-                  adventures={mockAdventures.filter(adv => adv.featured).slice(0, 6)}
+                  adventures={popularAdventures}
                   onAdventureClick={handleAdventureSelect}
                 />
               </div>
             )}
             {/* Search Results */}
-            {(query.trim() || !showTrendingSection) && (
-              <SearchResults
-                results={searchResults}
-                query={query}
-                isLoading={isLoading}
-                totalCount={searchResults.length}
-                onResultClick={handleAdventureSelect}
-                sortBy={sortBy}
-                onSortChange={setSortBy}
-                showMap={showMap}
-                onToggleMap={() => setShowMap(!showMap)}
-              />
+            {!showTrendingSection && (
+              <>
+                {user && (
+                  <SaveSearchForm
+                    defaultName={query.trim()}
+                    onSave={handleSaveSearch}
+                  />
+                )}
+                <SearchResults
+                  results={searchResults}
+                  query={query}
+                  isLoading={isLoading && page === 1}
+                  totalCount={totalCount}
+                  onResultClick={handleAdventureSelect}
+                  sortBy={sortBy}
+                  onSortChange={handleSortChange}
+                  showMap={showMap}
+                  onToggleMap={() => setShowMap(!showMap)}
+                />
+                {searchResults.length < totalCount && (
+                  <div className="mt-8 text-center">
+                    <button
+                      onClick={() => setPage(prev => prev + 1)}
+                      disabled={isLoading}
+                      className="px-6 py-2 bg-white text-gray-700 rounded-lg border border-gray-200 hover:border-blue-300 hover:text-blue-600 transition-colors disabled:opacity-50"
+                    >
+                      {isLoading ? 'Loading...' : 'Load more adventures'}
+                    </button>
+                  </div>
+                )}
+              </>
             )}
           </div>
         </div>
@@ -195,6 +307,122 @@ const SearchPage = () => {
     </div>
   );
 };
+const SaveSearchForm = ({ defaultName, onSave }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [alertFrequency, setAlertFrequency] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave({ name, alertFrequency });
+      setSaved(true);
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  if (!isOpen) {
+    return (
+      <div className="mb-4 flex justify-end">
+        <button
+          onClick={() => {
+            setName(defaultName);
+            setSaved(false);
+            setIsOpen(true);
+          }}
+          className="px-4 py-2 text-sm text-blue-600 hover:text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors"
+        >
+          {saved ? 'Saved ✓ Save another' : 'Save this search'}
+        </button>
+      </div>
+    );
+  }
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-4 bg-white rounded-lg border border-gray-200 space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this search"
+          maxLength={100}
+          required
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <select
+          value={alertFrequency}
+          onChange={(e) => setAlertFrequency(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        >
+          {ALERT_FREQUENCY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>
+              Alerts: {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving || !name.trim()}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save search'}
+        </button>
+      </div>
+    </form>
+  );
+};
+const SavedSearchesSection = ({ savedSearches, onRun, onDelete }) => {
+  const getAlertLabel = (savedSearch) => {
+    if (!savedSearch.alerts_enabled) return 'Alerts off';
+    return ALERT_FREQUENCY_OPTIONS.find(option => option.value === (savedSearch.alert_frequency || ''))?.label;
+  };
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Your Saved Searches</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {savedSearches.map((savedSearch) => (
+          <div
+            key={savedSearch.id}
+            className="p-4 bg-white rounded-lg border border-gray-200 flex items-start justify-between gap-3"
+          >
+            <button onClick={() => onRun(savedSearch)} className="text-left group flex-1">
+              <span className="font-medium text-gray-900 group-hover:text-blue-600 transition-colors">
+                {savedSearch.name}
+              </span>
+              <span className="block text-sm text-gray-500">
+                {savedSearch.query_text ? `"${savedSearch.query_text}"` : 'Filters only'} · {getAlertLabel(savedSearch)}
+              </span>
+            </button>
+            <button
+              onClick={() => onDelete(savedSearch.id)}
+              className="text-sm text-gray-400 hover:text-red-600"
+              aria-label={`Delete saved search ${savedSearch.name}`}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
 const TrendingSection = ({ trendingSearches, popularSearches, onSearchSelect }) => {
   return (
     <div className="space-y-6">
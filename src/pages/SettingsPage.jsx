@@ -9,6 +9,7 @@ import {
   CurrencyDollarIcon,
   ChatBubbleLeftRightIcon,
   DevicePhoneMobileIcon,
+  GiftIcon,
   ArrowRightIcon
 } from '@heroicons/react/24/outline';
 import GlassCard from '../components/ui/GlassCard';
@@ -16,8 +17,9 @@ import GlassButton from '../components/ui/GlassButton';
 import GlassInput from '../components/ui/GlassInput';
 import NotificationPreferences from '../components/settings/NotificationPreferences';
 import PrivacyPreferenceCenter from '../components/settings/PrivacyPreferenceCenter';
+import ReferralInvite from '../components/settings/ReferralInvite';
 const SettingsPage = () => {
-  const [activeTab, setActiveTab] = useState('account'); // account, notifications, privacy, preferences
+  const [activeTab, setActiveTab] = useState('account'); // account, notifications, privacy, preferences, referrals
   const [userProfile, setUserProfile] = useState({
     name: 'John Doe',
     email: 'john.doe@example.com',
@@ -88,7 +90,8 @@ const SettingsPage = () => {
     { id: 'account', label: 'Account', icon: UserCircleIcon },
     { id: 'notifications', label: 'Notifications', icon: BellIcon },
     { id: 'privacy', label: 'Privacy', icon: ShieldCheckIcon },
-    { id: 'preferences', label: 'Preferences', icon: CogIcon }
+    { id: 'preferences', label: 'Preferences', icon: CogIcon },
+    { id: 'referrals', label: 'Invite Friends', icon: GiftIcon }
   ];
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 dark:from-gray-900 dark:via-gray-800 dark:to-purple-900">
@@ -286,6 +289,8 @@ const SettingsPage = () => {
             )}
             {/* Notifications Tab */}
             {activeTab === 'notifications' && <NotificationPreferences />}
+            {/* Referrals Tab */}
+            {activeTab === 'referrals' && <ReferralInvite />}
             {/* Privacy Tab */}
             {activeTab === 'privacy' && (
               <div className="space-y-6">
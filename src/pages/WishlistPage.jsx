@@ -138,10 +138,9 @@ const WishlistPage = () => {
     } catch (error) {
     }
   };
-  const handleExport = async (format) => {
+  const handleExport = async (format, collectionId = null) => {
     try {
-      const collectionId = selectedCollection === 'all' ? null : selectedCollection;
-      const { data, filename, mimeType, error } = await WishlistService.exportWishlist(
+      const { data, filename, mimeType, skipped, error } = await WishlistService.exportWishlist(
         user.id,
         format,
         collectionId
@@ -166,7 +165,9 @@ const WishlistPage = () => {
       addNotification({
         type: 'success',
         title: 'Export Complete',
-        message: 'Your wishlist has been exported successfully'
+        message: skipped
+          ? `Your wishlist has been exported. ${skipped} adventure${skipped !== 1 ? 's' : ''} without ${format === 'ics' ? 'an upcoming departure' : 'a map location'} ${skipped !== 1 ? 'were' : 'was'} left out.`
+          : 'Your wishlist has been exported successfully'
       });
     } catch (error) {
     }
@@ -470,6 +471,8 @@ const WishlistPage = () => {
         isOpen={showExportModal}
         onClose={() => setShowExportModal(false)}
         onExport={handleExport}
+        collections={collections}
+        selectedCollectionId={selectedCollection}
         collectionName={
           selectedCollection === 'all'
             ? 'All Items'
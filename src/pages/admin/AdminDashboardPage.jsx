@@ -2,13 +2,14 @@ import React, { useState } from 'react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../components/ui/tabs';
 import AnalyticsDashboard from '../../components/admin/AnalyticsDashboard';
 import AlgorithmMonitoringDashboard from '../../components/admin/AlgorithmMonitoringDashboard';
-import { BarChart3, Settings, Users, Activity } from 'lucide-react';
+import SupportTicketQueue from '../../components/admin/SupportTicketQueue';
+import { BarChart3, Settings, Users, Activity, LifeBuoy } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
 import { Navigate } from 'react-router-dom';
 
 /**
  * Admin Dashboard Page
- * Main admin interface with analytics, user management, and system monitoring
+ * Main admin interface with analytics, support tickets, user management, and system monitoring
  */
 const AdminDashboardPage = () => {
   const { user, loading } = useAuth();
@@ -54,7 +55,7 @@ const AdminDashboardPage = () => {
       {/* Admin Navigation Tabs */}
       <div className="px-6 py-4">
         <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-          <TabsList className="grid w-full grid-cols-4 max-w-2xl">
+          <TabsList className="grid w-full grid-cols-5 max-w-3xl">
             <TabsTrigger value="analytics" className="flex items-center gap-2">
               <BarChart3 className="w-4 h-4" />
               Analytics
@@ -63,6 +64,10 @@ const AdminDashboardPage = () => {
               <Activity className="w-4 h-4" />
               Monitoring
             </TabsTrigger>
+            <TabsTrigger value="support" className="flex items-center gap-2">
+              <LifeBuoy className="w-4 h-4" />
+              Support
+            </TabsTrigger>
             <TabsTrigger value="users" className="flex items-center gap-2">
               <Users className="w-4 h-4" />
               Users
@@ -83,6 +88,11 @@ const AdminDashboardPage = () => {
             <AlgorithmMonitoringDashboard />
           </TabsContent>
 
+          {/* Support Tickets Tab */}
+          <TabsContent value="support" className="mt-6">
+            <SupportTicketQueue />
+          </TabsContent>
+
           {/* User Management Tab */}
           <TabsContent value="users" className="mt-6">
             <UserManagementPanel />
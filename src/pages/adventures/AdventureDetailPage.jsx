@@ -10,6 +10,9 @@ import PricingBreakdown from '../../components/adventure/PricingBreakdown';
 import AvailabilityCalendar from '../../components/adventure/AvailabilityCalendar';
 import SocialProof from '../../components/adventure/SocialProof';
 import SimilarAdventures from '../../components/adventure/SimilarAdventures';
+import ItineraryTimeline from '../../components/adventure/ItineraryTimeline';
+import ItineraryMap from '../../components/adventure/ItineraryMap';
+import { MapboxProvider } from '../../contexts/MapboxContext';
 import FavoriteButton from '../../components/wishlist/FavoriteButton';
 
 const AdventureDetailPage = () => {
@@ -17,6 +20,7 @@ const AdventureDetailPage = () => {
   const [adventure, setAdventure] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeSection, setActiveSection] = useState('overview');
+  const [selectedStop, setSelectedStop] = useState(null);
 
   useEffect(() => {
     const loadAdventure = async () => {
@@ -283,28 +287,20 @@ const AdventureDetailPage = () => {
               >
                 <GlassCard variant="light">
                   <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">Daily Itinerary</h2>
-                  <div className="space-y-6">
-                    {adventure.itinerary.map((day) => (
-                      <div key={day.day} className="border-l-2 border-primary-200 dark:border-primary-800 pl-6 relative">
-                        <div className="absolute -left-2 top-0 w-4 h-4 bg-primary-500 rounded-full"></div>
-                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                          Day {day.day}: {day.title}
-                        </h3>
-                        <ul className="space-y-1 mb-3">
-                          {day.activities.map((activity, index) => (
-                            <li key={index} className="text-gray-600 dark:text-gray-300 text-sm">
-                              • {activity}
-                            </li>
-                          ))}
-                        </ul>
-                        {day.accommodation && (
-                          <p className="text-sm text-gray-500 dark:text-gray-400">
-                            <strong>Accommodation:</strong> {day.accommodation}
-                          </p>
-                        )}
-                      </div>
-                    ))}
-                  </div>
+                  <MapboxProvider>
+                    <ItineraryMap
+                      itinerary={adventure.itinerary}
+                      selectedId={selectedStop}
+                      onSelect={setSelectedStop}
+                      className="mb-6"
+                    />
+                  </MapboxProvider>
+                  <ItineraryTimeline
+                    itinerary={adventure.itinerary}
+                    startDate={adventure.start_date}
+                    selectedId={selectedStop}
+                    onSelect={setSelectedStop}
+                  />
                 </GlassCard>
               </motion.div>
             )}
@@ -0,0 +1,176 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { TagIcon } from '@heroicons/react/24/outline';
+import { payments } from '../../services/stripe-service';
+import { pricingEngine } from '../../services/pricing-service';
+import { useAuth } from '../../hooks/useAuth';
+import PaymentCheckout from '../../components/stripe/PaymentCheckout';
+import QuoteLineItems from '../../components/adventure/QuoteLineItems';
+import GlassCard from '../../components/ui/GlassCard';
+import GlassButton from '../../components/ui/GlassButton';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+
+const BookingCheckoutPage = () => {
+  const { bookingId } = useParams();
+  const { user } = useAuth();
+  const [checkout, setCheckout] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const [paying, setPaying] = useState(false);
+
+  const loadCheckout = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setCheckout(await payments.getBookingCheckout(bookingId));
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [bookingId]);
+
+  useEffect(() => {
+    if (bookingId) {
+      loadCheckout();
+    }
+  }, [bookingId, loadCheckout]);
+
+  const booking = checkout?.booking;
+  const locked = Boolean(booking?.price_locked_at);
+
+  // Until the price is locked the quote is previewed with the promo code; paying locks it
+  useEffect(() => {
+    if (!booking) return;
+    if (locked) {
+      setQuote(booking.price_quote);
+      return;
+    }
+    const loadQuote = async () => {
+      try {
+        setQuote(await pricingEngine.quote(booking.adventure_id, {
+          participants: booking.total_participants,
+          tripDate: booking.booking_date,
+          promoCode,
+          userId: user?.id || null,
+        }));
+      } catch (quoteError) {
+        if (promoCode) {
+          setPromoCode(null);
+          setPromoError(quoteError.message);
+        } else {
+          setError(quoteError.message);
+        }
+      }
+    };
+    loadQuote();
+  }, [booking, locked, promoCode, user?.id]);
+
+  const handleApplyPromo = (e) => {
+    e.preventDefault();
+    setPromoError(null);
+    setPromoCode(promoInput.trim());
+  };
+
+  const handleCancelPayment = () => {
+    setPaying(false);
+    loadCheckout();
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen />;
+  }
+
+  if (!booking) {
+    return (
+      <div className="container mx-auto px-4 py-16 text-center">
+        <div className="max-w-md mx-auto">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">Checkout unavailable</h1>
+          <p className="text-gray-600 dark:text-gray-300 mb-8">{error || 'This booking could not be found.'}</p>
+          <Link
+            to="/dashboard"
+            className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const title = booking.adventure?.title || 'your adventure';
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-2xl space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">Checkout</h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          {title} · {new Date(`${booking.booking_date}T00:00:00`).toLocaleDateString()} ·{' '}
+          {booking.total_participants} traveler{booking.total_participants === 1 ? '' : 's'}
+        </p>
+      </div>
+
+      {error && <ErrorMessage title="Couldn't load your price" message={error} showRetry={false} />}
+
+      {paying ? (
+        <PaymentCheckout
+          vendorAccountId={checkout.vendorAccountId}
+          bookingId={booking.id}
+          promoCode={locked ? null : promoCode}
+          description={`Booking for ${title}`}
+          onCancel={handleCancelPayment}
+        />
+      ) : (
+        <GlassCard className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {locked ? 'Your Booking Price' : 'Your Quote'}
+          </h2>
+
+          {!locked && (
+            <form onSubmit={handleApplyPromo} className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  placeholder="Promo code"
+                  disabled={Boolean(promoCode)}
+                  className="flex-1 px-3 py-2 bg-white/10 dark:bg-white/5 border border-white/20 dark:border-white/10 rounded-lg text-gray-900 dark:text-white uppercase"
+                />
+                {promoCode ? (
+                  <GlassButton type="button" onClick={() => { setPromoCode(null); setPromoInput(''); }}>
+                    Remove
+                  </GlassButton>
+                ) : (
+                  <GlassButton type="submit" disabled={!promoInput.trim()}>
+                    <TagIcon className="h-5 w-5 mr-2" />
+                    Apply
+                  </GlassButton>
+                )}
+              </div>
+              {promoError && <p className="text-sm text-red-600 dark:text-red-400">{promoError}</p>}
+            </form>
+          )}
+
+          {quote ? <QuoteLineItems quote={quote} /> : <LoadingSpinner message="Pricing your booking..." />}
+
+          <GlassButton variant="primary" className="w-full" disabled={!quote} onClick={() => setPaying(true)}>
+            Continue to payment
+          </GlassButton>
+          {!locked && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
+              Your price and promo code are locked in when you continue.
+            </p>
+          )}
+        </GlassCard>
+      )}
+    </div>
+  );
+};
+
+export default BookingCheckoutPage;
@@ -2,15 +2,20 @@ import { useState } from 'react';
 import StaticPageLayout from '../../components/layout/StaticPageLayout';
 import GlassCard from '../../components/ui/GlassCard';
 import GlassButton from '../../components/ui/GlassButton';
+import { supportTicketEngine, formatTicketReference } from '../../services/support-ticket-service';
+const emptyForm = {
+  name: '',
+  email: '',
+  subject: '',
+  category: '',
+  message: ''
+};
 const ContactPage = () => {
   const breadcrumbs = [{ title: "Contact Us" }];
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    subject: '',
-    category: '',
-    message: ''
-  });
+  const [formData, setFormData] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [ticketReference, setTicketReference] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
   const contactMethods = [
     {
       type: 'General Support',
@@ -51,9 +56,28 @@ const ContactPage = () => {
     'Partnership',
     'Other'
   ];
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Handle form submission
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      // Replies to contact form tickets go out by email
+      const ticket = await supportTicketEngine.receiveCustomerMessage({
+        channel: 'email',
+        channelRef: formData.email.trim(),
+        requesterName: formData.name.trim(),
+        requesterEmail: formData.email.trim(),
+        subject: formData.subject,
+        category: formData.category,
+        body: formData.message,
+      });
+      setTicketReference(formatTicketReference(ticket));
+      setFormData(emptyForm);
+    } catch {
+      setSubmitError('We could not send your message. Please try again or email support@trvlsocial.com.');
+    } finally {
+      setIsSubmitting(false);
+    }
   };
   const handleInputChange = (e) => {
     setFormData({
@@ -162,9 +186,19 @@ const ContactPage = () => {
                     placeholder="Please provide detailed information about your inquiry..."
                   />
                 </div>
+                {ticketReference && (
+                  <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300 text-sm">
+                    Thanks for reaching out! Your ticket number is {ticketReference}. We will reply to your email address.
+                  </div>
+                )}
+                {submitError && (
+                  <div className="p-4 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300 text-sm">
+                    {submitError}
+                  </div>
+                )}
                 <div className="text-center">
-                  <GlassButton type="submit" variant="primary" size="lg">
-                    Send Message
+                  <GlassButton type="submit" variant="primary" size="lg" disabled={isSubmitting}>
+                    {isSubmitting ? 'Sending...' : 'Send Message'}
                   </GlassButton>
                 </div>
               </form>
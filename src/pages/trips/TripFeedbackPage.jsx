@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  StarIcon,
+  UserIcon,
+  CheckCircleIcon,
+  ClipboardDocumentCheckIcon
+} from '@heroicons/react/24/outline';
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
+import { tripFeedbackEngine, getFeedbackConfig } from '../../services/trip-feedback-service';
+import GlassCard from '../../components/ui/GlassCard';
+import GlassButton from '../../components/ui/GlassButton';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+
+const { conflictTypes } = getFeedbackConfig();
+
+const StarRating = ({ label, value, onChange }) => (
+  <div>
+    <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{label}</div>
+    <div className="flex items-center space-x-1" role="radiogroup" aria-label={label}>
+      {[1, 2, 3, 4, 5].map(star => {
+        const Icon = value >= star ? StarSolidIcon : StarIcon;
+        return (
+          <button
+            key={star}
+            type="button"
+            role="radio"
+            aria-checked={value === star}
+            aria-label={`${star} star${star === 1 ? '' : 's'}`}
+            onClick={() => onChange(star)}
+            className="p-1 rounded hover:bg-white/10 dark:hover:bg-white/5 transition-colors"
+          >
+            <Icon className={`h-7 w-7 ${value >= star ? 'text-amber-400' : 'text-gray-300 dark:text-gray-600'}`} />
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+const CompanionRating = ({ companion, rating, onChange }) => {
+  const update = (changes) => onChange({ ...rating, ...changes });
+  const toggleConflictType = (type) => {
+    const types = rating.conflictTypes || [];
+    update({ conflictTypes: types.includes(type) ? types.filter(t => t !== type) : [...types, type] });
+  };
+
+  return (
+    <div className="p-4 rounded-lg bg-white/10 dark:bg-white/5">
+      <div className="flex items-center space-x-3 mb-3">
+        {companion.avatarUrl ? (
+          <img src={companion.avatarUrl} alt="" className="h-9 w-9 rounded-full object-cover" />
+        ) : (
+          <div className="h-9 w-9 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center">
+            <UserIcon className="h-5 w-5 text-gray-500" />
+          </div>
+        )}
+        <span className="font-medium text-gray-900 dark:text-white">{companion.name}</span>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-sm text-gray-600 dark:text-gray-400 mr-2">Would you travel together again?</span>
+        {[{ value: true, label: 'Yes' }, { value: false, label: 'No' }].map(option => (
+          <button
+            key={option.label}
+            type="button"
+            onClick={() => update({ wouldTravelAgain: rating.wouldTravelAgain === option.value ? undefined : option.value })}
+            className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+              rating.wouldTravelAgain === option.value
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'border-gray-300/40 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+        <input
+          type="checkbox"
+          checked={Boolean(rating.hadConflict)}
+          onChange={(e) => update({ hadConflict: e.target.checked })}
+          className="rounded text-blue-600 focus:ring-blue-500"
+        />
+        <span>We had disagreements</span>
+      </label>
+      {rating.hadConflict && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {Object.entries(conflictTypes).map(([type, label]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => toggleConflictType(type)}
+              className={`px-2 py-1 rounded text-xs transition-colors ${
+                (rating.conflictTypes || []).includes(type)
+                  ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300'
+                  : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-400'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TripFeedbackPage = () => {
+  const { surveyId } = useParams();
+  const [survey, setSurvey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [tripRating, setTripRating] = useState(0);
+  const [vendorRating, setVendorRating] = useState(0);
+  const [wouldRecommend, setWouldRecommend] = useState(null);
+  const [comment, setComment] = useState('');
+  const [companionRatings, setCompanionRatings] = useState({});
+
+  useEffect(() => {
+    const loadSurvey = async () => {
+      try {
+        setLoading(true);
+        setSurvey(await tripFeedbackEngine.getSurvey(surveyId));
+      } catch (loadError) {
+        setError(loadError.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (surveyId) {
+      loadSurvey();
+    }
+  }, [surveyId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      // Companions without a yes/no answer are skipped
+      const companions = Object.entries(companionRatings)
+        .filter(([, rating]) => typeof rating.wouldTravelAgain === 'boolean')
+        .map(([companionId, rating]) => ({ companionId, ...rating }));
+      await tripFeedbackEngine.submitSurvey(surveyId, { tripRating, vendorRating, wouldRecommend, comment, companions });
+      setSubmitted(true);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen />;
+  }
+
+  const closed = submitted || survey?.status !== 'pending' || new Date(survey?.expiresAt) <= new Date();
+  if (!survey || closed) {
+    return (
+      <div className="container mx-auto px-4 py-16 text-center">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="max-w-md mx-auto">
+          {submitted || survey?.status === 'completed' ? (
+            <CheckCircleIcon className="w-20 h-20 text-green-500 mx-auto mb-6" />
+          ) : (
+            <ClipboardDocumentCheckIcon className="w-20 h-20 text-gray-300 dark:text-gray-600 mx-auto mb-6" />
+          )}
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
+            {submitted || survey?.status === 'completed' ? 'Thanks for your feedback!' : 'Survey unavailable'}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mb-8">
+            {submitted || survey?.status === 'completed'
+              ? 'Your ratings help hosts improve and help us put great groups together.'
+              : error || 'This survey has closed.'}
+          </p>
+          <Link
+            to="/dashboard"
+            className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Back to Dashboard
+          </Link>
+        </motion.div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-2xl">
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+          How was {survey.adventure?.title || 'your trip'}?
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mb-6">
+          Your trip ended on {new Date(`${survey.tripEndDate}T00:00:00`).toLocaleDateString()}.
+          This survey closes on {new Date(survey.expiresAt).toLocaleDateString()}.
+        </p>
+
+        {error && <ErrorMessage title="Couldn't submit your feedback" message={error} className="mb-4" />}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <GlassCard className="p-6 space-y-6">
+            <StarRating label="Rate the trip" value={tripRating} onChange={setTripRating} />
+            <StarRating
+              label={`Rate ${survey.vendor?.name || 'your host'}`}
+              value={vendorRating}
+              onChange={setVendorRating}
+            />
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={wouldRecommend === true}
+                onChange={(e) => setWouldRecommend(e.target.checked)}
+                className="rounded text-blue-600 focus:ring-blue-500"
+              />
+              <span>I&apos;d recommend this trip to a friend</span>
+            </label>
+            <div>
+              <label htmlFor="feedback-comment" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Anything else? (shown with your review)
+              </label>
+              <textarea
+                id="feedback-comment"
+                rows={4}
+                maxLength={2000}
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300/20 dark:border-gray-700/50 rounded-lg bg-white/10 dark:bg-black/10 text-gray-900 dark:text-white"
+              />
+            </div>
+          </GlassCard>
+
+          {survey.companions.length > 0 && (
+            <GlassCard className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Your travel companions</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                Private: companions never see these answers. Skip anyone you&apos;d rather not rate.
+              </p>
+              <div className="space-y-3">
+                {survey.companions.map(companion => (
+                  <CompanionRating
+                    key={companion.id}
+                    companion={companion}
+                    rating={companionRatings[companion.id] || {}}
+                    onChange={(rating) => setCompanionRatings(prev => ({ ...prev, [companion.id]: rating }))}
+                  />
+                ))}
+              </div>
+            </GlassCard>
+          )}
+
+          <div className="flex justify-end">
+            <GlassButton type="submit" disabled={submitting || !tripRating || !vendorRating}>
+              {submitting ? 'Submitting...' : 'Submit Feedback'}
+            </GlassButton>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default TripFeedbackPage;
@@ -4,7 +4,7 @@ import { Target } from 'lucide-react';
 import GlassCard from '../../components/ui/GlassCard';
 import GlassButton from '../../components/ui/GlassButton';
 import GlassInput from '../../components/ui/GlassInput';
-import { parseTripDescription, getConfidenceExplanation } from '../../services/nlp-service';
+import { tripRequestEngine } from '../../services/trip-request-service';
 const TripRequestPage = () => {
   const [formData, setFormData] = useState({
     description: '',
@@ -21,6 +21,10 @@ const TripRequestPage = () => {
   const [nlpResult, setNlpResult] = useState(null);
   const [isParsingNLP, setIsParsingNLP] = useState(false);
   const [showNLPPreview, setShowNLPPreview] = useState(false);
+  const [explanations, setExplanations] = useState([]);
+  // Follow-up questions for details the parser wasn't sure about
+  const [clarifications, setClarifications] = useState([]);
+  const [answers, setAnswers] = useState({});
   const fileInputRef = useRef(null);
   // Draft auto-save functionality
   useEffect(() => {
@@ -87,6 +91,38 @@ const TripRequestPage = () => {
       }));
     }
   };
+  const handleAnswerChange = (e) => {
+    const { name, value } = e.target;
+    setAnswers(prev => ({ ...prev, [name]: value }));
+  };
+  // Dates entered in the form answer the dates question up front
+  const getAnswers = () => ({
+    ...(formData.startDate && formData.endDate && { startDate: formData.startDate, endDate: formData.endDate }),
+    ...answers
+  });
+  // Prefill each question with the parsed guess, or the optional details
+  const showClarifications = (questions) => {
+    const seeded = questions.reduce((seed, { field, suggestedValue }) => {
+      if (field === 'dates') {
+        seed.startDate = suggestedValue?.startDate || formData.startDate;
+        seed.endDate = suggestedValue?.endDate || formData.endDate;
+      } else if (field === 'destination') {
+        seed.destination = suggestedValue || '';
+      } else if (field === 'budget') {
+        seed.budget = suggestedValue || formData.budget;
+      } else if (field === 'groupSize') {
+        seed.groupSize = suggestedValue || formData.groupSize;
+      }
+      return seed;
+    }, {});
+    setAnswers(prev => ({ ...seeded, ...prev }));
+    setClarifications(questions);
+  };
+  const showAnalysis = (result) => {
+    setNlpResult(result.parsed);
+    setExplanations(result.explanations || []);
+    setShowNLPPreview(true);
+  };
   const removeImage = (index) => {
     setFormData(prev => ({
       ...prev,
@@ -100,29 +136,26 @@ const TripRequestPage = () => {
     }
     try {
       setIsParsingNLP(true);
-      // Parse the natural language description
-      const parsedTrip = await parseTripDescription(formData.description);
-      // Combine parsed data with form data
-      const requestData = {
-        ...formData,
-        parsedDescription: parsedTrip,
-        confidence: parsedTrip.overallConfidence,
-        source: parsedTrip.source
-      };
+      // The server parses the description, applies answers and validates the request
+      const result = await tripRequestEngine.submit(formData.description, getAnswers());
+      showAnalysis(result);
+      if (result.needsClarification) {
+        showClarifications(result.clarifications);
+        return;
+      }
+      setClarifications([]);
+      setAnswers({});
       // Clear draft on successful submission
       localStorage.removeItem('tripRequestDraft');
-      // Log the parsed data for now (will integrate with backend later)
-      // Store the result for display
-      setNlpResult(parsedTrip);
-      setShowNLPPreview(true);
-      alert(`Trip request parsed successfully!
-Confidence: ${Math.round(parsedTrip.overallConfidence * 100)}%
-Destination: ${parsedTrip.destinations.primary || 'Not specified'}
-Activities: ${parsedTrip.activities.interests.slice(0, 3).join(', ') || 'Not specified'}
-Source: ${parsedTrip.source}
+      const { tripRequest } = result;
+      alert(`Trip request submitted!
+Destination: ${tripRequest.destination}
+Dates: ${tripRequest.start_date} to ${tripRequest.end_date}
+Budget: $${Number(tripRequest.budget_max).toLocaleString()} per person
+Travelers: ${tripRequest.participants_count}
 We'll start finding perfect adventures for you!`);
     } catch (error) {
-      setErrors({ submit: `Failed to parse trip description: ${error.message}` });
+      setErrors({ submit: `Failed to submit trip request: ${error.message}` });
     } finally {
       setIsParsingNLP(false);
     }
@@ -141,6 +174,9 @@ We'll start finding perfect adventures for you!`);
     setErrors({});
     setNlpResult(null);
     setShowNLPPreview(false);
+    setExplanations([]);
+    setClarifications([]);
+    setAnswers({});
   };
   // Preview NLP parsing without submitting
   const previewParsing = async () => {
@@ -151,9 +187,13 @@ We'll start finding perfect adventures for you!`);
     try {
       setIsParsingNLP(true);
       setErrors({});
-      const parsedTrip = await parseTripDescription(formData.description);
-      setNlpResult(parsedTrip);
-      setShowNLPPreview(true);
+      const result = await tripRequestEngine.parse(formData.description, getAnswers());
+      showAnalysis(result);
+      if (result.clarifications.length > 0) {
+        showClarifications(result.clarifications);
+      } else {
+        setClarifications([]);
+      }
     } catch (error) {
       setErrors({ description: `Parsing error: ${error.message}` });
     } finally {
@@ -326,6 +366,52 @@ We'll start finding perfect adventures for you!`);
                   </div>
                 )}
               </div>
+              {/* Clarifying Questions */}
+              {clarifications.length > 0 && (
+                <div className="border-t border-white/20 pt-6">
+                  <h3 className="text-lg font-medium mb-2">A Few Quick Questions</h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                    We weren't sure about some details. Confirm or correct them so vendors can match your request.
+                  </p>
+                  <div className="space-y-4">
+                    {clarifications.map(({ field, question }) => (
+                      <div key={field}>
+                        {field === 'dates' ? (
+                          <>
+                            <p className="block text-sm font-medium mb-2">{question}</p>
+                            <div className="grid md:grid-cols-2 gap-4">
+                              <GlassInput
+                                type="date"
+                                label="Start Date"
+                                name="startDate"
+                                value={answers.startDate || ''}
+                                onChange={handleAnswerChange}
+                              />
+                              <GlassInput
+                                type="date"
+                                label="End Date"
+                                name="endDate"
+                                value={answers.endDate || ''}
+                                onChange={handleAnswerChange}
+                              />
+                            </div>
+                          </>
+                        ) : (
+                          <GlassInput
+                            type={field === 'destination' ? 'text' : 'number'}
+                            label={question}
+                            name={field}
+                            min={field === 'destination' ? undefined : '1'}
+                            max={field === 'groupSize' ? '20' : undefined}
+                            value={answers[field] ?? ''}
+                            onChange={handleAnswerChange}
+                          />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
               {/* Error Display */}
               {errors.submit && (
                 <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 px-4 py-3 rounded-lg text-sm">
@@ -346,6 +432,8 @@ We'll start finding perfect adventures for you!`);
                       <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full mr-2"></div>
                       Parsing Description...
                     </>
+                  ) : clarifications.length > 0 ? (
+                    'Confirm Details & Submit'
                   ) : (
                     'Submit Trip Request'
                   )}
@@ -490,11 +578,11 @@ We'll start finding perfect adventures for you!`);
                   Analyzed using: {nlpResult.source === 'openai' ? 'OpenAI' : nlpResult.source === 'anthropic' ? 'Claude AI' : 'Pattern Matching'}
                 </div>
                 {/* Confidence Explanation */}
-                {getConfidenceExplanation(nlpResult).length > 0 && (
+                {explanations.length > 0 && (
                   <div className="pt-2 border-t border-white/10">
                     <h4 className="text-sm font-medium mb-2">Analysis Quality:</h4>
                     <ul className="text-xs space-y-1">
-                      {getConfidenceExplanation(nlpResult).map((explanation, index) => (
+                      {explanations.map((explanation, index) => (
                         <li key={index} className="flex items-center space-x-1">
                           <span className="text-green-500">✓</span>
                           <span>{explanation}</span>
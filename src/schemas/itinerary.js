@@ -0,0 +1,125 @@
+/**
+ * Zod validation schemas for adventure itineraries
+ */
+import { z } from 'zod';
+
+export const ITINERARY_FORMAT_VERSION = 1;
+
+// Activity types offered by the itinerary builder
+export const ActivityTypeEnum = z.enum([
+  'arrival',
+  'sightseeing',
+  'activity',
+  'meal',
+  'accommodation',
+  'transport',
+  'free-time',
+  'departure',
+  'other',
+]);
+
+export const AccommodationTypeEnum = z.enum(['hotel', 'lodge', 'guesthouse', 'camping', 'hostel', 'homestay', 'other']);
+
+// 24-hour HH:MM
+export const TimeSchema = z.string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must use 24-hour HH:MM format');
+
+export const CoordinatesSchema = z.object({
+  lat: z.number().min(-90, 'Latitude must be between -90 and 90').max(90, 'Latitude must be between -90 and 90'),
+  lng: z.number().min(-180, 'Longitude must be between -180 and 180').max(180, 'Longitude must be between -180 and 180'),
+});
+
+export const LocationSchema = z.object({
+  name: z.string().min(1, 'Location name is required'),
+  address: z.string().optional(),
+  coordinates: CoordinatesSchema.nullable().optional(),
+});
+
+export const ActivitySchema = z.object({
+  id: z.string().min(1, 'Activity ID is required'),
+  type: ActivityTypeEnum.default('activity'),
+  title: z.string().min(1, 'Activity title is required'),
+  description: z.string().default(''), // Rich text HTML from the builder
+  startTime: TimeSchema.nullable().optional(),
+  endTime: TimeSchema.nullable().optional(),
+  location: LocationSchema.nullable().optional(),
+  notes: z.string().optional(), // Vendor-only planning notes
+}).refine(
+  activity => !activity.startTime || !activity.endTime || activity.endTime >= activity.startTime,
+  { message: 'Activity end time must be after its start time', path: ['endTime'] }
+);
+
+export const AccommodationSchema = z.object({
+  name: z.string().min(1, 'Accommodation name is required'),
+  type: AccommodationTypeEnum.default('other'),
+  location: LocationSchema.nullable().optional(),
+  notes: z.string().optional(),
+});
+
+export const MealsSchema = z.object({
+  breakfast: z.boolean().default(false),
+  lunch: z.boolean().default(false),
+  dinner: z.boolean().default(false),
+});
+
+export const ItineraryDaySchema = z.object({
+  day: z.number().int().positive('Day numbers must be positive integers'),
+  title: z.string().min(1, 'Day title is required'),
+  summary: z.string().default(''),
+  activities: z.array(ActivitySchema).default([]),
+  accommodation: AccommodationSchema.nullable().default(null),
+  meals: MealsSchema.default({ breakfast: false, lunch: false, dinner: false }),
+});
+
+// Days numbered 1..n in order, activity IDs unique across the itinerary
+export const ItinerarySchema = z.array(ItineraryDaySchema).superRefine((days, ctx) => {
+  const activityIds = new Set();
+  days.forEach((day, index) => {
+    if (day.day !== index + 1) {
+      ctx.addIssue({ code: 'custom', message: `Day ${index + 1} is numbered ${day.day}`, path: [index, 'day'] });
+    }
+    day.activities.forEach((activity, activityIndex) => {
+      if (activityIds.has(activity.id)) {
+        ctx.addIssue({
+          code: 'custom',
+          message: `Duplicate activity ID ${activity.id}`,
+          path: [index, 'activities', activityIndex, 'id'],
+        });
+      }
+      activityIds.add(activity.id);
+    });
+  });
+});
+
+// Import/export file format
+export const ItineraryDocumentSchema = z.object({
+  version: z.literal(ITINERARY_FORMAT_VERSION),
+  title: z.string().optional(),
+  exportedAt: z.string().datetime().optional(),
+  days: ItinerarySchema,
+});
+
+// Readable "Day 2 › activity 1 › title: ..." messages for zod issues
+const formatIssues = (issues) => issues.map(issue => {
+  const path = issue.path.map((segment, i) => {
+    if (typeof segment !== 'number') return segment;
+    return issue.path[i - 1] === 'activities' ? `activity ${segment + 1}` : `Day ${segment + 1}`;
+  });
+  const label = path.filter(segment => segment !== 'activities' && segment !== 'days').join(' › ');
+  return { path: issue.path, message: label ? `${label}: ${issue.message}` : issue.message };
+});
+
+// Validation utility functions
+export function validateItinerary(data) {
+  const result = ItinerarySchema.safeParse(data);
+  return result.success
+    ? { data: result.data, isValid: true, errors: null }
+    : { data: null, isValid: false, errors: formatIssues(result.error.issues) };
+}
+
+export function validateItineraryDocument(data) {
+  const result = ItineraryDocumentSchema.safeParse(data);
+  return result.success
+    ? { data: result.data, isValid: true, errors: null }
+    : { data: null, isValid: false, errors: formatIssues(result.error.issues) };
+}
@@ -0,0 +1,48 @@
+/**
+ * Zod validation schema for structured trip requests (trip_requests rows)
+ */
+import { z } from 'zod';
+
+// Mirrors the adventure_category enum
+export const AdventureCategoryEnum = z.enum([
+  'hiking', 'water_sports', 'cultural', 'wildlife',
+  'extreme_sports', 'food_wine', 'wellness', 'photography',
+  'cycling', 'winter_sports', 'camping', 'other',
+]);
+
+export const DateSchema = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must use YYYY-MM-DD format');
+
+export const TripRequestSchema = z.object({
+  destination: z.string().trim().min(2, 'Destination is required'),
+  start_date: DateSchema,
+  end_date: DateSchema,
+  budget_min: z.coerce.number().positive('Budget must be more than 0').nullable().default(null),
+  budget_max: z.coerce.number().positive('Budget must be more than 0'),
+  participants_count: z.coerce.number().int('Group size must be a whole number')
+    .min(1, 'Group size must be between 1 and 20 people')
+    .max(20, 'Group size must be between 1 and 20 people'),
+  description: z.string().trim().min(10, 'Description is too short').max(2000, 'Description must be less than 2000 characters'),
+  requirements: z.array(z.string()).default([]),
+  preferred_activities: z.array(AdventureCategoryEnum).default([]),
+  is_flexible_dates: z.boolean().default(false),
+}).refine(
+  request => request.end_date >= request.start_date,
+  { message: 'End date must be after start date', path: ['end_date'] }
+).refine(
+  request => request.budget_min === null || request.budget_min <= request.budget_max,
+  { message: 'Minimum budget must not exceed the maximum', path: ['budget_min'] }
+);
+
+const formatIssues = (issues) => issues.map(issue => ({
+  path: issue.path,
+  message: issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message,
+}));
+
+// Validation utility functions
+export function validateTripRequest(data) {
+  const result = TripRequestSchema.safeParse(data);
+  return result.success
+    ? { data: result.data, isValid: true, errors: null }
+    : { data: null, isValid: false, errors: formatIssues(result.error.issues) };
+}
@@ -0,0 +1,127 @@
+/**
+ * Adventure Search Backend Tests
+ * Faceted counts, geo radius, sorting and the Postgres RPC mapping
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createMemorySearchBackend,
+  createPostgresSearchBackend,
+  normalizeSearchRequest,
+  haversineKm
+} from '../adventure-search-backends';
+
+const adventures = [
+  { id: 1, title: 'Iceland Northern Lights', location: 'Reykjavik, Iceland', price: 1250, rating: 4.8, duration: '5 days', difficulty: 'moderate', tags: ['photography'], latitude: 64.14, longitude: -21.94 },
+  { id: 2, title: 'Golden Circle Day Tour', location: 'Reykjavik, Iceland', price: 180, rating: 4.5, duration: '8 hours', difficulty: 'easy', tags: ['cultural'], latitude: 64.25, longitude: -21.13 },
+  { id: 3, title: 'Himalayan Base Camp Trek', location: 'Kathmandu, Nepal', price: 2800, rating: 4.9, duration: '14 days', difficulty: 'challenging', tags: ['hiking', 'trekking'], latitude: 27.71, longitude: 85.32 },
+  { id: 4, title: 'Greek Island Sailing', location: 'Athens, Greece', price: 900, rating: 4.6, duration: '3 days', difficulty: 'easy', tags: ['water-sports', 'sailing'] }
+];
+
+const facetCount = (facet, id) => facet.find(option => option.id === id).count;
+
+describe('Adventure search backends', () => {
+  describe('normalizeSearchRequest', () => {
+    it('should treat the FilterPanel slider bounds as no price limit', () => {
+      const { filters } = normalizeSearchRequest({ filters: { priceMin: 0, priceMax: 5000 } });
+      expect(filters.priceMin).toBeNull();
+      expect(filters.priceMax).toBeNull();
+    });
+
+    it('should turn a local location filter into a geo radius around the user', () => {
+      const { filters } = normalizeSearchRequest({
+        filters: { location: 'local' },
+        userLocation: { latitude: 64.1, longitude: -21.9 }
+      });
+      expect(filters.geo).toEqual({ latitude: 64.1, longitude: -21.9, radiusKm: 80 });
+      expect(normalizeSearchRequest({ filters: { location: 'local' } }).filters.geo).toBeNull();
+    });
+  });
+
+  describe('memory backend', () => {
+    const backend = createMemorySearchBackend(adventures);
+
+    it('should count facets across all matches', async () => {
+      const { total, facets } = await backend.search({});
+      expect(total).toBe(4);
+      expect(facetCount(facets.priceBands, 'under-500')).toBe(1);
+      expect(facetCount(facets.priceBands, '2500-plus')).toBe(1);
+      expect(facetCount(facets.durations, 'day-trip')).toBe(1);
+      expect(facetCount(facets.durations, 'extended')).toBe(1);
+      expect(facetCount(facets.difficulty, 'easy')).toBe(2);
+      expect(facets.location[0]).toEqual({ id: 'Reykjavik, Iceland', label: 'Reykjavik, Iceland', count: 2 });
+    });
+
+    it('should keep counts for other options of the facet being filtered', async () => {
+      const { total, facets } = await backend.search({ filters: { difficulty: ['easy'] } });
+      expect(total).toBe(2);
+      expect(facetCount(facets.difficulty, 'challenging')).toBe(1);
+      expect(facetCount(facets.priceBands, '2500-plus')).toBe(0);
+    });
+
+    it('should filter by geo radius', async () => {
+      const { results } = await backend.search({
+        filters: { geo: { latitude: 64.14, longitude: -21.94, radiusKm: 80 } }
+      });
+      expect(results.map(result => result.id).sort()).toEqual([1, 2]);
+      expect(results.find(result => result.id === 2).distanceKm).toBeLessThan(80);
+    });
+
+    it('should sort and paginate', async () => {
+      const cheapest = await backend.search({ sort: 'price-low', pageSize: 2 });
+      expect(cheapest.results.map(result => result.id)).toEqual([2, 4]);
+
+      const secondPage = await backend.search({ sort: 'rating', page: 2, pageSize: 2 });
+      expect(secondPage.results.map(result => result.id)).toEqual([4, 2]);
+    });
+
+    it('should rank text matches by relevance', async () => {
+      const { results } = await backend.search({ text: 'iceland' });
+      expect(results.slice(0, 2).map(result => result.id).sort()).toEqual([1, 2]);
+      expect(results[0].score).toBeLessThanOrEqual(results[results.length - 1].score);
+    });
+  });
+
+  describe('postgres backend', () => {
+    it('should send normalised filters to the RPC and map rows', async () => {
+      const client = {
+        rpc: vi.fn().mockResolvedValue({
+          data: {
+            total: 1,
+            results: [{ id: 'a1', title: 'Glacier Hike', location_name: 'Vik, Iceland', price: '450.00', rating: '4.70', duration_hours: 6, relevance: 0.8, category: 'hiking', vendor_id: 'v1', vendor_name: 'Ice Guides' }],
+            facets: { priceBands: { 'under-500': 1 }, categories: { hiking: 1 } }
+          },
+          error: null
+        })
+      };
+
+      const response = await createPostgresSearchBackend(client).search({
+        text: 'glacier',
+        filters: { adventureTypes: ['hiking', 'extreme'], priceMax: 1000 },
+        sort: 'price-low',
+        page: 2,
+        pageSize: 10
+      });
+
+      expect(client.rpc).toHaveBeenCalledWith('search_adventures_faceted', expect.objectContaining({
+        p_query: 'glacier',
+        p_price_max: 1000,
+        p_categories: ['hiking', 'extreme_sports'],
+        p_sort: 'price-low',
+        p_limit: 10,
+        p_offset: 10
+      }));
+      expect(response.results[0]).toMatchObject({ id: 'a1', location: 'Vik, Iceland', price: 450, duration: '6 hours', vendor: { name: 'Ice Guides' } });
+      expect(facetCount(response.facets.adventureTypes, 'hiking')).toBe(1);
+      expect(facetCount(response.facets.priceBands, 'under-500')).toBe(1);
+    });
+
+    it('should surface RPC errors', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: null, error: { message: 'function does not exist' } }) };
+      await expect(createPostgresSearchBackend(client).search({})).rejects.toThrow('Failed to search adventures: function does not exist');
+    });
+  });
+
+  it('should compute great-circle distances in kilometres', () => {
+    expect(haversineKm(51.5074, -0.1278, 48.8566, 2.3522)).toBeCloseTo(343.5, 0);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Availability Service Tests
+ * Departure generation from availability rules, seat classification and hold errors
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { expandDepartures, buildAvailabilityCalendar, classifyAvailability, availabilityEngine } from '../availability-service';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const now = new Date('2025-09-22T06:00:00');
+
+describe('Availability Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should generate open departures for enabled weekdays outside blackouts', () => {
+    const departures = expandDepartures({
+      type: 'open',
+      weeklySchedule: { 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: false },
+      blackoutDates: [{ startDate: '2025-09-24', endDate: '2025-09-25' }],
+      startTime: '08:30',
+      capacity: '8',
+    }, { from: '2025-09-22', to: '2025-09-28', now });
+
+    expect(departures.map(departure => departure.date)).toEqual(['2025-09-22', '2025-09-23', '2025-09-26']);
+    expect(departures[0]).toEqual({ date: '2025-09-22', startTime: '08:30', endTime: '17:00', capacity: 8, price: null });
+  });
+
+  it('should keep scheduled dates in range and only override differing prices', () => {
+    const departures = expandDepartures({
+      type: 'scheduled',
+      schedules: [
+        { date: '2025-10-03', startTime: '07:00', endTime: '12:00', maxParticipants: '6', price: '150' },
+        { date: '2025-10-01', startTime: '07:00', endTime: '12:00', price: '120' },
+        { date: '2026-06-01', startTime: '07:00', endTime: '12:00' },
+      ],
+    }, { from: '2025-09-22', to: '2025-12-31', now, defaults: { capacity: 10, price: 120 } });
+
+    expect(departures).toEqual([
+      { date: '2025-10-01', startTime: '07:00', endTime: '12:00', capacity: 10, price: null },
+      { date: '2025-10-03', startTime: '07:00', endTime: '12:00', capacity: 6, price: 150 },
+    ]);
+  });
+
+  it('should drop departures inside the advance notice window and skip on-demand adventures', () => {
+    const departures = expandDepartures({ type: 'open', advanceNotice: 48 }, { from: '2025-09-22', to: '2025-09-25', now });
+    expect(departures.map(departure => departure.date)).toEqual(['2025-09-24', '2025-09-25']);
+
+    expect(expandDepartures({ type: 'on-demand' }, { from: '2025-09-22', to: '2025-09-25', now })).toEqual([]);
+  });
+
+  it('should count held seats against remaining capacity', () => {
+    expect(classifyAvailability({ available_spots: 10, booked_spots: 4, held_spots: 0 })).toBe('available');
+    expect(classifyAvailability({ available_spots: 10, booked_spots: 4, held_spots: 3 })).toBe('limited');
+    expect(classifyAvailability({ available_spots: 10, booked_spots: 4, held_spots: 6 })).toBe('booked');
+
+    expect(buildAvailabilityCalendar([
+      { date: '2025-10-01', available_spots: 10, booked_spots: 10 },
+      { date: '2025-10-01', available_spots: 10, booked_spots: 8 },
+      { date: '2025-10-02', available_spots: 10, booked_spots: 0, held_spots: 10 },
+    ])).toEqual({ available: [], limited: ['2025-10-01'], booked: ['2025-10-02'] });
+  });
+
+  it('should surface capacity errors from seat holds', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'INSUFFICIENT_CAPACITY' } });
+    await expect(availabilityEngine.placeHold('a1', 4)).rejects.toThrow('Not enough seats left on this departure');
+    expect(supabase.rpc).toHaveBeenCalledWith('place_seat_hold', { p_availability_id: 'a1', p_seats: 4, p_hold_minutes: 15 });
+
+    supabase.rpc.mockResolvedValueOnce({
+      data: [{ id: 'h1', availability_id: 'a1', seats: 2, expires_at: '2025-09-22T06:15:00Z' }],
+      error: null,
+    });
+    expect(await availabilityEngine.placeHold('a1', 2)).toEqual({
+      id: 'h1',
+      availabilityId: 'a1',
+      seats: 2,
+      expiresAt: '2025-09-22T06:15:00Z',
+    });
+
+    await expect(availabilityEngine.placeHold('a1', 0)).rejects.toThrow('positive whole number');
+  });
+});
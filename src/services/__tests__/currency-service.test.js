@@ -0,0 +1,90 @@
+/**
+ * Currency Service Tests
+ * Pluggable rate providers and exchange rate snapshots
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CurrencyService from '../currency-service';
+import { createStaticRateProvider, rebaseRates } from '../exchange-rate-providers';
+
+const rateTables = [
+  { base: 'USD', asOf: '2025-01-01T00:00:00Z', rates: { USD: 1, EUR: 0.9, GBP: 0.8, JPY: 150 } },
+  { base: 'USD', asOf: '2025-06-01T00:00:00Z', rates: { USD: 1, EUR: 0.8, GBP: 0.75, JPY: 140 } },
+];
+
+describe('Currency Service', () => {
+  beforeEach(() => {
+    CurrencyService.setRateProviders(createStaticRateProvider(rateTables, { name: 'test-table' }));
+  });
+
+  afterEach(() => {
+    CurrencyService.setRateProviders(null);
+    CurrencyService.setSnapshotRecorder(null);
+  });
+
+  describe('rate providers', () => {
+    it('should serve the latest static table and derive cross rates', async () => {
+      const table = await CurrencyService.getRateTable('EUR');
+      expect(table.source).toBe('test-table');
+      expect(table.asOf).toBe('2025-06-01T00:00:00.000Z');
+      expect(table.rates.USD).toBeCloseTo(1.25);
+      expect(table.rates.GBP).toBeCloseTo(0.9375);
+    });
+
+    it('should serve historical tables on request', async () => {
+      const rates = await CurrencyService.getExchangeRates('USD', { at: '2025-03-15T00:00:00Z' });
+      expect(rates.EUR).toBe(0.9);
+    });
+
+    it('should fall through to the next provider when one fails', async () => {
+      const failing = { name: 'down', getRates: vi.fn().mockRejectedValue(new Error('offline')) };
+      CurrencyService.setRateProviders([failing, createStaticRateProvider(rateTables[0], { name: 'backup' })]);
+      const table = await CurrencyService.getRateTable('USD');
+      expect(failing.getRates).toHaveBeenCalled();
+      expect(table.source).toBe('backup');
+    });
+
+    it('should reject rebasing onto a currency the table does not cover', () => {
+      expect(() => rebaseRates(rateTables[0], 'CHF')).toThrow('No USD/CHF rate');
+    });
+  });
+
+  describe('convertWithSnapshot', () => {
+    it('should return the converted amount with the rate snapshot it used', async () => {
+      const { amount, snapshot } = await CurrencyService.convertWithSnapshot(100, 'USD', 'EUR');
+      expect(amount).toBe(80);
+      expect(snapshot).toMatchObject({
+        from_currency: 'USD',
+        to_currency: 'EUR',
+        rate: 0.8,
+        source: 'test-table',
+        rate_as_of: '2025-06-01T00:00:00.000Z',
+        from_amount: 100,
+        to_amount: 80,
+      });
+    });
+
+    it('should record a snapshot for every conversion', async () => {
+      const recorder = vi.fn();
+      CurrencyService.setSnapshotRecorder(recorder);
+      await CurrencyService.convertCurrency(50, 'USD', 'GBP');
+      await CurrencyService.convertWithSnapshot(10, 'USD', 'JPY', { context: { bookingId: 'b1' } });
+      expect(recorder).toHaveBeenCalledTimes(2);
+      expect(recorder.mock.calls[1][1]).toEqual({ bookingId: 'b1' });
+    });
+
+    it('should reproduce a past conversion from its snapshot after rates change', async () => {
+      const { snapshot } = await CurrencyService.convertWithSnapshot(100, 'USD', 'EUR', { at: '2025-02-01T00:00:00Z' });
+      CurrencyService.setRateProviders(createStaticRateProvider({ base: 'USD', asOf: '2025-09-01T00:00:00Z', rates: { EUR: 0.5 } }));
+
+      const reproduced = await CurrencyService.convertWithSnapshot(100, 'USD', 'EUR', { snapshot });
+      expect(reproduced.amount).toBe(90);
+      expect(CurrencyService.applyRateSnapshot(45, snapshot, 'USD')).toBe(50);
+    });
+
+    it('should refuse a snapshot for a different currency pair', async () => {
+      const { snapshot } = await CurrencyService.convertWithSnapshot(100, 'USD', 'EUR');
+      await expect(CurrencyService.convertWithSnapshot(100, 'USD', 'GBP', { snapshot }))
+        .rejects.toThrow('Snapshot converts USD/EUR');
+    });
+  });
+});
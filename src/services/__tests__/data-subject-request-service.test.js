@@ -0,0 +1,185 @@
+/**
+ * Data Subject Request Service Tests
+ * Deadlines, export archives, per-table erasure strategies and request processing on a mocked client
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calculateDueDate,
+  createDataSubjectRequestEngine,
+  getDeadlineStatus,
+  summarizeSteps,
+} from '../data-subject-request-service';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2025-09-21T12:00:00Z');
+
+const TABLES = [
+  { table: 'post_comments', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'connection_requests', category: 'connections', columns: ['requester_id', 'recipient_id'], erasure: 'delete' },
+  { table: 'bookings', category: 'bookings', columns: ['user_id'], erasure: 'pseudonymize', scrub: { special_requests: null }, reason: 'Financial record' },
+  { table: 'invoices', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: 'Financial record' },
+  { table: 'profiles', category: 'profile', columns: ['id'], erasure: 'anonymize', scrub: (userId) => ({ username: `deleted-${userId}`, full_name: 'Deleted user' }) },
+];
+
+// Each table resolves to its fixture rows (or an error); every call is recorded per table
+const createClient = (fixtures = {}) => {
+  const calls = [];
+  const storage = {
+    upload: vi.fn(async () => ({ error: null })),
+    list: vi.fn(async () => ({ data: [{ name: 'req_0.json' }], error: null })),
+    remove: vi.fn(async () => ({ error: null })),
+    createSignedUrl: vi.fn(async () => ({ data: { signedUrl: 'https://files.example/export' }, error: null })),
+  };
+  const client = {
+    from: vi.fn((table) => {
+      const fixture = fixtures[table];
+      const rows = Array.isArray(fixture) ? fixture : [];
+      const result = fixture?.error
+        ? { data: null, count: null, error: fixture.error }
+        : { data: rows, count: rows.length, error: null };
+      const record = { table, type: 'select', values: null, filters: [] };
+      calls.push(record);
+
+      const chain = {};
+      ['select', 'order', 'limit', 'in'].forEach(method => {
+        chain[method] = vi.fn(() => chain);
+      });
+      ['eq', 'or'].forEach(method => {
+        chain[method] = vi.fn((...args) => {
+          record.filters.push([method, ...args]);
+          return chain;
+        });
+      });
+      ['insert', 'update', 'delete'].forEach(method => {
+        chain[method] = vi.fn((values) => {
+          record.type = method;
+          record.values = values;
+          return chain;
+        });
+      });
+      const single = async () => (table === 'data_subject_requests' && record.type !== 'select'
+        ? { data: { ...fixtures.request, ...record.values }, error: null }
+        : { data: table === 'data_subject_requests' ? fixtures.request ?? null : rows[0] ?? null, error: null });
+      chain.single = vi.fn(single);
+      chain.maybeSingle = vi.fn(single);
+      chain.then = (resolve) => resolve(result);
+      return chain;
+    }),
+    storage: { from: vi.fn(() => storage) },
+    auth: { admin: { deleteUser: vi.fn(async () => ({ error: null })) } },
+  };
+  return { client, calls, storage };
+};
+
+describe('Data Subject Request Service', () => {
+  it('should track the one-month deadline and the states leading up to it', () => {
+    const request = { status: 'pending', due_at: calculateDueDate(now) };
+    expect(request.due_at).toBe(new Date(now.getTime() + 30 * DAY).toISOString());
+
+    expect(getDeadlineStatus(request, now)).toEqual({ state: 'on_track', daysRemaining: 30 });
+    expect(getDeadlineStatus(request, new Date(now.getTime() + 25 * DAY))).toEqual({ state: 'due_soon', daysRemaining: 5 });
+    expect(getDeadlineStatus(request, new Date(now.getTime() + 32 * DAY)).state).toBe('overdue');
+    expect(getDeadlineStatus({ ...request, status: 'completed' }, now)).toEqual({ state: 'closed', daysRemaining: null });
+  });
+
+  it('should return the open request instead of opening a second one', async () => {
+    const open = { id: 'req_1', user_id: 'user_1', request_type: 'erasure', status: 'failed' };
+    const { client, calls } = createClient({ request: open });
+    const engine = createDataSubjectRequestEngine({ client, tables: TABLES });
+
+    expect(await engine.submitRequest('user_1', 'erasure', { now })).toEqual({ request: open, created: false });
+    expect(calls.some(call => call.type === 'insert')).toBe(false);
+
+    await expect(engine.submitRequest('user_1', 'rectification')).rejects.toThrow('Unknown data subject request type: rectification');
+    await expect(engine.submitRequest('user_1', 'export', { categories: ['photos'] })).rejects.toThrow('Unknown data categories: photos');
+  });
+
+  it('should gather every table into a categorised archive and skip tables that are not deployed', async () => {
+    const { client, calls } = createClient({
+      post_comments: [{ id: 'c_1', user_id: 'user_1', content: 'Great trip' }],
+      connection_requests: [{ id: 'cr_1', requester_id: 'user_2', recipient_id: 'user_1' }],
+      bookings: [],
+      invoices: { error: { code: 'PGRST205', message: 'Could not find the table' } },
+      profiles: [{ id: 'user_1', full_name: 'Ana Silva' }],
+    });
+    const engine = createDataSubjectRequestEngine({ client, tables: TABLES });
+
+    const { archive, steps } = await engine.buildExport('user_1', { requestId: 'req_1', now });
+
+    expect(archive).toMatchObject({ requestId: 'req_1', subject: { userId: 'user_1' }, generatedAt: now.toISOString() });
+    expect(archive.data).toEqual({
+      posts: { post_comments: [{ id: 'c_1', user_id: 'user_1', content: 'Great trip' }] },
+      connections: { connection_requests: [{ id: 'cr_1', requester_id: 'user_2', recipient_id: 'user_1' }] },
+      bookings: { bookings: [] },
+      profile: { profiles: [{ id: 'user_1', full_name: 'Ana Silva' }] },
+    });
+    expect(calls.find(call => call.table === 'connection_requests').filters)
+      .toEqual([['or', 'requester_id.eq.user_1,recipient_id.eq.user_1']]);
+    expect(steps.find(step => step.table === 'invoices').status).toBe('skipped');
+    expect(summarizeSteps(steps)).toEqual({ tables: 4, rows: 3, failed: [] });
+  });
+
+  it('should delete, scrub or keep each table by its strategy and soft-delete the login', async () => {
+    const { client, calls, storage } = createClient({
+      post_comments: [{ id: 'c_1' }, { id: 'c_2' }],
+      connection_requests: [],
+      bookings: [{ id: 'b_1' }],
+      invoices: [{ id: 'inv_1' }],
+      profiles: [{ id: 'user_1' }],
+    });
+    const engine = createDataSubjectRequestEngine({ client, tables: TABLES });
+
+    const steps = await engine.eraseUserData('user_1');
+
+    const writes = Object.fromEntries(calls.map(call => [call.table, [call.type, call.values]]));
+    expect(writes.post_comments).toEqual(['delete', { count: 'exact' }]);
+    expect(writes.bookings).toEqual(['update', { special_requests: null }]);
+    // Financial records without free text are only counted, never changed
+    expect(writes.invoices).toEqual(['select', null]);
+    expect(writes.profiles).toEqual(['update', { username: 'deleted-user_1', full_name: 'Deleted user' }]);
+
+    expect(steps.find(step => step.table === 'invoices')).toMatchObject({ action: 'pseudonymize', rows: 1, reason: 'Financial record' });
+    expect(storage.remove).toHaveBeenCalledWith(['user_1/req_0.json']);
+    expect(client.auth.admin.deleteUser).toHaveBeenCalledWith('user_1', true);
+    expect(steps.at(-1)).toMatchObject({ table: 'auth.users', status: 'done' });
+  });
+
+  it('should keep a partial erasure to the chosen categories and the login intact', async () => {
+    const { client, calls } = createClient({ post_comments: [{ id: 'c_1' }] });
+    const engine = createDataSubjectRequestEngine({ client, tables: TABLES });
+
+    const steps = await engine.eraseUserData('user_1', { categories: ['posts'] });
+
+    expect(calls.map(call => call.table)).toEqual(['post_comments']);
+    expect(steps).toHaveLength(1);
+    expect(client.auth.admin.deleteUser).not.toHaveBeenCalled();
+  });
+
+  it('should store the export archive and mark the request failed when a table fails', async () => {
+    const request = { id: 'req_1', user_id: 'user_1', request_type: 'export', status: 'pending', categories: [], attempts: 0 };
+    const { client, storage, calls } = createClient({
+      request,
+      post_comments: { error: { code: '42501', message: 'permission denied' } },
+    });
+    const engine = createDataSubjectRequestEngine({ client, tables: TABLES });
+
+    const result = await engine.processRequest('req_1', { now });
+
+    expect(storage.upload).toHaveBeenCalledWith('user_1/req_1.json', expect.any(String), expect.objectContaining({ contentType: 'application/json' }));
+    const updates = calls.filter(call => call.table === 'data_subject_requests' && call.type === 'update').map(call => call.values);
+    expect(updates[0]).toEqual({ status: 'processing', started_at: now.toISOString(), attempts: 1, error: null });
+    expect(updates[1]).toMatchObject({ status: 'failed', completed_at: null, archive_path: 'user_1/req_1.json', error: 'Failed tables: post_comments' });
+    expect(result.archive).toBeNull();
+  });
+
+  it('should find no request for an unknown ID instead of failing the lookup', async () => {
+    const { client, calls } = createClient();
+    const engine = createDataSubjectRequestEngine({ client, tables: TABLES });
+
+    expect(await engine.getRequest('req_missing')).toBeNull();
+    await expect(engine.processRequest('req_missing', { now })).rejects.toThrow('Data subject request not found');
+    expect(calls.some(call => call.type === 'update')).toBe(false);
+  });
+});
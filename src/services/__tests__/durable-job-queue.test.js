@@ -0,0 +1,95 @@
+/**
+ * Durable Job Queue Tests
+ * Leasing, retries with backoff, dead-lettering and idempotency on the memory store
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { JobQueue, createMemoryJobStore, calculateBackoff } from '../durable-job-queue';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const at = (ms) => new Date(Date.UTC(2025, 8, 21, 12, 0, 0) + ms);
+
+const createQueue = () => new JobQueue({ store: createMemoryJobStore(), maxWorkers: 1 });
+
+describe('Durable Job Queue', () => {
+  it('should double the retry delay per attempt up to the cap', () => {
+    expect(calculateBackoff(1, 1000)).toBe(1000);
+    expect(calculateBackoff(3, 1000)).toBe(4000);
+    expect(calculateBackoff(20, 1000)).toBe(3600000);
+  });
+
+  it('should return the existing job for a repeated idempotency key', async () => {
+    const queue = createQueue();
+    const first = await queue.enqueue('vendor_payout', { amount: 5000 }, { idempotencyKey: 'payout:v1:2025-09-21' });
+    const second = await queue.enqueue('vendor_payout', { amount: 5000 }, { idempotencyKey: 'payout:v1:2025-09-21' });
+
+    expect(second.duplicate).toBe(true);
+    expect(second.job.id).toBe(first.job.id);
+    expect((await queue.getStats()).queued.normal).toBe(1);
+  });
+
+  it('should claim by priority and hide leased jobs until the lease expires', async () => {
+    const store = createMemoryJobStore();
+    const queue = new JobQueue({ store });
+    await queue.enqueue('cache_warming', {}, { id: 'low', priority: 'low', runAt: at(0), timeout: 60000 });
+    await queue.enqueue('vendor_payout', {}, { id: 'high', priority: 'high', runAt: at(0), timeout: 60000 });
+
+    const claimed = await store.claim({ workerId: 'w1', now: at(1000) });
+    expect(claimed.id).toBe('high');
+    expect(claimed.attempts).toBe(1);
+
+    const next = await store.claim({ workerId: 'w2', types: ['vendor_payout'], now: at(2000) });
+    expect(next).toBeNull();
+
+    // Worker w1 went away; once the lease runs out another worker takes over
+    const reclaimed = await store.claim({ workerId: 'w2', types: ['vendor_payout'], now: at(62000) });
+    expect(reclaimed.id).toBe('high');
+    expect(reclaimed.attempts).toBe(2);
+    expect(await store.complete(claimed, 'w1', {})).toBeNull();
+  });
+
+  it('should retry failed jobs with backoff and dead-letter them when retries run out', async () => {
+    const store = createMemoryJobStore();
+    const queue = new JobQueue({ store });
+    await queue.enqueue('vendor_payout', {}, { id: 'p1', maxRetries: 1, retryDelay: 1000, runAt: at(0) });
+
+    const first = await store.claim({ workerId: 'w1', now: at(0) });
+    const retried = await store.fail(first, 'w1', new Error('Stripe unavailable'), at(0));
+    expect(retried.status).toBe('queued');
+    expect(retried.runAt).toEqual(at(1000));
+    expect(await store.claim({ workerId: 'w1', now: at(500) })).toBeNull();
+
+    const second = await store.claim({ workerId: 'w1', now: at(1000) });
+    const dead = await store.fail(second, 'w1', new Error('Stripe unavailable'), at(1000));
+    expect(dead.status).toBe('dead');
+    expect(dead.lastError).toBe('Stripe unavailable');
+    expect((await queue.listDeadLetters()).map(job => job.id)).toEqual(['p1']);
+
+    const redriven = await queue.redrive('p1');
+    expect(redriven.status).toBe('queued');
+    expect(redriven.attempts).toBe(0);
+  });
+
+  it('should run handlers and call onDeadLetter for jobs that exhaust their retries', async () => {
+    const queue = createQueue();
+    const onDeadLetter = vi.fn();
+    queue.registerHandler('group_analysis', async (job, { reportProgress }) => {
+      reportProgress({ percentage: 50 });
+      return { groups: job.data.userIds.length };
+    });
+    queue.registerHandler('vendor_payout', async () => {
+      throw new Error('Payout processing failed');
+    }, { maxRetries: 0, onDeadLetter });
+
+    await queue.enqueue('group_analysis', { userIds: ['u1', 'u2'] }, { id: 'g1' });
+    const analysis = await queue.claimNext('w1');
+    expect(await queue.runJob(analysis, 'w1')).toEqual({ status: 'completed', result: { groups: 2 } });
+    expect((await queue.getJob('g1')).result).toEqual({ groups: 2 });
+
+    await queue.enqueue('vendor_payout', { vendorId: 'v1' }, { id: 'p1' });
+    const payout = await queue.claimNext('w1');
+    expect((await queue.runJob(payout, 'w1')).status).toBe('dead');
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ id: 'p1', status: 'dead' }), expect.any(Error));
+    expect(queue.metrics).toMatchObject({ completed: 1, deadLettered: 1 });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Group Constraint Solver Tests
+ */
+import { describe, it, expect } from 'vitest';
+import { normalizeConstraints, solveGroupConstraints } from '../group-constraint-solver';
+
+const makeParticipants = (count, overrides = {}) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `p${index + 1}`,
+    personality: { energy_level: 50, social_preference: 50, adventure_style: 50, risk_tolerance: 50 },
+    ...(overrides[`p${index + 1}`] || {})
+  }));
+
+const groupOf = (groups, id) => groups.findIndex(group => group.includes(id));
+
+describe('Group Constraint Solver', () => {
+  describe('normalizeConstraints', () => {
+    it('should resolve per-adventure group sizes', () => {
+      const constraints = normalizeConstraints(
+        { groupSize: { min: 2, max: 8, byAdventure: { 'adv-1': { min: 4, max: 5 } } } },
+        { adventureId: 'adv-1' }
+      );
+      expect(constraints.groupSize).toEqual({ min: 4, max: 5, hard: true });
+    });
+
+    it('should accept plain id arrays for together and apart relations', () => {
+      const constraints = normalizeConstraints({ together: [['a', 'b']], apart: [{ participantIds: ['c', 'd'], hard: false }] });
+      expect(constraints.together[0]).toMatchObject({ participantIds: ['a', 'b'], hard: true });
+      expect(constraints.apart[0]).toMatchObject({ participantIds: ['c', 'd'], hard: false });
+    });
+
+    it('should reject a minimum larger than the maximum', () => {
+      expect(() => normalizeConstraints({ groupSize: { min: 6, max: 4 } })).toThrow();
+    });
+  });
+
+  describe('solveGroupConstraints', () => {
+    it('should keep must-travel-together participants in one group', () => {
+      const participants = makeParticipants(8);
+      const initial = [['p1', 'p2', 'p3', 'p4'], ['p5', 'p6', 'p7', 'p8']];
+      const result = solveGroupConstraints(participants, initial, {
+        together: [['p1', 'p8']],
+        groupSize: { min: 4, max: 4 }
+      });
+
+      expect(groupOf(result.groups, 'p1')).toBe(groupOf(result.groups, 'p8'));
+      result.groups.forEach(group => expect(group).toHaveLength(4));
+      expect(result.relaxations).toEqual([]);
+    });
+
+    it('should separate participants that must be kept apart', () => {
+      const participants = makeParticipants(6);
+      const result = solveGroupConstraints(participants, [['p1', 'p2', 'p3'], ['p4', 'p5', 'p6']], {
+        apart: [['p1', 'p2']],
+        groupSize: { min: 3, max: 3 }
+      });
+
+      expect(groupOf(result.groups, 'p1')).not.toBe(groupOf(result.groups, 'p2'));
+      expect(result.unsatisfied).toEqual([]);
+    });
+
+    it('should place everyone when the base algorithm left participants out', () => {
+      const participants = makeParticipants(7);
+      const result = solveGroupConstraints(participants, [['p1', 'p2', 'p3']], { groupSize: { min: 3, max: 4 } });
+
+      expect(result.groups.flat().sort()).toEqual(participants.map(p => p.id).sort());
+      result.groups.forEach(group => {
+        expect(group.length).toBeGreaterThanOrEqual(3);
+        expect(group.length).toBeLessThanOrEqual(4);
+      });
+    });
+
+    it('should report a together set larger than the maximum group size as relaxed', () => {
+      const participants = makeParticipants(6);
+      const result = solveGroupConstraints(participants, [], {
+        together: [{ id: 'family', participantIds: ['p1', 'p2', 'p3', 'p4'] }],
+        groupSize: { min: 2, max: 3 }
+      });
+
+      expect(result.relaxations).toEqual(expect.arrayContaining([
+        expect.objectContaining({ constraint: 'family', kind: 'hard' })
+      ]));
+      result.groups.forEach(group => expect(group.length).toBeLessThanOrEqual(3));
+    });
+
+    it('should let travel-together win over a contradictory keep-apart', () => {
+      const participants = makeParticipants(4);
+      const result = solveGroupConstraints(participants, [], {
+        together: [['p1', 'p2']],
+        apart: [{ id: 'rivals', participantIds: ['p1', 'p2'] }],
+        groupSize: { min: 2, max: 2 }
+      });
+
+      expect(groupOf(result.groups, 'p1')).toBe(groupOf(result.groups, 'p2'));
+      expect(result.relaxations.map(relaxation => relaxation.constraint)).toContain('rivals');
+    });
+
+    it('should balance genders when asked to', () => {
+      const genders = { p1: 'female', p2: 'female', p3: 'female', p4: 'male', p5: 'male', p6: 'male' };
+      const participants = makeParticipants(6, Object.fromEntries(
+        Object.entries(genders).map(([id, gender]) => [id, { profile: { gender } }])
+      ));
+      const result = solveGroupConstraints(participants, [['p1', 'p2', 'p3'], ['p4', 'p5', 'p6']], {
+        genderBalance: { maxShare: 0.6 },
+        groupSize: { min: 3, max: 3 }
+      });
+
+      result.groups.forEach(group => {
+        const females = group.filter(id => genders[id] === 'female').length;
+        expect(females).toBeGreaterThan(0);
+        expect(females).toBeLessThan(3);
+      });
+    });
+
+    it('should group participants by shared language', () => {
+      const languages = { p1: ['en'], p2: ['es'], p3: ['en'], p4: ['es'] };
+      const participants = makeParticipants(4, Object.fromEntries(
+        Object.entries(languages).map(([id, spoken]) => [id, { languages: spoken }])
+      ));
+      const result = solveGroupConstraints(participants, [['p1', 'p2'], ['p3', 'p4']], {
+        language: { requireShared: true },
+        groupSize: { min: 2, max: 2 }
+      });
+
+      expect(groupOf(result.groups, 'p1')).toBe(groupOf(result.groups, 'p3'));
+      expect(groupOf(result.groups, 'p2')).toBe(groupOf(result.groups, 'p4'));
+    });
+
+    it('should prefer compatible pairs when constraints are satisfied', () => {
+      const participants = makeParticipants(4);
+      const friends = new Set(['p1|p4', 'p2|p3']);
+      const result = solveGroupConstraints(participants, [['p1', 'p2'], ['p3', 'p4']], { groupSize: { min: 2, max: 2 } }, {
+        getCompatibility: (a, b) => (friends.has([a, b].sort().join('|')) ? 90 : 20)
+      });
+
+      expect(groupOf(result.groups, 'p1')).toBe(groupOf(result.groups, 'p4'));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Group Rebalancer Tests
+ * Minimal-disruption regrouping when participants join or drop out
+ */
+import { describe, it, expect } from 'vitest';
+import { planMinimalDisruption, DIFF_TYPES } from '../group-rebalancer';
+
+const groupsFixture = () => ([
+  { id: 'g1', participantIds: ['a1', 'a2', 'a3', 'a4'] },
+  { id: 'g2', participantIds: ['b1', 'b2', 'b3', 'b4'] },
+  { id: 'g3', participantIds: ['c1', 'c2'] }
+]);
+
+const membersOf = (result, groupId) => result.groups.find(group => group.id === groupId)?.participantIds || [];
+
+describe('Group Rebalancer', () => {
+  it('should only remove a dropout when the group stays above the minimum', () => {
+    const result = planMinimalDisruption(groupsFixture(), { removed: ['a1'] }, { minGroupSize: 2, maxMoves: 0 });
+
+    expect(membersOf(result, 'g1')).toEqual(['a2', 'a3', 'a4']);
+    expect(membersOf(result, 'g2')).toEqual(['b1', 'b2', 'b3', 'b4']);
+    expect(result.diff).toEqual([{ type: DIFF_TYPES.REMOVE, participantId: 'a1', fromGroupId: 'g1' }]);
+    expect(result.movedParticipantIds).toEqual([]);
+  });
+
+  it('should place newcomers in the group they fit best without moving anyone', () => {
+    const getCompatibility = (x, y) => ([x, y].some(id => id === 'new1') && [x, y].some(id => id.startsWith('c')) ? 95 : 40);
+    const result = planMinimalDisruption(groupsFixture(), { added: ['new1'] }, { getCompatibility, maxMoves: 0 });
+
+    expect(membersOf(result, 'g3')).toContain('new1');
+    expect(result.diff).toEqual([{ type: DIFF_TYPES.ADD, participantId: 'new1', toGroupId: 'g3' }]);
+  });
+
+  it('should top up an undersized group by moving at most maxMoves members', () => {
+    const result = planMinimalDisruption(groupsFixture(), { removed: ['c1'] }, { minGroupSize: 2, maxMoves: 1 });
+
+    expect(membersOf(result, 'g3')).toHaveLength(2);
+    expect(result.movedParticipantIds).toHaveLength(1);
+    const move = result.diff.find(entry => entry.type === DIFF_TYPES.MOVE);
+    expect(move).toMatchObject({ toGroupId: 'g3', reason: 'fill_undersized_group' });
+  });
+
+  it('should warn instead of exceeding the move cap', () => {
+    const result = planMinimalDisruption(groupsFixture(), { removed: ['c1'] }, { minGroupSize: 3, maxMoves: 1 });
+
+    expect(result.movedParticipantIds.length).toBeLessThanOrEqual(1);
+    expect(result.warnings.length).toBeGreaterThan(0);
+  });
+
+  it('should form a new group from leftover newcomers when every group is full', () => {
+    const groups = [{ id: 'g1', participantIds: ['a1', 'a2'], maxSize: 2 }];
+    const result = planMinimalDisruption(groups, { added: ['n1', 'n2'] }, { minGroupSize: 2, maxGroupSize: 2 });
+
+    expect(result.groups).toHaveLength(2);
+    expect(result.diff[0]).toEqual({ type: DIFF_TYPES.CREATE_GROUP, groupId: 'group-new-1' });
+    expect(membersOf(result, 'group-new-1')).toEqual(['n1', 'n2']);
+  });
+
+  it('should report a dissolved group when everyone in it drops out', () => {
+    const result = planMinimalDisruption(groupsFixture(), { removed: ['c1', 'c2'] }, { maxMoves: 0 });
+
+    expect(result.groups.map(group => group.id)).toEqual(['g1', 'g2']);
+    expect(result.diff).toContainEqual({ type: DIFF_TYPES.DISSOLVE_GROUP, groupId: 'g3' });
+  });
+
+  it('should apply an improving swap only when the budget allows two moves', () => {
+    const friends = new Set(['a1|b2', 'a2|b1']);
+    const getCompatibility = (x, y) => (friends.has([x, y].sort().join('|')) ? 100 : 30);
+    const groups = [
+      { id: 'g1', participantIds: ['a1', 'a2'] },
+      { id: 'g2', participantIds: ['b1', 'b2'] }
+    ];
+
+    const limited = planMinimalDisruption(groups, {}, { getCompatibility, maxMoves: 1 });
+    expect(limited.diff).toEqual([]);
+
+    const result = planMinimalDisruption(groups, {}, { getCompatibility, maxMoves: 2 });
+    expect(result.movedParticipantIds).toHaveLength(2);
+    result.groups.forEach(group => {
+      const [x, y] = group.participantIds;
+      expect(getCompatibility(x, y)).toBe(100);
+    });
+  });
+
+  it('should respect placement vetoes', () => {
+    const canPlace = (memberIds) => !(memberIds.includes('n1') && memberIds.includes('c1'));
+    const getCompatibility = (x, y) => ([x, y].includes('c1') ? 99 : 50);
+    const result = planMinimalDisruption(groupsFixture(), { added: ['n1'] }, { getCompatibility, canPlace });
+
+    expect(membersOf(result, 'g3')).not.toContain('n1');
+  });
+});
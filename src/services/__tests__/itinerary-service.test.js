@@ -0,0 +1,176 @@
+/**
+ * Itinerary Service Tests
+ * Legacy normalization, validation, timeline and map points, diffs and import/export
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  normalizeItinerary,
+  parseItinerary,
+  buildTimeline,
+  getMapPoints,
+  getMapBounds,
+  diffItineraries,
+  exportItineraryJSON,
+  importItineraryJSON,
+  itineraryEngine,
+} from '../itinerary-service';
+import { bookingModificationManager } from '../booking-modification-service';
+import { validateItinerary } from '../../schemas/itinerary';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+// jsdom's Blob has no arrayBuffer()
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+const itinerary = [
+  {
+    day: 1,
+    title: 'Arrival in Reykjavik',
+    summary: 'Settle in',
+    activities: [
+      {
+        id: 'a2',
+        type: 'meal',
+        title: 'Welcome dinner',
+        startTime: '19:00',
+        endTime: '21:00',
+        location: { name: 'Grillmarkadurinn', coordinates: { lat: 64.1466, lng: -21.9382 } },
+      },
+      {
+        id: 'a1',
+        type: 'arrival',
+        title: 'Airport pickup',
+        startTime: '14:00',
+        endTime: '15:00',
+        location: { name: 'Keflavik Airport', coordinates: { lat: 63.985, lng: -22.6056 } },
+      },
+    ],
+    accommodation: { name: 'Reykjavik Marina Hotel', type: 'hotel', location: { name: 'Marina', coordinates: { lat: 64.1518, lng: -21.9469 } } },
+    meals: { dinner: true },
+  },
+  {
+    day: 2,
+    title: 'Golden Circle',
+    activities: [
+      { id: 'a3', type: 'sightseeing', title: 'Gullfoss', startTime: '10:00', endTime: '12:30', location: { name: 'Gullfoss', coordinates: { lat: 64.3271, lng: -20.1199 } } },
+      { id: 'a4', type: 'activity', title: 'Aurora hunt' },
+    ],
+    accommodation: 'Rural guesthouse',
+    meals: { breakfast: true, lunch: true },
+  },
+];
+
+describe('Itinerary Service', () => {
+  it('should normalize legacy itineraries into the typed shape', () => {
+    const legacy = normalizeItinerary([
+      { day: 1, title: 'Arrival', activities: ['Airport pickup', 'Welcome dinner'], accommodation: 'Hotel Borg' },
+      { day: 7, activities: [{ id: 1718000000000, type: 'hiking', title: 'Glacier walk', startTime: '09:00:00', location: 'Sólheimajökull' }] },
+    ]);
+
+    expect(legacy[0].activities[0]).toMatchObject({ id: 'day-1-activity-1', type: 'activity', title: 'Airport pickup' });
+    expect(legacy[0].accommodation).toEqual({ name: 'Hotel Borg', type: 'other', location: null });
+    expect(legacy[1]).toMatchObject({ day: 2, title: 'Day 2', meals: { breakfast: false, lunch: false, dinner: false } });
+    expect(legacy[1].activities[0]).toMatchObject({ id: '1718000000000', type: 'other', startTime: '09:00', location: { name: 'Sólheimajökull' } });
+    expect(validateItinerary(legacy).isValid).toBe(true);
+
+    // Bookings default custom_itinerary to an empty object
+    expect(normalizeItinerary({})).toEqual([]);
+  });
+
+  it('should report validation problems by day and activity', () => {
+    const { isValid, errors } = validateItinerary([
+      {
+        day: 1,
+        title: 'Arrival',
+        activities: [
+          { id: 'a1', title: '', startTime: '10:00', endTime: '09:00' },
+          { id: 'a1', title: 'Dinner', location: { name: 'Harbour', coordinates: { lat: 95, lng: 0 } } },
+        ],
+      },
+    ]);
+
+    expect(isValid).toBe(false);
+    const messages = errors.map(error => error.message);
+    expect(messages).toContain('Day 1 › activity 1 › title: Activity title is required');
+    expect(messages).toContain('Day 1 › activity 1 › endTime: Activity end time must be after its start time');
+    expect(messages.some(message => message.includes('Latitude must be between -90 and 90'))).toBe(true);
+    expect(messages.some(message => message.includes('Duplicate activity ID a1'))).toBe(true);
+    expect(() => parseItinerary([{ title: 'Day', activities: [{ id: 'x', title: '' }] }])).toThrow('Invalid itinerary');
+  });
+
+  it('should build a dated timeline and map points', () => {
+    const timeline = buildTimeline(itinerary, { startDate: '2025-10-10' });
+
+    expect(timeline.map(day => day.date)).toEqual(['2025-10-10', '2025-10-11']);
+    expect(timeline[0].activities.map(activity => activity.title)).toEqual(['Airport pickup', 'Welcome dinner']);
+    expect(timeline[0].activities[0].durationMinutes).toBe(60);
+    expect(timeline[1].activities[1]).toMatchObject({ title: 'Aurora hunt', durationMinutes: null });
+    expect(timeline[1].meals).toEqual(['Breakfast', 'Lunch']);
+
+    const points = getMapPoints(itinerary);
+    expect(points.map(point => point.id)).toEqual(['a2', 'a1', 'day-1-accommodation', 'a3']);
+    expect(getMapBounds(points)).toEqual([[-22.6056, 63.985], [-20.1199, 64.3271]]);
+    expect(getMapBounds([])).toBeNull();
+  });
+
+  it('should diff itinerary versions meaningfully', () => {
+    const requested = structuredClone(itinerary);
+    requested[0].activities[0].startTime = '19:30';
+    requested[0].meals = { dinner: true, breakfast: true };
+    // Aurora hunt moves to the first night; Gullfoss is dropped for a new stop
+    requested[0].activities.push(requested[1].activities.pop());
+    requested[1].activities = [{ id: 'a5', type: 'sightseeing', title: 'Geysir', startTime: '11:00' }];
+    requested[1].accommodation = { name: 'Hotel Geysir', type: 'hotel' };
+
+    const descriptions = diffItineraries(itinerary, requested).map(change => change.description);
+
+    expect(descriptions).toEqual(expect.arrayContaining([
+      'Day 1: Welcome dinner start time 19:00 → 19:30',
+      'Day 1 meals: Dinner → Breakfast, Dinner',
+      'Aurora hunt moved from day 2 to day 1',
+      'Day 2: added Geysir',
+      'Day 2: removed Gullfoss',
+      'Day 2 accommodation: Rural guesthouse → Hotel Geysir',
+    ]));
+    expect(diffItineraries(itinerary, structuredClone(itinerary))).toEqual([]);
+    expect(diffItineraries({}, itinerary).filter(change => change.kind === 'day_added')).toHaveLength(2);
+  });
+
+  it('should validate itinerary adjustments against the booked itinerary', () => {
+    const requested = structuredClone(itinerary);
+    requested[1].title = 'Golden Circle and Geysir';
+
+    // Bookings without a custom itinerary diff against the adventure's
+    const booking = { custom_itinerary: {}, adventures: { itinerary } };
+    const { itinerary: parsed, changes } = bookingModificationManager.prepareItineraryChanges(booking, { itinerary: requested });
+    expect(parsed).toEqual(parseItinerary(requested));
+    expect(changes).toEqual([expect.objectContaining({ kind: 'day_changed', day: 2 })]);
+
+    expect(() => bookingModificationManager.prepareItineraryChanges(booking, { itinerary })).toThrow('same as the current one');
+    expect(() => bookingModificationManager.prepareItineraryChanges(booking, { itinerary: [{ day: 1, title: 'x', activities: [{ id: 'a', title: '' }] }] }))
+      .toThrow('Invalid itinerary');
+    expect(bookingModificationManager.prepareItineraryChanges(booking, { notes: 'Later start' })).toBeNull();
+  });
+
+  it('should round-trip itineraries through JSON and PDF exports', async () => {
+    const json = exportItineraryJSON(itinerary, { title: 'Northern Lights', now: new Date('2025-09-22T12:00:00Z') });
+    const imported = importItineraryJSON(json);
+    expect(imported.title).toBe('Northern Lights');
+    expect(imported.days).toEqual(parseItinerary(itinerary));
+
+    // A bare array of days is accepted too
+    expect(importItineraryJSON(JSON.stringify(itinerary)).days).toHaveLength(2);
+    expect(() => importItineraryJSON('{ nope')).toThrow('not valid JSON');
+    expect(() => importItineraryJSON(JSON.stringify({ version: 2, days: [] }))).toThrow('Invalid itinerary');
+
+    const pdf = await itineraryEngine.exportPDF(itinerary, { title: 'Northern Lights', startDate: '2025-10-10' });
+    const fromPdf = itineraryEngine.importPDF(await readBlob(pdf));
+    expect(fromPdf.days).toEqual(imported.days);
+    expect(() => itineraryEngine.importPDF(new TextEncoder().encode('%PDF-1.3 plain').buffer)).toThrow('not exported from an itinerary');
+  });
+});
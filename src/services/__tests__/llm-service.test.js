@@ -0,0 +1,160 @@
+/**
+ * LLM Service Tests
+ * Failover, timeouts, output validation, usage accounting, provider mapping
+ * and the offline local provider driving the AI features
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { z } from 'zod';
+import {
+  configureLLM,
+  createLLMClient,
+  llmUsage,
+} from '../llm-service';
+import {
+  createAnthropicProvider,
+  createLocalProvider,
+  createRecordingProvider,
+} from '../llm-providers';
+import { parseTripDescription } from '../nlp-service';
+import { generatePersonalityDescriptions } from '../ai-service';
+import { sendChatMessage } from '../booking-chat-service';
+
+const fakeProvider = (name, complete) => ({
+  name,
+  isConfigured: () => true,
+  complete: vi.fn(complete),
+});
+
+const reply = (text, model = 'gpt-3.5-turbo') => ({
+  text,
+  functionCall: null,
+  model,
+  usage: { inputTokens: 1000, outputTokens: 200 },
+});
+
+describe('LLM Service', () => {
+  beforeEach(() => {
+    llmUsage.reset();
+    localStorage.clear();
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    configureLLM({ provider: 'auto' });
+    vi.unstubAllGlobals();
+  });
+
+  it('should retry, fail over and account for tokens and cost', async () => {
+    const flaky = fakeProvider('openai', () => Promise.reject(new Error('socket hang up')));
+    const backup = fakeProvider('anthropic', async () => reply('{"ok":true}', 'claude-3-haiku-20240307'));
+    const client = createLLMClient({ providers: [flaky, backup], maxRetries: 1, retryDelay: 0 });
+
+    const result = await client.complete({ task: 'demo', messages: [{ role: 'user', content: 'hi' }], schema: z.object({ ok: z.boolean() }) });
+
+    expect(flaky.complete).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({
+      data: { ok: true },
+      provider: 'anthropic',
+      attempts: 3,
+      usage: { inputTokens: 1000, outputTokens: 200, costUsd: 0.0005 },
+    });
+    expect(llmUsage.getSummary()).toEqual({
+      total: { calls: 1, inputTokens: 1000, outputTokens: 200, costUsd: 0.0005 },
+      byProvider: { anthropic: { calls: 1, inputTokens: 1000, outputTokens: 200, costUsd: 0.0005 } },
+      byTask: { demo: { calls: 1, inputTokens: 1000, outputTokens: 200, costUsd: 0.0005 } },
+    });
+  });
+
+  it('should time out hung requests and not retry invalid output', async () => {
+    let signal;
+    const hung = fakeProvider('openai', (request, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+    const sloppy = fakeProvider('anthropic', async () => reply('{"ok":"yes"}'));
+    const client = createLLMClient({ providers: [hung, sloppy], timeout: 20, maxRetries: 2, retryDelay: 0 });
+
+    const error = await client.complete({ messages: [], schema: z.object({ ok: z.boolean() }) }).catch(err => err);
+
+    expect(error.message).toBe('All LLM providers failed - openai: openai request timed out after 20ms, '
+      + 'anthropic: Failed to parse AI response: ok: Invalid input: expected boolean, received string');
+    expect(signal.aborted).toBe(true);
+    expect(hung.complete).toHaveBeenCalledTimes(3);
+    expect(sloppy.complete).toHaveBeenCalledTimes(1);
+    // Tokens spent on the rejected answer still count
+    expect(llmUsage.getSummary().total.calls).toBe(1);
+  });
+
+  it('should map functions to Anthropic tools and back', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        model: 'claude-3-haiku-20240307',
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'check_availability', input: { destination: 'Lima' } }],
+        usage: { input_tokens: 50, output_tokens: 10 },
+      }),
+    });
+    const provider = createAnthropicProvider({ apiKey: () => 'key-1' });
+
+    const result = await provider.complete({
+      system: 'Be brief',
+      messages: [
+        { role: 'user', content: 'Lima?' },
+        { role: 'assistant', content: '', functionCall: { id: 'toolu_0', name: 'get_recommendations', arguments: '{}' } },
+        { role: 'function', name: 'get_recommendations', content: '{"success":true}' },
+      ],
+      functions: [{ name: 'check_availability', description: 'Check', parameters: { type: 'object' } }],
+      maxTokens: 100,
+    });
+
+    const [url, options] = fetch.mock.calls[0];
+    const body = JSON.parse(options.body);
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(options.headers['x-api-key']).toBe('key-1');
+    expect(body.system).toBe('Be brief');
+    expect(body.tools).toEqual([{ name: 'check_availability', description: 'Check', input_schema: { type: 'object' } }]);
+    expect(body.messages[2]).toEqual({ role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_0', content: '{"success":true}' }] });
+    expect(result).toEqual({
+      text: '',
+      functionCall: { id: 'toolu_1', name: 'check_availability', arguments: '{"destination":"Lima"}' },
+      model: 'claude-3-haiku-20240307',
+      usage: { inputTokens: 50, outputTokens: 10 },
+    });
+
+    await expect(createAnthropicProvider({ apiKey: '' }).complete({ messages: [] }))
+      .rejects.toMatchObject({ message: 'Anthropic API key not configured', retryable: false });
+  });
+
+  it('should replay recorded responses before falling back to rules', async () => {
+    const request = { task: 'greet', messages: [{ role: 'user', content: 'hello' }] };
+    const recorder = createRecordingProvider(fakeProvider('openai', async () => reply('Recorded hello')));
+    await recorder.complete(request);
+
+    const local = createLocalProvider({ rules: { greet: () => 'Rule hello' }, recordings: recorder.recordings });
+
+    expect((await local.complete(request)).text).toBe('Recorded hello');
+    expect((await local.complete({ ...request, messages: [{ role: 'user', content: 'hey' }] })).text).toBe('Rule hello');
+    await expect(local.complete({ task: 'other', messages: [] })).rejects.toThrow('No local response for task other');
+  });
+
+  it('should run trip parsing, descriptions and booking chat offline', async () => {
+    configureLLM({ provider: 'local' });
+
+    const trip = await parseTripDescription('Hiking in Japan for 2 people, budget $3000', { skipCache: true });
+    expect(trip).toMatchObject({ source: 'local', error: null, destinations: { primary: 'japan' }, groupSize: { size: 2 } });
+
+    const { source, descriptions } = await generatePersonalityDescriptions({
+      energyLevel: 80, socialPreference: 30, adventureStyle: 50, riskTolerance: 20, personalityType: 'Explorer'
+    });
+    expect(source).toBe('local');
+    expect(descriptions.energyLevel).toBe('You thrive on high-energy activities and packed itineraries');
+
+    const chat = await sendChatMessage('Can I book a trip to Tokyo for 2 people?', 'user-1');
+    expect(chat.error).toBeUndefined();
+    expect(chat.functionResult).toMatchObject({ success: true, destination: 'Tokyo' });
+    expect(chat.message.content).toContain('availability for your Tokyo trip');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(Object.keys(llmUsage.getSummary().byTask)).toEqual(['trip_parse', 'personality_descriptions', 'booking_chat']);
+  });
+});
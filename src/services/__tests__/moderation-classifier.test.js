@@ -0,0 +1,139 @@
+/**
+ * Moderation Classifier Tests
+ * Bundled naive Bayes model, per-category thresholds and moderator labels on a mocked client
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  MODERATION_CATEGORIES,
+  createNaiveBayesClassifier,
+  evaluateModel,
+  scoreWithModel,
+  tokenize,
+  trainNaiveBayes,
+} from '../moderation-classifier';
+import ContentModerationService from '../content-moderation-service';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+// Every table resolves to its fixture (a row, or the row list for awaited queries); writes are recorded
+const mockTables = (fixtures = {}) => {
+  const writes = [];
+  supabase.from.mockImplementation((table) => {
+    const fixture = fixtures[table] ?? null;
+    const chain = {};
+    ['select', 'eq', 'gt', 'order'].forEach(method => {
+      chain[method] = vi.fn(() => chain);
+    });
+    ['insert', 'update', 'upsert'].forEach(method => {
+      chain[method] = vi.fn((values) => {
+        writes.push({ table, method, values });
+        return chain;
+      });
+    });
+    const single = async () => ({ data: writes.at(-1)?.table === table ? writes.at(-1).values : fixture, error: null });
+    chain.single = vi.fn(single);
+    chain.maybeSingle = vi.fn(single);
+    chain.then = (resolve) => resolve({ data: Array.isArray(fixture) ? fixture : [], count: 0, error: null });
+    return chain;
+  });
+  return writes;
+};
+
+describe('Moderation Classifier', () => {
+  beforeEach(() => {
+    ContentModerationService.ready = null;
+    ContentModerationService.setClassifier(createNaiveBayesClassifier());
+  });
+
+  it('should replace contact details with placeholders and add bigrams', () => {
+    const features = tokenize('Email me at guide@example.com or visit https://x.example now');
+
+    expect(features).toEqual(expect.arrayContaining(['emailtoken', 'urltoken', 'email emailtoken', 'visit urltoken']));
+    expect(features).not.toContain('at');
+    expect(tokenize('CLICK HERE FOR FREE STUFF')).toContain('__shouting__');
+  });
+
+  it('should score unseen messages in the right category with the bundled model', async () => {
+    const classifier = createNaiveBayesClassifier();
+
+    const { scores: payment } = await classifier.classify('Skip the app fees and pay me directly on venmo');
+    const { scores: scam } = await classifier.classify('You won a prize, pay the fee and send your card number');
+    const { scores: clean } = await classifier.classify('The guide was great and the hike had amazing views');
+
+    expect(Object.keys(payment)).toEqual(MODERATION_CATEGORIES);
+    expect(payment.off_platform_payment).toBeGreaterThan(0.9);
+    expect(scam.scam).toBeGreaterThan(0.9);
+    expect(Math.max(...Object.values(clean))).toBeLessThan(0.2);
+  });
+
+  it('should learn from new labels and survive a JSON round trip', () => {
+    const examples = [
+      { text: 'Join my pyramid team and recruit friends', labels: ['scam'] },
+      { text: 'Recruit friends into my pyramid team for bonuses', labels: ['scam'] },
+      { text: 'Our team hiked with friends all weekend', labels: [] },
+    ];
+    const model = JSON.parse(JSON.stringify(trainNaiveBayes(examples, { version: 'nb-test' })));
+
+    expect(scoreWithModel(model, 'pyramid team recruiting').scam).toBeGreaterThan(0.5);
+    expect(evaluateModel(model, examples).scam).toEqual({ precision: 1, recall: 1, support: 2 });
+    expect(createNaiveBayesClassifier({ model }).version).toBe('nb-test');
+  });
+
+  it('should flag, block or approve content by the stored per-category thresholds', async () => {
+    mockTables({
+      moderation_settings: { thresholds: { spam: 0.99 }, auto_block_threshold: 0.9 },
+      moderation_models: null,
+    });
+    ContentModerationService.setClassifier({
+      name: 'fixed',
+      version: 'test',
+      classify: async () => ({
+        version: 'test',
+        scores: { harassment: 0.75, hate: 0, sexual: 0, spam: 0.95, scam: 0, off_platform_payment: 0 },
+      }),
+    });
+
+    const flagged = await ContentModerationService.analyzeContent('anything');
+
+    expect(flagged.violations.map(violation => violation.type)).toEqual(['harassment']);
+    expect(flagged.scores).toMatchObject({ toxicity: 0.75, overall: 0.95 });
+    expect(flagged.autoAction).toBe('flag_for_review');
+    expect(flagged.model).toEqual({ name: 'fixed', version: 'test' });
+
+    ContentModerationService.settings.thresholds.spam = 0.9;
+    expect((await ContentModerationService.analyzeContent('anything')).autoAction).toBe('block');
+  });
+
+  it('should store a moderator decision with the predicted scores as a label', async () => {
+    const writes = mockTables({
+      community_posts: { content: 'Pay me on zelle and skip the booking fee' },
+    });
+
+    const result = await ContentModerationService.recordModeratorDecision({
+      contentId: 'post_1',
+      contentType: 'post',
+      queueItemId: 'queue_1',
+      decision: 'rejected',
+      labels: ContentModerationService.getSuggestedLabels('spam'),
+      moderatorId: 'admin_1',
+    });
+
+    expect(result.success).toBe(true);
+    const label = writes.find(write => write.table === 'moderation_labels').values;
+    expect(label).toMatchObject({
+      content_id: 'post_1',
+      text: 'Pay me on zelle and skip the booking fee',
+      decision: 'rejected',
+      labels: ['spam'],
+      model_version: 'bundled',
+      moderator_id: 'admin_1',
+    });
+    expect(label.predicted_scores.off_platform_payment).toBeGreaterThan(0.5);
+
+    const unlabelled = await ContentModerationService.recordModeratorDecision({
+      contentId: 'post_1', contentType: 'post', decision: 'rejected', text: 'x',
+    });
+    expect(unlabelled).toEqual({ success: false, error: 'Rejected content needs at least one label' });
+  });
+});
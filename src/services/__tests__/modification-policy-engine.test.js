@@ -0,0 +1,158 @@
+/**
+ * Modification Policy Engine Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  FEE_TYPES,
+  normalizePolicy,
+  isInSeason,
+  selectApplicablePolicy,
+  buildPolicySnapshot,
+  evaluatePolicy,
+} from '../modification-policy-engine';
+
+const requestedAt = new Date('2025-06-01T00:00:00Z');
+const daysOut = (days) => new Date(requestedAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+// "Free date change >30 days, 20% fee 7-30 days, none <7 days"
+const tieredPolicy = normalizePolicy({
+  name: 'Standard changes',
+  rules: {
+    date_change: {
+      tiers: [
+        { minDaysBefore: 7, fee: { type: FEE_TYPES.PERCENT, value: 20 } },
+        { minDaysBefore: 0, allowed: false },
+        { minDaysBefore: 31 },
+      ],
+      maxChanges: 2,
+    },
+    participant_update: {
+      tiers: [{ minDaysBefore: 0, fee: { type: FEE_TYPES.PER_PARTICIPANT, value: 1500 } }],
+    },
+  },
+});
+
+describe('Modification Policy Engine', () => {
+  describe('normalizePolicy', () => {
+    it('should sort tiers from the furthest notice period to the closest', () => {
+      expect(tieredPolicy.rules.date_change.tiers.map(tier => tier.minDaysBefore)).toEqual([31, 7, 0]);
+    });
+
+    it('should reject percentages above 100 and malformed seasons', () => {
+      expect(() => normalizePolicy({
+        rules: { date_change: { tiers: [{ minDaysBefore: 0, fee: { type: 'percent', value: 120 } }] } },
+      })).toThrow();
+      expect(() => normalizePolicy({
+        season: { start: '6-1', end: '08-31' },
+        rules: { date_change: { tiers: [{ minDaysBefore: 0 }] } },
+      })).toThrow('MM-DD');
+    });
+  });
+
+  describe('evaluatePolicy', () => {
+    const evaluate = (days, overrides = {}) => evaluatePolicy(tieredPolicy, {
+      modificationType: 'date_change',
+      tripStart: daysOut(days),
+      requestedAt,
+      bookingTotal: 100000,
+      ...overrides,
+    });
+
+    it('should make date changes free more than 30 days out', () => {
+      const result = evaluate(45);
+      expect(result).toMatchObject({ applies: true, allowed: true });
+      expect(result.fees.total).toBe(0);
+    });
+
+    it('should charge a percentage of the booking total between 7 and 30 days', () => {
+      const result = evaluate(10);
+      expect(result.fees.total).toBe(20000);
+      expect(result.fees.breakdown[0].type).toContain('20% of booking total');
+    });
+
+    it('should refuse changes inside 7 days', () => {
+      const result = evaluate(3);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toMatch(/does not allow/);
+    });
+
+    it('should enforce the maximum number of changes', () => {
+      expect(evaluate(45, { previousChanges: 2 }).allowed).toBe(false);
+    });
+
+    it('should charge per added participant only', () => {
+      const result = evaluatePolicy(tieredPolicy, {
+        modificationType: 'participant_update',
+        tripStart: daysOut(20),
+        requestedAt,
+        addedParticipants: 2,
+      });
+      expect(result.fees.total).toBe(3000);
+      expect(evaluatePolicy(tieredPolicy, {
+        modificationType: 'participant_update',
+        tripStart: daysOut(20),
+        requestedAt,
+        addedParticipants: -1,
+      }).fees.total).toBe(0);
+    });
+
+    it('should not apply to modification types the policy does not cover', () => {
+      const result = evaluate(10, { modificationType: 'meal_preference' });
+      expect(result.applies).toBe(false);
+    });
+
+    it('should evaluate a raw snapshot the same way as the live policy', () => {
+      const rawSnapshot = {
+        name: 'Standard changes',
+        version: 3,
+        rules: {
+          date_change: {
+            tiers: [
+              { minDaysBefore: 0, allowed: false },
+              { minDaysBefore: 7, fee: { type: 'percent', value: 20 } },
+            ],
+          },
+        },
+      };
+      const result = evaluatePolicy(rawSnapshot, {
+        modificationType: 'date_change',
+        tripStart: daysOut(10),
+        requestedAt,
+        bookingTotal: 50000,
+      });
+      expect(result.fees.total).toBe(10000);
+    });
+  });
+
+  describe('selectApplicablePolicy', () => {
+    const rule = { date_change: { tiers: [{ minDaysBefore: 0 }] } };
+    const policies = [
+      { id: 'vendor-wide', version: 1, ...normalizePolicy({ rules: rule }) },
+      { id: 'summer', version: 1, ...normalizePolicy({ season: { start: '06-01', end: '08-31' }, rules: rule }) },
+      { id: 'adventure', version: 2, ...normalizePolicy({ adventureId: 'adv-1', rules: rule }) },
+      { id: 'winter', version: 1, ...normalizePolicy({ season: { start: '11-15', end: '02-28' }, rules: rule }) },
+    ];
+
+    it('should prefer adventure-specific policies', () => {
+      expect(selectApplicablePolicy(policies, { adventureId: 'adv-1', tripDate: '2025-07-01' }).id).toBe('adventure');
+    });
+
+    it('should prefer seasonal policies over year-round ones', () => {
+      expect(selectApplicablePolicy(policies, { adventureId: 'adv-2', tripDate: '2025-07-01' }).id).toBe('summer');
+      expect(selectApplicablePolicy(policies, { adventureId: 'adv-2', tripDate: '2026-01-10' }).id).toBe('winter');
+      expect(selectApplicablePolicy(policies, { adventureId: 'adv-2', tripDate: '2025-10-01' }).id).toBe('vendor-wide');
+    });
+
+    it('should handle seasons that wrap the new year', () => {
+      expect(isInSeason({ start: '11-15', end: '02-28' }, '2025-12-31')).toBe(true);
+      expect(isInSeason({ start: '11-15', end: '02-28' }, '2025-03-01')).toBe(false);
+    });
+  });
+
+  it('should build a detached snapshot of the policy version', () => {
+    const snapshot = buildPolicySnapshot({ id: 'p1', policyKey: 'k1', version: 4, ...tieredPolicy }, requestedAt);
+    expect(snapshot).toMatchObject({ policy_id: 'p1', policy_key: 'k1', version: 4, captured_at: requestedAt.toISOString() });
+    snapshot.rules.date_change.tiers[0].minDaysBefore = 99;
+    expect(tieredPolicy.rules.date_change.tiers[0].minDaysBefore).toBe(31);
+  });
+});
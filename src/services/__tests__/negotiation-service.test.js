@@ -0,0 +1,148 @@
+/**
+ * Negotiation Service Tests
+ * Term normalization, revision diffs, turn-taking and bid integration
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizeTerms,
+  mapThreadRow,
+  diffRevisions,
+  getAvailableActions,
+  negotiationEngine,
+} from '../negotiation-service';
+import { vendorService } from '../vendor-service';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const now = new Date('2025-09-22T12:00:00Z');
+
+const revisionRow = (overrides = {}) => ({
+  id: 'r1',
+  thread_id: 't1',
+  revision_number: 1,
+  author_party: 'vendor',
+  proposed_price: '2400.00',
+  currency: 'USD',
+  start_date: '2025-10-10',
+  end_date: '2025-10-15',
+  inclusions: ['Guide', 'Meals'],
+  exclusions: ['Flights'],
+  valid_until: '2025-09-25T12:00:00Z',
+  message: 'Happy to host your group',
+  status: 'open',
+  ...overrides,
+});
+
+const threadRow = (revisions, overrides = {}) => ({
+  id: 't1',
+  bid_id: 'b1',
+  trip_request_id: 'tr1',
+  vendor_id: 'v1',
+  status: 'open',
+  current_revision: revisions.length,
+  awaiting_party: 'traveler',
+  revisions,
+  ...overrides,
+});
+
+// Minimal chainable query builder resolving to the given result
+const queryResult = (result) => {
+  const builder = {};
+  ['select', 'eq', 'order', 'update', 'lt'].forEach(method => {
+    builder[method] = vi.fn(() => builder);
+  });
+  builder.single = vi.fn(() => Promise.resolve(result));
+  builder.maybeSingle = vi.fn(() => Promise.resolve(result));
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+describe('Negotiation Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should normalize terms and leave out the ones not given', () => {
+    expect(normalizeTerms({
+      proposedPrice: '2199.999',
+      currency: 'eur',
+      startDate: '2025-10-11T00:00:00Z',
+      inclusions: 'Guide, Meals\nTransfers',
+    })).toEqual({
+      proposed_price: 2200,
+      currency: 'EUR',
+      start_date: '2025-10-11',
+      inclusions: ['Guide', 'Meals', 'Transfers'],
+    });
+    expect(normalizeTerms({})).toEqual({});
+
+    expect(() => normalizeTerms({ proposedPrice: 0 })).toThrow('greater than zero');
+    expect(() => normalizeTerms({ startDate: '2025-10-12', endDate: '2025-10-10' })).toThrow('on or after');
+  });
+
+  it('should diff any two revisions term by term', () => {
+    const thread = mapThreadRow(threadRow([
+      revisionRow({ status: 'countered' }),
+      revisionRow({ id: 'r2', revision_number: 2, author_party: 'traveler', proposed_price: '2100', inclusions: ['Guide'], status: 'countered' }),
+      revisionRow({ id: 'r3', revision_number: 3, proposed_price: '2250', end_date: '2025-10-14', inclusions: ['Guide', 'Transfers'] }),
+    ]));
+
+    expect(thread.latest.number).toBe(3);
+
+    const diff = Object.fromEntries(diffRevisions(thread.revisions[0], thread.revisions[2]).map(row => [row.term, row]));
+    expect(diff.proposedPrice).toMatchObject({ before: 2400, after: 2250, delta: -150, changed: true });
+    expect(diff.startDate.changed).toBe(false);
+    expect(diff.endDate).toMatchObject({ before: '2025-10-15', after: '2025-10-14', changed: true });
+    expect(diff.inclusions).toMatchObject({ added: ['Transfers'], removed: ['Meals'], changed: true });
+    expect(diff.exclusions.changed).toBe(false);
+
+    // Order is the caller's choice
+    expect(diffRevisions(thread.revisions[1], thread.revisions[0])[0].delta).toBe(300);
+  });
+
+  it('should only let the waiting side accept or counter', () => {
+    const thread = mapThreadRow(threadRow([revisionRow()]));
+
+    expect(getAvailableActions(thread, 'traveler', now)).toEqual(['accept', 'counter', 'decline']);
+    expect(getAvailableActions(thread, 'vendor', now)).toEqual(['decline']);
+    expect(getAvailableActions(thread, 'traveler', new Date('2025-09-26T00:00:00Z'))).toEqual([]);
+    expect(getAvailableActions({ ...thread, status: 'accepted' }, 'traveler', now)).toEqual([]);
+  });
+
+  it('should send counters with the expected revision and map database errors', async () => {
+    supabase.rpc.mockResolvedValueOnce({
+      data: revisionRow({ id: 'r2', revision_number: 2, author_party: 'traveler', proposed_price: '2100' }),
+      error: null,
+    });
+
+    const revision = await negotiationEngine.counter('t1', { proposedPrice: 2100 }, { message: ' Could you do 2100? ', expectedRevision: 1 });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('respond_to_negotiation', {
+      p_thread_id: 't1',
+      p_action: 'counter',
+      p_message: 'Could you do 2100?',
+      p_terms: { proposed_price: 2100 },
+      p_expected_revision: 1,
+      p_validity_hours: 72,
+    });
+    expect(revision).toMatchObject({ number: 2, authorParty: 'traveler', proposedPrice: 2100 });
+
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'REVISION_CONFLICT' } });
+    await expect(negotiationEngine.accept('t1', { expectedRevision: 1 })).rejects.toThrow('review the latest revision');
+
+    await expect(negotiationEngine.respond('t1', 'haggle')).rejects.toThrow('Unknown negotiation action');
+  });
+
+  it('should expire negotiations before lapsed bids', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: 2, error: null });
+    const bidsQuery = queryResult({ data: [{ id: 'b9' }], error: null });
+    supabase.from.mockReturnValueOnce(bidsQuery);
+
+    const result = await vendorService.processExpiredBids();
+
+    expect(supabase.rpc).toHaveBeenCalledWith('expire_negotiations');
+    expect(bidsQuery.update).toHaveBeenCalledWith({ status: 'expired' });
+    expect(result).toMatchObject({ data: [{ id: 'b9' }], error: null, expiredNegotiations: 2 });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Pricing Service Tests
+ * Quote calculation across seasons, group tiers, booking windows, promo codes and currency
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizePricingRules,
+  calculateQuote,
+  convertQuote,
+  toInvoiceLineItems,
+  pricingEngine,
+} from '../pricing-service';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const bookedAt = new Date('2025-09-22T12:00:00Z');
+
+const rules = normalizePricingRules({
+  basePrice: 200,
+  currency: 'USD',
+  seasonalPricing: [
+    { name: 'Summer Peak', startDate: '2026-07-01', endDate: '2026-08-31', priceType: 'multiplier', priceMultiplier: 1.5 },
+    { name: 'Off Season', months: [11, 12, 1, 2, 3], priceType: 'multiplier', priceMultiplier: 0.9 },
+  ],
+  groupDiscounts: [
+    { minGroupSize: 4, discountType: 'percentage', discountValue: 10 },
+    { minGroupSize: 8, discountType: 'percentage', discountValue: 20 },
+  ],
+  earlyBird: { minDaysBefore: 90, discountPercent: 5 },
+  lastMinute: { maxDaysBefore: 7, discountPercent: 15 },
+});
+
+describe('Pricing Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should itemize season, group tier and early-bird adjustments in cents', () => {
+    const quote = calculateQuote(rules, { participants: 4, tripDate: '2026-07-15', bookedAt });
+
+    expect(quote.lineItems.map(item => [item.type, item.unitAmount, item.amount])).toEqual([
+      ['base', 20000, 80000],
+      ['seasonal', 10000, 40000],
+      ['group_discount', -3000, -12000],
+      ['early_bird', -1350, -5400],
+    ]);
+    expect(quote).toMatchObject({ subtotal: 120000, discountTotal: 17400, total: 102600, perPerson: 25650 });
+  });
+
+  it('should apply month-based seasons, last-minute discounts and promo codes', () => {
+    const quote = calculateQuote(rules, {
+      participants: 2,
+      tripDate: '2025-09-26',
+      bookedAt,
+      promo: { code: 'WELCOME', type: 'fixed', value: 25 },
+    });
+    expect(quote.lineItems.map(item => item.type)).toEqual(['base', 'last_minute', 'promo']);
+    expect(quote.total).toBe(40000 - 6000 - 2500);
+
+    const offSeason = calculateQuote(rules, { participants: 1, tripDate: '2025-11-10', bookedAt });
+    expect(offSeason.lineItems[1]).toMatchObject({ type: 'seasonal', description: 'Off Season', amount: -2000 });
+  });
+
+  it('should accept the listing format and reject invalid rules', () => {
+    const listing = normalizePricingRules({
+      basePrice: 1250,
+      groupDiscounts: [{ size: '5-9 people', discount: 10 }, { size: '10+ people', discount: 15 }],
+    });
+    expect(listing.groupTiers.map(tier => tier.minGroupSize)).toEqual([5, 10]);
+    expect(calculateQuote(listing, { participants: 10 }).perPerson).toBe(106250);
+
+    expect(() => normalizePricingRules({ currency: 'USD' })).toThrow('non-negative base price');
+    expect(() => calculateQuote(listing, { participants: 0 })).toThrow('at least one participant');
+  });
+
+  it('should convert every line item so the converted quote still adds up', () => {
+    const quote = calculateQuote(rules, { participants: 3, tripDate: '2026-07-15', bookedAt });
+    const converted = convertQuote(quote, { from_currency: 'USD', to_currency: 'JPY', rate: 149.37 });
+
+    expect(converted.currency).toBe('JPY');
+    expect(converted.total).toBe(converted.lineItems.reduce((sum, item) => sum + item.amount, 0));
+    expect(converted.lineItems[0].unitAmount).toBe(29874);
+    expect(toInvoiceLineItems(converted)[0]).toMatchObject({ quantity: 3, rate: 29874, amount: 89622 });
+  });
+
+  it('should lock a quote once and return the locked quote afterwards', async () => {
+    const quote = calculateQuote(rules, { participants: 2, bookedAt });
+    supabase.rpc.mockResolvedValue({ data: { total: 1 }, error: null });
+
+    await expect(pricingEngine.lockQuote('b1', quote, { now: new Date('2025-09-22T13:00:00Z') }))
+      .rejects.toThrow('expired');
+    expect(await pricingEngine.lockQuote('b1', quote, { now: bookedAt })).toEqual({ total: 1 });
+    expect(supabase.rpc).toHaveBeenCalledWith('lock_booking_price_quote', expect.objectContaining({
+      p_booking_id: 'b1',
+      p_total_amount: 400,
+      p_currency: 'USD',
+      p_promo_code: null,
+    }));
+  });
+
+  it('should redeem the promo code in the same call that locks the quote', async () => {
+    const quote = calculateQuote(rules, {
+      participants: 2,
+      tripDate: '2025-09-26',
+      bookedAt,
+      promo: { code: 'WELCOME', type: 'fixed', value: 25 },
+    });
+    supabase.rpc.mockResolvedValueOnce({ data: quote, error: null });
+
+    expect(await pricingEngine.lockQuote('b1', { ...quote, promoCode: 'WELCOME' }, { now: bookedAt })).toBe(quote);
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('lock_booking_price_quote', expect.objectContaining({
+      p_promo_code: 'WELCOME',
+      p_discount_amount: 2500,
+    }));
+
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'PROMO_USAGE_LIMIT' } });
+    await expect(pricingEngine.lockQuote('b1', { ...quote, promoCode: 'WELCOME' }, { now: bookedAt }))
+      .rejects.toThrow('fully redeemed');
+  });
+
+  it('should quote a booking from its own date and party size when checkout locks it', async () => {
+    const booking = { adventure_id: 'a1', user_id: 'u1', booking_date: '2026-07-15', total_participants: 4, price_locked_at: null };
+    supabase.rpc.mockResolvedValue({ data: { total: 2 }, error: null });
+    supabase.from.mockImplementation((table) => (table === 'bookings'
+      ? { select: () => ({ eq: () => ({ maybeSingle: () => Promise.resolve({ data: booking, error: null }) }) }) }
+      : { select: () => ({ eq: () => ({ maybeSingle: () => Promise.resolve({ data: { price: 200, currency: 'USD', pricing: null }, error: null }) }) }) }));
+
+    expect(await pricingEngine.lockBookingQuote('b1', { now: bookedAt })).toEqual({ total: 2 });
+    expect(supabase.rpc).toHaveBeenCalledWith('lock_booking_price_quote', expect.objectContaining({
+      p_total_amount: 800,
+      p_quote: expect.objectContaining({ participants: 4, tripDate: '2026-07-15' }),
+    }));
+
+    booking.price_locked_at = bookedAt.toISOString();
+    booking.price_quote = { total: 3 };
+    supabase.rpc.mockClear();
+    expect(await pricingEngine.lockBookingQuote('b1')).toEqual({ total: 3 });
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
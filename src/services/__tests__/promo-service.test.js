@@ -0,0 +1,130 @@
+/**
+ * Promo Service Tests
+ * Promo code validation and scoping, quote discounts and referral credit invoice lines
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizePromoCode,
+  getPromoIneligibility,
+  toPricingPromo,
+  promoEngine,
+  referralEngine,
+} from '../promo-service';
+import { normalizePricingRules, calculateQuote } from '../pricing-service';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const now = new Date('2025-09-22T12:00:00Z');
+
+const promoRow = (overrides = {}) => ({
+  id: 'p1',
+  code: 'SUMMER20',
+  is_active: true,
+  vendor_id: null,
+  adventure_id: null,
+  discount_type: 'percent',
+  discount_value: '20.00',
+  currency: null,
+  max_redemptions: null,
+  max_redemptions_per_user: 1,
+  redemption_count: 0,
+  starts_at: null,
+  expires_at: '2025-12-31T00:00:00Z',
+  ...overrides,
+});
+
+describe('Promo Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should normalize promo definitions and reject invalid ones', () => {
+    expect(normalizePromoCode({ code: ' summer20 ', discountType: 'percent', discountValue: 20 })).toMatchObject({
+      code: 'SUMMER20',
+      issuer_type: 'platform',
+      currency: null,
+      max_redemptions_per_user: 1,
+    });
+    expect(normalizePromoCode({ code: 'TREK10', vendorId: 'v1', discountType: 'fixed', discountValue: 10, currency: 'eur' }))
+      .toMatchObject({ issuer_type: 'vendor', vendor_id: 'v1', currency: 'EUR' });
+
+    expect(() => normalizePromoCode({ code: 'a!', discountValue: 5 })).toThrow('3-32 letters');
+    expect(() => normalizePromoCode({ code: 'HALF', discountValue: 150 })).toThrow('Invalid discount value');
+    expect(() => normalizePromoCode({ code: 'FLAT', discountType: 'fixed', discountValue: 10 })).toThrow('supported currency');
+    expect(() => normalizePromoCode({ code: 'MINE', issuerType: 'vendor', discountValue: 10 })).toThrow('need a vendor');
+  });
+
+  it('should explain why a code can not be used', () => {
+    const context = { adventureId: 'a1', vendorId: 'v1', currency: 'USD', now };
+
+    expect(getPromoIneligibility(promoRow(), context)).toBeNull();
+    expect(getPromoIneligibility(null, context)).toBe('PROMO_NOT_FOUND');
+    expect(getPromoIneligibility(promoRow({ expires_at: '2025-09-01T00:00:00Z' }), context)).toBe('PROMO_EXPIRED');
+    expect(getPromoIneligibility(promoRow({ vendor_id: 'v2' }), context)).toBe('PROMO_SCOPE');
+    expect(getPromoIneligibility(promoRow({ adventure_id: 'a2' }), context)).toBe('PROMO_SCOPE');
+    expect(getPromoIneligibility(promoRow({ max_redemptions: 5, redemption_count: 5 }), context)).toBe('PROMO_USAGE_LIMIT');
+    expect(getPromoIneligibility(promoRow(), { ...context, userRedemptions: 1 })).toBe('PROMO_USER_LIMIT');
+    expect(getPromoIneligibility(promoRow({ discount_type: 'fixed', currency: 'EUR' }), context)).toBe('PROMO_CURRENCY');
+  });
+
+  it('should discount quotes once for the whole booking', () => {
+    const rules = normalizePricingRules({ basePrice: 100, currency: 'USD' });
+
+    const percent = calculateQuote(rules, { participants: 3, promo: toPricingPromo(promoRow()) });
+    expect(percent.lineItems[1]).toMatchObject({ type: 'promo', description: 'Promo code SUMMER20', amount: -6000 });
+    expect(percent.total).toBe(24000);
+
+    const fixed = calculateQuote(rules, {
+      participants: 1,
+      promo: toPricingPromo(promoRow({ discount_type: 'fixed', discount_value: '500.00', currency: 'USD' })),
+    });
+    expect(fixed.total).toBe(0);
+  });
+
+  it('should map redemption failures to readable errors', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'PROMO_USAGE_LIMIT' } });
+
+    await expect(promoEngine.redeem('summer20', { bookingId: 'b1', discountAmount: 6000, currency: 'USD' }))
+      .rejects.toThrow('This promo code has been fully redeemed');
+    expect(supabase.rpc).toHaveBeenCalledWith('redeem_promo_code', {
+      p_code: 'SUMMER20',
+      p_booking_id: 'b1',
+      p_discount_amount: 6000,
+      p_currency: 'USD',
+    });
+  });
+
+  it('should net applied and restored credits into one invoice line', async () => {
+    const entries = [
+      { amount: -2500, currency: 'USD', kind: 'applied' },
+      { amount: -1000, currency: 'USD', kind: 'applied' },
+      { amount: 1000, currency: 'USD', kind: 'restored' },
+    ];
+    supabase.from.mockReturnValue({
+      select: () => ({ eq: () => ({ eq: () => Promise.resolve({ data: entries, error: null }) }) }),
+    });
+
+    expect(await referralEngine.getInvoiceCreditItems('b1', 'usd')).toEqual([
+      { type: 'referral_credit', description: 'Referral credit', quantity: 1, rate: -25, amount: -25 },
+    ]);
+  });
+
+  it('should register a remembered invite code at sign-in and forget codes that can never apply', async () => {
+    const insert = vi.fn(() => ({ select: () => ({ single: () => Promise.resolve({ data: { id: 'r1' }, error: null }) }) }));
+    const lookup = vi.fn().mockResolvedValue({ data: { user_id: 'u1', code: 'FRIEND01' }, error: null });
+    supabase.from.mockReturnValue({ select: () => ({ eq: () => ({ maybeSingle: lookup }) }), insert });
+
+    expect(referralEngine.getInviteLink('FRIEND01', 'https://trvl.example')).toBe('https://trvl.example/register?ref=FRIEND01');
+    expect(await referralEngine.claimPendingReferral('u2')).toBeNull();
+
+    referralEngine.rememberReferralCode(' friend01 ');
+    expect(await referralEngine.claimPendingReferral('u2')).toEqual({ id: 'r1' });
+    expect(insert).toHaveBeenCalledWith(expect.objectContaining({ referrer_id: 'u1', referred_user_id: 'u2', code: 'FRIEND01' }));
+    expect(localStorage.getItem('trvl-referral-code')).toBeNull();
+
+    referralEngine.rememberReferralCode('FRIEND01');
+    expect(await referralEngine.claimPendingReferral('u1')).toBeNull();
+    expect(localStorage.getItem('trvl-referral-code')).toBeNull();
+  });
+});
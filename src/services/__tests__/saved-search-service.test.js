@@ -0,0 +1,68 @@
+/**
+ * Saved Search Service Tests
+ * Alert frequency resolution and matching adventures against saved searches
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { resolveAlertFrequency, matchesSavedSearch } from '../saved-search-service';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn() } }));
+vi.mock('../notification-service.js', () => ({
+  default: { sendNotification: vi.fn(), createNotificationTemplate: vi.fn() }
+}));
+
+const adventure = {
+  id: 'a1',
+  title: 'Glacier Hiking Adventure',
+  description: 'Guided hike across the Solheimajokull glacier',
+  location_name: 'Vik, Iceland',
+  category: 'hiking',
+  difficulty: 'moderate',
+  price: '450.00',
+  duration_hours: 6,
+  latitude: 63.42,
+  longitude: -19.01,
+  is_active: true
+};
+
+const savedSearch = (overrides = {}) => ({
+  id: 's1',
+  user_id: 'u1',
+  name: 'Iceland hikes',
+  query_text: '',
+  filters: {},
+  alerts_enabled: true,
+  alert_frequency: null,
+  ...overrides
+});
+
+describe('Saved Search Service', () => {
+  describe('resolveAlertFrequency', () => {
+    it('should follow the user notification frequency unless the search sets its own', () => {
+      const preferences = { notification_frequency: 'weekly_digest', saved_search_notifications: true };
+      expect(resolveAlertFrequency(savedSearch(), preferences)).toBe('weekly_digest');
+      expect(resolveAlertFrequency(savedSearch({ alert_frequency: 'immediate' }), preferences)).toBe('immediate');
+      expect(resolveAlertFrequency(savedSearch(), null)).toBe('immediate');
+    });
+
+    it('should disable alerts when the user or the search turns them off', () => {
+      expect(resolveAlertFrequency(savedSearch({ alerts_enabled: false }), null)).toBe('disabled');
+      expect(resolveAlertFrequency(savedSearch({ alert_frequency: 'immediate' }), { saved_search_notifications: false })).toBe('disabled');
+      expect(resolveAlertFrequency(savedSearch(), { notification_frequency: 'disabled' })).toBe('disabled');
+    });
+  });
+
+  describe('matchesSavedSearch', () => {
+    it('should match on text and filters', async () => {
+      expect(await matchesSavedSearch(savedSearch({ query_text: 'iceland', filters: { adventureTypes: ['hiking'], priceMax: 500 } }), adventure)).toBe(true);
+      expect(await matchesSavedSearch(savedSearch({ filters: { difficulty: ['easy'] } }), adventure)).toBe(false);
+      expect(await matchesSavedSearch(savedSearch({ filters: { durations: ['week'] } }), adventure)).toBe(false);
+    });
+
+    it('should use the geo radius stored with the search', async () => {
+      const nearReykjavik = { geo: { latitude: 64.14, longitude: -21.94, radiusKm: 80 } };
+      const southIceland = { geo: { latitude: 63.42, longitude: -19.0, radiusKm: 80 } };
+      expect(await matchesSavedSearch(savedSearch({ filters: nearReykjavik }), adventure)).toBe(false);
+      expect(await matchesSavedSearch(savedSearch({ filters: southIceland }), adventure)).toBe(true);
+    });
+  });
+});
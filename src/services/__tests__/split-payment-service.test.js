@@ -4,13 +4,22 @@
  */
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { paymentSplitting, groupPaymentManager, paymentDeadlineManager } from '../split-payment-service';
-// Mock Supabase
-const mockSupabase = {
+import { payments } from '../stripe-service';
+import { pricingEngine } from '../pricing-service';
+import { referralEngine } from '../promo-service';
+// Mock Supabase - hoisted with vi.mock so the factory can use it.
+// Inserted rows come back with ids; a single row is the split payment itself.
+const mockSupabase = vi.hoisted(() => ({
   from: vi.fn(() => ({
-    insert: vi.fn(() => ({
-      select: vi.fn(() => ({
-        single: vi.fn(() => Promise.resolve({ data: { id: 'test-split-id' }, error: null }))
-      }))
+    insert: vi.fn((rows) => ({
+      select: vi.fn(() => {
+        const created = Array.isArray(rows)
+          ? rows.map((row, index) => ({ id: `test-payment-${index}`, ...row }))
+          : [{ id: 'test-split-id', ...rows }];
+        return Object.assign(Promise.resolve({ data: created, error: null }), {
+          single: vi.fn(() => Promise.resolve({ data: created[0], error: null }))
+        });
+      })
     })),
     select: vi.fn(() => ({
       eq: vi.fn(() => ({
@@ -21,10 +30,20 @@ const mockSupabase = {
       eq: vi.fn(() => Promise.resolve({ error: null }))
     }))
   }))
-};
-vi.mock('../lib/supabase', () => ({
+}));
+vi.mock('../../lib/supabase', () => ({
   supabase: mockSupabase
 }));
+beforeEach(() => {
+  // Checkout locks the booking's quote; the group splits the quoted total
+  vi.spyOn(pricingEngine, 'lockBookingQuote').mockResolvedValue({
+    total: 1000,
+    currency: 'USD',
+    quotedAt: '2025-01-01T00:00:00.000Z'
+  });
+  vi.spyOn(referralEngine, 'applyToSplitPayment').mockResolvedValue([]);
+  vi.spyOn(payments, 'processRefund').mockResolvedValue({ refundId: 're_123', status: 'succeeded' });
+});
 describe('Payment Splitting Algorithms', () => {
   describe('calculateEqualSplit', () => {
     it('should calculate equal split for even division', () => {
@@ -114,6 +133,36 @@ describe('Payment Splitting Algorithms', () => {
         .toThrow('Duplicate participants detected');
     });
   });
+  describe('calculateInstallmentSchedule', () => {
+    const plan = {
+      depositPercent: 25,
+      installmentCount: 3,
+      depositDueDate: '2025-01-01T00:00:00.000Z',
+      finalDueDate: '2025-03-02T00:00:00.000Z'
+    };
+    it('should schedule a deposit followed by evenly spaced installments', () => {
+      const schedule = paymentSplitting.calculateInstallmentSchedule(100000, plan);
+      expect(schedule.map(entry => entry.kind)).toEqual(['deposit', 'installment', 'installment', 'installment']);
+      expect(schedule[0]).toMatchObject({ sequence: 0, amount: 25000, dueDate: '2025-01-01T00:00:00.000Z' });
+      expect(schedule[1].dueDate).toBe('2025-01-21T00:00:00.000Z');
+      expect(schedule[3].dueDate).toBe('2025-03-02T00:00:00.000Z');
+    });
+    it('should put rounding cents on the last installment', () => {
+      const schedule = paymentSplitting.calculateInstallmentSchedule(10001, plan);
+      expect(schedule.map(entry => entry.amount)).toEqual([2500, 2500, 2500, 2501]);
+      expect(schedule.reduce((sum, entry) => sum + entry.amount, 0)).toBe(10001);
+    });
+    it('should reject deposits below the minimum percentage', () => {
+      expect(() => paymentSplitting.calculateInstallmentSchedule(10000, { ...plan, depositPercent: 5 }))
+        .toThrow('Deposit must be at least 10% of each share');
+    });
+    it('should reject installments closer together than the minimum interval', () => {
+      expect(() => paymentSplitting.calculateInstallmentSchedule(10000, {
+        ...plan,
+        installmentCount: 12
+      })).toThrow('Installments must be at least 7 days apart');
+    });
+  });
 });
 describe('Group Payment Manager', () => {
   beforeEach(() => {
@@ -136,7 +185,33 @@ describe('Group Payment Manager', () => {
       };
       const result = await groupPaymentManager.createSplitPayment(paymentData);
       expect(result.splitPaymentId).toBe('test-split-id');
+      expect(pricingEngine.lockBookingQuote).toHaveBeenCalledWith('booking-123', { promoCode: null });
       expect(mockSupabase.from).toHaveBeenCalledWith('split_payments');
+      expect(result.individualPayments.map(payment => payment.amount_due)).toEqual([500, 500]);
+    });
+    it('should schedule a deposit and installments for each share with a payment plan', async () => {
+      const result = await groupPaymentManager.createSplitPayment({
+        bookingId: 'booking-123',
+        organizerId: 'organizer-123',
+        participants: [
+          { id: '1', name: 'John', email: 'john@test.com' },
+          { id: '2', name: 'Jane', email: 'jane@test.com' }
+        ],
+        paymentPlan: {
+          depositPercent: 20,
+          installmentCount: 2,
+          depositDueDate: '2025-01-01T00:00:00.000Z',
+          finalDueDate: '2025-01-31T00:00:00.000Z'
+        },
+        vendorAccountId: 'vendor-123',
+        description: 'Test booking'
+      });
+      expect(mockSupabase.from).toHaveBeenCalledWith('payment_installments');
+      expect(referralEngine.applyToSplitPayment).not.toHaveBeenCalled();
+      expect(result.installments).toHaveLength(6);
+      expect(result.installments.filter(entry => entry.kind === 'deposit').map(entry => entry.amount_due))
+        .toEqual([100, 100]);
+      expect(result.splitPayment.payment_deadline).toBe('2025-01-31T00:00:00.000Z');
     });
     it('should throw error for invalid split type', async () => {
       const paymentData = {
@@ -152,6 +227,20 @@ describe('Group Payment Manager', () => {
       await expect(groupPaymentManager.createSplitPayment(paymentData))
         .rejects.toThrow('Invalid split type or missing custom splits');
     });
+    it('should reject a total that differs from the locked quote', async () => {
+      const paymentData = {
+        bookingId: 'booking-123',
+        organizerId: 'organizer-123',
+        totalAmount: 800,
+        participants: [{ id: '1', name: 'John', email: 'john@test.com' }],
+        paymentDeadline: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+        vendorAccountId: 'vendor-123',
+        description: 'Test booking'
+      };
+      await expect(groupPaymentManager.createSplitPayment(paymentData))
+        .rejects.toThrow('does not match the booking\'s locked price of 1000');
+      expect(mockSupabase.from).not.toHaveBeenCalledWith('split_payments');
+    });
   });
   describe('calculatePaymentStats', () => {
     it('should calculate correct payment statistics', () => {
@@ -177,7 +266,7 @@ describe('Group Payment Manager', () => {
         { amount_due: 250, amount_paid: 250, status: 'paid' },
         { amount_due: 250, amount_paid: 250, status: 'paid' },
         { amount_due: 250, amount_paid: 250, status: 'paid' },
-        { amount_due: 250, amount_paid: 50, status: 'paid' } // 85% total
+        { amount_due: 250, amount_paid: 100, status: 'paid' } // 85% total
       ];
       const stats = groupPaymentManager.calculatePaymentStats(individualPayments);
       expect(stats.completionPercentage).toBe(85);
@@ -191,18 +280,16 @@ describe('Payment Deadline Manager', () => {
   });
   describe('sendPaymentReminders', () => {
     it('should send reminders for payments approaching deadline', async () => {
-      const consoleSpy = vi.spyOn(console, 'log').mockImplementation();
-      // Mock successful reminder sending
       const mockPaymentData = {
         id: 'payment-123',
         user_id: 'user-123',
         reminder_count: 0
       };
-      await paymentDeadlineManager.sendIndividualReminder(mockPaymentData);
-      expect(consoleSpy).toHaveBeenCalledWith(
-        'Payment reminder sent to user user-123 for payment payment-123'
-      );
-      consoleSpy.mockRestore();
+      const sent = await paymentDeadlineManager.sendIndividualReminder(mockPaymentData);
+      expect(sent).toBe(true);
+      expect(mockSupabase.from).toHaveBeenCalledWith('individual_payments');
+      const update = mockSupabase.from.mock.results[0].value.update;
+      expect(update).toHaveBeenCalledWith(expect.objectContaining({ reminder_count: 1 }));
     });
   });
   describe('handleExpiredSplitPayment', () => {
@@ -239,6 +326,10 @@ describe('Payment Deadline Manager', () => {
       // Should cancel and refund
       await paymentDeadlineManager.cancelAndRefundSplitPayment(splitPayment, stats);
       expect(mockSupabase.from).toHaveBeenCalledWith('split_payments');
+      expect(payments.processRefund).toHaveBeenCalledWith({
+        paymentIntentId: 'pi_123',
+        reason: 'requested_by_customer'
+      });
     });
   });
 });
@@ -333,7 +424,7 @@ describe('Edge Cases', () => {
   describe('Small Amounts', () => {
     it('should handle small amounts with many participants', () => {
       const result = paymentSplitting.calculateEqualSplit(100, 7); // $1.00 split 7 ways
-      expect(result.splits).toEqual([15, 15, 15, 15, 14, 14, 14]); // 4 people get 15¢, 3 get 14¢
+      expect(result.splits).toEqual([15, 15, 14, 14, 14, 14, 14]); // 2 people get 15¢, 5 get 14¢
       expect(result.totalVerification).toBe(100);
       expect(result.remainder).toBe(2);
     });
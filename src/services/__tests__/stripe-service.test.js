@@ -0,0 +1,98 @@
+/**
+ * Stripe Service Tests
+ * Checkout loads the booking's payee and charges and invoices its locked price quote
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { payments } from '../stripe-service';
+import { pricingEngine } from '../pricing-service';
+import InvoiceService from '../invoice-service';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const lockedQuote = {
+  currency: 'EUR',
+  total: 45000,
+  promoCode: 'WELCOME',
+  lineItems: [
+    { type: 'base', quantity: 2, unitAmount: 25000, amount: 50000 },
+    { type: 'promo', quantity: 1, unitAmount: -5000, amount: -5000 },
+  ],
+};
+
+const sentIntent = () => JSON.parse(fetch.mock.calls[0][1].body);
+
+describe('Stripe Service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ id: 'pi_1', client_secret: 'pi_1_secret_1' }),
+    }));
+    vi.spyOn(pricingEngine, 'lockBookingQuote').mockResolvedValue(lockedQuote);
+  });
+
+  it('should charge the locked quote total and take the platform fee from it', async () => {
+    const result = await payments.createPaymentIntent({
+      vendorAccountId: 'acct_1',
+      bookingId: 'b1',
+      userId: 'u1',
+      discounts: { promoCode: 'WELCOME' },
+    });
+
+    expect(pricingEngine.lockBookingQuote).toHaveBeenCalledWith('b1', { promoCode: 'WELCOME', currency: null });
+    expect(sentIntent()).toMatchObject({
+      amount: 45000,
+      currency: 'eur',
+      application_fee_amount: 2250,
+      metadata: { promo_code: 'WELCOME', promo_discount: 5000 },
+    });
+    expect(result).toMatchObject({ amount: 45000, currency: 'eur', platformFee: 2250, vendorAmount: 42750 });
+  });
+
+  it('should reject an amount or currency that differs from the locked quote', async () => {
+    const paymentData = { vendorAccountId: 'acct_1', bookingId: 'b1', userId: 'u1' };
+
+    await expect(payments.createPaymentIntent({ ...paymentData, amount: 50000 }))
+      .rejects.toThrow('does not match the booking\'s locked price of 45000');
+    await expect(payments.createPaymentIntent({ ...paymentData, currency: 'usd' }))
+      .rejects.toThrow('This booking is priced in EUR');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should charge and invoice a multi-currency payment from the quote locked in that currency', async () => {
+    vi.spyOn(InvoiceService, 'createInvoice').mockResolvedValue({ id: 'inv_1' });
+
+    const result = await payments.createMultiCurrencyPayment({
+      currency: 'EUR',
+      vendorAccountId: 'acct_1',
+      bookingId: 'b1',
+      userId: 'u1',
+      vendorId: 'v1',
+      autoInvoice: true,
+    });
+
+    expect(pricingEngine.lockBookingQuote).toHaveBeenCalledWith('b1', { currency: 'EUR' });
+    expect(sentIntent()).toMatchObject({ amount: 45000, currency: 'eur' });
+    expect(InvoiceService.createInvoice).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 450,
+      currency: 'EUR',
+      quote: lockedQuote,
+    }));
+    expect(result).toMatchObject({ currency: 'EUR', displayAmount: 450, invoice: { id: 'inv_1' } });
+  });
+
+  it('should load a booking with the vendor account its checkout pays', async () => {
+    const booking = { id: 'b1', adventure_id: 'a1', price_locked_at: null };
+    supabase.from.mockReturnValue({
+      select: () => ({ eq: () => ({ maybeSingle: () => Promise.resolve({ data: booking, error: null }) }) }),
+    });
+    supabase.rpc.mockResolvedValueOnce({ data: 'acct_1', error: null });
+
+    expect(await payments.getBookingCheckout('b1')).toEqual({ booking, vendorAccountId: 'acct_1' });
+    expect(supabase.rpc).toHaveBeenCalledWith('get_booking_vendor_account', { p_booking_id: 'b1' });
+
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: null });
+    await expect(payments.getBookingCheckout('b1')).rejects.toThrow('not accepting payments');
+  });
+});
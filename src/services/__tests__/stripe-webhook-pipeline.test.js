@@ -0,0 +1,119 @@
+/**
+ * Stripe Webhook Pipeline Tests
+ * Deduplication, per-object ordering, retries with backoff and re-drive on the memory store
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createMemoryWebhookEventStore,
+  createWebhookPipeline,
+  getEventOrdering,
+} from '../stripe-webhook-pipeline';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const at = (ms) => new Date(Date.UTC(2025, 8, 21, 12, 0, 0) + ms);
+const seconds = (ms) => Math.floor(at(ms).getTime() / 1000);
+
+const stripeEvent = (id, type, object, createdMs = 0) => ({
+  id,
+  type,
+  created: seconds(createdMs),
+  data: { object },
+});
+
+const succeeded = (id, createdMs) => stripeEvent(id, 'payment_intent.succeeded', { id: 'pi_1', status: 'succeeded' }, createdMs);
+const refunded = (id, createdMs) => stripeEvent(id, 'charge.refunded', { id: 'ch_1', payment_intent: 'pi_1', amount_refunded: 5000 }, createdMs);
+
+const createPipeline = (processEvent = vi.fn(async () => {}), options = {}) => {
+  const store = createMemoryWebhookEventStore();
+  return { store, processEvent, pipeline: createWebhookPipeline({ store, processEvent, retryDelay: 1000, ...options }) };
+};
+
+describe('Stripe Webhook Pipeline', () => {
+  it('should order refunds with their payment intent and leave unknown types unordered', () => {
+    expect(getEventOrdering(refunded('evt_r', 0))).toMatchObject({
+      objectKey: 'payment_intent:pi_1',
+      objectType: 'payment_intent',
+      objectId: 'pi_1',
+      rank: 3,
+    });
+    expect(getEventOrdering(stripeEvent('evt_d', 'charge.dispute.closed', { id: 'dp_1', charge: 'ch_1' })).objectKey)
+      .toBe('dispute:dp_1');
+    expect(getEventOrdering(stripeEvent('evt_i', 'invoice.payment_succeeded', { id: 'in_1' }))).toBeNull();
+  });
+
+  it('should run each stripe_event_id once however often it is delivered', async () => {
+    const { pipeline, processEvent } = createPipeline();
+    const event = succeeded('evt_1', 0);
+
+    expect(await pipeline.receive(event, at(0))).toMatchObject({ status: 'processed', duplicate: false });
+    expect(await pipeline.receive(event, at(5000))).toMatchObject({ status: 'processed', duplicate: true, claimed: false });
+    expect(processEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip events older than the last one applied to their object', async () => {
+    const { pipeline, processEvent, store } = createPipeline();
+
+    // The refund is delivered before the payment it refunds
+    await pipeline.receive(refunded('evt_refund', 60000), at(61000));
+    const late = await pipeline.receive(succeeded('evt_paid', 0), at(62000));
+
+    expect(late.status).toBe('skipped');
+    expect((await store.get('evt_paid')).skip_reason).toBe('Superseded by a newer event for payment_intent:pi_1');
+    expect(processEvent.mock.calls.map(([event]) => event.id)).toEqual(['evt_refund']);
+    expect(store.objectStates.get('payment_intent:pi_1')).toMatchObject({
+      last_event_id: 'evt_refund',
+      state: { amount_refunded: 5000 },
+    });
+
+    // Within the same second the lifecycle decides
+    await pipeline.receive(stripeEvent('evt_failed', 'payout.failed', { id: 'po_1', status: 'failed' }, 120000), at(120000));
+    expect((await pipeline.receive(stripeEvent('evt_updated', 'payout.updated', { id: 'po_1' }, 120000), at(120000))).status)
+      .toBe('skipped');
+  });
+
+  it('should retry failed handlers with backoff and dead-letter them when attempts run out', async () => {
+    const onDeadLetter = vi.fn();
+    const processEvent = vi.fn(async () => { throw new Error('booking_payments unavailable'); });
+    const { pipeline, store } = createPipeline(processEvent, { maxAttempts: 2, onDeadLetter });
+
+    const first = await pipeline.receive(succeeded('evt_1', 0), at(0));
+    expect(first).toMatchObject({ status: 'failed', retryAt: at(1000).toISOString(), error: 'booking_payments unavailable' });
+
+    expect(await pipeline.retryDue({ now: at(500) })).toEqual([]);
+    const [second] = await pipeline.retryDue({ now: at(1000) });
+
+    expect(second.status).toBe('dead');
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ stripe_event_id: 'evt_1', processing_attempts: 2 }), expect.any(Error));
+    expect((await pipeline.listFailed()).map(row => [row.stripe_event_id, row.status])).toEqual([['evt_1', 'dead']]);
+    // Stripe redelivering a dead event does not run it again
+    expect((await pipeline.receive(succeeded('evt_1', 0), at(2000))).claimed).toBe(false);
+    expect(processEvent).toHaveBeenCalledTimes(2);
+    expect((await store.get('evt_1')).last_processing_error).toBe('booking_payments unavailable');
+  });
+
+  it('should re-drive dead-lettered events with fresh attempts', async () => {
+    const processEvent = vi.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValue();
+    const { pipeline, store } = createPipeline(processEvent, { maxAttempts: 1 });
+
+    await pipeline.receive(succeeded('evt_1', 0), at(0));
+    expect((await store.get('evt_1')).status).toBe('dead');
+
+    expect(await pipeline.redrive('evt_1', at(60000))).toMatchObject({ status: 'processed', claimed: true });
+    expect(await store.get('evt_1')).toMatchObject({ status: 'processed', processed: true, processing_attempts: 1 });
+    // Only failed or dead events can be re-driven
+    expect(await pipeline.redrive('evt_1', at(61000))).toBeNull();
+  });
+
+  it('should not run an event another delivery is still processing', async () => {
+    const { pipeline, store } = createPipeline();
+    await store.record({ stripe_event_id: 'evt_1', event_type: 'payment_intent.succeeded', event_data: succeeded('evt_1', 0), status: 'received', processing_attempts: 0 });
+    await store.claim('evt_1', { now: at(0), leaseTimeout: 60000 });
+
+    expect(await pipeline.run('evt_1', at(30000))).toEqual({ eventId: 'evt_1', status: 'processing', claimed: false });
+    // The lease ran out - the holder is gone
+    expect((await pipeline.run('evt_1', at(61000))).status).toBe('processed');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Support Ticket Service Tests
+ * SLA timers, queue order, priority rules and reply mirroring on a mocked client
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calculateSlaDeadlines,
+  createSupportTicketEngine,
+  determinePriority,
+  getSlaStatus,
+  sortQueue,
+} from '../support-ticket-service';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+
+const HOUR = 60 * 60 * 1000;
+const at = (ms) => new Date(Date.UTC(2025, 8, 21, 12, 0, 0) + ms);
+
+const ticketAt = (priority, overrides = {}) => ({
+  id: `ticket_${priority}`,
+  ticket_number: 1000,
+  priority,
+  status: 'open',
+  created_at: at(0).toISOString(),
+  ...calculateSlaDeadlines(priority, at(0)),
+  ...overrides,
+});
+
+// Chainable query that resolves to the given result
+const query = (result) => {
+  const chain = {};
+  ['select', 'insert', 'update', 'eq', 'in', 'is', 'gt', 'order', 'limit'].forEach(method => {
+    chain[method] = vi.fn(() => chain);
+  });
+  chain.single = vi.fn(async () => result);
+  chain.then = (resolve) => resolve(result);
+  return chain;
+};
+
+const createClient = (ticket) => {
+  const messageUpdates = [];
+  const ticketUpdates = [];
+  const client = {
+    rpc: vi.fn(async () => ({ data: ticket, error: null })),
+    from: vi.fn((table) => {
+      if (table === 'support_tickets') {
+        const chain = query({ data: ticket, error: null });
+        chain.update = vi.fn((changes) => {
+          ticketUpdates.push(changes);
+          return query({ data: { ...ticket, ...changes }, error: null });
+        });
+        return chain;
+      }
+      const chain = query({ data: { id: 'msg_1', ticket_id: ticket.id }, error: null });
+      chain.update = vi.fn((changes) => {
+        messageUpdates.push(changes);
+        return query({ data: { id: 'msg_1', ...changes }, error: null });
+      });
+      return chain;
+    }),
+  };
+  return { client, messageUpdates, ticketUpdates };
+};
+
+describe('Support Ticket Service', () => {
+  it('should run SLA timers from the priority windows', () => {
+    const ticket = ticketAt('high');
+    expect(ticket.first_response_due_at).toBe(at(4 * HOUR).toISOString());
+    expect(ticket.resolution_due_at).toBe(at(24 * HOUR).toISOString());
+
+    expect(getSlaStatus(ticket, at(1 * HOUR)).firstResponse.state).toBe('on_track');
+    expect(getSlaStatus(ticket, at(3.5 * HOUR)).firstResponse.state).toBe('at_risk');
+    expect(getSlaStatus(ticket, at(5 * HOUR))).toMatchObject({
+      breached: true,
+      firstResponse: { state: 'breached', remainingMs: -1 * HOUR },
+      nextDueAt: ticket.first_response_due_at,
+    });
+
+    // A timely reply stops the first response timer for good
+    const answered = { ...ticket, first_responded_at: at(2 * HOUR).toISOString() };
+    expect(getSlaStatus(answered, at(5 * HOUR))).toMatchObject({
+      breached: false,
+      firstResponse: { state: 'met', remainingMs: null },
+      nextDueAt: ticket.resolution_due_at,
+    });
+  });
+
+  it('should put breached tickets first, then the nearest deadline', () => {
+    const queue = sortQueue([
+      ticketAt('low', { id: 'low' }),
+      ticketAt('normal', { id: 'normal' }),
+      ticketAt('urgent', { id: 'urgent' }),
+      ticketAt('high', { id: 'breached', ...calculateSlaDeadlines('high', at(-10 * HOUR)) }),
+    ], at(30 * 60 * 1000));
+
+    expect(queue.map(ticket => ticket.id)).toEqual(['breached', 'urgent', 'normal', 'low']);
+  });
+
+  it('should prioritise by urgent wording before the contact form category', () => {
+    expect(determinePriority({ category: 'Feature Request', body: 'Please add dark mode' })).toBe('low');
+    expect(determinePriority({ category: 'Booking Issue', body: 'Wrong dates' })).toBe('high');
+    expect(determinePriority({ category: 'General Inquiry', body: 'I am stranded at the airport' })).toBe('urgent');
+    expect(determinePriority({ body: 'Hello' })).toBe('normal');
+  });
+
+  it('should record customer messages through receive_support_message', async () => {
+    const { client } = createClient(ticketAt('high'));
+    const engine = createSupportTicketEngine({ client, channels: {} });
+
+    await engine.receiveCustomerMessage({
+      channel: 'email',
+      channelRef: 'ana@example.com',
+      requesterName: 'Ana',
+      category: 'Booking Issue',
+      body: '  My booking shows the wrong dates  ',
+      now: at(0),
+    });
+
+    expect(client.rpc).toHaveBeenCalledWith('receive_support_message', expect.objectContaining({
+      p_channel: 'email',
+      p_channel_ref: 'ana@example.com',
+      p_body: 'My booking shows the wrong dates',
+      p_subject: 'My booking shows the wrong dates',
+      p_priority: 'high',
+      p_first_response_due_at: at(4 * HOUR).toISOString(),
+      p_requester_name: 'Ana',
+    }));
+    await expect(engine.receiveCustomerMessage({ channel: 'sms', channelRef: '1', body: 'hi' }))
+      .rejects.toThrow('Unknown support channel: sms');
+  });
+
+  it('should mirror agent replies to the channel and stop the response timer once delivered', async () => {
+    const ticket = ticketAt('normal', { channel: 'whatsapp', channel_ref: '15550001111', assignee_id: null });
+    const { client, messageUpdates, ticketUpdates } = createClient(ticket);
+    const send = vi.fn(async () => ({ externalMessageId: 'wamid.1' }));
+    const engine = createSupportTicketEngine({ client, channels: { whatsapp: { send } } });
+
+    const result = await engine.replyAsAgent(ticket.id, 'agent_1', 'We are on it', { now: at(HOUR) });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ channel_ref: '15550001111' }), expect.objectContaining({ id: 'msg_1' }));
+    expect(result).toMatchObject({ delivered: true, error: null });
+    expect(messageUpdates).toEqual([{ delivery_status: 'sent', external_message_id: 'wamid.1', delivery_error: null }]);
+    expect(ticketUpdates).toEqual([{
+      status: 'waiting_on_customer',
+      first_responded_at: at(HOUR).toISOString(),
+      assignee_id: 'agent_1',
+    }]);
+  });
+
+  it('should keep failed deliveries and internal notes from stopping the timer', async () => {
+    const ticket = ticketAt('normal', { channel: 'email', channel_ref: 'ana@example.com' });
+    const { client, messageUpdates, ticketUpdates } = createClient(ticket);
+    const send = vi.fn(async () => { throw new Error('Mailbox unavailable'); });
+    const engine = createSupportTicketEngine({ client, channels: { email: { send } } });
+
+    expect(await engine.replyAsAgent(ticket.id, 'agent_1', 'Hello')).toMatchObject({ delivered: false, error: 'Mailbox unavailable' });
+    expect(messageUpdates).toEqual([{ delivery_status: 'failed', delivery_error: 'Mailbox unavailable' }]);
+
+    expect(await engine.replyAsAgent(ticket.id, 'agent_1', 'Customer called twice', { internal: true }))
+      .toMatchObject({ delivered: false, error: null });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(ticketUpdates).toEqual([]);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Trip Feedback Service Tests
+ * Trip end dates, answer validation, survey creation and outcome recording
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getTripEndDate,
+  getBookingTravelers,
+  normalizeFeedback,
+  tripFeedbackEngine,
+} from '../trip-feedback-service';
+import { supabase } from '../../lib/supabase.js';
+
+const recordOutcome = vi.fn();
+
+vi.mock('../../lib/supabase.js', () => ({
+  supabase: { from: vi.fn(), rpc: vi.fn(), auth: { admin: { getUserById: vi.fn() } } }
+}));
+vi.mock('../notification-service.js', () => ({
+  default: { sendNotification: vi.fn(), createNotificationTemplate: vi.fn() }
+}));
+vi.mock('../email-service.js', () => ({
+  default: { sendTemplatedEmail: vi.fn() }
+}));
+vi.mock('../ml/group-success-predictor.js', () => ({
+  getGroupSuccessPredictor: () => ({ recordOutcome })
+}));
+
+// Minimal chainable query builder resolving to the given result
+const queryResult = (result) => {
+  const builder = {};
+  ['select', 'eq', 'neq', 'in', 'is', 'not', 'gte', 'lte', 'limit', 'update', 'upsert'].forEach(method => {
+    builder[method] = vi.fn(() => builder);
+  });
+  builder.maybeSingle = vi.fn(() => Promise.resolve(result));
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const booking = (overrides = {}) => ({
+  id: 'b1',
+  user_id: 'u1',
+  vendor_id: 'v1',
+  adventure_id: 'a1',
+  group_id: null,
+  booking_date: '2025-09-10',
+  adventure: { id: 'a1', title: 'Alps Trek', duration_hours: 4, itinerary: null },
+  participants: [],
+  surveys: [],
+  ...overrides,
+});
+
+describe('Trip Feedback Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should end trips on the last itinerary or duration day', () => {
+    expect(getTripEndDate(booking())).toBe('2025-09-10');
+    expect(getTripEndDate(booking({ adventure: { duration_hours: 50 } }))).toBe('2025-09-12');
+    expect(getTripEndDate(booking({ adventure: { duration_hours: 24, itinerary: [{}, {}, {}, {}] } }))).toBe('2025-09-13');
+
+    expect(getBookingTravelers(booking({
+      participants: [{ user_id: 'u2' }, { user_id: null }, { user_id: 'u1' }]
+    }))).toEqual(['u1', 'u2']);
+  });
+
+  it('should validate answers into submit_trip_feedback arguments', () => {
+    expect(normalizeFeedback({
+      tripRating: 5,
+      vendorRating: '4',
+      comment: '  Great guides  ',
+      companions: [
+        { companionId: 'u2', wouldTravelAgain: true },
+        { companionId: 'u3', wouldTravelAgain: false, hadConflict: true, conflictTypes: ['energy', 'energy', 'weather'] }
+      ]
+    })).toEqual({
+      p_trip_rating: 5,
+      p_vendor_rating: 4,
+      p_would_recommend: null,
+      p_comment: 'Great guides',
+      p_companions: [
+        { companion_id: 'u2', would_travel_again: true, had_conflict: false, conflict_types: [] },
+        { companion_id: 'u3', would_travel_again: false, had_conflict: true, conflict_types: ['energy'] }
+      ]
+    });
+
+    expect(() => normalizeFeedback({ tripRating: 6, vendorRating: 4 })).toThrow('Ratings must be between 1 and 5 stars');
+    expect(() => normalizeFeedback({
+      tripRating: 4, vendorRating: 4, companions: [{ companionId: 'u2' }]
+    })).toThrow('Say whether you would travel with each companion again');
+  });
+
+  it('should map database errors on submit', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'SURVEY_ALREADY_SUBMITTED' } });
+    await expect(tripFeedbackEngine.submitSurvey('s1', { tripRating: 4, vendorRating: 5 }))
+      .rejects.toThrow('You have already shared feedback for this trip');
+
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'connection reset' } });
+    await expect(tripFeedbackEngine.submitSurvey('s1', { tripRating: 4, vendorRating: 5 }))
+      .rejects.toThrow('Failed to submit feedback: connection reset');
+  });
+
+  it('should create surveys for every traveler once the trip has ended', async () => {
+    const finished = queryResult({
+      data: [
+        booking({ group_id: 'g1', participants: [{ user_id: 'u2' }], surveys: [{ user_id: 'u2' }] }),
+        // Still running on the 21st: four itinerary days from the 19th
+        booking({ id: 'b2', booking_date: '2025-09-19', adventure: { itinerary: [{}, {}, {}, {}] } })
+      ],
+      error: null
+    });
+    const groupBookings = queryResult({
+      data: [
+        { group_id: 'g1', user_id: 'u1', participants: [{ user_id: 'u2' }] },
+        { group_id: 'g1', user_id: 'u4', participants: [] }
+      ],
+      error: null
+    });
+    const insert = queryResult({ data: [{ id: 's1' }], error: null });
+    supabase.from
+      .mockReturnValueOnce(finished)
+      .mockReturnValueOnce(groupBookings)
+      .mockReturnValueOnce(insert);
+
+    const created = await tripFeedbackEngine.createDueSurveys(new Date('2025-09-21T09:00:00Z'));
+
+    expect(created).toEqual([{ id: 's1' }]);
+    expect(finished.lte).toHaveBeenCalledWith('booking_date', '2025-09-20');
+    expect(finished.gte).toHaveBeenCalledWith('booking_date', '2025-08-22');
+    expect(insert.upsert).toHaveBeenCalledWith([
+      expect.objectContaining({
+        booking_id: 'b1',
+        user_id: 'u1',
+        group_id: 'g1',
+        companion_ids: ['u2', 'u4'],
+        trip_end_date: '2025-09-10',
+        expires_at: '2025-10-21T09:00:00.000Z'
+      })
+    ], { onConflict: 'booking_id,user_id', ignoreDuplicates: true });
+  });
+
+  it('should record outcomes only for groups with no open surveys', async () => {
+    const closed = queryResult({ data: [{ group_id: 'g1' }, { group_id: 'g1' }, { group_id: 'g2' }], error: null });
+    const feedback = queryResult({
+      data: [
+        { group_id: 'g1', response_count: 3, average_trip_rating: '4.33', successful: true },
+        { group_id: 'g2', response_count: 0, average_trip_rating: null, successful: null }
+      ],
+      error: null
+    });
+    const markG1 = queryResult({ data: null, error: null });
+    const markG2 = queryResult({ data: null, error: null });
+    supabase.from
+      .mockReturnValueOnce(closed)
+      .mockReturnValueOnce(feedback)
+      .mockReturnValueOnce(markG1)
+      .mockReturnValueOnce(markG2);
+
+    const results = await tripFeedbackEngine.recordGroupOutcomes();
+
+    expect(results).toEqual({ recorded: 1, errors: [] });
+    expect(feedback.in).toHaveBeenCalledWith('group_id', ['g1', 'g2']);
+    expect(feedback.eq).toHaveBeenCalledWith('pending_count', 0);
+    expect(recordOutcome).toHaveBeenCalledTimes(1);
+    expect(recordOutcome).toHaveBeenCalledWith('g1', { successful: true, feedbackScore: 0.87 });
+    // Unanswered groups are closed without a label
+    expect(markG2.update).toHaveBeenCalledWith({ outcome_recorded_at: expect.any(String) });
+    expect(markG2.eq).toHaveBeenCalledWith('group_id', 'g2');
+  });
+
+  it('should queue the next dispatch once per day', async () => {
+    const queue = { enqueue: vi.fn().mockResolvedValue({ id: 'job-1' }) };
+
+    await tripFeedbackEngine.scheduleDispatch({ queue, now: new Date('2025-09-21T07:30:00Z') });
+    await tripFeedbackEngine.scheduleDispatch({ queue, now: new Date('2025-09-21T09:00:00Z') });
+
+    expect(queue.enqueue.mock.calls[0]).toEqual(['trip_feedback_dispatch', { date: '2025-09-21' }, {
+      runAt: new Date('2025-09-21T09:00:00Z'),
+      idempotencyKey: 'trip-feedback:2025-09-21'
+    }]);
+    expect(queue.enqueue.mock.calls[1][2]).toEqual({
+      runAt: new Date('2025-09-22T09:00:00Z'),
+      idempotencyKey: 'trip-feedback:2025-09-22'
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Trip Request Service Tests
+ * Clarification questions, answers, request validation and server-side creation
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  applyClarifications,
+  buildTripRequest,
+  getClarificationQuestions,
+  tripRequestEngine,
+} from '../trip-request-service';
+import { parseTripDescription } from '../nlp-service.js';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('../../lib/supabase.js', () => ({
+  supabase: { from: vi.fn(), auth: { getSession: vi.fn() } }
+}));
+vi.mock('../nlp-service.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  parseTripDescription: vi.fn()
+}));
+
+const description = 'Hiking and camping in Peru with friends, around $2500 each';
+
+const parsedTrip = (overrides = {}) => ({
+  destinations: { primary: 'peru', secondary: [], confidence: 0.7 },
+  dates: { startDate: null, endDate: null, duration: null, flexibility: 'flexible', confidence: 0.2 },
+  budget: { amount: 2500, currency: 'USD', perPerson: true, range: { min: null, max: null }, confidence: 0.4 },
+  groupSize: { size: null, type: 'friends', ageGroups: [], confidence: 0.7 },
+  activities: { interests: ['hiking', 'camping'], adventureLevel: 'adventurous', categories: ['outdoor'], confidence: 0.6 },
+  specialRequirements: { dietary: ['vegetarian'], accessibility: [], other: [], confidence: 0.7 },
+  overallConfidence: 0.5,
+  source: 'fallback',
+  ...overrides,
+});
+
+const answers = { startDate: '2026-05-01', endDate: '2026-05-10', budget: '2500', groupSize: '4' };
+
+describe('Trip Request Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should ask about missing and low-confidence required fields', () => {
+    expect(getClarificationQuestions(parsedTrip())).toEqual([
+      { field: 'dates', question: 'When would you like to travel? Pick a start and end date.', input: 'dateRange', suggestedValue: null, confidence: 0.2 },
+      { field: 'budget', question: 'Is $2,500 per person the right budget?', input: 'number', suggestedValue: 2500, confidence: 0.4 },
+      { field: 'groupSize', question: 'How many people are traveling, including you?', input: 'number', suggestedValue: null, confidence: 0.7 },
+    ]);
+
+    // A stricter threshold also confirms the destination
+    expect(getClarificationQuestions(parsedTrip(), 0.8).map(question => question.field))
+      .toEqual(['destination', 'dates', 'budget', 'groupSize']);
+  });
+
+  it('should treat answered fields as certain', () => {
+    const clarified = applyClarifications(parsedTrip(), { ...answers, destination: '  Cusco ' });
+
+    expect(clarified.destinations).toMatchObject({ primary: 'Cusco', confidence: 1 });
+    expect(clarified.dates).toMatchObject({ startDate: '2026-05-01', endDate: '2026-05-10', confidence: 1 });
+    expect(clarified.budget).toMatchObject({ amount: 2500, confidence: 1 });
+    expect(clarified.groupSize).toMatchObject({ size: 4, type: 'friends', confidence: 1 });
+    expect(getClarificationQuestions(clarified)).toEqual([]);
+    // The parsed result itself is left untouched
+    expect(parsedTrip().dates.startDate).toBeNull();
+  });
+
+  it('should build validated trip_requests rows', () => {
+    const { data, isValid } = buildTripRequest(applyClarifications(parsedTrip(), answers), description);
+
+    expect(isValid).toBe(true);
+    expect(data).toEqual({
+      destination: 'peru',
+      start_date: '2026-05-01',
+      end_date: '2026-05-10',
+      budget_min: null,
+      budget_max: 2500,
+      participants_count: 4,
+      description,
+      requirements: ['vegetarian'],
+      preferred_activities: ['hiking', 'camping'],
+      is_flexible_dates: true,
+    });
+
+    const crowded = buildTripRequest(applyClarifications(parsedTrip(), { ...answers, groupSize: 30 }), description);
+    expect(crowded.isValid).toBe(false);
+    expect(crowded.errors.map(error => error.message)).toEqual([
+      'participants_count: Group size must be between 1 and 20 people',
+    ]);
+    expect(buildTripRequest(applyClarifications(parsedTrip(), { ...answers, endDate: '2026-04-01' }), description).errors)
+      .toEqual([{ path: ['end_date'], message: 'end_date: End date must be after start date' }]);
+  });
+
+  it('should hold requests back until every question is answered', async () => {
+    parseTripDescription.mockResolvedValue(parsedTrip());
+
+    const pending = await tripRequestEngine.createTripRequest('u1', description, { startDate: '2026-05-01', endDate: '2026-05-10' });
+
+    expect(pending).toMatchObject({ needsClarification: true, tripRequest: null });
+    expect(pending.clarifications.map(question => question.field)).toEqual(['budget', 'groupSize']);
+    expect(pending.explanations).toContain('Some destination information found');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should store open trip requests once complete', async () => {
+    parseTripDescription.mockResolvedValue(parsedTrip());
+    const single = vi.fn().mockResolvedValue({ data: { id: 'tr-1' }, error: null });
+    const insert = vi.fn(() => ({ select: () => ({ single }) }));
+    supabase.from.mockReturnValue({ insert });
+
+    const result = await tripRequestEngine.createTripRequest('u1', description, answers);
+
+    expect(result).toMatchObject({ needsClarification: false, tripRequest: { id: 'tr-1' }, clarifications: [] });
+    expect(supabase.from).toHaveBeenCalledWith('trip_requests');
+    expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'u1',
+      status: 'open',
+      destination: 'peru',
+      participants_count: 4,
+    }));
+
+    single.mockResolvedValueOnce({ data: null, error: { message: 'permission denied' } });
+    await expect(tripRequestEngine.createTripRequest('u1', description, answers))
+      .rejects.toThrow('Failed to create trip request: permission denied');
+  });
+
+  it('should store through the client the API passes in', async () => {
+    parseTripDescription.mockResolvedValue(parsedTrip());
+    const single = vi.fn().mockResolvedValue({ data: { id: 'tr-2' }, error: null });
+    const client = { from: vi.fn(() => ({ insert: () => ({ select: () => ({ single }) }) })) };
+
+    const result = await tripRequestEngine.createTripRequest('u1', description, answers, { client });
+
+    expect(result.tripRequest).toEqual({ id: 'tr-2' });
+    expect(client.from).toHaveBeenCalledWith('trip_requests');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
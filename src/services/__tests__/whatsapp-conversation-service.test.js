@@ -0,0 +1,154 @@
+/**
+ * WhatsApp Conversation Service Tests
+ * Reply interpretation, balances and the booking, payment and attendance flows on a mocked client
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createWhatsAppConversationEngine,
+  interpretMessage,
+  summarizeBalance,
+} from '../whatsapp-conversation-service';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn(), rpc: vi.fn() } }));
+vi.mock('../split-payment-service.js', () => ({ paymentLinks: { createPaymentLink: vi.fn() } }));
+
+const now = new Date('2025-09-21T12:00:00Z');
+
+// Each table resolves to its fixture; writes are recorded per table
+const createClient = (fixtures = {}) => {
+  const writes = [];
+  const client = {
+    from: vi.fn((table) => {
+      const result = { data: fixtures[table] ?? null, error: null };
+      const chain = {};
+      ['select', 'eq', 'in', 'or', 'gte', 'order', 'limit'].forEach(method => {
+        chain[method] = vi.fn(() => chain);
+      });
+      chain.update = vi.fn((values) => {
+        writes.push({ table, type: 'update', values });
+        return chain;
+      });
+      chain.upsert = vi.fn(async (values) => {
+        writes.push({ table, type: 'upsert', values });
+        return { error: null };
+      });
+      chain.maybeSingle = vi.fn(async () => result);
+      chain.then = (resolve) => resolve(result);
+      return chain;
+    }),
+  };
+  return { client, writes };
+};
+
+const createMessenger = () => ({
+  sendInteractiveButtons: vi.fn(async () => ({ success: true })),
+  sendInteractiveList: vi.fn(async () => ({ success: true })),
+  sendTemplateMessage: vi.fn(async () => ({ success: true })),
+});
+
+const profile = { id: 'user_1', full_name: 'Ana Silva', phone_number: '+15550001111' };
+
+const booking = (id, title) => ({
+  id,
+  booking_code: id.toUpperCase(),
+  status: 'confirmed',
+  booking_date: '2025-10-04',
+  adventure: { title },
+});
+
+const message = (overrides) => ({ id: `wamid.${Math.random()}`, from: '15550001111', type: 'text', ...overrides });
+
+describe('WhatsApp Conversation Service', () => {
+  it('should read button ids, numbered picks and yes/no answers', () => {
+    expect(interpretMessage({ reply: { id: 'attend:no:b_1' } })).toEqual({ type: 'attendance', attending: false, bookingId: 'b_1' });
+    expect(interpretMessage({ reply: { id: 'pay:ip_1' } })).toEqual({ type: 'pay', paymentId: 'ip_1' });
+
+    const choosing = { state: 'choosing_booking', context: { options: ['booking:b_1', 'booking:b_2'] } };
+    expect(interpretMessage({ text: '2' }, choosing)).toEqual({ type: 'booking', bookingId: 'b_2' });
+
+    const asking = { state: 'awaiting_attendance', context: { bookingId: 'b_1' } };
+    expect(interpretMessage({ text: 'Yes!' }, asking)).toEqual({ type: 'attendance', attending: true, bookingId: 'b_1' });
+    // Without an open question "yes" means nothing
+    expect(interpretMessage({ text: 'yes' })).toEqual({ type: 'unknown' });
+    expect(interpretMessage({ text: 'How much do I still owe?' })).toEqual({ type: 'payments' });
+    expect(interpretMessage({ text: 'Can I bring my dog?' })).toEqual({ type: 'unknown' });
+  });
+
+  it('should total what is still owed across shares', () => {
+    expect(summarizeBalance([
+      { amount_due: 12000, amount_paid: 2000, payment_deadline: '2025-10-01T00:00:00Z', split_payment: { currency: 'eur' } },
+      { amount_due: 5000, amount_paid: 0, payment_deadline: '2025-09-28T00:00:00Z', split_payment: { currency: 'eur' } },
+      { amount_due: 3000, amount_paid: 3000, payment_deadline: '2025-09-25T00:00:00Z' },
+    ])).toEqual({ totalCents: 15000, currency: 'eur', count: 2, nextDeadline: '2025-09-28T00:00:00Z' });
+  });
+
+  it('should leave unlinked numbers and unrecognised text to the default handling', async () => {
+    const messenger = createMessenger();
+    const unlinked = createWhatsAppConversationEngine({ client: createClient({ profiles: [] }).client, messenger });
+    expect(await unlinked.handleMessage(message({ text: 'hi' }), { now })).toEqual({ handled: false, reason: 'unlinked' });
+
+    const { client, writes } = createClient({ profiles: [profile] });
+    const engine = createWhatsAppConversationEngine({ client, messenger });
+    expect(await engine.handleMessage(message({ text: 'Can I bring my dog?' }), { now }))
+      .toEqual({ handled: false, reason: 'unrecognized' });
+    expect(await engine.handleMessage(message({ reply: { id: 'support' } }), { now }))
+      .toMatchObject({ handled: true, forwardToSupport: true });
+    expect(writes.at(-1).values).toMatchObject({ phone_number: '15550001111', user_id: 'user_1', state: 'idle' });
+    expect(messenger.sendInteractiveButtons).not.toHaveBeenCalled();
+  });
+
+  it('should list several bookings and remember the options for a numbered reply', async () => {
+    const messenger = createMessenger();
+    const { client, writes } = createClient({
+      profiles: [profile],
+      booking_participants: [{ booking_id: 'b_2' }],
+      bookings: [booking('b_1', 'Lisbon Surf Week'), booking('b_2', 'Alps Hut Trek')],
+    });
+    const engine = createWhatsAppConversationEngine({ client, messenger });
+
+    expect(await engine.handleMessage(message({ text: 'booking status' }), { now })).toEqual({ handled: true, flow: 'bookings' });
+    expect(messenger.sendInteractiveList.mock.calls[0][3]).toEqual([
+      { id: 'booking:b_1', title: 'Lisbon Surf Week', description: 'Oct 4, 2025 · confirmed' },
+      { id: 'booking:b_2', title: 'Alps Hut Trek', description: 'Oct 4, 2025 · confirmed' },
+    ]);
+    expect(writes.at(-1).values).toMatchObject({ state: 'choosing_booking', context: { options: ['booking:b_1', 'booking:b_2'] } });
+
+    await engine.handleMessage(message({ reply: { id: 'booking:b_2' } }), { now });
+    expect(messenger.sendTemplateMessage).toHaveBeenCalledWith(
+      '15550001111',
+      'booking_status_update',
+      'en',
+      ['Alps Hut Trek', 'Oct 4, 2025', 'confirmed', 'B_2'],
+      { buttons: ['attend:yes:b_2', 'attend:no:b_2', 'payments'] }
+    );
+    expect(writes.at(-1).values).toMatchObject({ state: 'awaiting_attendance', context: { bookingId: 'b_2' } });
+  });
+
+  it('should record attendance from a trip reminder button', async () => {
+    const messenger = createMessenger();
+    const { client, writes } = createClient({ profiles: [profile], booking_participants: [{ id: 'bp_1' }] });
+    const engine = createWhatsAppConversationEngine({ client, messenger });
+
+    await engine.sendTripReminder('15550001111', { bookingId: 'b_1', adventureName: 'Alps Hut Trek', timeUntil: 'tomorrow', meetingPoint: 'Chamonix station', time: '08:00' });
+    expect(messenger.sendTemplateMessage.mock.calls[0][4]).toEqual({ buttons: ['attend:yes:b_1', 'attend:no:b_1'] });
+
+    await engine.handleMessage(message({ type: 'button', reply: { id: 'attend:yes:b_1', title: 'I will be there' } }), { now });
+    expect(writes.find(write => write.table === 'booking_participants').values).toEqual({
+      attendance_status: 'confirmed',
+      attendance_responded_at: now.toISOString(),
+    });
+    expect(messenger.sendInteractiveButtons.mock.calls[0][1]).toBe('Thanks - you are confirmed. See you there!');
+  });
+
+  it('should ignore a message WhatsApp delivers twice', async () => {
+    const messenger = createMessenger();
+    const { client } = createClient({
+      profiles: [profile],
+      whatsapp_conversations: { phone_number: '15550001111', user_id: 'user_1', state: 'menu', context: {}, last_message_id: 'wamid.1', last_inbound_at: now.toISOString() },
+    });
+    const engine = createWhatsAppConversationEngine({ client, messenger });
+
+    expect(await engine.handleMessage(message({ id: 'wamid.1', text: 'menu' }), { now })).toEqual({ handled: true, duplicate: true });
+    expect(messenger.sendInteractiveButtons).not.toHaveBeenCalled();
+  });
+});
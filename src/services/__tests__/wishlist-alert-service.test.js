@@ -0,0 +1,71 @@
+/**
+ * Wishlist Alert Service Tests
+ * Price and availability alert evaluation
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { evaluateAlert, buildAvailabilityCalendar, classifyAvailability } from '../wishlist-alert-service';
+
+vi.mock('../../lib/supabase.js', () => ({ supabase: { from: vi.fn() } }));
+vi.mock('../notification-service.js', () => ({
+  default: { sendNotification: vi.fn(), createNotificationTemplate: vi.fn() }
+}));
+
+const noAvailability = { available: [], limited: [], booked: [] };
+
+describe('Wishlist Alert Service', () => {
+  describe('availability', () => {
+    it('should classify slots like AvailabilityCalendar and keep the best status per date', () => {
+      expect(classifyAvailability({ available_spots: 10, booked_spots: 2 })).toBe('available');
+      expect(classifyAvailability({ available_spots: 10, booked_spots: 8 })).toBe('limited');
+      expect(classifyAvailability({ available_spots: 10, booked_spots: 10 })).toBe('booked');
+      expect(classifyAvailability({ available_spots: 10, booked_spots: 0, is_available: false })).toBe('booked');
+
+      const calendar = buildAvailabilityCalendar([
+        { date: '2025-10-02', available_spots: 4, booked_spots: 4 },
+        { date: '2025-10-02', available_spots: 4, booked_spots: 2 },
+        { date: '2025-10-01', available_spots: 12, booked_spots: 0 }
+      ]);
+      expect(calendar).toEqual({ available: ['2025-10-01'], limited: ['2025-10-02'], booked: [] });
+    });
+  });
+
+  describe('evaluateAlert', () => {
+    it('should fire once when the price crosses the target', () => {
+      const alert = { target_price: 1000, last_seen_price: 1200 };
+      const first = evaluateAlert(alert, { price: 950, availability: noAvailability });
+      expect(first.triggers).toEqual([
+        { type: 'target_price', previousPrice: 1200, currentPrice: 950, targetPrice: 1000 }
+      ]);
+      expect(first.state.last_seen_price).toBe(950);
+
+      const second = evaluateAlert({ ...alert, ...first.state }, { price: 900, availability: noAvailability });
+      expect(second.triggers).toHaveLength(0);
+    });
+
+    it('should fire on meaningful price drops when no target is set', () => {
+      const alert = { target_price: null, last_seen_price: 1000 };
+      expect(evaluateAlert(alert, { price: 980 }).triggers).toHaveLength(0);
+      expect(evaluateAlert(alert, { price: 850 }).triggers[0]).toMatchObject({ type: 'price_drop', dropPercent: 15 });
+    });
+
+    it('should fire for newly opened dates inside the window only', () => {
+      const alert = {
+        date_from: '2025-10-01',
+        date_to: '2025-10-10',
+        last_available_dates: ['2025-10-03']
+      };
+      const { triggers, state } = evaluateAlert(alert, {
+        price: 500,
+        availability: {
+          available: ['2025-09-30', '2025-10-03', '2025-10-05'],
+          limited: ['2025-10-08'],
+          booked: ['2025-10-04']
+        }
+      });
+      expect(triggers).toEqual([
+        { type: 'availability', availableDates: ['2025-10-05', '2025-10-08'], limitedDates: ['2025-10-08'] }
+      ]);
+      expect(state.last_available_dates).toEqual(['2025-10-03', '2025-10-05', '2025-10-08']);
+    });
+  });
+});
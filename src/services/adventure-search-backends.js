@@ -0,0 +1,397 @@
+import Fuse from 'fuse.js';
+
+/**
+ * Adventure search backends
+ *
+ * A backend is an object with `search(request)` resolving to
+ * `{ results, total, facets, page, pageSize, sort }`. The in-memory backend
+ * serves mock data and tests; the Postgres backend delegates to the
+ * `search_adventures_faceted` RPC so the browser only receives one page.
+ */
+
+export const SEARCH_SORTS = ['relevance', 'price-low', 'price-high', 'rating', 'duration'];
+
+// Band ids are shared with the search_adventures_faceted SQL function
+export const PRICE_BANDS = [
+  { id: 'under-500', label: 'Under $500', min: 0, max: 500 },
+  { id: '500-1000', label: '$500 - $1,000', min: 500, max: 1000 },
+  { id: '1000-2500', label: '$1,000 - $2,500', min: 1000, max: 2500 },
+  { id: '2500-plus', label: '$2,500+', min: 2500, max: null }
+];
+
+export const DURATION_BANDS = [
+  { id: 'day-trip', label: 'Day trip', maxHours: 24 },
+  { id: 'short', label: '2-4 days', maxHours: 96 },
+  { id: 'week', label: '5-7 days', maxHours: 168 },
+  { id: 'extended', label: '8+ days', maxHours: null }
+];
+
+export const DIFFICULTY_LEVELS = ['easy', 'moderate', 'challenging', 'extreme'];
+
+// FilterPanel radius options ('Within 50 miles' / 'Within 500 miles')
+export const LOCATION_RADIUS_KM = {
+  local: 80,
+  regional: 805
+};
+
+// FilterPanel adventure types -> adventures.category enum values
+export const ADVENTURE_TYPE_CATEGORIES = {
+  hiking: 'hiking',
+  'water-sports': 'water_sports',
+  cultural: 'cultural',
+  extreme: 'extreme_sports',
+  wildlife: 'wildlife',
+  urban: 'other',
+  photography: 'photography',
+  wellness: 'wellness'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const LOCATION_FACET_LIMIT = 10;
+const EARTH_RADIUS_KM = 6371;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalise a search request from SearchPage/FilterPanel state
+ * @param {Object} request - { text, filters, sort, page, pageSize, userLocation }
+ * @returns {Object} Normalised request
+ */
+export function normalizeSearchRequest(request = {}) {
+  const { text = '', filters = {}, sort = 'relevance', page = 1, pageSize = DEFAULT_PAGE_SIZE, userLocation = null } = request;
+
+  let geo = null;
+  if (filters.geo) {
+    geo = {
+      latitude: toNumber(filters.geo.latitude),
+      longitude: toNumber(filters.geo.longitude),
+      radiusKm: toNumber(filters.geo.radiusKm)
+    };
+  } else if (LOCATION_RADIUS_KM[filters.location] && userLocation) {
+    geo = {
+      latitude: toNumber(userLocation.latitude),
+      longitude: toNumber(userLocation.longitude),
+      radiusKm: LOCATION_RADIUS_KM[filters.location]
+    };
+  }
+  if (geo && (geo.latitude === null || geo.longitude === null || !(geo.radiusKm > 0))) {
+    geo = null;
+  }
+
+  const priceMin = toNumber(filters.priceMin);
+  const priceMax = toNumber(filters.priceMax);
+
+  return {
+    text: String(text || '').trim(),
+    filters: {
+      // FilterPanel's slider bounds (0 / 5000) mean "no limit"
+      priceMin: priceMin > 0 ? priceMin : null,
+      priceMax: priceMax !== null && priceMax < 5000 ? priceMax : null,
+      priceBands: toList(filters.priceBands),
+      durations: toList(filters.durations),
+      difficulty: toList(filters.difficulty).map(level => level.toLowerCase()),
+      destinations: toList(filters.destinations),
+      adventureTypes: toList(filters.adventureTypes),
+      geo
+    },
+    sort: SEARCH_SORTS.includes(sort) ? sort : 'relevance',
+    page: Math.max(1, parseInt(page, 10) || 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE))
+  };
+}
+
+/**
+ * Great-circle distance between two coordinates in kilometres
+ */
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * (Math.PI / 180);
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+export function getPriceBand(price) {
+  const value = toNumber(price);
+  if (value === null) return null;
+  const band = PRICE_BANDS.find(candidate => candidate.max === null || value < candidate.max);
+  return band ? band.id : null;
+}
+
+/**
+ * Duration in hours from `duration_hours` or a display string ("5 days", "3 hours")
+ */
+export function getDurationHours(adventure) {
+  const hours = toNumber(adventure.duration_hours ?? adventure.durationHours);
+  if (hours !== null) return hours;
+  const match = String(adventure.duration || '').match(/(\d+(?:\.\d+)?)\s*(hour|day|week)/i);
+  if (!match) return null;
+  const multiplier = { hour: 1, day: 24, week: 168 }[match[2].toLowerCase()];
+  return parseFloat(match[1]) * multiplier;
+}
+
+export function getDurationBand(hours) {
+  if (hours === null || hours === undefined) return null;
+  const band = DURATION_BANDS.find(candidate => candidate.maxHours === null || hours <= candidate.maxHours);
+  return band ? band.id : null;
+}
+
+const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '';
+  if (hours < 24) return `${hours} hours`;
+  const days = Math.ceil(hours / 24);
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+};
+
+const getCoordinates = (adventure) => {
+  const latitude = toNumber(adventure.latitude ?? adventure.coordinates?.latitude ?? adventure.coordinates?.lat);
+  const longitude = toNumber(adventure.longitude ?? adventure.coordinates?.longitude ?? adventure.coordinates?.lng);
+  return latitude === null || longitude === null ? null : { latitude, longitude };
+};
+
+const matchesAdventureType = (adventure, types) => {
+  const tags = (adventure.tags || []).map(tag => String(tag).toLowerCase());
+  return types.some(type =>
+    adventure.category === ADVENTURE_TYPE_CATEGORIES[type] ||
+    adventure.category === type ||
+    tags.includes(type)
+  );
+};
+
+const countBy = (items, keyOf) => {
+  const counts = {};
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (key) counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * Shape facet counts for FilterPanel: every band/level is listed (with zero
+ * counts) so the options stay stable while filters change
+ */
+export function buildFacets(counts = {}) {
+  const locationCounts = counts.location || {};
+  return {
+    priceBands: PRICE_BANDS.map(band => ({ id: band.id, label: band.label, count: counts.priceBands?.[band.id] || 0 })),
+    durations: DURATION_BANDS.map(band => ({ id: band.id, label: band.label, count: counts.durations?.[band.id] || 0 })),
+    difficulty: DIFFICULTY_LEVELS.map(level => ({ id: level, label: level.charAt(0).toUpperCase() + level.slice(1), count: counts.difficulty?.[level] || 0 })),
+    adventureTypes: Object.keys(ADVENTURE_TYPE_CATEGORIES).map(type => ({ id: type, count: counts.adventureTypes?.[type] || 0 })),
+    location: Object.entries(locationCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, LOCATION_FACET_LIMIT)
+      .map(([name, count]) => ({ id: name, label: name, count }))
+  };
+}
+
+const compareForSort = (sort) => {
+  const byRelevance = (a, b) => (b.relevance - a.relevance) || ((b.rating || 0) - (a.rating || 0));
+  switch (sort) {
+    case 'price-low':
+      return (a, b) => (a.price - b.price) || byRelevance(a, b);
+    case 'price-high':
+      return (a, b) => (b.price - a.price) || byRelevance(a, b);
+    case 'rating':
+      return (a, b) => ((b.rating || 0) - (a.rating || 0)) || byRelevance(a, b);
+    case 'duration':
+      return (a, b) => ((a.durationHours ?? Infinity) - (b.durationHours ?? Infinity)) || byRelevance(a, b);
+    default:
+      return byRelevance;
+  }
+};
+
+/**
+ * In-memory backend over an adventures array (mock data, tests, offline)
+ * @param {Array} adventures - Adventure objects in the UI shape
+ * @param {Object} options - { fuseOptions }
+ */
+export function createMemorySearchBackend(adventures = [], { fuseOptions = {} } = {}) {
+  const fuse = new Fuse(adventures, {
+    includeScore: true,
+    threshold: 0.4,
+    ignoreLocation: true,
+    keys: [
+      { name: 'title', weight: 0.35 },
+      { name: 'description', weight: 0.2 },
+      { name: 'location', weight: 0.2 },
+      { name: 'tags', weight: 0.15 },
+      { name: 'vendor.name', weight: 0.1 }
+    ],
+    ...fuseOptions
+  });
+
+  return {
+    name: 'memory',
+
+    async search(request) {
+      const { text, filters, sort, page, pageSize } = normalizeSearchRequest(request);
+
+      const candidates = text
+        ? fuse.search(text).map(({ item, score }) => ({ item, relevance: 1 - score }))
+        : adventures.map(item => ({ item, relevance: 0 }));
+
+      // Range and geo filters narrow every facet; the facet dimensions below
+      // are disjunctive, so each facet is counted without its own selection
+      const rows = candidates
+        .map(({ item, relevance }) => {
+          const durationHours = getDurationHours(item);
+          const coordinates = getCoordinates(item);
+          return {
+            item,
+            relevance,
+            price: toNumber(item.price) ?? 0,
+            rating: toNumber(item.rating),
+            durationHours,
+            priceBand: getPriceBand(item.price),
+            durationBand: getDurationBand(durationHours),
+            difficulty: item.difficulty ? String(item.difficulty).toLowerCase() : null,
+            location: item.location || item.location_name || null,
+            distanceKm: filters.geo && coordinates
+              ? haversineKm(filters.geo.latitude, filters.geo.longitude, coordinates.latitude, coordinates.longitude)
+              : null
+          };
+        })
+        .filter(row =>
+          (filters.priceMin === null || row.price >= filters.priceMin) &&
+          (filters.priceMax === null || row.price <= filters.priceMax) &&
+          (!filters.geo || (row.distanceKm !== null && row.distanceKm <= filters.geo.radiusKm))
+        );
+
+      const dimensions = {
+        priceBands: row => !filters.priceBands.length || filters.priceBands.includes(row.priceBand),
+        durations: row => !filters.durations.length || filters.durations.includes(row.durationBand),
+        difficulty: row => !filters.difficulty.length || filters.difficulty.includes(row.difficulty),
+        location: row => !filters.destinations.length || filters.destinations.includes(row.location),
+        adventureTypes: row => !filters.adventureTypes.length || matchesAdventureType(row.item, filters.adventureTypes)
+      };
+      const matchesAllExcept = (row, excluded) =>
+        Object.entries(dimensions).every(([key, matches]) => key === excluded || matches(row));
+
+      const facetRows = (dimension) => rows.filter(row => matchesAllExcept(row, dimension));
+      const facets = buildFacets({
+        priceBands: countBy(facetRows('priceBands'), row => row.priceBand),
+        durations: countBy(facetRows('durations'), row => row.durationBand),
+        difficulty: countBy(facetRows('difficulty'), row => row.difficulty),
+        location: countBy(facetRows('location'), row => row.location),
+        adventureTypes: Object.fromEntries(
+          Object.keys(ADVENTURE_TYPE_CATEGORIES).map(type => [
+            type,
+            facetRows('adventureTypes').filter(row => matchesAdventureType(row.item, [type])).length
+          ])
+        )
+      });
+
+      const matching = rows.filter(row => matchesAllExcept(row, null)).sort(compareForSort(sort));
+      const offset = (page - 1) * pageSize;
+
+      return {
+        results: matching.slice(offset, offset + pageSize).map(row => ({
+          ...row.item,
+          score: 1 - row.relevance,
+          distanceKm: row.distanceKm
+        })),
+        total: matching.length,
+        facets,
+        page,
+        pageSize,
+        sort
+      };
+    }
+  };
+}
+
+/**
+ * Map a search_adventures_faceted row to the adventure shape the UI renders
+ */
+export function mapSearchRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.short_description || row.description,
+    location: row.location_name,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    price: toNumber(row.price) ?? 0,
+    currency: row.currency || 'USD',
+    rating: toNumber(row.rating) ?? 0,
+    reviewCount: row.total_reviews || 0,
+    duration: formatDuration(toNumber(row.duration_hours)),
+    durationHours: toNumber(row.duration_hours),
+    difficulty: row.difficulty,
+    category: row.category,
+    tags: row.category ? [row.category] : [],
+    image: row.image_url || null,
+    featured: Boolean(row.is_featured),
+    vendor: row.vendor_name ? { id: row.vendor_id, name: row.vendor_name } : null,
+    distanceKm: toNumber(row.distance_km),
+    // SearchResults sorts "relevance" ascending, as with Fuse scores
+    score: 1 - Math.min(1, toNumber(row.relevance) ?? 0)
+  };
+}
+
+/**
+ * Postgres backend: full-text + pg_trgm search, facets and geo radius are
+ * computed by the search_adventures_faceted RPC
+ * @param {Object} client - Supabase client
+ * @param {Object} options - { rpcName }
+ */
+export function createPostgresSearchBackend(client, { rpcName = 'search_adventures_faceted' } = {}) {
+  return {
+    name: 'postgres',
+
+    async search(request) {
+      const { text, filters, sort, page, pageSize } = normalizeSearchRequest(request);
+      const categories = filters.adventureTypes.map(type => ADVENTURE_TYPE_CATEGORIES[type] || type);
+      const orNull = (list) => (list.length ? list : null);
+
+      const { data, error } = await client.rpc(rpcName, {
+        p_query: text || null,
+        p_price_min: filters.priceMin,
+        p_price_max: filters.priceMax,
+        p_price_bands: orNull(filters.priceBands),
+        p_duration_bands: orNull(filters.durations),
+        p_difficulties: orNull(filters.difficulty),
+        p_locations: orNull(filters.destinations),
+        p_categories: orNull([...new Set(categories)]),
+        p_latitude: filters.geo?.latitude ?? null,
+        p_longitude: filters.geo?.longitude ?? null,
+        p_radius_km: filters.geo?.radiusKm ?? null,
+        p_sort: sort,
+        p_limit: pageSize,
+        p_offset: (page - 1) * pageSize
+      });
+
+      if (error) {
+        throw new Error(`Failed to search adventures: ${error.message}`);
+      }
+
+      const facets = data?.facets || {};
+      // Categories come back as enum values; report them under FilterPanel's type ids
+      const adventureTypes = Object.fromEntries(
+        Object.entries(ADVENTURE_TYPE_CATEGORIES).map(([type, category]) => [type, facets.categories?.[category] || 0])
+      );
+
+      return {
+        results: (data?.results || []).map(mapSearchRow),
+        total: data?.total || 0,
+        facets: buildFacets({ ...facets, adventureTypes }),
+        page,
+        pageSize,
+        sort
+      };
+    }
+  };
+}
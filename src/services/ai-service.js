@@ -3,13 +3,19 @@
  * Uses Anthropic Claude API with fallback to static descriptions
  */
 
+import { z } from 'zod';
 import { logger } from '../utils/logger.js';
+import { createAnthropicProvider } from './llm-providers.js';
+import {
+  createLLMClient,
+  getAnthropicKey,
+  registerLocalResponder,
+  resolveProviders,
+} from './llm-service.js';
 
 // Configuration
 const API_CONFIG = {
   anthropic: {
-    baseUrl: 'https://api.anthropic.com/v1/messages',
-    apiKey: import.meta.env.VITE_ANTHROPIC_API_KEY || import.meta.env.ANTHROPIC_API_KEY,
     model: 'claude-3-haiku-20240307', // Fast and cost-effective for description generation
     maxTokens: 500,
     temperature: 0.7,
@@ -143,109 +149,25 @@ function getFallbackDescriptions(profile) {
   return descriptions;
 }
 
-// Sleep utility for retry delays
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Make API call to Anthropic Claude
-async function callAnthropicAPI(prompt, retryCount = 0) {
-  const { apiKey, baseUrl, model, maxTokens, temperature } = API_CONFIG.anthropic;
-
-  if (!apiKey) {
-    throw new Error('Anthropic API key not configured');
-  }
-
-  const requestBody = {
-    model,
-    max_tokens: maxTokens,
-    temperature,
-    messages: [
-      {
-        role: 'user',
-        content: prompt
-      }
-    ]
-  };
-
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
-
-    const response = await fetch(baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`API request failed: ${response.status} - ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.content || !data.content[0] || !data.content[0].text) {
-      throw new Error('Invalid API response format');
-    }
-
-    return data.content[0].text;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('API request timeout');
-    }
-
-    // Retry logic with exponential backoff
-    if (retryCount < API_CONFIG.maxRetries) {
-      const delay = API_CONFIG.retryDelay * Math.pow(2, retryCount);
-
-      await sleep(delay);
-      return callAnthropicAPI(prompt, retryCount + 1);
-    }
-
-    throw error;
-  }
-}
-
-// Parse AI response and validate format
-function parseAIResponse(responseText) {
-  try {
-    // Try to extract JSON from response if it contains other text
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    const jsonText = jsonMatch ? jsonMatch[0] : responseText;
-
-    const parsed = JSON.parse(jsonText);
-
-    // Validate required fields
-    const requiredFields = ['energyLevel', 'socialPreference', 'adventureStyle', 'riskTolerance'];
-    const missingFields = requiredFields.filter(field => !parsed[field] || typeof parsed[field] !== 'string');
-
-    if (missingFields.length > 0) {
-      throw new Error(`Missing or invalid fields in AI response: ${missingFields.join(', ')}`);
-    }
-
-    // Trim descriptions and validate length
-    const descriptions = {};
-    requiredFields.forEach(field => {
-      const description = parsed[field].trim();
-      if (description.length < 10) {
-        throw new Error(`Description for ${field} is too short`);
-      }
-      descriptions[field] = description;
-    });
-
-    return descriptions;
-  } catch (error) {
-    throw new Error(`Failed to parse AI response: ${error.message}`);
-  }
-}
+const descriptionClient = createLLMClient({
+  providers: () => resolveProviders({
+    anthropic: createAnthropicProvider({ apiKey: getAnthropicKey, model: API_CONFIG.anthropic.model }),
+  }),
+  timeout: API_CONFIG.timeout,
+  maxRetries: API_CONFIG.maxRetries,
+  retryDelay: API_CONFIG.retryDelay,
+});
+
+// Expected AI response format
+const descriptionsSchema = z.object({
+  energyLevel: z.string().trim().min(10),
+  socialPreference: z.string().trim().min(10),
+  adventureStyle: z.string().trim().min(10),
+  riskTolerance: z.string().trim().min(10),
+});
+
+// Offline runs answer with the static descriptions
+registerLocalResponder('personality_descriptions', ({ input }) => JSON.stringify(getFallbackDescriptions(input.profile)));
 
 // Main function to generate AI-enhanced personality descriptions
 export async function generatePersonalityDescriptions(profile) {
@@ -278,16 +200,21 @@ export async function generatePersonalityDescriptions(profile) {
 
   // Try AI generation
   try {
-    const prompt = createPrompt(profile);
-    const aiResponse = await callAnthropicAPI(prompt);
-    const descriptions = parseAIResponse(aiResponse);
+    const { data: descriptions, provider } = await descriptionClient.complete({
+      task: 'personality_descriptions',
+      messages: [{ role: 'user', content: createPrompt(profile) }],
+      maxTokens: API_CONFIG.anthropic.maxTokens,
+      temperature: API_CONFIG.anthropic.temperature,
+      input: { profile },
+      schema: descriptionsSchema,
+    });
 
     // Cache successful result
     cache.set(cacheKey, descriptions);
 
     return {
       descriptions,
-      source: 'ai'
+      source: provider === 'local' ? 'local' : 'ai'
     };
   } catch (error) {
 
@@ -310,7 +237,7 @@ export function clearDescriptionCache() {
 // Configuration getter for debugging
 export function getAIServiceConfig() {
   return {
-    hasApiKey: !!API_CONFIG.anthropic.apiKey,
+    hasApiKey: !!getAnthropicKey(),
     model: API_CONFIG.anthropic.model,
     cacheTimeout: API_CONFIG.cacheTimeout,
     maxRetries: API_CONFIG.maxRetries,
@@ -0,0 +1,320 @@
+/**
+ * Availability Service
+ * Turns a vendor's availability rules (weekly schedule or scheduled dates, minus
+ * blackouts) into dated departures with seat capacity, and manages time-limited
+ * seat holds during checkout. Seat counts change only inside database functions
+ * that lock the departure row, so a departure can never be overbooked.
+ */
+import { supabase } from '../lib/supabase.js';
+
+// Availability configuration
+const AVAILABILITY_CONFIG = {
+  horizonDays: 180, // How far ahead departures are generated
+  holdMinutes: 15, // Seats held while the traveler checks out
+  limitedSpotsThreshold: 3, // Departures with this many seats or fewer show as "limited"
+  defaultCapacity: 12,
+  defaultStartTime: '09:00',
+  defaultEndTime: '17:00',
+  types: {
+    OPEN: 'open',
+    SCHEDULED: 'scheduled',
+    ON_DEMAND: 'on-demand',
+  },
+  errors: {
+    INSUFFICIENT_CAPACITY: 'Not enough seats left on this departure',
+    DEPARTURE_UNAVAILABLE: 'This departure is no longer available',
+    HOLD_NOT_FOUND: 'Seat hold not found',
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => (typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10));
+const addDays = (dateKey, days) => toDateKey(new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS));
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+const toTime = (time) => (time ? String(time).slice(0, 5) : null);
+
+/**
+ * Whether a date falls inside any blackout period
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Array} blackoutDates - [{ startDate, endDate }]
+ */
+export function isBlackedOut(dateKey, blackoutDates = []) {
+  return blackoutDates.some(blackout => {
+    const start = toDateKey(blackout.startDate);
+    const end = toDateKey(blackout.endDate || blackout.startDate);
+    return dateKey >= start && dateKey <= end;
+  });
+}
+
+/**
+ * Expand availability rules into dated departures
+ * @param {Object} rules - AvailabilityConfiguration state: type, weeklySchedule,
+ *   schedules, blackoutDates, advanceNotice, startTime, endTime, capacity
+ * @param {Object} options - from, to (YYYY-MM-DD), now, defaults { capacity, price }
+ * @returns {Array} [{ date, startTime, endTime, capacity, price }] sorted by date and time
+ */
+export function expandDepartures(rules = {}, { from, to, now = new Date(), defaults = {} } = {}) {
+  const type = rules.type || AVAILABILITY_CONFIG.types.OPEN;
+  const capacity = defaults.capacity || AVAILABILITY_CONFIG.defaultCapacity;
+  // Departures inside the advance notice window can't be booked any more
+  const bookableFrom = now.getTime() + (rules.advanceNotice || 0) * 60 * 60 * 1000;
+  const startDate = toDateKey(from || now);
+  const endDate = toDateKey(to || addDays(startDate, AVAILABILITY_CONFIG.horizonDays));
+
+  let departures = [];
+  if (type === AVAILABILITY_CONFIG.types.OPEN) {
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      if (rules.weeklySchedule?.[weekdayOf(date)] === false) continue;
+      departures.push({
+        date,
+        startTime: toTime(rules.startTime) || AVAILABILITY_CONFIG.defaultStartTime,
+        endTime: toTime(rules.endTime) || AVAILABILITY_CONFIG.defaultEndTime,
+        capacity: parseInt(rules.capacity) || capacity,
+        price: null,
+      });
+    }
+  } else if (type === AVAILABILITY_CONFIG.types.SCHEDULED) {
+    departures = (rules.schedules || [])
+      .filter(schedule => schedule.date)
+      .map(schedule => ({
+        date: toDateKey(schedule.date),
+        startTime: toTime(schedule.startTime) || AVAILABILITY_CONFIG.defaultStartTime,
+        endTime: toTime(schedule.endTime) || AVAILABILITY_CONFIG.defaultEndTime,
+        capacity: parseInt(schedule.maxParticipants) || capacity,
+        price: schedule.price && Number(schedule.price) !== Number(defaults.price) ? Number(schedule.price) : null,
+      }))
+      .filter(departure => departure.date >= startDate && departure.date <= endDate);
+  }
+
+  return departures
+    .filter(departure => !isBlackedOut(departure.date, rules.blackoutDates))
+    .filter(departure => Date.parse(`${departure.date}T${departure.startTime}:00`) >= bookableFrom)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Seats left on a departure row after bookings and active holds
+ */
+export function getRemainingSeats(departure) {
+  const remaining = (departure.available_spots || 0) - (departure.booked_spots || 0) - (departure.held_spots || 0);
+  return Math.max(remaining, 0);
+}
+
+/**
+ * Classify a departure the way AvailabilityCalendar shows it
+ * @param {Object} departure - { available_spots, booked_spots, held_spots, is_available }
+ * @returns {string} 'available', 'limited' or 'booked'
+ */
+export function classifyAvailability(departure) {
+  const remaining = getRemainingSeats(departure);
+  if (departure.is_available === false || remaining <= 0) return 'booked';
+  if (remaining <= AVAILABILITY_CONFIG.limitedSpotsThreshold) return 'limited';
+  return 'available';
+}
+
+/**
+ * Build the { available, limited, booked } date lists AvailabilityCalendar renders.
+ * A date with several departures takes its best status.
+ * @param {Array} departures - adventure_availability rows or mapped departures
+ */
+export function buildAvailabilityCalendar(departures = []) {
+  const rank = { booked: 0, limited: 1, available: 2 };
+  const byDate = {};
+  departures.forEach(departure => {
+    const date = toDateKey(departure.date);
+    const status = departure.status || classifyAvailability(departure);
+    if (!byDate[date] || rank[status] > rank[byDate[date]]) {
+      byDate[date] = status;
+    }
+  });
+
+  const calendar = { available: [], limited: [], booked: [] };
+  Object.keys(byDate).sort().forEach(date => calendar[byDate[date]].push(date));
+  return calendar;
+}
+
+/**
+ * Map a get_departure_inventory row for the UI
+ */
+export function mapDepartureRow(row) {
+  return {
+    id: row.availability_id,
+    date: toDateKey(row.date),
+    startTime: toTime(row.start_time),
+    endTime: toTime(row.end_time),
+    capacity: row.available_spots,
+    booked: row.booked_spots,
+    held: row.held_spots,
+    remaining: getRemainingSeats(row),
+    price: row.price !== null && row.price !== undefined ? Number(row.price) : null,
+    isAvailable: row.is_available,
+    status: classifyAvailability(row),
+  };
+}
+
+// Database functions raise these codes; turn them into readable errors
+const toAvailabilityError = (error, action) => {
+  const code = Object.keys(AVAILABILITY_CONFIG.errors).find(key => error.message?.includes(key));
+  return new Error(code ? AVAILABILITY_CONFIG.errors[code] : `Failed to ${action}: ${error.message}`);
+};
+
+/**
+ * Availability and seat inventory
+ */
+export const availabilityEngine = {
+  /**
+   * Save an adventure's availability rules and regenerate its departures
+   */
+  async saveRules(adventureId, rules) {
+    const { error } = await supabase
+      .from('adventure_availability_rules')
+      .upsert({
+        adventure_id: adventureId,
+        rules,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'adventure_id' });
+
+    if (error) {
+      throw new Error(`Failed to save availability rules: ${error.message}`);
+    }
+
+    return this.syncDepartures(adventureId);
+  },
+
+  /**
+   * Saved availability rules, or null when the adventure has none yet
+   */
+  async getRules(adventureId) {
+    const { data, error } = await supabase
+      .from('adventure_availability_rules')
+      .select('rules')
+      .eq('adventure_id', adventureId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load availability rules: ${error.message}`);
+    }
+
+    return data?.rules || null;
+  },
+
+  /**
+   * Regenerate departures for the booking horizon. Departures dropped from the
+   * rules are closed rather than deleted, and capacity never goes below seats
+   * already booked.
+   */
+  async syncDepartures(adventureId, { now = new Date() } = {}) {
+    const { data: record, error } = await supabase
+      .from('adventure_availability_rules')
+      .select('rules, adventure:adventures(price, max_capacity)')
+      .eq('adventure_id', adventureId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load availability rules: ${error.message}`);
+    }
+    if (!record) {
+      return { departures: 0 };
+    }
+
+    const from = toDateKey(now);
+    const to = addDays(from, AVAILABILITY_CONFIG.horizonDays);
+    const departures = expandDepartures(record.rules, {
+      from,
+      to,
+      now,
+      defaults: {
+        capacity: record.adventure?.max_capacity,
+        price: record.adventure?.price,
+      },
+    });
+
+    const { data, error: syncError } = await supabase.rpc('sync_adventure_departures', {
+      p_adventure_id: adventureId,
+      p_departures: departures,
+      p_from: from,
+      p_to: to,
+    });
+
+    if (syncError) {
+      throw new Error(`Failed to sync departures: ${syncError.message}`);
+    }
+
+    return { departures: departures.length, closed: data?.closed || 0 };
+  },
+
+  /**
+   * Departures with remaining seats, as seen by travelers and vendors alike
+   */
+  async getDepartureInventory(adventureId, from, to) {
+    const { data, error } = await supabase.rpc('get_departure_inventory', {
+      p_adventure_id: adventureId,
+      p_date_from: toDateKey(from),
+      p_date_to: toDateKey(to),
+    });
+
+    if (error) {
+      throw new Error(`Failed to load departures: ${error.message}`);
+    }
+
+    return (data || []).map(mapDepartureRow);
+  },
+
+  /**
+   * Hold seats on a departure while the traveler checks out
+   * @returns {Promise<Object>} { id, availabilityId, seats, expiresAt }
+   */
+  async placeHold(availabilityId, seats, { holdMinutes = AVAILABILITY_CONFIG.holdMinutes } = {}) {
+    if (!Number.isInteger(seats) || seats < 1) {
+      throw new Error('Seat count must be a positive whole number');
+    }
+
+    const { data, error } = await supabase.rpc('place_seat_hold', {
+      p_availability_id: availabilityId,
+      p_seats: seats,
+      p_hold_minutes: holdMinutes,
+    });
+
+    if (error) {
+      throw toAvailabilityError(error, 'hold seats');
+    }
+
+    const hold = Array.isArray(data) ? data[0] : data;
+    return {
+      id: hold.id,
+      availabilityId: hold.availability_id,
+      seats: hold.seats,
+      expiresAt: hold.expires_at,
+    };
+  },
+
+  /**
+   * Give held seats back before the hold expires
+   */
+  async releaseHold(holdId) {
+    const { error } = await supabase.rpc('release_seat_hold', { p_hold_id: holdId });
+
+    if (error) {
+      throw toAvailabilityError(error, 'release seat hold');
+    }
+  },
+
+  /**
+   * Move a paid booking's seats from its hold into booked seats. Safe to call
+   * more than once for the same booking.
+   */
+  async confirmBooking(bookingId) {
+    const { data, error } = await supabase.rpc('confirm_booking_seats', { p_booking_id: bookingId });
+
+    if (error) {
+      throw toAvailabilityError(error, 'confirm booking seats');
+    }
+
+    return data;
+  },
+};
+
+export const getAvailabilityConfig = () => AVAILABILITY_CONFIG;
+
+export default availabilityEngine;
@@ -1,22 +1,17 @@
 /**
  * Background Job Queue for Intensive Compatibility Calculations
- * Manages long-running compatibility calculations in the background
+ * Manages long-running compatibility calculations in the background. Jobs are
+ * stored in the shared durable job queue, so with the Postgres store they survive
+ * restarts and are shared between instances.
  */
 import { batchCompatibilityProcessor } from './batch-compatibility-processor.js';
 import { redisCacheService } from './redis-cache-service.js';
 import { supabase } from '../lib/supabase.js';
+import { jobQueue } from './durable-job-queue.js';
 class BackgroundJobQueue {
-  constructor() {
-    this.queues = {
-      high: [],
-      normal: [],
-      low: []
-    };
-    this.workers = [];
-    this.maxWorkers = parseInt(process.env.JOB_QUEUE_WORKERS) || 3;
-    this.activeJobs = new Map();
-    this.completedJobs = new Map();
-    this.maxCompletedJobs = 1000;
+  constructor({ queue = jobQueue } = {}) {
+    this.queue = queue;
+    this.maxWorkers = queue.maxWorkers;
     this.jobTypes = {
       BULK_COMPATIBILITY: 'bulk_compatibility',
       GROUP_ANALYSIS: 'group_analysis',
@@ -26,49 +21,73 @@ class BackgroundJobQueue {
     };
     this.metrics = {
       totalJobs: 0,
-      completedJobs: 0,
-      failedJobs: 0,
-      averageProcessingTime: 0,
-      queueSizes: { high: 0, normal: 0, low: 0 }
+      queueSizes: { high: 0, normal: 0, low: 0 },
+      deadLetters: 0
     };
-    this.isRunning = false;
+    this.registerHandlers();
     this.startWorkers();
   }
+  /**
+   * Register compatibility job handlers with the shared queue
+   */
+  registerHandlers() {
+    this.queue.registerHandler(this.jobTypes.BULK_COMPATIBILITY, job => this.processBulkCompatibilityJob(job), {
+      maxRetries: 3,
+      timeout: 300000 // 5 minutes default
+    });
+    this.queue.registerHandler(this.jobTypes.GROUP_ANALYSIS, job => this.processGroupAnalysisJob(job), {
+      maxRetries: 2,
+      timeout: 600000 // 10 minutes for complex analysis
+    });
+    this.queue.registerHandler(this.jobTypes.ALGORITHM_COMPARISON, job => this.processAlgorithmComparisonJob(job), {
+      priority: 'low', // Usually not urgent
+      maxRetries: 2,
+      timeout: 900000 // 15 minutes
+    });
+    this.queue.registerHandler(this.jobTypes.CACHE_WARMING, job => this.processCacheWarmingJob(job), {
+      priority: 'low',
+      maxRetries: 1,
+      timeout: 180000 // 3 minutes
+    });
+  }
+  /**
+   * Queue a job and refresh queue metrics
+   */
+  async queueJob(type, data, options, metadata) {
+    const { job, duplicate } = await this.queue.enqueue(type, data, {
+      priority: options.priority,
+      timeout: options.timeout,
+      idempotencyKey: options.idempotencyKey,
+      metadata
+    });
+    if (!duplicate) {
+      this.metrics.totalJobs++;
+    }
+    await this.updateQueueSizes();
+    return job;
+  }
   /**
    * Add bulk compatibility calculation job
    */
   async addBulkCompatibilityJob(userIds, options = {}) {
-    const job = {
-      id: this.generateJobId(),
-      type: this.jobTypes.BULK_COMPATIBILITY,
-      priority: options.priority || 'normal',
-      data: {
-        userIds,
-        options: {
-          ...options,
-          algorithmId: options.algorithmId || 'default',
-          includeMatrix: options.includeMatrix !== false,
-          cacheResults: options.cacheResults !== false
-        }
-      },
-      createdAt: new Date(),
-      status: 'queued',
-      retryCount: 0,
-      maxRetries: 3,
-      timeout: options.timeout || 300000, // 5 minutes default
-      metadata: {
-        userCount: userIds.length,
-        pairCount: (userIds.length * (userIds.length - 1)) / 2,
-        estimatedDuration: this.estimateProcessingTime(userIds.length)
+    const job = await this.queueJob(this.jobTypes.BULK_COMPATIBILITY, {
+      userIds,
+      options: {
+        ...options,
+        algorithmId: options.algorithmId || 'default',
+        includeMatrix: options.includeMatrix !== false,
+        cacheResults: options.cacheResults !== false
       }
-    };
-    this.queues[job.priority].push(job);
-    this.metrics.totalJobs++;
-    this.updateQueueSizes();
+    }, options, {
+      userCount: userIds.length,
+      pairCount: (userIds.length * (userIds.length - 1)) / 2,
+      estimatedDuration: this.estimateProcessingTime(userIds.length)
+    });
+    const queuePosition = await this.getQueuePosition(job);
     return {
       jobId: job.id,
-      queuePosition: this.getQueuePosition(job),
-      estimatedStartTime: this.estimateStartTime(job),
+      queuePosition,
+      estimatedStartTime: this.estimateStartTime(queuePosition),
       estimatedDuration: job.metadata.estimatedDuration
     };
   }
@@ -76,104 +95,63 @@ class BackgroundJobQueue {
    * Add group analysis job
    */
   async addGroupAnalysisJob(userIds, algorithmId = 'hybrid', options = {}) {
-    const job = {
-      id: this.generateJobId(),
-      type: this.jobTypes.GROUP_ANALYSIS,
-      priority: options.priority || 'normal',
-      data: {
-        userIds,
-        algorithmId,
-        options: {
-          includeConflicts: options.includeConflicts !== false,
-          includeOptimization: options.includeOptimization !== false,
-          targetGroupSize: options.targetGroupSize || 6
-        }
-      },
-      createdAt: new Date(),
-      status: 'queued',
-      retryCount: 0,
-      maxRetries: 2,
-      timeout: options.timeout || 600000, // 10 minutes for complex analysis
-      metadata: {
-        userCount: userIds.length,
-        algorithm: algorithmId,
-        estimatedDuration: this.estimateAnalysisTime(userIds.length)
+    const job = await this.queueJob(this.jobTypes.GROUP_ANALYSIS, {
+      userIds,
+      algorithmId,
+      options: {
+        includeConflicts: options.includeConflicts !== false,
+        includeOptimization: options.includeOptimization !== false,
+        targetGroupSize: options.targetGroupSize || 6
       }
-    };
-    this.queues[job.priority].push(job);
-    this.metrics.totalJobs++;
-    this.updateQueueSizes();
+    }, options, {
+      userCount: userIds.length,
+      algorithm: algorithmId,
+      estimatedDuration: this.estimateAnalysisTime(userIds.length)
+    });
+    const queuePosition = await this.getQueuePosition(job);
     return {
       jobId: job.id,
-      queuePosition: this.getQueuePosition(job),
-      estimatedStartTime: this.estimateStartTime(job)
+      queuePosition,
+      estimatedStartTime: this.estimateStartTime(queuePosition)
     };
   }
   /**
    * Add algorithm comparison job
    */
   async addAlgorithmComparisonJob(userIds, algorithms = ['kmeans', 'hierarchical', 'hybrid'], options = {}) {
-    const job = {
-      id: this.generateJobId(),
-      type: this.jobTypes.ALGORITHM_COMPARISON,
-      priority: options.priority || 'low', // Usually not urgent
-      data: {
-        userIds,
-        algorithms,
-        options: {
-          iterations: options.iterations || 1,
-          includeMetrics: options.includeMetrics !== false,
-          saveResults: options.saveResults !== false
-        }
-      },
-      createdAt: new Date(),
-      status: 'queued',
-      retryCount: 0,
-      maxRetries: 2,
-      timeout: options.timeout || 900000, // 15 minutes
-      metadata: {
-        userCount: userIds.length,
-        algorithmCount: algorithms.length,
-        estimatedDuration: this.estimateComparisonTime(userIds.length, algorithms.length)
+    const job = await this.queueJob(this.jobTypes.ALGORITHM_COMPARISON, {
+      userIds,
+      algorithms,
+      options: {
+        iterations: options.iterations || 1,
+        includeMetrics: options.includeMetrics !== false,
+        saveResults: options.saveResults !== false
       }
-    };
-    this.queues[job.priority].push(job);
-    this.metrics.totalJobs++;
-    this.updateQueueSizes();
+    }, options, {
+      userCount: userIds.length,
+      algorithmCount: algorithms.length,
+      estimatedDuration: this.estimateComparisonTime(userIds.length, algorithms.length)
+    });
     return {
       jobId: job.id,
-      queuePosition: this.getQueuePosition(job)
+      queuePosition: await this.getQueuePosition(job)
     };
   }
   /**
    * Add cache warming job
    */
   async addCacheWarmingJob(userIds, options = {}) {
-    const job = {
-      id: this.generateJobId(),
-      type: this.jobTypes.CACHE_WARMING,
-      priority: options.priority || 'low',
-      data: {
-        userIds,
-        options: {
-          warmQuickScores: options.warmQuickScores !== false,
-          warmDetailedScores: options.warmDetailedScores || false,
-          batchSize: options.batchSize || 50
-        }
-      },
-      createdAt: new Date(),
-      status: 'queued',
-      retryCount: 0,
-      maxRetries: 1,
-      timeout: options.timeout || 180000, // 3 minutes
-      metadata: {
-        userCount: userIds.length,
-        pairCount: (userIds.length * (userIds.length - 1)) / 2
+    const job = await this.queueJob(this.jobTypes.CACHE_WARMING, {
+      userIds,
+      options: {
+        warmQuickScores: options.warmQuickScores !== false,
+        warmDetailedScores: options.warmDetailedScores || false,
+        batchSize: options.batchSize || 50
       }
-    };
-    this.queues[job.priority].push(job);
-    this.metrics.totalJobs++;
-    this.updateQueueSizes();
+    }, options, {
+      userCount: userIds.length,
+      pairCount: (userIds.length * (userIds.length - 1)) / 2
+    });
     return { jobId: job.id };
   }
   /**
@@ -341,114 +319,15 @@ class BackgroundJobQueue {
    * Start background workers
    */
   startWorkers() {
-    if (this.isRunning) return;
-    this.isRunning = true;
-    for (let i = 0; i < this.maxWorkers; i++) {
-      const worker = this.createWorker(`worker_${i}`);
-      this.workers.push(worker);
-    }
-  }
-  /**
-   * Create individual worker
-   */
-  createWorker(workerId) {
-    const worker = {
-      id: workerId,
-      active: false,
-      currentJob: null,
-      processedJobs: 0
-    };
-    const processNextJob = async () => {
-      if (!this.isRunning || worker.active) return;
-      const job = this.getNextJob();
-      if (!job) {
-        // No jobs available, wait and retry
-        setTimeout(processNextJob, 1000);
-        return;
-      }
-      worker.active = true;
-      worker.currentJob = job;
-      this.activeJobs.set(job.id, { job, workerId, startTime: Date.now() });
-      try {
-        job.status = 'processing';
-        job.startedAt = new Date();
-        job.workerId = workerId;
-        let result;
-        switch (job.type) {
-          case this.jobTypes.BULK_COMPATIBILITY:
-            result = await this.processBulkCompatibilityJob(job);
-            break;
-          case this.jobTypes.GROUP_ANALYSIS:
-            result = await this.processGroupAnalysisJob(job);
-            break;
-          case this.jobTypes.ALGORITHM_COMPARISON:
-            result = await this.processAlgorithmComparisonJob(job);
-            break;
-          case this.jobTypes.CACHE_WARMING:
-            result = await this.processCacheWarmingJob(job);
-            break;
-          default:
-            throw new Error(`Unknown job type: ${job.type}`);
-        }
-        // Job completed successfully
-        job.status = 'completed';
-        job.completedAt = new Date();
-        job.result = result;
-        job.processingTime = Date.now() - job.startedAt.getTime();
-        this.completedJobs.set(job.id, job);
-        this.metrics.completedJobs++;
-      } catch (error) {
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
-        job.processingTime = Date.now() - job.startedAt.getTime();
-        // Retry if possible
-        if (job.retryCount < job.maxRetries) {
-          job.retryCount++;
-          job.status = 'queued';
-          job.retryAt = new Date(Date.now() + (job.retryCount * 30000)); // Exponential backoff
-          this.queues[job.priority].push(job);
-        } else {
-          this.completedJobs.set(job.id, job);
-          this.metrics.failedJobs++;
-        }
-      } finally {
-        this.activeJobs.delete(job.id);
-        worker.active = false;
-        worker.currentJob = null;
-        worker.processedJobs++;
-        // Clean up completed jobs if too many
-        this.cleanupCompletedJobs();
-        // Process next job
-        setImmediate(processNextJob);
-      }
-    };
-    // Start worker
-    setImmediate(processNextJob);
-    return worker;
-  }
-  /**
-   * Get next job from highest priority queue
-   */
-  getNextJob() {
-    // Check high priority first
-    for (const priority of ['high', 'normal', 'low']) {
-      const queue = this.queues[priority];
-      if (queue.length > 0) {
-        const job = queue.shift();
-        this.updateQueueSizes();
-        return job;
-      }
-    }
-    return null;
+    this.queue.start();
   }
   /**
    * Get job status and result
    */
-  getJobStatus(jobId) {
-    // Check active jobs
-    if (this.activeJobs.has(jobId)) {
-      const { job, workerId, startTime } = this.activeJobs.get(jobId);
+  async getJobStatus(jobId) {
+    // Check jobs running in this process
+    if (this.queue.activeJobs.has(jobId)) {
+      const { job, workerId, startTime } = this.queue.activeJobs.get(jobId);
       return {
         status: 'processing',
         workerId,
@@ -457,50 +336,58 @@ class BackgroundJobQueue {
         estimatedTimeRemaining: job.metadata?.estimatedDuration - (Date.now() - startTime)
       };
     }
-    // Check completed jobs
-    if (this.completedJobs.has(jobId)) {
-      const job = this.completedJobs.get(jobId);
-      return {
-        status: job.status,
-        result: job.result,
-        error: job.error,
-        processingTime: job.processingTime,
-        completedAt: job.completedAt,
-        failedAt: job.failedAt
-      };
+    const job = await this.queue.getJob(jobId);
+    if (!job) {
+      return { status: 'not_found' };
     }
-    // Check queued jobs
-    for (const queue of Object.values(this.queues)) {
-      const job = queue.find(j => j.id === jobId);
-      if (job) {
+    switch (job.status) {
+      case 'queued': {
+        const queuePosition = await this.getQueuePosition(job);
         return {
           status: 'queued',
-          queuePosition: queue.indexOf(job) + 1,
-          estimatedStartTime: this.estimateStartTime(job)
+          queuePosition,
+          estimatedStartTime: this.estimateStartTime(queuePosition),
+          attempts: job.attempts,
+          lastError: job.lastError
         };
       }
+      case 'processing':
+        // Running on another instance
+        return {
+          status: 'processing',
+          workerId: job.leaseOwner,
+          progress: job.progress,
+          processingTime: Date.now() - job.startedAt.getTime()
+        };
+      default:
+        return {
+          status: job.status === 'dead' ? 'failed' : job.status,
+          deadLettered: job.status === 'dead',
+          result: job.result,
+          error: job.lastError,
+          attempts: job.attempts,
+          completedAt: job.completedAt,
+          failedAt: job.failedAt
+        };
     }
-    return { status: 'not_found' };
   }
   /**
    * Cancel queued job
    */
-  cancelJob(jobId) {
-    for (const queue of Object.values(this.queues)) {
-      const index = queue.findIndex(job => job.id === jobId);
-      if (index !== -1) {
-        queue.splice(index, 1);
-        this.updateQueueSizes();
-        return true;
-      }
+  async cancelJob(jobId) {
+    const cancelled = await this.queue.cancel(jobId);
+    if (cancelled) {
+      await this.updateQueueSizes();
     }
-    return false;
+    return cancelled;
   }
   /**
-   * Generate unique job ID
+   * Re-queue a dead-lettered job
    */
-  generateJobId() {
-    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async retryDeadLetter(jobId) {
+    const job = await this.queue.redrive(jobId);
+    await this.updateQueueSizes();
+    return job;
   }
   /**
    * Estimate processing time based on user count
@@ -525,34 +412,38 @@ class BackgroundJobQueue {
   /**
    * Get queue position for job
    */
-  getQueuePosition(job) {
-    const queue = this.queues[job.priority];
-    return queue.indexOf(job) + 1;
+  async getQueuePosition(job) {
+    try {
+      return await this.queue.getPosition(job);
+    } catch {
+      return null;
+    }
   }
   /**
-   * Estimate start time for job
+   * Estimate start time from a queue position
    */
-  estimateStartTime(job) {
-    const position = this.getQueuePosition(job);
-    const avgProcessingTime = this.metrics.averageProcessingTime || 30000;
-    const estimatedWait = ((position - 1) / this.maxWorkers) * avgProcessingTime;
+  estimateStartTime(position) {
+    const avgProcessingTime = this.queue.metrics.averageProcessingTime || 30000;
+    const estimatedWait = ((Math.max(position || 1, 1) - 1) / this.maxWorkers) * avgProcessingTime;
     return new Date(Date.now() + estimatedWait);
   }
   /**
    * Update queue size metrics
    */
-  updateQueueSizes() {
-    this.metrics.queueSizes.high = this.queues.high.length;
-    this.metrics.queueSizes.normal = this.queues.normal.length;
-    this.metrics.queueSizes.low = this.queues.low.length;
+  async updateQueueSizes() {
+    try {
+      const stats = await this.queue.getStats();
+      this.metrics.queueSizes = { ...stats.queued };
+      this.metrics.deadLetters = stats.dead;
+    } catch {
+      // Keep the last known sizes if the store is unreachable
+    }
   }
   /**
    * Update job progress
    */
   updateJobProgress(jobId, progress) {
-    if (this.activeJobs.has(jobId)) {
-      this.activeJobs.get(jobId).job.progress = progress;
-    }
+    this.queue.reportProgress(jobId, progress);
   }
   /**
    * Store job results in database
@@ -610,37 +501,30 @@ class BackgroundJobQueue {
     }
     return comparison;
   }
-  /**
-   * Clean up old completed jobs
-   */
-  cleanupCompletedJobs() {
-    if (this.completedJobs.size > this.maxCompletedJobs) {
-      const entries = Array.from(this.completedJobs.entries());
-      const toRemove = entries
-        .sort((a, b) => a[1].completedAt - b[1].completedAt)
-        .slice(0, Math.floor(this.maxCompletedJobs * 0.2));
-      toRemove.forEach(([jobId]) => {
-        this.completedJobs.delete(jobId);
-      });
-    }
-  }
   /**
    * Get queue statistics
    */
   getMetrics() {
+    const queueMetrics = this.queue.metrics;
+    const finishedJobs = queueMetrics.completed + queueMetrics.deadLettered;
     return {
       ...this.metrics,
-      activeJobs: this.activeJobs.size,
+      store: this.queue.store.name,
+      completedJobs: queueMetrics.completed,
+      failedJobs: queueMetrics.deadLettered,
+      retriedJobs: queueMetrics.retried,
+      duplicateJobs: queueMetrics.duplicates,
+      averageProcessingTime: queueMetrics.averageProcessingTime,
+      activeJobs: this.queue.activeJobs.size,
       totalQueuedJobs: Object.values(this.metrics.queueSizes).reduce((sum, size) => sum + size, 0),
-      workers: this.workers.map(w => ({
+      workers: this.queue.workers.map(w => ({
         id: w.id,
         active: w.active,
         processedJobs: w.processedJobs,
         currentJobId: w.currentJob?.id
       })),
-      completedJobsInMemory: this.completedJobs.size,
-      successRate: this.metrics.totalJobs > 0
-        ? ((this.metrics.completedJobs / this.metrics.totalJobs) * 100).toFixed(2) + '%'
+      successRate: finishedJobs > 0
+        ? ((queueMetrics.completed / finishedJobs) * 100).toFixed(2) + '%'
         : '0%'
     };
   }
@@ -648,17 +532,11 @@ class BackgroundJobQueue {
    * Shutdown the job queue gracefully
    */
   async shutdown() {
-    this.isRunning = false;
-    // Wait for active jobs to complete (with timeout)
-    const shutdownTimeout = 30000; // 30 seconds
-    const startTime = Date.now();
-    while (this.activeJobs.size > 0 && (Date.now() - startTime) < shutdownTimeout) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    if (this.activeJobs.size > 0) {
-    }
+    // Wait for active jobs to complete (with timeout); unfinished jobs are
+    // picked up again once their lease expires
+    await this.queue.stop({ timeout: 30000 });
   }
 }
 // Export singleton instance
 export const backgroundJobQueue = new BackgroundJobQueue();
-export default BackgroundJobQueue;
\ No newline at end of file
+export default BackgroundJobQueue;
@@ -6,16 +6,25 @@
 
 import { parseTripDescription } from './nlp-service.js';
 import sentryService from './sentry-service.js';
+import { createOpenAIProvider, createAnthropicProvider } from './llm-providers.js';
+import {
+  createLLMClient,
+  getAnthropicKey,
+  getOpenAIKey,
+  registerLocalResponder,
+  resolveProviders,
+} from './llm-service.js';
 
 // Configuration
 const CHAT_CONFIG = {
   openai: {
-    baseUrl: 'https://api.openai.com/v1',
-    apiKey: import.meta.env.VITE_OPENAI_API_KEY || import.meta.env.OPENAI_API_KEY,
     model: 'gpt-4', // Using GPT-4 for better conversational abilities
     maxTokens: 1000,
     temperature: 0.7, // Higher temperature for more natural conversation
   },
+  anthropic: {
+    model: 'claude-3-haiku-20240307',
+  },
   assistant: {
     name: 'Trvl Booking Assistant',
     instructions: `You are a professional travel booking assistant for Trvl Social. Your role is to help users with:
@@ -35,7 +44,7 @@ const CHAT_CONFIG = {
     - parse_trip_request: Extract structured data from natural language descriptions`,
   },
   timeout: 30000, // 30 seconds for chat responses
-  maxRetries: 2,
+  maxRetries: 0, // Fail over to the next provider instead so replies stay quick
   retryDelay: 1000,
   sessionTimeout: 2 * 60 * 60 * 1000, // 2 hours
   maxMessages: 50, // Max messages per session
@@ -82,6 +91,26 @@ const QUICK_ACTIONS = {
   },
 };
 
+// Conversation falls back to Claude when OpenAI is unavailable
+const chatClient = createLLMClient({
+  providers: () => resolveProviders({
+    openai: createOpenAIProvider({ apiKey: getOpenAIKey, model: CHAT_CONFIG.openai.model }),
+    anthropic: createAnthropicProvider({ apiKey: getAnthropicKey, model: CHAT_CONFIG.anthropic.model }),
+  }),
+  timeout: CHAT_CONFIG.timeout,
+  maxRetries: CHAT_CONFIG.maxRetries,
+  retryDelay: CHAT_CONFIG.retryDelay,
+});
+
+const translationClient = createLLMClient({
+  providers: () => resolveProviders({
+    openai: createOpenAIProvider({ apiKey: getOpenAIKey, model: 'gpt-3.5-turbo' }),
+    anthropic: createAnthropicProvider({ apiKey: getAnthropicKey, model: CHAT_CONFIG.anthropic.model }),
+  }),
+  timeout: CHAT_CONFIG.timeout,
+  maxRetries: CHAT_CONFIG.maxRetries,
+});
+
 // Session management
 class ChatSession {
   constructor(userId, sessionId) {
@@ -256,38 +285,20 @@ async function detectLanguage(text) {
 }
 
 async function translateMessage(message, targetLanguage, sourceLanguage = 'auto') {
-  if (!CHAT_CONFIG.openai.apiKey || targetLanguage === 'en') {
+  if (targetLanguage === 'en' || !translationClient.isAvailable()) {
     return message;
   }
 
   try {
-    const response = await fetch(`${CHAT_CONFIG.openai.baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${CHAT_CONFIG.openai.apiKey}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `Translate the following message to ${targetLanguage}. Maintain the same tone and meaning. If the message is already in ${targetLanguage}, return it unchanged.`,
-          },
-          {
-            role: 'user',
-            content: message,
-          },
-        ],
-        max_tokens: 500,
-        temperature: 0.3,
-      }),
+    const response = await translationClient.complete({
+      task: 'translate',
+      system: `Translate the following message to ${targetLanguage}. Maintain the same tone and meaning. If the message is already in ${targetLanguage}, return it unchanged.`,
+      messages: [{ role: 'user', content: message }],
+      maxTokens: 500,
+      temperature: 0.3,
+      input: { message, targetLanguage, sourceLanguage },
     });
-
-    if (!response.ok) throw new Error(`Translation failed: ${response.statusText}`);
-
-    const data = await response.json();
-    return data.choices[0]?.message?.content || message;
+    return response.text || message;
   } catch (error) {
     sentryService.captureException(error, {
       tags: { service: 'booking-chat', operation: 'translateMessage' }
@@ -576,26 +587,124 @@ async function parseTrip(args, session) {
   }
 }
 
+// Chat urgency -> ticket priority
+const ESCALATION_PRIORITIES = { low: 'low', medium: 'normal', high: 'high', urgent: 'urgent' };
+
+// Recent conversation copied onto the ticket so agents have the context
+// The ticket engine pulls in the Supabase client, so it is only loaded once a chat is escalated
+const loadSupportTickets = () => import('./support-ticket-service.js');
+
+function buildSupportTranscript(session, transcriptLength) {
+  return session.messages
+    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+    .slice(-transcriptLength)
+    .map(msg => `${msg.role === 'user' ? 'Customer' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+}
+
 async function escalateToHuman(args, session) {
   const { reason, urgency = 'medium' } = args;
 
-  session.humanHandoffRequested = true;
-  session.updateContext({
-    escalation: {
-      reason,
-      urgency,
-      timestamp: new Date().toISOString(),
-    },
-  });
+  try {
+    const {
+      supportTicketEngine,
+      formatTicketReference,
+      summarizeSubject,
+      getSupportTicketConfig,
+    } = await loadSupportTickets();
+    const transcript = buildSupportTranscript(session, getSupportTicketConfig().transcriptLength);
+    const ticket = await supportTicketEngine.receiveCustomerMessage({
+      channel: 'chat',
+      channelRef: session.sessionId,
+      subject: summarizeSubject(reason, 'Chat escalation'),
+      body: `${reason}\n\n--- Chat transcript ---\n${transcript}`,
+      priority: ESCALATION_PRIORITIES[urgency] || null,
+      metadata: { sessionId: session.sessionId, urgency },
+    });
 
-  // In a real implementation, this would trigger notifications to support staff
-  return {
-    success: true,
-    message: 'Your conversation has been escalated to human support. A team member will be with you shortly.',
-    estimatedWaitTime: urgency === 'urgent' ? '5 minutes' : urgency === 'high' ? '15 minutes' : '30 minutes',
-  };
+    session.humanHandoffRequested = true;
+    session.updateContext({
+      escalation: {
+        reason,
+        urgency,
+        timestamp: new Date().toISOString(),
+      },
+      supportTicket: {
+        id: ticket.id,
+        reference: formatTicketReference(ticket),
+        lastReplyAt: null,
+      },
+    });
+
+    return {
+      success: true,
+      ticketReference: formatTicketReference(ticket),
+      message: `Your conversation has been escalated to human support as ticket ${formatTicketReference(ticket)}. A team member will reply here shortly.`,
+      estimatedWaitTime: urgency === 'urgent' ? '5 minutes' : urgency === 'high' ? '15 minutes' : '30 minutes',
+    };
+  } catch (error) {
+    sentryService.captureException(error, {
+      tags: { service: 'booking-chat', operation: 'escalateToHuman' }
+    });
+    return {
+      error: `Failed to reach human support: ${error.message}`,
+    };
+  }
 }
 
+// Offline replies: intent patterns pick the function the model would call
+function respondLocally({ messages }) {
+  const last = messages[messages.length - 1];
+  if (last.role === 'function') {
+    return summarizeFunctionResult(last.name, JSON.parse(last.content));
+  }
+
+  const text = last.content;
+  const intent = /\bavailability\b/i.test(text) ? 'CHECK_AVAILABILITY' : recognizeIntent(text);
+
+  switch (intent) {
+    case 'CHECK_AVAILABILITY': {
+      const destination = text.match(/\b(?:to|in|for)\s+([A-Z][\w-]*(?:\s+[A-Z][\w-]*)*)/)?.[1];
+      if (!destination) {
+        return 'Where would you like to go? Tell me the destination and your dates and I will check availability.';
+      }
+      const participants = Number(text.match(/(\d+)\s*(?:people|persons?|travelers?|adults?)/i)?.[1]) || undefined;
+      return { functionCall: { name: 'check_availability', arguments: JSON.stringify({ destination, participants }) } };
+    }
+    case 'GET_RECOMMENDATIONS':
+      return { functionCall: { name: 'get_recommendations', arguments: '{}' } };
+    case 'SUPPORT_REQUEST':
+      return { functionCall: { name: 'escalate_to_human', arguments: JSON.stringify({ reason: text }) } };
+    case 'MODIFY_BOOKING':
+      return 'Which booking would you like to change? Please share the booking ID and what should change.';
+    default:
+      return 'I can check availability, suggest trips, update bookings or connect you with our support team. What would you like to do?';
+  }
+}
+
+function summarizeFunctionResult(name, result) {
+  if (result.error) {
+    return `Sorry, I couldn't complete that: ${result.error}`;
+  }
+
+  switch (name) {
+    case 'check_availability': {
+      const { availability, destination } = result;
+      const option = availability.hasAvailability && availability.availableDates[0]
+        ? availability.availableDates[0]
+        : availability.alternativeDates[0];
+      return `I checked availability for your ${destination} trip: ${availability.remainingSpots} spots are left, with dates from ${option.startDate} to ${option.endDate} at $${option.price}.`;
+    }
+    case 'get_recommendations':
+      return `Here are some ideas: ${result.recommendations.map(rec => `${rec.destination} (${rec.type}, ${rec.duration}, from ${rec.price})`).join('; ')}.`;
+    default:
+      return result.message || 'All done! Is there anything else I can help with?';
+  }
+}
+
+registerLocalResponder('booking_chat', respondLocally);
+registerLocalResponder('translate', ({ input }) => input.message);
+
 // Main chat function
 export async function sendChatMessage(message, userId, sessionId = null) {
   if (!message?.trim() || !userId) {
@@ -622,88 +731,58 @@ export async function sendChatMessage(message, userId, sessionId = null) {
     language: session.language,
   });
 
-  // Prepare messages for OpenAI
-  const systemMessage = {
-    role: 'system',
-    content: CHAT_CONFIG.assistant.instructions,
-  };
+  // Once a support agent has the conversation, messages go to the ticket
+  if (session.humanHandoffRequested && session.context.supportTicket) {
+    return forwardToSupport(message, session);
+  }
 
-  const conversationMessages = [
-    systemMessage,
-    ...session.messages.map(msg => ({
+  const request = {
+    task: 'booking_chat',
+    system: CHAT_CONFIG.assistant.instructions,
+    messages: session.messages.map(msg => ({
       role: msg.role,
       content: msg.content,
     })),
-  ];
+    functions: assistantFunctions,
+    maxTokens: CHAT_CONFIG.openai.maxTokens,
+    temperature: CHAT_CONFIG.openai.temperature,
+  };
 
   try {
-    const response = await fetch(`${CHAT_CONFIG.openai.baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${CHAT_CONFIG.openai.apiKey}`,
-      },
-      body: JSON.stringify({
-        model: CHAT_CONFIG.openai.model,
-        messages: conversationMessages,
-        functions: assistantFunctions,
-        function_call: 'auto',
-        max_tokens: CHAT_CONFIG.openai.maxTokens,
-        temperature: CHAT_CONFIG.openai.temperature,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    const choice = data.choices[0];
+    const response = await chatClient.complete(request);
 
     let assistantMessage;
     let functionResult = null;
 
-    if (choice.message.function_call) {
+    if (response.functionCall) {
       // Handle function call
-      functionResult = await handleFunctionCall(choice.message.function_call, session);
+      functionResult = await handleFunctionCall(response.functionCall, session);
 
       // Create follow-up request with function result
-      const followUpMessages = [
-        ...conversationMessages,
-        choice.message,
-        {
-          role: 'function',
-          name: choice.message.function_call.name,
-          content: JSON.stringify(functionResult),
-        },
-      ];
-
-      const followUpResponse = await fetch(`${CHAT_CONFIG.openai.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${CHAT_CONFIG.openai.apiKey}`,
-        },
-        body: JSON.stringify({
-          model: CHAT_CONFIG.openai.model,
-          messages: followUpMessages,
-          max_tokens: CHAT_CONFIG.openai.maxTokens,
-          temperature: CHAT_CONFIG.openai.temperature,
-        }),
+      const followUp = await chatClient.complete({
+        ...request,
+        messages: [
+          ...request.messages,
+          { role: 'assistant', content: response.text, functionCall: response.functionCall },
+          {
+            role: 'function',
+            name: response.functionCall.name,
+            content: JSON.stringify(functionResult),
+          },
+        ],
       });
 
-      const followUpData = await followUpResponse.json();
       assistantMessage = session.addMessage({
         role: 'assistant',
-        content: followUpData.choices[0].message.content,
-        functionCall: choice.message.function_call,
+        content: followUp.text,
+        functionCall: response.functionCall,
         functionResult,
         language: session.language,
       });
     } else {
       assistantMessage = session.addMessage({
         role: 'assistant',
-        content: choice.message.content,
+        content: response.text,
         language: session.language,
       });
     }
@@ -760,6 +839,122 @@ export async function sendChatMessage(message, userId, sessionId = null) {
   }
 }
 
+// Session summary returned with every reply
+function getSessionSummary(session) {
+  return {
+    sessionId: session.sessionId,
+    userId: session.userId,
+    language: session.language,
+    messageCount: session.messages.length,
+    isActive: session.isActive,
+    humanHandoffRequested: session.humanHandoffRequested,
+  };
+}
+
+// Add a customer message to the escalated ticket instead of asking the assistant
+async function forwardToSupport(message, session) {
+  const { supportTicket } = session.context;
+
+  try {
+    const { supportTicketEngine } = await loadSupportTickets();
+    await supportTicketEngine.receiveCustomerMessage({
+      channel: 'chat',
+      channelRef: session.sessionId,
+      body: message,
+    });
+
+    const assistantMessage = session.addMessage({
+      role: 'assistant',
+      content: `Sent to the support team on ticket ${supportTicket.reference}.`,
+      source: 'support',
+      language: session.language,
+    });
+
+    return {
+      message: assistantMessage,
+      session: getSessionSummary(session),
+      functionResult: null,
+      quickActions: [],
+    };
+  } catch (error) {
+    sentryService.captureException(error, {
+      tags: { service: 'booking-chat', operation: 'forwardToSupport' }
+    });
+
+    const errorMessage = session.addMessage({
+      role: 'assistant',
+      content: 'Your message could not be sent to the support team. Please try again in a moment.',
+      error: error.message,
+      language: session.language,
+    });
+
+    return {
+      message: errorMessage,
+      session: getSessionSummary(session),
+      error: error.message,
+      quickActions: [],
+    };
+  }
+}
+
+/**
+ * Pull support agent replies into an escalated chat session. The chat is handed
+ * back to the assistant once the ticket is resolved or closed.
+ * @returns {Promise<Object|null>} { messages, humanHandoffRequested, ticketStatus }
+ */
+export async function syncSupportReplies(userId, sessionId) {
+  const session = ChatSession.loadSession(sessionId);
+  if (!session || session.userId !== userId || !session.context.supportTicket) {
+    return null;
+  }
+
+  const { supportTicket } = session.context;
+
+  try {
+    const { supportTicketEngine, getSupportTicketConfig } = await loadSupportTickets();
+    const replies = await supportTicketEngine.getAgentReplies(supportTicket.id, supportTicket.lastReplyAt);
+    const added = replies.map(reply => session.addMessage({
+      role: 'assistant',
+      content: reply.body,
+      source: 'support',
+      supportMessageId: reply.id,
+      language: session.language,
+    }));
+
+    const ticket = await supportTicketEngine.getTicket(supportTicket.id, { withMessages: false });
+    const finished = !getSupportTicketConfig().openStatuses.includes(ticket.status);
+
+    if (finished && session.humanHandoffRequested) {
+      session.humanHandoffRequested = false;
+      added.push(session.addMessage({
+        role: 'assistant',
+        content: `Ticket ${supportTicket.reference} has been ${ticket.status}. You are chatting with the assistant again.`,
+        source: 'support',
+        language: session.language,
+      }));
+    }
+
+    session.updateContext({
+      supportTicket: {
+        ...supportTicket,
+        status: ticket.status,
+        lastReplyAt: replies.length ? replies[replies.length - 1].created_at : supportTicket.lastReplyAt,
+      },
+    });
+
+    return {
+      messages: added,
+      humanHandoffRequested: session.humanHandoffRequested,
+      ticketStatus: ticket.status,
+    };
+  } catch (error) {
+    sentryService.captureException(error, {
+      tags: { service: 'booking-chat', operation: 'syncSupportReplies' }
+    });
+    return null;
+  }
+}
+
 // Get contextual quick actions
 function getQuickActionsForContext(session) {
   const recentMessages = session.messages.slice(-3);
@@ -850,7 +1045,7 @@ export function clearChatSession(userId, sessionId) {
 // Get service configuration
 export function getChatServiceConfig() {
   return {
-    hasOpenAIKey: !!CHAT_CONFIG.openai.apiKey,
+    hasOpenAIKey: !!getOpenAIKey(),
     model: CHAT_CONFIG.openai.model,
     supportedLanguages: CHAT_CONFIG.supportedLanguages,
     maxMessages: CHAT_CONFIG.maxMessages,
@@ -861,6 +1056,7 @@ export function getChatServiceConfig() {
 
 export default {
   sendChatMessage,
+  syncSupportReplies,
   getChatHistory,
   getUserChatSessions,
   clearChatSession,
@@ -24,11 +24,7 @@ Object.defineProperty(window, 'localStorage', {
 });
 
 // Mock environment variables
-vi.mock('import.meta', () => ({
-  env: {
-    VITE_OPENAI_API_KEY: 'test-api-key'
-  }
-}));
+vi.stubEnv('VITE_OPENAI_API_KEY', 'test-api-key');
 
 describe('BookingChatService', () => {
   beforeEach(() => {
@@ -80,7 +76,8 @@ describe('BookingChatService', () => {
           'Content-Type': 'application/json',
           'Authorization': 'Bearer test-api-key',
         },
-        body: expect.stringContaining('"model":"gpt-4"')
+        body: expect.stringContaining('"model":"gpt-4"'),
+        signal: expect.anything()
       });
 
       expect(result.message).toEqual({
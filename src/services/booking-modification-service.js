@@ -6,6 +6,15 @@ import { supabase } from '../lib/supabase.js';
 import { notificationService } from './notification-service.js';
 import { refundPolicyEngine, manualRefundManager } from './payment-refund-service.js';
 import { groupPaymentManager } from './split-payment-service.js';
+import {
+  fromPolicyRow,
+  selectApplicablePolicy,
+  buildPolicySnapshot,
+  evaluatePolicy,
+  describeTier,
+  normalizePolicy,
+} from './modification-policy-engine.js';
+import { normalizeItinerary, parseItinerary, diffItineraries } from './itinerary-service.js';
 // Modification configuration
 const MODIFICATION_CONFIG = {
   types: {
@@ -36,6 +45,8 @@ const MODIFICATION_CONFIG = {
     lastMinuteFeeMultiplier: 2, // Double fees for last-minute changes
   },
 };
+// Trip start used for notice periods: the booked departure, else the adventure start
+const getTripStart = (booking) => booking.start_date || booking.booking_date || booking.adventures?.start_date;
 /**
  * Booking modification manager
  */
@@ -61,10 +72,15 @@ export const bookingModificationManager = {
       if (!restrictions.allowed) {
         throw new Error(restrictions.reason);
       }
+      // Validate a requested itinerary and work out what it changes
+      const itinerary = modificationType === MODIFICATION_CONFIG.types.ITINERARY_ADJUSTMENT
+        ? this.prepareItineraryChanges(booking, requestedChanges)
+        : null;
+      const changes = itinerary ? { ...requestedChanges, itinerary: itinerary.itinerary } : requestedChanges;
       // Calculate modification fees
-      const fees = await this.calculateModificationFees(booking, modificationType, requestedChanges);
+      const fees = await this.calculateModificationFees(booking, modificationType, changes);
       // Determine if auto-approval applies
-      const autoApproval = this.evaluateAutoApproval(modificationType, requestedChanges, booking);
+      const autoApproval = this.evaluateAutoApproval(modificationType, changes, booking);
       // Create modification request record
       const { data: modificationRequest, error } = await supabase
         .from('booking_modifications')
@@ -72,7 +88,7 @@ export const bookingModificationManager = {
           booking_id: bookingId,
           user_id: userId,
           modification_type: modificationType,
-          requested_changes: requestedChanges,
+          requested_changes: changes,
           reason,
           urgency,
           status: autoApproval.eligible ? 'auto_approved' : 'pending_vendor_review',
@@ -88,6 +104,8 @@ export const bookingModificationManager = {
               start: booking.start_date,
               end: booking.end_date,
             } : null,
+            fee_policy: fees.policy || null,
+            ...(itinerary && { itinerary_changes: itinerary.changes }),
           },
           created_at: new Date().toISOString(),
         })
@@ -124,6 +142,23 @@ export const bookingModificationManager = {
       throw new Error(`Failed to create modification request: ${error.message}`);
     }
   },
+  /**
+   * Validate the itinerary in an itinerary adjustment and diff it against the
+   * booking's current itinerary (its custom one, else the adventure's)
+   * @returns {{ itinerary: Array, changes: Array } | null} null when no itinerary was requested
+   */
+  prepareItineraryChanges(booking, requestedChanges) {
+    if (!requestedChanges?.itinerary) return null;
+    const itinerary = parseItinerary(requestedChanges.itinerary);
+    const current = normalizeItinerary(booking.custom_itinerary).length > 0
+      ? booking.custom_itinerary
+      : booking.adventures?.itinerary;
+    const changes = diffItineraries(current, itinerary);
+    if (changes.length === 0) {
+      throw new Error('The requested itinerary is the same as the current one');
+    }
+    return { itinerary, changes };
+  },
   /**
    * Validate user permission to modify booking
    */
@@ -139,6 +174,7 @@ export const bookingModificationManager = {
           end_date,
           vendor_id,
           modification_policy,
+          itinerary,
           vendors (id, name, modification_settings)
         ),
         split_payments (
@@ -210,8 +246,66 @@ export const bookingModificationManager = {
         reason: 'This type of modification is not allowed by the vendor',
       };
     }
+    // Check the vendor's tiered modification policy
+    const evaluation = await this.evaluateVendorPolicy(booking, modificationType, {}, { countPreviousChanges: true });
+    if (evaluation.applies && !evaluation.allowed) {
+      return {
+        allowed: false,
+        reason: evaluation.reason,
+      };
+    }
     return { allowed: true };
   },
+  /**
+   * Resolve the modification policy for a booking
+   * Uses the snapshot taken at purchase time and falls back to the vendor's current policy
+   */
+  async resolveModificationPolicy(booking) {
+    if (booking.modification_policy_snapshot?.rules) {
+      return { policy: booking.modification_policy_snapshot, source: 'snapshot' };
+    }
+    const vendorId = booking.vendor_id || booking.adventures?.vendor_id;
+    if (!vendorId) return { policy: null, source: null };
+    const { data: rows, error } = await supabase
+      .from('vendor_modification_policies')
+      .select('*')
+      .eq('vendor_id', vendorId)
+      .eq('is_active', true);
+    if (error || !rows?.length) return { policy: null, source: null };
+    const policy = selectApplicablePolicy(rows.map(fromPolicyRow), {
+      adventureId: booking.adventure_id || booking.adventures?.id,
+      tripDate: getTripStart(booking),
+    });
+    return { policy, source: policy ? 'live' : null };
+  },
+  /**
+   * Evaluate a modification against the vendor policy that applies to the booking
+   */
+  async evaluateVendorPolicy(booking, modificationType, requestedChanges = {}, options = {}) {
+    const { policy } = await this.resolveModificationPolicy(booking);
+    if (!policy) {
+      return { applies: false, allowed: true, policy: null };
+    }
+    let previousChanges = 0;
+    if (options.countPreviousChanges) {
+      const { data: previous } = await supabase
+        .from('booking_modifications')
+        .select('id')
+        .eq('booking_id', booking.id)
+        .eq('modification_type', modificationType)
+        .in('status', ['approved', 'auto_approved']);
+      previousChanges = previous?.length || 0;
+    }
+    const currentParticipants = booking.total_participants || booking.split_payments?.[0]?.participant_count || 0;
+    const evaluation = evaluatePolicy(policy, {
+      modificationType,
+      tripStart: getTripStart(booking),
+      bookingTotal: Math.round(Number(booking.total_amount || 0) * 100),
+      addedParticipants: (requestedChanges.participantCount || 0) - currentParticipants,
+      previousChanges,
+    });
+    return { ...evaluation, policy };
+  },
   /**
    * Calculate modification fees
    */
@@ -221,6 +315,26 @@ export const bookingModificationManager = {
     const tripStart = new Date(booking.adventures.start_date);
     const hoursUntilTrip = (tripStart - now) / (1000 * 60 * 60);
     const isLastMinute = hoursUntilTrip < 48;
+    // A vendor policy covering this modification type replaces the platform fee schedule
+    const evaluation = await this.evaluateVendorPolicy(booking, modificationType, requestedChanges);
+    if (evaluation.applies) {
+      return {
+        total: evaluation.fees.total,
+        baseFee: evaluation.fees.total,
+        additionalFees: 0,
+        breakdown: evaluation.fees.breakdown,
+        isLastMinute,
+        allowed: evaluation.allowed,
+        reason: evaluation.reason,
+        policy: {
+          id: evaluation.policy.policy_id || evaluation.policy.id || null,
+          version: evaluation.policy.version || 1,
+          name: evaluation.policy.name,
+          tier: describeTier(evaluation.tier),
+          daysBeforeTrip: evaluation.daysBeforeTrip,
+        },
+      };
+    }
     let baseFee = 0;
     let additionalFees = 0;
     const breakdown = [];
@@ -705,6 +819,134 @@ export const vendorModificationManager = {
     }
   },
 };
+/**
+ * Vendor modification policy manager
+ * Policies are versioned: saving a change deactivates the current version and
+ * inserts the next one, so bookings keep pointing at the version they were sold under.
+ */
+export const modificationPolicyManager = {
+  /**
+   * Get a vendor's policies (active versions only unless includeHistory is set)
+   */
+  async getVendorPolicies(vendorId, { includeHistory = false } = {}) {
+    try {
+      let query = supabase
+        .from('vendor_modification_policies')
+        .select('*')
+        .eq('vendor_id', vendorId)
+        .order('created_at', { ascending: false });
+      if (!includeHistory) {
+        query = query.eq('is_active', true);
+      }
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      throw new Error(`Failed to get modification policies: ${error.message}`);
+    }
+  },
+  /**
+   * Create a policy, or publish a new version of an existing one when policyKey is given
+   */
+  async saveVendorPolicy(vendorId, policyInput, { policyKey = null, actorId = null } = {}) {
+    try {
+      const policy = normalizePolicy(policyInput);
+      let version = 1;
+      let previous = null;
+      if (policyKey) {
+        const { data: current, error: currentError } = await supabase
+          .from('vendor_modification_policies')
+          .select('id, version')
+          .eq('vendor_id', vendorId)
+          .eq('policy_key', policyKey)
+          .eq('is_active', true)
+          .single();
+        if (currentError) throw new Error('Policy not found');
+        previous = current;
+        version = current.version + 1;
+        await supabase
+          .from('vendor_modification_policies')
+          .update({ is_active: false, superseded_at: new Date().toISOString() })
+          .eq('id', current.id);
+      }
+      const { data: saved, error } = await supabase
+        .from('vendor_modification_policies')
+        .insert({
+          ...(policyKey ? { policy_key: policyKey } : {}),
+          vendor_id: vendorId,
+          adventure_id: policy.adventureId,
+          name: policy.name,
+          season_start: policy.season?.start || null,
+          season_end: policy.season?.end || null,
+          priority: policy.priority,
+          rules: policy.rules,
+          version,
+          is_active: true,
+          created_by: actorId,
+          created_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+      if (error) {
+        // Keep the previous version live if the new one could not be written
+        if (previous) {
+          await supabase
+            .from('vendor_modification_policies')
+            .update({ is_active: true, superseded_at: null })
+            .eq('id', previous.id);
+        }
+        throw error;
+      }
+      return saved;
+    } catch (error) {
+      throw new Error(`Failed to save modification policy: ${error.message}`);
+    }
+  },
+  /**
+   * Retire a policy; existing bookings keep their snapshot
+   */
+  async deactivateVendorPolicy(vendorId, policyKey) {
+    try {
+      const { error } = await supabase
+        .from('vendor_modification_policies')
+        .update({ is_active: false, superseded_at: new Date().toISOString() })
+        .eq('vendor_id', vendorId)
+        .eq('policy_key', policyKey)
+        .eq('is_active', true);
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to deactivate modification policy: ${error.message}`);
+    }
+  },
+  /**
+   * Snapshot the currently applicable policy onto a booking that has none yet
+   * (new bookings are snapshotted by a database trigger at insert time)
+   */
+  async snapshotPolicyOntoBooking(bookingId) {
+    try {
+      const { data: booking, error } = await supabase
+        .from('bookings')
+        .select('*, adventures (id, start_date, vendor_id)')
+        .eq('id', bookingId)
+        .single();
+      if (error) throw new Error('Booking not found');
+      if (booking.modification_policy_snapshot?.rules) {
+        return booking.modification_policy_snapshot;
+      }
+      const { policy } = await bookingModificationManager.resolveModificationPolicy(booking);
+      if (!policy) return null;
+      const snapshot = buildPolicySnapshot(policy);
+      await supabase
+        .from('bookings')
+        .update({ modification_policy_snapshot: snapshot, updated_at: new Date().toISOString() })
+        .eq('id', bookingId);
+      return snapshot;
+    } catch (error) {
+      throw new Error(`Failed to snapshot modification policy: ${error.message}`);
+    }
+  },
+};
 /**
  * Cancellation policy engine
  */
@@ -1107,6 +1349,7 @@ export const getModificationConfig = () => MODIFICATION_CONFIG;
 export default {
   bookingModificationManager,
   vendorModificationManager,
+  modificationPolicyManager,
   cancellationPolicyEngine,
   getModificationConfig,
 };
\ No newline at end of file
@@ -1,34 +1,152 @@
 /**
  * Content Moderation Service
- * Handles automated content filtering, reporting, and moderation workflows
+ * Handles automated content filtering, reporting, and moderation workflows.
+ * Content is scored per category by a pluggable classifier (moderation-classifier.js);
+ * admins tune the per-category thresholds, and moderator decisions are stored as
+ * labels that the classifier is retrained on.
  */
 import { supabase } from '../lib/supabase';
+import {
+  MODERATION_CATEGORIES,
+  createNaiveBayesClassifier,
+  evaluateModel,
+  trainNaiveBayes
+} from './moderation-classifier';
+import { moderationTrainingData } from '../data/moderation-training-data';
+// Default thresholds, overridden by the moderation_settings row
+const MODERATION_DEFAULTS = {
+  thresholds: {
+    harassment: 0.7,
+    hate: 0.6,
+    sexual: 0.7,
+    spam: 0.8,
+    scam: 0.6,
+    off_platform_payment: 0.7
+  },
+  autoBlockThreshold: 0.95
+};
+const CATEGORY_DESCRIPTIONS = {
+  harassment: 'Content harasses, insults or threatens someone',
+  hate: 'Content attacks people for who they are',
+  sexual: 'Content is sexually explicit or solicits sexual contact',
+  spam: 'Content appears to be spam or promotional',
+  scam: 'Content looks like a scam or phishing attempt',
+  off_platform_payment: 'Content asks to pay outside the platform'
+};
+// Report categories map to the labels a rejection suggests
+const REPORT_CATEGORY_LABELS = {
+  spam: ['spam'],
+  harassment: ['harassment'],
+  threats: ['harassment'],
+  hate_speech: ['hate'],
+  inappropriate: ['sexual'],
+  illegal: ['scam']
+};
+// Where the text of each reportable content type lives
+const CONTENT_TEXT_SOURCES = {
+  post: { table: 'community_posts', column: 'content' },
+  comment: { table: 'post_comments', column: 'content' },
+  review: { table: 'reviews', column: 'comment' },
+  message: { table: 'bid_messages', column: 'message' }
+};
 class ContentModerationService {
   constructor() {
-    this.profanityFilter = this.initializeProfanityFilter();
-    this.spamPatterns = this.initializeSpamPatterns();
-    this.toxicityThreshold = 0.7;
-    this.automatedActionThreshold = 0.85;
+    this.classifier = createNaiveBayesClassifier();
+    this.settings = {
+      thresholds: { ...MODERATION_DEFAULTS.thresholds },
+      autoBlockThreshold: MODERATION_DEFAULTS.autoBlockThreshold
+    };
+    this.ready = null;
+  }
+  /**
+   * Swap in another classifier ({ name, version, classify(text) })
+   */
+  setClassifier(classifier) {
+    this.classifier = classifier;
   }
-  // Initialize profanity filter with common inappropriate words
-  initializeProfanityFilter() {
-    return new Set([
-      // Add profanity words here - keeping family-friendly for demo
-      'spam', 'scam', 'fake', 'bot', 'virus', 'malware'
-    ]);
+  /**
+   * Load stored thresholds and the active retrained model once; the bundled model
+   * and default thresholds stay in place when either is unavailable
+   */
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = Promise.all([this.loadSettings(), this.loadActiveModel()]);
+    }
+    return this.ready;
   }
-  // Initialize spam detection patterns
-  initializeSpamPatterns() {
-    return [
-      /\b(click here|visit now|buy now|limited time|act fast)\b/gi,
-      /\b(free money|make money fast|guaranteed income)\b/gi,
-      /\b(viagra|cialis|pharmacy|pills)\b/gi,
-      /\b(casino|gambling|poker|slots)\b/gi,
-      /(https?:\/\/[^\s]+){3,}/gi, // Multiple URLs
-      /(.)\1{10,}/gi, // Repeated characters
-      /[A-Z]{20,}/gi, // Excessive caps
-      /(\b\w+\b.*?){0,5}\b(bitcoin|crypto|investment|trading)\b/gi
-    ];
+  /**
+   * Load per-category thresholds
+   */
+  async loadSettings() {
+    try {
+      const { data, error } = await supabase
+        .from('moderation_settings')
+        .select('thresholds, auto_block_threshold')
+        .eq('id', 'default')
+        .maybeSingle();
+      if (error) throw error;
+      if (data) {
+        this.settings = {
+          thresholds: { ...MODERATION_DEFAULTS.thresholds, ...data.thresholds },
+          autoBlockThreshold: Number(data.auto_block_threshold ?? MODERATION_DEFAULTS.autoBlockThreshold)
+        };
+      }
+      return { success: true, data: this.getSettings() };
+    } catch (error) {
+      return { success: false, error: error.message, data: this.getSettings() };
+    }
+  }
+  /**
+   * Save per-category thresholds (admin only)
+   */
+  async saveSettings(settings, adminId) {
+    try {
+      const thresholds = { ...this.settings.thresholds, ...settings.thresholds };
+      const autoBlockThreshold = settings.autoBlockThreshold ?? this.settings.autoBlockThreshold;
+      const invalid = [...Object.values(thresholds), autoBlockThreshold]
+        .some(value => typeof value !== 'number' || value < 0 || value > 1);
+      if (invalid) {
+        throw new Error('Thresholds must be between 0 and 1');
+      }
+      const { error } = await supabase
+        .from('moderation_settings')
+        .upsert({
+          id: 'default',
+          thresholds,
+          auto_block_threshold: autoBlockThreshold,
+          updated_by: adminId
+        });
+      if (error) throw error;
+      this.settings = { thresholds, autoBlockThreshold };
+      return { success: true, data: this.getSettings() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  getSettings() {
+    return {
+      thresholds: { ...this.settings.thresholds },
+      autoBlockThreshold: this.settings.autoBlockThreshold
+    };
+  }
+  /**
+   * Use the active retrained model when there is one
+   */
+  async loadActiveModel() {
+    try {
+      const { data, error } = await supabase
+        .from('moderation_models')
+        .select('version, model')
+        .eq('is_active', true)
+        .maybeSingle();
+      if (error) throw error;
+      if (data?.model) {
+        this.classifier = createNaiveBayesClassifier({ model: data.model });
+      }
+      return { success: true, version: this.classifier.version };
+    } catch (error) {
+      return { success: false, error: error.message, version: this.classifier.version };
+    }
   }
   /**
    * Analyze content for various types of violations
@@ -38,27 +156,23 @@ class ContentModerationService {
       text: content,
       violations: [],
       scores: {
-        profanity: 0,
-        spam: 0,
+        ...Object.fromEntries(MODERATION_CATEGORIES.map(category => [category, 0])),
         toxicity: 0,
         overall: 0
       },
+      model: null,
       recommendations: [],
       autoAction: null
     };
     try {
-      // Check for profanity
-      analysis.scores.profanity = this.checkProfanity(content);
-      // Check for spam patterns
-      analysis.scores.spam = this.checkSpamPatterns(content);
-      // Simulate toxicity detection (in real app, use ML service)
-      analysis.scores.toxicity = await this.detectToxicity(content);
+      await this.ensureReady();
+      const { scores, version } = await this.classifier.classify(content);
+      analysis.model = { name: this.classifier.name, version };
+      Object.assign(analysis.scores, scores);
+      // Toxicity covers the abusive categories
+      analysis.scores.toxicity = Math.max(scores.harassment || 0, scores.hate || 0, scores.sexual || 0);
       // Calculate overall risk score
-      analysis.scores.overall = Math.max(
-        analysis.scores.profanity,
-        analysis.scores.spam,
-        analysis.scores.toxicity
-      );
+      analysis.scores.overall = Math.max(...MODERATION_CATEGORIES.map(category => scores[category] || 0));
       // Determine violations and recommendations
       this.evaluateViolations(analysis);
       // Determine automatic actions
@@ -73,76 +187,27 @@ class ContentModerationService {
     }
   }
   /**
-   * Check content for profanity
-   */
-  checkProfanity(content) {
-    const words = content.toLowerCase().split(/\s+/);
-    const profaneWords = words.filter(word =>
-      this.profanityFilter.has(word.replace(/[^a-z]/g, ''))
-    );
-    return Math.min(profaneWords.length / words.length * 5, 1);
-  }
-  /**
-   * Check content for spam patterns
-   */
-  checkSpamPatterns(content) {
-    let spamScore = 0;
-    const patternMatches = this.spamPatterns.reduce((acc, pattern) => {
-      const matches = content.match(pattern);
-      return acc + (matches ? matches.length : 0);
-    }, 0);
-    // Calculate spam score based on pattern matches
-    spamScore = Math.min(patternMatches / 3, 1);
-    // Additional spam indicators
-    const urlCount = (content.match(/https?:\/\/[^\s]+/gi) || []).length;
-    if (urlCount > 2) spamScore += 0.3;
-    const capsRatio = (content.match(/[A-Z]/g) || []).length / content.length;
-    if (capsRatio > 0.5) spamScore += 0.2;
-    return Math.min(spamScore, 1);
-  }
-  /**
-   * Simulate toxicity detection (replace with actual ML service)
-   */
-  async detectToxicity(content) {
-    // Simulate API call to toxicity detection service
-    const toxicWords = ['hate', 'kill', 'die', 'stupid', 'idiot', 'moron'];
-    const words = content.toLowerCase().split(/\s+/);
-    const toxicCount = words.filter(word => toxicWords.includes(word)).length;
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 100));
-    return Math.min(toxicCount / words.length * 3, 1);
-  }
-  /**
-   * Evaluate violations based on scores
+   * Evaluate violations against the per-category thresholds
    */
   evaluateViolations(analysis) {
-    if (analysis.scores.profanity > 0.3) {
-      analysis.violations.push({
-        type: 'profanity',
-        severity: analysis.scores.profanity > 0.7 ? 'high' : 'medium',
-        description: 'Content contains inappropriate language'
-      });
-    }
-    if (analysis.scores.spam > 0.4) {
-      analysis.violations.push({
-        type: 'spam',
-        severity: analysis.scores.spam > 0.8 ? 'high' : 'medium',
-        description: 'Content appears to be spam or promotional'
-      });
-    }
-    if (analysis.scores.toxicity > 0.5) {
-      analysis.violations.push({
-        type: 'toxicity',
-        severity: analysis.scores.toxicity > 0.8 ? 'high' : 'medium',
-        description: 'Content contains toxic or harmful language'
-      });
-    }
+    const { thresholds, autoBlockThreshold } = this.settings;
+    MODERATION_CATEGORIES.forEach(category => {
+      const score = analysis.scores[category];
+      if (score >= thresholds[category]) {
+        analysis.violations.push({
+          type: category,
+          score,
+          severity: score >= autoBlockThreshold ? 'high' : 'medium',
+          description: CATEGORY_DESCRIPTIONS[category]
+        });
+      }
+    });
     // Generate recommendations
     if (analysis.violations.length === 0) {
       analysis.recommendations.push('Content appears safe for publication');
     } else {
       analysis.recommendations.push('Content requires moderation review');
-      if (analysis.scores.overall > this.automatedActionThreshold) {
+      if (analysis.violations.some(violation => violation.severity === 'high')) {
         analysis.recommendations.push('Recommend automatic action');
       }
     }
@@ -151,16 +216,154 @@ class ContentModerationService {
    * Determine automatic actions based on analysis
    */
   determineAutoActions(analysis) {
-    if (analysis.scores.overall > this.automatedActionThreshold) {
+    if (analysis.violations.some(violation => violation.severity === 'high')) {
       analysis.autoAction = 'block';
-    } else if (analysis.scores.overall > this.toxicityThreshold) {
-      analysis.autoAction = 'flag_for_review';
     } else if (analysis.violations.length > 0) {
-      analysis.autoAction = 'warn_user';
+      analysis.autoAction = 'flag_for_review';
     } else {
       analysis.autoAction = 'approve';
     }
   }
+  /**
+   * Labels a rejection suggests for a report category
+   */
+  getSuggestedLabels(reportCategory) {
+    return REPORT_CATEGORY_LABELS[reportCategory] || [];
+  }
+  /**
+   * Load the text of a piece of content
+   */
+  async getContentText(contentId, contentType) {
+    const source = CONTENT_TEXT_SOURCES[contentType];
+    if (!source) return null;
+    const { data, error } = await supabase
+      .from(source.table)
+      .select(source.column)
+      .eq('id', contentId)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.[source.column] || null;
+  }
+  /**
+   * Keep a moderator's approve/reject decision as a labelled example for retraining.
+   * Approved content is labelled clean; rejected content needs at least one category.
+   */
+  async recordModeratorDecision({ contentId, contentType, queueItemId = null, decision, labels = [], moderatorId, text = null }) {
+    try {
+      if (!['approved', 'rejected'].includes(decision)) {
+        throw new Error(`Unknown moderation decision: ${decision}`);
+      }
+      const unknown = labels.filter(label => !MODERATION_CATEGORIES.includes(label));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown moderation labels: ${unknown.join(', ')}`);
+      }
+      if (decision === 'rejected' && labels.length === 0) {
+        throw new Error('Rejected content needs at least one label');
+      }
+      const contentText = text || await this.getContentText(contentId, contentType);
+      if (!contentText) {
+        throw new Error('Content text not found');
+      }
+      await this.ensureReady();
+      const { scores, version } = await this.classifier.classify(contentText);
+      const { data, error } = await supabase
+        .from('moderation_labels')
+        .insert({
+          content_id: contentId,
+          content_type: contentType,
+          queue_item_id: queueItemId,
+          text: contentText,
+          decision,
+          labels: decision === 'approved' ? [] : labels,
+          predicted_scores: scores,
+          model_version: version,
+          moderator_id: moderatorId
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  /**
+   * Classifier version and how many labels arrived since it was trained
+   */
+  async getClassifierStatus() {
+    try {
+      await this.ensureReady();
+      const { data: model } = await supabase
+        .from('moderation_models')
+        .select('version, trained_at, metrics, example_count, label_count')
+        .eq('is_active', true)
+        .maybeSingle();
+      let query = supabase
+        .from('moderation_labels')
+        .select('*', { count: 'exact', head: true });
+      if (model?.trained_at) {
+        query = query.gt('created_at', model.trained_at);
+      }
+      const { count, error } = await query;
+      if (error) throw error;
+      return {
+        success: true,
+        data: {
+          name: this.classifier.name,
+          version: this.classifier.version,
+          trainedAt: model?.trained_at || null,
+          metrics: model?.metrics || null,
+          newLabels: count || 0
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  /**
+   * Retrain the classifier on the bundled data plus every moderator label,
+   * store it as the active model and start using it
+   */
+  async retrainClassifier(trainedBy) {
+    try {
+      const { data: labels, error } = await supabase
+        .from('moderation_labels')
+        .select('text, labels')
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      const moderatorExamples = (labels || []).map(label => ({ text: label.text, labels: label.labels || [] }));
+      const trainedAt = new Date();
+      const model = trainNaiveBayes([...moderationTrainingData, ...moderatorExamples], {
+        version: `nb-${trainedAt.toISOString().replace(/\D/g, '').slice(0, 14)}`
+      });
+      const metrics = moderatorExamples.length > 0 ? evaluateModel(model, moderatorExamples) : {};
+      const { error: deactivateError } = await supabase
+        .from('moderation_models')
+        .update({ is_active: false })
+        .eq('is_active', true);
+      if (deactivateError) throw deactivateError;
+      const { error: insertError } = await supabase
+        .from('moderation_models')
+        .insert({
+          version: model.version,
+          model,
+          metrics,
+          example_count: model.examples,
+          label_count: moderatorExamples.length,
+          is_active: true,
+          trained_by: trainedBy,
+          trained_at: trainedAt.toISOString()
+        });
+      if (insertError) throw insertError;
+      this.classifier = createNaiveBayesClassifier({ model });
+      return {
+        success: true,
+        data: { version: model.version, examples: model.examples, labels: moderatorExamples.length, metrics }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
   /**
    * Submit content report
    */
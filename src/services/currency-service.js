@@ -2,15 +2,23 @@
  * Currency Service for multi-currency support
  * Handles currency conversion, exchange rates, and international formatting
  */
+import {
+  createExchangeRateApiProvider,
+  createExchangeRateHostProvider,
+  createStaticRateProvider,
+} from './exchange-rate-providers.js';
+import { offlineExchangeRates } from '../data/offline-exchange-rates.js';
 // Configuration
 const CURRENCY_CONFIG = {
   baseCurrency: 'USD',
   apiKey: import.meta.env.VITE_EXCHANGE_RATE_API_KEY,
   apiUrl: 'https://v6.exchangerate-api.com/v6',
   fallbackApiUrl: 'https://api.exchangerate.host',
+  rateProvider: import.meta.env.VITE_EXCHANGE_RATE_PROVIDER || 'auto', // 'auto' or 'offline'
   cacheTime: 3600000, // 1 hour in milliseconds
   retries: 3,
   timeout: 5000,
+  recentSnapshotLimit: 50,
 };
 // Supported currencies with regional information
 export const SUPPORTED_CURRENCIES = {
@@ -115,78 +123,181 @@ export const SUPPORTED_CURRENCIES = {
     taxRate: 0.25, // Norwegian VAT
   },
 };
-// Exchange rate cache
-let exchangeRateCache = {
-  data: {},
-  timestamp: 0,
+// Exchange rate cache, keyed by base currency
+let exchangeRateCache = {};
+// Ordered rate providers; built lazily so tests can swap them before first use
+let rateProviders = null;
+// Rate snapshots used by recent conversions
+let recentSnapshots = [];
+const rememberSnapshot = (snapshot) => {
+  recentSnapshots = [snapshot, ...recentSnapshots].slice(0, CURRENCY_CONFIG.recentSnapshotLimit);
 };
+let snapshotRecorder = rememberSnapshot;
+/**
+ * Live APIs first, then the bundled offline table
+ */
+function buildDefaultRateProviders() {
+  const offline = createStaticRateProvider(offlineExchangeRates);
+  if (CURRENCY_CONFIG.rateProvider === 'offline') {
+    return [offline];
+  }
+  const fallback = createExchangeRateHostProvider({
+    apiUrl: CURRENCY_CONFIG.fallbackApiUrl,
+    timeout: CURRENCY_CONFIG.timeout,
+  });
+  if (!CURRENCY_CONFIG.apiKey) {
+    return [fallback, offline];
+  }
+  return [
+    createExchangeRateApiProvider({
+      apiKey: CURRENCY_CONFIG.apiKey,
+      apiUrl: CURRENCY_CONFIG.apiUrl,
+      timeout: CURRENCY_CONFIG.timeout,
+    }),
+    fallback,
+    offline,
+  ];
+}
 /**
  * Currency Service
  */
 export class CurrencyService {
   /**
-   * Get current exchange rates
+   * Replace the exchange rate providers (tried in order) and clear the cache
+   * @param {Array|Object|null} providers - Providers from exchange-rate-providers; null restores the defaults
    */
-  static async getExchangeRates(baseCurrency = CURRENCY_CONFIG.baseCurrency) {
+  static setRateProviders(providers) {
+    rateProviders = providers ? [].concat(providers) : null;
+    exchangeRateCache = {};
+  }
+  /**
+   * Get the active exchange rate providers
+   */
+  static getRateProviders() {
+    if (!rateProviders) {
+      rateProviders = buildDefaultRateProviders();
+    }
+    return rateProviders;
+  }
+  /**
+   * Replace how rate snapshots are recorded; receives (snapshot, context) for every conversion
+   * @param {Function|null} recorder - null restores the default in-memory log
+   */
+  static setSnapshotRecorder(recorder) {
+    snapshotRecorder = recorder || rememberSnapshot;
+  }
+  /**
+   * Rate snapshots used by the most recent conversions in this session
+   */
+  static getRecentSnapshots() {
+    return [...recentSnapshots];
+  }
+  /**
+   * Get exchange rates with their provenance
+   * @param {string} baseCurrency
+   * @param {Object} options - { at } to request historical rates (bypasses the cache)
+   * @returns {Promise<Object>} { base, rates, asOf, source }
+   */
+  static async getRateTable(baseCurrency = CURRENCY_CONFIG.baseCurrency, { at = null } = {}) {
     const now = Date.now();
+    const cached = exchangeRateCache[baseCurrency];
     // Check cache first
-    if (exchangeRateCache.timestamp &&
-        (now - exchangeRateCache.timestamp) < CURRENCY_CONFIG.cacheTime &&
-        exchangeRateCache.data[baseCurrency]) {
-      return exchangeRateCache.data[baseCurrency];
+    if (!at && cached && (now - cached.timestamp) < CURRENCY_CONFIG.cacheTime) {
+      return cached.table;
     }
-    try {
-      let rates;
-      // Try primary API first
-      if (CURRENCY_CONFIG.apiKey) {
-        rates = await this.fetchFromExchangeRateAPI(baseCurrency);
-      } else {
-        // Fallback to free API
-        rates = await this.fetchFromFallbackAPI(baseCurrency);
-      }
-      // Update cache
-      if (!exchangeRateCache.data) {
-        exchangeRateCache.data = {};
-      }
-      exchangeRateCache.data[baseCurrency] = rates;
-      exchangeRateCache.timestamp = now;
-      return rates;
-    } catch (error) {
-      // Return cached data if available
-      if (exchangeRateCache.data[baseCurrency]) {
-        return exchangeRateCache.data[baseCurrency];
+    for (const provider of this.getRateProviders()) {
+      try {
+        const table = await provider.getRates(baseCurrency, { at });
+        if (!table?.rates || Object.keys(table.rates).length === 0) continue;
+        if (!at) {
+          exchangeRateCache[baseCurrency] = { table, timestamp: now };
+        }
+        return table;
+      } catch {
+        // Try the next provider
       }
-      // Return 1:1 rates as last resort
-      return this.getDefaultRates();
     }
+    // Return stale cached data if available
+    if (cached) {
+      return cached.table;
+    }
+    // Return 1:1 rates as last resort
+    return { base: baseCurrency, rates: this.getDefaultRates(), asOf: null, source: 'default' };
+  }
+  /**
+   * Get current exchange rates
+   */
+  static async getExchangeRates(baseCurrency = CURRENCY_CONFIG.baseCurrency, options = {}) {
+    const table = await this.getRateTable(baseCurrency, options);
+    return table.rates;
   }
   /**
-   * Fetch rates from primary API (ExchangeRate-API)
+   * Capture the rate between two currencies along with where it came from
    */
-  static async fetchFromExchangeRateAPI(baseCurrency) {
-    const response = await fetch(
-      `${CURRENCY_CONFIG.apiUrl}/${CURRENCY_CONFIG.apiKey}/latest/${baseCurrency}`,
-      { timeout: CURRENCY_CONFIG.timeout }
-    );
-    if (!response.ok) {
-      throw new Error(`Exchange rate API error: ${response.status}`);
+  static async getRateSnapshot(fromCurrency, toCurrency, { at = null } = {}) {
+    const capturedAt = new Date().toISOString();
+    if (fromCurrency === toCurrency) {
+      return {
+        from_currency: fromCurrency,
+        to_currency: toCurrency,
+        rate: 1,
+        source: 'identity',
+        rate_as_of: capturedAt,
+        captured_at: capturedAt,
+      };
+    }
+    const table = await this.getRateTable(fromCurrency, { at });
+    const rate = table.rates[toCurrency];
+    if (!rate) {
+      throw new Error(`Exchange rate not available for ${toCurrency}`);
     }
-    const data = await response.json();
-    return data.conversion_rates;
+    return {
+      from_currency: fromCurrency,
+      to_currency: toCurrency,
+      rate,
+      source: table.source,
+      rate_as_of: table.asOf,
+      captured_at: capturedAt,
+    };
   }
   /**
-   * Fetch rates from fallback API (free service)
+   * Apply a recorded snapshot to an amount; converts in either direction
    */
-  static async fetchFromFallbackAPI(baseCurrency) {
-    const response = await fetch(
-      `${CURRENCY_CONFIG.fallbackApiUrl}/latest?base=${baseCurrency}`,
-      { timeout: CURRENCY_CONFIG.timeout }
-    );
-    if (!response.ok) {
-      throw new Error(`Fallback API error: ${response.status}`);
+  static applyRateSnapshot(amount, snapshot, toCurrency = snapshot.to_currency) {
+    if (toCurrency === snapshot.to_currency) {
+      return amount * snapshot.rate;
+    }
+    if (toCurrency === snapshot.from_currency) {
+      return amount / snapshot.rate;
     }
-    const data = await response.json();
-    return data.rates;
+    throw new Error(`Snapshot converts ${snapshot.from_currency}/${snapshot.to_currency}, not ${toCurrency}`);
+  }
+  /**
+   * Convert an amount and return the rate snapshot it used
+   * Passing a previously recorded `snapshot` reproduces that conversion exactly.
+   * @param {Object} options - { at, snapshot, context } where context is passed to the recorder
+   * @returns {Promise<Object>} { amount, snapshot }
+   */
+  static async convertWithSnapshot(amount, fromCurrency, toCurrency, { at = null, snapshot = null, context = {} } = {}) {
+    if (snapshot) {
+      if (snapshot.from_currency !== fromCurrency || snapshot.to_currency !== toCurrency) {
+        throw new Error(`Snapshot converts ${snapshot.from_currency}/${snapshot.to_currency}, not ${fromCurrency}/${toCurrency}`);
+      }
+      const converted = this.applyRateSnapshot(amount, snapshot);
+      return { amount: converted, snapshot: { ...snapshot, from_amount: amount, to_amount: converted } };
+    }
+
+    const rateSnapshot = await this.getRateSnapshot(fromCurrency, toCurrency, { at });
+    const converted = this.applyRateSnapshot(amount, rateSnapshot);
+    const recorded = { ...rateSnapshot, from_amount: amount, to_amount: converted };
+    if (fromCurrency !== toCurrency) {
+      try {
+        await snapshotRecorder(recorded, context);
+      } catch {
+        // Recording must never block a conversion
+      }
+    }
+    return { amount: converted, snapshot: recorded };
   }
   /**
    * Get default 1:1 rates for supported currencies
@@ -205,12 +316,8 @@ export class CurrencyService {
     if (fromCurrency === toCurrency) {
       return amount;
     }
-    const rates = await this.getExchangeRates(fromCurrency);
-    const rate = rates[toCurrency];
-    if (!rate) {
-      throw new Error(`Exchange rate not available for ${toCurrency}`);
-    }
-    return amount * rate;
+    const { amount: converted } = await this.convertWithSnapshot(amount, fromCurrency, toCurrency);
+    return converted;
   }
   /**
    * Format currency amount for display
@@ -0,0 +1,551 @@
+/**
+ * Data Subject Request Service
+ * GDPR access (export) and erasure requests with their one-month deadlines.
+ * Every table holding a user's data is listed in DATA_SUBJECT_TABLES with its
+ * category and erasure strategy:
+ *   delete       - the user's rows are removed
+ *   anonymize    - rows other users rely on stay, with personal fields scrubbed
+ *   pseudonymize - financial records kept for their statutory retention period;
+ *                  free text is scrubbed and the rows stay linked only to the
+ *                  anonymized profile
+ * Exports gather every table into one JSON archive in the data-exports bucket.
+ * Processing needs the service role and runs behind /api/privacy/requests;
+ * with the default client the engine lists and tracks requests for admins.
+ */
+import { supabase } from '../lib/supabase.js';
+
+// Data subject request configuration
+const DSR_CONFIG = {
+  requestTypes: ['export', 'erasure'],
+  statuses: ['pending', 'processing', 'completed', 'failed', 'rejected'],
+  // Requests that still count against their deadline
+  openStatuses: ['pending', 'processing', 'failed'],
+  categories: ['profile', 'assessments', 'bookings', 'payments', 'posts', 'connections', 'wishlists', 'chats', 'notifications'],
+  // Art. 12(3): answer within one month, extendable once by two further months
+  responseDays: 30,
+  extensionDays: 60,
+  dueSoonDays: 7,
+  exportBucket: 'data-exports',
+  archiveFormat: 'trvl-data-export/v1',
+  archiveUrlExpiry: 7 * 24 * 60 * 60, // seconds
+  requestsEndpoint: '/api/privacy/requests',
+  erasedName: 'Deleted user',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FINANCIAL_RECORD = 'Financial record kept for statutory retention';
+
+// Tables are erased in this order; the profile comes last so retained records
+// keep pointing at an existing (anonymized) row
+export const DATA_SUBJECT_TABLES = [
+  { table: 'personality_assessments', category: 'assessments', columns: ['user_id'], erasure: 'delete' },
+  { table: 'assessment_responses', category: 'assessments', columns: ['user_id'], erasure: 'delete' },
+  { table: 'post_comments', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'post_reactions', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'post_saves', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'post_shares', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'post_views', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'community_posts', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'reviews', category: 'posts', columns: ['user_id'], erasure: 'delete' },
+  { table: 'community_connections', category: 'connections', columns: ['user_id', 'connected_user_id'], erasure: 'delete' },
+  { table: 'connection_requests', category: 'connections', columns: ['requester_id', 'recipient_id'], erasure: 'delete' },
+  { table: 'group_members', category: 'connections', columns: ['user_id'], erasure: 'delete' },
+  { table: 'wishlists', category: 'wishlists', columns: ['user_id'], erasure: 'delete' },
+  { table: 'wishlist_collections', category: 'wishlists', columns: ['user_id'], erasure: 'delete' },
+  { table: 'price_alert_history', category: 'wishlists', columns: ['user_id'], erasure: 'delete' },
+  { table: 'price_alerts', category: 'wishlists', columns: ['user_id'], erasure: 'delete' },
+  { table: 'saved_searches', category: 'wishlists', columns: ['user_id'], erasure: 'delete' },
+  { table: 'support_ticket_messages', category: 'chats', columns: ['author_id'], erasure: 'delete' },
+  {
+    table: 'support_tickets',
+    category: 'chats',
+    columns: ['user_id'],
+    erasure: 'anonymize',
+    // Ticket history and SLA reporting stay; nothing points back to the person
+    scrub: { requester_name: null, requester_email: null, channel_ref: 'erased' },
+  },
+  { table: 'whatsapp_messages', category: 'chats', columns: ['user_id'], erasure: 'delete' },
+  { table: 'whatsapp_conversations', category: 'chats', columns: ['user_id'], erasure: 'delete' },
+  { table: 'notification_analytics', category: 'notifications', columns: ['user_id'], erasure: 'delete' },
+  { table: 'notification_queue', category: 'notifications', columns: ['user_id'], erasure: 'delete' },
+  { table: 'notifications', category: 'notifications', columns: ['user_id'], erasure: 'delete' },
+  { table: 'fcm_tokens', category: 'notifications', columns: ['user_id'], erasure: 'delete' },
+  {
+    table: 'booking_participants',
+    category: 'bookings',
+    columns: ['user_id'],
+    erasure: 'anonymize',
+    // The organizer's booking still needs a headcount
+    scrub: {
+      full_name: DSR_CONFIG.erasedName,
+      email: null,
+      phone: null,
+      age: null,
+      emergency_contact_name: null,
+      emergency_contact_phone: null,
+      dietary_restrictions: null,
+      medical_conditions: null,
+    },
+  },
+  {
+    table: 'bookings',
+    category: 'bookings',
+    columns: ['user_id'],
+    erasure: 'pseudonymize',
+    scrub: { special_requests: null, cancellation_reason: null },
+    reason: FINANCIAL_RECORD,
+  },
+  { table: 'booking_cancellations', category: 'bookings', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'booking_payments', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'payment_splits', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'split_payments', category: 'payments', columns: ['organizer_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'individual_payments', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'invoices', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'refund_requests', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'payment_disputes', category: 'payments', columns: ['user_id'], erasure: 'pseudonymize', reason: FINANCIAL_RECORD },
+  { table: 'user_preferences', category: 'profile', columns: ['user_id'], erasure: 'delete' },
+  {
+    table: 'profiles',
+    category: 'profile',
+    columns: ['id'],
+    erasure: 'anonymize',
+    // Bookings and payments reference the profile, so the row stays as the pseudonym
+    scrub: (userId) => ({
+      username: `deleted-${userId}`,
+      full_name: DSR_CONFIG.erasedName,
+      avatar_url: null,
+      bio: null,
+      location: null,
+      phone_number: null,
+      date_of_birth: null,
+      encrypted_birth_date: null,
+    }),
+  },
+];
+
+// PostgREST reports tables that are not deployed yet with these codes
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+const isMissingTable = (error) => MISSING_TABLE_CODES.includes(error?.code);
+
+/**
+ * PostgREST filter matching rows that belong to the user in any of the columns
+ */
+export function buildUserFilter(columns, userId) {
+  return columns.map(column => `${column}.eq.${userId}`).join(',');
+}
+
+/**
+ * Deadline for a request received at requestedAt
+ */
+export function calculateDueDate(requestedAt, days = DSR_CONFIG.responseDays) {
+  return new Date(new Date(requestedAt).getTime() + days * DAY).toISOString();
+}
+
+/**
+ * Where a request stands against its deadline
+ * @returns {Object} { state: on_track|due_soon|overdue|closed, daysRemaining }
+ */
+export function getDeadlineStatus(request, now = new Date()) {
+  if (!DSR_CONFIG.openStatuses.includes(request.status)) {
+    return { state: 'closed', daysRemaining: null };
+  }
+
+  const remainingMs = new Date(request.due_at).getTime() - new Date(now).getTime();
+  const daysRemaining = Math.ceil(remainingMs / DAY);
+  let state = 'on_track';
+  if (remainingMs < 0) state = 'overdue';
+  else if (daysRemaining <= DSR_CONFIG.dueSoonDays) state = 'due_soon';
+  return { state, daysRemaining };
+}
+
+/**
+ * Rows found and changed across the steps of a request, and the tables that failed
+ */
+export function summarizeSteps(steps = []) {
+  return {
+    tables: steps.filter(step => step.status === 'done').length,
+    rows: steps.reduce((total, step) => total + (step.rows || 0), 0),
+    failed: steps.filter(step => step.status === 'failed').map(step => step.table),
+  };
+}
+
+// Registry entries for the requested categories; none means every category
+const selectTables = (tables, categories = []) => (
+  categories.length > 0 ? tables.filter(entry => categories.includes(entry.category)) : tables
+);
+
+const stepResult = (entry, action, fields) => ({
+  table: entry.table,
+  category: entry.category,
+  action,
+  rows: 0,
+  status: 'done',
+  error: null,
+  ...fields,
+});
+
+/**
+ * Create a data subject request engine
+ * @param {Object} deps - { client, tables }
+ */
+export function createDataSubjectRequestEngine({ client = supabase, tables = DATA_SUBJECT_TABLES } = {}) {
+  return {
+    /**
+     * Record a request, or return the user's open request of the same type
+     * @returns {Promise<Object>} { request, created }
+     */
+    async submitRequest(userId, requestType, { categories = [], requestedBy = userId, now = new Date() } = {}) {
+      if (!DSR_CONFIG.requestTypes.includes(requestType)) {
+        throw new Error(`Unknown data subject request type: ${requestType}`);
+      }
+      const unknown = categories.filter(category => !DSR_CONFIG.categories.includes(category));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown data categories: ${unknown.join(', ')}`);
+      }
+
+      const { data: open, error: openError } = await client
+        .from('data_subject_requests')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('request_type', requestType)
+        .in('status', DSR_CONFIG.openStatuses)
+        .maybeSingle();
+
+      if (openError) {
+        throw new Error(`Failed to check open requests: ${openError.message}`);
+      }
+      if (open) {
+        return { request: open, created: false };
+      }
+
+      const requestedAt = new Date(now).toISOString();
+      const { data: request, error } = await client
+        .from('data_subject_requests')
+        .insert({
+          user_id: userId,
+          request_type: requestType,
+          categories,
+          requested_by: requestedBy,
+          requested_at: requestedAt,
+          due_at: calculateDueDate(requestedAt),
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create data subject request: ${error.message}`);
+      }
+      return { request, created: true };
+    },
+
+    /**
+     * @returns {Promise<Object|null>} The request, or null when there is none with this ID
+     */
+    async getRequest(requestId) {
+      const { data, error } = await client
+        .from('data_subject_requests')
+        .select('*')
+        .eq('id', requestId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load data subject request: ${error.message}`);
+      }
+      return data;
+    },
+
+    /**
+     * Requests with their deadline state, nearest deadline first
+     */
+    async listRequests({ status = null, requestType = null, userId = null, limit = 100, now = new Date() } = {}) {
+      let query = client
+        .from('data_subject_requests')
+        .select('*')
+        .order('due_at', { ascending: true })
+        .limit(limit);
+
+      if (status) query = query.eq('status', status);
+      if (requestType) query = query.eq('request_type', requestType);
+      if (userId) query = query.eq('user_id', userId);
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to load data subject requests: ${error.message}`);
+      }
+      return (data || []).map(request => ({ ...request, deadline: getDeadlineStatus(request, now) }));
+    },
+
+    /**
+     * Extend an open request's deadline by two months, once, with a reason for the user
+     */
+    async extendDeadline(requestId, reason, { now = new Date() } = {}) {
+      if (!reason?.trim()) {
+        throw new Error('A reason is required to extend the deadline');
+      }
+
+      const request = await this.getRequest(requestId);
+      if (!request) {
+        throw new Error('Data subject request not found');
+      }
+      if (!DSR_CONFIG.openStatuses.includes(request.status)) {
+        throw new Error('Only open requests can be extended');
+      }
+      if (request.extended_at) {
+        throw new Error('The deadline has already been extended');
+      }
+
+      const { data, error } = await client
+        .from('data_subject_requests')
+        .update({
+          due_at: calculateDueDate(request.requested_at, DSR_CONFIG.responseDays + DSR_CONFIG.extensionDays),
+          extended_at: new Date(now).toISOString(),
+          extension_reason: reason.trim(),
+        })
+        .eq('id', requestId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to extend deadline: ${error.message}`);
+      }
+      return data;
+    },
+
+    /**
+     * Gather the user's rows from every registered table (service role)
+     * @returns {Promise<Object>} { archive, steps }
+     */
+    async buildExport(userId, { categories = [], requestId = null, now = new Date() } = {}) {
+      const data = {};
+      const steps = [];
+
+      for (const entry of selectTables(tables, categories)) {
+        const { data: rows, error } = await client
+          .from(entry.table)
+          .select('*')
+          .or(buildUserFilter(entry.columns, userId));
+
+        if (error) {
+          steps.push(isMissingTable(error)
+            ? stepResult(entry, 'export', { status: 'skipped' })
+            : stepResult(entry, 'export', { status: 'failed', error: error.message }));
+          continue;
+        }
+
+        data[entry.category] = { ...data[entry.category], [entry.table]: rows || [] };
+        steps.push(stepResult(entry, 'export', { rows: rows?.length || 0 }));
+      }
+
+      return {
+        archive: {
+          format: DSR_CONFIG.archiveFormat,
+          generatedAt: new Date(now).toISOString(),
+          requestId,
+          subject: { userId },
+          data,
+        },
+        steps,
+      };
+    },
+
+    /**
+     * Erase, anonymize or pseudonymize the user's rows table by table (service role).
+     * A full erasure also removes stored export archives and soft-deletes the login.
+     * @returns {Promise<Array>} per-table steps
+     */
+    async eraseUserData(userId, { categories = [] } = {}) {
+      const steps = [];
+
+      for (const entry of selectTables(tables, categories)) {
+        const scrub = typeof entry.scrub === 'function' ? entry.scrub(userId) : entry.scrub;
+        const filter = buildUserFilter(entry.columns, userId);
+        let query;
+        if (entry.erasure === 'delete') {
+          query = client.from(entry.table).delete({ count: 'exact' }).or(filter);
+        } else if (scrub) {
+          query = client.from(entry.table).update(scrub, { count: 'exact' }).or(filter);
+        } else {
+          query = client.from(entry.table).select('*', { count: 'exact', head: true }).or(filter);
+        }
+
+        const { count, error } = await query;
+        if (error) {
+          steps.push(isMissingTable(error)
+            ? stepResult(entry, entry.erasure, { status: 'skipped' })
+            : stepResult(entry, entry.erasure, { status: 'failed', error: error.message }));
+          continue;
+        }
+        steps.push(stepResult(entry, entry.erasure, { rows: count || 0, reason: entry.reason || null }));
+      }
+
+      if (categories.length === 0) {
+        steps.push(await this.removeArchives(userId));
+        steps.push(await this.removeLogin(userId));
+      }
+      return steps;
+    },
+
+    async removeArchives(userId) {
+      const step = stepResult({ table: `storage.${DSR_CONFIG.exportBucket}`, category: 'profile' }, 'delete');
+      const bucket = client.storage.from(DSR_CONFIG.exportBucket);
+      const { data: files, error } = await bucket.list(userId);
+      if (error) {
+        return { ...step, status: 'failed', error: error.message };
+      }
+      if (!files?.length) {
+        return step;
+      }
+
+      const { error: removeError } = await bucket.remove(files.map(file => `${userId}/${file.name}`));
+      return removeError
+        ? { ...step, status: 'failed', error: removeError.message }
+        : { ...step, rows: files.length };
+    },
+
+    // Soft delete keeps auth.users (and so the profile) while removing the identity
+    async removeLogin(userId) {
+      const step = stepResult({ table: 'auth.users', category: 'profile' }, 'delete');
+      const { error } = await client.auth.admin.deleteUser(userId, true);
+      return error ? { ...step, status: 'failed', error: error.message } : { ...step, rows: 1 };
+    },
+
+    /**
+     * Run a pending or failed request end to end (service role)
+     * @returns {Promise<Object|null>} { request, archive } or null when already claimed
+     */
+    async processRequest(requestId, { now = new Date() } = {}) {
+      const request = await this.getRequest(requestId);
+      if (!request) {
+        throw new Error('Data subject request not found');
+      }
+      if (!['pending', 'failed'].includes(request.status)) {
+        return null;
+      }
+
+      // Claim the request so parallel calls do not run it twice
+      const { data: claimed, error: claimError } = await client
+        .from('data_subject_requests')
+        .update({
+          status: 'processing',
+          started_at: new Date(now).toISOString(),
+          attempts: (request.attempts || 0) + 1,
+          error: null,
+        })
+        .eq('id', requestId)
+        .eq('status', request.status)
+        .select()
+        .maybeSingle();
+
+      if (claimError) {
+        throw new Error(`Failed to start data subject request: ${claimError.message}`);
+      }
+      if (!claimed) {
+        return null;
+      }
+
+      const outcome = { steps: [], archive_path: null, error: null };
+      let archive = null;
+      try {
+        if (request.request_type === 'export') {
+          const result = await this.buildExport(request.user_id, { categories: request.categories, requestId, now });
+          archive = result.archive;
+          outcome.steps = result.steps;
+          outcome.archive_path = `${request.user_id}/${requestId}.json`;
+
+          const { error: uploadError } = await client.storage
+            .from(DSR_CONFIG.exportBucket)
+            .upload(outcome.archive_path, JSON.stringify(archive, null, 2), {
+              contentType: 'application/json',
+              upsert: true,
+            });
+          if (uploadError) {
+            throw new Error(`Failed to store export archive: ${uploadError.message}`);
+          }
+        } else {
+          outcome.steps = await this.eraseUserData(request.user_id, { categories: request.categories });
+        }
+
+        const { failed } = summarizeSteps(outcome.steps);
+        if (failed.length > 0) {
+          outcome.error = `Failed tables: ${failed.join(', ')}`;
+        }
+      } catch (error) {
+        outcome.error = error.message;
+      }
+
+      const { data: updated, error } = await client
+        .from('data_subject_requests')
+        .update({
+          ...outcome,
+          status: outcome.error ? 'failed' : 'completed',
+          completed_at: outcome.error ? null : new Date(now).toISOString(),
+        })
+        .eq('id', requestId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to record data subject request outcome: ${error.message}`);
+      }
+      return { request: updated, archive: outcome.error ? null : archive };
+    },
+
+    /**
+     * Short-lived download link for a completed export
+     */
+    async getArchiveUrl(request) {
+      if (!request?.archive_path) return null;
+
+      const { data, error } = await client.storage
+        .from(DSR_CONFIG.exportBucket)
+        .createSignedUrl(request.archive_path, DSR_CONFIG.archiveUrlExpiry);
+
+      if (error) {
+        throw new Error(`Failed to create archive link: ${error.message}`);
+      }
+      return data.signedUrl;
+    },
+
+    /**
+     * Submit a request as the signed-in user; the API processes it straight away
+     * @returns {Promise<Object>} { request, archive, archiveUrl }
+     */
+    async submit(requestType, { categories = [] } = {}) {
+      return callPrivacyApi({ type: requestType, categories });
+    },
+
+    /**
+     * Re-run a failed or pending request through the API (admin only)
+     */
+    async retry(requestId) {
+      return callPrivacyApi({ requestId });
+    },
+  };
+}
+
+// Calls the privacy API as the signed-in user
+async function callPrivacyApi(body) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const response = await fetch(DSR_CONFIG.requestsEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session?.access_token}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || response.statusText);
+  }
+  return result;
+}
+
+export const dataSubjectRequestEngine = createDataSubjectRequestEngine();
+
+export const getDataSubjectRequestConfig = () => DSR_CONFIG;
+
+export default dataSubjectRequestEngine;
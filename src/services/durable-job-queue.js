@@ -0,0 +1,699 @@
+/**
+ * Durable Job Queue
+ * Job storage and workers shared by background compatibility jobs, payout scheduling
+ * and payment collection. Workers lease jobs for a visibility timeout, failed jobs
+ * retry with exponential backoff and land in a dead-letter state once their retries
+ * are used up. Idempotency keys stop the same work being queued twice.
+ */
+import { supabase } from '../lib/supabase.js';
+
+// Queue configuration
+const JOB_QUEUE_CONFIG = {
+  store: process.env.JOB_QUEUE_STORE || 'memory', // 'postgres' keeps jobs across restarts and instances
+  workers: parseInt(process.env.JOB_QUEUE_WORKERS) || 3,
+  priorities: ['high', 'normal', 'low'],
+  defaultMaxRetries: 3,
+  defaultTimeout: 300000, // Lease per attempt - 5 minutes
+  retryDelay: 30000, // First retry after 30 seconds, doubling each attempt
+  maxRetryDelay: 3600000, // 1 hour
+  pollInterval: 1000,
+  maxFinishedJobs: 1000, // Memory store only
+  table: 'job_queue',
+  statuses: {
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    DEAD: 'dead',
+    CANCELLED: 'cancelled',
+  },
+};
+
+const { statuses: STATUS } = JOB_QUEUE_CONFIG;
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+/**
+ * Delay before the next attempt, doubling per attempt up to maxRetryDelay
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseDelay - Delay before the first retry in ms
+ */
+export function calculateBackoff(attempts, baseDelay = JOB_QUEUE_CONFIG.retryDelay) {
+  const delay = baseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, JOB_QUEUE_CONFIG.maxRetryDelay);
+}
+
+/**
+ * Decide what happens to a job whose attempt failed
+ * @returns {Object} Fields to update - back to queued with a backoff, or dead-lettered
+ */
+export function resolveFailure(job, error, now = new Date()) {
+  const lastError = error?.message || String(error);
+  const common = { lastError, leaseOwner: null, leaseExpiresAt: null };
+
+  if (job.attempts > job.maxRetries) {
+    return { ...common, status: STATUS.DEAD, failedAt: now };
+  }
+
+  return {
+    ...common,
+    status: STATUS.QUEUED,
+    runAt: new Date(toTime(now) + calculateBackoff(job.attempts, job.retryDelay)),
+  };
+}
+
+const compareJobs = (a, b) =>
+  JOB_QUEUE_CONFIG.priorities.indexOf(a.priority) - JOB_QUEUE_CONFIG.priorities.indexOf(b.priority) ||
+  toTime(a.runAt) - toTime(b.runAt) ||
+  toTime(a.createdAt) - toTime(b.createdAt);
+
+const emptyStats = () => ({
+  queued: { high: 0, normal: 0, low: 0 },
+  processing: 0,
+  dead: 0,
+});
+
+/**
+ * In-process job store. Jobs are lost on restart - for development, tests and
+ * single-instance deployments.
+ */
+export function createMemoryJobStore() {
+  const jobs = new Map();
+  const idempotencyKeys = new Map();
+
+  const copy = (job) => (job ? { ...job } : null);
+  const isLeasedBy = (job, workerId) => job && job.status === STATUS.PROCESSING && job.leaseOwner === workerId;
+
+  const pruneFinished = () => {
+    const finished = [...jobs.values()]
+      .filter(job => job.status === STATUS.COMPLETED || job.status === STATUS.CANCELLED)
+      .sort((a, b) => toTime(a.completedAt || a.createdAt) - toTime(b.completedAt || b.createdAt));
+    if (finished.length <= JOB_QUEUE_CONFIG.maxFinishedJobs) return;
+    finished.slice(0, Math.floor(JOB_QUEUE_CONFIG.maxFinishedJobs * 0.2)).forEach(job => {
+      jobs.delete(job.id);
+      if (job.idempotencyKey) idempotencyKeys.delete(job.idempotencyKey);
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    async enqueue(job) {
+      if (job.idempotencyKey && idempotencyKeys.has(job.idempotencyKey)) {
+        return { job: copy(jobs.get(idempotencyKeys.get(job.idempotencyKey))), duplicate: true };
+      }
+      jobs.set(job.id, { ...job });
+      if (job.idempotencyKey) idempotencyKeys.set(job.idempotencyKey, job.id);
+      return { job: copy(job), duplicate: false };
+    },
+
+    async claim({ workerId, types = null, now = new Date() }) {
+      const nowTime = toTime(now);
+      const leaseExpired = (job) => job.status === STATUS.PROCESSING && toTime(job.leaseExpiresAt) <= nowTime;
+
+      // Expired leases on a job's last attempt go straight to dead letter
+      jobs.forEach(job => {
+        if (leaseExpired(job) && job.attempts > job.maxRetries) {
+          Object.assign(job, resolveFailure(job, new Error('Lease expired'), now));
+        }
+      });
+
+      const next = [...jobs.values()]
+        .filter(job => !types || types.includes(job.type))
+        .filter(job => (job.status === STATUS.QUEUED && toTime(job.runAt) <= nowTime) || leaseExpired(job))
+        .sort(compareJobs)[0];
+      if (!next) return null;
+
+      Object.assign(next, {
+        status: STATUS.PROCESSING,
+        attempts: next.attempts + 1,
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(nowTime + next.timeout),
+        startedAt: now,
+      });
+      return copy(next);
+    },
+
+    async updateProgress(job, workerId, progress) {
+      const stored = jobs.get(job.id);
+      if (!isLeasedBy(stored, workerId)) return null;
+      stored.progress = progress;
+      return copy(stored);
+    },
+
+    async complete(job, workerId, result, now = new Date()) {
+      const stored = jobs.get(job.id);
+      if (!isLeasedBy(stored, workerId)) return null;
+      Object.assign(stored, {
+        status: STATUS.COMPLETED,
+        result,
+        completedAt: now,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+      });
+      pruneFinished();
+      return copy(stored);
+    },
+
+    async fail(job, workerId, error, now = new Date()) {
+      const stored = jobs.get(job.id);
+      if (!isLeasedBy(stored, workerId)) return null;
+      Object.assign(stored, resolveFailure(stored, error, now));
+      return copy(stored);
+    },
+
+    async cancel(jobId) {
+      const stored = jobs.get(jobId);
+      if (!stored || stored.status !== STATUS.QUEUED) return false;
+      Object.assign(stored, { status: STATUS.CANCELLED, completedAt: new Date() });
+      return true;
+    },
+
+    async redrive(jobId, now = new Date()) {
+      const stored = jobs.get(jobId);
+      if (!stored || stored.status !== STATUS.DEAD) return null;
+      Object.assign(stored, { status: STATUS.QUEUED, attempts: 0, runAt: now, failedAt: null });
+      return copy(stored);
+    },
+
+    async get(jobId) {
+      return copy(jobs.get(jobId));
+    },
+
+    async listDeadLetters({ type = null, limit = 50 } = {}) {
+      return [...jobs.values()]
+        .filter(job => job.status === STATUS.DEAD && (!type || job.type === type))
+        .sort((a, b) => toTime(b.failedAt) - toTime(a.failedAt))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async getPosition(job) {
+      const queued = [...jobs.values()]
+        .filter(other => other.status === STATUS.QUEUED && other.priority === job.priority)
+        .sort(compareJobs);
+      return queued.findIndex(other => other.id === job.id) + 1;
+    },
+
+    async getStats() {
+      const stats = emptyStats();
+      jobs.forEach(job => {
+        if (job.status === STATUS.QUEUED) stats.queued[job.priority]++;
+        else if (job.status === STATUS.PROCESSING) stats.processing++;
+        else if (job.status === STATUS.DEAD) stats.dead++;
+      });
+      return stats;
+    },
+  };
+}
+
+/**
+ * Map a job_queue row to a job
+ */
+export function mapJobRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    priority: row.priority,
+    data: row.payload || {},
+    metadata: row.metadata || {},
+    status: row.status,
+    attempts: row.attempts,
+    maxRetries: row.max_retries,
+    timeout: row.timeout_ms,
+    retryDelay: row.retry_delay_ms,
+    idempotencyKey: row.idempotency_key,
+    runAt: row.run_at ? new Date(row.run_at) : null,
+    leaseOwner: row.lease_owner,
+    leaseExpiresAt: row.lease_expires_at ? new Date(row.lease_expires_at) : null,
+    progress: row.progress,
+    result: row.result,
+    lastError: row.last_error,
+    createdAt: row.created_at ? new Date(row.created_at) : null,
+    startedAt: row.started_at ? new Date(row.started_at) : null,
+    completedAt: row.completed_at ? new Date(row.completed_at) : null,
+    failedAt: row.failed_at ? new Date(row.failed_at) : null,
+  };
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Postgres job store on the job_queue table. Claims go through the
+ * claim_queue_job function, which uses FOR UPDATE SKIP LOCKED so several
+ * instances can poll the same table.
+ * @param {Object} client - Supabase client using the service role
+ */
+export function createPostgresJobStore(client = supabase) {
+  const table = () => client.from(JOB_QUEUE_CONFIG.table);
+
+  // Updates only apply while the worker still holds the lease
+  const updateLeased = async (job, workerId, updates, action) => {
+    const { data, error } = await table()
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', STATUS.PROCESSING)
+      .eq('lease_owner', workerId)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to ${action} job: ${error.message}`);
+    }
+    return mapJobRow(data?.[0]);
+  };
+
+  return {
+    name: 'postgres',
+
+    async enqueue(job) {
+      const row = {
+        id: job.id,
+        type: job.type,
+        priority: job.priority,
+        payload: job.data,
+        metadata: job.metadata,
+        status: job.status,
+        attempts: job.attempts,
+        max_retries: job.maxRetries,
+        timeout_ms: job.timeout,
+        retry_delay_ms: job.retryDelay,
+        idempotency_key: job.idempotencyKey,
+        run_at: toIso(job.runAt),
+        created_at: toIso(job.createdAt),
+      };
+
+      const { data, error } = job.idempotencyKey
+        ? await table().upsert(row, { onConflict: 'idempotency_key', ignoreDuplicates: true }).select()
+        : await table().insert(row).select();
+
+      if (error) {
+        throw new Error(`Failed to enqueue job: ${error.message}`);
+      }
+      if (data?.length) {
+        return { job: mapJobRow(data[0]), duplicate: false };
+      }
+
+      // The idempotency key is already taken - hand back the job that holds it
+      const { data: existing, error: existingError } = await table()
+        .select('*')
+        .eq('idempotency_key', job.idempotencyKey)
+        .single();
+
+      if (existingError) {
+        throw new Error(`Failed to load existing job: ${existingError.message}`);
+      }
+      return { job: mapJobRow(existing), duplicate: true };
+    },
+
+    async claim({ workerId, types = null }) {
+      const { data, error } = await client.rpc('claim_queue_job', {
+        p_worker_id: workerId,
+        p_types: types,
+      });
+
+      if (error) {
+        throw new Error(`Failed to claim job: ${error.message}`);
+      }
+      return mapJobRow(Array.isArray(data) ? data[0] : data);
+    },
+
+    async updateProgress(job, workerId, progress) {
+      return updateLeased(job, workerId, { progress }, 'update progress of');
+    },
+
+    async complete(job, workerId, result) {
+      return updateLeased(job, workerId, {
+        status: STATUS.COMPLETED,
+        result: result ?? null,
+        completed_at: new Date().toISOString(),
+        lease_owner: null,
+        lease_expires_at: null,
+      }, 'complete');
+    },
+
+    async fail(job, workerId, error) {
+      const failure = resolveFailure(job, error);
+      return updateLeased(job, workerId, {
+        status: failure.status,
+        last_error: failure.lastError,
+        lease_owner: null,
+        lease_expires_at: null,
+        ...(failure.runAt ? { run_at: failure.runAt.toISOString() } : {}),
+        ...(failure.failedAt ? { failed_at: failure.failedAt.toISOString() } : {}),
+      }, 'fail');
+    },
+
+    async cancel(jobId) {
+      const { data, error } = await table()
+        .update({ status: STATUS.CANCELLED, completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .eq('status', STATUS.QUEUED)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to cancel job: ${error.message}`);
+      }
+      return (data || []).length > 0;
+    },
+
+    async redrive(jobId) {
+      const { data, error } = await table()
+        .update({
+          status: STATUS.QUEUED,
+          attempts: 0,
+          run_at: new Date().toISOString(),
+          failed_at: null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', jobId)
+        .eq('status', STATUS.DEAD)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to re-drive job: ${error.message}`);
+      }
+      return mapJobRow(data?.[0]);
+    },
+
+    async get(jobId) {
+      const { data, error } = await table()
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load job: ${error.message}`);
+      }
+      return mapJobRow(data);
+    },
+
+    async listDeadLetters({ type = null, limit = 50 } = {}) {
+      let query = table()
+        .select('*')
+        .eq('status', STATUS.DEAD)
+        .order('failed_at', { ascending: false })
+        .limit(limit);
+      if (type) query = query.eq('type', type);
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to load dead-letter jobs: ${error.message}`);
+      }
+      return (data || []).map(mapJobRow);
+    },
+
+    async getPosition(job) {
+      const { count, error } = await table()
+        .select('id', { count: 'exact', head: true })
+        .eq('status', STATUS.QUEUED)
+        .eq('priority', job.priority)
+        .lt('run_at', toIso(job.runAt));
+
+      if (error) {
+        throw new Error(`Failed to get queue position: ${error.message}`);
+      }
+      return (count || 0) + 1;
+    },
+
+    async getStats() {
+      const { data, error } = await client.rpc('job_queue_stats');
+      if (error) {
+        throw new Error(`Failed to load queue stats: ${error.message}`);
+      }
+      return { ...emptyStats(), ...(data || {}) };
+    },
+  };
+}
+
+/**
+ * Create the store named in configuration
+ */
+export function createJobStore(name = JOB_QUEUE_CONFIG.store) {
+  switch (name) {
+    case 'postgres':
+      return createPostgresJobStore();
+    case 'memory':
+      return createMemoryJobStore();
+    default:
+      throw new Error(`Unknown job queue store: ${name}`);
+  }
+}
+
+/**
+ * Job queue with leased workers. Handlers are registered per job type; workers
+ * only claim types this process has a handler for.
+ */
+export class JobQueue {
+  constructor({ store = null, maxWorkers = JOB_QUEUE_CONFIG.workers, pollInterval = JOB_QUEUE_CONFIG.pollInterval } = {}) {
+    this.store = store || createJobStore();
+    this.maxWorkers = maxWorkers;
+    this.pollInterval = pollInterval;
+    this.instanceId = Math.random().toString(36).substr(2, 6);
+    this.handlers = new Map();
+    this.workers = [];
+    this.activeJobs = new Map();
+    this.isRunning = false;
+    this.metrics = {
+      enqueued: 0,
+      duplicates: 0,
+      completed: 0,
+      retried: 0,
+      deadLettered: 0,
+      leaseLost: 0,
+      averageProcessingTime: 0,
+    };
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, { reportProgress }) => result
+   * @param {Object} defaults - priority, maxRetries, timeout, retryDelay, onDeadLetter
+   */
+  registerHandler(type, handler, defaults = {}) {
+    this.handlers.set(type, { handler, defaults });
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {Object} data - Job payload (stored as JSON)
+   * @param {Object} options - id, priority, idempotencyKey, maxRetries, timeout, retryDelay, runAt, metadata
+   * @returns {Promise<Object>} { job, duplicate }
+   */
+  async enqueue(type, data = {}, options = {}) {
+    const defaults = this.handlers.get(type)?.defaults || {};
+    const priority = options.priority || defaults.priority || 'normal';
+    if (!JOB_QUEUE_CONFIG.priorities.includes(priority)) {
+      throw new Error(`Invalid job priority: ${priority}`);
+    }
+
+    const now = new Date();
+    const job = {
+      id: options.id || this.generateJobId(),
+      type,
+      priority,
+      data,
+      metadata: options.metadata || {},
+      status: STATUS.QUEUED,
+      attempts: 0,
+      maxRetries: options.maxRetries ?? defaults.maxRetries ?? JOB_QUEUE_CONFIG.defaultMaxRetries,
+      timeout: options.timeout || defaults.timeout || JOB_QUEUE_CONFIG.defaultTimeout,
+      retryDelay: options.retryDelay || defaults.retryDelay || JOB_QUEUE_CONFIG.retryDelay,
+      idempotencyKey: options.idempotencyKey || null,
+      runAt: options.runAt ? new Date(options.runAt) : now,
+      createdAt: now,
+    };
+
+    const outcome = await this.store.enqueue(job);
+    this.metrics[outcome.duplicate ? 'duplicates' : 'enqueued']++;
+    return outcome;
+  }
+
+  /**
+   * Start polling workers
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    for (let i = 0; i < this.maxWorkers; i++) {
+      this.workers.push(this.createWorker(`${this.instanceId}_worker_${i}`));
+    }
+  }
+
+  /**
+   * Create a worker that claims and runs one job at a time
+   */
+  createWorker(workerId) {
+    const worker = {
+      id: workerId,
+      active: false,
+      currentJob: null,
+      processedJobs: 0,
+      timer: null,
+    };
+
+    const processNextJob = async () => {
+      worker.timer = null;
+      if (!this.isRunning || worker.active) return;
+
+      let job = null;
+      try {
+        job = await this.claimNext(workerId);
+      } catch {
+        job = null;
+      }
+      if (!job) {
+        // No jobs available, wait and retry
+        worker.timer = setTimeout(processNextJob, this.pollInterval);
+        return;
+      }
+
+      worker.active = true;
+      worker.currentJob = job;
+      try {
+        await this.runJob(job, workerId);
+      } finally {
+        worker.active = false;
+        worker.currentJob = null;
+        worker.processedJobs++;
+        worker.timer = setTimeout(processNextJob, 0);
+      }
+    };
+
+    worker.timer = setTimeout(processNextJob, 0);
+    return worker;
+  }
+
+  /**
+   * Claim the next job this process can handle
+   */
+  async claimNext(workerId) {
+    if (this.handlers.size === 0) return null;
+    return this.store.claim({ workerId, types: [...this.handlers.keys()] });
+  }
+
+  /**
+   * Run a claimed job and record the outcome in the store
+   */
+  async runJob(job, workerId) {
+    const registration = this.handlers.get(job.type);
+    const startTime = Date.now();
+    this.activeJobs.set(job.id, { job, workerId, startTime });
+
+    let timer = null;
+    try {
+      if (!registration) {
+        throw new Error(`Unknown job type: ${job.type}`);
+      }
+
+      // Give up before the lease runs out so another worker doesn't pick it up mid-run
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Job timed out after ${job.timeout}ms`)), job.timeout);
+      });
+      const result = await Promise.race([
+        registration.handler(job, {
+          reportProgress: (progress) => this.reportProgress(job.id, progress),
+        }),
+        timeout,
+      ]);
+
+      const completed = await this.store.complete(job, workerId, result);
+      if (!completed) {
+        this.metrics.leaseLost++;
+        return { status: 'lease_lost', result };
+      }
+      this.recordProcessingTime(Date.now() - startTime);
+      this.metrics.completed++;
+      return { status: STATUS.COMPLETED, result };
+    } catch (error) {
+      const failed = await this.store.fail(job, workerId, error).catch(() => null);
+      if (!failed) {
+        this.metrics.leaseLost++;
+        return { status: 'lease_lost', error: error.message };
+      }
+      if (failed.status === STATUS.DEAD) {
+        this.metrics.deadLettered++;
+        if (registration?.defaults.onDeadLetter) {
+          try {
+            await registration.defaults.onDeadLetter(failed, error);
+          } catch {
+            // The job stays dead-lettered and can still be re-driven
+          }
+        }
+      } else {
+        this.metrics.retried++;
+      }
+      return { status: failed.status, error: error.message };
+    } finally {
+      clearTimeout(timer);
+      this.activeJobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Record progress for a running job; stored so other instances can report it
+   */
+  reportProgress(jobId, progress) {
+    const active = this.activeJobs.get(jobId);
+    if (!active) return;
+    active.job.progress = progress;
+    this.store.updateProgress(active.job, active.workerId, progress).catch(() => {});
+  }
+
+  recordProcessingTime(processingTime) {
+    const { completed, averageProcessingTime } = this.metrics;
+    this.metrics.averageProcessingTime = (averageProcessingTime * completed + processingTime) / (completed + 1);
+  }
+
+  async getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  async cancel(jobId) {
+    return this.store.cancel(jobId);
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue with fresh retries
+   */
+  async redrive(jobId) {
+    return this.store.redrive(jobId);
+  }
+
+  async listDeadLetters(options = {}) {
+    return this.store.listDeadLetters(options);
+  }
+
+  async getPosition(job) {
+    return this.store.getPosition(job);
+  }
+
+  async getStats() {
+    return this.store.getStats();
+  }
+
+  generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Stop polling and wait for running jobs (with timeout)
+   */
+  async stop({ timeout = 30000 } = {}) {
+    this.isRunning = false;
+    this.workers.forEach(worker => clearTimeout(worker.timer));
+    const startTime = Date.now();
+    while (this.activeJobs.size > 0 && (Date.now() - startTime) < timeout) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    this.workers = [];
+  }
+}
+
+// Shared queue - background compatibility jobs, payouts and payment collection
+export const jobQueue = new JobQueue();
+
+export const getJobQueueConfig = () => JOB_QUEUE_CONFIG;
+
+export default jobQueue;
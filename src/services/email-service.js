@@ -27,6 +27,7 @@ class EmailService {
       refundProcessed: 'refund-processed',
       vendorInvite: 'vendor-invite',
       invoiceDelivery: 'invoice-delivery',
+      tripFeedbackRequest: 'trip-feedback-request',
       newsletterSignup: 'newsletter-signup',
       supportTicket: 'support-ticket',
       generalNotification: 'general-notification'
@@ -282,6 +283,20 @@ class EmailService {
         text: this.getInvoiceDeliveryText(data)
       },
 
+      tripFeedbackRequest: {
+        subject: data.reminder
+          ? `Reminder: how was ${data.adventureName || 'your trip'}?`
+          : `How was ${data.adventureName || 'your trip'}?`,
+        html: this.getTripFeedbackRequestHTML(data),
+        text: this.getTripFeedbackRequestText(data)
+      },
+
+      supportTicket: {
+        subject: `Re: ${data.subject || 'Your support request'} [${data.ticketReference}]`,
+        html: this.getSupportTicketHTML(data),
+        text: this.getSupportTicketText(data)
+      },
+
       generalNotification: {
         subject: data.subject || 'Notification from TRVL Social',
         html: this.getGeneralNotificationHTML(data),
@@ -415,6 +430,94 @@ ${data.actionUrl ? `View Details: ${data.actionUrl}` : ''}
 
 Need help? Contact us at ${this.companyConfig.email}
 
+© ${new Date().getFullYear()} ${this.companyConfig.name || 'TRVL Social'}. All rights reserved.
+    `.trim();
+  }
+
+  getTripFeedbackRequestHTML(data) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>How was your trip?</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #3b82f6;">How was ${data.adventureName || 'your trip'}?</h1>
+          </div>
+
+          <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+            <p>Hi ${data.userName || 'there'},</p>
+            <p>Your trip ended on ${data.tripEndDate}. Tell us how it went: rate the trip and ${data.vendorName || 'your host'}${data.companionCount > 0 ? `, and let us know whether you'd travel with your ${data.companionCount === 1 ? 'companion' : `${data.companionCount} companions`} again` : ''}.</p>
+            <p>It takes about two minutes. Companion ratings are private and only help us build better groups.</p>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${data.surveyUrl}"
+               style="background-color: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+              Share Feedback
+            </a>
+          </div>
+
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; text-align: center; color: #666; font-size: 14px;">
+            <p>This survey closes on ${data.expiresOn}.</p>
+            <p>&copy; ${new Date().getFullYear()} ${this.companyConfig.name || 'TRVL Social'}. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  getTripFeedbackRequestText(data) {
+    return `
+How was ${data.adventureName || 'your trip'}?
+
+Hi ${data.userName || 'there'},
+
+Your trip ended on ${data.tripEndDate}. Tell us how it went: rate the trip and ${data.vendorName || 'your host'}${data.companionCount > 0 ? `, and let us know whether you'd travel with your companions again` : ''}.
+
+Share feedback: ${data.surveyUrl}
+
+This survey closes on ${data.expiresOn}.
+
+© ${new Date().getFullYear()} ${this.companyConfig.name || 'TRVL Social'}. All rights reserved.
+    `.trim();
+  }
+
+  getSupportTicketHTML(data) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Support request ${data.ticketReference}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+            <p>Hi ${data.customerName || 'there'},</p>
+            <div style="white-space: pre-line;">${data.message}</div>
+          </div>
+
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; text-align: center; color: #666; font-size: 14px;">
+            <p>Reply to this email to continue the conversation about support request ${data.ticketReference}.</p>
+            <p>&copy; ${new Date().getFullYear()} ${this.companyConfig.name || 'TRVL Social'}. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  getSupportTicketText(data) {
+    return `
+Hi ${data.customerName || 'there'},
+
+${data.message}
+
+Reply to this email to continue the conversation about support request ${data.ticketReference}.
+
 © ${new Date().getFullYear()} ${this.companyConfig.name || 'TRVL Social'}. All rights reserved.
     `.trim();
   }
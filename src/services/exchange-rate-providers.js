@@ -0,0 +1,166 @@
+/**
+ * Exchange Rate Providers - Pluggable sources of exchange rates for CurrencyService
+ *
+ * A provider is any object with a `name` and an async
+ * `getRates(baseCurrency, { at })` returning `{ base, rates, asOf, source }`,
+ * where `rates` maps currency codes to units per one unit of `base`. Providers
+ * are tried in order, so a live API can be backed by a stored or offline table.
+ */
+
+/**
+ * Re-express a rate table against another base currency using cross rates
+ * @param {Object} table - { base, rates }
+ * @param {string} baseCurrency
+ * @returns {Object} Rates per one unit of baseCurrency
+ */
+export function rebaseRates(table, baseCurrency) {
+  const base = baseCurrency.toUpperCase();
+  if (table.base === base) {
+    return { ...table.rates, [base]: 1 };
+  }
+
+  const pivot = table.rates[base];
+  if (!pivot) {
+    throw new Error(`No ${table.base}/${base} rate available to rebase rates`);
+  }
+
+  const rates = { [table.base]: 1 / pivot };
+  Object.entries(table.rates).forEach(([currency, rate]) => {
+    rates[currency] = rate / pivot;
+  });
+  rates[base] = 1;
+  return rates;
+}
+
+async function fetchJson(url, timeout) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+  try {
+    const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+    if (!response.ok) {
+      throw new Error(`Exchange rate API error: ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * ExchangeRate-API (requires an API key). Only serves current rates.
+ */
+export function createExchangeRateApiProvider({ apiKey, apiUrl = 'https://v6.exchangerate-api.com/v6', timeout = 5000 }) {
+  return {
+    name: 'exchangerate-api',
+    async getRates(baseCurrency, { at } = {}) {
+      if (at) {
+        throw new Error('exchangerate-api provider only serves current rates');
+      }
+      const data = await fetchJson(`${apiUrl}/${apiKey}/latest/${baseCurrency}`, timeout);
+      return {
+        base: baseCurrency,
+        rates: data.conversion_rates,
+        asOf: data.time_last_update_unix
+          ? new Date(data.time_last_update_unix * 1000).toISOString()
+          : new Date().toISOString(),
+        source: 'exchangerate-api',
+      };
+    },
+  };
+}
+
+/**
+ * exchangerate.host (free service). Supports historical dates.
+ */
+export function createExchangeRateHostProvider({ apiUrl = 'https://api.exchangerate.host', timeout = 5000 } = {}) {
+  return {
+    name: 'exchangerate-host',
+    async getRates(baseCurrency, { at } = {}) {
+      const path = at ? new Date(at).toISOString().slice(0, 10) : 'latest';
+      const data = await fetchJson(`${apiUrl}/${path}?base=${baseCurrency}`, timeout);
+      return {
+        base: baseCurrency,
+        rates: data.rates,
+        asOf: data.date ? new Date(data.date).toISOString() : new Date().toISOString(),
+        source: 'exchangerate-host',
+      };
+    },
+  };
+}
+
+/**
+ * Provider backed by bundled rate tables, usable offline and in tests
+ * @param {Object|Array} tables - One { base, asOf, rates } table or a list of dated tables
+ * @param {Object} options - { name }
+ */
+export function createStaticRateProvider(tables, { name = 'offline' } = {}) {
+  const sorted = (Array.isArray(tables) ? tables : [tables])
+    .map(table => ({ ...table, base: table.base.toUpperCase() }))
+    .sort((a, b) => new Date(a.asOf) - new Date(b.asOf));
+
+  if (sorted.length === 0) {
+    throw new Error('A static rate provider needs at least one rate table');
+  }
+
+  return {
+    name,
+    async getRates(baseCurrency, { at } = {}) {
+      // Latest table published on or before the requested date, else the earliest one
+      const cutoff = at ? new Date(at) : null;
+      const table = (cutoff ? sorted.filter(entry => new Date(entry.asOf) <= cutoff).pop() : sorted[sorted.length - 1])
+        || sorted[0];
+      return {
+        base: baseCurrency.toUpperCase(),
+        rates: rebaseRates(table, baseCurrency),
+        asOf: new Date(table.asOf).toISOString(),
+        source: name,
+      };
+    },
+  };
+}
+
+/**
+ * Provider backed by previously recorded rate snapshots
+ * @param {Object} client - Supabase client
+ * @param {Object} options - { table }
+ */
+export function createDatabaseRateProvider(client, { table = 'exchange_rate_snapshots' } = {}) {
+  return {
+    name: 'database',
+    async getRates(baseCurrency, { at } = {}) {
+      const { data, error } = await client
+        .from(table)
+        .select('from_currency, to_currency, rate, rate_as_of')
+        .eq('from_currency', baseCurrency.toUpperCase())
+        .lte('rate_as_of', new Date(at || Date.now()).toISOString())
+        .order('rate_as_of', { ascending: false })
+        .limit(500);
+
+      if (error) {
+        throw new Error(`Failed to load stored exchange rates: ${error.message}`);
+      }
+
+      // Most recent stored rate per currency
+      const rates = {};
+      let asOf = null;
+      (data || []).forEach(row => {
+        if (rates[row.to_currency] != null) return;
+        rates[row.to_currency] = Number(row.rate);
+        asOf = asOf || row.rate_as_of;
+      });
+      if (Object.keys(rates).length === 0) {
+        throw new Error(`No stored exchange rates for ${baseCurrency}`);
+      }
+
+      return { base: baseCurrency.toUpperCase(), rates, asOf, source: 'database' };
+    },
+  };
+}
+
+export default {
+  rebaseRates,
+  createExchangeRateApiProvider,
+  createExchangeRateHostProvider,
+  createStaticRateProvider,
+  createDatabaseRateProvider,
+};
@@ -0,0 +1,85 @@
+/**
+ * Exchange Rate Snapshot Service
+ * Persists the rate snapshots used for charged conversions so invoices,
+ * reconciliation and refunds can reproduce amounts exactly as charged
+ */
+import { supabase } from '../lib/supabase.js';
+import { createDatabaseRateProvider } from './exchange-rate-providers.js';
+
+export const exchangeRateSnapshotManager = {
+  /**
+   * Store a snapshot returned by CurrencyService.convertWithSnapshot
+   * @param {Object} snapshot - Rate snapshot
+   * @param {Object} reference - { referenceType, referenceId, userId }
+   */
+  async recordSnapshot(snapshot, { referenceType = null, referenceId = null, userId = null } = {}) {
+    const { data, error } = await supabase
+      .from('exchange_rate_snapshots')
+      .insert({
+        from_currency: snapshot.from_currency,
+        to_currency: snapshot.to_currency,
+        rate: snapshot.rate,
+        source: snapshot.source,
+        rate_as_of: snapshot.rate_as_of,
+        captured_at: snapshot.captured_at,
+        from_amount: snapshot.from_amount ?? null,
+        to_amount: snapshot.to_amount ?? null,
+        reference_type: referenceType,
+        reference_id: referenceId,
+        created_by: userId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record exchange rate snapshot: ${error.message}`);
+    }
+
+    return { ...snapshot, id: data.id };
+  },
+
+  /**
+   * Get a stored snapshot by ID
+   */
+  async getSnapshot(snapshotId) {
+    const { data, error } = await supabase
+      .from('exchange_rate_snapshots')
+      .select('*')
+      .eq('id', snapshotId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to get exchange rate snapshot: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the snapshots recorded for a booking, invoice or payment
+   */
+  async getSnapshotsForReference(referenceType, referenceId) {
+    const { data, error } = await supabase
+      .from('exchange_rate_snapshots')
+      .select('*')
+      .eq('reference_type', referenceType)
+      .eq('reference_id', referenceId)
+      .order('captured_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to get exchange rate snapshots: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Rate provider that serves previously recorded rates, e.g. for
+   * CurrencyService.setRateProviders([liveProvider, exchangeRateSnapshotManager.createRateProvider()])
+   */
+  createRateProvider() {
+    return createDatabaseRateProvider(supabase);
+  },
+};
+
+export default exchangeRateSnapshotManager;
@@ -3,6 +3,7 @@
  * Handles user consent preferences, data collection controls, and compliance tracking
  */
 import { v4 as uuidv4 } from 'uuid';
+import dataSubjectRequestEngine from './data-subject-request-service.js';
 class GDPRConsentService {
   constructor() {
     this.version = '1.0.0';
@@ -367,48 +368,67 @@ class GDPRConsentService {
            !this.consent.explicitConsentGiven &&
            !this.consent.bannerShown;
   }
-  // Data export functionality
+  // Data export functionality: server-side archive plus what only this browser holds
   async exportUserData(userId) {
     try {
+      const { request, archive, archiveUrl } = await dataSubjectRequestEngine.submit('export');
+      const { getUserChatSessions, getChatHistory } = await import('./booking-chat-service.js');
       const exportData = {
         metadata: {
           exportDate: new Date().toISOString(),
           userId,
+          requestId: request.id,
+          status: request.status,
+          dueAt: request.due_at,
+          archiveUrl,
           consentId: this.consent.consentId,
           dataSubject: 'user_requested_export'
         },
+        ...archive,
         consent: this.getConsentStatus(),
         auditTrail: this.getAuditTrail(),
+        chatSessions: getUserChatSessions(userId).map(session => getChatHistory(userId, session.sessionId)).filter(Boolean),
         retentionPolicies: Array.from(this.retentionPolicies.entries())
       };
-      this.logConsentEvent('data_exported', { userId, exportId: uuidv4() });
+      this.logConsentEvent('data_exported', { userId, exportId: request.id, status: request.status });
       return exportData;
     } catch (error) {
       throw error;
     }
   }
-  // Data deletion functionality
+  // Data deletion functionality: erasure runs server-side, local data is cleared here
   async deleteUserData(userId, categories = []) {
     try {
-      const deletionId = uuidv4();
+      const fullErasure = categories.length === 0 || categories.includes('all');
+      const { request } = await dataSubjectRequestEngine.submit('erasure', {
+        categories: fullErasure ? [] : categories
+      });
       const deletionRecord = {
-        deletionId,
+        deletionId: request.id,
         userId,
         timestamp: new Date().toISOString(),
-        categories: categories.length > 0 ? categories : ['all'],
-        status: 'initiated'
+        categories: fullErasure ? ['all'] : categories,
+        status: request.status,
+        dueAt: request.due_at
       };
       // Log deletion request
       this.logConsentEvent('data_deletion_requested', deletionRecord);
+      if (fullErasure || categories.includes('chats')) {
+        const { getUserChatSessions, clearChatSession } = await import('./booking-chat-service.js');
+        getUserChatSessions(userId).forEach(session => clearChatSession(userId, session.sessionId));
+      }
       // If all data deletion, clear consent
-      if (categories.length === 0 || categories.includes('all')) {
+      if (fullErasure) {
         this.clearAllConsent();
       }
       // Return deletion reference
       return {
-        deletionId,
-        status: 'initiated',
-        message: 'Data deletion request has been logged and will be processed within 30 days'
+        deletionId: request.id,
+        status: request.status,
+        dueAt: request.due_at,
+        message: request.status === 'completed'
+          ? 'Your data has been erased. Records we must keep by law are no longer linked to you.'
+          : `Your erasure request is being processed and will be completed by ${new Date(request.due_at).toLocaleDateString()}.`
       };
     } catch (error) {
       throw error;
@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabase';
+import { solveGroupConstraints, groupConstraintSolver } from './group-constraint-solver';
+import { planMinimalDisruption } from './group-rebalancer';
 
 /**
  * Group Builder Service - Handles group formation, participant management, and group configurations
@@ -402,6 +404,19 @@ export const groupBuilderService = {
       return { groups: [], error: null };
     }
 
+    // Constrained requests start from the greedy groups and let the solver place everyone
+    if (options.constraints) {
+      const { constraints, ...greedyOptions } = options;
+      const greedy = await this.generateOptimalGroups(participants, greedyOptions);
+      const constrained = await this.applyGroupConstraints(participants, greedy.groups, constraints, options);
+      return {
+        groups: constrained.groups,
+        remainingParticipants: [],
+        constraintReport: constrained.constraintReport,
+        error: null
+      };
+    }
+
     const groups = [];
     const remainingParticipants = [...participants];
 
@@ -850,6 +865,147 @@ export const groupBuilderService = {
     }
   },
 
+  // CONSTRAINT-AWARE OPTIMIZATION
+
+  // Precompute pairwise compatibility so solvers can score candidate groups synchronously
+  async buildCompatibilityLookup(participants, options = {}) {
+    const pairwise = new Map();
+    const pairKey = (idA, idB) => (idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`);
+
+    for (let i = 0; i < participants.length; i++) {
+      for (let j = i + 1; j < participants.length; j++) {
+        const personalityA = participants[i].personality;
+        const personalityB = participants[j].personality;
+        const score = personalityA && personalityB
+          ? await this.calculateAdvancedCompatibilityScore(personalityA, personalityB, options)
+          : 50;
+        pairwise.set(pairKey(participants[i].id, participants[j].id), score);
+      }
+    }
+
+    return (idA, idB) => pairwise.get(pairKey(idA, idB)) ?? 50;
+  },
+
+  // Apply a constraint model to groups produced by any algorithm
+  async applyGroupConstraints(participants, baseGroups, constraints, options = {}) {
+    const getCompatibility = await this.buildCompatibilityLookup(participants, options);
+
+    // Clustering algorithms return either arrays of participants or group objects
+    const initialGroups = (baseGroups || []).map(group =>
+      (Array.isArray(group) ? group : group.participants || []).map(participant => participant.id)
+    );
+
+    const solution = solveGroupConstraints(participants, initialGroups, constraints, {
+      adventureId: options.adventureId,
+      targetGroupSize: options.targetGroupSize,
+      maxIterations: options.maxIterations,
+      getCompatibility
+    });
+
+    const participantsById = new Map(participants.map(participant => [participant.id, participant]));
+    const groups = await Promise.all(solution.groups.map(async (ids, index) => {
+      const groupParticipants = ids.map(id => participantsById.get(id));
+      return {
+        id: `constrained-group-${index + 1}`,
+        name: `Group ${index + 1}`,
+        participants: groupParticipants,
+        compatibility: await this.calculateGroupCompatibility(groupParticipants),
+        constraintViolations: solution.unsatisfied.filter(violation => violation.groupIndex === index)
+      };
+    }));
+
+    return {
+      groups,
+      constraintReport: {
+        algorithm: options.algorithm || 'hybrid',
+        satisfied: solution.unsatisfied.length === 0,
+        relaxations: solution.relaxations,
+        unsatisfied: solution.unsatisfied,
+        groupSize: { min: solution.constraints.groupSize.min, max: solution.constraints.groupSize.max },
+        score: solution.score
+      }
+    };
+  },
+
+  // Minimal-disruption regrouping: place newcomers and fill gaps without reshuffling everyone
+  async rebalanceGroups(groups, changes = {}, options = {}) {
+    const {
+      maxMoves = 2,
+      minGroupSize = 2,
+      maxGroupSize = 6,
+      minImprovement = 5,
+      constraints = null
+    } = options;
+    const added = changes.added || [];
+    const removedIds = changes.removed || [];
+
+    const participantsById = new Map();
+    groups.forEach(group => group.participants.forEach(participant => participantsById.set(participant.id, participant)));
+    added.forEach(participant => participantsById.set(participant.id, participant));
+    const participants = [...participantsById.values()];
+
+    const getCompatibility = await this.buildCompatibilityLookup(
+      participants.filter(participant => !removedIds.includes(participant.id)),
+      options
+    );
+
+    // Hard constraints (other than size, which the rebalancer enforces itself) veto placements
+    const canPlace = constraints
+      ? (memberIds) => !groupConstraintSolver
+        .evaluateGroup(memberIds, participants, constraints, { adventureId: options.adventureId })
+        .some(violation => violation.kind === 'hard' && !violation.constraint.startsWith('groupSize'))
+      : undefined;
+
+    const createdAt = Date.now();
+    const plan = planMinimalDisruption(
+      groups.map(group => ({
+        id: group.id,
+        maxSize: group.maxSize,
+        participantIds: group.participants.map(participant => participant.id)
+      })),
+      { added: added.map(participant => participant.id), removed: removedIds },
+      {
+        getCompatibility,
+        maxMoves,
+        minGroupSize,
+        maxGroupSize,
+        minImprovement,
+        canPlace,
+        createGroupId: (index) => `group-${createdAt}-${index + 1}`
+      }
+    );
+
+    // Only groups touched by the diff need their compatibility recalculated
+    const touched = new Set(plan.diff.flatMap(entry => [entry.fromGroupId, entry.toGroupId, entry.groupId]).filter(Boolean));
+    const existingById = new Map(groups.map(group => [group.id, group]));
+
+    const updatedGroups = await Promise.all(plan.groups.map(async (planned, index) => {
+      const existing = existingById.get(planned.id);
+      const groupParticipants = planned.participantIds.map(id => participantsById.get(id));
+      if (existing && !touched.has(planned.id)) {
+        return existing;
+      }
+      return {
+        ...(existing || {
+          name: `Group ${groups.length + index + 1}`,
+          maxSize: maxGroupSize,
+          created: new Date(createdAt).toISOString()
+        }),
+        id: planned.id,
+        participants: groupParticipants,
+        compatibility: await this.calculateGroupCompatibility(groupParticipants)
+      };
+    }));
+
+    return {
+      groups: updatedGroups,
+      diff: plan.diff,
+      movedParticipantIds: plan.movedParticipantIds,
+      unplaced: plan.unplaced.map(id => participantsById.get(id)),
+      warnings: plan.warnings
+    };
+  },
+
   // Analyze participant characteristics to choose best algorithm
   analyzeParticipantCharacteristics(participants) {
     const personalities = participants
@@ -1237,16 +1393,9 @@ export const groupBuilderService = {
 
     const successScore = Math.max(0, Math.min(100, adjustedScore));
 
-    let prediction;
-    if (successScore >= 80) prediction = 'excellent';
-    else if (successScore >= 70) prediction = 'good';
-    else if (successScore >= 60) prediction = 'fair';
-    else if (successScore >= 50) prediction = 'challenging';
-    else prediction = 'high_risk';
-
     return {
       successScore,
-      prediction,
+      prediction: this.getSuccessBand(successScore),
       confidence: conflicts.severityBreakdown.critical === 0 ? 'high' : 'medium',
       factors: {
         conflicts: conflicts.severityBreakdown,
@@ -1254,6 +1403,58 @@ export const groupBuilderService = {
         personalityDiversity: personalities.length > 0 ? this.calculateDiversityScore(personalities) : 0
       }
     };
+  },
+
+  // Label a 0-100 success score
+  getSuccessBand(successScore) {
+    if (successScore >= 80) return 'excellent';
+    if (successScore >= 70) return 'good';
+    if (successScore >= 60) return 'fair';
+    if (successScore >= 50) return 'challenging';
+    return 'high_risk';
+  },
+
+  // Score group success with the chosen method. 'model' uses the deployed group
+  // success model and logs the prediction for retraining; it falls back to the
+  // heuristic when no model is deployed or TensorFlow.js can't load.
+  async scoreGroupSuccess(participants, conflicts, options = {}) {
+    const { scoring = 'heuristic', subjectKey = null, userId = null } = options;
+    const heuristic = { ...this.predictGroupSuccess(participants, conflicts), scoringMethod: 'heuristic' };
+
+    if (scoring !== 'model') {
+      return heuristic;
+    }
+
+    try {
+      // Loaded on demand to keep TensorFlow.js out of the main bundle
+      const { getGroupSuccessPredictor } = await import('./ml/group-success-predictor.js');
+      const result = await getGroupSuccessPredictor().predict(participants, conflicts, {
+        heuristicScore: heuristic.successScore,
+        subjectKey,
+        userId
+      });
+
+      if (result.scoringMethod !== 'model') {
+        return { ...heuristic, predictionId: result.predictionId };
+      }
+
+      const successScore = Math.round(result.probability * 100);
+      return {
+        successScore,
+        prediction: this.getSuccessBand(successScore),
+        confidence: result.confidence,
+        factors: {
+          ...heuristic.factors,
+          heuristicScore: heuristic.successScore
+        },
+        scoringMethod: 'model',
+        model: { id: result.modelId, version: result.modelVersion },
+        predictionId: result.predictionId
+      };
+    } catch {
+      // Scoring stays available without the ML stack
+      return heuristic;
+    }
   }
 };
 
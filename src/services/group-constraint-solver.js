@@ -0,0 +1,423 @@
+/**
+ * Group Constraint Solver - Repairs and improves a group assignment so it honours
+ * hard constraints (must travel together, keep apart, group size limits) and
+ * scores soft constraints (gender balance, age spread, shared language).
+ *
+ * The solver starts from the groups produced by one of the clustering algorithms
+ * in groupBuilderService, then runs a deterministic local search over
+ * "blocks" (participants that must travel together). Hard constraints that
+ * cannot be satisfied are relaxed and reported with a reason.
+ */
+
+export const DEFAULT_GROUP_SIZE = { min: 2, max: 8 };
+
+const HARD_PENALTY = 1000;
+const DEFAULT_SOFT_WEIGHT = 10;
+const DEFAULT_MAX_ITERATIONS = 50;
+
+// Participant attribute accessors - data can live on the participant, profile or personality
+const getGender = (participant) =>
+  participant.gender ?? participant.profile?.gender ?? participant.personality?.gender ?? null;
+
+const getAge = (participant) => {
+  const age = participant.age ?? participant.profile?.age ?? participant.personality?.age;
+  return typeof age === 'number' && !Number.isNaN(age) ? age : null;
+};
+
+const getLanguages = (participant) => {
+  const languages = participant.languages ?? participant.profile?.languages ?? null;
+  if (!Array.isArray(languages) || languages.length === 0) return null;
+  return languages.map(language => String(language).toLowerCase());
+};
+
+const toGroupList = (entry) => (Array.isArray(entry) ? { participantIds: entry } : entry);
+
+/**
+ * Normalize the constraint payload accepted by the auto-group API
+ * @param {Object} raw - Constraint payload
+ * @param {Object} options - { adventureId, targetGroupSize }
+ * @returns {Object} Normalized constraints
+ */
+export function normalizeConstraints(raw = {}, options = {}) {
+  const sizeConfig = raw.groupSize || {};
+  const adventureSize = options.adventureId ? sizeConfig.byAdventure?.[options.adventureId] : null;
+  const min = adventureSize?.min ?? sizeConfig.min ?? DEFAULT_GROUP_SIZE.min;
+  const max = adventureSize?.max ?? sizeConfig.max ?? Math.max(min, options.targetGroupSize || DEFAULT_GROUP_SIZE.max);
+
+  if (min > max) {
+    throw new Error(`Invalid group size constraint: min (${min}) is greater than max (${max})`);
+  }
+
+  const normalizeRelation = (type) => (raw[type] || []).map((entry, index) => {
+    const relation = toGroupList(entry);
+    return {
+      id: relation.id || `${type}-${index + 1}`,
+      participantIds: [...new Set(relation.participantIds || [])],
+      hard: relation.hard !== false,
+      weight: relation.weight ?? DEFAULT_SOFT_WEIGHT
+    };
+  }).filter(relation => relation.participantIds.length >= 2);
+
+  const soft = (config, defaults) => (config ? {
+    ...defaults,
+    ...config,
+    hard: config.hard === true,
+    weight: config.weight ?? DEFAULT_SOFT_WEIGHT
+  } : null);
+
+  return {
+    together: normalizeRelation('together'),
+    apart: normalizeRelation('apart'),
+    groupSize: { min, max, hard: sizeConfig.hard !== false },
+    genderBalance: soft(raw.genderBalance, { maxShare: 0.6 }),
+    ageRange: soft(raw.ageRange, { maxSpread: 15 }),
+    language: raw.language ? {
+      required: (raw.language.required || []).map(language => String(language).toLowerCase()),
+      requireShared: raw.language.requireShared !== false,
+      hard: raw.language.hard !== false,
+      weight: raw.language.weight ?? DEFAULT_SOFT_WEIGHT
+    } : null
+  };
+}
+
+// Union-find over must-travel-together relations
+function buildBlocks(participantIds, together) {
+  const parent = new Map(participantIds.map(id => [id, id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  together.forEach(relation => {
+    const present = relation.participantIds.filter(id => parent.has(id));
+    for (let i = 1; i < present.length; i++) {
+      parent.set(find(present[i]), find(present[0]));
+    }
+  });
+
+  const blocks = new Map();
+  participantIds.forEach(id => {
+    const root = find(id);
+    if (!blocks.has(root)) blocks.set(root, []);
+    blocks.get(root).push(id);
+  });
+  return [...blocks.values()];
+}
+
+/**
+ * Evaluate constraint violations for a single group
+ * @returns {Array} Violations ({ constraint, hard, penalty, reason })
+ */
+function evaluateGroup(memberIds, context) {
+  const { constraints, participantsById } = context;
+  const members = memberIds.map(id => participantsById.get(id));
+  const memberSet = new Set(memberIds);
+  const violations = [];
+  const add = (constraint, hard, weight, amount, reason) => {
+    violations.push({ constraint, hard, penalty: (hard ? HARD_PENALTY : weight) * amount, reason });
+  };
+
+  if (memberIds.length === 0) return violations;
+
+  const { min, max, hard: sizeHard } = constraints.groupSize;
+  if (memberIds.length > max) {
+    add('groupSize.max', sizeHard, DEFAULT_SOFT_WEIGHT, memberIds.length - max,
+      `Group has ${memberIds.length} participants, above the maximum of ${max}`);
+  }
+  if (memberIds.length < min) {
+    add('groupSize.min', sizeHard, DEFAULT_SOFT_WEIGHT, min - memberIds.length,
+      `Group has ${memberIds.length} participants, below the minimum of ${min}`);
+  }
+
+  constraints.together.forEach(relation => {
+    if (relation.hard) return;
+    const present = relation.participantIds.filter(id => participantsById.has(id));
+    const inGroup = present.filter(id => memberSet.has(id));
+    if (inGroup.length > 0 && inGroup.length < present.length) {
+      add(relation.id, false, relation.weight, (present.length - inGroup.length) / present.length,
+        `Only ${inGroup.length} of ${present.length} participants who should travel together are in this group`);
+    }
+  });
+
+  constraints.apart.forEach(relation => {
+    const inGroup = relation.participantIds.filter(id => memberSet.has(id));
+    if (inGroup.length > 1) {
+      add(relation.id, relation.hard, relation.weight, inGroup.length - 1,
+        `Participants ${inGroup.join(', ')} should be kept apart`);
+    }
+  });
+
+  if (constraints.genderBalance) {
+    const { maxShare, hard, weight } = constraints.genderBalance;
+    const counts = {};
+    members.forEach(member => {
+      const gender = getGender(member);
+      if (gender) counts[gender] = (counts[gender] || 0) + 1;
+    });
+    const known = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (known > 1) {
+      const allowed = Math.ceil(known * maxShare);
+      const excess = Math.max(...Object.values(counts)) - allowed;
+      if (excess > 0) {
+        add('genderBalance', hard, weight, excess,
+          `Gender mix exceeds ${Math.round(maxShare * 100)}% for one gender`);
+      }
+    }
+  }
+
+  if (constraints.ageRange) {
+    const { maxSpread, hard, weight } = constraints.ageRange;
+    const ages = members.map(getAge).filter(age => age !== null);
+    if (ages.length > 1) {
+      const spread = Math.max(...ages) - Math.min(...ages);
+      if (spread > maxSpread) {
+        // Soft penalty grows with every 5 years over the limit
+        add('ageRange', hard, weight, hard ? 1 : Math.ceil((spread - maxSpread) / 5),
+          `Age spread of ${spread} years exceeds ${maxSpread}`);
+      }
+    }
+  }
+
+  if (constraints.language?.requireShared) {
+    const { hard, weight, required } = constraints.language;
+    const spoken = members.map(getLanguages).filter(Boolean);
+    if (spoken.length > 1) {
+      let shared = spoken.reduce((common, languages) => common.filter(language => languages.includes(language)));
+      if (required.length) shared = shared.filter(language => required.includes(language));
+      if (shared.length === 0) {
+        add('language', hard, weight, 1, 'Group members do not share a common language');
+      }
+    }
+  }
+
+  return violations;
+}
+
+// Public shape of a violation - penalties are an internal scoring detail
+const toReport = (violation) => ({
+  constraint: violation.constraint,
+  kind: violation.hard ? 'hard' : 'soft',
+  reason: violation.reason,
+  ...(violation.groupIndex !== undefined ? { groupIndex: violation.groupIndex } : {})
+});
+
+const groupPenalty = (memberIds, context) =>
+  evaluateGroup(memberIds, context).reduce((sum, violation) => sum + violation.penalty, 0);
+
+// Mean pairwise compatibility, scaled by group size so larger cohesive groups are rewarded
+function groupCompatibility(memberIds, context) {
+  if (memberIds.length < 2) return 0;
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < memberIds.length; i++) {
+    for (let j = i + 1; j < memberIds.length; j++) {
+      total += context.getCompatibility(memberIds[i], memberIds[j]);
+      pairs++;
+    }
+  }
+  return (total / pairs) * memberIds.length;
+}
+
+const groupObjective = (memberIds, context) =>
+  groupCompatibility(memberIds, context) - groupPenalty(memberIds, context);
+
+// Place unassigned blocks and fix block splits left by the base algorithm
+function seedAssignment(blocks, initialGroups, groupCount) {
+  const initialIndex = new Map();
+  initialGroups.forEach((ids, index) => ids.forEach(id => initialIndex.set(id, index)));
+
+  const groups = Array.from({ length: groupCount }, () => []);
+  const blockOf = [];
+
+  blocks.forEach((block, blockIndex) => {
+    // Keep the block where most of its members were placed by the clustering step
+    const votes = {};
+    block.forEach(id => {
+      const index = initialIndex.get(id);
+      if (index !== undefined && index < groupCount) votes[index] = (votes[index] || 0) + 1;
+    });
+    const voted = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+    const target = voted
+      ? Number(voted[0])
+      : groups.reduce((smallest, group, index) => (group.length < groups[smallest].length ? index : smallest), 0);
+    groups[target].push(...block);
+    blockOf[blockIndex] = target;
+  });
+
+  return { groups, blockOf };
+}
+
+/**
+ * Solve group constraints starting from an initial assignment
+ * @param {Array} participants - Participants ({ id, personality, profile, ... })
+ * @param {Array<Array<string>>} initialGroups - Participant ids per group from a clustering algorithm
+ * @param {Object} rawConstraints - Constraint payload (see normalizeConstraints)
+ * @param {Object} options - { getCompatibility(idA, idB), adventureId, targetGroupSize, maxIterations }
+ * @returns {Object} { groups: Array<Array<string>>, relaxations, unsatisfied, score }
+ */
+export function solveGroupConstraints(participants, initialGroups = [], rawConstraints = {}, options = {}) {
+  const constraints = normalizeConstraints(rawConstraints, options);
+  const participantsById = new Map(participants.map(participant => [participant.id, participant]));
+  const participantIds = [...participantsById.keys()];
+  const relaxations = [];
+  const relax = (constraint, reason, details = {}) => relaxations.push({ constraint, kind: 'hard', reason, ...details });
+
+  const context = {
+    constraints,
+    participantsById,
+    getCompatibility: options.getCompatibility || (() => 50)
+  };
+
+  if (participantIds.length === 0) {
+    return { groups: [], relaxations, unsatisfied: [], score: 0, constraints };
+  }
+
+  constraints.together = constraints.together.filter(relation =>
+    relation.participantIds.filter(id => participantsById.has(id)).length >= 2);
+
+  // Together sets larger than a group, or that contain an apart pair, are relaxed up front
+  let blocks = buildBlocks(participantIds, constraints.together.filter(relation => relation.hard));
+
+  blocks = blocks.flatMap(block => {
+    if (block.length <= constraints.groupSize.max) return [block];
+    const blockSet = new Set(block);
+    constraints.together
+      .filter(relation => relation.hard && relation.participantIds.some(id => blockSet.has(id)))
+      .forEach(relation => {
+        relation.hard = false;
+        relax(relation.id, `Must-travel-together set of ${block.length} exceeds the maximum group size of ${constraints.groupSize.max}`, {
+          participantIds: relation.participantIds
+        });
+      });
+    return block.map(id => [id]);
+  });
+
+  constraints.apart.forEach(relation => {
+    if (!relation.hard) return;
+    const sharedBlock = blocks.find(block => relation.participantIds.filter(id => block.includes(id)).length > 1);
+    if (sharedBlock) {
+      relation.hard = false;
+      relax(relation.id, 'Participants are also required to travel together; the travel-together requirement wins', {
+        participantIds: relation.participantIds
+      });
+    }
+  });
+
+  if (constraints.language?.required.length) {
+    const unable = participants.filter(participant => {
+      const languages = getLanguages(participant);
+      return languages && !languages.some(language => constraints.language.required.includes(language));
+    });
+    if (unable.length > 0) {
+      relaxations.push({
+        constraint: 'language.required',
+        kind: constraints.language.hard ? 'hard' : 'soft',
+        reason: `${unable.length} participant(s) speak none of the required languages (${constraints.language.required.join(', ')})`,
+        participantIds: unable.map(participant => participant.id)
+      });
+    }
+  }
+
+  // Enough groups to respect the maximum size, but not so many that the minimum is impossible
+  const { min, max } = constraints.groupSize;
+  const minGroups = Math.ceil(participantIds.length / max);
+  const maxGroups = Math.max(minGroups, Math.floor(participantIds.length / min));
+  const groupCount = Math.min(maxGroups, Math.max(minGroups, initialGroups.filter(group => group.length > 0).length || minGroups));
+
+  if (participantIds.length < min && constraints.groupSize.hard) {
+    relax('groupSize.min', `Only ${participantIds.length} participants available, fewer than the minimum group size of ${min}`);
+    constraints.groupSize.hard = false;
+  }
+
+  const { groups, blockOf } = seedAssignment(blocks, initialGroups, groupCount);
+  const scores = groups.map(group => groupObjective(group, context));
+
+  // Local search: move or swap whole blocks while the objective improves
+  const maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let improved = false;
+
+    for (let b = 0; b < blocks.length; b++) {
+      const from = blockOf[b];
+      const block = blocks[b];
+
+      for (let to = 0; to < groups.length; to++) {
+        if (to === from) continue;
+
+        const fromWithout = groups[from].filter(id => !block.includes(id));
+        const toWith = [...groups[to], ...block];
+        const moveDelta = groupObjective(fromWithout, context) + groupObjective(toWith, context) - scores[from] - scores[to];
+
+        if (moveDelta > 1e-6) {
+          groups[from] = fromWithout;
+          groups[to] = toWith;
+          scores[from] = groupObjective(fromWithout, context);
+          scores[to] = groupObjective(toWith, context);
+          blockOf[b] = to;
+          improved = true;
+          break;
+        }
+
+        // Swap with a block in the target group
+        let swapped = false;
+        for (let o = 0; o < blocks.length; o++) {
+          if (blockOf[o] !== to) continue;
+          const other = blocks[o];
+          const fromSwapped = [...fromWithout, ...other];
+          const toSwapped = [...groups[to].filter(id => !other.includes(id)), ...block];
+          const swapDelta = groupObjective(fromSwapped, context) + groupObjective(toSwapped, context) - scores[from] - scores[to];
+
+          if (swapDelta > 1e-6) {
+            groups[from] = fromSwapped;
+            groups[to] = toSwapped;
+            scores[from] = groupObjective(fromSwapped, context);
+            scores[to] = groupObjective(toSwapped, context);
+            blockOf[b] = to;
+            blockOf[o] = from;
+            swapped = true;
+            improved = true;
+            break;
+          }
+        }
+        if (swapped) break;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  const finalGroups = groups.filter(group => group.length > 0);
+
+  // Whatever still violates a constraint after the search is reported as relaxed
+  const unsatisfied = [];
+  finalGroups.forEach((group, index) => {
+    evaluateGroup(group, context).forEach(violation => {
+      unsatisfied.push({ ...violation, groupIndex: index });
+      if (violation.hard) {
+        relax(violation.constraint, `${violation.reason}; no feasible assignment found`, { groupIndex: index });
+      }
+    });
+  });
+
+  return {
+    groups: finalGroups,
+    relaxations,
+    unsatisfied: unsatisfied.map(toReport),
+    score: Math.round(finalGroups.reduce((sum, group) => sum + groupObjective(group, context), 0)),
+    constraints
+  };
+}
+
+export const groupConstraintSolver = {
+  normalizeConstraints,
+  solveGroupConstraints,
+  evaluateGroup: (memberIds, participants, rawConstraints = {}, options = {}) => evaluateGroup(memberIds, {
+    constraints: normalizeConstraints(rawConstraints, options),
+    participantsById: new Map(participants.map(participant => [participant.id, participant]))
+  }).map(toReport)
+};
+
+export default groupConstraintSolver;
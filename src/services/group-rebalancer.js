@@ -0,0 +1,214 @@
+/**
+ * Group Rebalancer - Minimal-disruption regrouping when participants join or drop out
+ *
+ * Instead of re-running the full optimizer, the rebalancer keeps existing groups
+ * intact and only places newcomers, tops up groups that fell below the minimum
+ * size and, if the move budget allows, applies the few swaps that improve
+ * compatibility the most. Every change is returned as a diff entry so the UI can
+ * animate moves rather than rebuilding every group.
+ */
+
+export const DIFF_TYPES = {
+  ADD: 'add',
+  REMOVE: 'remove',
+  MOVE: 'move',
+  CREATE_GROUP: 'create_group',
+  DISSOLVE_GROUP: 'dissolve_group'
+};
+
+const NEUTRAL_SCORE = 50;
+
+// Average compatibility of a candidate with the current members of a group
+function affinity(candidateId, memberIds, getCompatibility) {
+  const others = memberIds.filter(id => id !== candidateId);
+  if (others.length === 0) return NEUTRAL_SCORE;
+  return others.reduce((sum, id) => sum + getCompatibility(candidateId, id), 0) / others.length;
+}
+
+// Mean pairwise compatibility scaled by size (same objective as the constraint solver)
+function groupValue(memberIds, getCompatibility) {
+  if (memberIds.length < 2) return 0;
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < memberIds.length; i++) {
+    for (let j = i + 1; j < memberIds.length; j++) {
+      total += getCompatibility(memberIds[i], memberIds[j]);
+      pairs++;
+    }
+  }
+  return (total / pairs) * memberIds.length;
+}
+
+/**
+ * Plan a minimal-disruption regroup
+ * @param {Array} groups - Current groups ({ id, participantIds, maxSize? })
+ * @param {Object} changes - { added: Array<string>, removed: Array<string> }
+ * @param {Object} options - {
+ *   getCompatibility(idA, idB), maxMoves, minGroupSize, maxGroupSize,
+ *   minImprovement, canPlace(memberIds) => boolean, createGroupId(index)
+ * }
+ * @returns {Object} { groups, diff, movedParticipantIds, unplaced, warnings }
+ */
+export function planMinimalDisruption(groups, changes = {}, options = {}) {
+  const {
+    getCompatibility = () => NEUTRAL_SCORE,
+    maxMoves = 2,
+    minGroupSize = 2,
+    maxGroupSize = 6,
+    minImprovement = 5,
+    canPlace = () => true,
+    createGroupId = (index) => `group-new-${index + 1}`
+  } = options;
+  const added = changes.added || [];
+  const removed = new Set(changes.removed || []);
+
+  const working = groups.map(group => ({
+    id: group.id,
+    maxSize: group.maxSize || maxGroupSize,
+    participantIds: [...group.participantIds]
+  }));
+  const diff = [];
+  const moved = new Set();
+  const warnings = [];
+  const movesLeft = () => maxMoves - moved.size;
+  const capacityOf = (group) => Math.min(group.maxSize, maxGroupSize);
+
+  const moveMember = (participantId, from, to, reason) => {
+    from.participantIds = from.participantIds.filter(id => id !== participantId);
+    to.participantIds = [...to.participantIds, participantId];
+    moved.add(participantId);
+    diff.push({ type: DIFF_TYPES.MOVE, participantId, fromGroupId: from.id, toGroupId: to.id, reason });
+  };
+
+  // 1. Drop departing participants where they are
+  working.forEach(group => {
+    group.participantIds.forEach(participantId => {
+      if (removed.has(participantId)) {
+        diff.push({ type: DIFF_TYPES.REMOVE, participantId, fromGroupId: group.id });
+      }
+    });
+    group.participantIds = group.participantIds.filter(id => !removed.has(id));
+  });
+
+  // 2. Place newcomers in the open group they fit best; they never count against the move budget
+  const unplaced = [];
+  added.forEach(participantId => {
+    const candidates = working
+      .filter(group => group.participantIds.length < capacityOf(group))
+      .filter(group => canPlace([...group.participantIds, participantId]))
+      .map(group => ({ group, score: affinity(participantId, group.participantIds, getCompatibility) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+      unplaced.push(participantId);
+      return;
+    }
+    candidates[0].group.participantIds.push(participantId);
+    diff.push({ type: DIFF_TYPES.ADD, participantId, toGroupId: candidates[0].group.id });
+  });
+
+  // Enough leftover newcomers form groups of their own
+  let newGroupIndex = 0;
+  while (unplaced.length >= minGroupSize) {
+    const memberIds = unplaced.splice(0, maxGroupSize);
+    const group = { id: createGroupId(newGroupIndex++), maxSize: maxGroupSize, participantIds: memberIds };
+    working.push(group);
+    diff.push({ type: DIFF_TYPES.CREATE_GROUP, groupId: group.id });
+    memberIds.forEach(participantId => diff.push({ type: DIFF_TYPES.ADD, participantId, toGroupId: group.id }));
+  }
+  if (unplaced.length > 0) {
+    warnings.push(`${unplaced.length} participant(s) could not be placed without exceeding group capacity`);
+  }
+
+  // 3. Top up groups that fell below the minimum size by borrowing from groups with spare members
+  working
+    .filter(group => group.participantIds.length > 0 && group.participantIds.length < minGroupSize)
+    .forEach(target => {
+      while (target.participantIds.length < minGroupSize && movesLeft() > 0) {
+        let best = null;
+        working.forEach(source => {
+          if (source === target || source.participantIds.length <= minGroupSize) return;
+          source.participantIds.forEach(participantId => {
+            if (moved.has(participantId)) return;
+            if (!canPlace([...target.participantIds, participantId])) return;
+            const gain = affinity(participantId, target.participantIds, getCompatibility)
+              - affinity(participantId, source.participantIds, getCompatibility);
+            if (!best || gain > best.gain) best = { participantId, source, gain };
+          });
+        });
+        if (!best) break;
+        moveMember(best.participantId, best.source, target, 'fill_undersized_group');
+      }
+
+      // Still too small: dissolve it into other groups if the budget allows
+      if (target.participantIds.length < minGroupSize && target.participantIds.length <= movesLeft()) {
+        const plan = [];
+        const reserved = new Map();
+        const feasible = target.participantIds.every(participantId => {
+          const destination = working
+            .filter(group => group !== target && group.participantIds.length > 0)
+            .filter(group => group.participantIds.length + (reserved.get(group.id) || 0) < capacityOf(group))
+            .filter(group => canPlace([...group.participantIds, participantId]))
+            .sort((a, b) => affinity(participantId, b.participantIds, getCompatibility)
+              - affinity(participantId, a.participantIds, getCompatibility))[0];
+          if (!destination) return false;
+          reserved.set(destination.id, (reserved.get(destination.id) || 0) + 1);
+          plan.push({ participantId, destination });
+          return true;
+        });
+
+        if (feasible) {
+          plan.forEach(({ participantId, destination }) => moveMember(participantId, target, destination, 'dissolve_undersized_group'));
+          diff.push({ type: DIFF_TYPES.DISSOLVE_GROUP, groupId: target.id });
+        }
+      }
+
+      if (target.participantIds.length > 0 && target.participantIds.length < minGroupSize) {
+        warnings.push(`${target.id} has ${target.participantIds.length} participant(s), below the minimum of ${minGroupSize}`);
+      }
+    });
+
+  // 4. Spend any remaining budget on the swaps that improve compatibility the most
+  while (movesLeft() >= 2) {
+    let best = null;
+    for (let g1 = 0; g1 < working.length; g1++) {
+      for (let g2 = g1 + 1; g2 < working.length; g2++) {
+        const groupA = working[g1];
+        const groupB = working[g2];
+        const before = groupValue(groupA.participantIds, getCompatibility) + groupValue(groupB.participantIds, getCompatibility);
+
+        groupA.participantIds.forEach(idA => {
+          if (moved.has(idA)) return;
+          groupB.participantIds.forEach(idB => {
+            if (moved.has(idB)) return;
+            const nextA = [...groupA.participantIds.filter(id => id !== idA), idB];
+            const nextB = [...groupB.participantIds.filter(id => id !== idB), idA];
+            if (!canPlace(nextA) || !canPlace(nextB)) return;
+            const gain = groupValue(nextA, getCompatibility) + groupValue(nextB, getCompatibility) - before;
+            if (gain > minImprovement && (!best || gain > best.gain)) {
+              best = { idA, idB, groupA, groupB, gain };
+            }
+          });
+        });
+      }
+    }
+    if (!best) break;
+    moveMember(best.idA, best.groupA, best.groupB, 'compatibility_swap');
+    moveMember(best.idB, best.groupB, best.groupA, 'compatibility_swap');
+  }
+
+  working
+    .filter(group => group.participantIds.length === 0)
+    .filter(group => !diff.some(entry => entry.type === DIFF_TYPES.DISSOLVE_GROUP && entry.groupId === group.id))
+    .forEach(group => diff.push({ type: DIFF_TYPES.DISSOLVE_GROUP, groupId: group.id }));
+
+  return {
+    groups: working.filter(group => group.participantIds.length > 0),
+    diff,
+    movedParticipantIds: [...moved],
+    unplaced,
+    warnings
+  };
+}
+
+export default planMinimalDisruption;
@@ -49,4 +49,94 @@ export {
   deadlineEnforcement,
   deadlineMonitoring,
   getDeadlineConfig
-} from './payment-deadline-service.js';
\ No newline at end of file
+} from './payment-deadline-service.js';
+export {
+  savedSearchManager,
+  savedSearchAlerts
+} from './saved-search-service.js';
+
+export {
+  wishlistAlertEngine,
+  getAlertConfig
+} from './wishlist-alert-service.js';
+
+export {
+  jobQueue,
+  getJobQueueConfig
+} from './durable-job-queue.js';
+
+// Availability
+export {
+  availabilityEngine,
+  getAvailabilityConfig
+} from './availability-service.js';
+
+// Pricing
+export {
+  pricingEngine,
+  getPricingConfig
+} from './pricing-service.js';
+
+// Promo codes and referral credits
+export {
+  promoEngine,
+  referralEngine,
+  getPromoConfig
+} from './promo-service.js';
+
+// Counteroffer negotiation
+export {
+  negotiationEngine,
+  getNegotiationConfig
+} from './negotiation-service.js';
+
+// Itineraries
+export {
+  itineraryEngine,
+  getItineraryConfig
+} from './itinerary-service.js';
+
+// Post-trip feedback
+export {
+  tripFeedbackEngine,
+  getFeedbackConfig
+} from './trip-feedback-service.js';
+
+// Language model providers
+export {
+  createLLMClient,
+  configureLLM,
+  registerLocalResponder,
+  llmUsage,
+  getLLMConfig
+} from './llm-service.js';
+
+// Trip requests
+export {
+  tripRequestEngine,
+  getTripRequestConfig
+} from './trip-request-service.js';
+
+// Stripe webhook pipeline
+export {
+  createWebhookPipeline,
+  getWebhookPipelineConfig
+} from './stripe-webhook-pipeline.js';
+
+// Support tickets
+export {
+  supportTicketEngine,
+  getSupportTicketConfig
+} from './support-ticket-service.js';
+
+// WhatsApp conversations
+export {
+  whatsAppConversationEngine,
+  getWhatsAppConversationConfig
+} from './whatsapp-conversation-service.js';
+
+// Data subject requests
+export {
+  dataSubjectRequestEngine,
+  getDataSubjectRequestConfig
+} from './data-subject-request-service.js';
@@ -6,6 +6,8 @@
 import { supabase } from '../lib/supabase.js';
 import CurrencyService from './currency-service.js';
 import emailService from './email-service.js';
+import { pricingEngine, getQuoteTotal, toInvoiceLineItems } from './pricing-service.js';
+import { referralEngine } from './promo-service.js';
 
 // Configuration
 const INVOICE_CONFIG = {
@@ -67,19 +69,37 @@ export class InvoiceService {
       userId,
       vendorId,
       vendorAccountId,
-      amount,
-      currency,
+      amount: requestedAmount,
+      currency: requestedCurrency,
       taxRate,
-      items = [],
+      items: requestedItems = [],
+      quote: providedQuote = null,
       customerInfo,
       vendorInfo,
       template = 'standard',
       dueDate = null,
       notes = '',
+      exchangeRateSnapshot = null,
     } = invoiceData;
 
-    // Validate required fields
-    if (!bookingId || !userId || !amount || !currency) {
+    // Bookings with a locked quote are invoiced line by line from that quote,
+    // unless the payment was taken in a different currency
+    const quote = providedQuote || (bookingId ? await pricingEngine.getLockedQuote(bookingId) : null);
+    const useQuote = quote && (!requestedCurrency || quote.currency === requestedCurrency.toUpperCase());
+    const quotedAmount = useQuote ? getQuoteTotal(quote) : requestedAmount;
+    const currency = useQuote ? quote.currency : requestedCurrency;
+    let items = useQuote ? toInvoiceLineItems(quote) : requestedItems;
+
+    // Referral credits paid part of the booking and show as their own line
+    const creditItems = bookingId && currency ? await referralEngine.getInvoiceCreditItems(bookingId, currency) : [];
+    if (creditItems.length > 0 && items.length === 0) {
+      items = [{ description: 'Adventure Booking Service', quantity: 1, rate: quotedAmount, amount: quotedAmount }];
+    }
+    items = [...items, ...creditItems];
+    const amount = quotedAmount + creditItems.reduce((sum, item) => sum + item.amount, 0);
+
+    // Validate required fields; credits can cover a booking in full
+    if (!bookingId || !userId || (!amount && amount !== 0) || !currency) {
       throw new Error('Booking ID, user ID, amount, and currency are required');
     }
 
@@ -111,6 +131,7 @@ export class InvoiceService {
         line_items: items,
         due_date: dueDate,
         notes: notes,
+        exchange_rate_snapshot: exchangeRateSnapshot,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
       };
@@ -439,6 +460,19 @@ export class InvoiceService {
     doc.text('Total:', totalsX - 20, yPosition);
     doc.text(CurrencyService.formatAmount(invoice.total, invoice.currency), pageWidth - 20, yPosition, { align: 'right' });
 
+    const rate = invoice.exchange_rate_snapshot;
+    if (rate && rate.from_currency !== rate.to_currency) {
+      yPosition += 8;
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      doc.text(
+        `Converted from ${rate.from_currency} at 1 ${rate.from_currency} = ${Number(rate.rate).toFixed(6)} ${rate.to_currency} (${rate.source}, ${new Date(rate.rate_as_of || rate.captured_at).toLocaleDateString()})`,
+        pageWidth - 20,
+        yPosition,
+        { align: 'right' }
+      );
+    }
+
     // Footer
     if (invoice.notes) {
       yPosition += 20;
@@ -574,6 +608,29 @@ export class InvoiceService {
     }
   }
 
+  /**
+   * Reproduce an invoice amount in the currency it was converted from,
+   * using the rate snapshot recorded when the invoice was charged
+   * @param {Object} invoice - Invoice in display format
+   * @param {number} amount - Amount in the invoice currency (defaults to the total)
+   * @returns {Object} { amount, currency, snapshot }
+   */
+  static getOriginalCurrencyAmount(invoice, amount = invoice.total) {
+    const snapshot = invoice.exchange_rate_snapshot;
+    if (!snapshot || snapshot.to_currency !== invoice.currency) {
+      return { amount, currency: invoice.currency, snapshot: null };
+    }
+
+    const original = CurrencyService.applyRateSnapshot(amount, snapshot, snapshot.from_currency);
+    const decimals = CurrencyService.getSupportedCurrencies()
+      .find(currency => currency.code === snapshot.from_currency)?.decimals ?? 2;
+    return {
+      amount: Number(original.toFixed(decimals)),
+      currency: snapshot.from_currency,
+      snapshot,
+    };
+  }
+
   /**
    * Mark invoice as paid
    */
@@ -0,0 +1,71 @@
+/**
+ * Itinerary Export Service
+ * Turns wishlist items into downloadable calendar, map and PDF files
+ */
+
+import {
+  buildICalendar,
+  buildGPX,
+  buildKML,
+  generateItineraryPDF,
+} from '../utils/itinerary-export';
+
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  ics: { extension: 'ics', mimeType: 'text/calendar' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+};
+
+export class ItineraryExportService {
+  /**
+   * Render normalized itinerary entries in one of the calendar, map or PDF formats
+   * @param {Array} entries - Itinerary entries (see utils/itinerary-export)
+   * @param {string} format - ics | pdf | gpx | kml
+   * @param {Object} options - { name, filenamePrefix }
+   * @returns {Promise<Object>} { data, filename, mimeType, included, skipped }
+   */
+  static async renderEntries(entries, format, { name = 'TRVL Social', filenamePrefix = 'itinerary' } = {}) {
+    const config = EXPORT_FORMATS[format];
+    if (!config) {
+      throw new Error('Unsupported export format');
+    }
+
+    let result;
+    switch (format) {
+      case 'ics':
+        result = buildICalendar(entries, { calendarName: name });
+        break;
+      case 'gpx':
+        result = buildGPX(entries, { name });
+        break;
+      case 'kml':
+        result = buildKML(entries, { name });
+        break;
+      case 'pdf':
+        result = {
+          content: await generateItineraryPDF(entries, {
+            title: name,
+            subtitle: `Exported ${new Date().toLocaleDateString()}`,
+          }),
+          included: entries.length,
+          skipped: 0,
+        };
+        break;
+      default:
+        throw new Error(`Format "${format}" is not an itinerary format`);
+    }
+
+    return {
+      data: result.content,
+      filename: `${filenamePrefix}-${Date.now()}.${config.extension}`,
+      mimeType: config.mimeType,
+      included: result.included,
+      skipped: result.skipped,
+    };
+  }
+}
+
+export default ItineraryExportService;
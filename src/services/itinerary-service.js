@@ -0,0 +1,489 @@
+/**
+ * Itinerary Service
+ * Typed day-by-day itineraries: normalizes the loose shapes older adventures and
+ * bookings were saved with, validates against schemas/itinerary.js, builds the
+ * timeline and map points travelers see, diffs two versions for booking
+ * modifications, and imports/exports itineraries as JSON or PDF.
+ */
+import {
+  ActivityTypeEnum,
+  AccommodationTypeEnum,
+  ITINERARY_FORMAT_VERSION,
+  validateItinerary,
+  validateItineraryDocument,
+} from '../schemas/itinerary.js';
+
+// Itinerary configuration
+const ITINERARY_CONFIG = {
+  // Marker the PDF export embeds the JSON document behind, so exported PDFs
+  // can be imported again
+  pdfMarker: 'trvl-itinerary:',
+  mealLabels: {
+    breakfast: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+  },
+  // Activity fields compared when diffing, in display order
+  activityFields: {
+    title: 'title',
+    type: 'type',
+    startTime: 'start time',
+    endTime: 'end time',
+    location: 'location',
+    description: 'description',
+  },
+};
+
+const ACTIVITY_TYPES = ActivityTypeEnum.options;
+const ACCOMMODATION_TYPES = AccommodationTypeEnum.options;
+
+const toTime = (time) => (time ? String(time).slice(0, 5) : null);
+const toNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+function normalizeLocation(location) {
+  if (!location) return null;
+  if (typeof location === 'string') {
+    return location.trim() ? { name: location.trim() } : null;
+  }
+  const name = (location.name || location.address || '').trim();
+  const lat = toNumber(location.coordinates?.lat ?? location.lat ?? location.latitude);
+  const lng = toNumber(location.coordinates?.lng ?? location.lng ?? location.longitude);
+  const coordinates = Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  if (!name && !coordinates) return null;
+  return {
+    name: name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+    ...(location.address && location.address !== name && { address: location.address }),
+    coordinates,
+  };
+}
+
+function normalizeActivity(activity, dayNumber, index) {
+  const fallbackId = `day-${dayNumber}-activity-${index + 1}`;
+  if (typeof activity === 'string') {
+    return { id: fallbackId, type: 'activity', title: activity, description: '', startTime: null, endTime: null, location: null };
+  }
+  return {
+    id: activity.id !== undefined && activity.id !== null && activity.id !== '' ? String(activity.id) : fallbackId,
+    type: !activity.type ? 'activity' : ACTIVITY_TYPES.includes(activity.type) ? activity.type : 'other',
+    title: activity.title || '',
+    description: activity.description || '',
+    startTime: toTime(activity.startTime),
+    endTime: toTime(activity.endTime),
+    location: normalizeLocation(activity.location),
+    ...(activity.notes && { notes: activity.notes }),
+  };
+}
+
+function normalizeAccommodation(accommodation) {
+  if (!accommodation) return null;
+  if (typeof accommodation === 'string') {
+    return accommodation.trim() ? { name: accommodation.trim(), type: 'other', location: null } : null;
+  }
+  if (!accommodation.name) return null;
+  return {
+    name: accommodation.name,
+    type: ACCOMMODATION_TYPES.includes(accommodation.type) ? accommodation.type : 'other',
+    location: normalizeLocation(accommodation.location),
+    ...(accommodation.notes && { notes: accommodation.notes }),
+  };
+}
+
+/**
+ * Coerce an itinerary into the typed shape without validating it. Accepts the
+ * loose day objects older adventures were saved with (string activities and
+ * accommodation, numeric IDs, free-text locations), a { days } document, or the
+ * empty object bookings default to.
+ * @returns {Array} days, renumbered from 1
+ */
+export function normalizeItinerary(raw) {
+  const days = Array.isArray(raw) ? raw : Array.isArray(raw?.days) ? raw.days : [];
+  return days.map((day, index) => ({
+    day: index + 1,
+    title: day.title || `Day ${index + 1}`,
+    summary: day.summary || '',
+    activities: (day.activities || []).map((activity, activityIndex) => normalizeActivity(activity, index + 1, activityIndex)),
+    accommodation: normalizeAccommodation(day.accommodation),
+    meals: {
+      breakfast: Boolean(day.meals?.breakfast),
+      lunch: Boolean(day.meals?.lunch),
+      dinner: Boolean(day.meals?.dinner),
+    },
+  }));
+}
+
+/**
+ * Normalize and validate an itinerary
+ * @throws {Error} listing the first validation problems
+ */
+export function parseItinerary(raw) {
+  const { data, isValid, errors } = validateItinerary(normalizeItinerary(raw));
+  if (!isValid) {
+    throw new Error(`Invalid itinerary: ${errors.slice(0, 3).map(e => e.message).join('; ')}`);
+  }
+  return data;
+}
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Day-by-day timeline for travelers. Timed activities are ordered by start time
+ * with untimed ones after them in their original order.
+ * @param {Array} itinerary
+ * @param {Object} options - startDate (YYYY-MM-DD) to date each day
+ */
+export function buildTimeline(itinerary, { startDate } = {}) {
+  return normalizeItinerary(itinerary).map(day => {
+    const timed = day.activities.filter(activity => activity.startTime)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    const untimed = day.activities.filter(activity => !activity.startTime);
+
+    return {
+      ...day,
+      date: startDate
+        ? new Date(Date.parse(`${startDate.slice(0, 10)}T00:00:00Z`) + (day.day - 1) * 86400000).toISOString().slice(0, 10)
+        : null,
+      meals: Object.keys(ITINERARY_CONFIG.mealLabels).filter(meal => day.meals[meal]).map(meal => ITINERARY_CONFIG.mealLabels[meal]),
+      activities: [...timed, ...untimed].map(activity => ({
+        ...activity,
+        durationMinutes: activity.startTime && activity.endTime
+          ? timeToMinutes(activity.endTime) - timeToMinutes(activity.startTime)
+          : null,
+      })),
+    };
+  });
+}
+
+/**
+ * Activities and accommodation that have coordinates, in itinerary order
+ * @returns {Array} [{ id, day, kind: 'activity' | 'accommodation', type, label, lat, lng }]
+ */
+export function getMapPoints(itinerary) {
+  const points = [];
+  normalizeItinerary(itinerary).forEach(day => {
+    day.activities.forEach(activity => {
+      if (activity.location?.coordinates) {
+        points.push({
+          id: activity.id,
+          day: day.day,
+          kind: 'activity',
+          type: activity.type,
+          label: activity.title || activity.location.name,
+          ...activity.location.coordinates,
+        });
+      }
+    });
+    if (day.accommodation?.location?.coordinates) {
+      points.push({
+        id: `day-${day.day}-accommodation`,
+        day: day.day,
+        kind: 'accommodation',
+        type: 'accommodation',
+        label: day.accommodation.name,
+        ...day.accommodation.location.coordinates,
+      });
+    }
+  });
+  return points;
+}
+
+/**
+ * [[west, south], [east, north]] around the points, or null without any
+ */
+export function getMapBounds(points) {
+  if (points.length === 0) return null;
+  const lngs = points.map(point => point.lng);
+  const lats = points.map(point => point.lat);
+  return [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]];
+}
+
+const describeLocation = (location) => location?.name || 'none';
+
+const sameLocation = (a, b) =>
+  describeLocation(a) === describeLocation(b)
+  && a?.coordinates?.lat === b?.coordinates?.lat
+  && a?.coordinates?.lng === b?.coordinates?.lng;
+
+const describeMeals = (meals) =>
+  Object.keys(ITINERARY_CONFIG.mealLabels).filter(meal => meals[meal]).map(meal => ITINERARY_CONFIG.mealLabels[meal]).join(', ') || 'none';
+
+/**
+ * Meaningful differences between two itineraries. Days are matched by number and
+ * activities by ID, so an activity moved to another day shows as a move rather
+ * than a removal and an addition.
+ * @returns {Array} [{ kind, day, activityId?, field?, before, after, description }]
+ *   kind: day_added, day_removed, day_changed, activity_added, activity_removed,
+ *   activity_moved, activity_changed, accommodation_changed, meals_changed
+ */
+export function diffItineraries(before, after) {
+  const oldDays = normalizeItinerary(before);
+  const newDays = normalizeItinerary(after);
+  const changes = [];
+
+  const locate = (days) => {
+    const index = new Map();
+    days.forEach(day => day.activities.forEach(activity => index.set(activity.id, { day: day.day, activity })));
+    return index;
+  };
+  const oldActivities = locate(oldDays);
+  const newActivities = locate(newDays);
+
+  for (let number = 1; number <= Math.max(oldDays.length, newDays.length); number++) {
+    const oldDay = oldDays[number - 1];
+    const newDay = newDays[number - 1];
+
+    if (!oldDay) {
+      changes.push({ kind: 'day_added', day: number, before: null, after: newDay.title, description: `Added day ${number}: ${newDay.title}` });
+      continue;
+    }
+    if (!newDay) {
+      changes.push({ kind: 'day_removed', day: number, before: oldDay.title, after: null, description: `Removed day ${number}: ${oldDay.title}` });
+      continue;
+    }
+
+    ['title', 'summary'].forEach(field => {
+      if (oldDay[field] !== newDay[field]) {
+        changes.push({
+          kind: 'day_changed',
+          day: number,
+          field,
+          before: oldDay[field],
+          after: newDay[field],
+          description: `Day ${number} ${field} changed`,
+        });
+      }
+    });
+
+    const oldStay = oldDay.accommodation?.name || null;
+    const newStay = newDay.accommodation?.name || null;
+    if (oldStay !== newStay || oldDay.accommodation?.type !== newDay.accommodation?.type) {
+      changes.push({
+        kind: 'accommodation_changed',
+        day: number,
+        before: oldDay.accommodation,
+        after: newDay.accommodation,
+        description: `Day ${number} accommodation: ${oldStay || 'none'} → ${newStay || 'none'}`,
+      });
+    }
+
+    if (describeMeals(oldDay.meals) !== describeMeals(newDay.meals)) {
+      changes.push({
+        kind: 'meals_changed',
+        day: number,
+        before: oldDay.meals,
+        after: newDay.meals,
+        description: `Day ${number} meals: ${describeMeals(oldDay.meals)} → ${describeMeals(newDay.meals)}`,
+      });
+    }
+  }
+
+  newActivities.forEach(({ day, activity }, id) => {
+    const previous = oldActivities.get(id);
+    if (!previous) {
+      changes.push({
+        kind: 'activity_added',
+        day,
+        activityId: id,
+        before: null,
+        after: activity,
+        description: `Day ${day}: added ${activity.title || 'an activity'}`,
+      });
+      return;
+    }
+
+    if (previous.day !== day) {
+      changes.push({
+        kind: 'activity_moved',
+        day,
+        activityId: id,
+        before: previous.day,
+        after: day,
+        description: `${activity.title || 'Activity'} moved from day ${previous.day} to day ${day}`,
+      });
+    }
+
+    Object.entries(ITINERARY_CONFIG.activityFields).forEach(([field, label]) => {
+      const changed = field === 'location'
+        ? !sameLocation(previous.activity.location, activity.location)
+        : (previous.activity[field] || null) !== (activity[field] || null);
+      if (!changed) return;
+
+      const show = (value) => (field === 'location' ? describeLocation(value) : value || 'none');
+      changes.push({
+        kind: 'activity_changed',
+        day,
+        activityId: id,
+        field,
+        before: previous.activity[field] ?? null,
+        after: activity[field] ?? null,
+        description: field === 'description'
+          ? `Day ${day}: ${activity.title} description updated`
+          : `Day ${day}: ${activity.title} ${label} ${show(previous.activity[field])} → ${show(activity[field])}`,
+      });
+    });
+  });
+
+  oldActivities.forEach(({ day, activity }, id) => {
+    if (!newActivities.has(id)) {
+      changes.push({
+        kind: 'activity_removed',
+        day,
+        activityId: id,
+        before: activity,
+        after: null,
+        description: `Day ${day}: removed ${activity.title || 'an activity'}`,
+      });
+    }
+  });
+
+  return changes.sort((a, b) => a.day - b.day);
+}
+
+/**
+ * Serialize an itinerary as the versioned JSON document
+ */
+export function exportItineraryJSON(itinerary, { title, now = new Date() } = {}) {
+  const days = parseItinerary(itinerary);
+  return JSON.stringify({
+    version: ITINERARY_FORMAT_VERSION,
+    ...(title && { title }),
+    exportedAt: now.toISOString(),
+    days,
+  }, null, 2);
+}
+
+/**
+ * Parse an exported JSON document, or a bare array of days
+ * @returns {{ title?: string, days: Array }}
+ */
+export function importItineraryJSON(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Itinerary file is not valid JSON');
+  }
+
+  const document = Array.isArray(parsed)
+    ? { version: ITINERARY_FORMAT_VERSION, days: parsed }
+    : { ...parsed, version: parsed?.version ?? ITINERARY_FORMAT_VERSION };
+  const { data, isValid, errors } = validateItineraryDocument({
+    ...document,
+    days: normalizeItinerary(document.days),
+  });
+  if (!isValid) {
+    throw new Error(`Invalid itinerary: ${errors.slice(0, 3).map(e => e.message).join('; ')}`);
+  }
+
+  return { title: data.title, days: data.days };
+}
+
+// Base64 of UTF-8 text, safe inside a PDF string
+const encodeBase64 = (text) => {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+const decodeBase64 = (base64) => new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+
+// jsPDF's standard fonts only cover Latin-1; strip markup and anything else
+const toPdfText = (value) => String(value || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/[^\x20-\xFF\n]/g, '')
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+/**
+ * Itinerary import/export
+ */
+export const itineraryEngine = {
+  /**
+   * Render the itinerary as a printable PDF. The JSON document is embedded in
+   * the PDF keywords so the file can be imported again.
+   * @returns {Promise<Blob>}
+   */
+  async exportPDF(itinerary, { title = 'Itinerary', startDate } = {}) {
+    const json = exportItineraryJSON(itinerary, { title });
+
+    try {
+      // Import jsPDF dynamically
+      const { jsPDF } = await import('jspdf');
+      const doc = new jsPDF();
+      const pageWidth = doc.internal.pageSize.width;
+      const pageHeight = doc.internal.pageSize.height;
+      const maxWidth = pageWidth - 40;
+      let yPosition = 20;
+
+      const write = (text, { size = 10, style = 'normal', indent = 0, gap = 5 } = {}) => {
+        doc.setFontSize(size);
+        doc.setFont('helvetica', style);
+        doc.splitTextToSize(toPdfText(text), maxWidth - indent).forEach(line => {
+          if (yPosition > pageHeight - 20) {
+            doc.addPage();
+            yPosition = 20;
+          }
+          doc.text(line, 20 + indent, yPosition);
+          yPosition += gap;
+        });
+      };
+
+      doc.setProperties({ title, keywords: `${ITINERARY_CONFIG.pdfMarker}${encodeBase64(json)}` });
+      write(title, { size: 20, style: 'bold', gap: 10 });
+
+      buildTimeline(JSON.parse(json).days, { startDate }).forEach(day => {
+        yPosition += 4;
+        write(`Day ${day.day}: ${day.title}${day.date ? ` (${day.date})` : ''}`, { size: 14, style: 'bold', gap: 7 });
+        if (day.summary) write(day.summary, { style: 'italic' });
+
+        day.activities.forEach(activity => {
+          const time = activity.startTime ? `${activity.startTime}${activity.endTime ? `-${activity.endTime}` : ''}  ` : '';
+          write(`${time}${activity.title}`, { style: 'bold', indent: 4 });
+          if (activity.location) write(activity.location.name, { indent: 8 });
+          if (activity.description) write(activity.description, { indent: 8 });
+        });
+
+        if (day.accommodation) write(`Accommodation: ${day.accommodation.name}`, { indent: 4 });
+        if (day.meals.length > 0) write(`Meals: ${day.meals.join(', ')}`, { indent: 4 });
+      });
+
+      return doc.output('blob');
+    } catch (error) {
+      throw new Error(`PDF generation failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Read the itinerary embedded in a PDF produced by exportPDF
+   * @param {ArrayBuffer} buffer
+   */
+  importPDF(buffer) {
+    const text = new TextDecoder('latin1').decode(buffer);
+    const match = text.match(new RegExp(`${ITINERARY_CONFIG.pdfMarker}([A-Za-z0-9+/=]+)`));
+    if (!match) {
+      throw new Error('This PDF was not exported from an itinerary; import the JSON export instead');
+    }
+    return importItineraryJSON(decodeBase64(match[1]));
+  },
+
+  /**
+   * Import a .json or .pdf file picked by the vendor
+   * @param {File} file
+   * @returns {Promise<{ title?: string, days: Array }>}
+   */
+  async importFile(file) {
+    const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    if (isPdf) {
+      return this.importPDF(await file.arrayBuffer());
+    }
+    return importItineraryJSON(await file.text());
+  },
+};
+
+export const getItineraryConfig = () => ITINERARY_CONFIG;
+
+export default itineraryEngine;
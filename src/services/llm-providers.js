@@ -0,0 +1,271 @@
+/**
+ * LLM Providers - Pluggable language model backends for the LLM service
+ *
+ * A provider is any object with a `name`, an `isConfigured()` check and an async
+ * `complete(request, { signal })` returning `{ text, functionCall, usage, model }`,
+ * where `usage` is `{ inputTokens, outputTokens }`. Every provider takes the same
+ * request: `{ task, system, messages, functions, maxTokens, temperature, input }`.
+ * Messages are `{ role: 'user' | 'assistant', content }`; an assistant turn that
+ * called a function carries `functionCall: { id, name, arguments }` and the result
+ * is sent back as `{ role: 'function', name, content }`.
+ */
+
+// USD per million tokens
+export const MODEL_PRICING = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+};
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+/**
+ * Rough token count for providers that don't report usage
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Errors that retrying the same provider won't fix
+ */
+export function createPermanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+async function postJson(url, { headers, body, signal, label }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    let errorData = {};
+    try {
+      errorData = await response.json();
+    } catch {
+      // Error bodies aren't always JSON
+    }
+    const error = new Error(`${label}: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    // Client errors other than rate limits and timeouts fail the same way every time
+    error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * OpenAI chat completions, with legacy function calling
+ * @param {Object} options
+ * @param {string|Function} options.apiKey - key, or a getter so keys can change at runtime
+ */
+export function createOpenAIProvider({ apiKey, model = 'gpt-3.5-turbo', baseUrl = 'https://api.openai.com/v1' }) {
+  return {
+    name: 'openai',
+    model,
+    isConfigured: () => Boolean(resolve(apiKey)),
+    async complete(request, { signal } = {}) {
+      const key = resolve(apiKey);
+      if (!key) {
+        throw createPermanentError('OpenAI API key not configured');
+      }
+
+      const messages = [
+        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+        ...request.messages.map(message => (message.functionCall
+          ? { role: 'assistant', content: message.content || null, function_call: { name: message.functionCall.name, arguments: message.functionCall.arguments } }
+          : { role: message.role, ...(message.name ? { name: message.name } : {}), content: message.content })),
+      ];
+
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        label: 'OpenAI API error',
+        headers: { 'Authorization': `Bearer ${key}` },
+        body: {
+          model,
+          messages,
+          ...(request.functions?.length ? { functions: request.functions, function_call: 'auto' } : {}),
+          max_tokens: request.maxTokens,
+          temperature: request.temperature,
+        },
+        signal,
+      });
+
+      const message = data.choices?.[0]?.message;
+      if (!message || (!message.content && !message.function_call)) {
+        throw new Error('Invalid OpenAI API response format');
+      }
+
+      return {
+        text: message.content || '',
+        functionCall: message.function_call
+          ? { name: message.function_call.name, arguments: message.function_call.arguments }
+          : null,
+        model: data.model || model,
+        usage: {
+          inputTokens: data.usage?.prompt_tokens ?? estimateTokens(JSON.stringify(messages)),
+          outputTokens: data.usage?.completion_tokens ?? estimateTokens(message.content || JSON.stringify(message.function_call)),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Anthropic messages API. Functions are sent as tools; tool calls come back as
+ * function calls.
+ */
+export function createAnthropicProvider({
+  apiKey,
+  model = 'claude-3-haiku-20240307',
+  baseUrl = 'https://api.anthropic.com/v1/messages',
+  version = '2023-06-01',
+}) {
+  return {
+    name: 'anthropic',
+    model,
+    isConfigured: () => Boolean(resolve(apiKey)),
+    async complete(request, { signal } = {}) {
+      const key = resolve(apiKey);
+      if (!key) {
+        throw createPermanentError('Anthropic API key not configured');
+      }
+
+      // Tool results must reference the tool call they answer
+      let lastToolId = null;
+      const messages = request.messages.map((message, index) => {
+        if (message.functionCall) {
+          lastToolId = message.functionCall.id || `toolu_${index}`;
+          const args = message.functionCall.arguments;
+          return {
+            role: 'assistant',
+            content: [
+              ...(message.content ? [{ type: 'text', text: message.content }] : []),
+              { type: 'tool_use', id: lastToolId, name: message.functionCall.name, input: typeof args === 'string' ? JSON.parse(args || '{}') : args },
+            ],
+          };
+        }
+        if (message.role === 'function') {
+          return { role: 'user', content: [{ type: 'tool_result', tool_use_id: lastToolId, content: message.content }] };
+        }
+        return { role: message.role, content: message.content };
+      });
+
+      const data = await postJson(baseUrl, {
+        label: 'Anthropic API request failed',
+        headers: { 'x-api-key': key, 'anthropic-version': version },
+        body: {
+          model,
+          max_tokens: request.maxTokens,
+          temperature: request.temperature,
+          ...(request.system ? { system: request.system } : {}),
+          ...(request.functions?.length
+            ? { tools: request.functions.map(fn => ({ name: fn.name, description: fn.description, input_schema: fn.parameters })) }
+            : {}),
+          messages,
+        },
+        signal,
+      });
+
+      const text = (data.content || []).filter(block => block.type === 'text' || block.text).map(block => block.text).join('');
+      const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+      if (!text && !toolUse) {
+        throw new Error('Invalid Anthropic API response format');
+      }
+
+      return {
+        text,
+        functionCall: toolUse ? { id: toolUse.id, name: toolUse.name, arguments: JSON.stringify(toolUse.input || {}) } : null,
+        model: data.model || model,
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? estimateTokens(JSON.stringify(messages)),
+          outputTokens: data.usage?.output_tokens ?? estimateTokens(text),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Stable key for a request, used to match recordings
+ */
+export function getRecordingKey(request) {
+  const str = JSON.stringify([request.task || null, request.system || null, request.messages]);
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return `${request.task || 'request'}_${Math.abs(hash).toString(16)}`;
+}
+
+/**
+ * Deterministic provider that needs no network. Recorded responses are replayed
+ * for identical requests; otherwise the rule for the request's task answers.
+ * A rule receives the request and returns text or `{ text, functionCall }`.
+ * @param {Object} options
+ * @param {Object} options.rules - task -> rule; read at call time so rules can be added later
+ * @param {Array} options.recordings - [{ key, response }] from createRecordingProvider
+ */
+export function createLocalProvider({ rules = {}, recordings = [], name = 'local' } = {}) {
+  const replay = new Map(recordings.map(recording => [recording.key, recording.response]));
+
+  return {
+    name,
+    model: name,
+    isConfigured: () => true,
+    addRecordings(entries = []) {
+      entries.forEach(recording => replay.set(recording.key, recording.response));
+    },
+    async complete(request) {
+      const recorded = replay.get(getRecordingKey(request));
+      const rule = rules[request.task];
+      if (!recorded && !rule) {
+        throw createPermanentError(`No local response for task ${request.task || 'unknown'}`);
+      }
+
+      const output = recorded || await rule(request);
+      const response = typeof output === 'string' ? { text: output } : output;
+      const text = response.text || '';
+      return {
+        text,
+        functionCall: response.functionCall || null,
+        model: name,
+        usage: {
+          inputTokens: estimateTokens(`${request.system || ''}${JSON.stringify(request.messages)}`),
+          outputTokens: estimateTokens(text || JSON.stringify(response.functionCall || '')),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Wrap a provider so each response is recorded for replay by a local provider
+ */
+export function createRecordingProvider(provider, recordings = []) {
+  return {
+    ...provider,
+    recordings,
+    async complete(request, options) {
+      const response = await provider.complete(request, options);
+      recordings.push({
+        key: getRecordingKey(request),
+        task: request.task || null,
+        response: { text: response.text, functionCall: response.functionCall },
+      });
+      return response;
+    },
+  };
+}
+
+export default {
+  MODEL_PRICING,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createLocalProvider,
+  createRecordingProvider,
+  getRecordingKey,
+};
@@ -0,0 +1,250 @@
+/**
+ * LLM Service - Shared completion client for every language model feature
+ * Adds timeouts, retries, provider failover, structured-output validation and
+ * token/cost accounting on top of the providers in llm-providers.js.
+ * Set VITE_LLM_PROVIDER=local to run every feature offline against the
+ * deterministic local provider.
+ */
+
+import {
+  MODEL_PRICING,
+  createLocalProvider,
+} from './llm-providers.js';
+
+// Configuration
+export const LLM_CONFIG = {
+  provider: import.meta.env.VITE_LLM_PROVIDER || 'auto', // auto | local | openai | anthropic
+  timeout: 15000,
+  maxRetries: 2,
+  retryDelay: 1000, // doubled after each retry
+};
+
+// Keys are read on every call so they can be rotated or stubbed at runtime
+export const getOpenAIKey = () => import.meta.env.VITE_OPENAI_API_KEY || import.meta.env.OPENAI_API_KEY;
+export const getAnthropicKey = () => import.meta.env.VITE_ANTHROPIC_API_KEY || import.meta.env.ANTHROPIC_API_KEY;
+
+// Rules for the local provider, keyed by task
+const localRules = {};
+const localProvider = createLocalProvider({ rules: localRules });
+
+/**
+ * Answer a task when running on the local provider
+ * @param {string} task
+ * @param {Function} responder - (request) => text | { text, functionCall }
+ */
+export function registerLocalResponder(task, responder) {
+  localRules[task] = responder;
+}
+
+/**
+ * Switch providers at runtime, e.g. to run tests or demos offline
+ * @param {Object} options
+ * @param {string} options.provider - auto | local | openai | anthropic
+ * @param {Array} options.recordings - recorded responses for the local provider to replay
+ */
+export function configureLLM({ provider, recordings } = {}) {
+  if (provider) {
+    LLM_CONFIG.provider = provider;
+  }
+  if (recordings) {
+    localProvider.addRecordings(recordings);
+  }
+  return getLLMConfig();
+}
+
+/**
+ * Providers to try, in order, for the configured mode
+ * @param {Object} remote - provider name -> provider, in failover order
+ */
+export function resolveProviders(remote) {
+  if (LLM_CONFIG.provider === 'local') {
+    return [localProvider];
+  }
+  if (LLM_CONFIG.provider !== 'auto') {
+    return remote[LLM_CONFIG.provider] ? [remote[LLM_CONFIG.provider]] : [];
+  }
+  return Object.values(remote);
+}
+
+export function estimateCost(model, { inputTokens, outputTokens }) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return 0;
+  return Math.round((inputTokens * pricing.input + outputTokens * pricing.output)) / 1e6;
+}
+
+// Token and cost accounting across all clients
+export const llmUsage = {
+  calls: [],
+
+  record(entry) {
+    this.calls.push({ ...entry, recordedAt: new Date().toISOString() });
+  },
+
+  getSummary() {
+    const empty = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    const add = (total, call) => {
+      total.calls += 1;
+      total.inputTokens += call.inputTokens;
+      total.outputTokens += call.outputTokens;
+      total.costUsd = Math.round((total.costUsd + call.costUsd) * 1e6) / 1e6;
+      return total;
+    };
+
+    return this.calls.reduce((summary, call) => {
+      add(summary.total, call);
+      add(summary.byProvider[call.provider] ||= empty(), call);
+      add(summary.byTask[call.task] ||= empty(), call);
+      return summary;
+    }, { total: empty(), byProvider: {}, byTask: {} });
+  },
+
+  reset() {
+    this.calls = [];
+  }
+};
+
+/**
+ * Pull the JSON object out of a reply that may wrap it in prose or code fences
+ */
+export function extractJson(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  return JSON.parse(jsonMatch ? jsonMatch[0] : text);
+}
+
+function parseOutput(text, { parse, schema }) {
+  try {
+    const data = parse ? parse(text) : extractJson(text);
+    if (!schema) return data;
+
+    const result = schema.safeParse(data);
+    if (!result.success) {
+      throw new Error(result.error.issues
+        .map(issue => `${issue.path.join('.') || 'response'}: ${issue.message}`)
+        .join('; '));
+    }
+    return result.data;
+  } catch (error) {
+    const parseError = new Error(`Failed to parse AI response: ${error.message}`);
+    // The same provider would most likely answer the same way
+    parseError.retryable = false;
+    throw parseError;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Abort the request and stop waiting once the timeout passes
+async function completeWithTimeout(provider, request, timeout) {
+  const controller = new AbortController();
+  let timeoutId;
+  const timedOut = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.name} request timed out after ${timeout}ms`));
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([provider.complete(request, { signal: controller.signal }), timedOut]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Create a completion client
+ * @param {Object} options
+ * @param {Array|Function} options.providers - providers in failover order, or a function returning them
+ * @param {number} options.timeout - per-attempt timeout in ms
+ * @param {number} options.maxRetries - retries per provider before failing over
+ * @param {number} options.retryDelay - first retry delay in ms
+ */
+export function createLLMClient({
+  providers,
+  timeout = LLM_CONFIG.timeout,
+  maxRetries = LLM_CONFIG.maxRetries,
+  retryDelay = LLM_CONFIG.retryDelay,
+}) {
+  const getProviders = () => (typeof providers === 'function' ? providers() : providers);
+
+  return {
+    getProviders,
+
+    isAvailable() {
+      return getProviders().some(provider => provider.isConfigured());
+    },
+
+    /**
+     * Complete a request on the first provider that succeeds
+     * @param {Object} request - provider request plus optional `parse(text)` and zod `schema`
+     * @returns {Promise<Object>} { text, data, functionCall, provider, model, usage, attempts }
+     */
+    async complete({ parse, schema, ...request }) {
+      const failures = [];
+      let attempts = 0;
+
+      for (const provider of getProviders()) {
+        for (let retry = 0; retry <= maxRetries; retry++) {
+          attempts++;
+          try {
+            const response = await completeWithTimeout(provider, request, timeout);
+            const usage = {
+              inputTokens: response.usage.inputTokens,
+              outputTokens: response.usage.outputTokens,
+              costUsd: estimateCost(response.model, response.usage),
+            };
+            llmUsage.record({ task: request.task || 'unknown', provider: provider.name, model: response.model, ...usage });
+
+            const data = (parse || schema) && !response.functionCall
+              ? parseOutput(response.text, { parse, schema })
+              : null;
+
+            return {
+              text: response.text,
+              data,
+              functionCall: response.functionCall,
+              provider: provider.name,
+              model: response.model,
+              usage,
+              attempts,
+            };
+          } catch (error) {
+            if (error.retryable === false || retry === maxRetries) {
+              failures.push({ provider: provider.name, error: error.message });
+              break;
+            }
+            await sleep(retryDelay * Math.pow(2, retry));
+          }
+        }
+      }
+
+      const error = new Error(failures.length > 0
+        ? `All LLM providers failed - ${failures.map(failure => `${failure.provider}: ${failure.error}`).join(', ')}`
+        : `No LLM provider available for mode ${LLM_CONFIG.provider}`);
+      error.failures = failures;
+      throw error;
+    },
+  };
+}
+
+export function getLLMConfig() {
+  return {
+    provider: LLM_CONFIG.provider,
+    hasOpenAIKey: !!getOpenAIKey(),
+    hasAnthropicKey: !!getAnthropicKey(),
+    localTasks: Object.keys(localRules),
+    timeout: LLM_CONFIG.timeout,
+    maxRetries: LLM_CONFIG.maxRetries,
+  };
+}
+
+export default {
+  createLLMClient,
+  configureLLM,
+  registerLocalResponder,
+  resolveProviders,
+  llmUsage,
+  getLLMConfig,
+};
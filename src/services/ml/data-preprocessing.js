@@ -4,6 +4,7 @@
  */
 import { supabase } from '../../lib/supabase.js';
 import { v4 as uuidv4 } from 'uuid';
+import { hashDataset } from './model-evaluator.js';
 export class DataPreprocessor {
   constructor() {
     this.featureCache = new Map();
@@ -24,6 +25,8 @@ export class DataPreprocessor {
           return await this.extractUserFeedbackData(dateRange, filters);
         case 'group_outcomes':
           return await this.extractGroupOutcomeData(dateRange, filters);
+        case 'group_success_outcomes':
+          return await this.extractGroupSuccessOutcomeData(dateRange, filters);
         default:
           throw new Error(`Unknown data source: ${source}`);
       }
@@ -197,6 +200,45 @@ export class DataPreprocessor {
     if (error) {
       throw new Error(`Failed to extract group outcome data: ${error.message}`);
     }
+    return this.attachTripFeedback(data || []);
+  }
+  /**
+   * Attach post-trip survey results (group_trip_feedback) to each group as
+   * trip_feedback; groups nobody has been surveyed for get null
+   */
+  async attachTripFeedback(groups) {
+    if (groups.length === 0) return groups;
+    const { data, error } = await supabase
+      .from('group_trip_feedback')
+      .select('group_id, response_count, pending_count, average_trip_rating, average_vendor_rating, travel_again_rate, conflict_rate, successful')
+      .in('group_id', groups.map(group => group.id));
+    if (error) {
+      throw new Error(`Failed to extract trip feedback: ${error.message}`);
+    }
+    const feedbackByGroup = new Map((data || []).map(row => [row.group_id, row]));
+    return groups.map(group => ({ ...group, trip_feedback: feedbackByGroup.get(group.id) || null }));
+  }
+  /**
+   * Extract logged group success predictions that have a recorded trip outcome.
+   * input_features already holds the group-level feature vector, so each row is
+   * a ready training example labelled by actual_outcome.
+   */
+  async extractGroupSuccessOutcomeData(dateRange, filters) {
+    const { startDate, endDate } = dateRange;
+    let query = supabase
+      .from('model_predictions')
+      .select('id, model_id, scoring_method, subject_key, input_features, prediction_output, actual_outcome, created_at')
+      .eq('model_type', 'group_optimizer')
+      .not('actual_outcome', 'is', null)
+      .gte('created_at', startDate)
+      .lte('created_at', endDate);
+    if (filters.scoringMethod) {
+      query = query.eq('scoring_method', filters.scoringMethod);
+    }
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to extract group success outcomes: ${error.message}`);
+    }
     return data;
   }
   /**
@@ -549,7 +591,8 @@ export class DataPreprocessor {
           sample_count: processedData.length,
           data_hash: dataHash,
           schema_definition: metadata.schemaDefinition,
-          source_query: metadata.sourceQuery
+          source_query: metadata.sourceQuery,
+          data_blob_url: metadata.dataBlobUrl // Frozen records, for offline evaluation
         })
         .select()
         .single();
@@ -565,15 +608,7 @@ export class DataPreprocessor {
    * Generate hash for data integrity checking
    */
   generateDataHash(data) {
-    // Simple hash function - in production, use a proper hash like SHA-256
-    const str = JSON.stringify(data);
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash).toString(16);
+    return hashDataset(data);
   }
   /**
    * Load dataset from database
@@ -367,6 +367,18 @@ export class FeatureEngineer {
           });
           features.group_recent_activity = recentBookings.length;
         }
+        // Post-trip survey results
+        const { data: feedback } = await supabase
+          .from('group_trip_feedback')
+          .select('response_count, average_trip_rating, travel_again_rate, conflict_rate')
+          .eq('group_id', group.id)
+          .maybeSingle();
+        if (feedback && feedback.response_count > 0) {
+          features.group_feedback_responses = feedback.response_count;
+          features.group_avg_trip_rating = Number(feedback.average_trip_rating) / 5;
+          features.group_travel_again_rate = feedback.travel_again_rate !== null ? Number(feedback.travel_again_rate) : 0.5;
+          features.group_conflict_rate = feedback.conflict_rate !== null ? Number(feedback.conflict_rate) : 0;
+        }
       } catch (error) {
       }
     }
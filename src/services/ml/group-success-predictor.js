@@ -0,0 +1,278 @@
+/**
+ * Group Success Predictor
+ * Scores a proposed group with the deployed group_optimizer model and logs every
+ * prediction to model_predictions so trip outcomes can be attached later and fed
+ * back into retraining. When no model is deployed the caller's heuristic score
+ * is logged instead, which builds up labelled data before the first model ships.
+ */
+import * as tf from '@tensorflow/tfjs';
+import { supabase } from '../../lib/supabase.js';
+import ModelManager from './model-manager.js';
+
+// Group success configuration
+export const GROUP_SUCCESS_CONFIG = {
+  modelType: 'group_optimizer',
+  maxGroupSize: 12,
+  optimalGroupSize: { min: 4, max: 8 },
+  traits: ['energy_level', 'social_preference', 'adventure_style', 'risk_tolerance'],
+  // Feature order for models trained without an input_features list
+  features: [
+    'group_size',
+    'group_size_optimal',
+    'personality_coverage',
+    'energy_level_mean',
+    'energy_level_spread',
+    'social_preference_mean',
+    'social_preference_spread',
+    'adventure_style_mean',
+    'adventure_style_spread',
+    'risk_tolerance_mean',
+    'risk_tolerance_spread',
+    'conflict_critical_rate',
+    'conflict_major_rate',
+    'conflict_minor_rate',
+  ],
+  // Certainty (distance from 0.5, scaled to 0-1) needed for each confidence label
+  confidence: {
+    high: 0.6,
+    medium: 0.3,
+  },
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const spread = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Group-level features for the success model. Trait scores are on the group
+ * builder's 0-100 scale and are normalized to 0-1; conflict counts are taken
+ * per participant pair so groups of different sizes compare.
+ * @param {Array} participants - group builder participants with `personality`
+ * @param {Object} conflicts - result of groupBuilderService.detectGroupConflicts
+ * @returns {Object} feature name -> number
+ */
+export function extractGroupSuccessFeatures(participants = [], conflicts = null) {
+  const size = participants.length;
+  const personalities = participants.filter(p => p.personality).map(p => p.personality);
+  const pairs = size > 1 ? (size * (size - 1)) / 2 : 1;
+  const severity = conflicts?.severityBreakdown || { critical: 0, major: 0, minor: 0 };
+  const { min, max } = GROUP_SUCCESS_CONFIG.optimalGroupSize;
+
+  const features = {
+    group_size: Math.min(1, size / GROUP_SUCCESS_CONFIG.maxGroupSize),
+    group_size_optimal: size >= min && size <= max ? 1 : 0,
+    personality_coverage: size > 0 ? personalities.length / size : 0,
+  };
+
+  GROUP_SUCCESS_CONFIG.traits.forEach(trait => {
+    const values = personalities
+      .map(personality => Number(personality[trait]))
+      .filter(Number.isFinite)
+      .map(value => value / 100);
+    features[`${trait}_mean`] = values.length > 0 ? mean(values) : 0.5;
+    features[`${trait}_spread`] = values.length > 1 ? spread(values) : 0;
+  });
+
+  features.conflict_critical_rate = (severity.critical || 0) / pairs;
+  features.conflict_major_rate = (severity.major || 0) / pairs;
+  features.conflict_minor_rate = (severity.minor || 0) / pairs;
+
+  return Object.fromEntries(Object.entries(features).map(([name, value]) => [name, round(value)]));
+}
+
+/**
+ * Order features the way the model was trained; missing ones are 0
+ * @param {Object} features
+ * @param {Array<string>} featureNames - the model's input_features
+ */
+export function toFeatureVector(features, featureNames = GROUP_SUCCESS_CONFIG.features) {
+  return featureNames.map(name => (Number.isFinite(features[name]) ? features[name] : 0));
+}
+
+/**
+ * Confidence label for a success probability
+ */
+export function getPredictionConfidence(probability) {
+  const certainty = Math.abs(probability - 0.5) * 2;
+  if (certainty >= GROUP_SUCCESS_CONFIG.confidence.high) return 'high';
+  if (certainty >= GROUP_SUCCESS_CONFIG.confidence.medium) return 'medium';
+  return 'low';
+}
+
+export class GroupSuccessPredictor {
+  constructor({ modelManager = new ModelManager() } = {}) {
+    this.modelManager = modelManager;
+  }
+
+  /**
+   * The deployed group success model, or null when none is deployed or it fails to load
+   * @returns {Promise<{ id, version, inputFeatures, instance } | null>}
+   */
+  async loadDeployedModel() {
+    const { modelType } = GROUP_SUCCESS_CONFIG;
+    try {
+      const instance = await this.modelManager.getDeployedModel(modelType);
+      if (!instance) return null;
+      const modelId = this.modelManager.deployedModels.get(modelType);
+      const record = await this.modelManager.getModel(modelId);
+      return {
+        id: modelId,
+        version: record.version,
+        inputFeatures: record.input_features?.length ? record.input_features : GROUP_SUCCESS_CONFIG.features,
+        instance,
+      };
+    } catch {
+      // A broken deployment falls back to the heuristic rather than failing scoring
+      return null;
+    }
+  }
+
+  /**
+   * Run the model on one feature vector
+   * @returns {Promise<number>} success probability, 0-1
+   */
+  async runModel(model, features) {
+    const input = tf.tensor2d([toFeatureVector(features, model.inputFeatures)]);
+    const output = model.instance.predict(input);
+    try {
+      const [probability] = await output.data();
+      return Math.max(0, Math.min(1, probability));
+    } finally {
+      input.dispose();
+      output.dispose();
+    }
+  }
+
+  /**
+   * Predict a group's success probability and log the prediction
+   * @param {Array} participants
+   * @param {Object} conflicts - from detectGroupConflicts
+   * @param {Object} options
+   * @param {number} options.heuristicScore - the caller's 0-100 heuristic score, used without a model
+   * @param {string} options.subjectKey - what the prediction is about (group or configuration ID);
+   *   outcomes are recorded against it
+   * @param {string} options.userId - who asked for the prediction
+   * @returns {Promise<Object>} { scoringMethod, probability, confidence, modelId, modelVersion, predictionId }
+   */
+  async predict(participants, conflicts, { heuristicScore = 0, subjectKey = null, userId = null } = {}) {
+    const startTime = Date.now();
+    const features = extractGroupSuccessFeatures(participants, conflicts);
+    const model = await this.loadDeployedModel();
+
+    let result = null;
+    if (model) {
+      try {
+        const probability = await this.runModel(model, features);
+        result = { scoringMethod: 'model', probability, modelId: model.id, modelVersion: model.version };
+      } catch {
+        // Feature/shape mismatches with an older model fall through to the heuristic
+        result = null;
+      }
+    }
+    if (!result) {
+      result = { scoringMethod: 'heuristic', probability: heuristicScore / 100, modelId: null, modelVersion: null };
+    }
+    result.confidence = getPredictionConfidence(result.probability);
+
+    result.predictionId = await this.logPrediction({
+      ...result,
+      features,
+      heuristicScore,
+      subjectKey,
+      userId,
+      participantIds: participants.map(p => String(p.userId || p.id)),
+      predictionTime: Date.now() - startTime,
+    });
+
+    return result;
+  }
+
+  /**
+   * Signed-in user for predictions made from the browser
+   */
+  async resolveUserId(userId) {
+    if (userId) return userId;
+    try {
+      const { data } = await supabase.auth.getUser();
+      return data?.user?.id || null;
+    } catch {
+      // Server-side callers without a session log anonymously
+      return null;
+    }
+  }
+
+  /**
+   * Log a prediction to model_predictions. Logging never fails scoring.
+   * @returns {Promise<string|null>} the prediction ID
+   */
+  async logPrediction(prediction) {
+    const userId = await this.resolveUserId(prediction.userId);
+    const { data, error } = await supabase
+      .from('model_predictions')
+      .insert({
+        model_id: prediction.modelId,
+        model_type: GROUP_SUCCESS_CONFIG.modelType,
+        scoring_method: prediction.scoringMethod,
+        subject_key: prediction.subjectKey,
+        participant_ids: prediction.participantIds,
+        user_id: userId,
+        input_features: prediction.features,
+        prediction_output: {
+          probability: prediction.probability,
+          heuristicScore: prediction.heuristicScore,
+          modelVersion: prediction.modelVersion,
+        },
+        confidence_score: round(Math.abs(prediction.probability - 0.5) * 2),
+        prediction_time_ms: prediction.predictionTime,
+      })
+      .select('id')
+      .single();
+
+    return error ? null : data.id;
+  }
+
+  /**
+   * Record how a group's trip went on every open prediction made for it
+   * @param {string} subjectKey
+   * @param {Object} outcome
+   * @param {boolean} outcome.successful - whether the trip went ahead and went well
+   * @param {number} outcome.feedbackScore - optional 0-1 rating of the prediction
+   * @returns {Promise<number>} predictions updated
+   */
+  async recordOutcome(subjectKey, { successful, feedbackScore = null }) {
+    const { data, error } = await supabase
+      .from('model_predictions')
+      .update({
+        actual_outcome: Boolean(successful),
+        feedback_score: feedbackScore,
+        feedback_provided_at: new Date().toISOString(),
+      })
+      .eq('model_type', GROUP_SUCCESS_CONFIG.modelType)
+      .eq('subject_key', subjectKey)
+      .is('actual_outcome', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to record group outcome: ${error.message}`);
+    }
+
+    return data?.length || 0;
+  }
+}
+
+let sharedPredictor = null;
+
+/**
+ * Shared predictor, so the deployed model is loaded once per process
+ */
+export const getGroupSuccessPredictor = () => {
+  if (!sharedPredictor) {
+    sharedPredictor = new GroupSuccessPredictor();
+  }
+  return sharedPredictor;
+};
+
+export default GroupSuccessPredictor;
@@ -0,0 +1,184 @@
+/**
+ * Group Success Predictor Tests
+ * Feature extraction, model and heuristic scoring, prediction logging and outcomes
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import {
+  GroupSuccessPredictor,
+  GROUP_SUCCESS_CONFIG,
+  extractGroupSuccessFeatures,
+  toFeatureVector,
+  getPredictionConfidence,
+  getGroupSuccessPredictor
+} from './group-success-predictor.js';
+import { groupBuilderService } from '../group-builder-service.js';
+import { supabase } from '../../lib/supabase.js';
+
+vi.mock('@tensorflow/tfjs', () => ({
+  tensor2d: vi.fn().mockImplementation((data) => ({
+    data: vi.fn().mockResolvedValue(new Float32Array(data.flat())),
+    dispose: vi.fn(),
+    shape: [data.length, data[0]?.length || 0]
+  }))
+}));
+
+vi.mock('../../lib/supabase.js', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+    auth: { getUser: vi.fn().mockResolvedValue({ data: { user: { id: 'vendor-user' } } }) }
+  }
+}));
+
+// Minimal chainable query builder resolving to the given result
+const queryResult = (result) => {
+  const builder = {};
+  ['select', 'insert', 'update', 'eq', 'is'].forEach(method => {
+    builder[method] = vi.fn(() => builder);
+  });
+  builder.single = vi.fn(() => Promise.resolve(result));
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const participant = (id, personality) => ({ id, userId: `user-${id}`, personality });
+
+const participants = [
+  participant('p1', { energy_level: 80, social_preference: 60, adventure_style: 70, risk_tolerance: 50 }),
+  participant('p2', { energy_level: 60, social_preference: 40, adventure_style: 70, risk_tolerance: 70 }),
+  participant('p3', { energy_level: 70, social_preference: 50, adventure_style: 70, risk_tolerance: 60 }),
+  participant('p4', null)
+];
+
+const conflicts = { severityBreakdown: { critical: 0, major: 1, minor: 3 } };
+
+// A deployed model whose single output is the given probability
+const deployedModel = (probability, inputFeatures = GROUP_SUCCESS_CONFIG.features) => ({
+  id: 'model-1',
+  version: '3',
+  inputFeatures,
+  instance: {
+    predict: vi.fn().mockReturnValue({
+      data: vi.fn().mockResolvedValue(new Float32Array([probability])),
+      dispose: vi.fn()
+    })
+  }
+});
+
+describe('Group Success Predictor', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should extract normalized group features', () => {
+    const features = extractGroupSuccessFeatures(participants, conflicts);
+
+    expect(Object.keys(features)).toEqual(GROUP_SUCCESS_CONFIG.features);
+    expect(features).toMatchObject({
+      group_size: 0.3333,
+      group_size_optimal: 1,
+      personality_coverage: 0.75,
+      energy_level_mean: 0.7,
+      energy_level_spread: 0.0816,
+      adventure_style_spread: 0,
+      conflict_critical_rate: 0,
+      conflict_major_rate: 0.1667,
+      conflict_minor_rate: 0.5
+    });
+
+    // Empty groups fall back to neutral traits
+    expect(extractGroupSuccessFeatures([], null)).toMatchObject({ group_size: 0, risk_tolerance_mean: 0.5 });
+
+    expect(toFeatureVector({ group_size: 0.5 }, ['group_size', 'unknown'])).toEqual([0.5, 0]);
+    expect(getPredictionConfidence(0.9)).toBe('high');
+    expect(getPredictionConfidence(0.35)).toBe('medium');
+    expect(getPredictionConfidence(0.55)).toBe('low');
+  });
+
+  test('should score with the deployed model and log the prediction', async () => {
+    const predictor = new GroupSuccessPredictor({ modelManager: {} });
+    vi.spyOn(predictor, 'loadDeployedModel').mockResolvedValue(deployedModel(0.82));
+    const insertQuery = queryResult({ data: { id: 'pred-1' }, error: null });
+    supabase.from.mockReturnValueOnce(insertQuery);
+
+    const result = await predictor.predict(participants, conflicts, { heuristicScore: 74, subjectKey: 'group-a' });
+
+    expect(result.scoringMethod).toBe('model');
+    expect(result.probability).toBeCloseTo(0.82);
+    expect(result).toMatchObject({ confidence: 'high', modelId: 'model-1', modelVersion: '3', predictionId: 'pred-1' });
+
+    expect(supabase.from).toHaveBeenCalledWith('model_predictions');
+    const row = insertQuery.insert.mock.calls[0][0];
+    expect(row).toMatchObject({
+      model_id: 'model-1',
+      model_type: 'group_optimizer',
+      scoring_method: 'model',
+      subject_key: 'group-a',
+      participant_ids: ['user-p1', 'user-p2', 'user-p3', 'user-p4'],
+      user_id: 'vendor-user',
+      prediction_output: { heuristicScore: 74, modelVersion: '3' }
+    });
+    expect(row.input_features).toEqual(extractGroupSuccessFeatures(participants, conflicts));
+  });
+
+  test('should fall back to the heuristic without a usable model', async () => {
+    const predictor = new GroupSuccessPredictor({
+      modelManager: { getDeployedModel: vi.fn().mockResolvedValue(null) }
+    });
+    const insertQuery = queryResult({ data: null, error: { message: 'permission denied' } });
+    supabase.from.mockReturnValueOnce(insertQuery);
+
+    const result = await predictor.predict(participants, conflicts, { heuristicScore: 74, userId: 'u1' });
+
+    // Failed logging doesn't fail scoring
+    expect(result).toMatchObject({ scoringMethod: 'heuristic', probability: 0.74, modelId: null, predictionId: null });
+    expect(insertQuery.insert.mock.calls[0][0]).toMatchObject({ model_id: null, scoring_method: 'heuristic', user_id: 'u1' });
+
+    // A model that rejects the input is treated as missing
+    const broken = deployedModel(0.9);
+    broken.instance.predict.mockImplementation(() => { throw new Error('Shape mismatch'); });
+    vi.spyOn(predictor, 'loadDeployedModel').mockResolvedValue(broken);
+    supabase.from.mockReturnValueOnce(queryResult({ data: { id: 'pred-2' }, error: null }));
+
+    expect(await predictor.predict(participants, conflicts, { heuristicScore: 40 })).toMatchObject({
+      scoringMethod: 'heuristic',
+      probability: 0.4,
+      predictionId: 'pred-2'
+    });
+  });
+
+  test('should record outcomes on open predictions for a group', async () => {
+    const predictor = new GroupSuccessPredictor({ modelManager: {} });
+    const updateQuery = queryResult({ data: [{ id: 'pred-1' }, { id: 'pred-2' }], error: null });
+    supabase.from.mockReturnValueOnce(updateQuery);
+
+    await expect(predictor.recordOutcome('group-a', { successful: true, feedbackScore: 0.9 })).resolves.toBe(2);
+    expect(updateQuery.update).toHaveBeenCalledWith(expect.objectContaining({ actual_outcome: true, feedback_score: 0.9 }));
+    expect(updateQuery.eq).toHaveBeenCalledWith('subject_key', 'group-a');
+    expect(updateQuery.is).toHaveBeenCalledWith('actual_outcome', null);
+
+    supabase.from.mockReturnValueOnce(queryResult({ data: null, error: { message: 'timeout' } }));
+    await expect(predictor.recordOutcome('group-a', { successful: false })).rejects.toThrow('Failed to record group outcome: timeout');
+  });
+
+  test('should expose model scoring through the group builder', async () => {
+    const heuristic = await groupBuilderService.scoreGroupSuccess(participants, conflicts);
+    expect(heuristic).toMatchObject({ scoringMethod: 'heuristic', successScore: 71, prediction: 'good' });
+    expect(supabase.from).not.toHaveBeenCalled();
+
+    vi.spyOn(getGroupSuccessPredictor(), 'loadDeployedModel').mockResolvedValue(deployedModel(0.45));
+    supabase.from.mockReturnValueOnce(queryResult({ data: { id: 'pred-3' }, error: null }));
+
+    const modelled = await groupBuilderService.scoreGroupSuccess(participants, conflicts, { scoring: 'model', subjectKey: 'group-b' });
+    expect(modelled).toMatchObject({
+      scoringMethod: 'model',
+      successScore: 45,
+      prediction: 'high_risk',
+      confidence: 'low',
+      model: { id: 'model-1', version: '3' },
+      predictionId: 'pred-3',
+      factors: { heuristicScore: 71, groupSize: 4 }
+    });
+  });
+});
@@ -9,6 +9,8 @@ export { default as ModelTrainer } from './model-trainer.js';
 export { default as ModelManager } from './model-manager.js';
 export { default as RetrainingScheduler } from './retraining-scheduler.js';
 export { default as ABTestingFramework } from './ab-testing-framework.js';
+export { default as GroupSuccessPredictor, getGroupSuccessPredictor } from './group-success-predictor.js';
+export { default as ModelEvaluator } from './model-evaluator.js';
 // Main ML service singleton
 import mlService from './ml-service.js';
 // Initialize ML service on import
@@ -8,6 +8,7 @@ import ModelTrainer from './model-trainer.js';
 import ModelManager from './model-manager.js';
 import RetrainingScheduler from './retraining-scheduler.js';
 import ABTestingFramework from './ab-testing-framework.js';
+import { GROUP_SUCCESS_CONFIG } from './group-success-predictor.js';
 export class MLService {
   constructor() {
     this.dataPreprocessor = new DataPreprocessor();
@@ -95,6 +96,32 @@ export class MLService {
     };
     return await this.modelTrainer.trainModel(defaultConfig);
   }
+  /**
+   * Train a group success model on logged group predictions with recorded outcomes
+   */
+  async trainGroupSuccessModel(config = {}) {
+    const defaultConfig = {
+      modelName: 'group_success_predictor',
+      version: `v${Date.now()}`,
+      modelType: GROUP_SUCCESS_CONFIG.modelType,
+      dataConfig: {
+        dataSources: ['group_success_outcomes'],
+        dateRange: {
+          startDate: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString(),
+          endDate: new Date().toISOString()
+        },
+        targetVariable: {
+          type: 'binary_classification',
+          source: 'actual_outcome',
+          transformation: { positiveValues: [true] }
+        },
+        featureConfig: { loggedFeatures: GROUP_SUCCESS_CONFIG.features }
+      },
+      ...ModelTrainer.getDefaultTrainingConfig(GROUP_SUCCESS_CONFIG.modelType),
+      ...config
+    };
+    return await this.modelTrainer.trainModel(defaultConfig);
+  }
   /**
    * Predict compatibility for user-group pair
    */
@@ -0,0 +1,519 @@
+/**
+ * Offline Model Evaluation
+ * Re-evaluates saved binary classifiers against a frozen dataset and reports
+ * confusion matrices, calibration curves and per-segment metrics, then compares
+ * each candidate with the deployed model of its type before promotion.
+ *
+ * Supabase and ModelManager are loaded lazily (or injected) so the evaluator
+ * also runs from Node scripts, which can't load the browser client.
+ */
+import * as tf from '@tensorflow/tfjs';
+
+// Evaluation configuration
+export const EVALUATION_CONFIG = {
+  threshold: 0.5,
+  calibrationBins: 10,
+  // Numeric segment values are bucketed; anything else is grouped as-is
+  segmentBuckets: {
+    group_size: [
+      { label: '2-3', max: 3 },
+      { label: '4-8', max: 8 },
+      { label: '9+', max: Infinity },
+    ],
+  },
+  comparedMetrics: ['accuracy', 'precision', 'recall', 'f1Score', 'auc', 'brierScore', 'expectedCalibrationError'],
+  promotion: {
+    primaryMetric: 'auc',
+    minImprovement: 0.01,
+    maxCalibrationError: 0.1, // Unless the deployed model is already worse
+    minSegmentSamples: 20,
+    maxSegmentRegression: 0.05,
+  },
+};
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+/**
+ * Hash of a dataset's records for integrity checks. DataPreprocessor.saveDataset
+ * stores this as training_datasets.data_hash.
+ */
+export function hashDataset(data) {
+  // Simple hash function - in production, use a proper hash like SHA-256
+  const str = JSON.stringify(data);
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash).toString(16);
+}
+
+/**
+ * Validate a frozen dataset and check it still matches its saved hash
+ * @param {Object} dataset - { id, name, dataHash, featureNames, records: [{ features, target, segments }] }
+ * @returns {Object} the dataset with its computed hash
+ */
+export function prepareDataset(dataset) {
+  const records = Array.isArray(dataset) ? dataset : dataset?.records;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('Dataset has no records');
+  }
+  const invalid = records.findIndex(record => !record || record.features == null || record.target == null);
+  if (invalid !== -1) {
+    throw new Error(`Dataset record ${invalid} needs features and a target`);
+  }
+
+  const dataHash = hashDataset(records);
+  if (dataset.dataHash && dataset.dataHash !== dataHash) {
+    const label = dataset.id || dataset.name || 'dataset';
+    throw new Error(`Dataset ${label} has changed since it was saved (hash ${dataHash}, expected ${dataset.dataHash})`);
+  }
+
+  return {
+    id: dataset.id || null,
+    name: dataset.name || null,
+    dataHash,
+    featureNames: dataset.featureNames || null,
+    records,
+  };
+}
+
+/**
+ * One model input row. Object-shaped features are ordered by featureNames;
+ * missing ones are 0.
+ */
+export function toFeatureRow(features, featureNames = null) {
+  if (Array.isArray(features)) return features.map(Number);
+  if (!featureNames) {
+    throw new Error('Feature names are required for object-shaped features');
+  }
+  return featureNames.map(name => (Number.isFinite(Number(features[name])) ? Number(features[name]) : 0));
+}
+
+/**
+ * Confusion matrix at a decision threshold
+ */
+export function computeConfusionMatrix(predictions, targets, threshold = EVALUATION_CONFIG.threshold) {
+  const matrix = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+  predictions.forEach((prediction, i) => {
+    const predicted = prediction >= threshold;
+    if (targets[i] === 1) {
+      matrix[predicted ? 'truePositive' : 'falseNegative']++;
+    } else {
+      matrix[predicted ? 'falsePositive' : 'trueNegative']++;
+    }
+  });
+  return matrix;
+}
+
+/**
+ * Area under the ROC curve from prediction ranks, with ties sharing a rank
+ * @returns {number|null} null when only one class is present
+ */
+export function computeAUC(predictions, targets) {
+  const positives = targets.filter(target => target === 1).length;
+  const negatives = targets.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  const sorted = predictions.map((prediction, i) => ({ prediction, target: targets[i] }))
+    .sort((a, b) => a.prediction - b.prediction);
+  let positiveRankSum = 0;
+  for (let start = 0; start < sorted.length;) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1].prediction === sorted[start].prediction) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) {
+      if (sorted[i].target === 1) positiveRankSum += averageRank;
+    }
+    start = end + 1;
+  }
+
+  return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * Reliability curve over equal-width probability bins
+ * @returns {Object} { bins: [{ lower, upper, count, meanPredicted, observedRate }], expectedCalibrationError }
+ */
+export function computeCalibrationCurve(predictions, targets, binCount = EVALUATION_CONFIG.calibrationBins) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: round(i / binCount),
+    upper: round((i + 1) / binCount),
+    count: 0,
+    predictedSum: 0,
+    positiveSum: 0,
+  }));
+  predictions.forEach((prediction, i) => {
+    const bin = bins[Math.min(binCount - 1, Math.floor(prediction * binCount))];
+    bin.count++;
+    bin.predictedSum += prediction;
+    bin.positiveSum += targets[i];
+  });
+
+  let expectedCalibrationError = 0;
+  const curve = bins.map(({ lower, upper, count, predictedSum, positiveSum }) => {
+    if (count === 0) return { lower, upper, count, meanPredicted: null, observedRate: null };
+    const meanPredicted = predictedSum / count;
+    const observedRate = positiveSum / count;
+    expectedCalibrationError += (count / predictions.length) * Math.abs(meanPredicted - observedRate);
+    return { lower, upper, count, meanPredicted: round(meanPredicted), observedRate: round(observedRate) };
+  });
+
+  return { bins: curve, expectedCalibrationError: round(expectedCalibrationError) };
+}
+
+/**
+ * Classification metrics for one set of predictions
+ */
+export function computeMetrics(predictions, targets, threshold = EVALUATION_CONFIG.threshold) {
+  const confusionMatrix = computeConfusionMatrix(predictions, targets, threshold);
+  const { truePositive, falsePositive, trueNegative, falseNegative } = confusionMatrix;
+  const precision = ratio(truePositive, truePositive + falsePositive);
+  const recall = ratio(truePositive, truePositive + falseNegative);
+  const brierScore = ratio(predictions.reduce((sum, prediction, i) => sum + (prediction - targets[i]) ** 2, 0), predictions.length);
+
+  return {
+    sampleCount: predictions.length,
+    positiveRate: round(ratio(truePositive + falseNegative, predictions.length)),
+    accuracy: round(ratio(truePositive + trueNegative, predictions.length)),
+    precision: round(precision),
+    recall: round(recall),
+    f1Score: round(ratio(2 * precision * recall, precision + recall)),
+    auc: round(computeAUC(predictions, targets)),
+    brierScore: round(brierScore),
+    confusionMatrix,
+  };
+}
+
+/**
+ * Segment label for a record's segment value
+ */
+export function getSegmentLabel(dimension, value) {
+  if (value === null || value === undefined || value === '') return null;
+  const buckets = EVALUATION_CONFIG.segmentBuckets[dimension];
+  if (buckets && Number.isFinite(Number(value))) {
+    return buckets.find(bucket => Number(value) <= bucket.max).label;
+  }
+  return String(value);
+}
+
+/**
+ * Metrics per segment value, e.g. { group_size: { '4-8': {...} }, archetype: { explorer: {...} } }
+ * @param {Array<Object>} segments - each record's segments, e.g. { group_size: 6, archetype: 'explorer' }
+ */
+export function computeSegmentMetrics(predictions, targets, segments, threshold = EVALUATION_CONFIG.threshold) {
+  const grouped = {};
+  segments.forEach((recordSegments, i) => {
+    Object.entries(recordSegments || {}).forEach(([dimension, value]) => {
+      const label = getSegmentLabel(dimension, value);
+      if (label === null) return;
+      grouped[dimension] = grouped[dimension] || {};
+      grouped[dimension][label] = grouped[dimension][label] || { predictions: [], targets: [] };
+      grouped[dimension][label].predictions.push(predictions[i]);
+      grouped[dimension][label].targets.push(targets[i]);
+    });
+  });
+
+  return Object.fromEntries(Object.entries(grouped).map(([dimension, values]) => [
+    dimension,
+    Object.fromEntries(Object.entries(values).map(([label, group]) => [
+      label,
+      computeMetrics(group.predictions, group.targets, threshold),
+    ])),
+  ]));
+}
+
+/**
+ * Full evaluation of one model's predictions on a dataset
+ */
+export function evaluatePredictions(predictions, records, threshold = EVALUATION_CONFIG.threshold) {
+  const targets = records.map(record => (record.target === true || Number(record.target) === 1 ? 1 : 0));
+  const calibration = computeCalibrationCurve(predictions, targets);
+
+  return {
+    metrics: {
+      ...computeMetrics(predictions, targets, threshold),
+      expectedCalibrationError: calibration.expectedCalibrationError,
+    },
+    calibration: calibration.bins,
+    segments: computeSegmentMetrics(predictions, targets, records.map(record => record.segments), threshold),
+  };
+}
+
+/**
+ * Whether a candidate should replace the deployed model. It must improve the
+ * primary metric, stay calibrated and not regress badly on any segment both
+ * models have enough samples for.
+ * @param {Object} candidate - evaluation from evaluatePredictions
+ * @param {Object|null} baseline - the deployed model's evaluation, if any
+ * @returns {Object} { recommendation: 'promote'|'hold', reasons, deltas, segmentRegressions }
+ */
+export function compareEvaluations(candidate, baseline, promotion = EVALUATION_CONFIG.promotion) {
+  const { primaryMetric, minImprovement, maxCalibrationError, minSegmentSamples, maxSegmentRegression } = promotion;
+  const reasons = [];
+  const deltas = {};
+  const segmentRegressions = [];
+
+  if (candidate.metrics[primaryMetric] === null) {
+    reasons.push(`${primaryMetric} can't be computed on this dataset`);
+  }
+
+  const calibrationLimit = Math.max(maxCalibrationError, baseline?.metrics.expectedCalibrationError ?? 0);
+  if (candidate.metrics.expectedCalibrationError > calibrationLimit) {
+    reasons.push(`Calibration error ${candidate.metrics.expectedCalibrationError} is above ${round(calibrationLimit)}`);
+  }
+
+  if (baseline) {
+    EVALUATION_CONFIG.comparedMetrics.forEach(metric => {
+      const [value, baselineValue] = [candidate.metrics[metric], baseline.metrics[metric]];
+      deltas[metric] = value === null || baselineValue === null ? null : round(value - baselineValue);
+    });
+
+    if (deltas[primaryMetric] !== null && deltas[primaryMetric] < minImprovement) {
+      reasons.push(`${primaryMetric} changes by ${deltas[primaryMetric]}; promotion needs +${minImprovement}`);
+    }
+
+    Object.entries(candidate.segments).forEach(([dimension, values]) => {
+      Object.entries(values).forEach(([label, metrics]) => {
+        const baselineMetrics = baseline.segments[dimension]?.[label];
+        if (!baselineMetrics || metrics.sampleCount < minSegmentSamples) return;
+        if (metrics[primaryMetric] === null || baselineMetrics[primaryMetric] === null) return;
+        const delta = round(metrics[primaryMetric] - baselineMetrics[primaryMetric]);
+        if (delta < -maxSegmentRegression) {
+          segmentRegressions.push({ dimension, segment: label, delta });
+          reasons.push(`${primaryMetric} drops ${Math.abs(delta)} for ${dimension} ${label}`);
+        }
+      });
+    });
+  }
+
+  return {
+    recommendation: reasons.length === 0 ? 'promote' : 'hold',
+    reasons,
+    deltas,
+    segmentRegressions,
+  };
+}
+
+/**
+ * Model records read straight from ml_models, for scripts that can't load
+ * ModelManager. Only models saved with a model_blob_url can be evaluated.
+ * @param {Object} client - Supabase client
+ */
+export function createModelSource(client) {
+  const getModel = async (modelId) => {
+    const { data, error } = await client.from('ml_models').select('*').eq('id', modelId).single();
+    if (error) {
+      throw new Error(`Failed to fetch model: ${error.message}`);
+    }
+    return data;
+  };
+
+  return {
+    getModel,
+    async loadModelInstance(modelId) {
+      const model = await getModel(modelId);
+      if (!model.model_blob_url) {
+        throw new Error(`Model ${modelId} has no saved weights to evaluate`);
+      }
+      return tf.loadLayersModel(model.model_blob_url);
+    },
+    async getDeployedModelId(modelType) {
+      const { data, error } = await client
+        .from('ml_models')
+        .select('id')
+        .eq('model_type', modelType)
+        .eq('status', 'deployed')
+        .order('deployed_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (error) {
+        throw new Error(`Failed to fetch deployed model: ${error.message}`);
+      }
+      return data?.id || null;
+    },
+  };
+}
+
+export class ModelEvaluator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Supabase client; the app's client by default
+   * @param {Object} options.modelSource - getModel, loadModelInstance and getDeployedModelId;
+   *   a ModelManager by default
+   * @param {number} options.threshold - decision threshold for confusion matrices
+   */
+  constructor({ client = null, modelSource = null, threshold = EVALUATION_CONFIG.threshold } = {}) {
+    this.client = client;
+    this.modelSource = modelSource;
+    this.threshold = threshold;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      this.client = (await import('../../lib/supabase.js')).supabase;
+    }
+    return this.client;
+  }
+
+  async getModelSource() {
+    if (!this.modelSource) {
+      const { default: ModelManager } = await import('./model-manager.js');
+      this.modelSource = new ModelManager();
+    }
+    return this.modelSource;
+  }
+
+  /**
+   * Load a frozen dataset: a fixture object, or a training_datasets ID whose
+   * records are stored as JSON at data_blob_url
+   */
+  async loadDataset(source) {
+    if (source && typeof source === 'object') {
+      return prepareDataset(source);
+    }
+
+    const client = await this.getClient();
+    const { data: dataset, error } = await client
+      .from('training_datasets')
+      .select('*')
+      .eq('id', source)
+      .single();
+    if (error) {
+      throw new Error(`Failed to load dataset: ${error.message}`);
+    }
+    if (!dataset.data_blob_url) {
+      throw new Error(`Dataset ${source} has no stored records`);
+    }
+
+    const response = await fetch(dataset.data_blob_url);
+    if (!response.ok) {
+      throw new Error(`Failed to download dataset ${source}: ${response.status}`);
+    }
+    const records = await response.json();
+
+    return prepareDataset({
+      id: dataset.id,
+      name: dataset.name,
+      dataHash: dataset.data_hash,
+      featureNames: dataset.schema_definition?.features || null,
+      records: Array.isArray(records) ? records : records.records,
+    });
+  }
+
+  /**
+   * Run one model over a prepared dataset
+   */
+  async evaluateModel(modelId, dataset) {
+    const modelSource = await this.getModelSource();
+    const model = await modelSource.getModel(modelId);
+    const instance = await modelSource.loadModelInstance(modelId);
+    const featureNames = model.input_features?.length ? model.input_features : dataset.featureNames;
+
+    const input = tf.tensor2d(dataset.records.map(record => toFeatureRow(record.features, featureNames)));
+    const output = instance.predict(input);
+    let predictions;
+    try {
+      predictions = Array.from(await output.data()).map(value => Math.max(0, Math.min(1, value)));
+    } finally {
+      input.dispose();
+      output.dispose();
+    }
+
+    return {
+      modelId,
+      name: model.name,
+      version: model.version,
+      modelType: model.model_type,
+      status: model.status,
+      ...evaluatePredictions(predictions, dataset.records, this.threshold),
+    };
+  }
+
+  /**
+   * Evaluate models on a frozen dataset and compare each with the deployed
+   * model of its type
+   * @param {Object} options
+   * @param {string|Object} options.dataset - dataset ID or fixture
+   * @param {Array<string>} options.modelIds
+   * @param {boolean} options.compareToDeployed
+   * @returns {Promise<Object>} report { dataset, threshold, evaluatedAt, models, comparisons }
+   */
+  async evaluate({ dataset, modelIds = [], compareToDeployed = true }) {
+    if (modelIds.length === 0) {
+      throw new Error('At least one model ID is required');
+    }
+    const frozen = await this.loadDataset(dataset);
+    const modelSource = await this.getModelSource();
+
+    const models = [];
+    for (const modelId of [...new Set(modelIds)]) {
+      models.push(await this.evaluateModel(modelId, frozen));
+    }
+
+    const comparisons = [];
+    if (compareToDeployed) {
+      for (const modelType of [...new Set(models.map(model => model.modelType))]) {
+        const deployedId = await modelSource.getDeployedModelId(modelType);
+        let baseline = models.find(model => model.modelId === deployedId) || null;
+        if (deployedId && !baseline) {
+          baseline = await this.evaluateModel(deployedId, frozen);
+          models.push({ ...baseline, baseline: true });
+        }
+
+        models
+          .filter(model => model.modelType === modelType && !model.baseline && model.modelId !== deployedId)
+          .forEach(candidate => {
+            comparisons.push({
+              candidateId: candidate.modelId,
+              baselineId: deployedId,
+              ...compareEvaluations(candidate, baseline),
+            });
+          });
+      }
+    }
+
+    return {
+      dataset: { id: frozen.id, name: frozen.name, dataHash: frozen.dataHash, sampleCount: frozen.records.length },
+      threshold: this.threshold,
+      evaluatedAt: new Date().toISOString(),
+      models,
+      comparisons,
+    };
+  }
+
+  /**
+   * Store each model's headline metrics in model_performance_metrics, tagged
+   * with the dataset so runs can be told apart
+   */
+  async saveReport(report) {
+    const client = await this.getClient();
+    const measuredAt = report.evaluatedAt;
+    const rows = report.models.flatMap(model => EVALUATION_CONFIG.comparedMetrics
+      .filter(metric => model.metrics[metric] !== null)
+      .map(metric => ({
+        model_id: model.modelId,
+        metric_name: metric,
+        metric_value: model.metrics[metric],
+        metric_type: 'validation',
+        measured_at: measuredAt,
+        context: {
+          evaluation: 'offline',
+          datasetId: report.dataset.id,
+          dataHash: report.dataset.dataHash,
+          sampleCount: report.dataset.sampleCount,
+          threshold: report.threshold,
+        },
+      })));
+
+    const { error } = await client.from('model_performance_metrics').insert(rows);
+    if (error) {
+      throw new Error(`Failed to save evaluation: ${error.message}`);
+    }
+    return rows.length;
+  }
+}
+
+export default ModelEvaluator;
@@ -0,0 +1,147 @@
+/**
+ * Model Evaluator Tests
+ * Metrics, calibration, segments, dataset integrity and promotion comparisons
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  ModelEvaluator,
+  computeAUC,
+  computeCalibrationCurve,
+  computeMetrics,
+  computeSegmentMetrics,
+  compareEvaluations,
+  evaluatePredictions,
+  hashDataset,
+  prepareDataset,
+  toFeatureRow
+} from './model-evaluator.js';
+
+vi.mock('@tensorflow/tfjs', () => ({
+  tensor2d: vi.fn().mockImplementation((data) => ({ data, dispose: vi.fn() }))
+}));
+
+const records = [
+  { features: [0.9], target: 1, segments: { group_size: 2, archetype: 'explorer' } },
+  { features: [0.8], target: 1, segments: { group_size: 6, archetype: 'explorer' } },
+  { features: [0.6], target: 0, segments: { group_size: 6, archetype: 'planner' } },
+  { features: [0.3], target: 1, segments: { group_size: 10, archetype: 'planner' } },
+  { features: [0.2], target: 0, segments: { group_size: 6 } },
+  { features: [0.1], target: 0, segments: { group_size: 3, archetype: 'explorer' } }
+];
+
+// A model that predicts a fixed transform of its single feature
+const fakeModel = (transform) => ({
+  predict: vi.fn((input) => ({
+    data: vi.fn().mockResolvedValue(new Float32Array(input.data.map(([value]) => transform(value)))),
+    dispose: vi.fn()
+  }))
+});
+
+const modelSource = (models, deployedId = null) => ({
+  getModel: vi.fn(async (id) => ({ id, name: id, version: '1', model_type: 'group_optimizer', status: 'trained' })),
+  loadModelInstance: vi.fn(async (id) => models[id]),
+  getDeployedModelId: vi.fn(async () => deployedId)
+});
+
+describe('Model Evaluator', () => {
+  test('should compute classification metrics and AUC with ties', () => {
+    const predictions = records.map(record => record.features[0]);
+    const targets = records.map(record => record.target);
+
+    expect(computeMetrics(predictions, targets)).toEqual({
+      sampleCount: 6,
+      positiveRate: 0.5,
+      accuracy: 0.6667,
+      precision: 0.6667,
+      recall: 0.6667,
+      f1Score: 0.6667,
+      auc: 0.8889,
+      brierScore: 0.1583,
+      confusionMatrix: { truePositive: 2, falsePositive: 1, trueNegative: 2, falseNegative: 1 }
+    });
+
+    expect(computeAUC([0.5, 0.5], [1, 0])).toBe(0.5);
+    expect(computeAUC([0.2, 0.9], [1, 1])).toBeNull();
+  });
+
+  test('should build a calibration curve over equal-width bins', () => {
+    const { bins, expectedCalibrationError } = computeCalibrationCurve([0.05, 0.15, 0.95, 1], [0, 1, 1, 1], 2);
+
+    expect(bins).toEqual([
+      { lower: 0, upper: 0.5, count: 2, meanPredicted: 0.1, observedRate: 0.5 },
+      { lower: 0.5, upper: 1, count: 2, meanPredicted: 0.975, observedRate: 1 }
+    ]);
+    expect(expectedCalibrationError).toBe(0.2125);
+    expect(computeCalibrationCurve([0.9], [1], 4).bins[0]).toMatchObject({ count: 0, meanPredicted: null });
+  });
+
+  test('should report metrics per bucketed segment', () => {
+    const predictions = records.map(record => record.features[0]);
+    const segments = computeSegmentMetrics(predictions, records.map(record => record.target), records.map(record => record.segments));
+
+    expect(Object.keys(segments.group_size).sort()).toEqual(['2-3', '4-8', '9+']);
+    expect(segments.group_size['4-8']).toMatchObject({ sampleCount: 3, accuracy: 0.6667 });
+    expect(segments.archetype.explorer).toMatchObject({ sampleCount: 3, accuracy: 1 });
+    // Records without an archetype are left out of that dimension
+    expect(segments.archetype.planner.sampleCount).toBe(2);
+  });
+
+  test('should refuse datasets that changed since they were saved', () => {
+    const dataset = { id: 'ds-1', records, dataHash: hashDataset(records) };
+    expect(prepareDataset(dataset)).toMatchObject({ id: 'ds-1', dataHash: dataset.dataHash, records });
+
+    expect(() => prepareDataset({ ...dataset, records: records.slice(1) })).toThrow('Dataset ds-1 has changed since it was saved');
+    expect(() => prepareDataset({ records: [{ features: [1] }] })).toThrow('Dataset record 0 needs features and a target');
+
+    expect(toFeatureRow({ b: 2, a: '1' }, ['a', 'b', 'c'])).toEqual([1, 2, 0]);
+    expect(() => toFeatureRow({ a: 1 })).toThrow('Feature names are required');
+  });
+
+  test('should hold candidates that do not beat the deployed model', () => {
+    const baseline = evaluatePredictions(records.map(record => record.features[0]), records);
+    const perfect = evaluatePredictions(records.map(record => record.target), records);
+
+    expect(compareEvaluations(perfect, baseline)).toMatchObject({
+      recommendation: 'promote',
+      reasons: [],
+      deltas: { auc: 0.1111, accuracy: 0.3333 }
+    });
+    expect(compareEvaluations(baseline, baseline)).toMatchObject({
+      recommendation: 'hold',
+      reasons: ['auc changes by 0; promotion needs +0.01']
+    });
+
+    // Large overall gain, but worse for one well-sampled segment
+    const candidate = { metrics: { auc: 0.9, expectedCalibrationError: 0.05 }, segments: { group_size: { '9+': { sampleCount: 40, auc: 0.6 } } } };
+    const deployed = { metrics: { auc: 0.8, expectedCalibrationError: 0.05 }, segments: { group_size: { '9+': { sampleCount: 40, auc: 0.7 } } } };
+    expect(compareEvaluations(candidate, deployed)).toMatchObject({
+      recommendation: 'hold',
+      segmentRegressions: [{ dimension: 'group_size', segment: '9+', delta: -0.1 }]
+    });
+  });
+
+  test('should evaluate candidates against the deployed model on a fixture', async () => {
+    const source = modelSource({
+      // Ranks the two records the deployed model gets wrong correctly
+      candidate: fakeModel(value => ({ 0.6: 0.4, 0.3: 0.7 })[value] ?? value),
+      deployed: fakeModel(value => value)
+    }, 'deployed');
+    const evaluator = new ModelEvaluator({ modelSource: source });
+
+    const report = await evaluator.evaluate({ dataset: { name: 'holdout', records }, modelIds: ['candidate'] });
+
+    expect(report.dataset).toEqual({ id: null, name: 'holdout', dataHash: hashDataset(records), sampleCount: 6 });
+    expect(report.models.map(model => [model.modelId, Boolean(model.baseline)])).toEqual([['candidate', false], ['deployed', true]]);
+    expect(report.models[0].metrics).toMatchObject({ accuracy: 1, auc: 1 });
+    expect(report.models[1].metrics).toMatchObject({ accuracy: 0.6667, auc: 0.8889 });
+    expect(report.comparisons).toEqual([expect.objectContaining({
+      candidateId: 'candidate',
+      baselineId: 'deployed',
+      recommendation: 'promote'
+    })]);
+    expect(source.getDeployedModelId).toHaveBeenCalledWith('group_optimizer');
+
+    await expect(evaluator.evaluate({ dataset: { records }, modelIds: [] })).rejects.toThrow('At least one model ID is required');
+  });
+});
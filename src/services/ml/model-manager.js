@@ -394,9 +394,18 @@ export class ModelManager {
    * Get deployed model for a specific type
    */
   async getDeployedModel(modelType) {
+    const modelId = await this.getDeployedModelId(modelType);
+    if (!modelId) {
+      return null;
+    }
+    return await this.loadModelInstance(modelId);
+  }
+  /**
+   * Get the ID of the deployed model for a specific type, or null
+   */
+  async getDeployedModelId(modelType) {
     if (this.deployedModels.has(modelType)) {
-      const modelId = this.deployedModels.get(modelType);
-      return await this.loadModelInstance(modelId);
+      return this.deployedModels.get(modelType);
     }
     // Query database for deployed model
     const { data, error } = await supabase
@@ -411,7 +420,7 @@ export class ModelManager {
       return null;
     }
     this.deployedModels.set(modelType, data.id);
-    return await this.loadModelInstance(data.id);
+    return data.id;
   }
   /**
    * Compare model performance
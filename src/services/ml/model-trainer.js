@@ -129,8 +129,10 @@ export class ModelTrainer {
       try {
         // Create context for feature extraction
         const context = this.createFeatureContext(record);
-        // Extract features
-        const features = await this.featureEngineer.extractFeatures(context, featureConfig);
+        // Extract features; logged predictions already carry their feature vector
+        const features = featureConfig?.loggedFeatures
+          ? Object.fromEntries(featureConfig.loggedFeatures.map(name => [name, Number(record.input_features?.[name]) || 0]))
+          : await this.featureEngineer.extractFeatures(context, featureConfig);
         // Extract target variable
         const target = this.extractTargetVariable(record, targetVariable);
         if (target !== null && target !== undefined) {
@@ -6,10 +6,12 @@ import { supabase } from '../../lib/supabase.js';
 import { v4 as uuidv4 } from 'uuid';
 import ModelTrainer from './model-trainer.js';
 import ModelManager from './model-manager.js';
+import ModelEvaluator from './model-evaluator.js';
 export class RetrainingScheduler {
   constructor() {
     this.modelTrainer = new ModelTrainer();
     this.modelManager = new ModelManager();
+    this.modelEvaluator = new ModelEvaluator({ modelSource: this.modelManager });
     this.activeTriggers = new Map();
     this.retrainingJobs = new Map();
     this.monitoringInterval = null;
@@ -114,17 +116,26 @@ export class RetrainingScheduler {
       booking_history: 'bookings',
       compatibility_scores: 'group_compatibility_scores',
       user_feedback: 'model_predictions',
-      group_outcomes: 'groups'
+      group_outcomes: 'groups',
+      group_success_outcomes: 'model_predictions'
     };
     const tableName = tables[dataSource];
     if (!tableName) {
       return 0;
     }
     try {
-      const { count, error } = await supabase
+      let query = supabase
         .from(tableName)
-        .select('*', { count: 'exact', head: true })
-        .gte('created_at', cutoffDate.toISOString());
+        .select('*', { count: 'exact', head: true });
+      if (dataSource === 'group_success_outcomes') {
+        // Outcomes arrive long after the prediction; count them by when they were recorded
+        query = query
+          .eq('model_type', 'group_optimizer')
+          .gte('feedback_provided_at', cutoffDate.toISOString());
+      } else {
+        query = query.gte('created_at', cutoffDate.toISOString());
+      }
+      const { count, error } = await query;
       if (error) {
         return 0;
       }
@@ -286,7 +297,8 @@ export class RetrainingScheduler {
       if (trigger.trigger_config.autoDeployOnImprovement) {
         const shouldDeploy = await this.shouldAutoDeployNewModel(
           job.model_id,
-          trainingResult.modelRecord.id
+          trainingResult.modelRecord.id,
+          trigger.trigger_config
         );
         if (shouldDeploy) {
           await this.modelManager.deployModel(trainingResult.modelRecord.id);
@@ -357,7 +369,19 @@ export class RetrainingScheduler {
   /**
    * Determine if new model should be auto-deployed
    */
-  async shouldAutoDeployNewModel(oldModelId, newModelId) {
+  async shouldAutoDeployNewModel(oldModelId, newModelId, triggerConfig = {}) {
+    // With a frozen evaluation dataset, compare against the deployed model on it
+    if (triggerConfig.evaluationDatasetId) {
+      try {
+        const report = await this.modelEvaluator.evaluate({
+          dataset: triggerConfig.evaluationDatasetId,
+          modelIds: [newModelId]
+        });
+        return report.comparisons[0]?.recommendation === 'promote';
+      } catch {
+        return false;
+      }
+    }
     if (!oldModelId) return true; // First model
     try {
       // Compare performance metrics
@@ -0,0 +1,176 @@
+/**
+ * Moderation Classifier - Pluggable text classifiers for content moderation
+ *
+ * A classifier is any object with a `name`, a `version` and an async
+ * `classify(text)` returning `{ scores, version }`, where `scores` holds a 0-1
+ * probability for every category in MODERATION_CATEGORIES. The bundled
+ * classifier is a naive Bayes model trained on data/moderation-training-data.js:
+ * it runs locally, trains in milliseconds and serializes to plain JSON, so a
+ * model retrained with moderator labels can be stored and loaded again.
+ */
+import { moderationTrainingData } from '../data/moderation-training-data.js';
+
+export const MODERATION_CATEGORIES = ['harassment', 'hate', 'sexual', 'spam', 'scam', 'off_platform_payment'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'is', 'it', 'be', 'was',
+  'are', 'this', 'that', 'with', 'as', 'by', 'we', 'our', 'us', 'i', 'my', 'me', 'so', 'do',
+]);
+
+// Contact details and links are stronger signals than the exact values
+const PLACEHOLDERS = [
+  [/https?:\/\/\S+|www\.\S+/gi, ' urltoken '],
+  [/[\w.+-]+@[\w-]+\.[\w.]+/g, ' emailtoken '],
+  [/\+?\d[\d\s().-]{7,}\d/g, ' phonetoken '],
+];
+
+const stem = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+/**
+ * Unigram and bigram features for a piece of text
+ * @returns {string[]} unique features
+ */
+export function tokenize(text = '') {
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  const shouting = letters.length >= 12 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.6;
+
+  const normalized = PLACEHOLDERS.reduce((value, [pattern, token]) => value.replace(pattern, token), text.toLowerCase());
+  const words = normalized
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+
+  const features = new Set(words);
+  for (let i = 1; i < words.length; i++) {
+    features.add(`${words[i - 1]} ${words[i]}`);
+  }
+  if (shouting) features.add('__shouting__');
+  return [...features];
+}
+
+/**
+ * Train a one-vs-rest naive Bayes model (binary features) per category
+ * @param {Array} examples - [{ text, labels: [category] }]
+ * @returns {Object} JSON-serializable model
+ */
+export function trainNaiveBayes(examples, { categories = MODERATION_CATEGORIES, alpha = 1, version = 'bundled' } = {}) {
+  const vocabulary = new Set();
+  const classes = Object.fromEntries(categories.map(category => [category, {
+    docs: { pos: 0, neg: 0 },
+    counts: { pos: {}, neg: {} },
+    totals: { pos: 0, neg: 0 },
+  }]));
+
+  examples.forEach(({ text, labels = [] }) => {
+    const features = tokenize(text);
+    features.forEach(feature => vocabulary.add(feature));
+
+    categories.forEach(category => {
+      const side = labels.includes(category) ? 'pos' : 'neg';
+      const model = classes[category];
+      model.docs[side] += 1;
+      model.totals[side] += features.length;
+      features.forEach(feature => {
+        model.counts[side][feature] = (model.counts[side][feature] || 0) + 1;
+      });
+    });
+  });
+
+  return {
+    type: 'naive-bayes',
+    version,
+    trainedAt: new Date().toISOString(),
+    alpha,
+    categories,
+    vocabularySize: vocabulary.size,
+    examples: examples.length,
+    classes,
+  };
+}
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Per-category probabilities for a text under a trained model
+ */
+export function scoreWithModel(model, text) {
+  const features = tokenize(text);
+  const { alpha, vocabularySize } = model;
+
+  return Object.fromEntries(model.categories.map(category => {
+    const { docs, counts, totals } = model.classes[category];
+    if (docs.pos === 0) return [category, 0];
+
+    let logOdds = Math.log(docs.pos / docs.neg);
+    features.forEach(feature => {
+      // Features never seen in training carry no evidence either way
+      if (!(feature in counts.pos) && !(feature in counts.neg)) return;
+      logOdds += Math.log(((counts.pos[feature] || 0) + alpha) / (totals.pos + alpha * vocabularySize))
+        - Math.log(((counts.neg[feature] || 0) + alpha) / (totals.neg + alpha * vocabularySize));
+    });
+    return [category, Math.round(sigmoid(logOdds) * 1000) / 1000];
+  }));
+}
+
+/**
+ * Precision and recall per category on labelled examples
+ */
+export function evaluateModel(model, examples, threshold = 0.5) {
+  return Object.fromEntries(model.categories.map(category => {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    examples.forEach(({ text, labels = [] }) => {
+      const predicted = scoreWithModel(model, text)[category] >= threshold;
+      const actual = labels.includes(category);
+      if (predicted && actual) truePositives += 1;
+      else if (predicted) falsePositives += 1;
+      else if (actual) falseNegatives += 1;
+    });
+    return [category, {
+      precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null,
+      recall: truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : null,
+      support: truePositives + falseNegatives,
+    }];
+  }));
+}
+
+let bundledModel = null;
+
+/**
+ * Model trained on the bundled dataset, built once on first use
+ */
+export function getBundledModel() {
+  if (!bundledModel) {
+    bundledModel = trainNaiveBayes(moderationTrainingData);
+  }
+  return bundledModel;
+}
+
+/**
+ * Naive Bayes classifier over a trained (or stored) model
+ */
+export function createNaiveBayesClassifier({ model = getBundledModel() } = {}) {
+  return {
+    name: 'naive-bayes',
+    version: model.version,
+    model,
+    async classify(text) {
+      const scores = scoreWithModel(model, text || '');
+      return {
+        scores: Object.fromEntries(MODERATION_CATEGORIES.map(category => [category, scores[category] ?? 0])),
+        version: model.version,
+      };
+    },
+  };
+}
+
+export default {
+  MODERATION_CATEGORIES,
+  tokenize,
+  trainNaiveBayes,
+  scoreWithModel,
+  evaluateModel,
+  getBundledModel,
+  createNaiveBayesClassifier,
+};
@@ -0,0 +1,251 @@
+/**
+ * Modification Policy Engine - Evaluates vendor-authored, tiered modification policies
+ *
+ * A policy holds one rule per modification type (plus an optional `default` rule).
+ * Each rule is a list of tiers keyed by how many days before the trip the request
+ * is made, e.g. free date changes more than 30 days out, a 20% fee between 7 and
+ * 30 days and no changes inside 7 days. Policies may be scoped to an adventure
+ * and/or a season and are versioned; bookings keep a snapshot of the version that
+ * applied when they were purchased.
+ */
+
+export const FEE_TYPES = {
+  NONE: 'none',
+  FLAT: 'flat', // cents
+  PERCENT: 'percent', // percent of the booking total
+  PER_PARTICIPANT: 'per_participant', // cents per added participant
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Validate and normalize a vendor policy definition
+ * @param {Object} raw - { name, adventureId, season: { start: 'MM-DD', end: 'MM-DD' }, priority, rules }
+ * @returns {Object} Normalized policy with tiers sorted from furthest to closest
+ */
+export function normalizePolicy(raw = {}) {
+  const rules = raw.rules || {};
+  if (Object.keys(rules).length === 0) {
+    throw new Error('A modification policy needs at least one rule');
+  }
+
+  const season = raw.season || (raw.season_start ? { start: raw.season_start, end: raw.season_end } : null);
+  if (season && (!MONTH_DAY_PATTERN.test(season.start || '') || !MONTH_DAY_PATTERN.test(season.end || ''))) {
+    throw new Error('Season dates must use the MM-DD format');
+  }
+
+  const normalizedRules = {};
+  Object.entries(rules).forEach(([modificationType, rule]) => {
+    const tiers = (rule.tiers || []).map((tier, index) => {
+      const minDaysBefore = Number(tier.minDaysBefore);
+      if (!Number.isFinite(minDaysBefore) || minDaysBefore < 0) {
+        throw new Error(`Tier ${index + 1} of ${modificationType} needs a non-negative minDaysBefore`);
+      }
+
+      const allowed = tier.allowed !== false;
+      const feeType = allowed ? (tier.fee?.type || FEE_TYPES.NONE) : FEE_TYPES.NONE;
+      if (!Object.values(FEE_TYPES).includes(feeType)) {
+        throw new Error(`Unknown fee type "${feeType}" in ${modificationType}`);
+      }
+      const value = feeType === FEE_TYPES.NONE ? 0 : Number(tier.fee?.value);
+      if (!Number.isFinite(value) || value < 0 || (feeType === FEE_TYPES.PERCENT && value > 100)) {
+        throw new Error(`Invalid fee value for tier ${index + 1} of ${modificationType}`);
+      }
+
+      return { minDaysBefore, allowed, fee: { type: feeType, value }, label: tier.label || null };
+    });
+
+    if (tiers.length === 0) {
+      throw new Error(`Rule for ${modificationType} needs at least one tier`);
+    }
+    const thresholds = new Set(tiers.map(tier => tier.minDaysBefore));
+    if (thresholds.size !== tiers.length) {
+      throw new Error(`Rule for ${modificationType} has duplicate tier thresholds`);
+    }
+
+    normalizedRules[modificationType] = {
+      tiers: tiers.sort((a, b) => b.minDaysBefore - a.minDaysBefore),
+      maxChanges: rule.maxChanges != null ? Number(rule.maxChanges) : null,
+    };
+  });
+
+  return {
+    name: raw.name || 'Modification policy',
+    adventureId: raw.adventureId ?? raw.adventure_id ?? null,
+    season: season ? { start: season.start, end: season.end } : null,
+    priority: Number(raw.priority) || 0,
+    rules: normalizedRules,
+  };
+}
+
+// Month-day comparison that supports seasons wrapping the new year (e.g. 11-15 to 02-28)
+export function isInSeason(season, date) {
+  if (!season) return true;
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return false;
+  const monthDay = `${String(value.getUTCMonth() + 1).padStart(2, '0')}-${String(value.getUTCDate()).padStart(2, '0')}`;
+  return season.start <= season.end
+    ? monthDay >= season.start && monthDay <= season.end
+    : monthDay >= season.start || monthDay <= season.end;
+}
+
+// Convert a policy table row into the shape the engine evaluates
+export function fromPolicyRow(row) {
+  return {
+    id: row.id,
+    policyKey: row.policy_key,
+    vendorId: row.vendor_id,
+    version: row.version,
+    isActive: row.is_active !== false,
+    ...normalizePolicy({
+      name: row.name,
+      adventureId: row.adventure_id,
+      season_start: row.season_start,
+      season_end: row.season_end,
+      priority: row.priority,
+      rules: row.rules,
+    }),
+  };
+}
+
+/**
+ * Pick the most specific active policy for a trip
+ * Adventure-specific beats vendor-wide, seasonal beats year-round, then priority and version.
+ */
+export function selectApplicablePolicy(policies, { adventureId, tripDate }) {
+  const candidates = (policies || [])
+    .filter(policy => policy.isActive !== false)
+    .filter(policy => !policy.adventureId || policy.adventureId === adventureId)
+    .filter(policy => isInSeason(policy.season, tripDate));
+
+  candidates.sort((a, b) =>
+    (Number(!!b.adventureId) - Number(!!a.adventureId)) ||
+    (Number(!!b.season) - Number(!!a.season)) ||
+    (b.priority - a.priority) ||
+    ((b.version || 0) - (a.version || 0))
+  );
+  return candidates[0] || null;
+}
+
+// Immutable copy of a policy version, stored on the booking at purchase time
+export function buildPolicySnapshot(policy, capturedAt = new Date()) {
+  return {
+    policy_id: policy.id || null,
+    policy_key: policy.policyKey || null,
+    version: policy.version || 1,
+    name: policy.name,
+    adventure_id: policy.adventureId || null,
+    season: policy.season,
+    rules: JSON.parse(JSON.stringify(policy.rules)),
+    captured_at: new Date(capturedAt).toISOString(),
+  };
+}
+
+// Accept either a stored snapshot or a live policy; snapshots written by the
+// database trigger carry the rules exactly as the vendor saved them
+function rulesOf(policyOrSnapshot) {
+  const rules = policyOrSnapshot?.rules || {};
+  return Object.keys(rules).length > 0 ? normalizePolicy({ rules }).rules : {};
+}
+
+export function describeTier(tier) {
+  if (!tier) return 'Not covered by policy';
+  if (tier.label) return tier.label;
+  if (!tier.allowed) return 'Not permitted';
+  switch (tier.fee.type) {
+    case FEE_TYPES.PERCENT:
+      return `${tier.fee.value}% of booking total`;
+    case FEE_TYPES.FLAT:
+      return `$${(tier.fee.value / 100).toFixed(2)} flat fee`;
+    case FEE_TYPES.PER_PARTICIPANT:
+      return `$${(tier.fee.value / 100).toFixed(2)} per added participant`;
+    default:
+      return 'Free';
+  }
+}
+
+/**
+ * Evaluate a modification request against a policy
+ * @param {Object} policy - Live policy or booking snapshot
+ * @param {Object} request - {
+ *   modificationType, tripStart, requestedAt, bookingTotal (cents),
+ *   addedParticipants, previousChanges
+ * }
+ * @returns {Object} { applies, allowed, reason, tier, daysBeforeTrip, fees: { total, breakdown } }
+ */
+export function evaluatePolicy(policy, request) {
+  const {
+    modificationType,
+    tripStart,
+    requestedAt = new Date(),
+    bookingTotal = 0,
+    addedParticipants = 0,
+    previousChanges = 0,
+  } = request;
+  const rules = rulesOf(policy);
+  const rule = rules[modificationType] || rules.default;
+  const emptyFees = { total: 0, breakdown: [] };
+
+  if (!rule) {
+    return { applies: false, allowed: true, reason: null, tier: null, daysBeforeTrip: null, fees: emptyFees };
+  }
+
+  const daysBeforeTrip = Math.floor((new Date(tripStart) - new Date(requestedAt)) / DAY_MS);
+  const tier = rule.tiers.find(candidate => daysBeforeTrip >= candidate.minDaysBefore) || null;
+  const base = { applies: true, daysBeforeTrip, tier };
+
+  if (!tier || !tier.allowed) {
+    return {
+      ...base,
+      allowed: false,
+      reason: `The vendor's policy does not allow this change ${daysBeforeTrip} day(s) before the trip`,
+      fees: emptyFees,
+    };
+  }
+
+  if (rule.maxChanges != null && previousChanges >= rule.maxChanges) {
+    return {
+      ...base,
+      allowed: false,
+      reason: `The vendor's policy allows at most ${rule.maxChanges} change(s) of this type`,
+      fees: emptyFees,
+    };
+  }
+
+  let amount = 0;
+  switch (tier.fee.type) {
+    case FEE_TYPES.FLAT:
+      amount = tier.fee.value;
+      break;
+    case FEE_TYPES.PERCENT:
+      amount = Math.round(bookingTotal * tier.fee.value / 100);
+      break;
+    case FEE_TYPES.PER_PARTICIPANT:
+      amount = Math.max(0, addedParticipants) * tier.fee.value;
+      break;
+    default:
+      amount = 0;
+  }
+
+  return {
+    ...base,
+    allowed: true,
+    reason: null,
+    fees: {
+      total: amount,
+      breakdown: amount > 0 ? [{ type: `${policy.name} (${describeTier(tier)})`, amount }] : [],
+    },
+  };
+}
+
+export default {
+  FEE_TYPES,
+  normalizePolicy,
+  isInSeason,
+  fromPolicyRow,
+  selectApplicablePolicy,
+  buildPolicySnapshot,
+  describeTier,
+  evaluatePolicy,
+};
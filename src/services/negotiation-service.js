@@ -0,0 +1,331 @@
+/**
+ * Negotiation Service
+ * Counteroffer threads between travelers and vendors. Every vendor bid has one
+ * thread; each proposal of price, dates, inclusions and validity is kept as a
+ * numbered revision. The two sides take turns accepting, countering or declining
+ * the latest revision inside database functions that lock the thread.
+ */
+import { supabase } from '../lib/supabase.js';
+
+// Negotiation configuration
+const NEGOTIATION_CONFIG = {
+  defaultValidityHours: 72,
+  parties: {
+    TRAVELER: 'traveler',
+    VENDOR: 'vendor',
+  },
+  actions: {
+    ACCEPT: 'accept',
+    COUNTER: 'counter',
+    DECLINE: 'decline',
+  },
+  // Terms compared between revisions, in display order
+  terms: {
+    proposedPrice: 'Price',
+    startDate: 'Start date',
+    endDate: 'End date',
+    inclusions: 'Inclusions',
+    exclusions: 'Exclusions',
+    validUntil: 'Valid until',
+  },
+  errors: {
+    NEGOTIATION_NOT_FOUND: 'Negotiation not found',
+    NEGOTIATION_CLOSED: 'This negotiation has already been closed',
+    NEGOTIATION_EXPIRED: 'This offer has expired',
+    NOT_YOUR_TURN: 'Waiting for the other side to respond to your latest offer',
+    REVISION_CONFLICT: 'The offer changed while you were responding; review the latest revision',
+    INVALID_ACTION: 'Unknown negotiation action',
+  },
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+/**
+ * Normalize proposed terms into the p_terms payload the database functions take.
+ * Terms that are not given are left out so a counter keeps them from the
+ * revision it answers.
+ * @param {Object} terms - proposedPrice, currency, startDate, endDate,
+ *   inclusions, exclusions (arrays or comma/line separated), validUntil
+ */
+export function normalizeTerms(terms = {}) {
+  const normalized = {};
+
+  if (terms.proposedPrice !== undefined && terms.proposedPrice !== null && terms.proposedPrice !== '') {
+    const price = Number(terms.proposedPrice);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error('Proposed price must be greater than zero');
+    }
+    normalized.proposed_price = Math.round(price * 100) / 100;
+  }
+  if (terms.currency) {
+    normalized.currency = String(terms.currency).toUpperCase();
+  }
+  if (terms.startDate !== undefined) {
+    normalized.start_date = terms.startDate ? String(terms.startDate).slice(0, 10) : null;
+  }
+  if (terms.endDate !== undefined) {
+    normalized.end_date = terms.endDate ? String(terms.endDate).slice(0, 10) : null;
+  }
+  if (normalized.start_date && normalized.end_date && normalized.end_date < normalized.start_date) {
+    throw new Error('End date must be on or after the start date');
+  }
+  if (terms.inclusions !== undefined) {
+    normalized.inclusions = toList(terms.inclusions);
+  }
+  if (terms.exclusions !== undefined) {
+    normalized.exclusions = toList(terms.exclusions);
+  }
+  if (terms.validUntil) {
+    normalized.valid_until = new Date(terms.validUntil).toISOString();
+  }
+
+  return normalized;
+}
+
+/**
+ * Map a negotiation_revisions row for the UI
+ */
+export function mapRevisionRow(row) {
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    number: row.revision_number,
+    authorParty: row.author_party,
+    proposedPrice: Number(row.proposed_price),
+    currency: row.currency,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    inclusions: row.inclusions || [],
+    exclusions: row.exclusions || [],
+    validUntil: row.valid_until,
+    message: row.message,
+    status: row.status,
+    responseMessage: row.response_message,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Map a negotiation_threads row, with its revisions sorted oldest first
+ */
+export function mapThreadRow(row) {
+  const revisions = (row.revisions || []).map(mapRevisionRow).sort((a, b) => a.number - b.number);
+  return {
+    id: row.id,
+    bidId: row.bid_id,
+    tripRequestId: row.trip_request_id,
+    vendorId: row.vendor_id,
+    status: row.status,
+    currentRevision: row.current_revision,
+    awaitingParty: row.awaiting_party,
+    closedAt: row.closed_at,
+    revisions,
+    latest: revisions.find(revision => revision.number === row.current_revision) || revisions[revisions.length - 1] || null,
+  };
+}
+
+/**
+ * Whether a revision is past its validity
+ */
+export function isRevisionExpired(revision, now = new Date()) {
+  if (revision.status === 'expired') return true;
+  return revision.status === 'open' && new Date(revision.validUntil).getTime() <= now.getTime();
+}
+
+/**
+ * Actions a party can take on a thread right now. Accepting and countering wait
+ * for the other side's revision; declining is always open.
+ * @param {Object} thread - mapped thread
+ * @param {string} party - 'traveler' or 'vendor'
+ * @returns {Array<string>} subset of accept, counter, decline
+ */
+export function getAvailableActions(thread, party, now = new Date()) {
+  if (!thread || thread.status !== 'open' || !thread.latest) return [];
+  if (isRevisionExpired(thread.latest, now)) return [];
+  if (thread.latest.authorParty === party) return [NEGOTIATION_CONFIG.actions.DECLINE];
+  return Object.values(NEGOTIATION_CONFIG.actions);
+}
+
+const sameList = (a, b) => {
+  const left = [...a].sort();
+  const right = [...b].sort();
+  return left.length === right.length && left.every((item, i) => item === right[i]);
+};
+
+/**
+ * Diff two revisions term by term
+ * @param {Object} from - mapped revision
+ * @param {Object} to - mapped revision
+ * @returns {Array} [{ term, label, before, after, changed, delta?, added?, removed? }]
+ *   delta is set for price, added/removed for inclusions and exclusions
+ */
+export function diffRevisions(from, to) {
+  return Object.entries(NEGOTIATION_CONFIG.terms).map(([term, label]) => {
+    const before = from?.[term] ?? null;
+    const after = to?.[term] ?? null;
+    const row = { term, label, before, after };
+
+    if (term === 'inclusions' || term === 'exclusions') {
+      row.added = (after || []).filter(item => !(before || []).includes(item));
+      row.removed = (before || []).filter(item => !(after || []).includes(item));
+      row.changed = !sameList(before || [], after || []);
+    } else if (term === 'proposedPrice') {
+      row.delta = after !== null && before !== null ? Math.round((after - before) * 100) / 100 : null;
+      row.changed = before !== after || from?.currency !== to?.currency;
+    } else if (term === 'validUntil') {
+      row.changed = new Date(before).getTime() !== new Date(after).getTime();
+    } else {
+      row.changed = before !== after;
+    }
+
+    return row;
+  });
+}
+
+// Database functions raise these codes; turn them into readable errors
+const toNegotiationError = (error, action) => {
+  const code = Object.keys(NEGOTIATION_CONFIG.errors).find(key => error.message?.includes(key));
+  return new Error(code ? NEGOTIATION_CONFIG.errors[code] : `Failed to ${action}: ${error.message}`);
+};
+
+const THREAD_SELECT = '*, revisions:negotiation_revisions(*)';
+
+/**
+ * Negotiation threads and revisions
+ */
+export const negotiationEngine = {
+  /**
+   * Open the thread for a bid with the vendor's terms as revision 1. Safe to call
+   * again; the existing thread is returned.
+   */
+  async startThread(bidId, terms = {}, { validityHours = NEGOTIATION_CONFIG.defaultValidityHours } = {}) {
+    const { data, error } = await supabase.rpc('start_negotiation', {
+      p_bid_id: bidId,
+      p_terms: normalizeTerms(terms),
+      p_validity_hours: validityHours,
+    });
+
+    if (error) {
+      throw toNegotiationError(error, 'start negotiation');
+    }
+
+    return this.getThread(data.id);
+  },
+
+  async getThread(threadId) {
+    const { data, error } = await supabase
+      .from('negotiation_threads')
+      .select(THREAD_SELECT)
+      .eq('id', threadId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to load negotiation: ${error.message}`);
+    }
+
+    return mapThreadRow(data);
+  },
+
+  /**
+   * Thread for a bid, or null for bids that predate negotiation threads
+   */
+  async getThreadForBid(bidId) {
+    const { data, error } = await supabase
+      .from('negotiation_threads')
+      .select(THREAD_SELECT)
+      .eq('bid_id', bidId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load negotiation: ${error.message}`);
+    }
+
+    return data ? mapThreadRow(data) : null;
+  },
+
+  /**
+   * All threads on a trip request, one per vendor bid
+   */
+  async listThreads(tripRequestId) {
+    const { data, error } = await supabase
+      .from('negotiation_threads')
+      .select(THREAD_SELECT)
+      .eq('trip_request_id', tripRequestId)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load negotiations: ${error.message}`);
+    }
+
+    return (data || []).map(mapThreadRow);
+  },
+
+  /**
+   * Accept, counter or decline the latest revision as the current user
+   * @param {string} threadId
+   * @param {string} action - accept, counter or decline
+   * @param {Object} options - message, terms (counter only), expectedRevision,
+   *   validityHours (counter only)
+   * @returns {Promise<Object>} the accepted, declined or newly created revision
+   */
+  async respond(threadId, action, {
+    message = null,
+    terms = {},
+    expectedRevision = null,
+    validityHours = NEGOTIATION_CONFIG.defaultValidityHours,
+  } = {}) {
+    if (!Object.values(NEGOTIATION_CONFIG.actions).includes(action)) {
+      throw new Error(NEGOTIATION_CONFIG.errors.INVALID_ACTION);
+    }
+
+    const { data, error } = await supabase.rpc('respond_to_negotiation', {
+      p_thread_id: threadId,
+      p_action: action,
+      p_message: message?.trim() || null,
+      p_terms: action === NEGOTIATION_CONFIG.actions.COUNTER ? normalizeTerms(terms) : {},
+      p_expected_revision: expectedRevision,
+      p_validity_hours: validityHours,
+    });
+
+    if (error) {
+      throw toNegotiationError(error, `${action} offer`);
+    }
+
+    return mapRevisionRow(data);
+  },
+
+  accept(threadId, options = {}) {
+    return this.respond(threadId, NEGOTIATION_CONFIG.actions.ACCEPT, options);
+  },
+
+  counter(threadId, terms, options = {}) {
+    return this.respond(threadId, NEGOTIATION_CONFIG.actions.COUNTER, { ...options, terms });
+  },
+
+  decline(threadId, options = {}) {
+    return this.respond(threadId, NEGOTIATION_CONFIG.actions.DECLINE, options);
+  },
+
+  /**
+   * Expire open revisions past their validity and close their threads
+   * @returns {Promise<number>} threads expired
+   */
+  async expireStale() {
+    const { data, error } = await supabase.rpc('expire_negotiations');
+
+    if (error) {
+      throw new Error(`Failed to expire negotiations: ${error.message}`);
+    }
+
+    return data || 0;
+  },
+};
+
+export const getNegotiationConfig = () => NEGOTIATION_CONFIG;
+
+export default negotiationEngine;
@@ -1,24 +1,27 @@
 import sentryService from './sentry-service.js';
+import { createOpenAIProvider, createAnthropicProvider } from './llm-providers.js';
+import {
+  createLLMClient,
+  extractJson,
+  getAnthropicKey,
+  getOpenAIKey,
+  registerLocalResponder,
+  resolveProviders,
+} from './llm-service.js';
 /**
  * Natural Language Processing Service for Trip Request Parsing
- * Uses OpenAI API with fallback to Anthropic Claude and regex patterns
+ * Uses OpenAI with failover to Anthropic Claude, and regex patterns when both fail
  */
 // Configuration
 const API_CONFIG = {
   openai: {
-    baseUrl: 'https://api.openai.com/v1/chat/completions',
-    apiKey: import.meta.env.VITE_OPENAI_API_KEY || import.meta.env.OPENAI_API_KEY,
     model: 'gpt-3.5-turbo', // Cost-effective for parsing tasks
-    maxTokens: 800,
-    temperature: 0.1, // Low temperature for consistent structured output
   },
   anthropic: {
-    baseUrl: 'https://api.anthropic.com/v1/messages',
-    apiKey: import.meta.env.VITE_ANTHROPIC_API_KEY || import.meta.env.ANTHROPIC_API_KEY,
     model: 'claude-3-haiku-20240307',
-    maxTokens: 800,
-    temperature: 0.1,
   },
+  maxTokens: 800,
+  temperature: 0.1, // Low temperature for consistent structured output
   timeout: 15000, // 15 seconds for complex parsing
   maxRetries: 2,
   retryDelay: 1000,
@@ -170,214 +173,103 @@ const FALLBACK_PATTERNS = {
     relaxation: /\b(spa|wellness|massage|yoga|meditation|retreat|relaxation|peaceful|tranquil|serene|calm|quiet|rest|unwind|recharge|rejuvenate|pamper|luxury|comfort|resort|hotel|beach|pool|jacuzzi|sauna|steam|thermal|hot spring|mineral spring|detox|cleanse|mindfulness|spiritual|zen|holistic|natural|organic|healthy|fitness|gym|pilates|tai chi|qigong|acupuncture|aromatherapy|reflexology|facial|manicure|pedicure|beauty|treatment|therapy)\b/gi
   }
 };
-// Sleep utility for retry delays
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-// Make API call to OpenAI
-async function callOpenAI(prompt, retryCount = 0) {
-  const { apiKey, baseUrl, model, maxTokens, temperature } = API_CONFIG.openai;
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
-  const requestBody = {
-    model,
-    messages: [
-      {
-        role: 'system',
-        content: 'You are a professional travel agent expert at parsing trip descriptions into structured data. Always respond with valid JSON.'
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ],
-    max_tokens: maxTokens,
-    temperature,
+const parsingClient = createLLMClient({
+  providers: () => resolveProviders({
+    openai: createOpenAIProvider({ apiKey: getOpenAIKey, model: API_CONFIG.openai.model }),
+    anthropic: createAnthropicProvider({ apiKey: getAnthropicKey, model: API_CONFIG.anthropic.model }),
+  }),
+  timeout: API_CONFIG.timeout,
+  maxRetries: API_CONFIG.maxRetries,
+  retryDelay: API_CONFIG.retryDelay,
+});
+// Parse AI response and add defaults; the LLM client reports parse failures
+function parseAIResponse(responseText) {
+  const parsed = extractJson(responseText);
+  // Validate structure and add defaults for missing fields
+  const defaultStructure = {
+    destinations: {
+      primary: null,
+      secondary: [],
+      confidence: 0.1
+    },
+    dates: {
+      startDate: null,
+      endDate: null,
+      duration: null,
+      flexibility: 'flexible',
+      confidence: 0.1
+    },
+    budget: {
+      amount: null,
+      currency: null,
+      perPerson: true,
+      range: { min: null, max: null },
+      confidence: 0.1
+    },
+    groupSize: {
+      size: null,
+      type: 'solo',
+      ageGroups: [],
+      confidence: 0.1
+    },
+    activities: {
+      interests: [],
+      adventureLevel: 'moderate',
+      categories: [],
+      confidence: 0.1
+    },
+    accommodation: {
+      type: null,
+      preferences: [],
+      confidence: 0.1
+    },
+    transportation: {
+      preferences: [],
+      confidence: 0.1
+    },
+    specialRequirements: {
+      dietary: [],
+      accessibility: [],
+      other: [],
+      confidence: 0.1
+    },
+    tripStyle: {
+      pace: 'moderate',
+      planning: 'flexible',
+      socialLevel: 'social',
+      confidence: 0.1
+    },
+    overallConfidence: 0.1
   };
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
-    const response = await fetch(baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`OpenAI API request failed: ${response.status} - ${errorData.error?.message || response.statusText}`);
-    }
-    const data = await response.json();
-    if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-      throw new Error('Invalid OpenAI API response format');
-    }
-    return data.choices[0].message.content;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('OpenAI API request timeout');
-    }
-    // Retry logic
-    if (retryCount < API_CONFIG.maxRetries) {
-      const delay = API_CONFIG.retryDelay * Math.pow(2, retryCount);
-      await sleep(delay);
-      return callOpenAI(prompt, retryCount + 1);
-    }
-    throw error;
-  }
-}
-// Make API call to Anthropic Claude (fallback)
-async function callAnthropic(prompt, retryCount = 0) {
-  const { apiKey, baseUrl, model, maxTokens, temperature } = API_CONFIG.anthropic;
-  if (!apiKey) {
-    throw new Error('Anthropic API key not configured');
-  }
-  const requestBody = {
-    model,
-    max_tokens: maxTokens,
-    temperature,
-    messages: [
-      {
-        role: 'user',
-        content: prompt
+  // Merge parsed with defaults
+  function deepMerge(target, source) {
+    for (const key in source) {
+      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+        target[key] = target[key] || {};
+        deepMerge(target[key], source[key]);
+      } else if (source[key] !== undefined) {
+        target[key] = source[key];
       }
-    ]
-  };
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
-    const response = await fetch(baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Anthropic API request failed: ${response.status} - ${errorData.error?.message || response.statusText}`);
     }
-    const data = await response.json();
-    if (!data.content || !data.content[0] || !data.content[0].text) {
-      throw new Error('Invalid Anthropic API response format');
-    }
-    return data.content[0].text;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Anthropic API request timeout');
-    }
-    // Retry logic
-    if (retryCount < API_CONFIG.maxRetries) {
-      const delay = API_CONFIG.retryDelay * Math.pow(2, retryCount);
-      await sleep(delay);
-      return callAnthropic(prompt, retryCount + 1);
-    }
-    throw error;
+    return target;
   }
-}
-// Parse AI response and validate
-function parseAIResponse(responseText) {
-  try {
-    // Try to extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    const jsonText = jsonMatch ? jsonMatch[0] : responseText;
-    const parsed = JSON.parse(jsonText);
-    // Validate structure and add defaults for missing fields
-    const defaultStructure = {
-      destinations: {
-        primary: null,
-        secondary: [],
-        confidence: 0.1
-      },
-      dates: {
-        startDate: null,
-        endDate: null,
-        duration: null,
-        flexibility: 'flexible',
-        confidence: 0.1
-      },
-      budget: {
-        amount: null,
-        currency: null,
-        perPerson: true,
-        range: { min: null, max: null },
-        confidence: 0.1
-      },
-      groupSize: {
-        size: null,
-        type: 'solo',
-        ageGroups: [],
-        confidence: 0.1
-      },
-      activities: {
-        interests: [],
-        adventureLevel: 'moderate',
-        categories: [],
-        confidence: 0.1
-      },
-      accommodation: {
-        type: null,
-        preferences: [],
-        confidence: 0.1
-      },
-      transportation: {
-        preferences: [],
-        confidence: 0.1
-      },
-      specialRequirements: {
-        dietary: [],
-        accessibility: [],
-        other: [],
-        confidence: 0.1
-      },
-      tripStyle: {
-        pace: 'moderate',
-        planning: 'flexible',
-        socialLevel: 'social',
-        confidence: 0.1
-      },
-      overallConfidence: 0.1
-    };
-    // Merge parsed with defaults
-    function deepMerge(target, source) {
-      for (const key in source) {
-        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-          target[key] = target[key] || {};
-          deepMerge(target[key], source[key]);
-        } else if (source[key] !== undefined) {
-          target[key] = source[key];
-        }
+  const result = deepMerge(defaultStructure, parsed);
+  // Validate confidence scores
+  function validateConfidence(obj) {
+    if (obj && typeof obj === 'object') {
+      if ('confidence' in obj) {
+        obj.confidence = Math.max(0, Math.min(1, obj.confidence || 0.1));
       }
-      return target;
-    }
-    const result = deepMerge(defaultStructure, parsed);
-    // Validate confidence scores
-    function validateConfidence(obj) {
-      if (obj && typeof obj === 'object') {
-        if ('confidence' in obj) {
-          obj.confidence = Math.max(0, Math.min(1, obj.confidence || 0.1));
-        }
-        for (const key in obj) {
-          if (typeof obj[key] === 'object') {
-            validateConfidence(obj[key]);
-          }
+      for (const key in obj) {
+        if (typeof obj[key] === 'object') {
+          validateConfidence(obj[key]);
         }
       }
     }
-    validateConfidence(result);
-    result.overallConfidence = Math.max(0, Math.min(1, result.overallConfidence || 0.1));
-    return result;
-  } catch (error) {
-    throw new Error(`Failed to parse AI response: ${error.message}`);
   }
+  validateConfidence(result);
+  result.overallConfidence = Math.max(0, Math.min(1, result.overallConfidence || 0.1));
+  return result;
 }
 // Fallback parsing using regex patterns
 function fallbackParse(description) {
@@ -463,6 +355,8 @@ function fallbackParse(description) {
   result.overallConfidence = confidences.reduce((a, b) => a + b) / confidences.length;
   return result;
 }
+// Offline runs answer with the regex parser
+registerLocalResponder('trip_parse', ({ input }) => JSON.stringify(fallbackParse(input.description)));
 // Main parsing function
 export async function parseTripDescription(description, options = {}) {
   if (!description || typeof description !== 'string') {
@@ -485,22 +379,20 @@ export async function parseTripDescription(description, options = {}) {
   let result = null;
   let source = 'fallback';
   let error = null;
-  // Try OpenAI first
   try {
-    const aiResponse = await callOpenAI(prompt);
-    result = parseAIResponse(aiResponse);
-    source = 'openai';
-  } catch (openaiError) {
-    error = openaiError.message;
-    // Try Anthropic as fallback
-    try {
-      const aiResponse = await callAnthropic(prompt);
-      result = parseAIResponse(aiResponse);
-      source = 'anthropic';
-      error = null; // Clear error since Anthropic succeeded
-    } catch (anthropicError) {
-      error = `Both APIs failed - OpenAI: ${openaiError.message}, Anthropic: ${anthropicError.message}`;
-    }
+    const response = await parsingClient.complete({
+      task: 'trip_parse',
+      system: 'You are a professional travel agent expert at parsing trip descriptions into structured data. Always respond with valid JSON.',
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: API_CONFIG.maxTokens,
+      temperature: API_CONFIG.temperature,
+      input: { description: trimmedDescription },
+      parse: parseAIResponse,
+    });
+    result = response.data;
+    source = response.provider;
+  } catch (aiError) {
+    error = aiError.message;
   }
   // Use regex fallback if AI failed
   if (!result) {
@@ -553,8 +445,8 @@ export function clearNLPCache() {
 // Get service configuration for debugging
 export function getNLPServiceConfig() {
   return {
-    hasOpenAIKey: !!API_CONFIG.openai.apiKey,
-    hasAnthropicKey: !!API_CONFIG.anthropic.apiKey,
+    hasOpenAIKey: !!getOpenAIKey(),
+    hasAnthropicKey: !!getAnthropicKey(),
     openaiModel: API_CONFIG.openai.model,
     anthropicModel: API_CONFIG.anthropic.model,
     cacheTimeout: API_CONFIG.cacheTimeout,
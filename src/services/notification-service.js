@@ -1,5 +1,6 @@
 import { supabase } from '../lib/supabase';
 import whatsAppService from './whatsapp-service';
+import { whatsAppConversationEngine } from './whatsapp-conversation-service.js';
 import sentryService from './sentry-service.js';
 import { logger } from '../utils/logger.js';
 
@@ -198,7 +199,10 @@ class NotificationService {
           result = await whatsAppService.sendBookingConfirmation(phoneNumber, notification.data);
           break;
         case 'trip_reminder':
-          result = await whatsAppService.sendTripReminder(phoneNumber, notification.data);
+          // Reminders for a booking let the traveler confirm attendance from WhatsApp
+          result = notification.data?.bookingId
+            ? await whatsAppConversationEngine.sendTripReminder(phoneNumber, notification.data)
+            : await whatsAppService.sendTripReminder(phoneNumber, notification.data);
           break;
         case 'vendor_offer':
           result = await whatsAppService.sendVendorOffer(phoneNumber, notification.data);
@@ -388,6 +392,8 @@ class NotificationService {
           push_notifications: preferences.pushNotifications,
           email_notifications: preferences.emailNotifications,
           whatsapp_notifications: preferences.whatsappNotifications,
+          saved_search_notifications: preferences.savedSearchAlerts,
+          notification_frequency: preferences.frequency,
           updated_at: new Date().toISOString()
         })
         .eq('user_id', userId);
@@ -596,6 +602,79 @@ class NotificationService {
           { action: 'view_details', title: 'View Details' }
         ]
       },
+      saved_search_match: {
+        title: '🔎 New Match for Your Saved Search',
+        body: `${data.isNew ? 'New' : 'Updated'}: "${data.adventureTitle}" matches "${data.searchName}"`,
+        icon: '/icons/match.png',
+        type: 'saved_search_match',
+        data: {
+          savedSearchId: data.savedSearchId,
+          adventureId: data.adventureId,
+          url: `/adventures/${data.adventureId}`
+        },
+        actions: [
+          { action: 'view', title: 'View Adventure' }
+        ]
+      },
+      saved_search_digest: {
+        title: `🔎 Your ${data.frequency === 'weekly_digest' ? 'Weekly' : 'Daily'} Saved Search Digest`,
+        body: `${data.matchCount} new ${data.matchCount === 1 ? 'match' : 'matches'} for ${data.searches?.map(search => `"${search.name}"`).join(', ')}`,
+        icon: '/icons/match.png',
+        type: 'saved_search_digest',
+        data: {
+          matchCount: data.matchCount,
+          searches: data.searches,
+          adventures: data.adventures,
+          url: '/search'
+        }
+      },
+      price_alert: {
+        title: data.type === 'target_price' ? '💸 Target Price Reached!' : '📉 Price Drop!',
+        body: data.type === 'target_price'
+          ? `${data.adventureName} is now ${data.currency} ${data.currentPrice}, at or below your ${data.currency} ${data.targetPrice} target`
+          : `${data.adventureName} dropped ${data.dropPercent}% to ${data.currency} ${data.currentPrice}`,
+        icon: '/icons/offer.png',
+        type: 'price_alert',
+        data: {
+          alertId: data.alertId,
+          adventureId: data.adventureId,
+          previousPrice: data.previousPrice,
+          currentPrice: data.currentPrice,
+          url: `/adventures/${data.adventureId}`
+        },
+        actions: [
+          { action: 'view', title: 'View Adventure' }
+        ]
+      },
+      availability_alert: {
+        title: '📅 Dates Available!',
+        body: `${data.adventureName} has ${data.availableDates?.length} new ${data.availableDates?.length === 1 ? 'date' : 'dates'} in your window, starting ${data.availableDates?.[0]}`,
+        icon: '/icons/booking.png',
+        type: 'availability_alert',
+        data: {
+          alertId: data.alertId,
+          adventureId: data.adventureId,
+          availableDates: data.availableDates,
+          url: `/adventures/${data.adventureId}`
+        },
+        actions: [
+          { action: 'book', title: 'Book Now' }
+        ]
+      },
+      trip_feedback_request: {
+        title: data.reminder ? '⭐ Last chance to rate your trip' : '⭐ How was your trip?',
+        body: `Rate ${data.adventureName} and your travel companions`,
+        icon: '/icons/booking.png',
+        type: 'trip_feedback_request',
+        data: {
+          surveyId: data.surveyId,
+          bookingId: data.bookingId,
+          url: `/trips/feedback/${data.surveyId}`
+        },
+        actions: [
+          { action: 'rate', title: 'Share Feedback' }
+        ]
+      },
       webhook_failure: {
         title: '🚨 System Alert',
         body: `Critical webhook failure detected for ${data.eventType}`,
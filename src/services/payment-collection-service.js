@@ -5,6 +5,7 @@
 import { supabase } from '../lib/supabase.js';
 import { groupPaymentManager, paymentDeadlineManager, getSplitPaymentConfig } from './split-payment-service.js';
 import { notificationService } from './notification-service.js';
+import { jobQueue } from './durable-job-queue.js';
 // Payment collection configuration
 const COLLECTION_CONFIG = {
   reminderTypes: {
@@ -30,6 +31,11 @@ const COLLECTION_CONFIG = {
     escalateToOrganizerAfter: 3,
     autoRefundAfterDays: 7,
   },
+  automation: {
+    jobType: 'payment_collection',
+    intervalMinutes: 15,
+    maxRetries: 2,
+  },
 };
 // Fix the template references
 COLLECTION_CONFIG.templates.subject = {
@@ -51,11 +57,16 @@ export const paymentCollectionWorkflow = {
     try {
       const details = await groupPaymentManager.getSplitPaymentDetails(splitPaymentId);
       const { splitPayment, individualPayments } = details;
-      // Create initial payment requests for all participants
-      const reminderPromises = individualPayments.map(payment =>
-        this.schedulePaymentReminders(payment.id, payment.payment_deadline)
+      // Create initial payment requests for all participants; payment plans get
+      // a reminder schedule per installment due date
+      const reminderPromises = individualPayments.flatMap(payment =>
+        payment.installments?.length
+          ? payment.installments.map(installment =>
+            this.schedulePaymentReminders(payment.id, installment.due_date, { installmentId: installment.id })
+          )
+          : [this.schedulePaymentReminders(payment.id, payment.payment_deadline)]
       );
-      await Promise.all(reminderPromises);
+      const scheduled = await Promise.all(reminderPromises);
       // Send initial payment request notifications
       const notificationPromises = individualPayments.map(payment =>
         this.sendPaymentRequest(payment, splitPayment)
@@ -73,16 +84,16 @@ export const paymentCollectionWorkflow = {
       return {
         success: true,
         participantsNotified: individualPayments.length,
-        remindersScheduled: individualPayments.length,
+        remindersScheduled: scheduled.reduce((sum, count) => sum + count, 0),
       };
     } catch (error) {
       throw new Error(`Failed to initialize payment collection: ${error.message}`);
     }
   },
   /**
-   * Schedule payment reminders for an individual payment
+   * Schedule payment reminders for an individual payment (or one of its installments)
    */
-  async schedulePaymentReminders(individualPaymentId, paymentDeadline) {
+  async schedulePaymentReminders(individualPaymentId, paymentDeadline, { installmentId = null } = {}) {
     try {
       const config = getSplitPaymentConfig();
       const deadlineDate = new Date(paymentDeadline);
@@ -97,6 +108,7 @@ export const paymentCollectionWorkflow = {
           const reminderType = this.getReminderType(hoursBeforeDeadline);
           reminders.push({
             individual_payment_id: individualPaymentId,
+            installment_id: installmentId,
             reminder_type: reminderType,
             scheduled_for: reminderTime.toISOString(),
             status: 'scheduled',
@@ -109,6 +121,7 @@ export const paymentCollectionWorkflow = {
       if (finalNoticeTime > now) {
         reminders.push({
           individual_payment_id: individualPaymentId,
+          installment_id: installmentId,
           reminder_type: COLLECTION_CONFIG.reminderTypes.FINAL_NOTICE,
           scheduled_for: finalNoticeTime.toISOString(),
           status: 'scheduled',
@@ -119,6 +132,7 @@ export const paymentCollectionWorkflow = {
       if (overdueTime > now) {
         reminders.push({
           individual_payment_id: individualPaymentId,
+          installment_id: installmentId,
           reminder_type: COLLECTION_CONFIG.reminderTypes.OVERDUE,
           scheduled_for: overdueTime.toISOString(),
           status: 'scheduled',
@@ -165,12 +179,17 @@ export const paymentCollectionWorkflow = {
         .single();
       if (bookingError) {
       }
+      // Payment plans ask for the deposit first and list the remaining installments
+      const [firstInstallment, ...laterInstallments] = individualPayment.installments || [];
+      const message = firstInstallment
+        ? `Your deposit of $${(firstInstallment.amount_due / 100).toFixed(2)} for ${bookingData?.title || 'your booking'} is due by ${new Date(firstInstallment.due_date).toLocaleDateString()}, followed by ${laterInstallments.length} installment(s) totalling $${((individualPayment.amount_due - firstInstallment.amount_due) / 100).toFixed(2)}`
+        : `Your payment of $${(individualPayment.amount_due / 100).toFixed(2)} is required for ${bookingData?.title || 'your booking'}`;
       // Create payment request notification
       const notification = {
         userId: individualPayment.user_id,
         type: 'payment_request',
         title: 'Payment Required',
-        message: `Your payment of $${(individualPayment.amount_due / 100).toFixed(2)} is required for ${bookingData?.title || 'your booking'}`,
+        message,
         data: {
           individualPaymentId: individualPayment.id,
           splitPaymentId: splitPayment.id,
@@ -179,6 +198,11 @@ export const paymentCollectionWorkflow = {
           currency: splitPayment.currency,
           deadline: individualPayment.payment_deadline,
           organizerId: splitPayment.organizer_id,
+          installments: (individualPayment.installments || []).map(installment => ({
+            id: installment.id,
+            amountDue: installment.amount_due,
+            dueDate: installment.due_date,
+          })),
         },
         channels: ['push', 'email'],
       };
@@ -204,7 +228,8 @@ export const paymentCollectionWorkflow = {
           individual_payments (
             *,
             split_payments (*)
-          )
+          ),
+          payment_installments (*)
         `)
         .eq('status', 'scheduled')
         .lte('scheduled_for', now.toISOString())
@@ -230,12 +255,20 @@ export const paymentCollectionWorkflow = {
    */
   async sendScheduledReminder(reminder) {
     try {
-      const { individual_payments: payment } = reminder;
+      const { individual_payments: individualPayment, payment_installments: installment } = reminder;
       // Skip if payment is already completed
-      if (payment.status === 'paid' || payment.status === 'refunded') {
+      if (individualPayment.status === 'paid' || individualPayment.status === 'refunded') {
         await this.cancelReminder(reminder.id, 'payment_completed');
         return { skipped: true, reason: 'payment_completed' };
       }
+      if (installment && installment.status === 'paid') {
+        await this.cancelReminder(reminder.id, 'installment_paid');
+        return { skipped: true, reason: 'installment_paid' };
+      }
+      // Installment reminders quote the installment amount and due date
+      const payment = installment
+        ? { ...individualPayment, amount_due: installment.amount_due, payment_deadline: installment.due_date }
+        : individualPayment;
       // Get booking details for personalization
       const { data: bookingData } = await supabase
         .from('bookings')
@@ -261,6 +294,7 @@ export const paymentCollectionWorkflow = {
           amountDue: payment.amount_due,
           currency: payment.split_payments.currency,
           deadline: payment.payment_deadline,
+          installmentId: installment?.id || null,
           reminderType: reminder.reminder_type,
         },
         channels: this.getNotificationChannels(reminder.reminder_type, userData?.notification_preferences),
@@ -284,6 +318,15 @@ export const paymentCollectionWorkflow = {
           last_reminder_sent: new Date().toISOString(),
         })
         .eq('id', payment.id);
+      if (installment) {
+        await supabase
+          .from('payment_installments')
+          .update({
+            reminder_count: (installment.reminder_count || 0) + 1,
+            last_reminder_sent: new Date().toISOString(),
+          })
+          .eq('id', installment.id);
+      }
       return { sent: true, reminderType: reminder.reminder_type };
     } catch (error) {
       // Mark reminder as failed
@@ -459,13 +502,28 @@ export const collectionAutomation = {
     }
   },
   /**
-   * Schedule automated collection job (to be called by cron/scheduler)
+   * Queue the next automated collection run on the shared job queue
    */
-  async scheduleCollectionJob() {
-    // This would integrate with your job scheduler (e.g., node-cron, Bull Queue, etc.)
-    return true;
+  async scheduleCollectionJob({ runAt = null } = {}) {
+    const { jobType, intervalMinutes, maxRetries } = COLLECTION_CONFIG.automation;
+    const intervalMs = intervalMinutes * 60 * 1000;
+    // Runs are aligned to interval windows so every instance queues the same run
+    const windowStart = runAt
+      ? new Date(runAt)
+      : new Date((Math.floor(Date.now() / intervalMs) + 1) * intervalMs);
+    const { job, duplicate } = await jobQueue.enqueue(jobType, { windowStart: windowStart.toISOString() }, {
+      idempotencyKey: `${jobType}:${windowStart.toISOString()}`,
+      runAt: windowStart,
+      maxRetries,
+    });
+    return { jobId: job.id, runAt: job.runAt, duplicate };
   },
 };
+// Each run queues the next one first, so the schedule survives restarts and failed runs
+jobQueue.registerHandler(COLLECTION_CONFIG.automation.jobType, async () => {
+  await collectionAutomation.scheduleCollectionJob();
+  return collectionAutomation.runAutomatedCollection();
+});
 // Export configuration getter
 export const getCollectionConfig = () => COLLECTION_CONFIG;
 // Main export
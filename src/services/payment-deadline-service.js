@@ -96,7 +96,11 @@ export const deadlineEnforcement = {
         .lt('payment_deadline', graceDeadline.toISOString())
         .order('payment_deadline', { ascending: true });
       if (error) throw error;
-      return payments.filter(payment => {
+      const installmentPlans = await this.findOverdueInstallmentPlans(
+        graceDeadline,
+        payments.map(payment => payment.id)
+      );
+      return [...payments, ...installmentPlans].filter(payment => {
         // Don't process if already in refund process
         return !payment.status.includes('refund') && !payment.status.includes('cancelled');
       });
@@ -104,13 +108,48 @@ export const deadlineEnforcement = {
       throw new Error(`Failed to find overdue payments: ${error.message}`);
     }
   },
+  /**
+   * Find payment plans with a missed deposit or installment before the final deadline
+   * Each result is scoped to its overdue installments so only notices and escalation apply
+   */
+  async findOverdueInstallmentPlans(graceDeadline, excludeSplitPaymentIds = []) {
+    const { data: overdueInstallments, error } = await supabase
+      .from('payment_installments')
+      .select('*')
+      .in('status', ['pending', 'failed'])
+      .lt('due_date', graceDeadline.toISOString())
+      .order('due_date', { ascending: true });
+    if (error) throw error;
+    const splitPaymentIds = [...new Set((overdueInstallments || []).map(installment => installment.split_payment_id))]
+      .filter(id => !excludeSplitPaymentIds.includes(id));
+    if (splitPaymentIds.length === 0) return [];
+    const { data: plans, error: plansError } = await supabase
+      .from('split_payments')
+      .select(`
+        *,
+        individual_payments (*),
+        bookings (title, status)
+      `)
+      .in('id', splitPaymentIds)
+      .in('status', ['pending', 'partially_paid', 'collection_started']);
+    if (plansError) throw plansError;
+    return (plans || []).map(plan => {
+      const overdue = overdueInstallments.filter(installment => installment.split_payment_id === plan.id);
+      return {
+        ...plan,
+        enforcement_scope: 'installment',
+        overdue_installments: overdue,
+        effective_deadline: overdue[0].due_date,
+      };
+    });
+  },
   /**
    * Process a single overdue payment
    */
   async processOverduePayment(splitPayment) {
     try {
       const now = new Date();
-      const deadline = new Date(splitPayment.payment_deadline);
+      const deadline = new Date(splitPayment.effective_deadline || splitPayment.payment_deadline);
       const overdueMinutes = Math.floor((now - deadline) / (1000 * 60));
       // Calculate payment statistics
       const stats = groupPaymentManager.calculatePaymentStats(splitPayment.individual_payments);
@@ -140,10 +179,12 @@ export const deadlineEnforcement = {
     const finalActionDelayMinutes = config.enforcement.finalActionDelayHours * 60;
     // Calculate time since grace period ended
     const postGraceMinutes = Math.max(0, overdueMinutes - graceMinutes);
-    // Check if we're in final action window
-    const isInFinalActionWindow = overdueMinutes >= finalActionDelayMinutes;
+    // Check if we're in final action window; a missed installment before the final
+    // deadline never triggers refunds or cancellation, only notices and escalation
+    const isInstallmentScope = splitPayment.enforcement_scope === 'installment';
+    const isInFinalActionWindow = !isInstallmentScope && overdueMinutes >= finalActionDelayMinutes;
     // Determine action based on completion percentage and time
-    if (stats.meetsMinimumThreshold) {
+    if (!isInstallmentScope && stats.meetsMinimumThreshold) {
       // If minimum threshold is met, proceed with booking
       return {
         type: 'proceed_partial',
@@ -222,7 +263,9 @@ export const deadlineEnforcement = {
    */
   async sendOverdueNotice(splitPayment, stats, action) {
     try {
-      const pendingPayments = splitPayment.individual_payments.filter(p => p.status === 'pending');
+      const pendingPayments = splitPayment.overdue_installments
+        ? this.getOverdueInstallmentPayments(splitPayment)
+        : splitPayment.individual_payments.filter(p => ['pending', 'partially_paid'].includes(p.status));
       const notificationPromises = pendingPayments.map(payment =>
         this.sendOverdueNotificationToParticipant(payment, splitPayment, action)
       );
@@ -236,16 +279,38 @@ export const deadlineEnforcement = {
       throw new Error(`Failed to send overdue notices: ${error.message}`);
     }
   },
+  /**
+   * Individual payments carrying the amount and due date of their overdue installments
+   */
+  getOverdueInstallmentPayments(splitPayment) {
+    return splitPayment.individual_payments
+      .map(payment => {
+        const overdue = splitPayment.overdue_installments
+          .filter(installment => installment.individual_payment_id === payment.id);
+        if (overdue.length === 0) return null;
+        return {
+          ...payment,
+          amount_due: overdue.reduce((sum, installment) => sum + installment.amount_due - (installment.amount_paid || 0), 0),
+          payment_deadline: overdue[0].due_date,
+        };
+      })
+      .filter(Boolean);
+  },
   /**
    * Escalate to organizer - notify them of the situation
    */
   async escalateToOrganizer(splitPayment, stats, action) {
     try {
+      const overdueParticipants = splitPayment.overdue_installments
+        ? this.getOverdueInstallmentPayments(splitPayment)
+        : null;
       const notification = {
         userId: splitPayment.organizer_id,
         type: 'payment_deadline_escalation',
-        title: 'Group Payment Deadline Passed',
-        message: `Your group payment is ${stats.completionPercentage.toFixed(1)}% complete. ${stats.pendingCount} participants still need to pay. Action required.`,
+        title: overdueParticipants ? 'Group Payment Installment Missed' : 'Group Payment Deadline Passed',
+        message: overdueParticipants
+          ? `${overdueParticipants.length} participant(s) missed an installment. Your group payment is ${stats.completionPercentage.toFixed(1)}% complete. Action required.`
+          : `Your group payment is ${stats.completionPercentage.toFixed(1)}% complete. ${stats.pendingCount} participants still need to pay. Action required.`,
         data: {
           splitPaymentId: splitPayment.id,
           bookingId: splitPayment.booking_id,
@@ -253,12 +318,25 @@ export const deadlineEnforcement = {
           pendingParticipants: stats.pendingCount,
           escalationLevel: action.escalationLevel,
           deadline: splitPayment.payment_deadline,
-          nextAction: 'Automatic refunds will be processed in 24 hours if minimum threshold is not met',
+          nextAction: overdueParticipants
+            ? 'Missed installments must be paid before the final payment deadline'
+            : 'Automatic refunds will be processed in 24 hours if minimum threshold is not met',
         },
         channels: ['push', 'email'],
         priority: 'high',
       };
       await notificationService.sendNotification(notification);
+      if (overdueParticipants) {
+        // Participants behind on their plan get another overdue notice rather than a cancellation warning
+        await Promise.allSettled(overdueParticipants.map(payment =>
+          this.sendOverdueNotificationToParticipant(payment, splitPayment, action)
+        ));
+        return {
+          success: true,
+          organizerNotified: true,
+          participantsNotified: overdueParticipants.length,
+        };
+      }
       // Also send summary to all pending participants
       await this.sendFinalNoticeToParticipants(splitPayment, stats);
       return {
@@ -390,17 +468,19 @@ export const deadlineEnforcement = {
         userId: individualPayment.user_id,
         type: 'payment_overdue',
         title: `${urgencyLevel}: Payment Overdue`,
-        message: `Your payment of $${(individualPayment.amount_due / 100).toFixed(2)} is overdue. ${
-          action.escalationLevel >= 2
-            ? `The booking may be cancelled and refunds processed within ${timeframe} if payment is not received.`
-            : `Please pay ${timeframe} to avoid cancellation.`
-        }`,
+        message: splitPayment.enforcement_scope === 'installment'
+          ? `Your installment of $${(individualPayment.amount_due / 100).toFixed(2)} was due on ${new Date(individualPayment.payment_deadline).toLocaleDateString()}. Please pay ${timeframe} to keep your place on the trip.`
+          : `Your payment of $${(individualPayment.amount_due / 100).toFixed(2)} is overdue. ${
+            action.escalationLevel >= 2
+              ? `The booking may be cancelled and refunds processed within ${timeframe} if payment is not received.`
+              : `Please pay ${timeframe} to avoid cancellation.`
+          }`,
         data: {
           individualPaymentId: individualPayment.id,
           splitPaymentId: splitPayment.id,
           bookingId: splitPayment.booking_id,
           amountDue: individualPayment.amount_due,
-          deadline: splitPayment.payment_deadline,
+          deadline: individualPayment.payment_deadline || splitPayment.payment_deadline,
           escalationLevel: action.escalationLevel,
           urgency: urgencyLevel,
         },
@@ -3,6 +3,7 @@
  * Handles comprehensive payment reconciliation, transaction matching, and discrepancy detection
  */
 import { supabase } from '../lib/supabase.js';
+import CurrencyService from './currency-service.js';
 // Configuration for reconciliation logic
 const RECONCILIATION_CONFIG = {
   matchingToleranceAmount: 50, // cents - allow small differences due to processing fees
@@ -297,6 +298,35 @@ class PaymentReconciliationService {
     }
     return matchingResults;
   }
+  /**
+   * Express a database payment in the currency Stripe charged
+   * Converted charges carry the rate snapshot used at payment time, either on the
+   * payment metadata or on the payment intent, so the charged amount is reproduced exactly.
+   */
+  getComparablePayment(dbPayment, stripePayment) {
+    const stripeMetadata = stripePayment.metadata || {};
+    const snapshot = dbPayment.metadata?.exchange_rate_snapshot || (stripeMetadata.exchange_rate
+      ? {
+        from_currency: stripeMetadata.original_currency,
+        to_currency: stripePayment.currency,
+        rate: Number(stripeMetadata.exchange_rate),
+      }
+      : null);
+    const sameCurrency = (a, b) => (a || '').toUpperCase() === (b || '').toUpperCase();
+    if (
+      snapshot &&
+      !sameCurrency(dbPayment.currency, stripePayment.currency) &&
+      sameCurrency(dbPayment.currency, snapshot.from_currency) &&
+      sameCurrency(stripePayment.currency, snapshot.to_currency)
+    ) {
+      return {
+        amount: CurrencyService.applyRateSnapshot(dbPayment.amount, snapshot),
+        currency: stripePayment.currency,
+        exchangeRateSnapshot: snapshot,
+      };
+    }
+    return { amount: dbPayment.amount, currency: dbPayment.currency, exchangeRateSnapshot: null };
+  }
   /**
    * Calculate match score between database and Stripe payment
    */
@@ -304,9 +334,10 @@ class PaymentReconciliationService {
     if (!stripePayment) return 0;
     let score = 0;
     let totalChecks = 0;
+    const comparable = this.getComparablePayment(dbPayment, stripePayment);
     // Amount matching (most important)
     totalChecks += 3;
-    const amountDiff = Math.abs(dbPayment.amount - stripePayment.amount);
+    const amountDiff = Math.abs(comparable.amount - stripePayment.amount);
     if (amountDiff === 0) {
       score += 3;
     } else if (amountDiff <= RECONCILIATION_CONFIG.matchingToleranceAmount) {
@@ -316,7 +347,7 @@ class PaymentReconciliationService {
     }
     // Currency matching
     totalChecks += 1;
-    if (dbPayment.currency === stripePayment.currency) {
+    if (comparable.currency === stripePayment.currency) {
       score += 1;
     }
     // Status matching
@@ -341,14 +372,17 @@ class PaymentReconciliationService {
    */
   validatePaymentMatch(dbPayment, stripePayment) {
     const discrepancies = [];
+    const comparable = this.getComparablePayment(dbPayment, stripePayment);
     // Amount validation
-    const amountDiff = Math.abs(dbPayment.amount - stripePayment.amount);
+    const amountDiff = Math.abs(comparable.amount - stripePayment.amount);
     if (amountDiff > RECONCILIATION_CONFIG.matchingToleranceAmount) {
       discrepancies.push({
         type: RECONCILIATION_CONFIG.discrepancyTypes.AMOUNT_MISMATCH,
-        description: `Amount difference: DB ${dbPayment.amount} vs Stripe ${stripePayment.amount}`,
+        description: comparable.exchangeRateSnapshot
+          ? `Amount difference: DB ${dbPayment.amount} ${dbPayment.currency} (${comparable.amount} at recorded rate ${comparable.exchangeRateSnapshot.rate}) vs Stripe ${stripePayment.amount}`
+          : `Amount difference: DB ${dbPayment.amount} vs Stripe ${stripePayment.amount}`,
         severity: amountDiff > 1000 ? 'high' : 'medium',
-        dbValue: dbPayment.amount,
+        dbValue: comparable.amount,
         stripeValue: stripePayment.amount,
         difference: amountDiff,
       });
@@ -365,7 +399,7 @@ class PaymentReconciliationService {
       });
     }
     // Currency validation
-    if (dbPayment.currency !== stripePayment.currency) {
+    if (comparable.currency !== stripePayment.currency) {
       discrepancies.push({
         type: RECONCILIATION_CONFIG.discrepancyTypes.AMOUNT_MISMATCH,
         description: `Currency mismatch: DB ${dbPayment.currency} vs Stripe ${stripePayment.currency}`,
@@ -6,6 +6,7 @@ import { supabase } from '../lib/supabase.js';
 import { payments } from './stripe-service.js';
 import { groupPaymentManager, getSplitPaymentConfig } from './split-payment-service.js';
 import { notificationService } from './notification-service.js';
+import CurrencyService from './currency-service.js';
 // Refund configuration
 const REFUND_CONFIG = {
   reasons: {
@@ -937,8 +938,10 @@ export const refundPolicyEngine = {
   },
   /**
    * Calculate final refund amount based on policies
+   * When the charge was converted, pass its rate snapshot to also get the refund
+   * in the original currency at the rate that was charged.
    */
-  calculateRefundAmount(originalAmount, eligibility, fees = {}) {
+  calculateRefundAmount(originalAmount, eligibility, fees = {}, exchangeRateSnapshot = null) {
     if (!eligibility.eligible) {
       return {
         refundAmount: 0,
@@ -952,7 +955,7 @@ export const refundPolicyEngine = {
     const platformFee = fees.platformFee || 0;
     const processingFee = fees.processingFee || Math.round(baseRefund * 0.029); // 2.9% processing fee
     const netRefund = Math.max(0, baseRefund - platformFee - processingFee);
-    return {
+    const result = {
       refundAmount: baseRefund,
       platformFee,
       processingFee,
@@ -965,6 +968,21 @@ export const refundPolicyEngine = {
         finalRefund: netRefund,
       },
     };
+    if (exchangeRateSnapshot && exchangeRateSnapshot.from_currency !== exchangeRateSnapshot.to_currency) {
+      const { from_currency: originalCurrency, to_currency: chargedCurrency } = exchangeRateSnapshot;
+      const refundInOriginal = CurrencyService.applyRateSnapshot(
+        CurrencyService.stripeToDisplay(netRefund, chargedCurrency),
+        exchangeRateSnapshot,
+        originalCurrency
+      );
+      result.originalCurrencyRefund = {
+        currency: originalCurrency,
+        amount: CurrencyService.displayToStripe(refundInOriginal, originalCurrency),
+        rate: exchangeRateSnapshot.rate,
+        rateAsOf: exchangeRateSnapshot.rate_as_of,
+      };
+    }
+    return result;
   },
 };
 // Export configuration
@@ -4,6 +4,7 @@
  */
 import { supabase } from '../lib/supabase.js';
 import { payoutProcessingService } from './payout-processing-service.js';
+import { jobQueue } from './durable-job-queue.js';
 // Payout schedule configurations
 const PAYOUT_SCHEDULES = {
   DAILY: {
@@ -37,14 +38,19 @@ const DEFAULT_CONFIG = {
   batchSize: 50,
   processingTimeout: 300000, // 5 minutes
 };
+// Job type for payouts on the shared job queue
+const PAYOUT_JOB_TYPE = 'vendor_payout';
 class PayoutSchedulerService {
   constructor() {
     this.isRunning = false;
     this.scheduledJobs = new Map();
     this.config = { ...DEFAULT_CONFIG };
-    this.processingQueue = [];
-    this.activeProcessors = 0;
-    this.maxConcurrentProcessors = 3;
+    this.queue = jobQueue;
+    // Registered on every instance so any queue worker can run payouts
+    this.queue.registerHandler(PAYOUT_JOB_TYPE, job => this.processPayoutJob(job), {
+      priority: 'high',
+      onDeadLetter: (job, error) => this.logFailedPayout({ ...job.data, retryCount: job.attempts, queueJobId: job.id }, error),
+    });
   }
   /**
    * Initialize the scheduler service
@@ -168,6 +174,8 @@ class PayoutSchedulerService {
       return;
     }
     this.isRunning = true;
+    // Queued payouts run on the shared job queue workers
+    this.queue.start();
     // Run scheduler check every 5 minutes
     this.schedulerInterval = setInterval(() => {
       this.processScheduledJobs();
@@ -230,58 +238,41 @@ class PayoutSchedulerService {
         job.status = 'scheduled';
         return;
       }
-      // Add to processing queue
-      this.processingQueue.push({
-        job,
-        pendingAmount,
-        timestamp: Date.now(),
+      // Queue the payout - the idempotency key stops other instances paying out the same run twice
+      await this.queue.enqueue(PAYOUT_JOB_TYPE, {
+        vendorId,
+        stripeAccountId,
+        amount: pendingAmount,
+        interval: job.schedule.interval,
+      }, {
+        idempotencyKey: `payout:${vendorId}:${job.schedule.interval}:${new Date().toISOString().slice(0, 10)}`,
+        maxRetries: this.config.maxRetries,
+        retryDelay: this.config.retryDelay,
+        timeout: this.config.processingTimeout,
       });
-      // Process queue if not at capacity
-      if (this.activeProcessors < this.maxConcurrentProcessors) {
-        this.processQueue();
-      }
+      job.nextExecution = this.calculateNextExecution(job.schedule);
+      job.status = 'scheduled';
+      job.retryCount = 0;
     } catch (error) {
       job.status = 'failed';
       throw error;
     }
   }
   /**
-   * Process the payout queue
+   * Process a queued payout - failures are retried with backoff by the job queue
    */
-  async processQueue() {
-    if (this.processingQueue.length === 0 || this.activeProcessors >= this.maxConcurrentProcessors) {
-      return;
-    }
-    this.activeProcessors++;
-    try {
-      const queueItem = this.processingQueue.shift();
-      if (!queueItem) {
-        return;
-      }
-      const { job, pendingAmount } = queueItem;
-      // Process the actual payout
-      const result = await payoutProcessingService.processVendorPayout({
-        vendorStripeAccountId: job.vendorId,
-        amount: pendingAmount,
-        currency: 'usd',
-        description: `Scheduled payout for ${job.schedule.interval} period`,
-      });
-      if (result.success) {
-        // Update job for next execution
-        job.nextExecution = this.calculateNextExecution(job.schedule);
-        job.status = 'scheduled';
-        job.retryCount = 0;
-      } else {
-        throw new Error(result.error || 'Payout processing failed');
-      }
-    } catch (error) {
-    } finally {
-      this.activeProcessors--;
-      // Continue processing queue if items remain
-      if (this.processingQueue.length > 0 && this.activeProcessors < this.maxConcurrentProcessors) {
-        setTimeout(() => this.processQueue(), 1000);
-      }
+  async processPayoutJob(queueJob) {
+    const { vendorId, amount, interval } = queueJob.data;
+    const result = await payoutProcessingService.processVendorPayout({
+      vendorStripeAccountId: vendorId,
+      amount,
+      currency: 'usd',
+      description: `Scheduled payout for ${interval} period`,
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Payout processing failed');
     }
+    return result;
   }
   /**
    * Calculate pending payout amount for a vendor
@@ -426,8 +417,8 @@ class PayoutSchedulerService {
     const stats = {
       isRunning: this.isRunning,
       totalJobs: this.scheduledJobs.size,
-      activeProcessors: this.activeProcessors,
-      queueLength: this.processingQueue.length,
+      activeProcessors: [...this.queue.activeJobs.values()].filter(({ job }) => job.type === PAYOUT_JOB_TYPE).length,
+      queueStore: this.queue.store.name,
       config: this.config,
       jobs: {},
     };
@@ -444,5 +435,5 @@ class PayoutSchedulerService {
 }
 // Create singleton instance
 const payoutSchedulerService = new PayoutSchedulerService();
-export { payoutSchedulerService, PAYOUT_SCHEDULES };
+export { payoutSchedulerService, PAYOUT_SCHEDULES, PAYOUT_JOB_TYPE };
 export default payoutSchedulerService;
\ No newline at end of file
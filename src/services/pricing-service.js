@@ -0,0 +1,419 @@
+/**
+ * Pricing Service
+ * One engine for adventure quotes: base price, seasonal windows, group-size tiers,
+ * early-bird and last-minute rules, promo codes and currency. Quotes are itemized
+ * in the smallest currency unit and locked onto the booking, so checkout, split
+ * payments and invoices all work from the same numbers.
+ */
+import { supabase } from '../lib/supabase.js';
+import CurrencyService from './currency-service.js';
+import { promoEngine, toPromoError } from './promo-service.js';
+
+// Pricing configuration
+const PRICING_CONFIG = {
+  defaultCurrency: 'USD',
+  quoteValidityMinutes: 30, // A quote must be locked onto a booking within this window
+  lineItemTypes: {
+    BASE: 'base',
+    SEASONAL: 'seasonal',
+    GROUP_DISCOUNT: 'group_discount',
+    EARLY_BIRD: 'early_bird',
+    LAST_MINUTE: 'last_minute',
+    PROMO: 'promo',
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ITEM = PRICING_CONFIG.lineItemTypes;
+// Line items that make up the undiscounted price
+const SUBTOTAL_TYPES = [ITEM.BASE, ITEM.SEASONAL];
+
+const toDateKey = (date) => (typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10));
+const toNumber = (value, fallback = null) => {
+  const number = Number(value);
+  return value === '' || value === null || value === undefined || !Number.isFinite(number) ? fallback : number;
+};
+
+/**
+ * Validate and normalize pricing rules
+ * @param {Object} raw - PricingConfiguration state: basePrice, currency, seasonalPricing,
+ *   groupDiscounts, earlyBird { minDaysBefore, discountPercent },
+ *   lastMinute { maxDaysBefore, discountPercent }. The { season, modifier } and
+ *   { size, discount } shapes used in adventure listings are accepted as well.
+ */
+export function normalizePricingRules(raw = {}) {
+  const basePrice = toNumber(raw.basePrice ?? raw.price);
+  if (basePrice === null || basePrice < 0) {
+    throw new Error('Pricing rules need a non-negative base price');
+  }
+
+  const currency = (raw.currency || PRICING_CONFIG.defaultCurrency).toUpperCase();
+  if (!CurrencyService.isValidCurrency(currency)) {
+    throw new Error(`Currency ${currency} is not supported`);
+  }
+
+  const seasons = (raw.seasonalPricing || []).map(season => ({
+    name: season.name || season.season || 'Seasonal pricing',
+    startDate: season.startDate ? toDateKey(season.startDate) : null,
+    endDate: season.endDate || season.startDate ? toDateKey(season.endDate || season.startDate) : null,
+    months: (season.months || []).map(Number),
+    priceType: season.priceType === 'fixed' ? 'fixed' : 'multiplier',
+    multiplier: toNumber(season.priceMultiplier ?? season.modifier, 1),
+    fixedPrice: toNumber(season.fixedPrice),
+  }));
+
+  const groupTiers = (raw.groupDiscounts || [])
+    .map(discount => ({
+      minGroupSize: parseInt(discount.minGroupSize ?? discount.size) || 0,
+      type: discount.discountType === 'fixed' ? 'fixed' : 'percentage',
+      value: toNumber(discount.discountValue ?? discount.discount, 0),
+    }))
+    .filter(tier => tier.minGroupSize > 1 && tier.value > 0)
+    .sort((a, b) => a.minGroupSize - b.minGroupSize);
+
+  const windowRule = (rule, dayField) => {
+    const days = toNumber(rule?.[dayField]);
+    const percent = toNumber(rule?.discountPercent, 0);
+    if (!rule || rule.enabled === false || days === null || percent <= 0) return null;
+    return { [dayField]: days, discountPercent: Math.min(percent, 100) };
+  };
+
+  return {
+    basePrice,
+    currency,
+    seasons,
+    groupTiers,
+    earlyBird: windowRule(raw.earlyBird, 'minDaysBefore'),
+    lastMinute: windowRule(raw.lastMinute, 'maxDaysBefore'),
+  };
+}
+
+/**
+ * Season that applies on a date. Seasons with explicit dates win over
+ * month-based ones.
+ */
+export function findSeason(seasons = [], dateKey) {
+  const month = parseInt(dateKey.slice(5, 7));
+  return seasons.find(season => season.startDate && dateKey >= season.startDate && dateKey <= season.endDate)
+    || seasons.find(season => !season.startDate && season.months.includes(month))
+    || null;
+}
+
+/**
+ * Largest group tier the group qualifies for
+ */
+export function findGroupTier(groupTiers = [], participants) {
+  return groupTiers.filter(tier => participants >= tier.minGroupSize).pop() || null;
+}
+
+const summarizeQuote = (quote) => {
+  const total = quote.lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const subtotal = quote.lineItems
+    .filter(item => SUBTOTAL_TYPES.includes(item.type))
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  return {
+    ...quote,
+    subtotal,
+    discountTotal: subtotal - total,
+    total,
+    perPerson: Math.round(total / quote.participants),
+  };
+};
+
+/**
+ * Price a booking
+ * @param {Object} rules - From normalizePricingRules
+ * @param {Object} options - participants, tripDate, bookedAt, promo { code, type: 'percent'|'fixed', value }
+ * @returns {Object} Quote with lineItems [{ type, description, quantity, unitAmount, amount }];
+ *   all amounts are in the smallest unit of quote.currency
+ */
+export function calculateQuote(rules, { participants, tripDate = null, bookedAt = new Date(), promo = null } = {}) {
+  const count = parseInt(participants);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('A quote needs at least one participant');
+  }
+
+  const toMinor = (amount) => CurrencyService.displayToStripe(amount, rules.currency);
+  const date = tripDate ? toDateKey(tripDate) : null;
+  const lineItems = [];
+  const addItem = (type, description, quantity, unitAmount) => {
+    lineItems.push({ type, description, quantity, unitAmount, amount: unitAmount * quantity });
+  };
+
+  const baseUnit = toMinor(rules.basePrice);
+  addItem(ITEM.BASE, 'Base price', count, baseUnit);
+  let unit = baseUnit;
+
+  const season = date ? findSeason(rules.seasons, date) : null;
+  if (season) {
+    const seasonalUnit = season.priceType === 'fixed' && season.fixedPrice !== null
+      ? toMinor(season.fixedPrice)
+      : Math.round(baseUnit * season.multiplier);
+    if (seasonalUnit !== baseUnit) {
+      addItem(ITEM.SEASONAL, season.name, count, seasonalUnit - baseUnit);
+    }
+    unit = seasonalUnit;
+  }
+
+  const tier = findGroupTier(rules.groupTiers, count);
+  if (tier) {
+    const off = tier.type === 'fixed'
+      ? Math.min(toMinor(tier.value), unit)
+      : Math.round(unit * Math.min(tier.value, 100) / 100);
+    if (off > 0) {
+      addItem(ITEM.GROUP_DISCOUNT, `Group of ${tier.minGroupSize}+ discount`, count, -off);
+      unit -= off;
+    }
+  }
+
+  // Early-bird and last-minute rules discount the price after season and group size
+  if (date) {
+    const daysBefore = Math.floor((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${toDateKey(bookedAt)}T00:00:00Z`)) / DAY_MS);
+    let windowRule = null;
+    if (rules.earlyBird && daysBefore >= rules.earlyBird.minDaysBefore) {
+      windowRule = { ...rules.earlyBird, type: ITEM.EARLY_BIRD, description: `Early-bird discount (${rules.earlyBird.minDaysBefore}+ days ahead)` };
+    } else if (rules.lastMinute && daysBefore >= 0 && daysBefore <= rules.lastMinute.maxDaysBefore) {
+      windowRule = { ...rules.lastMinute, type: ITEM.LAST_MINUTE, description: 'Last-minute discount' };
+    }
+
+    const off = windowRule ? Math.round(unit * windowRule.discountPercent / 100) : 0;
+    if (off > 0) {
+      addItem(windowRule.type, windowRule.description, count, -off);
+    }
+  }
+
+  // Promo codes apply once to the whole booking
+  if (promo) {
+    const running = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    const off = promo.type === 'fixed'
+      ? Math.min(toMinor(Number(promo.value) || 0), running)
+      : Math.round(running * Math.min(Number(promo.value) || 0, 100) / 100);
+    if (off > 0) {
+      addItem(ITEM.PROMO, `Promo code ${promo.code}`, 1, -off);
+    }
+  }
+
+  return summarizeQuote({
+    currency: rules.currency,
+    participants: count,
+    tripDate: date,
+    promoCode: promo?.code || null,
+    lineItems,
+    exchangeRate: null,
+    quotedAt: bookedAt.toISOString(),
+    expiresAt: new Date(bookedAt.getTime() + PRICING_CONFIG.quoteValidityMinutes * 60 * 1000).toISOString(),
+  });
+}
+
+/**
+ * Re-express a quote in another currency using a rate snapshot from
+ * CurrencyService.getRateSnapshot. Unit amounts are converted and rounded first
+ * so the line items still add up to the total.
+ */
+export function convertQuote(quote, snapshot) {
+  if (snapshot.from_currency !== quote.currency) {
+    throw new Error(`Snapshot converts ${snapshot.from_currency}/${snapshot.to_currency}, not ${quote.currency}`);
+  }
+
+  const toCurrency = snapshot.to_currency;
+  const convertUnit = (unitAmount) => CurrencyService.displayToStripe(
+    CurrencyService.applyRateSnapshot(CurrencyService.stripeToDisplay(unitAmount, quote.currency), snapshot),
+    toCurrency
+  );
+
+  return summarizeQuote({
+    ...quote,
+    currency: toCurrency,
+    lineItems: quote.lineItems.map(item => {
+      const unitAmount = convertUnit(item.unitAmount);
+      return { ...item, unitAmount, amount: unitAmount * item.quantity };
+    }),
+    exchangeRate: snapshot,
+  });
+}
+
+/**
+ * Quote total in display units (e.g. dollars rather than cents)
+ */
+export function getQuoteTotal(quote) {
+  return CurrencyService.stripeToDisplay(quote.total, quote.currency);
+}
+
+/**
+ * Format a quote amount (smallest currency unit) for display
+ */
+export function formatQuoteAmount(amount, currency) {
+  return CurrencyService.formatAmount(CurrencyService.stripeToDisplay(amount, currency), currency);
+}
+
+/**
+ * Invoice line items for a quote, in display units
+ */
+export function toInvoiceLineItems(quote) {
+  return quote.lineItems.map(item => ({
+    type: item.type,
+    description: item.description,
+    quantity: item.quantity,
+    rate: CurrencyService.stripeToDisplay(item.unitAmount, quote.currency),
+    amount: CurrencyService.stripeToDisplay(item.amount, quote.currency),
+  }));
+}
+
+/**
+ * Adventure pricing and booking quotes
+ */
+export const pricingEngine = {
+  /**
+   * Save an adventure's pricing rules
+   */
+  async saveRules(adventureId, rules) {
+    const normalized = normalizePricingRules(rules);
+
+    const { error } = await supabase
+      .from('adventure_pricing_rules')
+      .upsert({
+        adventure_id: adventureId,
+        rules,
+        currency: normalized.currency,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'adventure_id' });
+
+    if (error) {
+      throw new Error(`Failed to save pricing rules: ${error.message}`);
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Saved pricing rules, falling back to the adventure's flat price
+   */
+  async getRules(adventureId) {
+    const { data, error } = await supabase
+      .from('adventures')
+      .select('price, currency, pricing:adventure_pricing_rules(rules)')
+      .eq('id', adventureId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load pricing rules: ${error.message}`);
+    }
+    if (!data) {
+      return null;
+    }
+
+    const pricing = Array.isArray(data.pricing) ? data.pricing[0] : data.pricing;
+    return pricing?.rules || { basePrice: data.price, currency: data.currency };
+  },
+
+  /**
+   * Quote a booking, optionally in another currency
+   * @param {Object} options - participants, tripDate, currency, promoCode, userId, bookedAt
+   */
+  async quote(adventureId, { currency = null, promoCode = null, userId = null, ...options } = {}) {
+    const rules = await this.getRules(adventureId);
+    if (!rules) {
+      throw new Error('Adventure not found');
+    }
+
+    const normalized = normalizePricingRules(rules);
+    const promo = promoCode
+      ? await promoEngine.resolve(promoCode, { adventureId, userId, currency: normalized.currency })
+      : null;
+
+    let quote = calculateQuote(normalized, { ...options, promo });
+    if (currency && currency.toUpperCase() !== quote.currency) {
+      const snapshot = await CurrencyService.getRateSnapshot(quote.currency, currency.toUpperCase());
+      quote = convertQuote(quote, snapshot);
+    }
+
+    return { ...quote, adventureId };
+  },
+
+  /**
+   * Lock a quote onto a booking. The booking total and currency come from the
+   * quote, and a locked quote can't be replaced; locking again returns the
+   * quote already on the booking. A promo code on the quote is redeemed in the
+   * same transaction as the lock, so a code that ran out since quoting fails the
+   * lock and a lost race never uses up a redemption.
+   */
+  async lockQuote(bookingId, quote, { now = new Date() } = {}) {
+    if (Date.parse(quote.expiresAt) < now.getTime()) {
+      throw new Error('This quote has expired, please request a new one');
+    }
+
+    const promoItem = quote.lineItems.find(item => item.type === ITEM.PROMO);
+    const { data, error } = await supabase.rpc('lock_booking_price_quote', {
+      p_booking_id: bookingId,
+      p_quote: quote,
+      p_total_amount: getQuoteTotal(quote),
+      p_currency: quote.currency,
+      p_locked_at: now.toISOString(),
+      p_promo_code: quote.promoCode && promoItem ? quote.promoCode : null,
+      p_discount_amount: promoItem ? -promoItem.amount : null,
+    });
+
+    if (error) {
+      throw toPromoError(error, 'lock price quote');
+    }
+
+    return data;
+  },
+
+  /**
+   * Quote a booking from its own adventure, date and party size and lock it,
+   * unless a quote is already locked. Checkout calls this before any payment
+   * intent is created, so invoices and split payments work from the same price.
+   * A promo code given here is redeemed as the quote is locked.
+   * @param {Object} options - promoCode, currency
+   */
+  async lockBookingQuote(bookingId, { promoCode = null, currency = null, now = new Date() } = {}) {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('adventure_id, user_id, booking_date, total_participants, price_quote, price_locked_at')
+      .eq('id', bookingId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load booking: ${error.message}`);
+    }
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.price_locked_at) {
+      return booking.price_quote;
+    }
+
+    const quote = await this.quote(booking.adventure_id, {
+      participants: booking.total_participants,
+      tripDate: booking.booking_date,
+      bookedAt: now,
+      currency,
+      promoCode,
+      userId: booking.user_id,
+    });
+    return this.lockQuote(bookingId, quote, { now });
+  },
+
+  /**
+   * The quote locked onto a booking, or null
+   */
+  async getLockedQuote(bookingId) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .select('price_quote')
+      .eq('id', bookingId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load price quote: ${error.message}`);
+    }
+
+    return data?.price_quote || null;
+  },
+};
+
+export const getPricingConfig = () => PRICING_CONFIG;
+
+export default pricingEngine;
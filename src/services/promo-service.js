@@ -0,0 +1,448 @@
+/**
+ * Promo Service
+ * Vendor- and platform-issued promo codes, and referral credits earned when an
+ * invited friend completes a first booking. Promo codes feed the pricing engine's
+ * quote and are redeemed when the quote is locked onto a booking; referral credits
+ * are applied per participant inside split payments. Usage limits and credit
+ * balances are enforced by database functions that lock the rows they change.
+ */
+import { supabase } from '../lib/supabase.js';
+import CurrencyService from './currency-service.js';
+
+// Promo configuration
+const PROMO_CONFIG = {
+  codePattern: /^[A-Z0-9_-]{3,32}$/,
+  discountTypes: {
+    PERCENT: 'percent',
+    FIXED: 'fixed',
+  },
+  issuerTypes: {
+    PLATFORM: 'platform',
+    VENDOR: 'vendor',
+  },
+  referral: {
+    creditAmount: 2500, // Smallest currency unit
+    currency: 'USD',
+    codeLength: 8,
+    minCharge: 50, // Stripe's minimum charge; partially credited shares keep at least this much
+    storageKey: 'trvl-referral-code', // Code from an invite link, kept until the new account signs in
+  },
+  errors: {
+    PROMO_NOT_FOUND: 'This promo code is not valid',
+    PROMO_NOT_STARTED: 'This promo code is not active yet',
+    PROMO_EXPIRED: 'This promo code has expired',
+    PROMO_SCOPE: 'This promo code does not apply to this adventure',
+    PROMO_USAGE_LIMIT: 'This promo code has been fully redeemed',
+    PROMO_USER_LIMIT: 'You have already used this promo code',
+    PROMO_CURRENCY: 'This promo code can only be used for bookings in another currency',
+    BOOKING_NOT_FOUND: 'Booking not found',
+    REFERRAL_NOT_FOUND: 'This referral code is not valid',
+    SELF_REFERRAL: 'You can\'t use your own referral code',
+    ALREADY_REFERRED: 'You have already joined with a referral code',
+  },
+};
+
+// Database functions raise these codes; turn them into readable errors
+export const toPromoError = (error, action) => {
+  const code = Object.keys(PROMO_CONFIG.errors).find(key => error.message?.includes(key));
+  return new Error(code ? PROMO_CONFIG.errors[code] : `Failed to ${action}: ${error.message}`);
+};
+
+/**
+ * Normalize a code the way it is stored
+ */
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Validate and normalize a promo code definition
+ * @param {Object} raw - { code, issuerType, vendorId, adventureId, description, discountType,
+ *   discountValue, currency, maxRedemptions, maxRedemptionsPerUser, startsAt, expiresAt }
+ */
+export function normalizePromoCode(raw = {}) {
+  const code = normalizeCode(raw.code);
+  if (!PROMO_CONFIG.codePattern.test(code)) {
+    throw new Error('Promo codes use 3-32 letters, numbers, dashes or underscores');
+  }
+
+  const issuerType = raw.issuerType || (raw.vendorId ? PROMO_CONFIG.issuerTypes.VENDOR : PROMO_CONFIG.issuerTypes.PLATFORM);
+  if (issuerType === PROMO_CONFIG.issuerTypes.VENDOR && !raw.vendorId) {
+    throw new Error('Vendor promo codes need a vendor');
+  }
+
+  const discountType = raw.discountType || PROMO_CONFIG.discountTypes.PERCENT;
+  const discountValue = Number(raw.discountValue);
+  if (!Object.values(PROMO_CONFIG.discountTypes).includes(discountType)) {
+    throw new Error(`Unknown discount type "${discountType}"`);
+  }
+  if (!Number.isFinite(discountValue) || discountValue <= 0
+    || (discountType === PROMO_CONFIG.discountTypes.PERCENT && discountValue > 100)) {
+    throw new Error('Invalid discount value');
+  }
+
+  const currency = raw.currency ? raw.currency.toUpperCase() : null;
+  if (discountType === PROMO_CONFIG.discountTypes.FIXED && !CurrencyService.isValidCurrency(currency)) {
+    throw new Error('Fixed discounts need a supported currency');
+  }
+
+  if (raw.startsAt && raw.expiresAt && new Date(raw.expiresAt) <= new Date(raw.startsAt)) {
+    throw new Error('A promo code must expire after it starts');
+  }
+
+  return {
+    code,
+    issuer_type: issuerType,
+    vendor_id: raw.vendorId || null,
+    adventure_id: raw.adventureId || null,
+    description: raw.description || null,
+    discount_type: discountType,
+    discount_value: discountValue,
+    currency: discountType === PROMO_CONFIG.discountTypes.FIXED ? currency : null,
+    max_redemptions: raw.maxRedemptions ? parseInt(raw.maxRedemptions) : null,
+    max_redemptions_per_user: parseInt(raw.maxRedemptionsPerUser) || 1,
+    starts_at: raw.startsAt ? new Date(raw.startsAt).toISOString() : null,
+    expires_at: raw.expiresAt ? new Date(raw.expiresAt).toISOString() : null,
+  };
+}
+
+/**
+ * Why a promo code can't be used for a booking, or null when it can
+ * @param {Object} promo - promo_codes row
+ * @param {Object} context - adventureId, vendorId, currency, userRedemptions, now
+ * @returns {string|null} Key of PROMO_CONFIG.errors
+ */
+export function getPromoIneligibility(promo, { adventureId, vendorId, currency, userRedemptions = 0, now = new Date() } = {}) {
+  if (!promo || !promo.is_active) return 'PROMO_NOT_FOUND';
+  if (promo.starts_at && new Date(promo.starts_at) > now) return 'PROMO_NOT_STARTED';
+  if (promo.expires_at && new Date(promo.expires_at) <= now) return 'PROMO_EXPIRED';
+  if ((promo.vendor_id && promo.vendor_id !== vendorId) || (promo.adventure_id && promo.adventure_id !== adventureId)) {
+    return 'PROMO_SCOPE';
+  }
+  if (promo.max_redemptions && promo.redemption_count >= promo.max_redemptions) return 'PROMO_USAGE_LIMIT';
+  if (userRedemptions >= (promo.max_redemptions_per_user || 1)) return 'PROMO_USER_LIMIT';
+  if (promo.discount_type === PROMO_CONFIG.discountTypes.FIXED && currency && promo.currency !== currency.toUpperCase()) {
+    return 'PROMO_CURRENCY';
+  }
+  return null;
+}
+
+/**
+ * Promo in the shape calculateQuote expects
+ */
+export function toPricingPromo(promo) {
+  return {
+    code: promo.code,
+    type: promo.discount_type,
+    value: Number(promo.discount_value),
+  };
+}
+
+/**
+ * Promo codes
+ */
+export const promoEngine = {
+  /**
+   * Create a promo code
+   */
+  async createPromoCode(definition, { createdBy = null } = {}) {
+    const record = normalizePromoCode(definition);
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .insert({ ...record, created_by: createdBy })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.code === '23505'
+        ? `Promo code ${record.code} already exists`
+        : `Failed to create promo code: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Promo codes issued by a vendor, or platform codes when vendorId is null
+   */
+  async listPromoCodes({ vendorId = null, includeInactive = false } = {}) {
+    let query = supabase
+      .from('promo_codes')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    query = vendorId ? query.eq('vendor_id', vendorId) : query.eq('issuer_type', PROMO_CONFIG.issuerTypes.PLATFORM);
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load promo codes: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Stop a promo code from being redeemed again
+   */
+  async deactivatePromoCode(promoCodeId) {
+    const { error } = await supabase
+      .from('promo_codes')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', promoCodeId);
+
+    if (error) {
+      throw new Error(`Failed to deactivate promo code: ${error.message}`);
+    }
+  },
+
+  /**
+   * Check a code for an adventure and return it in the pricing engine's shape.
+   * The limits are checked again when the code is redeemed.
+   * @param {Object} context - adventureId, userId, currency
+   */
+  async resolve(code, { adventureId, userId = null, currency = null } = {}) {
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('code', normalizeCode(code))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up promo code: ${error.message}`);
+    }
+
+    let vendorId = null;
+    if (promo?.vendor_id && adventureId) {
+      const { data: adventure } = await supabase
+        .from('adventures')
+        .select('vendor_id')
+        .eq('id', adventureId)
+        .maybeSingle();
+      vendorId = adventure?.vendor_id || null;
+    }
+
+    let userRedemptions = 0;
+    if (promo && userId) {
+      const { count } = await supabase
+        .from('promo_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('promo_code_id', promo.id)
+        .eq('user_id', userId);
+      userRedemptions = count || 0;
+    }
+
+    const reason = getPromoIneligibility(promo, { adventureId, vendorId, currency, userRedemptions });
+    if (reason) {
+      throw new Error(PROMO_CONFIG.errors[reason]);
+    }
+
+    return toPricingPromo(promo);
+  },
+
+  /**
+   * Record a code's use on a booking; safe to repeat for the same booking
+   */
+  async redeem(code, { bookingId, discountAmount, currency }) {
+    const { data, error } = await supabase.rpc('redeem_promo_code', {
+      p_code: normalizeCode(code),
+      p_booking_id: bookingId,
+      p_discount_amount: discountAmount,
+      p_currency: currency,
+    });
+
+    if (error) {
+      throw toPromoError(error, 'redeem promo code');
+    }
+
+    return data;
+  },
+};
+
+/**
+ * Referral codes and credits
+ */
+export const referralEngine = {
+  /**
+   * A user's referral code, created on first use
+   */
+  async getReferralCode(userId) {
+    const { data: existing, error } = await supabase
+      .from('referral_codes')
+      .select('code')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load referral code: ${error.message}`);
+    }
+    if (existing) {
+      return existing.code;
+    }
+
+    const code = Math.random().toString(36).substring(2, 2 + PROMO_CONFIG.referral.codeLength).toUpperCase();
+    const { data, error: insertError } = await supabase
+      .from('referral_codes')
+      .insert({ user_id: userId, code })
+      .select('code')
+      .single();
+
+    if (insertError) {
+      throw new Error(`Failed to create referral code: ${insertError.message}`);
+    }
+
+    return data.code;
+  },
+
+  /**
+   * Link a new traveler to the friend who invited them. The credit is earned
+   * when the new traveler's first booking is confirmed.
+   */
+  async registerReferral(code, referredUserId) {
+    const { data: referrer, error } = await supabase
+      .from('referral_codes')
+      .select('user_id, code')
+      .eq('code', normalizeCode(code))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up referral code: ${error.message}`);
+    }
+    if (!referrer) {
+      throw new Error(PROMO_CONFIG.errors.REFERRAL_NOT_FOUND);
+    }
+    if (referrer.user_id === referredUserId) {
+      throw new Error(PROMO_CONFIG.errors.SELF_REFERRAL);
+    }
+
+    const { data, error: insertError } = await supabase
+      .from('referrals')
+      .insert({
+        referrer_id: referrer.user_id,
+        referred_user_id: referredUserId,
+        code: referrer.code,
+        credit_amount: PROMO_CONFIG.referral.creditAmount,
+        credit_currency: PROMO_CONFIG.referral.currency,
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      throw new Error(insertError.code === '23505'
+        ? PROMO_CONFIG.errors.ALREADY_REFERRED
+        : `Failed to register referral: ${insertError.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Invite link that opens registration with the code filled in
+   */
+  getInviteLink(code, origin = window.location.origin) {
+    return `${origin}/register?ref=${encodeURIComponent(code)}`;
+  },
+
+  /**
+   * Keep the code a new traveler signed up with. Registration may need an email
+   * confirmation first, so the referral is registered at the first sign-in.
+   */
+  rememberReferralCode(code) {
+    if (code && normalizeCode(code)) {
+      localStorage.setItem(PROMO_CONFIG.referral.storageKey, normalizeCode(code));
+    }
+  },
+
+  /**
+   * Register the remembered referral for a signed-in user. Codes that can never
+   * be registered are forgotten; other failures are retried at the next sign-in.
+   * @returns {Promise<Object|null>} The referral, or null when nothing was pending
+   */
+  async claimPendingReferral(userId) {
+    const code = localStorage.getItem(PROMO_CONFIG.referral.storageKey);
+    if (!code) {
+      return null;
+    }
+
+    const { errors } = PROMO_CONFIG;
+    try {
+      const referral = await this.registerReferral(code, userId);
+      localStorage.removeItem(PROMO_CONFIG.referral.storageKey);
+      return referral;
+    } catch (error) {
+      if ([errors.REFERRAL_NOT_FOUND, errors.SELF_REFERRAL, errors.ALREADY_REFERRED].includes(error.message)) {
+        localStorage.removeItem(PROMO_CONFIG.referral.storageKey);
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Credit balances by currency, in the smallest currency unit
+   */
+  async getCreditBalances(userId) {
+    const { data, error } = await supabase
+      .from('referral_credits')
+      .select('amount, currency')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to load referral credits: ${error.message}`);
+    }
+
+    return (data || []).reduce((balances, entry) => ({
+      ...balances,
+      [entry.currency]: (balances[entry.currency] || 0) + entry.amount,
+    }), {});
+  },
+
+  /**
+   * Apply every participant's credit balance to their share of a split payment
+   * @returns {Promise<Array>} [{ individual_payment_id, user_id, credit_applied }]
+   */
+  async applyToSplitPayment(splitPaymentId) {
+    const { data, error } = await supabase.rpc('apply_referral_credits', {
+      p_split_payment_id: splitPaymentId,
+      p_min_charge: PROMO_CONFIG.referral.minCharge,
+    });
+
+    if (error) {
+      throw new Error(`Failed to apply referral credits: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Credits applied to a booking as invoice line items, in display units
+   */
+  async getInvoiceCreditItems(bookingId, currency) {
+    const { data, error } = await supabase
+      .from('referral_credits')
+      .select('amount, currency, kind')
+      .eq('booking_id', bookingId)
+      .eq('currency', currency.toUpperCase());
+
+    if (error) {
+      throw new Error(`Failed to load referral credits: ${error.message}`);
+    }
+
+    // Restored credits cancel out the applications they reverse
+    const applied = -(data || []).reduce((sum, entry) => sum + entry.amount, 0);
+    if (applied <= 0) {
+      return [];
+    }
+
+    const amount = -CurrencyService.stripeToDisplay(applied, currency.toUpperCase());
+    return [{ type: 'referral_credit', description: 'Referral credit', quantity: 1, rate: amount, amount }];
+  },
+};
+
+export const getPromoConfig = () => PROMO_CONFIG;
+
+export default promoEngine;
@@ -0,0 +1,414 @@
+/**
+ * Saved Search Service
+ * Named searches (query text + FilterPanel filters) with alerts when a new or
+ * updated adventure starts matching, sent immediately or as a daily/weekly digest
+ */
+import { supabase } from '../lib/supabase.js';
+import notificationService from './notification-service.js';
+import {
+  createMemorySearchBackend,
+  mapSearchRow,
+  normalizeSearchRequest
+} from './adventure-search-backends.js';
+
+export const SAVED_SEARCH_CONFIG = {
+  maxSavedSearchesPerUser: 25,
+  maxMatchesPerDigest: 10,
+  frequencies: ['immediate', 'daily_digest', 'weekly_digest'],
+};
+
+/**
+ * Resolve how a saved search's matches are delivered.
+ * The search's own frequency wins; otherwise the user's notification frequency.
+ * @param {Object} savedSearch - saved_searches row
+ * @param {Object|null} preferences - user_preferences row
+ * @returns {string} 'immediate', 'daily_digest', 'weekly_digest' or 'disabled'
+ */
+export function resolveAlertFrequency(savedSearch, preferences) {
+  if (!savedSearch.alerts_enabled) return 'disabled';
+  if (preferences?.saved_search_notifications === false) return 'disabled';
+  if (preferences?.notification_frequency === 'disabled') return 'disabled';
+  return savedSearch.alert_frequency || preferences?.notification_frequency || 'immediate';
+}
+
+/**
+ * Check whether an adventure (adventures row) matches a saved search
+ * @param {Object} savedSearch - saved_searches row
+ * @param {Object} adventure - adventures row
+ * @returns {Promise<boolean>}
+ */
+export async function matchesSavedSearch(savedSearch, adventure) {
+  const backend = createMemorySearchBackend([mapSearchRow(adventure)]);
+  const { total } = await backend.search({
+    text: savedSearch.query_text,
+    filters: savedSearch.filters || {},
+    pageSize: 1,
+  });
+  return total > 0;
+}
+
+export const savedSearchManager = {
+  /**
+   * Save the current search under a name
+   * @param {string} userId - Owner
+   * @param {Object} search - { name, text, filters, sort, userLocation, alertsEnabled, alertFrequency }
+   */
+  async createSavedSearch(userId, search) {
+    const name = search.name?.trim();
+    if (!name) {
+      throw new Error('Saved search name is required');
+    }
+    if (search.alertFrequency && !SAVED_SEARCH_CONFIG.frequencies.includes(search.alertFrequency)) {
+      throw new Error(`Invalid alert frequency: ${search.alertFrequency}`);
+    }
+
+    const { count, error: countError } = await supabase
+      .from('saved_searches')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (countError) {
+      throw new Error(`Failed to save search: ${countError.message}`);
+    }
+    if (count >= SAVED_SEARCH_CONFIG.maxSavedSearchesPerUser) {
+      throw new Error(`You can save up to ${SAVED_SEARCH_CONFIG.maxSavedSearchesPerUser} searches`);
+    }
+
+    // Resolve local/regional location filters against where the user is now,
+    // since alerts are evaluated later without the user's position
+    const normalized = normalizeSearchRequest(search);
+    const filters = { ...(search.filters || {}) };
+    if (normalized.filters.geo) {
+      filters.geo = normalized.filters.geo;
+    }
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .insert({
+        user_id: userId,
+        name,
+        query_text: normalized.text,
+        filters,
+        sort: normalized.sort,
+        alerts_enabled: search.alertsEnabled !== false,
+        alert_frequency: search.alertFrequency || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save search: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Get a user's saved searches, newest first
+   */
+  async getSavedSearches(userId) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to get saved searches: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Rename a saved search or change its alert settings
+   * @param {string} savedSearchId - Saved search ID
+   * @param {Object} updates - { name, alertsEnabled, alertFrequency }
+   */
+  async updateSavedSearch(savedSearchId, updates) {
+    const changes = {};
+    if (updates.name !== undefined) changes.name = updates.name.trim();
+    if (updates.alertsEnabled !== undefined) changes.alerts_enabled = updates.alertsEnabled;
+    if (updates.alertFrequency !== undefined) {
+      if (updates.alertFrequency && !SAVED_SEARCH_CONFIG.frequencies.includes(updates.alertFrequency)) {
+        throw new Error(`Invalid alert frequency: ${updates.alertFrequency}`);
+      }
+      changes.alert_frequency = updates.alertFrequency || null;
+    }
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update(changes)
+      .eq('id', savedSearchId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update saved search: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Delete a saved search (its matches cascade)
+   */
+  async deleteSavedSearch(savedSearchId) {
+    const { error } = await supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', savedSearchId);
+
+    if (error) {
+      throw new Error(`Failed to delete saved search: ${error.message}`);
+    }
+
+    return true;
+  },
+
+  /**
+   * Turn a saved search back into a searchService.query() request
+   */
+  toSearchRequest(savedSearch) {
+    return {
+      text: savedSearch.query_text,
+      filters: savedSearch.filters || {},
+      sort: savedSearch.sort,
+    };
+  },
+};
+
+export const savedSearchAlerts = {
+  /**
+   * Main alert sweep - runs periodically with the service role.
+   * Checks adventures created or updated since the previous sweep.
+   * @param {string|Date} since - Start of the window (previous sweep time)
+   */
+  async processRecentAdventureChanges(since) {
+    const sinceIso = new Date(since).toISOString();
+    const { data: adventures, error } = await supabase
+      .from('adventures')
+      .select('*')
+      .eq('is_active', true)
+      .gte('updated_at', sinceIso)
+      .order('updated_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load changed adventures: ${error.message}`);
+    }
+
+    const results = { processed: 0, matched: 0, notified: 0, queued: 0, errors: [] };
+    for (const adventure of adventures || []) {
+      try {
+        const outcome = await this.processAdventureChange(adventure, {
+          isNew: adventure.created_at >= sinceIso,
+        });
+        results.processed++;
+        results.matched += outcome.matched;
+        results.notified += outcome.notified;
+        results.queued += outcome.queued;
+        results.errors.push(...outcome.errors);
+      } catch (adventureError) {
+        results.errors.push({ adventureId: adventure.id, error: adventureError.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Check a created or updated adventure against every saved search with alerts.
+   * Each adventure alerts a saved search once, the first time it matches.
+   * @param {Object} adventure - adventures row
+   * @param {Object} options - { isNew }
+   */
+  async processAdventureChange(adventure, { isNew = false } = {}) {
+    const results = { matched: 0, notified: 0, queued: 0, errors: [] };
+    if (!adventure?.id || adventure.is_active === false) {
+      return results;
+    }
+
+    const { data: savedSearches, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('alerts_enabled', true);
+
+    if (error) {
+      throw new Error(`Failed to load saved searches: ${error.message}`);
+    }
+
+    const matching = [];
+    for (const savedSearch of savedSearches || []) {
+      if (await matchesSavedSearch(savedSearch, adventure)) {
+        matching.push(savedSearch);
+      }
+    }
+    if (matching.length === 0) {
+      return results;
+    }
+
+    const preferencesByUser = await this.getPreferences(matching.map(search => search.user_id));
+
+    for (const savedSearch of matching) {
+      try {
+        const frequency = resolveAlertFrequency(savedSearch, preferencesByUser[savedSearch.user_id]);
+        if (frequency === 'disabled') continue;
+
+        const { data: match, error: matchError } = await supabase
+          .from('saved_search_matches')
+          .upsert({
+            saved_search_id: savedSearch.id,
+            adventure_id: adventure.id,
+            match_reason: isNew ? 'new' : 'updated',
+            delivery: frequency,
+          }, { onConflict: 'saved_search_id,adventure_id', ignoreDuplicates: true })
+          .select()
+          .maybeSingle();
+
+        if (matchError) throw matchError;
+        // Already matched on an earlier change
+        if (!match) continue;
+        results.matched++;
+
+        if (frequency !== 'immediate') {
+          results.queued++;
+          continue;
+        }
+
+        const notification = notificationService.createNotificationTemplate('saved_search_match', {
+          savedSearchId: savedSearch.id,
+          searchName: savedSearch.name,
+          adventureId: adventure.id,
+          adventureTitle: adventure.title,
+          isNew,
+        });
+        const sent = await notificationService.sendNotification(savedSearch.user_id, notification);
+        if (!sent.success) {
+          throw new Error(sent.error);
+        }
+
+        await this.markNotified([match.id], [savedSearch.id]);
+        results.notified++;
+      } catch (matchError) {
+        results.errors.push({ savedSearchId: savedSearch.id, error: matchError.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Send one digest per user for matches waiting on the given frequency.
+   * Runs periodically: daily for 'daily_digest', weekly for 'weekly_digest'.
+   * @param {string} frequency - 'daily_digest' or 'weekly_digest'
+   */
+  async sendDigests(frequency) {
+    const results = { users: 0, matches: 0, errors: [] };
+
+    const { data: pending, error } = await supabase
+      .from('saved_search_matches')
+      .select(`
+        id,
+        saved_search_id,
+        match_reason,
+        created_at,
+        adventures(id, title),
+        saved_searches!inner(id, user_id, name, alerts_enabled, alert_frequency)
+      `)
+      .is('notified_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load pending saved search matches: ${error.message}`);
+    }
+    if (!pending?.length) {
+      return results;
+    }
+
+    const preferencesByUser = await this.getPreferences(pending.map(match => match.saved_searches.user_id));
+
+    // Group by user; matches whose preference has since become 'immediate'
+    // go out with the next digest rather than waiting forever
+    const byUser = {};
+    pending.forEach(match => {
+      const savedSearch = match.saved_searches;
+      const resolved = resolveAlertFrequency(savedSearch, preferencesByUser[savedSearch.user_id]);
+      if (resolved !== frequency && resolved !== 'immediate') return;
+      (byUser[savedSearch.user_id] = byUser[savedSearch.user_id] || []).push(match);
+    });
+
+    for (const [userId, matches] of Object.entries(byUser)) {
+      try {
+        const searches = {};
+        matches.forEach(match => {
+          const name = match.saved_searches.name;
+          searches[name] = (searches[name] || 0) + 1;
+        });
+
+        const notification = notificationService.createNotificationTemplate('saved_search_digest', {
+          frequency,
+          matchCount: matches.length,
+          searches: Object.entries(searches).map(([name, count]) => ({ name, count })),
+          adventures: matches
+            .slice(0, SAVED_SEARCH_CONFIG.maxMatchesPerDigest)
+            .map(match => ({ id: match.adventures?.id, title: match.adventures?.title, searchName: match.saved_searches.name })),
+        });
+        const sent = await notificationService.sendNotification(userId, notification);
+        if (!sent.success) {
+          throw new Error(sent.error);
+        }
+
+        await this.markNotified(
+          matches.map(match => match.id),
+          [...new Set(matches.map(match => match.saved_search_id))]
+        );
+        results.users++;
+        results.matches += matches.length;
+      } catch (digestError) {
+        results.errors.push({ userId, error: digestError.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Load notification preferences keyed by user ID
+   */
+  async getPreferences(userIds) {
+    const uniqueIds = [...new Set(userIds)];
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('user_id, notification_frequency, saved_search_notifications')
+      .in('user_id', uniqueIds);
+
+    if (error) {
+      throw new Error(`Failed to load notification preferences: ${error.message}`);
+    }
+
+    return Object.fromEntries((data || []).map(row => [row.user_id, row]));
+  },
+
+  /**
+   * Mark matches as delivered
+   */
+  async markNotified(matchIds, savedSearchIds) {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('saved_search_matches')
+      .update({ notified_at: now })
+      .in('id', matchIds);
+
+    if (error) {
+      throw new Error(`Failed to mark saved search matches notified: ${error.message}`);
+    }
+
+    await supabase
+      .from('saved_searches')
+      .update({ last_notified_at: now })
+      .in('id', savedSearchIds);
+  },
+};
+
+export default savedSearchManager;
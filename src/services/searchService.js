@@ -1,10 +1,13 @@
 import Fuse from 'fuse.js';
+import { createMemorySearchBackend } from './adventure-search-backends';
 /**
  * Search service for fuzzy matching adventures across multiple fields
  */
 class SearchService {
   constructor() {
     this.fuse = null;
+    this.backend = null;
+    this.memoryBackend = null;
     this.recentSearches = this.loadRecentSearches();
     this.popularSearches = [
       'northern lights',
@@ -62,6 +65,34 @@ class SearchService {
       ]
     };
     this.fuse = new Fuse(adventures, options);
+    this.memoryBackend = createMemorySearchBackend(adventures);
+  }
+  /**
+   * Use a search backend for query() (e.g. createPostgresSearchBackend(supabase));
+   * pass null to fall back to the adventures given to initialize()
+   * @param {Object|null} backend - Backend with search(request)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+  /**
+   * Get the backend query() will use
+   * @returns {Object|null} Active search backend
+   */
+  getBackend() {
+    return this.backend || this.memoryBackend;
+  }
+  /**
+   * Faceted search with filters, geo radius, sorting and pagination
+   * @param {Object} request - { text, filters, sort, page, pageSize, userLocation }
+   * @returns {Promise<Object>} { results, total, facets, page, pageSize, sort }
+   */
+  async query(request = {}) {
+    const backend = this.getBackend();
+    if (!backend) {
+      throw new Error('No search backend configured');
+    }
+    return backend.search(request);
   }
   /**
    * Search adventures with fuzzy matching
@@ -5,6 +5,8 @@
 
 import { supabase } from '../lib/supabase.js';
 import { payments, stripeConfig } from './stripe-service.js';
+import { pricingEngine } from './pricing-service.js';
+import { referralEngine } from './promo-service.js';
 import sentryService from './sentry-service.js';
 
 // Payment splitting configuration
@@ -20,6 +22,12 @@ const SPLIT_PAYMENT_CONFIG = {
     stripeFeesPerParticipant: 0.30, // Base Stripe fee per transaction
     stripePercentage: 0.029, // 2.9% Stripe percentage fee
   },
+  installments: {
+    maxInstallments: 12, // Installments after the deposit
+    minDepositPercent: 10, // Deposit must be at least 10% of each share
+    minDaysBetweenInstallments: 7,
+  },
+  paymentLinkTtlHours: 168, // Pay-by-link URLs stay valid for 7 days
 };
 
 /**
@@ -109,6 +117,67 @@ export const paymentSplitting = {
     };
   },
 
+  /**
+   * Calculate a deposit plus installment schedule for one participant's share
+   * Installments are spaced evenly from the deposit due date to the final due date;
+   * rounding cents are added to the last installment.
+   */
+  calculateInstallmentSchedule(shareAmount, paymentPlan) {
+    const config = SPLIT_PAYMENT_CONFIG.installments;
+    const {
+      depositPercent,
+      depositAmount,
+      installmentCount,
+      depositDueDate,
+      finalDueDate,
+    } = paymentPlan;
+
+    if (!Number.isInteger(installmentCount) || installmentCount < 1 || installmentCount > config.maxInstallments) {
+      throw new Error(`Installment count must be between 1 and ${config.maxInstallments}`);
+    }
+
+    const deposit = depositAmount != null
+      ? depositAmount
+      : Math.round(shareAmount * (depositPercent || 0) / 100);
+    if (deposit < Math.ceil(shareAmount * config.minDepositPercent / 100)) {
+      throw new Error(`Deposit must be at least ${config.minDepositPercent}% of each share`);
+    }
+    if (deposit >= shareAmount) {
+      throw new Error('Deposit must be less than the amount due');
+    }
+
+    const depositDate = new Date(depositDueDate);
+    const finalDate = new Date(finalDueDate);
+    if (Number.isNaN(depositDate.getTime()) || Number.isNaN(finalDate.getTime())) {
+      throw new Error('Deposit and final due dates are required');
+    }
+    const intervalMs = (finalDate - depositDate) / installmentCount;
+    if (intervalMs < config.minDaysBetweenInstallments * 24 * 60 * 60 * 1000) {
+      throw new Error(`Installments must be at least ${config.minDaysBetweenInstallments} days apart`);
+    }
+
+    const remaining = shareAmount - deposit;
+    const installmentAmount = Math.floor(remaining / installmentCount);
+    const schedule = [{
+      sequence: 0,
+      kind: 'deposit',
+      amount: deposit,
+      dueDate: depositDate.toISOString(),
+    }];
+    for (let i = 1; i <= installmentCount; i++) {
+      schedule.push({
+        sequence: i,
+        kind: 'installment',
+        amount: i === installmentCount
+          ? remaining - installmentAmount * (installmentCount - 1)
+          : installmentAmount,
+        dueDate: new Date(depositDate.getTime() + intervalMs * i).toISOString(),
+      });
+    }
+
+    return schedule;
+  },
+
   /**
    * Validate split configuration
    */
@@ -135,28 +204,76 @@ export const paymentSplitting = {
   },
 };
 
+/**
+ * Pay-by-link URLs for a participant's share
+ */
+export const paymentLinks = {
+  /**
+   * Unguessable token tying a link to one individual payment
+   */
+  generateToken(paymentId, userId) {
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    return btoa(`${paymentId}-${userId}-${Date.now()}-${random}`).replace(/[+=/]/g, '');
+  },
+
+  /**
+   * Store a payment token and return the link to pay with it
+   * @param {Object} payment - individual_payments row
+   * @param {Object} options - { client, baseUrl }
+   * @returns {Promise<Object>} { url, token, expiresAt }
+   */
+  async createPaymentLink(payment, { client = supabase, baseUrl = stripeConfig.getConfig().appUrl } = {}) {
+    const token = this.generateToken(payment.id, payment.user_id);
+    const expiresAt = new Date(Date.now() + SPLIT_PAYMENT_CONFIG.paymentLinkTtlHours * 60 * 60 * 1000).toISOString();
+
+    const { error } = await client
+      .from('payment_tokens')
+      .upsert({
+        individual_payment_id: payment.id,
+        token,
+        expires_at: expiresAt,
+      });
+
+    if (error) {
+      throw new Error(`Failed to create payment link: ${error.message}`);
+    }
+
+    return { url: `${baseUrl}/pay/${token}`, token, expiresAt };
+  },
+};
+
 /**
  * Group payment management
  */
 export const groupPaymentManager = {
   /**
-   * Create a new split payment group
+   * Create a new split payment group. With a booking the group splits the
+   * booking's locked quote, so a totalAmount given alongside it must match.
    */
   async createSplitPayment(paymentData) {
     const {
       bookingId,
       organizerId,
-      totalAmount,
-      currency = 'usd',
       participants,
       splitType = 'equal',
       customSplits = null,
       paymentDeadline,
+      paymentPlan = null,
       vendorAccountId,
       description,
       metadata = {},
+      applyReferralCredits = !paymentPlan, // Credits come off the whole share, so not with installments
+      promoCode = null,
     } = paymentData;
 
+    // The booking's quote is locked (redeeming any promo code) here, and the group always splits the quoted total
+    const lockedQuote = bookingId ? await pricingEngine.lockBookingQuote(bookingId, { promoCode }) : null;
+    if (lockedQuote && paymentData.totalAmount != null && paymentData.totalAmount !== lockedQuote.total) {
+      throw new Error(`Split total ${paymentData.totalAmount} does not match the booking's locked price of ${lockedQuote.total}`);
+    }
+    const totalAmount = lockedQuote ? lockedQuote.total : paymentData.totalAmount;
+    const currency = lockedQuote ? lockedQuote.currency.toLowerCase() : (paymentData.currency || 'usd');
+
     // Validate configuration
     paymentSplitting.validateSplitConfiguration(totalAmount, participants);
 
@@ -170,6 +287,13 @@ export const groupPaymentManager = {
       throw new Error('Invalid split type or missing custom splits');
     }
 
+    // With a payment plan each share is collected as a deposit plus installments,
+    // and the final installment's due date becomes the overall deadline
+    const schedules = paymentPlan
+      ? splitCalculation.splits.map(amount => paymentSplitting.calculateInstallmentSchedule(amount, paymentPlan))
+      : null;
+    const finalDeadline = paymentPlan ? new Date(paymentPlan.finalDueDate).toISOString() : paymentDeadline;
+
     try {
       // Create split payment record
       const { data: splitPayment, error: splitError } = await supabase
@@ -182,12 +306,14 @@ export const groupPaymentManager = {
           currency,
           split_type: splitType,
           participant_count: participants.length,
-          payment_deadline: paymentDeadline,
+          payment_deadline: finalDeadline,
           description,
           status: 'pending',
           metadata: {
             ...metadata,
             splitCalculation,
+            ...(lockedQuote ? { quotedAt: lockedQuote.quotedAt } : {}),
+            ...(paymentPlan ? { paymentPlan } : {}),
           },
         })
         .select()
@@ -201,7 +327,7 @@ export const groupPaymentManager = {
         user_id: participant.userId || participant.id,
         amount_due: splitCalculation.splits[index],
         status: 'pending',
-        payment_deadline: paymentDeadline,
+        payment_deadline: finalDeadline,
         reminder_count: 0,
         metadata: {
           participantName: participant.name,
@@ -209,17 +335,60 @@ export const groupPaymentManager = {
         },
       }));
 
-      const { data: individualPayments, error: paymentsError } = await supabase
+      const { data: createdPayments, error: paymentsError } = await supabase
         .from('individual_payments')
         .insert(paymentRecords)
         .select();
 
       if (paymentsError) throw paymentsError;
 
+      // Each participant's referral credit comes off their own share
+      let individualPayments = createdPayments;
+      if (applyReferralCredits) {
+        const credits = await referralEngine.applyToSplitPayment(splitPayment.id);
+        individualPayments = createdPayments.map(payment => {
+          const credit = credits.find(entry => entry.individual_payment_id === payment.id);
+          if (!credit) return payment;
+          const amountDue = payment.amount_due - credit.credit_applied;
+          return {
+            ...payment,
+            amount_due: amountDue,
+            credit_applied: credit.credit_applied,
+            status: amountDue === 0 ? 'paid' : payment.status,
+          };
+        });
+      }
+
+      let installments = [];
+      if (schedules) {
+        const participantIds = participants.map(participant => participant.userId || participant.id);
+        const installmentRecords = individualPayments.flatMap(payment =>
+          schedules[participantIds.indexOf(payment.user_id)].map(entry => ({
+            split_payment_id: splitPayment.id,
+            individual_payment_id: payment.id,
+            sequence: entry.sequence,
+            kind: entry.kind,
+            amount_due: entry.amount,
+            due_date: entry.dueDate,
+            status: 'pending',
+            reminder_count: 0,
+          }))
+        );
+
+        const { data: createdInstallments, error: installmentsError } = await supabase
+          .from('payment_installments')
+          .insert(installmentRecords)
+          .select();
+
+        if (installmentsError) throw installmentsError;
+        installments = createdInstallments;
+      }
+
       return {
         splitPaymentId: splitPayment.id,
         splitPayment,
-        individualPayments,
+        individualPayments: this.attachInstallments(individualPayments, installments),
+        installments,
         splitCalculation,
       };
     } catch (error) {
@@ -248,12 +417,25 @@ export const groupPaymentManager = {
 
       if (paymentsError) throw paymentsError;
 
+      let installments = [];
+      if (splitPayment.metadata?.paymentPlan) {
+        const { data: installmentRows, error: installmentsError } = await supabase
+          .from('payment_installments')
+          .select('*')
+          .eq('split_payment_id', splitPaymentId)
+          .order('sequence');
+
+        if (installmentsError) throw installmentsError;
+        installments = installmentRows || [];
+      }
+
       // Calculate payment statistics
       const stats = this.calculatePaymentStats(individualPayments);
 
       return {
         splitPayment,
-        individualPayments,
+        individualPayments: this.attachInstallments(individualPayments, installments),
+        installments,
         stats,
       };
     } catch (error) {
@@ -261,13 +443,30 @@ export const groupPaymentManager = {
     }
   },
 
+  /**
+   * Group installments under their individual payment, ordered by sequence
+   */
+  attachInstallments(individualPayments, installments = []) {
+    if (!installments.length) return individualPayments;
+
+    return individualPayments.map(payment => ({
+      ...payment,
+      installments: installments
+        .filter(installment => installment.individual_payment_id === payment.id)
+        .sort((a, b) => a.sequence - b.sequence),
+    }));
+  },
+
   /**
    * Calculate payment statistics
    */
   calculatePaymentStats(individualPayments) {
     const totalDue = individualPayments.reduce((sum, payment) => sum + payment.amount_due, 0);
     const paidPayments = individualPayments.filter(p => p.status === 'paid');
-    const totalPaid = paidPayments.reduce((sum, payment) => sum + (payment.amount_paid || 0), 0);
+    // Participants on a payment plan are partially paid until their last installment clears
+    const partiallyPaidPayments = individualPayments.filter(p => p.status === 'partially_paid');
+    const totalPaid = [...paidPayments, ...partiallyPaidPayments]
+      .reduce((sum, payment) => sum + (payment.amount_paid || 0), 0);
     const pendingCount = individualPayments.filter(p => p.status === 'pending').length;
     const paidCount = paidPayments.length;
     const failedCount = individualPayments.filter(p => p.status === 'failed').length;
@@ -278,6 +477,7 @@ export const groupPaymentManager = {
       remainingAmount: totalDue - totalPaid,
       participantCount: individualPayments.length,
       paidCount,
+      partiallyPaidCount: partiallyPaidPayments.length,
       pendingCount,
       failedCount,
       completionPercentage: totalDue > 0 ? (totalPaid / totalDue) * 100 : 0,
@@ -307,6 +507,23 @@ export const groupPaymentManager = {
         throw new Error('Payment has already been processed');
       }
 
+      // Payment plans are paid one installment at a time
+      if (payment.split_payments.metadata?.paymentPlan) {
+        const { data: nextInstallment, error: installmentError } = await supabase
+          .from('payment_installments')
+          .select('id')
+          .eq('individual_payment_id', individualPaymentId)
+          .in('status', ['pending', 'failed'])
+          .order('sequence')
+          .limit(1)
+          .single();
+
+        if (installmentError || !nextInstallment) {
+          throw new Error('No outstanding installment found');
+        }
+        return await this.processInstallmentPayment(nextInstallment.id, userId);
+      }
+
       // Check if payment deadline has passed
       if (new Date() > new Date(payment.payment_deadline)) {
         throw new Error('Payment deadline has passed');
@@ -320,6 +537,8 @@ export const groupPaymentManager = {
         bookingId: payment.split_payments.booking_id,
         userId: payment.user_id,
         description: `Split payment for ${payment.split_payments.description}`,
+        discounts: { creditApplied: payment.credit_applied || 0 },
+        lockQuote: false,
       });
 
       // Update payment record with Stripe payment intent
@@ -345,11 +564,150 @@ export const groupPaymentManager = {
     }
   },
 
+  /**
+   * Create a payment intent for a single installment
+   */
+  async processInstallmentPayment(installmentId, userId) {
+    try {
+      const { data: installment, error: installmentError } = await supabase
+        .from('payment_installments')
+        .select('*, individual_payments(*, split_payments(*))')
+        .eq('id', installmentId)
+        .single();
+
+      if (installmentError) throw installmentError;
+
+      const payment = installment.individual_payments;
+      if (payment.user_id !== userId) {
+        throw new Error('Unauthorized: User cannot pay for another user\'s portion');
+      }
+
+      if (installment.status === 'paid') {
+        throw new Error('Installment has already been paid');
+      }
+
+      const label = installment.kind === 'deposit' ? 'Deposit' : `Installment ${installment.sequence}`;
+      const paymentIntent = await payments.createPaymentIntent({
+        amount: installment.amount_due,
+        currency: payment.split_payments.currency,
+        vendorAccountId: payment.split_payments.vendor_account_id,
+        bookingId: payment.split_payments.booking_id,
+        userId: payment.user_id,
+        description: `${label} for ${payment.split_payments.description}`,
+        lockQuote: false,
+      });
+
+      const { error: updateError } = await supabase
+        .from('payment_installments')
+        .update({
+          stripe_payment_intent_id: paymentIntent.paymentIntentId,
+          status: 'processing',
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', installmentId);
+
+      if (updateError) throw updateError;
+
+      return {
+        paymentIntentId: paymentIntent.paymentIntentId,
+        clientSecret: paymentIntent.clientSecret,
+        amount: installment.amount_due,
+        currency: payment.split_payments.currency,
+        installmentId,
+        installmentSequence: installment.sequence,
+        dueDate: installment.due_date,
+      };
+    } catch (error) {
+      throw new Error(`Failed to process installment payment: ${error.message}`);
+    }
+  },
+
+  /**
+   * Update an installment after Stripe confirmation and roll it up into the individual payment
+   */
+  async updateInstallmentStatus(installmentId, status, stripePaymentIntentId = null) {
+    try {
+      const { data: installment, error: installmentError } = await supabase
+        .from('payment_installments')
+        .select('*')
+        .eq('id', installmentId)
+        .single();
+
+      if (installmentError) throw installmentError;
+
+      const installmentUpdate = {
+        status,
+        updated_at: new Date().toISOString(),
+      };
+      if (status === 'paid') {
+        installmentUpdate.amount_paid = installment.amount_due;
+        installmentUpdate.paid_at = new Date().toISOString();
+        if (stripePaymentIntentId) {
+          installmentUpdate.stripe_payment_intent_id = stripePaymentIntentId;
+        }
+      }
+
+      const { error: updateError } = await supabase
+        .from('payment_installments')
+        .update(installmentUpdate)
+        .eq('id', installmentId);
+
+      if (updateError) throw updateError;
+
+      const { data: siblings, error: siblingsError } = await supabase
+        .from('payment_installments')
+        .select('id, status, amount_paid')
+        .eq('individual_payment_id', installment.individual_payment_id);
+
+      if (siblingsError) throw siblingsError;
+
+      const current = siblings.map(sibling => (sibling.id === installmentId ? { ...sibling, ...installmentUpdate } : sibling));
+      const amountPaid = current
+        .filter(sibling => sibling.status === 'paid')
+        .reduce((sum, sibling) => sum + (sibling.amount_paid || 0), 0);
+      const allPaid = current.every(sibling => sibling.status === 'paid');
+
+      const paymentUpdate = {
+        amount_paid: amountPaid,
+        status: allPaid ? 'paid' : amountPaid > 0 ? 'partially_paid' : 'pending',
+        updated_at: new Date().toISOString(),
+      };
+      if (allPaid) {
+        paymentUpdate.paid_at = new Date().toISOString();
+      }
+
+      const { error: paymentError } = await supabase
+        .from('individual_payments')
+        .update(paymentUpdate)
+        .eq('id', installment.individual_payment_id);
+
+      if (paymentError) throw paymentError;
+
+      await this.checkSplitPaymentCompletion(installment.individual_payment_id);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update installment status: ${error.message}`);
+    }
+  },
+
   /**
    * Update payment status after Stripe confirmation
    */
   async updatePaymentStatus(individualPaymentId, status, stripePaymentIntentId = null) {
     try {
+      // Confirmations for payment plans settle the installment that is in flight
+      const { data: inFlight } = await supabase
+        .from('payment_installments')
+        .select('id, stripe_payment_intent_id')
+        .eq('individual_payment_id', individualPaymentId)
+        .eq('status', 'processing');
+
+      const installment = inFlight?.find(row => !stripePaymentIntentId || row.stripe_payment_intent_id === stripePaymentIntentId);
+      if (installment) {
+        return await this.updateInstallmentStatus(installment.id, status, stripePaymentIntentId);
+      }
+
       const updateData = {
         status,
         updated_at: new Date().toISOString(),
@@ -400,7 +758,7 @@ export const groupPaymentManager = {
       let newStatus = splitPayment.status;
       if (stats.completionPercentage === 100) {
         newStatus = 'completed';
-      } else if (stats.paidCount > 0) {
+      } else if (stats.paidCount > 0 || stats.totalPaid > 0) {
         newStatus = 'partially_paid';
       }
 
@@ -478,6 +836,25 @@ export const paymentDeadlineManager = {
         for (const payment of paymentsToRemind) {
           await this.sendIndividualReminder(payment);
         }
+
+        // Installment due dates follow the same reminder schedule
+        const { data: installmentsToRemind, error: installmentError } = await supabase
+          .from('payment_installments')
+          .select('*, individual_payments(*, split_payments(*))')
+          .eq('status', 'pending')
+          .lte('due_date', threshold.toISOString())
+          .lt('reminder_count', SPLIT_PAYMENT_CONFIG.reminderSchedule.length);
+
+        if (installmentError) {
+          sentryService.captureException(installmentError, {
+            tags: { service: 'split-payment', operation: 'findInstallmentsForReminders' }
+          });
+          continue;
+        }
+
+        for (const installment of installmentsToRemind) {
+          await this.sendInstallmentReminder(installment);
+        }
       }
     } catch (error) {
       sentryService.captureException(error, {
@@ -519,6 +896,34 @@ export const paymentDeadlineManager = {
     }
   },
 
+  /**
+   * Send installment payment reminder
+   */
+  async sendInstallmentReminder(installment) {
+    try {
+      const { error: updateError } = await supabase
+        .from('payment_installments')
+        .update({
+          reminder_count: (installment.reminder_count || 0) + 1,
+          last_reminder_sent: new Date().toISOString(),
+        })
+        .eq('id', installment.id);
+
+      if (updateError) {
+        sentryService.captureException(updateError, {
+          tags: { service: 'split-payment', operation: 'updateInstallmentReminderCount' }
+        });
+      }
+
+      return true;
+    } catch (error) {
+      sentryService.captureException(error, {
+        tags: { service: 'split-payment', operation: 'sendInstallmentReminder' }
+      });
+      return false;
+    }
+  },
+
   /**
    * Process payment deadline enforcement
    */
@@ -676,6 +1081,7 @@ export const getSplitPaymentConfig = () => SPLIT_PAYMENT_CONFIG;
 // Main export
 export default {
   paymentSplitting,
+  paymentLinks,
   groupPaymentManager,
   paymentDeadlineManager,
   getSplitPaymentConfig,
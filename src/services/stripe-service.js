@@ -7,6 +7,8 @@ import { loadStripe } from '@stripe/stripe-js';
 import { supabase } from '../lib/supabase.js';
 import CurrencyService from './currency-service.js';
 import InvoiceService from './invoice-service.js';
+import { exchangeRateSnapshotManager } from './exchange-rate-snapshot-service.js';
+import { pricingEngine, getPricingConfig, getQuoteTotal } from './pricing-service.js';
 import { logger } from '../utils/logger.js';
 
 // Configuration
@@ -108,6 +110,14 @@ async function makeStripeAPICall(endpoint, options = {}, retryCount = 0) {
   }
 }
 
+/**
+ * Bearer token for endpoints that act as the signed-in user
+ */
+async function getAuthHeaders() {
+  const { data: { session } } = await supabase.auth.getSession();
+  return { 'Authorization': `Bearer ${session?.access_token}` };
+}
+
 /**
  * Stripe Connect Account Management
  */
@@ -247,39 +257,73 @@ export const payments = {
    */
   async createPaymentIntent(paymentData) {
     const {
-      amount,
-      currency = PLATFORM_CONFIG.defaultCurrency,
+      amount = null, // Optional with a locked quote; the quote total is charged
+      currency = null,
       vendorAccountId,
       bookingId,
       userId,
       description,
+      metadata = {},
+      discounts = {}, // { promoCode, promoDiscount, creditApplied } in the smallest currency unit
+      lockQuote = true, // Split shares and installments pay against the quote locked when the split was created
     } = paymentData;
 
-    if (!amount || !vendorAccountId || !bookingId || !userId) {
+    if ((!lockQuote && !amount) || !vendorAccountId || !bookingId || !userId) {
       throw new Error('Amount, vendor account ID, booking ID, and user ID are required');
     }
 
-    if (!PLATFORM_CONFIG.supportedCurrencies.includes(currency)) {
+    if (currency && !PLATFORM_CONFIG.supportedCurrencies.includes(currency)) {
       throw new Error(`Currency ${currency} is not supported`);
     }
 
     try {
-      const platformFee = Math.round(amount * PLATFORM_CONFIG.platformFeePercent);
+      // The booking's price is fixed, and its promo code redeemed, before anything is charged for it
+      const lockedQuote = lockQuote
+        ? await pricingEngine.lockBookingQuote(bookingId, {
+          promoCode: discounts.promoCode || null,
+          currency: currency ? currency.toUpperCase() : null,
+        })
+        : null;
+      if (lockedQuote && amount && amount !== lockedQuote.total) {
+        throw new Error(`Amount ${amount} does not match the booking's locked price of ${lockedQuote.total}`);
+      }
+      if (lockedQuote && currency && currency !== lockedQuote.currency.toLowerCase()) {
+        throw new Error(`This booking is priced in ${lockedQuote.currency}`);
+      }
+
+      // A locked booking is always charged its quoted total
+      const chargeAmount = lockedQuote ? lockedQuote.total : amount;
+      const chargeCurrency = lockedQuote ? lockedQuote.currency.toLowerCase() : (currency || PLATFORM_CONFIG.defaultCurrency);
+      if (!PLATFORM_CONFIG.supportedCurrencies.includes(chargeCurrency)) {
+        throw new Error(`Currency ${chargeCurrency} is not supported`);
+      }
+
+      const promoItem = lockedQuote?.promoCode
+        ? lockedQuote.lineItems.find(item => item.type === getPricingConfig().lineItemTypes.PROMO)
+        : null;
+      const promo = promoItem
+        ? { promoCode: lockedQuote.promoCode, promoDiscount: -promoItem.amount }
+        : { promoCode: discounts.promoCode, promoDiscount: discounts.promoDiscount };
+
+      const platformFee = Math.round(chargeAmount * PLATFORM_CONFIG.platformFeePercent);
 
       const paymentIntent = await makeStripeAPICall('/payment-intents', {
         method: 'POST',
         body: {
-          amount,
-          currency,
+          amount: chargeAmount,
+          currency: chargeCurrency,
           transfer_data: {
             destination: vendorAccountId,
           },
           application_fee_amount: platformFee,
           metadata: {
+            ...metadata,
             booking_id: bookingId,
             user_id: userId,
             vendor_account_id: vendorAccountId,
             platform_fee: platformFee,
+            ...(promo.promoCode ? { promo_code: promo.promoCode, promo_discount: promo.promoDiscount } : {}),
+            ...(discounts.creditApplied ? { referral_credit_applied: discounts.creditApplied } : {}),
           },
           description: description || `Payment for booking ${bookingId}`,
         },
@@ -288,14 +332,47 @@ export const payments = {
       return {
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
+        amount: chargeAmount,
+        currency: chargeCurrency,
+        quote: lockedQuote,
         platformFee,
-        vendorAmount: amount - platformFee,
+        vendorAmount: chargeAmount - platformFee,
       };
     } catch (error) {
       throw new Error(`Failed to create payment intent: ${error.message}`);
     }
   },
 
+  /**
+   * A booking and the vendor account its checkout pays, for the traveler who owns it
+   */
+  async getBookingCheckout(bookingId) {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('id, adventure_id, booking_date, total_participants, status, price_quote, price_locked_at, adventure:adventures(title)')
+      .eq('id', bookingId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load booking: ${error.message}`);
+    }
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    const { data: vendorAccountId, error: accountError } = await supabase
+      .rpc('get_booking_vendor_account', { p_booking_id: bookingId });
+
+    if (accountError) {
+      throw new Error(`Failed to load vendor account: ${accountError.message}`);
+    }
+    if (!vendorAccountId) {
+      throw new Error('This vendor is not accepting payments yet');
+    }
+
+    return { booking, vendorAccountId };
+  },
+
   /**
    * Process refund
    */
@@ -327,11 +404,12 @@ export const payments = {
   },
 
   /**
-   * Create multi-currency payment intent with auto invoice generation
+   * Create multi-currency payment intent with auto invoice generation. The
+   * booking's quote is locked in the chosen currency, and the charge and the
+   * invoice both come from it.
    */
   async createMultiCurrencyPayment(paymentData) {
     const {
-      amount,
       currency = PLATFORM_CONFIG.defaultCurrency,
       vendorAccountId,
       bookingId,
@@ -350,17 +428,37 @@ export const payments = {
     }
 
     try {
-      // Convert amount to Stripe format (cents/smallest unit)
-      const stripeAmount = CurrencyService.displayToStripe(amount, currency);
+      const lockedQuote = await pricingEngine.lockBookingQuote(bookingId, { currency: currency.toUpperCase() });
+      if (lockedQuote.currency !== currency.toUpperCase()) {
+        throw new Error(`This booking is priced in ${lockedQuote.currency}`);
+      }
+      const amount = getQuoteTotal(lockedQuote);
+
+      // Keep the rate the quote was converted at so the charge can be reproduced later
+      let rateSnapshot = null;
+      const exchangeRateSnapshot = lockedQuote.exchangeRate;
+      if (exchangeRateSnapshot && exchangeRateSnapshot.from_currency !== exchangeRateSnapshot.to_currency) {
+        rateSnapshot = exchangeRateSnapshot.id
+          ? exchangeRateSnapshot
+          : await exchangeRateSnapshotManager.recordSnapshot(exchangeRateSnapshot, {
+            referenceType: 'booking',
+            referenceId: bookingId,
+            userId,
+          });
+      }
 
-      // Create payment intent
+      // Create payment intent for the locked total
       const paymentResult = await this.createPaymentIntent({
-        amount: stripeAmount,
         currency: currency.toLowerCase(),
         vendorAccountId,
         bookingId,
         userId,
         description,
+        metadata: rateSnapshot ? {
+          exchange_rate_snapshot_id: rateSnapshot.id,
+          exchange_rate: rateSnapshot.rate,
+          original_currency: rateSnapshot.from_currency,
+        } : {},
       });
 
       // Auto-generate invoice if enabled
@@ -373,11 +471,13 @@ export const payments = {
             vendorId,
             vendorAccountId,
             amount,
-            currency: currency.toUpperCase(),
+            currency: lockedQuote.currency,
+            quote: lockedQuote,
             customerInfo,
             vendorInfo,
             template: invoiceTemplate,
             notes: description,
+            exchangeRateSnapshot: rateSnapshot,
           });
         } catch (invoiceError) {
           // Continue with payment - invoice can be created manually later
@@ -386,9 +486,10 @@ export const payments = {
 
       return {
         ...paymentResult,
-        currency: currency.toUpperCase(),
+        currency: lockedQuote.currency,
         displayAmount: amount,
-        formattedAmount: CurrencyService.formatAmount(amount, currency),
+        formattedAmount: CurrencyService.formatAmount(amount, lockedQuote.currency),
+        exchangeRateSnapshot: rateSnapshot,
         invoice,
       };
     } catch (error) {
@@ -576,6 +677,28 @@ export const webhooks = {
     }
   },
 
+  /**
+   * Failed and dead-lettered webhook events (admin only)
+   */
+  async listFailedEvents(limit = 50) {
+    const headers = await getAuthHeaders();
+    const { events } = await makeStripeAPICall(`/webhook-events?limit=${limit}`, { headers });
+    return events;
+  },
+
+  /**
+   * Re-run a failed or dead-lettered webhook event with fresh attempts (admin only)
+   */
+  async redriveEvent(eventId) {
+    const headers = await getAuthHeaders();
+    const { result } = await makeStripeAPICall('/webhook-events', {
+      method: 'POST',
+      headers,
+      body: { eventId },
+    });
+    return result;
+  },
+
   async handleInvoicePaymentSucceeded(invoice) {
     // Handle subscription or recurring payment success
   },
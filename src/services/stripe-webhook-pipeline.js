@@ -0,0 +1,501 @@
+/**
+ * Stripe Webhook Pipeline
+ * Stored-event processing for Stripe webhooks. Every delivery is recorded in
+ * stripe_webhook_events before anything else happens, so repeated deliveries of
+ * the same stripe_event_id are acknowledged without running handlers twice.
+ * Events for the same Stripe object (payment intent, payout, account, dispute)
+ * only apply when they are newer than the last one applied - stale deliveries
+ * are skipped - and stripe_object_states keeps the latest state per object.
+ * Failed events retry with backoff and are dead-lettered for an admin to
+ * re-drive once their attempts run out.
+ */
+import { supabase } from '../lib/supabase.js';
+import { calculateBackoff } from './durable-job-queue.js';
+
+// Pipeline configuration
+const WEBHOOK_PIPELINE_CONFIG = {
+  eventsTable: 'stripe_webhook_events',
+  maxAttempts: 5,
+  retryDelay: 60000, // First retry after a minute, doubling each attempt
+  leaseTimeout: 60000, // Webhook functions run for at most 30 seconds
+  retryBatchSize: 25,
+  statuses: {
+    RECEIVED: 'received',
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    DEAD: 'dead',
+  },
+  // Order of events within an object's lifecycle, used when two events were
+  // created in the same second. Event types not listed here are not ordered.
+  lifecycleRanks: {
+    'account.updated': 0,
+    'payment_intent.payment_failed': 1,
+    'payment_intent.succeeded': 2,
+    'charge.refunded': 3,
+    'charge.dispute.created': 1,
+    'charge.dispute.updated': 2,
+    'charge.dispute.funds_withdrawn': 3,
+    'charge.dispute.funds_reinstated': 3,
+    'charge.dispute.closed': 4,
+    'payout.created': 1,
+    'payout.updated': 2,
+    'payout.paid': 3,
+    'payout.failed': 3,
+  },
+};
+
+const { statuses: STATUS } = WEBHOOK_PIPELINE_CONFIG;
+
+// Events in these states are finished with until an admin re-drives them
+const SETTLED_STATUSES = [STATUS.PROCESSED, STATUS.SKIPPED, STATUS.DEAD];
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Work out which Stripe object an event belongs to for ordering. Refunds are
+ * ordered with their payment intent, so a late payment_intent.succeeded cannot
+ * undo a refund.
+ * @param {Object} event - Stripe event
+ * @returns {Object|null} { objectKey, objectType, objectId, rank, createdAt, state }
+ */
+export function getEventOrdering(event) {
+  const rank = WEBHOOK_PIPELINE_CONFIG.lifecycleRanks[event?.type];
+  const object = event?.data?.object;
+  if (rank === undefined || !object?.id) return null;
+
+  let objectType = event.type.split('.')[0];
+  let objectId = object.id;
+  if (event.type.startsWith('charge.dispute.')) {
+    objectType = 'dispute';
+  } else if (event.type === 'charge.refunded' && object.payment_intent) {
+    objectType = 'payment_intent';
+    objectId = object.payment_intent;
+  }
+
+  return {
+    objectKey: `${objectType}:${objectId}`,
+    objectType,
+    objectId,
+    rank,
+    createdAt: new Date(event.created * 1000),
+    state: object,
+  };
+}
+
+/**
+ * Whether an event may be applied over an object's current state
+ * @param {Object|null} current - stripe_object_states row
+ * @param {Object} ordering - getEventOrdering result
+ * @param {string} eventId
+ */
+export function isNewerEvent(current, ordering, eventId) {
+  if (!current || current.last_event_id === eventId) return true;
+  const difference = toTime(ordering.createdAt) - toTime(current.last_event_created_at);
+  return difference > 0 || (difference === 0 && ordering.rank > current.lifecycle_rank);
+}
+
+/**
+ * Whether a stored event can be picked up for processing now. Events stuck in
+ * processing are taken over once their lease runs out.
+ */
+export function isClaimable(row, now = new Date()) {
+  if (!row) return false;
+  if (row.status === STATUS.RECEIVED || row.status === STATUS.FAILED) return true;
+  return row.status === STATUS.PROCESSING && (!row.locked_until || toTime(row.locked_until) <= toTime(now));
+}
+
+/**
+ * Decide what happens to an event whose handler failed
+ * @param {Object} row - Claimed stripe_webhook_events row
+ * @returns {Object} Fields to update - failed with a retry time, or dead-lettered
+ */
+export function resolveEventFailure(row, error, now = new Date(), {
+  maxAttempts = WEBHOOK_PIPELINE_CONFIG.maxAttempts,
+  retryDelay = WEBHOOK_PIPELINE_CONFIG.retryDelay,
+} = {}) {
+  const common = {
+    processed: false,
+    last_processing_error: error?.message || String(error),
+    error_category: null, // Re-categorized by the database trigger
+    locked_until: null,
+  };
+
+  if (row.processing_attempts >= maxAttempts) {
+    return { ...common, status: STATUS.DEAD, retry_after: null, processed_at: toIso(now) };
+  }
+
+  return {
+    ...common,
+    status: STATUS.FAILED,
+    retry_after: toIso(toTime(now) + calculateBackoff(row.processing_attempts, retryDelay)),
+  };
+}
+
+/**
+ * In-process event store - for tests and local development
+ */
+export function createMemoryWebhookEventStore() {
+  const events = new Map();
+  const objectStates = new Map();
+
+  const copy = (row) => (row ? { ...row } : null);
+  const byCreated = (a, b) => toTime(a.event_created_at) - toTime(b.event_created_at);
+
+  return {
+    name: 'memory',
+    objectStates,
+
+    async record(row) {
+      if (events.has(row.stripe_event_id)) {
+        return { row: copy(events.get(row.stripe_event_id)), duplicate: true };
+      }
+      events.set(row.stripe_event_id, { ...row, created_at: toIso(Date.now()) });
+      return { row: copy(row), duplicate: false };
+    },
+
+    async claim(eventId, { now = new Date(), leaseTimeout = WEBHOOK_PIPELINE_CONFIG.leaseTimeout } = {}) {
+      const stored = events.get(eventId);
+      if (!isClaimable(stored, now)) return null;
+      Object.assign(stored, {
+        status: STATUS.PROCESSING,
+        processing_attempts: stored.processing_attempts + 1,
+        locked_until: toIso(toTime(now) + leaseTimeout),
+      });
+      return copy(stored);
+    },
+
+    async advanceObjectState(ordering, event) {
+      const current = objectStates.get(ordering.objectKey);
+      if (!isNewerEvent(current, ordering, event.id)) return false;
+      objectStates.set(ordering.objectKey, {
+        object_key: ordering.objectKey,
+        object_type: ordering.objectType,
+        object_id: ordering.objectId,
+        last_event_id: event.id,
+        last_event_type: event.type,
+        last_event_created_at: toIso(ordering.createdAt),
+        lifecycle_rank: ordering.rank,
+        state: ordering.state,
+      });
+      return true;
+    },
+
+    async update(eventId, fields) {
+      const stored = events.get(eventId);
+      if (!stored) return null;
+      Object.assign(stored, fields);
+      return copy(stored);
+    },
+
+    async reset(eventId, statuses) {
+      const stored = events.get(eventId);
+      if (!stored || !statuses.includes(stored.status)) return null;
+      Object.assign(stored, {
+        status: STATUS.RECEIVED,
+        processing_attempts: 0,
+        retry_after: null,
+        locked_until: null,
+        last_processing_error: null,
+        skip_reason: null,
+      });
+      return copy(stored);
+    },
+
+    async get(eventId) {
+      return copy(events.get(eventId));
+    },
+
+    async listDue({ now = new Date(), limit = WEBHOOK_PIPELINE_CONFIG.retryBatchSize } = {}) {
+      return [...events.values()]
+        .filter(row => row.status === STATUS.FAILED && toTime(row.retry_after) <= toTime(now))
+        .sort(byCreated)
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async list({ statuses, limit = 50 } = {}) {
+      return [...events.values()]
+        .filter(row => !statuses || statuses.includes(row.status))
+        .sort((a, b) => byCreated(b, a))
+        .slice(0, limit)
+        .map(copy);
+    },
+  };
+}
+
+/**
+ * Postgres event store on stripe_webhook_events. Claims are conditional updates
+ * on the status and attempt count read just before, so only one delivery or
+ * retry runs an event at a time; ordering goes through advance_stripe_object_state.
+ * @param {Object} client - Supabase client using the service role
+ */
+export function createPostgresWebhookEventStore(client = supabase) {
+  const table = () => client.from(WEBHOOK_PIPELINE_CONFIG.eventsTable);
+
+  const store = {
+    name: 'postgres',
+
+    async record(row) {
+      const { data, error } = await table()
+        .upsert(row, { onConflict: 'stripe_event_id', ignoreDuplicates: true })
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to record webhook event: ${error.message}`);
+      }
+      if (data?.length) {
+        return { row: data[0], duplicate: false };
+      }
+      return { row: await store.get(row.stripe_event_id), duplicate: true };
+    },
+
+    async claim(eventId, { now = new Date(), leaseTimeout = WEBHOOK_PIPELINE_CONFIG.leaseTimeout } = {}) {
+      const current = await store.get(eventId);
+      if (!isClaimable(current, now)) return null;
+
+      const { data, error } = await table()
+        .update({
+          status: STATUS.PROCESSING,
+          processing_attempts: current.processing_attempts + 1,
+          locked_until: toIso(toTime(now) + leaseTimeout),
+        })
+        .eq('stripe_event_id', eventId)
+        .eq('status', current.status)
+        .eq('processing_attempts', current.processing_attempts)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to claim webhook event: ${error.message}`);
+      }
+      return data?.[0] || null;
+    },
+
+    async advanceObjectState(ordering, event) {
+      const { data, error } = await client.rpc('advance_stripe_object_state', {
+        p_object_key: ordering.objectKey,
+        p_object_type: ordering.objectType,
+        p_object_id: ordering.objectId,
+        p_event_id: event.id,
+        p_event_type: event.type,
+        p_event_created_at: toIso(ordering.createdAt),
+        p_lifecycle_rank: ordering.rank,
+        p_state: ordering.state,
+      });
+
+      if (error) {
+        throw new Error(`Failed to update Stripe object state: ${error.message}`);
+      }
+      return data === true;
+    },
+
+    async update(eventId, fields) {
+      const { data, error } = await table()
+        .update(fields)
+        .eq('stripe_event_id', eventId)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to update webhook event: ${error.message}`);
+      }
+      return data?.[0] || null;
+    },
+
+    async reset(eventId, statuses) {
+      const { data, error } = await table()
+        .update({
+          status: STATUS.RECEIVED,
+          processing_attempts: 0,
+          retry_after: null,
+          locked_until: null,
+          last_processing_error: null,
+          error_category: null,
+          skip_reason: null,
+        })
+        .eq('stripe_event_id', eventId)
+        .in('status', statuses)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to reset webhook event: ${error.message}`);
+      }
+      return data?.[0] || null;
+    },
+
+    async get(eventId) {
+      const { data, error } = await table()
+        .select('*')
+        .eq('stripe_event_id', eventId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load webhook event: ${error.message}`);
+      }
+      return data;
+    },
+
+    async listDue({ now = new Date(), limit = WEBHOOK_PIPELINE_CONFIG.retryBatchSize } = {}) {
+      const { data, error } = await table()
+        .select('*')
+        .eq('status', STATUS.FAILED)
+        .lte('retry_after', toIso(now))
+        .order('event_created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to load due webhook events: ${error.message}`);
+      }
+      return data || [];
+    },
+
+    async list({ statuses, limit = 50 } = {}) {
+      let query = table()
+        .select('stripe_event_id, event_type, status, object_key, processing_attempts, last_processing_error, error_category, skip_reason, retry_after, event_created_at, created_at, processed_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (statuses) query = query.in('status', statuses);
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to list webhook events: ${error.message}`);
+      }
+      return data || [];
+    },
+  };
+
+  return store;
+}
+
+/**
+ * Create a pipeline around an event store and the webhook event handlers
+ * @param {Object} options
+ * @param {Function} options.processEvent - async (event) => void; throws on failure
+ * @param {Object} options.store - Event store, Postgres by default
+ * @param {Function} options.onDeadLetter - async (row, error) => void, once an event runs out of attempts
+ */
+export function createWebhookPipeline({
+  processEvent,
+  store = createPostgresWebhookEventStore(),
+  onDeadLetter = null,
+  maxAttempts = WEBHOOK_PIPELINE_CONFIG.maxAttempts,
+  retryDelay = WEBHOOK_PIPELINE_CONFIG.retryDelay,
+  leaseTimeout = WEBHOOK_PIPELINE_CONFIG.leaseTimeout,
+} = {}) {
+  const pipeline = {
+    store,
+
+    /**
+     * Record a delivered event, then process it unless it was already handled
+     * @returns {Promise<Object>} { eventId, status, duplicate, claimed, retryAt, error }
+     */
+    async receive(event, now = new Date()) {
+      const ordering = getEventOrdering(event);
+      const { row, duplicate } = await store.record({
+        stripe_event_id: event.id,
+        event_type: event.type,
+        event_data: event,
+        status: STATUS.RECEIVED,
+        processed: false,
+        processing_attempts: 0,
+        object_key: ordering?.objectKey ?? null,
+        event_created_at: toIso(event.created * 1000),
+      });
+
+      if (duplicate && SETTLED_STATUSES.includes(row.status)) {
+        return { eventId: event.id, status: row.status, duplicate: true, claimed: false };
+      }
+      return { ...(await pipeline.run(event.id, now)), duplicate };
+    },
+
+    /**
+     * Claim and process a stored event
+     */
+    async run(eventId, now = new Date()) {
+      const row = await store.claim(eventId, { now, leaseTimeout });
+      if (!row) {
+        // Already settled, or another delivery holds the lease
+        const current = await store.get(eventId);
+        return { eventId, status: current?.status ?? null, claimed: false };
+      }
+
+      const event = row.event_data;
+      const ordering = getEventOrdering(event);
+
+      try {
+        if (ordering && !(await store.advanceObjectState(ordering, event))) {
+          await store.update(eventId, {
+            status: STATUS.SKIPPED,
+            processed: true,
+            processed_at: toIso(now),
+            skip_reason: `Superseded by a newer event for ${ordering.objectKey}`,
+            locked_until: null,
+          });
+          return { eventId, status: STATUS.SKIPPED, claimed: true };
+        }
+
+        await processEvent(event);
+
+        await store.update(eventId, {
+          status: STATUS.PROCESSED,
+          processed: true,
+          processed_at: toIso(now),
+          last_processing_error: null,
+          retry_after: null,
+          locked_until: null,
+        });
+        return { eventId, status: STATUS.PROCESSED, claimed: true };
+      } catch (error) {
+        const failure = resolveEventFailure(row, error, now, { maxAttempts, retryDelay });
+        await store.update(eventId, failure);
+
+        if (failure.status === STATUS.DEAD && onDeadLetter) {
+          await onDeadLetter(row, error);
+        }
+        return {
+          eventId,
+          status: failure.status,
+          claimed: true,
+          retryAt: failure.retry_after,
+          error: error.message,
+        };
+      }
+    },
+
+    /**
+     * Re-run failed events whose backoff has passed, oldest Stripe event first
+     */
+    async retryDue({ now = new Date(), limit = WEBHOOK_PIPELINE_CONFIG.retryBatchSize } = {}) {
+      const due = await store.listDue({ now, limit });
+      const results = [];
+      for (const row of due) {
+        results.push(await pipeline.run(row.stripe_event_id, now));
+      }
+      return results;
+    },
+
+    /**
+     * Events needing attention - waiting to retry or dead-lettered
+     */
+    async listFailed({ limit = 50 } = {}) {
+      return store.list({ statuses: [STATUS.FAILED, STATUS.DEAD], limit });
+    },
+
+    /**
+     * Give a failed or dead-lettered event a fresh set of attempts and run it now
+     * @returns {Promise<Object|null>} Run result, or null if the event cannot be re-driven
+     */
+    async redrive(eventId, now = new Date()) {
+      const reset = await store.reset(eventId, [STATUS.FAILED, STATUS.DEAD]);
+      if (!reset) return null;
+      return pipeline.run(eventId, now);
+    },
+  };
+
+  return pipeline;
+}
+
+export const getWebhookPipelineConfig = () => WEBHOOK_PIPELINE_CONFIG;
+
+export default createWebhookPipeline;
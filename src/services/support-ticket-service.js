@@ -0,0 +1,412 @@
+/**
+ * Support Ticket Service
+ * One ticket queue for WhatsApp messages, booking chat escalations and the
+ * contact form. Customer messages thread into the requester's open ticket on
+ * that channel (receive_support_message); agent replies are stored on the
+ * ticket and mirrored back over the channel the ticket came from - a WhatsApp
+ * reply, the in-app chat or an email. Each ticket has a priority-based SLA for
+ * the first response and for resolution.
+ */
+import { supabase } from '../lib/supabase.js';
+import whatsAppService from './whatsapp-service.js';
+import emailService from './email-service.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Support ticket configuration
+const SUPPORT_TICKET_CONFIG = {
+  channels: ['whatsapp', 'chat', 'email'],
+  statuses: ['open', 'in_progress', 'waiting_on_customer', 'resolved', 'closed'],
+  openStatuses: ['open', 'in_progress', 'waiting_on_customer'],
+  priorities: ['urgent', 'high', 'normal', 'low'],
+  // Time allowed for the first agent reply and for resolution
+  sla: {
+    urgent: { firstResponse: 1 * HOUR, resolution: 8 * HOUR },
+    high: { firstResponse: 4 * HOUR, resolution: 24 * HOUR },
+    normal: { firstResponse: 24 * HOUR, resolution: 72 * HOUR },
+    low: { firstResponse: 48 * HOUR, resolution: 120 * HOUR },
+  },
+  atRiskShare: 0.25, // Timers with less than a quarter of their window left are at risk
+  // Contact form categories -> priority
+  categoryPriorities: {
+    'Safety Concern': 'urgent',
+    'Booking Issue': 'high',
+    'Technical Support': 'normal',
+    'Bug Report': 'normal',
+    'General Inquiry': 'normal',
+    'Feature Request': 'low',
+    'Partnership': 'low',
+    'Other': 'normal',
+  },
+  urgentKeywords: ['emergency', 'urgent', 'stranded', 'injured', 'lost passport', 'stolen'],
+  subjectLength: 80,
+  transcriptLength: 10, // Chat messages copied onto an escalated ticket
+};
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+const toIso = (value) => new Date(value).toISOString();
+
+/**
+ * Ticket reference shown to customers and agents
+ */
+export const formatTicketReference = (ticket) => `#${ticket.ticket_number}`;
+
+/**
+ * First response and resolution deadlines for a priority
+ * @returns {Object} { first_response_due_at, resolution_due_at }
+ */
+export function calculateSlaDeadlines(priority, createdAt = new Date()) {
+  const sla = SUPPORT_TICKET_CONFIG.sla[priority] || SUPPORT_TICKET_CONFIG.sla.normal;
+  const start = toTime(createdAt);
+  return {
+    first_response_due_at: toIso(start + sla.firstResponse),
+    resolution_due_at: toIso(start + sla.resolution),
+  };
+}
+
+/**
+ * Priority for a customer message - urgent wording, otherwise the contact form category
+ */
+export function determinePriority({ category, body = '' } = {}) {
+  const text = body.toLowerCase();
+  if (SUPPORT_TICKET_CONFIG.urgentKeywords.some(keyword => text.includes(keyword))) return 'urgent';
+  return SUPPORT_TICKET_CONFIG.categoryPriorities[category] || 'normal';
+}
+
+// One SLA timer: met/breached once stopped, otherwise on track, at risk or breached
+const getTimer = (dueAt, stoppedAt, windowMs, now) => {
+  const due = toTime(dueAt);
+  if (stoppedAt) {
+    return { dueAt, remainingMs: null, state: toTime(stoppedAt) <= due ? 'met' : 'breached' };
+  }
+  const remainingMs = due - toTime(now);
+  let state = 'on_track';
+  if (remainingMs < 0) state = 'breached';
+  else if (remainingMs <= windowMs * SUPPORT_TICKET_CONFIG.atRiskShare) state = 'at_risk';
+  return { dueAt, remainingMs, state };
+};
+
+/**
+ * SLA timers for a ticket
+ * @returns {Object} { firstResponse, resolution, breached, nextDueAt }
+ */
+export function getSlaStatus(ticket, now = new Date()) {
+  const sla = SUPPORT_TICKET_CONFIG.sla[ticket.priority] || SUPPORT_TICKET_CONFIG.sla.normal;
+  const firstResponse = getTimer(ticket.first_response_due_at, ticket.first_responded_at, sla.firstResponse, now);
+  const resolution = getTimer(ticket.resolution_due_at, ticket.resolved_at, sla.resolution, now);
+  const running = [firstResponse, resolution].filter(timer => timer.remainingMs !== null);
+
+  return {
+    firstResponse,
+    resolution,
+    breached: firstResponse.state === 'breached' || resolution.state === 'breached',
+    nextDueAt: running.length ? running.sort((a, b) => toTime(a.dueAt) - toTime(b.dueAt))[0].dueAt : null,
+  };
+}
+
+/**
+ * Queue order: breached tickets, then the nearest running deadline, then priority
+ */
+export function sortQueue(tickets, now = new Date()) {
+  const { priorities } = SUPPORT_TICKET_CONFIG;
+  return tickets
+    .map(ticket => ({ ...ticket, sla: ticket.sla || getSlaStatus(ticket, now) }))
+    .sort((a, b) =>
+      Number(b.sla.breached) - Number(a.sla.breached) ||
+      (a.sla.nextDueAt ? toTime(a.sla.nextDueAt) : Infinity) - (b.sla.nextDueAt ? toTime(b.sla.nextDueAt) : Infinity) ||
+      priorities.indexOf(a.priority) - priorities.indexOf(b.priority)
+    );
+}
+
+/**
+ * Subject line from the first customer message
+ */
+export function summarizeSubject(body, fallback = 'Support request') {
+  const line = (body || '').split('\n').map(part => part.trim()).find(Boolean);
+  if (!line) return fallback;
+  const { subjectLength } = SUPPORT_TICKET_CONFIG;
+  return line.length > subjectLength ? `${line.slice(0, subjectLength - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Outbound adapters - deliver an agent reply on the ticket's channel
+ * send(ticket, message) resolves to { externalMessageId } or throws
+ */
+const supportChannels = {
+  whatsapp: {
+    async send(ticket, message) {
+      const result = await whatsAppService.sendTextMessage(ticket.channel_ref, message.body);
+      if (!result.success) {
+        throw new Error(result.error || 'WhatsApp message not sent');
+      }
+      return { externalMessageId: result.messageId || null };
+    },
+  },
+  email: {
+    async send(ticket, message) {
+      const result = await emailService.sendTemplatedEmail('supportTicket', ticket.channel_ref, {
+        ticketReference: formatTicketReference(ticket),
+        subject: ticket.subject,
+        customerName: ticket.requester_name,
+        message: message.body,
+      }, { entityId: ticket.id });
+      return { externalMessageId: result.messageId || null };
+    },
+  },
+  // The booking chat picks replies up from the ticket thread
+  chat: {
+    async send() {
+      return { externalMessageId: null };
+    },
+  },
+};
+
+/**
+ * Replace or add the outbound adapter for a channel
+ */
+export function registerSupportChannel(channel, adapter) {
+  supportChannels[channel] = adapter;
+}
+
+/**
+ * Create a ticket engine
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client; the WhatsApp webhook passes a service role client
+ * @param {Object} options.channels - Outbound adapters by channel
+ */
+export function createSupportTicketEngine({ client = supabase, channels = supportChannels } = {}) {
+  const tickets = () => client.from('support_tickets');
+  const messages = () => client.from('support_ticket_messages');
+
+  const engine = {
+    /**
+     * Record a customer message, opening a ticket or threading into the open one
+     * @returns {Promise<Object>} support_tickets row
+     */
+    async receiveCustomerMessage({
+      channel,
+      channelRef,
+      body,
+      subject = null,
+      category = 'general',
+      priority = null,
+      requesterName = null,
+      requesterEmail = null,
+      externalMessageId = null,
+      metadata = {},
+      now = new Date(),
+    }) {
+      if (!SUPPORT_TICKET_CONFIG.channels.includes(channel)) {
+        throw new Error(`Unknown support channel: ${channel}`);
+      }
+      if (!body?.trim()) {
+        throw new Error('Support message cannot be empty');
+      }
+
+      const ticketPriority = priority || determinePriority({ category, body });
+      const deadlines = calculateSlaDeadlines(ticketPriority, now);
+
+      const { data, error } = await client.rpc('receive_support_message', {
+        p_channel: channel,
+        p_channel_ref: channelRef,
+        p_body: body.trim(),
+        p_subject: subject?.trim() || summarizeSubject(body),
+        p_category: category,
+        p_priority: ticketPriority,
+        p_first_response_due_at: deadlines.first_response_due_at,
+        p_resolution_due_at: deadlines.resolution_due_at,
+        p_requester_name: requesterName,
+        p_requester_email: requesterEmail,
+        p_external_message_id: externalMessageId,
+        p_metadata: metadata,
+      });
+
+      if (error) {
+        throw new Error(`Failed to record support message: ${error.message}`);
+      }
+      return Array.isArray(data) ? data[0] : data;
+    },
+
+    /**
+     * Reply to a ticket as an agent and mirror the reply to the ticket's channel
+     * @param {Object} options - { internal: true } keeps the note inside the team
+     * @returns {Promise<Object>} { message, delivered, error }
+     */
+    async replyAsAgent(ticketId, agentId, body, { internal = false, now = new Date() } = {}) {
+      if (!body?.trim()) {
+        throw new Error('Reply cannot be empty');
+      }
+      const ticket = await engine.getTicket(ticketId, { withMessages: false });
+
+      const { data: message, error } = await messages()
+        .insert({
+          ticket_id: ticketId,
+          author_type: 'agent',
+          author_id: agentId,
+          body: body.trim(),
+          is_internal: internal,
+          channel: ticket.channel,
+          delivery_status: internal ? 'internal' : 'pending',
+          created_at: toIso(now),
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save reply: ${error.message}`);
+      }
+      if (internal) {
+        return { message, delivered: false, error: null };
+      }
+
+      let delivery;
+      try {
+        const { externalMessageId } = await channels[ticket.channel].send(ticket, message);
+        delivery = { delivery_status: 'sent', external_message_id: externalMessageId, delivery_error: null };
+      } catch (sendError) {
+        delivery = { delivery_status: 'failed', delivery_error: sendError.message };
+      }
+
+      const { data: delivered, error: deliveryError } = await messages()
+        .update(delivery)
+        .eq('id', message.id)
+        .select()
+        .single();
+
+      if (deliveryError) {
+        throw new Error(`Failed to record reply delivery: ${deliveryError.message}`);
+      }
+
+      // Only replies that reached the customer stop the first response timer
+      if (delivery.delivery_status === 'sent') {
+        const updates = {};
+        if (SUPPORT_TICKET_CONFIG.openStatuses.includes(ticket.status)) updates.status = 'waiting_on_customer';
+        if (!ticket.first_responded_at) updates.first_responded_at = toIso(now);
+        if (!ticket.assignee_id) updates.assignee_id = agentId;
+        await engine.updateTicket(ticketId, updates, { ticket, now });
+      }
+
+      return { message: delivered, delivered: delivery.delivery_status === 'sent', error: delivery.delivery_error || null };
+    },
+
+    /**
+     * Change status, priority or assignee. A new priority restarts the SLA
+     * deadlines from when the ticket was opened.
+     */
+    async updateTicket(ticketId, updates, { ticket = null, now = new Date() } = {}) {
+      const { status, priority } = updates;
+      if (status && !SUPPORT_TICKET_CONFIG.statuses.includes(status)) {
+        throw new Error(`Invalid ticket status: ${status}`);
+      }
+      if (priority && !SUPPORT_TICKET_CONFIG.priorities.includes(priority)) {
+        throw new Error(`Invalid ticket priority: ${priority}`);
+      }
+
+      const current = ticket || await engine.getTicket(ticketId, { withMessages: false });
+      const changes = { ...updates };
+
+      if (priority && priority !== current.priority) {
+        Object.assign(changes, calculateSlaDeadlines(priority, current.created_at));
+      }
+      if (status) {
+        const closing = !SUPPORT_TICKET_CONFIG.openStatuses.includes(status);
+        if (closing && !current.resolved_at) changes.resolved_at = toIso(now);
+        if (!closing && current.resolved_at) changes.resolved_at = null;
+      }
+
+      const { data, error } = await tickets()
+        .update(changes)
+        .eq('id', ticketId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update ticket: ${error.message}`);
+      }
+      return data;
+    },
+
+    /**
+     * Assign a ticket to an agent, or unassign it with null
+     */
+    async assignTicket(ticketId, assigneeId) {
+      return engine.updateTicket(ticketId, { assignee_id: assigneeId });
+    },
+
+    /**
+     * Ticket with its message thread and SLA timers
+     */
+    async getTicket(ticketId, { withMessages = true, now = new Date() } = {}) {
+      const { data, error } = await tickets()
+        .select(withMessages ? '*, messages:support_ticket_messages(*)' : '*')
+        .eq('id', ticketId)
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to load ticket: ${error.message}`);
+      }
+      if (data.messages) {
+        data.messages.sort((a, b) => toTime(a.created_at) - toTime(b.created_at));
+      }
+      return { ...data, sla: getSlaStatus(data, now) };
+    },
+
+    /**
+     * Agent queue, most urgent first
+     * @param {Object} filters - { statuses, priority, assigneeId, channel, limit }
+     */
+    async listQueue({
+      statuses = SUPPORT_TICKET_CONFIG.openStatuses,
+      priority = null,
+      assigneeId,
+      channel = null,
+      limit = 100,
+      now = new Date(),
+    } = {}) {
+      let query = tickets()
+        .select('*')
+        .in('status', statuses)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (priority) query = query.eq('priority', priority);
+      if (channel) query = query.eq('channel', channel);
+      if (assigneeId === null) query = query.is('assignee_id', null);
+      else if (assigneeId) query = query.eq('assignee_id', assigneeId);
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to load support queue: ${error.message}`);
+      }
+      return sortQueue(data || [], now);
+    },
+
+    /**
+     * Agent replies the customer has not seen yet - used by the in-app chat
+     * @param {string} since - ISO timestamp of the last reply already shown
+     */
+    async getAgentReplies(ticketId, since = null) {
+      let query = messages()
+        .select('id, body, author_id, created_at')
+        .eq('ticket_id', ticketId)
+        .eq('author_type', 'agent')
+        .eq('is_internal', false)
+        .order('created_at', { ascending: true });
+      if (since) query = query.gt('created_at', since);
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to load support replies: ${error.message}`);
+      }
+      return data || [];
+    },
+  };
+
+  return engine;
+}
+
+export const supportTicketEngine = createSupportTicketEngine();
+
+export const getSupportTicketConfig = () => SUPPORT_TICKET_CONFIG;
+
+export default supportTicketEngine;
@@ -0,0 +1,559 @@
+/**
+ * Trip Feedback Service
+ * Post-trip surveys. The day after a booking's trip ends every traveler on it is
+ * sent a survey by notification and email: a trip rating, a vendor rating and,
+ * for each companion, whether they'd travel together again and whether they
+ * clashed. Ratings land in reviews for vendor metrics; once all of a group's
+ * surveys are answered or expired the group's outcome is recorded on the group
+ * success predictions made for it.
+ */
+import { supabase } from '../lib/supabase.js';
+import notificationService from './notification-service.js';
+import emailService from './email-service.js';
+import { jobQueue } from './durable-job-queue.js';
+
+// Feedback configuration
+const FEEDBACK_CONFIG = {
+  sendAfterDays: 1, // Days after the trip's last day
+  lookbackDays: 30, // Trips that started longer ago are not surveyed
+  expiresAfterDays: 30,
+  reminderAfterDays: 5,
+  maxReminders: 1,
+  batchSize: 200,
+  bookingStatuses: ['confirmed', 'completed'],
+  // Matches the group builder's conflict families
+  conflictTypes: {
+    energy: 'Energy or pace',
+    social: 'Social needs',
+    risk: 'Risk appetite',
+    communication: 'Communication',
+    leadership: 'Decision making',
+    schedule: 'Schedule',
+    budget: 'Budget',
+    other: 'Something else',
+  },
+  jobType: 'trip_feedback_dispatch',
+  dispatchHourUtc: 9,
+  appUrl: import.meta.env.VITE_APP_URL || 'https://trvlsocial.com',
+  errors: {
+    SURVEY_NOT_FOUND: 'Survey not found',
+    SURVEY_ALREADY_SUBMITTED: 'You have already shared feedback for this trip',
+    SURVEY_EXPIRED: 'This survey has closed',
+    INVALID_RATING: 'Ratings must be between 1 and 5 stars',
+    UNKNOWN_COMPANION: 'You can only rate travelers from this trip',
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => (typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10));
+const addDays = (dateKey, days) => toDateKey(new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS));
+
+/**
+ * Last day of a booking's trip. Multi-day adventures run for their itinerary's
+ * days or their duration, whichever is longer.
+ * @param {Object} booking - bookings row with adventure { duration_hours, itinerary }
+ * @returns {string} YYYY-MM-DD
+ */
+export function getTripEndDate(booking) {
+  const adventure = booking.adventure || {};
+  const itineraryDays = Array.isArray(adventure.itinerary) ? adventure.itinerary.length : 0;
+  const durationDays = adventure.duration_hours ? Math.ceil(Number(adventure.duration_hours) / 24) : 0;
+  const days = Math.max(1, itineraryDays, durationDays);
+  return addDays(toDateKey(booking.booking_date), days - 1);
+}
+
+/**
+ * Users travelling on a booking: the booker and any participants with accounts
+ */
+export function getBookingTravelers(booking) {
+  const travelers = [booking.user_id, ...(booking.participants || []).map(participant => participant.user_id)];
+  return [...new Set(travelers.filter(Boolean))];
+}
+
+/**
+ * Validate survey answers into submit_trip_feedback arguments
+ * @param {Object} responses - tripRating, vendorRating, wouldRecommend, comment,
+ *   companions [{ companionId, wouldTravelAgain, hadConflict, conflictTypes }]
+ */
+export function normalizeFeedback(responses = {}) {
+  const rating = (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > 5) {
+      throw new Error(FEEDBACK_CONFIG.errors.INVALID_RATING);
+    }
+    return number;
+  };
+
+  const companions = (responses.companions || []).map(companion => {
+    if (typeof companion.wouldTravelAgain !== 'boolean') {
+      throw new Error('Say whether you would travel with each companion again, or skip them');
+    }
+    const hadConflict = Boolean(companion.hadConflict);
+    return {
+      companion_id: companion.companionId,
+      would_travel_again: companion.wouldTravelAgain,
+      had_conflict: hadConflict,
+      conflict_types: hadConflict
+        ? [...new Set(companion.conflictTypes || [])].filter(type => type in FEEDBACK_CONFIG.conflictTypes)
+        : [],
+    };
+  });
+
+  return {
+    p_trip_rating: rating(responses.tripRating),
+    p_vendor_rating: rating(responses.vendorRating),
+    p_would_recommend: typeof responses.wouldRecommend === 'boolean' ? responses.wouldRecommend : null,
+    p_comment: responses.comment?.trim() || null,
+    p_companions: companions,
+  };
+}
+
+/**
+ * trip_feedback_surveys row in the shape the survey page uses
+ */
+export function mapSurveyRow(row) {
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    groupId: row.group_id,
+    status: row.status,
+    tripEndDate: row.trip_end_date,
+    expiresAt: row.expires_at,
+    completedAt: row.completed_at,
+    tripRating: row.trip_rating,
+    vendorRating: row.vendor_rating,
+    wouldRecommend: row.would_recommend,
+    comment: row.comment,
+    adventure: row.adventure ? { id: row.adventure.id, title: row.adventure.title } : null,
+    vendor: row.vendor ? { id: row.vendor.id, name: row.vendor.business_name } : null,
+    companionIds: row.companion_ids || [],
+  };
+}
+
+// Database functions raise these codes; turn them into readable errors
+const toFeedbackError = (error, action) => {
+  const code = Object.keys(FEEDBACK_CONFIG.errors).find(key => error.message?.includes(key));
+  return new Error(code ? FEEDBACK_CONFIG.errors[code] : `Failed to ${action}: ${error.message}`);
+};
+
+const SURVEY_SELECT = `
+  *,
+  adventure:adventures(id, title),
+  vendor:vendors(id, business_name)
+`;
+
+/**
+ * Post-trip surveys
+ */
+export const tripFeedbackEngine = {
+  /**
+   * A survey with the companions the traveler can rate
+   */
+  async getSurvey(surveyId) {
+    const { data, error } = await supabase
+      .from('trip_feedback_surveys')
+      .select(SURVEY_SELECT)
+      .eq('id', surveyId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load survey: ${error.message}`);
+    }
+    if (!data) {
+      throw new Error(FEEDBACK_CONFIG.errors.SURVEY_NOT_FOUND);
+    }
+
+    const survey = mapSurveyRow(data);
+    survey.companions = [];
+    if (survey.companionIds.length > 0) {
+      const { data: profiles, error: profileError } = await supabase
+        .from('profiles')
+        .select('id, full_name, avatar_url')
+        .in('id', survey.companionIds);
+
+      if (profileError) {
+        throw new Error(`Failed to load travel companions: ${profileError.message}`);
+      }
+      survey.companions = (profiles || []).map(profile => ({
+        id: profile.id,
+        name: profile.full_name || 'Fellow traveler',
+        avatarUrl: profile.avatar_url,
+      }));
+    }
+
+    return survey;
+  },
+
+  /**
+   * The current user's open surveys, soonest to close first
+   */
+  async listPendingSurveys(userId) {
+    const { data, error } = await supabase
+      .from('trip_feedback_surveys')
+      .select(SURVEY_SELECT)
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load surveys: ${error.message}`);
+    }
+
+    return (data || []).map(mapSurveyRow);
+  },
+
+  /**
+   * Answer a survey as the current user
+   */
+  async submitSurvey(surveyId, responses) {
+    const { data, error } = await supabase.rpc('submit_trip_feedback', {
+      p_survey_id: surveyId,
+      ...normalizeFeedback(responses),
+    });
+
+    if (error) {
+      throw toFeedbackError(error, 'submit feedback');
+    }
+
+    return mapSurveyRow(data);
+  },
+
+  /**
+   * Main dispatch process - runs daily with the service role. Creates and sends
+   * surveys for trips that have ended, reminds once, closes stale surveys and
+   * records finished groups' outcomes.
+   */
+  async dispatchDueSurveys({ today = new Date() } = {}) {
+    const results = { created: 0, notified: 0, reminded: 0, expired: 0, outcomesRecorded: 0, errors: [] };
+
+    const surveys = await this.createDueSurveys(today);
+    results.created = surveys.length;
+    for (const survey of surveys) {
+      try {
+        await this.notifySurvey(survey);
+        results.notified++;
+      } catch (notifyError) {
+        results.errors.push({ surveyId: survey.id, error: notifyError.message });
+      }
+    }
+
+    const reminders = await this.sendReminders(today);
+    results.reminded = reminders.sent;
+    results.errors.push(...reminders.errors);
+
+    results.expired = await this.expireSurveys(today);
+
+    const outcomes = await this.recordGroupOutcomes();
+    results.outcomesRecorded = outcomes.recorded;
+    results.errors.push(...outcomes.errors);
+
+    return results;
+  },
+
+  /**
+   * Create surveys for every traveler on bookings whose trip ended at least
+   * sendAfterDays ago. Existing surveys are left alone.
+   * @returns {Promise<Array>} created survey rows
+   */
+  async createDueSurveys(today = new Date()) {
+    const todayKey = toDateKey(today);
+    const lastEndDate = addDays(todayKey, -FEEDBACK_CONFIG.sendAfterDays);
+
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select(`
+        id, user_id, vendor_id, adventure_id, group_id, booking_date,
+        adventure:adventures(id, title, duration_hours, itinerary),
+        participants:booking_participants(user_id),
+        surveys:trip_feedback_surveys(user_id)
+      `)
+      .in('status', FEEDBACK_CONFIG.bookingStatuses)
+      .gte('booking_date', addDays(todayKey, -FEEDBACK_CONFIG.lookbackDays))
+      .lte('booking_date', lastEndDate)
+      .limit(FEEDBACK_CONFIG.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load finished bookings: ${error.message}`);
+    }
+
+    const ended = (bookings || []).filter(booking => getTripEndDate(booking) <= lastEndDate);
+    const groupTravelers = await this.getGroupTravelers(ended.map(booking => booking.group_id));
+    const expiresAt = new Date(today.getTime() + FEEDBACK_CONFIG.expiresAfterDays * DAY_MS).toISOString();
+
+    const rows = ended.flatMap(booking => {
+      const travelers = getBookingTravelers(booking);
+      const everyone = booking.group_id ? [...new Set([...travelers, ...(groupTravelers[booking.group_id] || [])])] : travelers;
+      const surveyed = new Set((booking.surveys || []).map(survey => survey.user_id));
+
+      return travelers
+        .filter(userId => !surveyed.has(userId))
+        .map(userId => ({
+          booking_id: booking.id,
+          user_id: userId,
+          adventure_id: booking.adventure_id,
+          vendor_id: booking.vendor_id,
+          group_id: booking.group_id,
+          companion_ids: everyone.filter(id => id !== userId),
+          trip_end_date: getTripEndDate(booking),
+          expires_at: expiresAt,
+        }));
+    });
+
+    if (rows.length === 0) return [];
+
+    // Another run may have created some of these since the bookings were read
+    const { data: created, error: insertError } = await supabase
+      .from('trip_feedback_surveys')
+      .upsert(rows, { onConflict: 'booking_id,user_id', ignoreDuplicates: true })
+      .select(SURVEY_SELECT);
+
+    if (insertError) {
+      throw new Error(`Failed to create surveys: ${insertError.message}`);
+    }
+
+    return created || [];
+  },
+
+  /**
+   * Travelers on every booking of each group, so companions on separate
+   * bookings can rate each other
+   * @returns {Promise<Object>} group ID -> user IDs
+   */
+  async getGroupTravelers(groupIds) {
+    const uniqueIds = [...new Set(groupIds.filter(Boolean))];
+    if (uniqueIds.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('bookings')
+      .select('group_id, user_id, participants:booking_participants(user_id)')
+      .in('group_id', uniqueIds)
+      .in('status', FEEDBACK_CONFIG.bookingStatuses);
+
+    if (error) {
+      throw new Error(`Failed to load group bookings: ${error.message}`);
+    }
+
+    const travelers = {};
+    (data || []).forEach(booking => {
+      travelers[booking.group_id] = [...new Set([...(travelers[booking.group_id] || []), ...getBookingTravelers(booking)])];
+    });
+    return travelers;
+  },
+
+  /**
+   * Send a survey by notification and email
+   * @returns {Promise<Object>} { emailed, emailError }
+   */
+  async notifySurvey(survey, { reminder = false } = {}) {
+    const details = {
+      surveyId: survey.id,
+      bookingId: survey.booking_id,
+      adventureName: survey.adventure?.title || 'your trip',
+      reminder,
+    };
+
+    const notification = notificationService.createNotificationTemplate('trip_feedback_request', details);
+    await notificationService.sendNotification(survey.user_id, notification);
+
+    // Email is sent directly; the notification service's email channel only logs.
+    // A failed email doesn't stop the survey counting as sent.
+    let emailed = false;
+    let emailError = null;
+    try {
+      const { data: user } = await supabase.auth.admin.getUserById(survey.user_id);
+      if (user?.user?.email) {
+        await emailService.sendTemplatedEmail('tripFeedbackRequest', user.user.email, {
+          ...details,
+          userName: user.user.user_metadata?.full_name,
+          vendorName: survey.vendor?.business_name,
+          companionCount: (survey.companion_ids || []).length,
+          tripEndDate: survey.trip_end_date,
+          expiresOn: toDateKey(survey.expires_at),
+          surveyUrl: `${FEEDBACK_CONFIG.appUrl}/trips/feedback/${survey.id}`,
+        }, { entityId: `trip-feedback-${survey.id}` });
+        emailed = true;
+      }
+    } catch (error) {
+      emailError = error.message;
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('trip_feedback_surveys')
+      .update(reminder
+        ? { reminder_count: (survey.reminder_count || 0) + 1, last_reminded_at: now }
+        : { notified_at: now })
+      .eq('id', survey.id);
+
+    if (error) {
+      throw new Error(`Failed to update survey: ${error.message}`);
+    }
+
+    return { emailed, emailError };
+  },
+
+  /**
+   * Remind travelers who haven't answered after reminderAfterDays
+   */
+  async sendReminders(today = new Date()) {
+    const results = { sent: 0, errors: [] };
+
+    const { data: surveys, error } = await supabase
+      .from('trip_feedback_surveys')
+      .select(SURVEY_SELECT)
+      .eq('status', 'pending')
+      .lt('reminder_count', FEEDBACK_CONFIG.maxReminders)
+      .lte('notified_at', new Date(today.getTime() - FEEDBACK_CONFIG.reminderAfterDays * DAY_MS).toISOString())
+      .gt('expires_at', today.toISOString())
+      .limit(FEEDBACK_CONFIG.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load surveys to remind: ${error.message}`);
+    }
+
+    for (const survey of surveys || []) {
+      try {
+        await this.notifySurvey(survey, { reminder: true });
+        results.sent++;
+      } catch (notifyError) {
+        results.errors.push({ surveyId: survey.id, error: notifyError.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Close unanswered surveys past their expiry
+   * @returns {Promise<number>} surveys expired
+   */
+  async expireSurveys(today = new Date()) {
+    const { data, error } = await supabase
+      .from('trip_feedback_surveys')
+      .update({ status: 'expired' })
+      .eq('status', 'pending')
+      .lte('expires_at', today.toISOString())
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to expire surveys: ${error.message}`);
+    }
+
+    return data?.length || 0;
+  },
+
+  /**
+   * Feedback summary for a group from the group_trip_feedback view
+   */
+  async getGroupFeedback(groupId) {
+    const { data, error } = await supabase
+      .from('group_trip_feedback')
+      .select('*')
+      .eq('group_id', groupId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load group feedback: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Label group success predictions with the trip's outcome once none of the
+   * group's surveys are still open. Groups where nobody answered are closed
+   * without a label.
+   */
+  async recordGroupOutcomes() {
+    const results = { recorded: 0, errors: [] };
+
+    const { data: closed, error } = await supabase
+      .from('trip_feedback_surveys')
+      .select('group_id')
+      .not('group_id', 'is', null)
+      .neq('status', 'pending')
+      .is('outcome_recorded_at', null)
+      .limit(FEEDBACK_CONFIG.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load answered surveys: ${error.message}`);
+    }
+
+    const groupIds = [...new Set((closed || []).map(survey => survey.group_id))];
+    if (groupIds.length === 0) return results;
+
+    const { data: feedback, error: feedbackError } = await supabase
+      .from('group_trip_feedback')
+      .select('*')
+      .in('group_id', groupIds)
+      .eq('pending_count', 0);
+
+    if (feedbackError) {
+      throw new Error(`Failed to load group feedback: ${feedbackError.message}`);
+    }
+
+    // Loaded on demand to keep TensorFlow.js out of the dispatch path until needed
+    const predictor = (feedback || []).some(group => group.response_count > 0)
+      ? (await import('./ml/group-success-predictor.js')).getGroupSuccessPredictor()
+      : null;
+
+    for (const group of feedback || []) {
+      try {
+        if (group.response_count > 0) {
+          await predictor.recordOutcome(group.group_id, {
+            successful: group.successful,
+            feedbackScore: Math.round((Number(group.average_trip_rating) / 5) * 100) / 100,
+          });
+          results.recorded++;
+        }
+
+        const { error: markError } = await supabase
+          .from('trip_feedback_surveys')
+          .update({ outcome_recorded_at: new Date().toISOString() })
+          .eq('group_id', group.group_id);
+
+        if (markError) {
+          throw new Error(`Failed to update surveys: ${markError.message}`);
+        }
+      } catch (groupError) {
+        results.errors.push({ groupId: group.group_id, error: groupError.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Queue tomorrow's dispatch run. The idempotency key keeps instances from
+   * queueing the same day twice.
+   */
+  async scheduleDispatch({ queue = jobQueue, now = new Date() } = {}) {
+    const runAt = new Date(now);
+    runAt.setUTCHours(FEEDBACK_CONFIG.dispatchHourUtc, 0, 0, 0);
+    if (runAt <= now) {
+      runAt.setUTCDate(runAt.getUTCDate() + 1);
+    }
+
+    return queue.enqueue(FEEDBACK_CONFIG.jobType, { date: toDateKey(runAt) }, {
+      runAt,
+      idempotencyKey: `trip-feedback:${toDateKey(runAt)}`,
+    });
+  },
+};
+
+// Registered on import so any queue worker can run the dispatch; each run queues the next
+jobQueue.registerHandler(FEEDBACK_CONFIG.jobType, async () => {
+  try {
+    return await tripFeedbackEngine.dispatchDueSurveys();
+  } finally {
+    await tripFeedbackEngine.scheduleDispatch();
+  }
+}, {
+  priority: 'low',
+  maxRetries: 2,
+  timeout: 600000, // 10 minutes
+});
+
+export const getFeedbackConfig = () => FEEDBACK_CONFIG;
@@ -0,0 +1,258 @@
+/**
+ * Trip Request Service
+ * Turns a traveler's free-text trip description into a validated trip_requests
+ * row. Parsing runs server-side behind /api/trips/parse; whenever a required
+ * field (destination, dates, budget, group size) is missing or parsed with low
+ * confidence, the traveler is asked a targeted follow-up question and their
+ * answers override the parsed values. /api/trips/requests re-parses, applies the
+ * answers and only stores requests that pass schemas/trip-request.js, so vendor
+ * matching only ever sees complete requests.
+ */
+import { supabase } from '../lib/supabase.js';
+import { parseTripDescription, getConfidenceExplanation } from './nlp-service.js';
+import { validateTripRequest } from '../schemas/trip-request.js';
+
+// Trip request configuration
+const TRIP_REQUEST_CONFIG = {
+  // Required fields parsed with less confidence than this are confirmed with the traveler
+  confidenceThreshold: 0.6,
+  parseEndpoint: '/api/trips/parse',
+  requestsEndpoint: '/api/trips/requests',
+  requiredFields: ['destination', 'dates', 'budget', 'groupSize'],
+  // Parsed interests and categories -> adventure_category
+  activityCategories: {
+    hiking: ['hiking', 'trekking', 'backpacking', 'mountaineering', 'walking tour'],
+    water_sports: ['diving', 'snorkeling', 'surfing', 'kayaking', 'rafting', 'canyoning'],
+    cultural: ['cultural', 'museum', 'temple', 'historical', 'heritage', 'art', 'festival'],
+    wildlife: ['wildlife', 'safari', 'bird watching', 'whale watching'],
+    extreme_sports: ['climbing', 'rock climbing', 'paragliding', 'skydiving', 'bungee', 'zip lining', 'extreme'],
+    food_wine: ['culinary', 'cooking', 'food tour', 'street food', 'local cuisine', 'wine'],
+    wellness: ['wellness', 'spa', 'yoga', 'meditation', 'retreat', 'massage'],
+    photography: ['photography'],
+    cycling: ['cycling', 'biking', 'bike tour'],
+    winter_sports: ['skiing', 'snowboarding', 'ice climbing'],
+    camping: ['camping'],
+  },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toPositiveNumber = (value) => {
+  const number = typeof value === 'string' ? Number(value.replace(/[^\d.]/g, '')) : Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Where each required field lives in a parsed result, and how to ask about it
+const FIELDS = {
+  destination: {
+    section: 'destinations',
+    getValue: parsed => parsed.destinations?.primary?.trim() || null,
+    ask: value => (value
+      ? `Is ${value} where you'd like to go?`
+      : 'Where would you like to go?'),
+    input: 'text',
+  },
+  dates: {
+    section: 'dates',
+    getValue: ({ dates = {} }) => (DATE_PATTERN.test(dates.startDate) && DATE_PATTERN.test(dates.endDate)
+      ? { startDate: dates.startDate, endDate: dates.endDate }
+      : null),
+    ask: value => (value
+      ? `Are you traveling from ${value.startDate} to ${value.endDate}?`
+      : 'When would you like to travel? Pick a start and end date.'),
+    input: 'dateRange',
+  },
+  budget: {
+    section: 'budget',
+    getValue: parsed => toPositiveNumber(parsed.budget?.amount),
+    ask: value => (value
+      ? `Is $${value.toLocaleString()} per person the right budget?`
+      : "What's your budget per person?"),
+    input: 'number',
+  },
+  groupSize: {
+    section: 'groupSize',
+    getValue: parsed => toPositiveNumber(parsed.groupSize?.size),
+    ask: value => (value
+      ? `Are ${value} people traveling?`
+      : 'How many people are traveling, including you?'),
+    input: 'number',
+  },
+};
+
+/**
+ * Follow-up questions for required fields that are missing or low-confidence
+ * @param {Object} parsed - parseTripDescription result
+ * @param {number} threshold
+ * @returns {Array<Object>} [{ field, question, input, suggestedValue, confidence }]
+ */
+export function getClarificationQuestions(parsed, threshold = TRIP_REQUEST_CONFIG.confidenceThreshold) {
+  return TRIP_REQUEST_CONFIG.requiredFields
+    .map(field => {
+      const { section, getValue, ask, input } = FIELDS[field];
+      const value = getValue(parsed);
+      const confidence = parsed[section]?.confidence ?? 0;
+      if (value !== null && confidence >= threshold) return null;
+      return { field, question: ask(value), input, suggestedValue: value, confidence };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Apply the traveler's answers over the parsed values. Answered fields are
+ * treated as certain.
+ * @param {Object} parsed
+ * @param {Object} answers - { destination, startDate, endDate, budget, groupSize }
+ */
+export function applyClarifications(parsed, answers = {}) {
+  const result = {
+    ...parsed,
+    destinations: { ...parsed.destinations },
+    dates: { ...parsed.dates },
+    budget: { ...parsed.budget },
+    groupSize: { ...parsed.groupSize },
+  };
+
+  if (answers.destination?.trim()) {
+    result.destinations.primary = answers.destination.trim();
+    result.destinations.confidence = 1;
+  }
+  if (answers.startDate && answers.endDate) {
+    result.dates.startDate = answers.startDate;
+    result.dates.endDate = answers.endDate;
+    result.dates.confidence = 1;
+  }
+  const budget = toPositiveNumber(answers.budget);
+  if (budget) {
+    result.budget.amount = budget;
+    result.budget.currency = result.budget.currency || 'USD';
+    result.budget.perPerson = true;
+    result.budget.confidence = 1;
+  }
+  const groupSize = toPositiveNumber(answers.groupSize);
+  if (groupSize) {
+    result.groupSize.size = groupSize;
+    result.groupSize.confidence = 1;
+  }
+
+  return result;
+}
+
+/**
+ * Map parsed interests and categories onto adventure categories
+ */
+export function toAdventureCategories(activities = {}) {
+  const terms = [...(activities.interests || []), ...(activities.categories || [])]
+    .map(term => String(term).toLowerCase());
+  return Object.entries(TRIP_REQUEST_CONFIG.activityCategories)
+    .filter(([, keywords]) => terms.some(term => keywords.includes(term)))
+    .map(([category]) => category);
+}
+
+/**
+ * Build and validate a trip_requests row from a parsed description
+ * @returns {Object} { data, isValid, errors }
+ */
+export function buildTripRequest(parsed, description) {
+  const special = parsed.specialRequirements || {};
+  const budgetMin = toPositiveNumber(parsed.budget?.range?.min);
+  const budgetMax = FIELDS.budget.getValue(parsed);
+
+  return validateTripRequest({
+    destination: FIELDS.destination.getValue(parsed) || '',
+    start_date: parsed.dates?.startDate || '',
+    end_date: parsed.dates?.endDate || '',
+    budget_min: budgetMin !== null && budgetMax !== null && budgetMin <= budgetMax ? budgetMin : null,
+    budget_max: budgetMax,
+    participants_count: FIELDS.groupSize.getValue(parsed),
+    description: description?.trim() || '',
+    requirements: [...(special.dietary || []), ...(special.accessibility || []), ...(special.other || [])],
+    preferred_activities: toAdventureCategories(parsed.activities),
+    is_flexible_dates: parsed.dates?.flexibility !== 'fixed',
+  });
+}
+
+// Calls the trip request API as the signed-in traveler
+async function callTripApi(endpoint, body) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session?.access_token}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = result.errors?.map(error => error.message).join('; ');
+    throw new Error(details || result.message || result.error || response.statusText);
+  }
+  return result;
+}
+
+export const tripRequestEngine = {
+  /**
+   * Parse a description and work out what still needs asking (server-side)
+   * @param {string} description
+   * @param {Object} answers - clarification answers given so far
+   * @returns {Promise<Object>} { parsed, clarifications, explanations }
+   */
+  async analyzeDescription(description, answers = {}) {
+    const parsed = applyClarifications(await parseTripDescription(description), answers);
+    return {
+      parsed,
+      clarifications: getClarificationQuestions(parsed),
+      explanations: getConfidenceExplanation(parsed),
+    };
+  },
+
+  /**
+   * Store a trip request once every required field is known and valid (server-side).
+   * The API passes a service-role client; the browser client has no session there.
+   * @returns {Promise<Object>} { needsClarification, tripRequest, parsed, clarifications, explanations }
+   */
+  async createTripRequest(userId, description, answers = {}, { client = supabase } = {}) {
+    const analysis = await this.analyzeDescription(description, answers);
+    if (analysis.clarifications.length > 0) {
+      return { needsClarification: true, tripRequest: null, ...analysis };
+    }
+
+    const { data, isValid, errors } = buildTripRequest(analysis.parsed, description);
+    if (!isValid) {
+      const error = new Error(`Invalid trip request: ${errors.map(issue => issue.message).join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    const { data: tripRequest, error } = await client
+      .from('trip_requests')
+      .insert({ ...data, user_id: userId, status: 'open' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create trip request: ${error.message}`);
+    }
+    return { needsClarification: false, tripRequest, ...analysis };
+  },
+
+  /**
+   * Parse a description through the API
+   */
+  async parse(description, answers = {}) {
+    return callTripApi(TRIP_REQUEST_CONFIG.parseEndpoint, { description, answers });
+  },
+
+  /**
+   * Submit a trip request through the API; may come back asking for clarifications
+   */
+  async submit(description, answers = {}) {
+    return callTripApi(TRIP_REQUEST_CONFIG.requestsEndpoint, { description, answers });
+  },
+};
+
+export const getTripRequestConfig = () => TRIP_REQUEST_CONFIG;
+
+export default tripRequestEngine;
@@ -104,22 +104,26 @@ export const vendorPerformanceService = {
    */
   async getReviewMetrics(vendorId, startDate, endDate) {
     try {
+      // Includes the trip and vendor ratings from post-trip surveys
       const { data: reviews, error } = await supabase
-        .from('adventure_reviews')
+        .from('reviews')
         .select(`
           id,
           rating,
-          review_text,
-          created_at,
-          adventures!inner(vendor_id)
+          vendor_rating,
+          comment,
+          created_at
         `)
-        .eq('adventures.vendor_id', vendorId)
+        .eq('vendor_id', vendorId)
         .gte('created_at', startDate.toISOString())
         .lte('created_at', endDate.toISOString());
       if (error) throw error;
       const totalReviews = reviews.length;
       const averageRating = totalReviews > 0 ?
         reviews.reduce((sum, r) => sum + r.rating, 0) / totalReviews : 0;
+      const vendorRatings = reviews.filter(r => r.vendor_rating !== null && r.vendor_rating !== undefined);
+      const averageVendorRating = vendorRatings.length > 0 ?
+        vendorRatings.reduce((sum, r) => sum + r.vendor_rating, 0) / vendorRatings.length : 0;
       // Rating distribution
       const ratingDistribution = [1, 2, 3, 4, 5].map(rating => ({
         rating,
@@ -140,6 +144,8 @@ export const vendorPerformanceService = {
         data: {
           totalReviews,
           averageRating,
+          averageVendorRating,
+          vendorRatingCount: vendorRatings.length,
           ratingDistribution,
           satisfactionRate,
           excellentReviews,
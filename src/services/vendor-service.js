@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabase';
+import { negotiationEngine } from './negotiation-service';
+import { validateTripRequest } from '../schemas/trip-request';
 /**
  * Vendor Service - Handles all vendor-related database operations
  */
@@ -331,8 +333,11 @@ export const vendorService = {
       if (error) {
         return { data: null, error };
       }
+      // Only complete, valid requests are matched; requests created before
+      // server-side validation may be missing required fields
+      const validRequests = (data || []).filter(request => validateTripRequest(request).isValid);
       // Process results to add vendor-specific information
-      const processedRequests = data?.map(request => {
+      const processedRequests = validRequests.map(request => {
         const existingBid = request.vendor_bids?.find(bid => bid.vendor_id === vendorId);
         return {
           ...request,
@@ -340,7 +345,7 @@ export const vendorService = {
           existingBidStatus: existingBid?.status || null,
           matchScore: this.calculateRequestMatchScore(vendor, request)
         };
-      }) || [];
+      });
       return { data: processedRequests, error: null };
     } catch (error) {
       return { data: null, error: error.message };
@@ -382,7 +387,12 @@ export const vendorService = {
         message,
         templateId = null,
         attachments = [],
-        validUntil = null
+        validUntil = null,
+        currency = 'USD',
+        startDate,
+        endDate,
+        inclusions,
+        exclusions
       } = bidData;
       // Validate required fields
       if (!tripRequestId || !vendorId || !proposedPrice) {
@@ -427,7 +437,23 @@ export const vendorService = {
         if (attachmentResults.error) {
         }
       }
-      return { data: bid, error: null };
+      // Revision 1 of the negotiation thread. A bid without a thread still stands;
+      // the thread is opened on the first response instead.
+      let negotiation = null;
+      try {
+        negotiation = await negotiationEngine.startThread(bid.id, {
+          proposedPrice,
+          currency,
+          startDate,
+          endDate,
+          inclusions,
+          exclusions,
+          validUntil: bid.valid_until
+        });
+      } catch {
+        // Opened lazily by respondToNegotiation
+      }
+      return { data: { ...bid, negotiation }, error: null };
     } catch (error) {
       return { data: null, error: error.message };
     }
@@ -569,16 +595,38 @@ export const vendorService = {
     const { data, error } = await query.select().single();
     return { data, error };
   },
+  // Negotiate on a bid: accept, counter or decline its latest revision
+  async respondToNegotiation(bidId, action, options = {}) {
+    try {
+      const thread = await negotiationEngine.getThreadForBid(bidId)
+        || await negotiationEngine.startThread(bidId);
+      const revision = await negotiationEngine.respond(thread.id, action, {
+        expectedRevision: thread.currentRevision,
+        ...options
+      });
+      return { data: revision, error: null };
+    } catch (error) {
+      return { data: null, error: error.message };
+    }
+  },
   // Handle expired bids (to be called by a background job)
   async processExpiredBids() {
     const now = new Date().toISOString();
+    let expiredNegotiations = 0;
+    try {
+      // Closes threads whose latest revision lapsed, and their bids
+      expiredNegotiations = await negotiationEngine.expireStale();
+    } catch (error) {
+      return { data: null, error: error.message };
+    }
+    // Bids that never had a thread
     const { data, error } = await supabase
       .from('vendor_bids')
       .update({ status: 'expired' })
       .eq('status', 'pending')
       .lt('valid_until', now)
       .select();
-    return { data, error };
+    return { data, error, expiredNegotiations };
   },
   // Handle file attachments for bids
   async attachFilesToBid(bidId, files) {
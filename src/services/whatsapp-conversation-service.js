@@ -0,0 +1,471 @@
+/**
+ * WhatsApp Conversation Service
+ * Two-way WhatsApp flows for travelers whose number is on their profile: booking
+ * status, what they still owe on a split payment, payment links and attendance
+ * answers to trip reminders. State is kept per phone number so numbered and
+ * yes/no replies can be understood. Booking, balance and payment details go out
+ * as approved templates with quick reply buttons; menus and pickers are
+ * interactive messages, which WhatsApp allows inside the 24 hour window the
+ * traveler's own message opens.
+ */
+import { supabase } from '../lib/supabase.js';
+import whatsAppService from './whatsapp-service.js';
+import { paymentLinks } from './split-payment-service.js';
+import { logger } from '../utils/logger.js';
+
+// Conversation configuration
+const WHATSAPP_CONVERSATION_CONFIG = {
+  sessionTimeout: 30 * 60 * 1000, // Open questions are forgotten after 30 minutes
+  language: 'en',
+  templates: {
+    bookingStatus: 'booking_status_update', // adventure, date, status, booking code
+    paymentBalance: 'split_payment_balance', // total owed, number of shares, next deadline
+    paymentLink: 'split_payment_link', // amount, description, deadline, link
+    tripReminder: 'trip_reminder_attendance', // adventure, time until, meeting point, time
+  },
+  activeBookingStatuses: ['pending', 'confirmed'],
+  outstandingPaymentStatuses: ['pending', 'failed'],
+  maxListRows: 10,
+  keywords: {
+    menu: ['hi', 'hello', 'hey', 'menu', 'start', 'options', 'help'],
+    bookings: ['booking', 'bookings', 'status', 'trip', 'trips', 'reservation'],
+    payments: ['pay', 'payment', 'payments', 'owe', 'balance', 'due'],
+    support: ['agent', 'human', 'support'],
+    yes: ['yes', 'y', 'confirm', 'attending', 'i will be there'],
+    no: ['no', 'n', 'decline', 'not attending', 'cannot make it', "can't make it"],
+  },
+};
+
+const MENU_BUTTON = { id: 'menu', title: 'Menu' };
+
+const MENU_BUTTONS = [
+  { id: 'bookings', title: 'My bookings' },
+  { id: 'payments', title: 'What I owe' },
+  { id: 'support', title: 'Talk to support' },
+];
+
+/**
+ * Digits of a phone number - WhatsApp sends numbers without the leading +
+ */
+export const normalizePhoneNumber = (phone) => String(phone || '').replace(/\D/g, '');
+
+/**
+ * Amount in cents as a currency string
+ */
+export const formatAmount = (cents, currency = 'usd') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(cents / 100);
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+const matchesKeyword = (text, keywords) => {
+  const words = text.match(/[a-z']+/g) || [];
+  return keywords.some(keyword => (keyword.includes(' ') ? text.includes(keyword) : words.includes(keyword)));
+};
+
+/**
+ * Work out what a traveler's message asks for
+ * Button and list taps carry ids (bookings, booking:<id>, pay:<id>,
+ * attend:yes:<bookingId>); typed replies are read against the open question
+ * before falling back to keywords.
+ * @returns {Object} { type, bookingId?, paymentId?, attending? } - type 'unknown' when nothing matched
+ */
+export function interpretMessage(messageData, conversation = {}) {
+  const replyId = messageData.reply?.id;
+  if (replyId) {
+    const [action, value, extra] = replyId.split(':');
+    switch (action) {
+      case 'menu':
+      case 'bookings':
+      case 'payments':
+      case 'support':
+        return { type: action };
+      case 'booking':
+        return { type: 'booking', bookingId: value };
+      case 'pay':
+        return { type: 'pay', paymentId: value };
+      case 'attend':
+        return { type: 'attendance', attending: value === 'yes', bookingId: extra };
+      default:
+        return { type: 'unknown' };
+    }
+  }
+
+  const text = (messageData.text || '').trim().toLowerCase();
+  if (!text) return { type: 'unknown' };
+
+  const { keywords } = WHATSAPP_CONVERSATION_CONFIG;
+  const { state, context = {} } = conversation;
+
+  if (state === 'awaiting_attendance' && context.bookingId) {
+    if (matchesKeyword(text, keywords.yes)) return { type: 'attendance', attending: true, bookingId: context.bookingId };
+    if (matchesKeyword(text, keywords.no)) return { type: 'attendance', attending: false, bookingId: context.bookingId };
+  }
+
+  // "2" picks the second row of the list we just sent
+  const choice = /^\d+$/.test(text) ? context.options?.[Number(text) - 1] : null;
+  if (choice && (state === 'choosing_booking' || state === 'choosing_payment')) {
+    return interpretMessage({ reply: { id: choice } }, conversation);
+  }
+
+  if (matchesKeyword(text, keywords.support)) return { type: 'support' };
+  if (matchesKeyword(text, keywords.payments)) return { type: 'payments' };
+  if (matchesKeyword(text, keywords.bookings)) return { type: 'bookings' };
+  if (matchesKeyword(text, keywords.menu)) return { type: 'menu' };
+  return { type: 'unknown' };
+}
+
+/**
+ * What a traveler still owes across their split payment shares
+ * @returns {Object} { totalCents, currency, count, nextDeadline }
+ */
+export function summarizeBalance(payments) {
+  const outstanding = payments
+    .map(payment => ({ ...payment, owed: payment.amount_due - (payment.amount_paid || 0) }))
+    .filter(payment => payment.owed > 0);
+  const deadlines = outstanding.map(payment => payment.payment_deadline).sort();
+
+  return {
+    totalCents: outstanding.reduce((sum, payment) => sum + payment.owed, 0),
+    currency: outstanding[0]?.split_payment?.currency || 'usd',
+    count: outstanding.length,
+    nextDeadline: deadlines[0] || null,
+  };
+}
+
+// Messenger calls resolve to { success, error } - turn failures into errors
+const ensureSent = (result) => {
+  if (!result?.success) {
+    throw new Error(`Failed to send WhatsApp message: ${result?.error || 'unknown error'}`);
+  }
+  return result;
+};
+
+/**
+ * Create a conversation engine
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client; the webhook passes a service role client
+ * @param {Object} options.messenger - WhatsApp sender
+ * @param {Object} options.links - Payment link generator
+ */
+export function createWhatsAppConversationEngine({
+  client = supabase,
+  messenger = whatsAppService,
+  links = paymentLinks,
+} = {}) {
+  const { templates, language } = WHATSAPP_CONVERSATION_CONFIG;
+
+  const engine = {
+    /**
+     * Conversation row for a number; expired questions are dropped
+     */
+    async loadConversation(phoneNumber, now = new Date()) {
+      const { data, error } = await client
+        .from('whatsapp_conversations')
+        .select('*')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load WhatsApp conversation: ${error.message}`);
+      }
+
+      const conversation = data || { phone_number: phoneNumber, user_id: null, state: 'idle', context: {} };
+      const lastActivity = conversation.last_inbound_at ? new Date(conversation.last_inbound_at).getTime() : 0;
+      if (now.getTime() - lastActivity > WHATSAPP_CONVERSATION_CONFIG.sessionTimeout) {
+        return { ...conversation, state: 'idle', context: {} };
+      }
+      return conversation;
+    },
+
+    async saveConversation(conversation, updates) {
+      const { error } = await client
+        .from('whatsapp_conversations')
+        .upsert({
+          phone_number: conversation.phone_number,
+          user_id: conversation.user_id,
+          state: conversation.state,
+          context: conversation.context,
+          ...updates,
+        });
+
+      if (error) {
+        throw new Error(`Failed to save WhatsApp conversation: ${error.message}`);
+      }
+    },
+
+    /**
+     * Account behind a WhatsApp number, matched on profiles.phone_number
+     */
+    async resolveUser(phoneNumber) {
+      const { data, error } = await client
+        .from('profiles')
+        .select('id, full_name, phone_number')
+        .in('phone_number', [phoneNumber, `+${phoneNumber}`])
+        .limit(1);
+
+      if (error) {
+        throw new Error(`Failed to look up WhatsApp number: ${error.message}`);
+      }
+      return data?.[0] || null;
+    },
+
+    /**
+     * Handle an incoming message from the webhook
+     * Unlinked numbers and messages no flow understands are left to the
+     * default auto-responses and support tickets.
+     * @returns {Promise<Object>} { handled, flow, forwardToSupport, duplicate, error }
+     */
+    async handleMessage(messageData, { now = new Date() } = {}) {
+      const phoneNumber = normalizePhoneNumber(messageData.from);
+      const conversation = await engine.loadConversation(phoneNumber, now);
+
+      if (messageData.id && conversation.last_message_id === messageData.id) {
+        return { handled: true, duplicate: true };
+      }
+
+      const user = await engine.resolveUser(phoneNumber);
+      if (!user) {
+        return { handled: false, reason: 'unlinked' };
+      }
+
+      const command = interpretMessage(messageData, conversation);
+      const seen = { user_id: user.id, last_message_id: messageData.id || null, last_inbound_at: now.toISOString() };
+
+      if (command.type === 'unknown' || command.type === 'support') {
+        await engine.saveConversation(conversation, { ...seen, state: 'idle', context: {} });
+        return command.type === 'support'
+          ? { handled: true, flow: 'support', forwardToSupport: true }
+          : { handled: false, reason: 'unrecognized' };
+      }
+
+      try {
+        const next = await engine.runFlow(command, messageData.from, user, now);
+        await engine.saveConversation(conversation, { ...seen, ...next });
+        return { handled: true, flow: command.type };
+      } catch (error) {
+        logger.error('WhatsApp conversation flow failed:', error);
+        await engine.saveConversation(conversation, { ...seen, state: 'idle', context: {} });
+        return { handled: true, flow: command.type, error: error.message };
+      }
+    },
+
+    /**
+     * Run one flow and return the conversation state it leaves behind
+     * @returns {Promise<Object>} { state, context }
+     */
+    async runFlow(command, to, user, now) {
+      switch (command.type) {
+        case 'bookings':
+          return engine.showBookings(to, user, now);
+        case 'booking':
+          return engine.showBookingStatus(to, user, command.bookingId);
+        case 'payments':
+          return engine.showBalance(to, user);
+        case 'pay':
+          return engine.sendPaymentLink(to, user, command.paymentId);
+        case 'attendance':
+          return engine.recordAttendance(to, user, command.bookingId, command.attending, now);
+        default:
+          return engine.showMenu(to, user);
+      }
+    },
+
+    async showMenu(to, user) {
+      const firstName = user.full_name?.split(' ')[0];
+      ensureSent(await messenger.sendInteractiveButtons(
+        to,
+        `Hi${firstName ? ` ${firstName}` : ''}! What can we help you with?`,
+        MENU_BUTTONS
+      ));
+      return { state: 'menu', context: {} };
+    },
+
+    /**
+     * Upcoming bookings the traveler made or takes part in
+     */
+    async listBookings(userId, now = new Date()) {
+      const { data: participations, error: participantError } = await client
+        .from('booking_participants')
+        .select('booking_id')
+        .eq('user_id', userId);
+
+      if (participantError) {
+        throw new Error(`Failed to load bookings: ${participantError.message}`);
+      }
+
+      const bookingIds = (participations || []).map(row => row.booking_id);
+      const { data, error } = await client
+        .from('bookings')
+        .select('id, booking_code, status, booking_date, start_time, adventure:adventures(title)')
+        .or(bookingIds.length ? `user_id.eq.${userId},id.in.(${bookingIds.join(',')})` : `user_id.eq.${userId}`)
+        .in('status', WHATSAPP_CONVERSATION_CONFIG.activeBookingStatuses)
+        .gte('booking_date', now.toISOString().slice(0, 10))
+        .order('booking_date', { ascending: true })
+        .limit(WHATSAPP_CONVERSATION_CONFIG.maxListRows);
+
+      if (error) {
+        throw new Error(`Failed to load bookings: ${error.message}`);
+      }
+      return data || [];
+    },
+
+    async showBookings(to, user, now) {
+      const bookings = await engine.listBookings(user.id, now);
+
+      if (bookings.length === 0) {
+        ensureSent(await messenger.sendInteractiveButtons(to, 'You have no upcoming bookings.', [MENU_BUTTON]));
+        return { state: 'idle', context: {} };
+      }
+      if (bookings.length === 1) {
+        return engine.showBookingStatus(to, user, bookings[0].id);
+      }
+
+      const rows = bookings.map(booking => ({
+        id: `booking:${booking.id}`,
+        title: booking.adventure?.title || booking.booking_code,
+        description: `${formatDate(booking.booking_date)} · ${booking.status}`,
+      }));
+      ensureSent(await messenger.sendInteractiveList(
+        to,
+        `You have ${bookings.length} upcoming bookings. Which one would you like to check? You can also reply with its number.`,
+        'Choose booking',
+        rows
+      ));
+      return { state: 'choosing_booking', context: { options: rows.map(row => row.id) } };
+    },
+
+    async showBookingStatus(to, user, bookingId) {
+      const bookings = await engine.listBookings(user.id);
+      const booking = bookings.find(candidate => candidate.id === bookingId);
+
+      if (!booking) {
+        ensureSent(await messenger.sendInteractiveButtons(to, 'We could not find that booking on your account.', MENU_BUTTONS));
+        return { state: 'menu', context: {} };
+      }
+
+      ensureSent(await messenger.sendTemplateMessage(to, templates.bookingStatus, language, [
+        booking.adventure?.title || 'Your adventure',
+        formatDate(booking.booking_date),
+        booking.status,
+        booking.booking_code,
+      ], { buttons: [`attend:yes:${booking.id}`, `attend:no:${booking.id}`, 'payments'] }));
+      return { state: 'awaiting_attendance', context: { bookingId: booking.id } };
+    },
+
+    /**
+     * Split payment shares the traveler has not paid yet
+     */
+    async listOutstandingPayments(userId) {
+      const { data, error } = await client
+        .from('individual_payments')
+        .select('id, user_id, amount_due, amount_paid, status, payment_deadline, split_payment:split_payments(description, currency, booking_id)')
+        .eq('user_id', userId)
+        .in('status', WHATSAPP_CONVERSATION_CONFIG.outstandingPaymentStatuses)
+        .order('payment_deadline', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to load payments: ${error.message}`);
+      }
+      return (data || []).filter(payment => payment.amount_due - (payment.amount_paid || 0) > 0);
+    },
+
+    async showBalance(to, user) {
+      const payments = await engine.listOutstandingPayments(user.id);
+
+      if (payments.length === 0) {
+        ensureSent(await messenger.sendInteractiveButtons(to, 'You are all paid up - nothing is owed on your trips.', [MENU_BUTTON]));
+        return { state: 'idle', context: {} };
+      }
+
+      const balance = summarizeBalance(payments);
+      ensureSent(await messenger.sendTemplateMessage(to, templates.paymentBalance, language, [
+        formatAmount(balance.totalCents, balance.currency),
+        String(balance.count),
+        formatDate(balance.nextDeadline),
+      ], { buttons: payments.length === 1 ? [`pay:${payments[0].id}`, 'menu'] : ['menu'] }));
+
+      if (payments.length === 1) {
+        return { state: 'idle', context: {} };
+      }
+
+      const rows = payments.slice(0, WHATSAPP_CONVERSATION_CONFIG.maxListRows).map(payment => ({
+        id: `pay:${payment.id}`,
+        title: formatAmount(payment.amount_due - (payment.amount_paid || 0), payment.split_payment?.currency),
+        description: `${payment.split_payment?.description || 'Group booking'} · due ${formatDate(payment.payment_deadline)}`,
+      }));
+      ensureSent(await messenger.sendInteractiveList(to, 'Which share would you like a payment link for?', 'Get payment link', rows));
+      return { state: 'choosing_payment', context: { options: rows.map(row => row.id) } };
+    },
+
+    async sendPaymentLink(to, user, paymentId) {
+      const payments = await engine.listOutstandingPayments(user.id);
+      const payment = payments.find(candidate => candidate.id === paymentId);
+
+      if (!payment) {
+        ensureSent(await messenger.sendInteractiveButtons(to, 'That payment is already settled or is not on your account.', MENU_BUTTONS));
+        return { state: 'menu', context: {} };
+      }
+
+      const { url } = await links.createPaymentLink(payment, { client });
+      ensureSent(await messenger.sendTemplateMessage(to, templates.paymentLink, language, [
+        formatAmount(payment.amount_due - (payment.amount_paid || 0), payment.split_payment?.currency),
+        payment.split_payment?.description || 'Group booking',
+        formatDate(payment.payment_deadline),
+        url,
+      ]));
+      return { state: 'idle', context: {} };
+    },
+
+    /**
+     * Record a confirm or decline on the traveler's booking_participants row
+     */
+    async recordAttendance(to, user, bookingId, attending, now) {
+      const { data, error } = await client
+        .from('booking_participants')
+        .update({
+          attendance_status: attending ? 'confirmed' : 'declined',
+          attendance_responded_at: now.toISOString(),
+        })
+        .eq('booking_id', bookingId)
+        .eq('user_id', user.id)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to record attendance: ${error.message}`);
+      }
+
+      if (!data?.length) {
+        ensureSent(await messenger.sendInteractiveButtons(to, 'We could not find you on that booking.', MENU_BUTTONS));
+        return { state: 'menu', context: {} };
+      }
+
+      const message = attending
+        ? 'Thanks - you are confirmed. See you there!'
+        : 'Thanks for letting us know. We have marked you as not attending.';
+      ensureSent(await messenger.sendInteractiveButtons(to, message, MENU_BUTTONS.slice(0, 2)));
+      return { state: 'idle', context: {} };
+    },
+
+    /**
+     * Trip reminder with confirm / can't make it buttons. The buttons carry the
+     * booking, so the answer is understood whenever it arrives.
+     */
+    async sendTripReminder(to, tripData) {
+      return messenger.sendTemplateMessage(to, templates.tripReminder, language, [
+        tripData.adventureName,
+        tripData.timeUntil,
+        tripData.meetingPoint,
+        tripData.time,
+      ], { buttons: [`attend:yes:${tripData.bookingId}`, `attend:no:${tripData.bookingId}`] });
+    },
+  };
+
+  return engine;
+}
+
+export const whatsAppConversationEngine = createWhatsAppConversationEngine();
+
+export const getWhatsAppConversationConfig = () => WHATSAPP_CONVERSATION_CONFIG;
+
+export default whatsAppConversationEngine;
@@ -89,9 +89,27 @@ class WhatsAppService {
   }
   /**
    * Send a template message
+   * @param {Object} options - { buttons } payloads for the template's quick reply buttons, in order
    */
-  async sendTemplateMessage(to, templateName, language = 'en', parameters = []) {
+  async sendTemplateMessage(to, templateName, language = 'en', parameters = [], options = {}) {
     try {
+      const components = parameters.length > 0 ? [
+        {
+          type: "body",
+          parameters: parameters.map(param => ({
+            type: "text",
+            text: param
+          }))
+        }
+      ] : [];
+      (options.buttons || []).forEach((payload, index) => {
+        components.push({
+          type: "button",
+          sub_type: "quick_reply",
+          index: String(index),
+          parameters: [{ type: "payload", payload }]
+        });
+      });
       const payload = {
         messaging_product: "whatsapp",
         recipient_type: "individual",
@@ -102,15 +120,7 @@ class WhatsAppService {
           language: {
             code: language
           },
-          components: parameters.length > 0 ? [
-            {
-              type: "body",
-              parameters: parameters.map(param => ({
-                type: "text",
-                text: param
-              }))
-            }
-          ] : []
+          components
         }
       };
       const response = await this.makeRequest(
@@ -130,6 +140,77 @@ class WhatsAppService {
       };
     }
   }
+  /**
+   * Send a message with up to three reply buttons
+   * Only allowed within 24 hours of the customer's last message
+   * @param {Array} buttons - [{ id, title }], titles up to 20 characters
+   */
+  async sendInteractiveButtons(to, body, buttons, options = {}) {
+    return this.sendInteractiveMessage(to, {
+      type: "button",
+      ...(options.header && { header: { type: "text", text: options.header } }),
+      body: { text: body },
+      ...(options.footer && { footer: { text: options.footer } }),
+      action: {
+        buttons: buttons.slice(0, 3).map(button => ({
+          type: "reply",
+          reply: { id: button.id, title: button.title.slice(0, 20) }
+        }))
+      }
+    });
+  }
+  /**
+   * Send a list message the customer picks one row from
+   * @param {Array} rows - [{ id, title, description }], up to ten rows
+   */
+  async sendInteractiveList(to, body, buttonText, rows, options = {}) {
+    return this.sendInteractiveMessage(to, {
+      type: "list",
+      ...(options.header && { header: { type: "text", text: options.header } }),
+      body: { text: body },
+      ...(options.footer && { footer: { text: options.footer } }),
+      action: {
+        button: buttonText.slice(0, 20),
+        sections: [{
+          title: (options.sectionTitle || buttonText).slice(0, 24),
+          rows: rows.slice(0, 10).map(row => ({
+            id: row.id,
+            title: row.title.slice(0, 24),
+            ...(row.description && { description: row.description.slice(0, 72) })
+          }))
+        }]
+      }
+    });
+  }
+  /**
+   * Send an interactive message payload
+   */
+  async sendInteractiveMessage(to, interactive) {
+    try {
+      const payload = {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: to,
+        type: "interactive",
+        interactive
+      };
+      const response = await this.makeRequest(
+        `/${this.phoneNumberId}/messages`,
+        'POST',
+        payload
+      );
+      return {
+        success: true,
+        messageId: response.messages?.[0]?.id,
+        response
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
   /**
    * Create a WhatsApp group (Note: Direct group creation via API is limited)
    * This method prepares group invitation links and manages member lists
@@ -318,6 +399,18 @@ class WhatsAppService {
             caption: message.document?.caption
           };
           break;
+        case 'interactive': {
+          // Taps on reply buttons and list rows
+          const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+          messageData.reply = reply ? { id: reply.id, title: reply.title } : null;
+          messageData.text = reply?.title;
+          break;
+        }
+        case 'button':
+          // Taps on a template's quick reply buttons
+          messageData.reply = { id: message.button?.payload, title: message.button?.text };
+          messageData.text = message.button?.text;
+          break;
         default:
           messageData.unsupported = true;
       }
@@ -377,10 +470,22 @@ class WhatsAppService {
     }
     return actions;
   }
+  /**
+   * Text of an incoming message as it appears on a support ticket
+   */
+  describeIncomingMessage(messageData) {
+    if (messageData.text) return messageData.text;
+    if (messageData.media) {
+      const label = messageData.media.filename || messageData.type;
+      return `[${label}]${messageData.media.caption ? ` ${messageData.media.caption}` : ''}`;
+    }
+    return `[Unsupported ${messageData.type} message]`;
+  }
   /**
    * Execute determined actions for incoming messages
+   * @param {Object} options - { supportTickets } ticket engine, the webhook passes one using the service role
    */
-  async executeMessageActions(messageData, actions) {
+  async executeMessageActions(messageData, actions, { supportTickets = null } = {}) {
     const results = [];
     for (const action of actions) {
       switch (action.type) {
@@ -393,12 +498,41 @@ class WhatsAppService {
           });
           break;
         case 'forward_to_support':
-          // This would integrate with your customer service system
-          results.push({
-            type: 'forward_to_support',
-            success: true,
-            supportTicketId: `ticket_${Date.now()}`
-          });
+          try {
+            // Loaded on demand - the ticket service sends its WhatsApp replies through this one
+            const { supportTicketEngine, formatTicketReference } = await import('./support-ticket-service.js');
+            const ticket = await (supportTickets || supportTicketEngine).receiveCustomerMessage({
+              channel: 'whatsapp',
+              channelRef: messageData.from,
+              body: this.describeIncomingMessage(messageData),
+              priority: action.priority === 'normal' ? null : action.priority,
+              requesterName: messageData.contact?.name || null,
+              externalMessageId: messageData.id,
+              metadata: { whatsappType: messageData.type, mediaId: messageData.media?.id || null }
+            });
+            // Only the first message of a ticket gets an acknowledgement - the
+            // ticket is created in the same transaction that records the message
+            const isNewTicket = ticket.created_at === ticket.last_customer_message_at;
+            if (isNewTicket) {
+              await this.sendTextMessage(
+                messageData.from,
+                `Thanks for getting in touch! Our support team has your message (ticket ${formatTicketReference(ticket)}) and will reply here.`
+              );
+            }
+            results.push({
+              type: 'forward_to_support',
+              success: true,
+              supportTicketId: ticket.id,
+              newTicket: isNewTicket
+            });
+          } catch (error) {
+            logger.error('Error forwarding WhatsApp message to support:', error);
+            results.push({
+              type: 'forward_to_support',
+              success: false,
+              error: error.message
+            });
+          }
           break;
       }
     }
@@ -0,0 +1,237 @@
+/**
+ * Wishlist Alert Service
+ * Scheduled evaluation of wishlist price and availability alerts: compares each
+ * alert's target price / date window with the adventure's current price and
+ * availability, notifies the user and records alert history
+ */
+import { supabase } from '../lib/supabase.js';
+import notificationService from './notification-service.js';
+import { buildAvailabilityCalendar } from './availability-service.js';
+
+export { classifyAvailability, buildAvailabilityCalendar } from './availability-service.js';
+
+// Alert evaluation configuration
+const ALERT_CONFIG = {
+  minPriceDropPercent: 5, // Alerts without a target price fire on drops of at least 5%
+  batchSize: 200,
+  types: {
+    TARGET_PRICE: 'target_price',
+    PRICE_DROP: 'price_drop',
+    AVAILABILITY: 'availability',
+  },
+};
+
+const toDateKey = (date) => (typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10));
+
+/**
+ * Evaluate one alert against the adventure's current state
+ * @param {Object} alert - price_alerts row
+ * @param {Object} current - { price, availability: { available, limited, booked } }
+ * @returns {Object} { triggers, state } - triggers to notify, state to store on the alert
+ */
+export function evaluateAlert(alert, current) {
+  const triggers = [];
+  const price = current.price !== null && current.price !== undefined ? Number(current.price) : null;
+  const previousPrice = alert.last_seen_price !== null && alert.last_seen_price !== undefined
+    ? Number(alert.last_seen_price)
+    : null;
+  const targetPrice = alert.target_price !== null && alert.target_price !== undefined
+    ? Number(alert.target_price)
+    : null;
+
+  if (price !== null) {
+    if (targetPrice !== null) {
+      // Fire when the price crosses the target, not on every run below it
+      const wasAboveTarget = previousPrice === null || previousPrice > targetPrice;
+      if (price <= targetPrice && wasAboveTarget) {
+        triggers.push({ type: ALERT_CONFIG.types.TARGET_PRICE, previousPrice, currentPrice: price, targetPrice });
+      }
+    } else if (previousPrice !== null && price < previousPrice) {
+      const dropPercent = ((previousPrice - price) / previousPrice) * 100;
+      if (dropPercent >= ALERT_CONFIG.minPriceDropPercent) {
+        triggers.push({ type: ALERT_CONFIG.types.PRICE_DROP, previousPrice, currentPrice: price, dropPercent: Math.round(dropPercent) });
+      }
+    }
+  }
+
+  let openDates = alert.last_available_dates || [];
+  if (alert.date_from || alert.date_to) {
+    const from = alert.date_from ? toDateKey(alert.date_from) : null;
+    const to = alert.date_to ? toDateKey(alert.date_to) : null;
+    const availability = current.availability || {};
+    openDates = [...(availability.available || []), ...(availability.limited || [])]
+      .map(toDateKey)
+      .filter(date => (!from || date >= from) && (!to || date <= to))
+      .sort();
+
+    const previouslyOpen = new Set(alert.last_available_dates || []);
+    const newlyOpen = openDates.filter(date => !previouslyOpen.has(date));
+    if (newlyOpen.length > 0) {
+      triggers.push({
+        type: ALERT_CONFIG.types.AVAILABILITY,
+        availableDates: newlyOpen,
+        limitedDates: newlyOpen.filter(date => (availability.limited || []).map(toDateKey).includes(date)),
+      });
+    }
+  }
+
+  return {
+    triggers,
+    state: {
+      last_seen_price: price ?? previousPrice,
+      last_available_dates: openDates,
+    },
+  };
+}
+
+/**
+ * Alert evaluation engine
+ */
+export const wishlistAlertEngine = {
+  /**
+   * Main evaluation process - runs periodically with the service role
+   */
+  async evaluateAlerts({ today = new Date() } = {}) {
+    const results = { evaluated: 0, triggered: 0, expired: 0, errors: [] };
+    const todayKey = toDateKey(today);
+
+    const { data: alerts, error } = await supabase
+      .from('price_alerts')
+      .select(`
+        *,
+        adventure:adventures(id, title, price, currency, is_active)
+      `)
+      .eq('is_active', true)
+      .order('last_checked_at', { ascending: true, nullsFirst: true })
+      .limit(ALERT_CONFIG.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to load price alerts: ${error.message}`);
+    }
+
+    const availabilityByAdventure = await this.getAvailability(
+      (alerts || []).filter(alert => alert.date_from || alert.date_to).map(alert => alert.adventure_id),
+      todayKey
+    );
+
+    for (const alert of alerts || []) {
+      try {
+        // Date windows that have passed can no longer fire
+        if (alert.date_to && toDateKey(alert.date_to) < todayKey && alert.target_price === null) {
+          await this.updateAlert(alert.id, { is_active: false, last_checked_at: new Date().toISOString() });
+          results.expired++;
+          continue;
+        }
+
+        const outcome = await this.processAlert(alert, {
+          price: alert.adventure?.is_active === false ? null : alert.adventure?.price,
+          availability: availabilityByAdventure[alert.adventure_id] || { available: [], limited: [], booked: [] },
+        });
+        results.evaluated++;
+        results.triggered += outcome.triggered;
+      } catch (alertError) {
+        results.errors.push({ alertId: alert.id, error: alertError.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Evaluate a single alert, notify and record history for each trigger
+   */
+  async processAlert(alert, current) {
+    const { triggers, state } = evaluateAlert(alert, current);
+    const now = new Date().toISOString();
+
+    for (const trigger of triggers) {
+      const notification = notificationService.createNotificationTemplate(
+        trigger.type === ALERT_CONFIG.types.AVAILABILITY ? 'availability_alert' : 'price_alert',
+        {
+          ...trigger,
+          alertId: alert.id,
+          adventureId: alert.adventure_id,
+          adventureName: alert.adventure?.title,
+          currency: alert.adventure?.currency || 'USD',
+        }
+      );
+      const delivery = await notificationService.sendNotification(alert.user_id, notification);
+
+      await this.recordHistory(alert, trigger, delivery);
+    }
+
+    await this.updateAlert(alert.id, {
+      ...state,
+      last_checked_at: now,
+      ...(triggers.length > 0 ? { last_triggered_at: now } : {}),
+    });
+
+    return { triggered: triggers.length };
+  },
+
+  /**
+   * Upcoming availability for adventures, as AvailabilityCalendar date lists
+   */
+  async getAvailability(adventureIds, fromDate) {
+    const uniqueIds = [...new Set(adventureIds)];
+    if (uniqueIds.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('adventure_availability')
+      .select('adventure_id, date, available_spots, booked_spots, is_available')
+      .in('adventure_id', uniqueIds)
+      .gte('date', fromDate);
+
+    if (error) {
+      throw new Error(`Failed to load adventure availability: ${error.message}`);
+    }
+
+    const slotsByAdventure = {};
+    (data || []).forEach(slot => {
+      (slotsByAdventure[slot.adventure_id] = slotsByAdventure[slot.adventure_id] || []).push(slot);
+    });
+
+    return Object.fromEntries(
+      Object.entries(slotsByAdventure).map(([adventureId, slots]) => [adventureId, buildAvailabilityCalendar(slots)])
+    );
+  },
+
+  /**
+   * Record a fired alert for WishlistStats
+   */
+  async recordHistory(alert, trigger, delivery) {
+    const { error } = await supabase
+      .from('price_alert_history')
+      .insert({
+        alert_id: alert.id,
+        user_id: alert.user_id,
+        adventure_id: alert.adventure_id,
+        alert_type: trigger.type,
+        previous_price: trigger.previousPrice ?? null,
+        current_price: trigger.currentPrice ?? null,
+        target_price: trigger.targetPrice ?? null,
+        available_dates: trigger.availableDates || null,
+        delivery_results: delivery?.results || [],
+        delivered: Boolean(delivery?.success),
+      });
+
+    if (error) {
+      throw new Error(`Failed to record alert history: ${error.message}`);
+    }
+  },
+
+  async updateAlert(alertId, updates) {
+    const { error } = await supabase
+      .from('price_alerts')
+      .update(updates)
+      .eq('id', alertId);
+
+    if (error) {
+      throw new Error(`Failed to update price alert: ${error.message}`);
+    }
+  },
+};
+
+export const getAlertConfig = () => ALERT_CONFIG;
+
+export default wishlistAlertEngine;
@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabase';
+import { ItineraryExportService } from './itinerary-export-service';
+import { escapeCSVCell, getAdventureCoordinates, wishlistItemToEntry } from '../utils/itinerary-export';
 // Wishlist service for managing user's saved adventures
 export class WishlistService {
   // Get all wishlist items for a user
@@ -248,11 +250,19 @@ export class WishlistService {
         .eq('user_id', userId)
         .order('created_at', { ascending: false })
         .limit(5);
+      const { count: activeAlerts } = await supabase
+        .from('price_alerts')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('is_active', true);
+      const { data: recentAlerts } = await this.getAlertHistory(userId, 5);
       return {
         data: {
           totalItems: totalCount?.length || 0,
           totalCollections: collectionsCount?.length || 0,
-          recentActivity: recentActivity || []
+          recentActivity: recentActivity || [],
+          activeAlerts: activeAlerts || 0,
+          recentAlerts: recentAlerts || []
         },
         error: null
       };
@@ -260,14 +270,16 @@ export class WishlistService {
       return { data: null, error };
     }
   }
-  // Export wishlist to different formats
+  // Export wishlist to different formats (json, csv, ics, pdf, gpx, kml)
   static async exportWishlist(userId, format = 'json', collectionId = null) {
     try {
+      // Calendar and PDF exports need departure dates to schedule each adventure
+      const needsDepartures = format === 'ics' || format === 'pdf';
       let query = supabase
         .from('wishlists')
         .select(`
           *,
-          adventure:adventures(*),
+          adventure:adventures(*${needsDepartures ? ', availability:adventure_availability(date, start_time, end_time, is_available)' : ''}),
           collection:wishlist_collections(name)
         `)
         .eq('user_id', userId);
@@ -284,7 +296,7 @@ export class WishlistService {
             mimeType: 'application/json',
             error: null
           };
-        case 'csv':
+        case 'csv': {
           const csvData = this.convertToCSV(data);
           return {
             data: csvData,
@@ -292,6 +304,20 @@ export class WishlistService {
             mimeType: 'text/csv',
             error: null
           };
+        }
+        case 'ics':
+        case 'pdf':
+        case 'gpx':
+        case 'kml': {
+          const baseUrl = typeof window !== 'undefined' ? window.location?.origin || '' : '';
+          const entries = (data || []).map(item => wishlistItemToEntry(item, { baseUrl }));
+          const collectionName = collectionId ? data?.[0]?.collection?.name : null;
+          const rendered = await ItineraryExportService.renderEntries(entries, format, {
+            name: collectionName ? `Wishlist: ${collectionName}` : 'My TRVL Social Wishlist',
+            filenamePrefix: 'wishlist'
+          });
+          return { ...rendered, error: null };
+        }
         default:
           throw new Error('Unsupported export format');
       }
@@ -302,16 +328,21 @@ export class WishlistService {
   // Helper method to convert data to CSV
   static convertToCSV(data) {
     if (!data || data.length === 0) return '';
-    const headers = ['Adventure Name', 'Location', 'Price', 'Duration', 'Added Date', 'Collection'];
-    const rows = data.map(item => [
-      item.adventure?.title || '',
-      item.adventure?.location || '',
-      item.adventure?.price || '',
-      item.adventure?.duration || '',
-      new Date(item.created_at).toLocaleDateString(),
-      item.collection?.name || 'Uncategorized'
-    ]);
-    return [headers, ...rows].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+    const headers = ['Adventure Name', 'Location', 'Latitude', 'Longitude', 'Price', 'Duration', 'Added Date', 'Collection'];
+    const rows = data.map(item => {
+      const coordinates = getAdventureCoordinates(item.adventure);
+      return [
+        item.adventure?.title || '',
+        item.adventure?.location_name || item.adventure?.location || '',
+        coordinates?.lat ?? '',
+        coordinates?.lng ?? '',
+        item.adventure?.price ?? '',
+        item.adventure?.duration_hours ?? item.adventure?.duration ?? '',
+        new Date(item.created_at).toLocaleDateString(),
+        item.collection?.name || 'Uncategorized'
+      ];
+    });
+    return [headers, ...rows].map(row => row.map(escapeCSVCell).join(',')).join('\n');
   }
   // Log user activity
   static async logActivity(userId, action, metadata = {}) {
@@ -327,15 +358,25 @@ export class WishlistService {
     } catch (error) {
     }
   }
-  // Price alert functionality
-  static async setPriceAlert(userId, adventureId, targetPrice) {
+  // Price alert functionality - alerts on a target price and/or a travel date
+  // window; wishlistAlertEngine evaluates them hourly from the /api/jobs/wishlist-alerts cron
+  static async setPriceAlert(userId, adventureId, targetPrice, options = {}) {
     try {
+      const { dateFrom = null, dateTo = null } = options;
+      if ((targetPrice === null || targetPrice === undefined) && !dateFrom && !dateTo) {
+        throw new Error('A price alert needs a target price or a date window');
+      }
+      if (dateFrom && dateTo && dateFrom > dateTo) {
+        throw new Error('Alert window must end after it starts');
+      }
       const { data, error } = await supabase
         .from('price_alerts')
         .insert([{
           user_id: userId,
           adventure_id: adventureId,
-          target_price: targetPrice,
+          target_price: targetPrice ?? null,
+          date_from: dateFrom,
+          date_to: dateTo,
           is_active: true,
           created_at: new Date().toISOString()
         }])
@@ -365,5 +406,37 @@ export class WishlistService {
       return { data: null, error };
     }
   }
+  // Stop a price alert
+  static async removePriceAlert(userId, alertId) {
+    try {
+      const { error } = await supabase
+        .from('price_alerts')
+        .update({ is_active: false })
+        .eq('id', alertId)
+        .eq('user_id', userId);
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      return { error };
+    }
+  }
+  // Get alerts that have fired for the user, newest first
+  static async getAlertHistory(userId, limit = 10) {
+    try {
+      const { data, error } = await supabase
+        .from('price_alert_history')
+        .select(`
+          *,
+          adventure:adventures(id, title, currency)
+        `)
+        .eq('user_id', userId)
+        .order('triggered_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
 }
 export default WishlistService;
\ No newline at end of file
@@ -18,6 +18,15 @@ const useAuthStore = create(
       setSession: (session) => set({ session }),
       setLoading: (loading) => set({ loading }),
       setError: (error) => set({ error }),
+      // Register the invite code the account signed up with; retried at the next sign-in on failure
+      claimPendingReferral: async (userId) => {
+        try {
+          const { referralEngine } = await import('../services/promo-service');
+          await referralEngine.claimPendingReferral(userId);
+        } catch (error) {
+          console.warn('Referral registration failed:', error.message);
+        }
+      },
       // Initialize auth state
       initialize: async () => {
         try {
@@ -27,6 +36,7 @@ const useAuthStore = create(
           if (sessionError) throw sessionError;
           if (session) {
             set({ session, user: session.user });
+            get().claimPendingReferral(session.user.id);
             // Fetch user profile
             const { data: profile, error: profileError } = await profiles.get(session.user.id);
             if (!profileError && profile) {
@@ -38,6 +48,7 @@ const useAuthStore = create(
             async (event, session) => {
               if (event === 'SIGNED_IN' && session) {
                 set({ session, user: session.user });
+                get().claimPendingReferral(session.user.id);
                 // Fetch/create user profile
                 const { data: profile } = await profiles.get(session.user.id);
                 if (profile) {
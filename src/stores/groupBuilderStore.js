@@ -1,6 +1,7 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import { groupBuilderService } from '../services/group-builder-service';
+import useRealtimeGroupStore from './realtimeGroupStore';
 const useGroupBuilderStore = create(
   persist(
     (set, get) => ({
@@ -13,6 +14,7 @@ const useGroupBuilderStore = create(
       draggedParticipant: null,
       groupConfigurations: [],
       optimizationSuggestions: [],
+      successScoring: 'heuristic', // 'heuristic' or 'model'
       loading: {
         participants: false,
         groups: false,
@@ -44,6 +46,38 @@ const useGroupBuilderStore = create(
         }
       })),
       setError: (error) => set({ error }),
+      setSuccessScoring: async (successScoring) => {
+        set({ successScoring });
+        await get().refreshSuccessPredictions();
+      },
+      // Score one group's chance of success with the selected scoring method
+      scoreGroup: async (groupId) => {
+        const group = get().groups.find(g => g.id === groupId);
+        if (!group) return null;
+        let successPrediction = null;
+        if (group.participants.length > 1) {
+          const conflicts = await groupBuilderService.detectGroupConflicts(group.participants, {
+            includeMinorConflicts: true
+          });
+          successPrediction = await groupBuilderService.scoreGroupSuccess(group.participants, conflicts, {
+            scoring: get().successScoring,
+            subjectKey: group.id
+          });
+        }
+        // The group may have changed while scoring; only apply to the same members
+        const memberKey = (g) => g.participants.map(p => p.id).join(',');
+        set((state) => ({
+          groups: state.groups.map(g => (
+            g.id === groupId && memberKey(g) === memberKey(group)
+              ? { ...g, successPrediction }
+              : g
+          ))
+        }));
+        return successPrediction;
+      },
+      refreshSuccessPredictions: async () => {
+        await Promise.all(get().groups.map(group => get().scoreGroup(group.id)));
+      },
       // Load participants for group building
       loadParticipants: async (adventureId) => {
         try {
@@ -119,6 +153,7 @@ const useGroupBuilderStore = create(
         updatedGroups[groupIndex].compatibility = compatibility;
         set({ groups: updatedGroups });
         get().saveToHistory();
+        await get().scoreGroup(groupId);
         return { success: true, data: updatedGroups[groupIndex] };
       },
       // Remove participant from group
@@ -150,6 +185,7 @@ const useGroupBuilderStore = create(
         }
         set({ groups: updatedGroups });
         get().saveToHistory();
+        await get().scoreGroup(groupId);
         return { success: true, data: updatedGroups[groupIndex] };
       },
       // Move participant between groups
@@ -202,6 +238,38 @@ const useGroupBuilderStore = create(
           // Replace current groups with optimized ones
           set({ groups: result.groups || [] });
           get().saveToHistory();
+          await get().refreshSuccessPredictions();
+          return { success: true, data: result };
+        } catch (error) {
+          set({ error: error.message });
+          return { success: false, error: error.message };
+        } finally {
+          get().setLoading('optimization', false);
+        }
+      },
+      // Minimal-disruption regroup: place unassigned participants and absorb dropouts
+      // without reshuffling everyone. Changes are published as a diff for animation.
+      rebalanceGroups: async ({ added = null, removed = [] } = {}, options = {}) => {
+        try {
+          get().setLoading('optimization', true);
+          set({ error: null });
+          const { groups, availableParticipants } = get();
+          // Default to everyone who is available but not yet in a group
+          const newcomers = added || availableParticipants.filter(p =>
+            !groups.some(group => group.participants.some(gp => gp.id === p.id))
+          );
+          const result = await groupBuilderService.rebalanceGroups(
+            groups,
+            { added: newcomers, removed },
+            options
+          );
+          set({ groups: result.groups });
+          get().saveToHistory();
+          await get().refreshSuccessPredictions();
+          useRealtimeGroupStore.getState().applyGroupDiff(result.diff, {
+            source: 'minimal_disruption',
+            warnings: result.warnings
+          });
           return { success: true, data: result };
         } catch (error) {
           set({ error: error.message });
@@ -276,6 +344,7 @@ const useGroupBuilderStore = create(
         const groups = config.configuration_data?.groups || [];
         set({ groups });
         get().saveToHistory();
+        get().refreshSuccessPredictions();
       },
       // History management for undo/redo
       saveToHistory: () => {
@@ -381,6 +450,7 @@ const useGroupBuilderStore = create(
       partialize: (state) => ({
         selectedAdventure: state.selectedAdventure,
         groupConfigurations: state.groupConfigurations,
+        successScoring: state.successScoring,
         groups: state.groups,
         participants: state.participants
       }),
@@ -18,6 +18,7 @@ const useNotificationStore = create(
         vendorOffers: true,
         bookingUpdates: true,
         groupInvitations: true,
+        savedSearchAlerts: true,
         marketingEmails: false,
         frequency: 'immediate'
       },
@@ -109,6 +110,7 @@ const useNotificationStore = create(
             vendorOffers: true,
             bookingUpdates: true,
             groupInvitations: true,
+            savedSearchAlerts: true,
             marketingEmails: false,
             frequency: 'immediate'
           };
@@ -1,6 +1,7 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import { vendorService } from '../services/vendor-service';
+import { negotiationEngine, mapThreadRow } from '../services/negotiation-service';
 import { supabase } from '../lib/supabase';
 /**
  * Offer Management Store
@@ -83,6 +84,10 @@ const useOfferManagementStore = create(
                   avatar_url,
                   specialties,
                   certifications
+                ),
+                negotiation:negotiation_threads(
+                  *,
+                  revisions:negotiation_revisions(*)
                 )
               )
             `)
@@ -94,10 +99,12 @@ const useOfferManagementStore = create(
           const allOffers = [];
           data?.forEach(request => {
             request.vendor_bids?.forEach(bid => {
+              const thread = Array.isArray(bid.negotiation) ? bid.negotiation[0] : bid.negotiation;
               allOffers.push({
                 ...bid,
                 trip_request: request,
                 vendor: bid.vendors,
+                negotiation: thread ? mapThreadRow(thread) : null,
                 is_expired: new Date(bid.valid_until) < new Date(),
                 days_until_expiry: Math.ceil((new Date(bid.valid_until) - new Date()) / (1000 * 60 * 60 * 24))
               });
@@ -167,16 +174,21 @@ const useOfferManagementStore = create(
         });
         return filteredOffers;
       },
-      // Accept an offer
-      acceptOffer: async (offerId, userId) => {
+      // Accept the latest revision of an offer
+      acceptOffer: async (offerId, userId, message = null) => {
         try {
           get().setLoading('actions', true);
           get().setError(null);
-          // Update offer status to accepted
+          const offer = get().offers.find(o => o.id === offerId);
+          // Marks the bid accepted with the agreed terms
+          const { error: acceptError } = await vendorService.respondToNegotiation(offerId, 'accept', {
+            message,
+            ...(offer?.negotiation && { expectedRevision: offer.negotiation.currentRevision })
+          });
+          if (acceptError) throw new Error(acceptError);
           const { data: updatedOffer, error: updateError } = await supabase
             .from('vendor_bids')
             .update({
-              status: 'accepted',
               accepted_at: new Date().toISOString(),
               updated_at: new Date().toISOString()
             })
@@ -215,16 +227,18 @@ const useOfferManagementStore = create(
           get().setLoading('actions', false);
         }
       },
-      // Reject an offer
+      // Reject an offer, declining its negotiation with the reason as the message
       rejectOffer: async (offerId, reason = null) => {
         try {
           get().setLoading('actions', true);
           get().setError(null);
+          const { error: declineError } = await vendorService.respondToNegotiation(offerId, 'decline', {
+            message: reason
+          });
+          if (declineError) throw new Error(declineError);
           const { data, error } = await supabase
             .from('vendor_bids')
             .update({
-              status: 'rejected',
-              rejection_reason: reason,
               rejected_at: new Date().toISOString(),
               updated_at: new Date().toISOString()
             })
@@ -248,40 +262,42 @@ const useOfferManagementStore = create(
           get().setLoading('actions', false);
         }
       },
-      // Submit counteroffer
+      // Submit a counteroffer as a new revision of the offer's negotiation thread.
+      // Terms left out are carried over from the revision being answered.
       submitCounteroffer: async (offerId, counterOfferData) => {
         try {
           get().setLoading('actions', true);
           get().setError(null);
-          const { proposed_price, message, modifications } = counterOfferData;
-          // Create counteroffer record
-          const { data, error } = await supabase
-            .from('counter_offers')
-            .insert([{
-              original_bid_id: offerId,
-              proposed_price,
-              message,
-              modifications,
-              status: 'pending',
-              created_at: new Date().toISOString()
-            }])
-            .select()
-            .single();
-          if (error) throw error;
-          // Update original bid status
-          await supabase
-            .from('vendor_bids')
-            .update({
-              status: 'counter_offered',
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', offerId);
+          const {
+            proposed_price,
+            message,
+            start_date,
+            end_date,
+            inclusions,
+            exclusions,
+            valid_for_hours
+          } = counterOfferData;
+          const offer = get().offers.find(o => o.id === offerId);
+          const { data, error } = await vendorService.respondToNegotiation(offerId, 'counter', {
+            message,
+            terms: {
+              proposedPrice: proposed_price,
+              startDate: start_date,
+              endDate: end_date,
+              inclusions,
+              exclusions
+            },
+            ...(valid_for_hours && { validityHours: valid_for_hours }),
+            ...(offer?.negotiation && { expectedRevision: offer.negotiation.currentRevision })
+          });
+          if (error) throw new Error(error);
+          const negotiation = await negotiationEngine.getThreadForBid(offerId);
           // Update local state
           set((state) => ({
-            offers: state.offers.map(offer =>
-              offer.id === offerId
-                ? { ...offer, status: 'counter_offered', counter_offer: data }
-                : offer
+            offers: state.offers.map(o =>
+              o.id === offerId
+                ? { ...o, status: 'counter_offered', valid_until: data.validUntil, negotiation }
+                : o
             )
           }));
           return { success: true, data };
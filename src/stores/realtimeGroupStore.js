@@ -9,6 +9,8 @@ const useRealtimeGroupStore = create((set, get) => ({
   pendingOperations: new Set(), // Set of operation IDs
   connectionStatus: 'disconnected', // 'connected', 'connecting', 'disconnected', 'error'
   lastUpdate: null,
+  groupDiffs: [], // Pending regroup diffs for the UI to animate, oldest first
+  maxGroupDiffs: 20,
   // Debounce settings
   debounceTimeouts: new Map(),
   debounceDelay: 1000, // 1 second debounce
@@ -274,6 +276,39 @@ const useRealtimeGroupStore = create((set, get) => ({
     // Store current as previous for next comparison
     get().compatibilityCache.set(`${groupId}-prev`, { ...compatibility });
   },
+  // Publish a regroup diff (add/remove/move/create_group/dissolve_group entries)
+  applyGroupDiff: (changes, metadata = {}) => {
+    if (!changes || changes.length === 0) return null;
+    const { groupDiffs, maxGroupDiffs } = get();
+    const diff = {
+      id: `diff-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      changes,
+      movedParticipantIds: changes
+        .filter(change => change.type === 'move')
+        .map(change => change.participantId),
+      ...metadata,
+      timestamp: Date.now()
+    };
+    set({
+      groupDiffs: [...groupDiffs, diff].slice(-maxGroupDiffs),
+      lastUpdate: diff.timestamp
+    });
+    window.dispatchEvent(new CustomEvent('groupDiff', { detail: diff }));
+    return diff;
+  },
+  // Mark a diff as animated so it is no longer highlighted
+  acknowledgeGroupDiff: (diffId) => {
+    set({ groupDiffs: get().groupDiffs.filter(diff => diff.id !== diffId) });
+  },
+  // Latest change for a participant across pending diffs (used to highlight moved cards)
+  getParticipantChange: (participantId) => {
+    const { groupDiffs } = get();
+    for (let i = groupDiffs.length - 1; i >= 0; i--) {
+      const change = groupDiffs[i].changes.find(entry => entry.participantId === participantId);
+      if (change) return change;
+    }
+    return null;
+  },
   // Cleanup all subscriptions
   cleanup: () => {
     const { subscriptions, debounceTimeouts } = get();
@@ -292,6 +327,7 @@ const useRealtimeGroupStore = create((set, get) => ({
       compatibilityCache: new Map(),
       optimisticUpdates: new Map(),
       pendingOperations: new Set(),
+      groupDiffs: [],
       connectionStatus: 'disconnected'
     });
   }
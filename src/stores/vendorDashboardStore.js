@@ -1,6 +1,15 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import { vendorService } from '../services/vendor-service';
+import { availabilityEngine } from '../services/availability-service';
+import { pricingEngine } from '../services/pricing-service';
+// Pricing rules from the adventure wizard are saved apart from the adventure row
+const extractPricingRules = ({ seasonalPricing, groupDiscounts, earlyBird, lastMinute, ...fields }) => ({
+  fields,
+  rules: fields.basePrice !== undefined
+    ? { basePrice: fields.basePrice, currency: fields.currency, seasonalPricing, groupDiscounts, earlyBird, lastMinute }
+    : null,
+});
 const useVendorDashboardStore = create(
   persist(
     (set, get) => ({
@@ -137,10 +146,19 @@ const useVendorDashboardStore = create(
         if (!vendor) throw new Error('No vendor profile found');
         try {
           get().setLoading('adventures', true);
-          const { data: newAdventure, error } = await vendorService.createAdventure(vendor.id, adventureData);
+          // Availability and pricing rules live in their own tables
+          const { availability, ...otherFields } = adventureData;
+          const { rules: pricingRules, fields: adventureFields } = extractPricingRules(otherFields);
+          const { data: newAdventure, error } = await vendorService.createAdventure(vendor.id, adventureFields);
           if (error) {
             throw new Error(error.message);
           }
+          if (pricingRules) {
+            await pricingEngine.saveRules(newAdventure.id, pricingRules);
+          }
+          if (availability) {
+            await availabilityEngine.saveRules(newAdventure.id, availability);
+          }
           // Add to local state
           const adventures = get().adventures;
           set({ adventures: [newAdventure, ...adventures] });
@@ -156,10 +174,18 @@ const useVendorDashboardStore = create(
       updateAdventure: async (adventureId, updates) => {
         try {
           get().setLoading('adventures', true);
-          const { data: updatedAdventure, error } = await vendorService.updateAdventure(adventureId, updates);
+          const { availability, ...otherUpdates } = updates;
+          const { rules: pricingRules, fields: adventureUpdates } = extractPricingRules(otherUpdates);
+          const { data: updatedAdventure, error } = await vendorService.updateAdventure(adventureId, adventureUpdates);
           if (error) {
             throw new Error(error.message);
           }
+          if (pricingRules) {
+            await pricingEngine.saveRules(adventureId, pricingRules);
+          }
+          if (availability) {
+            await availabilityEngine.saveRules(adventureId, availability);
+          }
           // Update local state
           const adventures = get().adventures;
           const updatedAdventures = adventures.map(adventure =>
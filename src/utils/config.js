@@ -70,6 +70,10 @@ const CONFIG_SCHEMA = {
 
     // Currency & Exchange
     VITE_EXCHANGE_RATE_API_KEY: 'string',
+    VITE_EXCHANGE_RATE_PROVIDER: 'string',
+
+    // Search
+    VITE_SEARCH_BACKEND: 'string',
 
     // Company Information
     VITE_COMPANY_NAME: 'string',
@@ -0,0 +1,344 @@
+/**
+ * Itinerary export helpers
+ * Builds calendar (iCalendar), map (GPX/KML), spreadsheet (CSV) and PDF
+ * documents from wishlist items.
+ */
+
+const PRODUCT_ID = '-//TRVL Social//Itinerary Export//EN';
+const ICS_LINE_LIMIT = 75;
+
+/**
+ * Escape a value for a quoted CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Quoted cell with embedded quotes doubled
+ */
+export const escapeCSVCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Escape text for an iCalendar TEXT property value (RFC 5545 §3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeICSText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Escape text for inclusion in XML documents (GPX/KML)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeXML = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Fold content lines longer than 75 octets as required by RFC 5545 §3.1
+const foldICSLine = (line) => {
+  if (line.length <= ICS_LINE_LIMIT) return line;
+  const parts = [line.slice(0, ICS_LINE_LIMIT)];
+  for (let i = ICS_LINE_LIMIT; i < line.length; i += ICS_LINE_LIMIT - 1) {
+    parts.push(` ${line.slice(i, i + ICS_LINE_LIMIT - 1)}`);
+  }
+  return parts.join('\r\n');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// UTC timestamp in iCalendar basic format, e.g. 20250601T083000Z
+const formatICSDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Floating local date-time, used when a departure has a wall-clock start time
+const formatICSLocalDateTime = (dateString, timeString) => {
+  const [hours = '00', minutes = '00', seconds = '00'] = timeString.split(':');
+  return `${dateString.replace(/-/g, '')}T${pad(hours)}${pad(minutes)}${pad(seconds)}`;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Extract coordinates from an adventure record
+ * Supports the `latitude`/`longitude` columns as well as the nested
+ * `coordinates` shape used by mock and search data.
+ * @param {Object} adventure - Adventure record
+ * @returns {{lat: number, lng: number}|null} Coordinates or null if missing
+ */
+export const getAdventureCoordinates = (adventure) => {
+  if (!adventure) return null;
+  const lat = toNumber(adventure.latitude ?? adventure.coordinates?.lat ?? adventure.coordinates?.latitude);
+  const lng = toNumber(adventure.longitude ?? adventure.coordinates?.lng ?? adventure.coordinates?.longitude);
+  if (lat === null || lng === null) return null;
+  return { lat, lng };
+};
+
+/**
+ * Pick the next open departure for an adventure
+ * @param {Array} availability - adventure_availability rows
+ * @param {Date} now - Reference date
+ * @returns {Object|null} Earliest available departure on or after today
+ */
+export const getNextDeparture = (availability = [], now = new Date()) => {
+  const today = now.toISOString().split('T')[0];
+  return availability
+    .filter(slot => slot && slot.is_available !== false && slot.date >= today)
+    .sort((a, b) => `${a.date}${a.start_time || ''}`.localeCompare(`${b.date}${b.start_time || ''}`))[0] || null;
+};
+
+const adventureLocation = (adventure) =>
+  adventure?.location_name || adventure?.meeting_point || adventure?.location || '';
+
+const adventureUrl = (adventure, baseUrl) =>
+  adventure?.id && baseUrl ? `${baseUrl}/adventures/${adventure.id}` : '';
+
+/**
+ * Normalize a wishlist item into an itinerary entry
+ * @param {Object} item - Wishlist row with joined `adventure` and `collection`
+ * @param {Object} options - { now, baseUrl }
+ * @returns {Object} Itinerary entry
+ */
+export const wishlistItemToEntry = (item, { now = new Date(), baseUrl = '' } = {}) => {
+  const adventure = item.adventure || {};
+  const departure = getNextDeparture(adventure.availability || adventure.adventure_availability, now);
+
+  return {
+    uid: `wishlist-${item.id}@trvlsocial.com`,
+    title: adventure.title || 'Saved adventure',
+    description: adventure.short_description || adventure.description || '',
+    location: adventureLocation(adventure),
+    coordinates: getAdventureCoordinates(adventure),
+    date: departure?.date || null,
+    startTime: departure?.start_time || null,
+    endTime: departure?.end_time || null,
+    price: adventure.price ?? null,
+    currency: adventure.currency || 'USD',
+    group: item.collection?.name || 'Uncategorized',
+    url: adventureUrl(adventure, baseUrl),
+    status: 'TENTATIVE',
+  };
+};
+
+/**
+ * Build an iCalendar (RFC 5545) document
+ * Entries without a date cannot be scheduled and are reported as skipped.
+ * @param {Array} entries - Itinerary entries
+ * @param {Object} options - { calendarName, now }
+ * @returns {{content: string, included: number, skipped: number}}
+ */
+export const buildICalendar = (entries, { calendarName = 'TRVL Social', now = new Date() } = {}) => {
+  const stamp = formatICSDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(calendarName)}`,
+  ];
+  let included = 0;
+
+  entries.forEach(entry => {
+    if (!entry.date) return;
+    included += 1;
+
+    lines.push('BEGIN:VEVENT', `UID:${entry.uid}`, `DTSTAMP:${stamp}`);
+
+    if (entry.startTime) {
+      lines.push(`DTSTART:${formatICSLocalDateTime(entry.date, entry.startTime)}`);
+      if (entry.endTime) {
+        lines.push(`DTEND:${formatICSLocalDateTime(entry.date, entry.endTime)}`);
+      }
+    } else {
+      // All-day event: DTEND is exclusive, so it is the following day
+      const next = new Date(`${entry.date}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      lines.push(
+        `DTSTART;VALUE=DATE:${entry.date.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${next.toISOString().split('T')[0].replace(/-/g, '')}`
+      );
+    }
+
+    lines.push(`SUMMARY:${escapeICSText(entry.title)}`);
+    if (entry.description) lines.push(`DESCRIPTION:${escapeICSText(entry.description)}`);
+    if (entry.location) lines.push(`LOCATION:${escapeICSText(entry.location)}`);
+    if (entry.coordinates) lines.push(`GEO:${entry.coordinates.lat};${entry.coordinates.lng}`);
+    if (entry.url) lines.push(`URL:${entry.url}`);
+    if (entry.group) lines.push(`CATEGORIES:${escapeICSText(entry.group)}`);
+    lines.push(`STATUS:${entry.status || 'CONFIRMED'}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return {
+    content: `${lines.map(foldICSLine).join('\r\n')}\r\n`,
+    included,
+    skipped: entries.length - included,
+  };
+};
+
+const entryNotes = (entry) =>
+  [entry.description, entry.date ? `Date: ${entry.date}` : '', entry.url].filter(Boolean).join('\n');
+
+/**
+ * Build a GPX 1.1 document with one waypoint per located entry
+ * @param {Array} entries - Itinerary entries
+ * @param {Object} options - { name }
+ * @returns {{content: string, included: number, skipped: number}}
+ */
+export const buildGPX = (entries, { name = 'TRVL Social' } = {}) => {
+  const located = entries.filter(entry => entry.coordinates);
+  const waypoints = located.map(entry => [
+    `  <wpt lat="${entry.coordinates.lat}" lon="${entry.coordinates.lng}">`,
+    `    <name>${escapeXML(entry.title)}</name>`,
+    `    <desc>${escapeXML(entryNotes(entry))}</desc>`,
+    entry.url ? `    <link href="${escapeXML(entry.url)}"/>` : null,
+    `    <type>${escapeXML(entry.group || '')}</type>`,
+    '  </wpt>',
+  ].filter(Boolean).join('\n'));
+
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="TRVL Social" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXML(name)}</name>`,
+    '  </metadata>',
+    ...waypoints,
+    '</gpx>',
+    '',
+  ].join('\n');
+
+  return { content, included: located.length, skipped: entries.length - located.length };
+};
+
+/**
+ * Build a KML 2.2 document, grouping placemarks into folders
+ * @param {Array} entries - Itinerary entries
+ * @param {Object} options - { name }
+ * @returns {{content: string, included: number, skipped: number}}
+ */
+export const buildKML = (entries, { name = 'TRVL Social' } = {}) => {
+  const located = entries.filter(entry => entry.coordinates);
+  const folders = located.reduce((acc, entry) => {
+    const key = entry.group || 'Adventures';
+    (acc[key] = acc[key] || []).push(entry);
+    return acc;
+  }, {});
+
+  const folderXml = Object.entries(folders).map(([folderName, folderEntries]) => [
+    '    <Folder>',
+    `      <name>${escapeXML(folderName)}</name>`,
+    ...folderEntries.map(entry => [
+      '      <Placemark>',
+      `        <name>${escapeXML(entry.title)}</name>`,
+      `        <description>${escapeXML(entryNotes(entry))}</description>`,
+      // KML coordinates are longitude,latitude[,altitude]
+      `        <Point><coordinates>${entry.coordinates.lng},${entry.coordinates.lat},0</coordinates></Point>`,
+      '      </Placemark>',
+    ].join('\n')),
+    '    </Folder>',
+  ].join('\n'));
+
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    ...folderXml,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+
+  return { content, included: located.length, skipped: entries.length - located.length };
+};
+
+/**
+ * Generate a printable PDF itinerary
+ * @param {Array} entries - Itinerary entries
+ * @param {Object} options - { title, subtitle }
+ * @returns {Promise<Blob>} PDF document
+ */
+export const generateItineraryPDF = async (entries, { title = 'Itinerary', subtitle = '' } = {}) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.width;
+  const pageHeight = doc.internal.pageSize.height;
+  const maxWidth = pageWidth - 40;
+  let yPosition = 20;
+
+  const ensureSpace = (height) => {
+    if (yPosition + height > pageHeight - 20) {
+      doc.addPage();
+      yPosition = 20;
+    }
+  };
+
+  doc.setFontSize(20);
+  doc.setFont('helvetica', 'bold');
+  doc.text(title, pageWidth / 2, yPosition, { align: 'center' });
+  yPosition += 8;
+
+  if (subtitle) {
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(subtitle, pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+  }
+  yPosition += 6;
+
+  // Dated entries first, in chronological order
+  const sorted = [...entries].sort((a, b) => {
+    if (!a.date && !b.date) return 0;
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return `${a.date}${a.startTime || ''}`.localeCompare(`${b.date}${b.startTime || ''}`);
+  });
+
+  sorted.forEach((entry, index) => {
+    const details = [
+      entry.date
+        ? `When: ${entry.date}${entry.startTime ? ` ${entry.startTime.slice(0, 5)}` : ''}${entry.endTime ? ` - ${entry.endTime.slice(0, 5)}` : ''}`
+        : 'When: No upcoming departure scheduled',
+      entry.location ? `Where: ${entry.location}` : '',
+      entry.coordinates ? `Coordinates: ${entry.coordinates.lat.toFixed(5)}, ${entry.coordinates.lng.toFixed(5)}` : '',
+      entry.price !== null && entry.price !== undefined ? `Price: ${entry.price} ${entry.currency}` : '',
+      entry.group ? `Collection: ${entry.group}` : '',
+    ].filter(Boolean);
+    const descriptionLines = entry.description ? doc.splitTextToSize(entry.description, maxWidth) : [];
+
+    ensureSpace(10 + details.length * 5 + descriptionLines.length * 5);
+
+    doc.setFontSize(13);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${index + 1}. ${entry.title}`, 20, yPosition);
+    yPosition += 7;
+
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    details.forEach(line => {
+      doc.text(line, 20, yPosition);
+      yPosition += 5;
+    });
+    if (descriptionLines.length) {
+      doc.text(descriptionLines, 20, yPosition);
+      yPosition += descriptionLines.length * 5;
+    }
+    yPosition += 6;
+  });
+
+  return doc.output('blob');
+};
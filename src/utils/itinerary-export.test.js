@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  escapeCSVCell,
+  escapeICSText,
+  getNextDeparture,
+  wishlistItemToEntry,
+  buildICalendar,
+  buildGPX,
+  buildKML,
+} from './itinerary-export';
+
+const now = new Date('2025-06-01T12:00:00Z');
+
+const wishlistItem = {
+  id: 'w1',
+  created_at: '2025-05-01T00:00:00Z',
+  collection: { name: 'Summer "Must Do"' },
+  adventure: {
+    id: 'a1',
+    title: 'Glacier Hike, Iceland',
+    short_description: 'Crampons; ice axes\nand views',
+    location_name: 'Vatnajökull',
+    latitude: '64.4',
+    longitude: '-16.8',
+    price: 250,
+    currency: 'USD',
+    availability: [
+      { date: '2025-05-20', start_time: '09:00:00', end_time: '13:00:00', is_available: true },
+      { date: '2025-07-10', start_time: '08:30:00', end_time: '12:00:00', is_available: true },
+      { date: '2025-06-15', start_time: '09:00:00', end_time: '13:00:00', is_available: false },
+    ],
+  },
+};
+
+describe('itinerary export', () => {
+  describe('escaping', () => {
+    it('doubles embedded quotes in CSV cells', () => {
+      expect(escapeCSVCell('Summer "Must Do"')).toBe('"Summer ""Must Do"""');
+      expect(escapeCSVCell(null)).toBe('""');
+    });
+
+    it('escapes iCalendar text special characters', () => {
+      expect(escapeICSText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+  });
+
+  describe('getNextDeparture', () => {
+    it('picks the earliest open departure on or after today', () => {
+      const next = getNextDeparture(wishlistItem.adventure.availability, now);
+      expect(next.date).toBe('2025-07-10');
+    });
+
+    it('returns null when nothing is scheduled', () => {
+      expect(getNextDeparture(undefined, now)).toBeNull();
+    });
+  });
+
+  describe('buildICalendar', () => {
+    it('creates one event per dated entry and reports skipped entries', () => {
+      const dated = wishlistItemToEntry(wishlistItem, { now, baseUrl: 'https://trvl.test' });
+      const undated = wishlistItemToEntry({ id: 'w2', adventure: { title: 'Someday' } }, { now });
+      const { content, included, skipped } = buildICalendar([dated, undated], { now });
+
+      expect(included).toBe(1);
+      expect(skipped).toBe(1);
+      expect(content.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(content).toContain('DTSTART:20250710T083000');
+      expect(content).toContain('DTEND:20250710T120000');
+      expect(content).toContain('SUMMARY:Glacier Hike\\, Iceland');
+      expect(content).toContain('GEO:64.4;-16.8');
+      expect(content).toContain('STATUS:TENTATIVE');
+      expect(content).not.toContain('Someday');
+    });
+
+    it('uses all-day events for entries without a start time', () => {
+      const entry = { uid: 'e1@trvlsocial.com', title: 'New Year Trek', date: '2025-12-31' };
+      const { content } = buildICalendar([entry], { now });
+
+      expect(content).toContain('DTSTART;VALUE=DATE:20251231');
+      expect(content).toContain('DTEND;VALUE=DATE:20260101');
+      expect(content).toContain('SUMMARY:New Year Trek');
+    });
+
+    it('folds lines longer than 75 characters', () => {
+      const entry = { uid: 'e2@trvlsocial.com', title: 'x'.repeat(200), date: '2025-08-01' };
+      const { content } = buildICalendar([entry], { now });
+      content.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+    });
+  });
+
+  describe('map formats', () => {
+    const entries = [
+      wishlistItemToEntry(wishlistItem, { now }),
+      wishlistItemToEntry({ id: 'w3', adventure: { title: 'Nowhere <special>' } }, { now }),
+    ];
+
+    it('writes GPX waypoints for located entries only', () => {
+      const { content, included, skipped } = buildGPX(entries);
+      expect(included).toBe(1);
+      expect(skipped).toBe(1);
+      expect(content).toContain('<wpt lat="64.4" lon="-16.8">');
+      expect(content).not.toContain('Nowhere');
+    });
+
+    it('writes KML placemarks in longitude,latitude order grouped by collection', () => {
+      const { content } = buildKML(entries);
+      expect(content).toContain('<coordinates>-16.8,64.4,0</coordinates>');
+      expect(content).toContain('<name>Summer &quot;Must Do&quot;</name>');
+    });
+  });
+});
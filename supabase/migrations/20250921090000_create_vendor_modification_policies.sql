@@ -0,0 +1,105 @@
+-- Vendor-defined modification policies
+-- Vendors author tiered policies per modification type, optionally scoped to an
+-- adventure and/or a season. Policies are versioned and the applicable version is
+-- snapshotted onto each booking when it is created.
+
+CREATE TABLE IF NOT EXISTS vendor_modification_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    policy_key UUID NOT NULL DEFAULT gen_random_uuid(), -- Stable across versions of the same policy
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    adventure_id UUID REFERENCES adventures(id) ON DELETE CASCADE, -- NULL applies to all vendor adventures
+    name TEXT NOT NULL,
+    season_start TEXT CHECK (season_start ~ '^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$'), -- MM-DD
+    season_end TEXT CHECK (season_end ~ '^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$'),
+    priority INTEGER NOT NULL DEFAULT 0,
+    rules JSONB NOT NULL DEFAULT '{}', -- { "<modification_type>": { "tiers": [...], "maxChanges": n } }
+    version INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    superseded_at TIMESTAMPTZ,
+    UNIQUE (policy_key, version),
+    CHECK ((season_start IS NULL) = (season_end IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_modification_policies_vendor ON vendor_modification_policies(vendor_id, is_active);
+CREATE INDEX IF NOT EXISTS idx_vendor_modification_policies_adventure ON vendor_modification_policies(adventure_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_modification_policies_active_key
+    ON vendor_modification_policies(policy_key) WHERE is_active;
+
+-- Policy version in force when the booking was purchased
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS modification_policy_snapshot JSONB;
+
+-- Snapshot the most specific active policy onto new bookings
+-- Adventure-specific beats vendor-wide, seasonal beats year-round, then priority and version
+CREATE OR REPLACE FUNCTION snapshot_booking_modification_policy()
+RETURNS TRIGGER AS $$
+DECLARE
+    trip_day TEXT;
+    selected vendor_modification_policies%ROWTYPE;
+BEGIN
+    IF NEW.modification_policy_snapshot IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    trip_day := to_char(NEW.booking_date, 'MM-DD');
+
+    SELECT * INTO selected
+    FROM vendor_modification_policies p
+    WHERE p.vendor_id = NEW.vendor_id
+      AND p.is_active
+      AND (p.adventure_id IS NULL OR p.adventure_id = NEW.adventure_id)
+      AND (
+          p.season_start IS NULL
+          OR (p.season_start <= p.season_end AND trip_day BETWEEN p.season_start AND p.season_end)
+          OR (p.season_start > p.season_end AND (trip_day >= p.season_start OR trip_day <= p.season_end))
+      )
+    ORDER BY (p.adventure_id IS NOT NULL) DESC,
+             (p.season_start IS NOT NULL) DESC,
+             p.priority DESC,
+             p.version DESC
+    LIMIT 1;
+
+    IF FOUND THEN
+        NEW.modification_policy_snapshot := jsonb_build_object(
+            'policy_id', selected.id,
+            'policy_key', selected.policy_key,
+            'version', selected.version,
+            'name', selected.name,
+            'adventure_id', selected.adventure_id,
+            'season', CASE WHEN selected.season_start IS NULL THEN NULL
+                           ELSE jsonb_build_object('start', selected.season_start, 'end', selected.season_end) END,
+            'rules', selected.rules,
+            'captured_at', NOW()
+        );
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS snapshot_booking_modification_policy ON bookings;
+CREATE TRIGGER snapshot_booking_modification_policy
+    BEFORE INSERT ON bookings
+    FOR EACH ROW EXECUTE FUNCTION snapshot_booking_modification_policy();
+
+-- RLS
+ALTER TABLE vendor_modification_policies ENABLE ROW LEVEL SECURITY;
+
+-- Travelers can read active policies to preview fees before booking or modifying
+CREATE POLICY "Anyone can view active modification policies" ON vendor_modification_policies
+    FOR SELECT USING (is_active);
+
+-- Vendors manage their own policies, including past versions
+CREATE POLICY "Vendors can manage their modification policies" ON vendor_modification_policies
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM vendors v WHERE v.id = vendor_id AND v.user_id = auth.uid())
+    );
+
+CREATE POLICY "Admins can manage modification policies" ON vendor_modification_policies
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+COMMENT ON TABLE vendor_modification_policies IS 'Versioned, tiered booking modification policies authored by vendors';
+COMMENT ON COLUMN bookings.modification_policy_snapshot IS 'Copy of the vendor modification policy version in force at purchase time';
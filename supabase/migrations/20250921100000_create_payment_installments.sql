@@ -0,0 +1,48 @@
+-- Split Payment Installment Plans
+-- Lets organizers collect a deposit plus N installments per participant, each with its own due date.
+-- The plan itself lives in split_payments.metadata.paymentPlan; this table holds the per-participant schedule.
+
+CREATE TABLE IF NOT EXISTS payment_installments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  split_payment_id UUID NOT NULL REFERENCES split_payments(id) ON DELETE CASCADE,
+  individual_payment_id UUID NOT NULL REFERENCES individual_payments(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL, -- 0 is the deposit
+  kind VARCHAR(20) NOT NULL DEFAULT 'installment', -- 'deposit', 'installment'
+  amount_due INTEGER NOT NULL, -- Amount in cents
+  amount_paid INTEGER DEFAULT 0, -- Amount actually paid in cents
+  due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'paid', 'failed', 'refunded', 'cancelled'
+  stripe_payment_intent_id TEXT,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  reminder_count INTEGER DEFAULT 0,
+  last_reminder_sent TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (individual_payment_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_installments_split ON payment_installments(split_payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_installments_payment ON payment_installments(individual_payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_installments_due ON payment_installments(status, due_date);
+CREATE INDEX IF NOT EXISTS idx_payment_installments_stripe ON payment_installments(stripe_payment_intent_id);
+
+-- Reminders can target a single installment rather than the whole share
+ALTER TABLE payment_reminders
+  ADD COLUMN IF NOT EXISTS installment_id UUID REFERENCES payment_installments(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_payment_reminders_installment ON payment_reminders(installment_id);
+
+-- Individual payments can now be partly paid while later installments are outstanding
+COMMENT ON COLUMN individual_payments.status IS '''pending'', ''processing'', ''partially_paid'', ''paid'', ''failed'', ''refunded'', ''cancelled''';
+
+CREATE TRIGGER update_payment_installments_modtime
+    BEFORE UPDATE ON payment_installments
+    FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- RLS stays disabled across the split payment tables (see 20250920150000_ultimate_rls_fix.sql);
+-- access is controlled by application logic like the rest of the split payment system
+ALTER TABLE payment_installments DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE payment_installments IS 'Deposit and installment schedule for each participant of a split payment.';
+
+GRANT SELECT, INSERT, UPDATE ON payment_installments TO authenticated;
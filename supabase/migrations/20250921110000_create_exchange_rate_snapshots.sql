@@ -0,0 +1,42 @@
+-- Exchange rate snapshots
+-- Records the rate (and its provider) used for each charged currency conversion so
+-- invoices, reconciliation and refunds can reproduce amounts exactly as charged.
+
+CREATE TABLE IF NOT EXISTS exchange_rate_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    from_currency VARCHAR(3) NOT NULL,
+    to_currency VARCHAR(3) NOT NULL,
+    rate NUMERIC(24, 12) NOT NULL CHECK (rate > 0), -- Units of to_currency per unit of from_currency
+    source VARCHAR(50) NOT NULL, -- Provider name, e.g. 'exchangerate-api', 'offline'
+    rate_as_of TIMESTAMPTZ, -- When the provider published the rate
+    captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- When the conversion used it
+    from_amount NUMERIC(18, 4),
+    to_amount NUMERIC(18, 4),
+    reference_type VARCHAR(50), -- 'booking', 'invoice', 'payment_intent'
+    reference_id TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rate_snapshots_pair ON exchange_rate_snapshots(from_currency, to_currency, rate_as_of DESC);
+CREATE INDEX IF NOT EXISTS idx_exchange_rate_snapshots_reference ON exchange_rate_snapshots(reference_type, reference_id);
+
+-- Copy of the snapshot on the invoice itself
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS exchange_rate_snapshot JSONB;
+
+-- RLS
+ALTER TABLE exchange_rate_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Rates are not sensitive; everyone signed in can read them to reproduce conversions
+CREATE POLICY "Authenticated users can view exchange rate snapshots" ON exchange_rate_snapshots
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Users can record their own exchange rate snapshots" ON exchange_rate_snapshots
+    FOR INSERT WITH CHECK (created_by IS NULL OR created_by = auth.uid());
+
+-- Snapshots are immutable: no UPDATE or DELETE policies
+
+COMMENT ON TABLE exchange_rate_snapshots IS 'Exchange rates used for charged currency conversions, kept to reproduce amounts exactly';
+COMMENT ON COLUMN invoices.exchange_rate_snapshot IS 'Rate snapshot used to convert the booking amount into the invoice currency';
+
+GRANT SELECT, INSERT ON exchange_rate_snapshots TO authenticated;
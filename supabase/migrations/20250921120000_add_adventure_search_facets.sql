@@ -0,0 +1,175 @@
+-- Faceted adventure search
+-- Full-text (weighted tsvector) plus pg_trgm fuzzy matching, facet counts for
+-- FilterPanel and a geo radius filter, so SearchPage only fetches one page of results.
+-- Band ids must match PRICE_BANDS / DURATION_BANDS in src/services/adventure-search-backends.js.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE adventures ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(location_name, '') || ' ' || COALESCE(short_description, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_adventures_search_vector ON adventures USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_adventures_title_trgm ON adventures USING gin(title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_adventures_location_name_trgm ON adventures USING gin(location_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_adventures_active_price ON adventures(price) WHERE is_active = true;
+
+-- Returns { results: [...], total: n, facets: { priceBands, durations, difficulty, location, categories } }.
+-- Facets are disjunctive: each one is counted with every filter applied except its own.
+CREATE OR REPLACE FUNCTION search_adventures_faceted(
+    p_query TEXT DEFAULT NULL,
+    p_price_min NUMERIC DEFAULT NULL,
+    p_price_max NUMERIC DEFAULT NULL,
+    p_price_bands TEXT[] DEFAULT NULL,
+    p_duration_bands TEXT[] DEFAULT NULL,
+    p_difficulties TEXT[] DEFAULT NULL,
+    p_locations TEXT[] DEFAULT NULL,
+    p_categories TEXT[] DEFAULT NULL,
+    p_latitude DOUBLE PRECISION DEFAULT NULL,
+    p_longitude DOUBLE PRECISION DEFAULT NULL,
+    p_radius_km DOUBLE PRECISION DEFAULT NULL,
+    p_sort TEXT DEFAULT 'relevance',
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+) RETURNS JSONB AS $$
+DECLARE
+    v_tsquery TSQUERY := CASE
+        WHEN NULLIF(TRIM(p_query), '') IS NULL THEN NULL
+        ELSE websearch_to_tsquery('english', p_query)
+    END;
+    v_result JSONB;
+BEGIN
+    WITH candidates AS (
+        SELECT
+            a.*,
+            v.business_name AS vendor_name,
+            CASE
+                WHEN v_tsquery IS NULL THEN 0
+                ELSE ts_rank_cd(a.search_vector, v_tsquery)
+                    + GREATEST(similarity(a.title, p_query), similarity(COALESCE(a.location_name, ''), p_query))
+            END AS relevance,
+            CASE
+                WHEN a.price < 500 THEN 'under-500'
+                WHEN a.price < 1000 THEN '500-1000'
+                WHEN a.price < 2500 THEN '1000-2500'
+                ELSE '2500-plus'
+            END AS price_band,
+            CASE
+                WHEN a.duration_hours IS NULL THEN NULL
+                WHEN a.duration_hours <= 24 THEN 'day-trip'
+                WHEN a.duration_hours <= 96 THEN 'short'
+                WHEN a.duration_hours <= 168 THEN 'week'
+                ELSE 'extended'
+            END AS duration_band,
+            CASE
+                WHEN p_latitude IS NULL OR p_longitude IS NULL OR a.latitude IS NULL OR a.longitude IS NULL THEN NULL
+                ELSE 2 * 6371 * ASIN(SQRT(
+                    POWER(SIN(RADIANS(a.latitude - p_latitude) / 2), 2) +
+                    COS(RADIANS(p_latitude)) * COS(RADIANS(a.latitude)) *
+                    POWER(SIN(RADIANS(a.longitude - p_longitude) / 2), 2)
+                ))
+            END AS distance_km
+        FROM adventures a
+        JOIN vendors v ON v.id = a.vendor_id
+        WHERE a.is_active = true
+            AND (v_tsquery IS NULL
+                OR a.search_vector @@ v_tsquery
+                OR a.title % p_query
+                OR a.location_name % p_query)
+            AND (p_price_min IS NULL OR a.price >= p_price_min)
+            AND (p_price_max IS NULL OR a.price <= p_price_max)
+    ),
+    scoped AS (
+        SELECT
+            c.*,
+            (p_price_bands IS NULL OR c.price_band = ANY(p_price_bands)) AS in_price,
+            (p_duration_bands IS NULL OR c.duration_band = ANY(p_duration_bands)) AS in_duration,
+            (p_difficulties IS NULL OR c.difficulty::TEXT = ANY(p_difficulties)) AS in_difficulty,
+            (p_locations IS NULL OR c.location_name = ANY(p_locations)) AS in_location,
+            (p_categories IS NULL OR c.category::TEXT = ANY(p_categories)) AS in_category
+        FROM candidates c
+        WHERE p_radius_km IS NULL OR (c.distance_km IS NOT NULL AND c.distance_km <= p_radius_km)
+    ),
+    matching AS (
+        SELECT * FROM scoped
+        WHERE in_price AND in_duration AND in_difficulty AND in_location AND in_category
+    ),
+    page AS (
+        SELECT
+            m.id, m.title, m.description, m.short_description, m.category, m.difficulty,
+            m.price, m.currency, m.duration_hours, m.location_name, m.latitude, m.longitude,
+            m.rating, m.total_reviews, m.is_featured, m.vendor_id, m.vendor_name,
+            ROUND(m.relevance::NUMERIC, 4) AS relevance,
+            ROUND(m.distance_km::NUMERIC, 1) AS distance_km,
+            (
+                SELECT am.media_url FROM adventure_media am
+                WHERE am.adventure_id = m.id AND am.media_type = 'image'
+                ORDER BY am.is_primary DESC, am.display_order
+                LIMIT 1
+            ) AS image_url
+        FROM matching m
+        ORDER BY
+            CASE WHEN p_sort = 'price-low' THEN m.price END ASC,
+            CASE WHEN p_sort = 'price-high' THEN m.price END DESC,
+            CASE WHEN p_sort = 'rating' THEN m.rating END DESC,
+            CASE WHEN p_sort = 'duration' THEN m.duration_hours END ASC NULLS LAST,
+            m.relevance DESC,
+            m.rating DESC,
+            m.id
+        LIMIT LEAST(GREATEST(p_limit, 1), 100)
+        OFFSET GREATEST(p_offset, 0)
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM matching),
+        'results', COALESCE((SELECT jsonb_agg(to_jsonb(p)) FROM page p), '[]'::JSONB),
+        'facets', jsonb_build_object(
+            'priceBands', COALESCE((
+                SELECT jsonb_object_agg(price_band, n) FROM (
+                    SELECT price_band, COUNT(*) AS n FROM scoped
+                    WHERE in_duration AND in_difficulty AND in_location AND in_category
+                    GROUP BY price_band
+                ) f
+            ), '{}'::JSONB),
+            'durations', COALESCE((
+                SELECT jsonb_object_agg(duration_band, n) FROM (
+                    SELECT duration_band, COUNT(*) AS n FROM scoped
+                    WHERE in_price AND in_difficulty AND in_location AND in_category AND duration_band IS NOT NULL
+                    GROUP BY duration_band
+                ) f
+            ), '{}'::JSONB),
+            'difficulty', COALESCE((
+                SELECT jsonb_object_agg(difficulty, n) FROM (
+                    SELECT difficulty::TEXT AS difficulty, COUNT(*) AS n FROM scoped
+                    WHERE in_price AND in_duration AND in_location AND in_category AND difficulty IS NOT NULL
+                    GROUP BY difficulty
+                ) f
+            ), '{}'::JSONB),
+            'location', COALESCE((
+                SELECT jsonb_object_agg(location_name, n) FROM (
+                    SELECT location_name, COUNT(*) AS n FROM scoped
+                    WHERE in_price AND in_duration AND in_difficulty AND in_category AND location_name IS NOT NULL
+                    GROUP BY location_name
+                    ORDER BY n DESC, location_name
+                    LIMIT 10
+                ) f
+            ), '{}'::JSONB),
+            'categories', COALESCE((
+                SELECT jsonb_object_agg(category, n) FROM (
+                    SELECT category::TEXT AS category, COUNT(*) AS n FROM scoped
+                    WHERE in_price AND in_duration AND in_difficulty AND in_location
+                    GROUP BY category
+                ) f
+            ), '{}'::JSONB)
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION search_adventures_faceted IS 'Full-text/trigram adventure search with disjunctive facet counts, geo radius, sorting and paging';
+
+GRANT EXECUTE ON FUNCTION search_adventures_faceted TO anon, authenticated;
@@ -0,0 +1,67 @@
+-- Saved searches with new-match alerts
+-- Users save a search (text + FilterPanel filters) under a name; new or updated
+-- adventures that match are recorded and notified immediately or in a digest.
+
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'saved_search_match';
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'saved_search_digest';
+
+-- Category switch alongside vendor_offers_notifications etc.
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS saved_search_notifications BOOLEAN DEFAULT true;
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+    query_text TEXT NOT NULL DEFAULT '',
+    filters JSONB NOT NULL DEFAULT '{}', -- FilterPanel state, plus a resolved geo radius for local/regional
+    sort TEXT NOT NULL DEFAULT 'relevance',
+    alerts_enabled BOOLEAN NOT NULL DEFAULT true,
+    -- NULL follows user_preferences.notification_frequency
+    alert_frequency TEXT CHECK (alert_frequency IN ('immediate', 'daily_digest', 'weekly_digest')),
+    last_notified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One row per adventure that started matching a saved search
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+    adventure_id UUID NOT NULL REFERENCES adventures(id) ON DELETE CASCADE,
+    match_reason TEXT NOT NULL CHECK (match_reason IN ('new', 'updated')),
+    notified_at TIMESTAMPTZ, -- NULL while waiting for a digest
+    delivery TEXT CHECK (delivery IN ('immediate', 'daily_digest', 'weekly_digest')),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    UNIQUE(saved_search_id, adventure_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_alerts ON saved_searches(alerts_enabled) WHERE alerts_enabled = true;
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending ON saved_search_matches(saved_search_id) WHERE notified_at IS NULL;
+
+CREATE TRIGGER update_saved_searches_modtime
+    BEFORE UPDATE ON saved_searches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- RLS
+ALTER TABLE saved_searches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_search_matches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own saved searches" ON saved_searches
+    FOR ALL USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can view matches for their saved searches" ON saved_search_matches
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM saved_searches s
+            WHERE s.id = saved_search_matches.saved_search_id AND s.user_id = auth.uid()
+        )
+    );
+
+-- Matches are written by the alert job with the service role
+
+COMMENT ON TABLE saved_searches IS 'Named adventure searches with optional new-match alerts';
+COMMENT ON TABLE saved_search_matches IS 'Adventures that matched a saved search, and when the user was notified';
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON saved_searches TO authenticated;
+GRANT SELECT ON saved_search_matches TO authenticated;
@@ -0,0 +1,70 @@
+-- Wishlist price and availability alerts
+-- price_alerts holds a target price and/or travel date window per wishlisted adventure;
+-- the scheduled evaluator tracks what it last saw and logs every alert it fires.
+
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'price_alert';
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'availability_alert';
+
+CREATE TABLE IF NOT EXISTS price_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    adventure_id UUID NOT NULL REFERENCES adventures(id) ON DELETE CASCADE,
+    target_price DECIMAL(10, 2),
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS date_from DATE;
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS date_to DATE;
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS last_seen_price DECIMAL(10, 2);
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS last_available_dates JSONB DEFAULT '[]';
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ;
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS last_triggered_at TIMESTAMPTZ;
+ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL;
+
+ALTER TABLE price_alerts DROP CONSTRAINT IF EXISTS price_alerts_date_window_check;
+ALTER TABLE price_alerts ADD CONSTRAINT price_alerts_date_window_check
+    CHECK (date_from IS NULL OR date_to IS NULL OR date_from <= date_to);
+
+CREATE TABLE IF NOT EXISTS price_alert_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    alert_id UUID REFERENCES price_alerts(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    adventure_id UUID NOT NULL REFERENCES adventures(id) ON DELETE CASCADE,
+    alert_type TEXT NOT NULL CHECK (alert_type IN ('target_price', 'price_drop', 'availability')),
+    previous_price DECIMAL(10, 2),
+    current_price DECIMAL(10, 2),
+    target_price DECIMAL(10, 2),
+    available_dates JSONB, -- Newly opened dates inside the alert's window
+    delivery_results JSONB DEFAULT '[]',
+    delivered BOOLEAN DEFAULT false NOT NULL,
+    triggered_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(last_checked_at NULLS FIRST) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_price_alerts_user ON price_alerts(user_id, adventure_id);
+CREATE INDEX IF NOT EXISTS idx_price_alert_history_user ON price_alert_history(user_id, triggered_at DESC);
+
+DROP TRIGGER IF EXISTS update_price_alerts_modtime ON price_alerts;
+CREATE TRIGGER update_price_alerts_modtime
+    BEFORE UPDATE ON price_alerts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- RLS
+ALTER TABLE price_alerts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE price_alert_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own price alerts" ON price_alerts;
+CREATE POLICY "Users can manage their own price alerts" ON price_alerts
+    FOR ALL USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can view their own alert history" ON price_alert_history
+    FOR SELECT USING (user_id = auth.uid());
+
+-- History is written by the evaluator with the service role
+
+COMMENT ON TABLE price_alerts IS 'Wishlist alerts on a target price and/or a travel date window';
+COMMENT ON TABLE price_alert_history IS 'Price and availability alerts fired for wishlisted adventures';
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON price_alerts TO authenticated;
+GRANT SELECT ON price_alert_history TO authenticated;
@@ -0,0 +1,100 @@
+-- Durable job queue
+-- Jobs for background compatibility work, scheduled payouts and payment collection.
+-- Workers lease a job for its timeout; expired leases are picked up again, failed
+-- attempts retry with backoff and exhausted jobs stay in the 'dead' state for re-drive.
+
+CREATE TABLE IF NOT EXISTS job_queue (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('high', 'normal', 'low')),
+    payload JSONB NOT NULL DEFAULT '{}',
+    metadata JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'dead', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_retries INTEGER NOT NULL DEFAULT 3 CHECK (max_retries >= 0),
+    timeout_ms INTEGER NOT NULL DEFAULT 300000 CHECK (timeout_ms > 0), -- Lease length per attempt
+    retry_delay_ms INTEGER NOT NULL DEFAULT 30000, -- First retry delay, doubled per attempt
+    idempotency_key TEXT UNIQUE,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    lease_owner TEXT,
+    lease_expires_at TIMESTAMPTZ,
+    progress JSONB,
+    result JSONB,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_ready ON job_queue(priority, run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_job_queue_leases ON job_queue(lease_expires_at) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_job_queue_dead ON job_queue(type, failed_at DESC) WHERE status = 'dead';
+
+CREATE TRIGGER update_job_queue_modtime
+    BEFORE UPDATE ON job_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim the next ready job for a worker. Jobs whose lease expired on their last
+-- attempt are dead-lettered first; SKIP LOCKED lets instances claim concurrently.
+CREATE OR REPLACE FUNCTION claim_queue_job(p_worker_id TEXT, p_types TEXT[] DEFAULT NULL)
+RETURNS SETOF job_queue AS $$
+BEGIN
+    UPDATE job_queue
+    SET status = 'dead',
+        last_error = 'Lease expired',
+        failed_at = NOW(),
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE status = 'processing'
+      AND lease_expires_at <= NOW()
+      AND attempts > max_retries;
+
+    RETURN QUERY
+    UPDATE job_queue j
+    SET status = 'processing',
+        attempts = j.attempts + 1,
+        lease_owner = p_worker_id,
+        lease_expires_at = NOW() + j.timeout_ms * INTERVAL '1 millisecond',
+        started_at = NOW()
+    WHERE j.id = (
+        SELECT q.id FROM job_queue q
+        WHERE ((q.status = 'queued' AND q.run_at <= NOW())
+               OR (q.status = 'processing' AND q.lease_expires_at <= NOW()))
+          AND (p_types IS NULL OR q.type = ANY(p_types))
+        ORDER BY array_position(ARRAY['high', 'normal', 'low'], q.priority), q.run_at, q.created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION job_queue_stats()
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'queued', jsonb_build_object(
+            'high', COUNT(*) FILTER (WHERE status = 'queued' AND priority = 'high'),
+            'normal', COUNT(*) FILTER (WHERE status = 'queued' AND priority = 'normal'),
+            'low', COUNT(*) FILTER (WHERE status = 'queued' AND priority = 'low')
+        ),
+        'processing', COUNT(*) FILTER (WHERE status = 'processing'),
+        'dead', COUNT(*) FILTER (WHERE status = 'dead')
+    )
+    FROM job_queue
+    WHERE status IN ('queued', 'processing', 'dead');
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- RLS - the queue is only used by workers with the service role
+ALTER TABLE job_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role manages job queue" ON job_queue
+    FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+REVOKE ALL ON FUNCTION claim_queue_job(TEXT, TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION job_queue_stats() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_queue_job(TEXT, TEXT[]) TO service_role;
+GRANT EXECUTE ON FUNCTION job_queue_stats() TO service_role;
+
+COMMENT ON TABLE job_queue IS 'Durable background jobs with leases, retries with backoff, dead-lettering and idempotency keys';
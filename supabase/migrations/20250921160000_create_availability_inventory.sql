@@ -0,0 +1,317 @@
+-- Availability rules, departures and seat holds
+-- Vendors save availability rules per adventure; they are expanded into dated
+-- departures (adventure_availability rows) with seat capacity. Travelers hold seats
+-- during checkout and paid bookings move those seats into booked_spots. All seat
+-- changes lock the departure row so a departure can never be overbooked.
+
+CREATE TABLE IF NOT EXISTS adventure_availability_rules (
+    adventure_id UUID PRIMARY KEY REFERENCES adventures(id) ON DELETE CASCADE,
+    -- AvailabilityConfiguration state: type, weeklySchedule, schedules, blackoutDates,
+    -- advanceNotice, startTime, endTime, capacity
+    rules JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS seat_holds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    availability_id UUID NOT NULL REFERENCES adventure_availability(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    seats INTEGER NOT NULL CHECK (seats > 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'confirmed', 'released', 'expired')),
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    confirmed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_seat_holds_active ON seat_holds(availability_id, expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_seat_holds_user ON seat_holds(user_id, status);
+
+-- Seats move into booked_spots once per booking and back out once on cancellation
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS seats_confirmed_at TIMESTAMPTZ;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS seats_released_at TIMESTAMPTZ;
+
+-- Last line of defence against overbooking; NOT VALID so existing rows don't block the migration
+ALTER TABLE adventure_availability DROP CONSTRAINT IF EXISTS adventure_availability_capacity_check;
+ALTER TABLE adventure_availability ADD CONSTRAINT adventure_availability_capacity_check
+    CHECK (booked_spots >= 0 AND booked_spots <= available_spots) NOT VALID;
+
+CREATE TRIGGER update_adventure_availability_rules_modtime
+    BEFORE UPDATE ON adventure_availability_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seats held by active, unexpired holds on a departure
+CREATE OR REPLACE FUNCTION held_seats(p_availability_id UUID)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(SUM(seats), 0)::INTEGER
+    FROM seat_holds
+    WHERE availability_id = p_availability_id
+      AND status = 'active'
+      AND expires_at > NOW();
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Departures with booked and held seats; the one source of remaining-seat counts
+CREATE OR REPLACE FUNCTION get_departure_inventory(
+    p_adventure_id UUID,
+    p_date_from DATE,
+    p_date_to DATE
+) RETURNS TABLE (
+    availability_id UUID,
+    date DATE,
+    start_time TIME,
+    end_time TIME,
+    available_spots INTEGER,
+    booked_spots INTEGER,
+    held_spots INTEGER,
+    price DECIMAL,
+    is_available BOOLEAN
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        aa.id,
+        aa.date,
+        aa.start_time,
+        aa.end_time,
+        aa.available_spots,
+        COALESCE(aa.booked_spots, 0),
+        held_seats(aa.id),
+        COALESCE(aa.price_override, a.price),
+        aa.is_available
+    FROM adventure_availability aa
+    JOIN adventures a ON a.id = aa.adventure_id
+    WHERE aa.adventure_id = p_adventure_id
+      AND aa.date BETWEEN p_date_from AND p_date_to
+    ORDER BY aa.date, aa.start_time;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Existing lookup now also leaves out seats held by other travelers
+CREATE OR REPLACE FUNCTION get_adventure_availability(
+    p_adventure_id UUID,
+    p_date_from DATE,
+    p_date_to DATE
+) RETURNS TABLE (
+    availability_id UUID,
+    date DATE,
+    start_time TIME,
+    end_time TIME,
+    available_spots INTEGER,
+    price DECIMAL
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        inv.availability_id,
+        inv.date,
+        inv.start_time,
+        inv.end_time,
+        inv.available_spots - inv.booked_spots - inv.held_spots,
+        inv.price
+    FROM get_departure_inventory(p_adventure_id, p_date_from, p_date_to) inv
+    WHERE inv.is_available = true
+      AND inv.available_spots - inv.booked_spots - inv.held_spots > 0;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Upsert expanded departures and close the ones no longer in the rules.
+-- Runs with the caller's rights so the vendor policies on adventure_availability apply.
+CREATE OR REPLACE FUNCTION sync_adventure_departures(
+    p_adventure_id UUID,
+    p_departures JSONB,
+    p_from DATE,
+    p_to DATE
+) RETURNS JSONB AS $$
+DECLARE
+    v_upserted INTEGER;
+    v_closed INTEGER;
+BEGIN
+    INSERT INTO adventure_availability (adventure_id, date, start_time, end_time, available_spots, price_override, is_available)
+    SELECT
+        p_adventure_id,
+        (d->>'date')::DATE,
+        (d->>'startTime')::TIME,
+        (d->>'endTime')::TIME,
+        (d->>'capacity')::INTEGER,
+        (d->>'price')::DECIMAL,
+        true
+    FROM jsonb_array_elements(p_departures) d
+    ON CONFLICT (adventure_id, date, start_time) DO UPDATE
+    SET end_time = EXCLUDED.end_time,
+        -- Never drop capacity below seats already sold
+        available_spots = GREATEST(EXCLUDED.available_spots, COALESCE(adventure_availability.booked_spots, 0)),
+        price_override = EXCLUDED.price_override,
+        is_available = true;
+    GET DIAGNOSTICS v_upserted = ROW_COUNT;
+
+    -- Departures that were removed or blacked out stop selling but keep their bookings
+    UPDATE adventure_availability aa
+    SET is_available = false
+    WHERE aa.adventure_id = p_adventure_id
+      AND aa.date BETWEEN p_from AND p_to
+      AND aa.is_available = true
+      AND NOT EXISTS (
+          SELECT 1 FROM jsonb_array_elements(p_departures) d
+          WHERE (d->>'date')::DATE = aa.date AND (d->>'startTime')::TIME = aa.start_time
+      );
+    GET DIAGNOSTICS v_closed = ROW_COUNT;
+
+    RETURN jsonb_build_object('upserted', v_upserted, 'closed', v_closed);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Hold seats for the current user
+CREATE OR REPLACE FUNCTION place_seat_hold(
+    p_availability_id UUID,
+    p_seats INTEGER,
+    p_hold_minutes INTEGER DEFAULT 15
+) RETURNS seat_holds AS $$
+DECLARE
+    v_departure adventure_availability;
+    v_hold seat_holds;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Authentication required';
+    END IF;
+
+    SELECT * INTO v_departure FROM adventure_availability WHERE id = p_availability_id FOR UPDATE;
+    IF NOT FOUND OR v_departure.is_available = false THEN
+        RAISE EXCEPTION 'DEPARTURE_UNAVAILABLE';
+    END IF;
+
+    UPDATE seat_holds SET status = 'expired'
+    WHERE availability_id = p_availability_id AND status = 'active' AND expires_at <= NOW();
+
+    -- A traveler keeps one hold per departure; a new hold replaces the old one
+    UPDATE seat_holds SET status = 'released'
+    WHERE availability_id = p_availability_id AND user_id = auth.uid() AND status = 'active';
+
+    IF v_departure.available_spots - COALESCE(v_departure.booked_spots, 0) - held_seats(p_availability_id) < p_seats THEN
+        RAISE EXCEPTION 'INSUFFICIENT_CAPACITY';
+    END IF;
+
+    INSERT INTO seat_holds (availability_id, user_id, seats, expires_at)
+    VALUES (p_availability_id, auth.uid(), p_seats, NOW() + make_interval(mins => LEAST(GREATEST(p_hold_minutes, 1), 60)))
+    RETURNING * INTO v_hold;
+
+    RETURN v_hold;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION release_seat_hold(p_hold_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE seat_holds SET status = 'released'
+    WHERE id = p_hold_id AND user_id = auth.uid() AND status = 'active';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'HOLD_NOT_FOUND';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Move a booking's seats into booked_spots, consuming the traveler's hold.
+-- Idempotent: a booking is only counted once.
+CREATE OR REPLACE FUNCTION confirm_booking_seats(p_booking_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_booking bookings;
+    v_departure adventure_availability;
+    v_hold_id UUID;
+    v_held_by_others INTEGER;
+BEGIN
+    SELECT * INTO v_booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found';
+    END IF;
+    IF auth.role() <> 'service_role' AND v_booking.user_id <> auth.uid() THEN
+        RAISE EXCEPTION 'Not allowed to confirm this booking';
+    END IF;
+    IF v_booking.availability_id IS NULL THEN
+        RETURN jsonb_build_object('status', 'no_departure');
+    END IF;
+    IF v_booking.seats_confirmed_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'already_confirmed');
+    END IF;
+
+    SELECT * INTO v_departure FROM adventure_availability WHERE id = v_booking.availability_id FOR UPDATE;
+
+    SELECT id INTO v_hold_id
+    FROM seat_holds
+    WHERE availability_id = v_booking.availability_id
+      AND user_id = v_booking.user_id
+      AND status = 'active'
+      AND expires_at > NOW()
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE;
+
+    v_held_by_others := held_seats(v_booking.availability_id) - COALESCE(
+        (SELECT seats FROM seat_holds WHERE id = v_hold_id), 0
+    );
+
+    IF COALESCE(v_departure.booked_spots, 0) + v_booking.total_participants + v_held_by_others > v_departure.available_spots THEN
+        RAISE EXCEPTION 'INSUFFICIENT_CAPACITY';
+    END IF;
+
+    UPDATE adventure_availability
+    SET booked_spots = COALESCE(booked_spots, 0) + v_booking.total_participants
+    WHERE id = v_booking.availability_id;
+
+    UPDATE seat_holds
+    SET status = 'confirmed', booking_id = p_booking_id, confirmed_at = NOW()
+    WHERE id = v_hold_id;
+
+    UPDATE bookings SET seats_confirmed_at = NOW() WHERE id = p_booking_id;
+
+    RETURN jsonb_build_object('status', 'confirmed', 'seats', v_booking.total_participants, 'holdId', v_hold_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Cancelled, refunded or expired bookings give their seats back
+CREATE OR REPLACE FUNCTION release_booking_seats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.seats_confirmed_at IS NOT NULL AND NEW.seats_released_at IS NULL AND NEW.availability_id IS NOT NULL THEN
+        UPDATE adventure_availability
+        SET booked_spots = GREATEST(COALESCE(booked_spots, 0) - NEW.total_participants, 0)
+        WHERE id = NEW.availability_id;
+        NEW.seats_released_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER release_booking_seats_on_cancel
+    BEFORE UPDATE OF status ON bookings
+    FOR EACH ROW
+    WHEN (NEW.status IN ('cancelled', 'refunded', 'expired') AND OLD.status NOT IN ('cancelled', 'refunded', 'expired'))
+    EXECUTE FUNCTION release_booking_seats();
+
+-- RLS
+ALTER TABLE adventure_availability_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seat_holds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Vendors can manage availability rules for their adventures" ON adventure_availability_rules
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM adventures a
+            JOIN vendors v ON v.id = a.vendor_id
+            WHERE a.id = adventure_availability_rules.adventure_id AND v.user_id = auth.uid()
+        )
+    );
+
+-- Holds are created and changed only through the functions above
+CREATE POLICY "Users can view their own seat holds" ON seat_holds
+    FOR SELECT USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON adventure_availability_rules TO authenticated;
+GRANT SELECT ON seat_holds TO authenticated;
+GRANT EXECUTE ON FUNCTION get_departure_inventory(UUID, DATE, DATE) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION place_seat_hold(UUID, INTEGER, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION release_seat_hold(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION confirm_booking_seats(UUID) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION sync_adventure_departures(UUID, JSONB, DATE, DATE) TO authenticated;
+
+COMMENT ON TABLE adventure_availability_rules IS 'Vendor availability rules expanded into adventure_availability departures';
+COMMENT ON TABLE seat_holds IS 'Time-limited seat holds placed during checkout';
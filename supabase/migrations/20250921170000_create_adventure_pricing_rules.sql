@@ -0,0 +1,67 @@
+-- Adventure pricing rules and locked booking quotes
+-- Vendors save pricing rules per adventure (seasonal windows, group-size tiers,
+-- early-bird and last-minute discounts). The pricing service turns them into an
+-- itemized quote that is locked onto the booking; once locked it can't change, so
+-- checkout, split payments and invoices always agree.
+
+CREATE TABLE IF NOT EXISTS adventure_pricing_rules (
+    adventure_id UUID PRIMARY KEY REFERENCES adventures(id) ON DELETE CASCADE,
+    -- PricingConfiguration state: basePrice, currency, seasonalPricing, groupDiscounts,
+    -- earlyBird, lastMinute
+    rules JSONB NOT NULL DEFAULT '{}',
+    currency TEXT NOT NULL DEFAULT 'USD',
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TRIGGER update_adventure_pricing_rules_modtime
+    BEFORE UPDATE ON adventure_pricing_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Itemized quote the booking was sold at (amounts in the smallest currency unit)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price_quote JSONB;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price_locked_at TIMESTAMPTZ;
+
+-- A locked quote is final
+CREATE OR REPLACE FUNCTION prevent_price_quote_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.price_locked_at IS NOT NULL AND (
+        NEW.price_quote IS DISTINCT FROM OLD.price_quote
+        OR NEW.price_locked_at IS DISTINCT FROM OLD.price_locked_at
+    ) THEN
+        RAISE EXCEPTION 'PRICE_QUOTE_LOCKED';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_booking_price_quote_change
+    BEFORE UPDATE OF price_quote, price_locked_at ON bookings
+    FOR EACH ROW EXECUTE FUNCTION prevent_price_quote_change();
+
+-- RLS
+ALTER TABLE adventure_pricing_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view pricing rules for active adventures" ON adventure_pricing_rules
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM adventures a
+            WHERE a.id = adventure_pricing_rules.adventure_id AND a.is_active = true
+        )
+    );
+
+CREATE POLICY "Vendors can manage pricing rules for their adventures" ON adventure_pricing_rules
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM adventures a
+            JOIN vendors v ON v.id = a.vendor_id
+            WHERE a.id = adventure_pricing_rules.adventure_id AND v.user_id = auth.uid()
+        )
+    );
+
+GRANT SELECT ON adventure_pricing_rules TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON adventure_pricing_rules TO authenticated;
+
+COMMENT ON TABLE adventure_pricing_rules IS 'Vendor pricing rules evaluated by the pricing engine';
+COMMENT ON COLUMN bookings.price_quote IS 'Itemized quote locked onto the booking; immutable once price_locked_at is set';
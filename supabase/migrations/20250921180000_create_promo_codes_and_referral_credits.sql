@@ -0,0 +1,350 @@
+-- Promo codes and referral credits
+-- Vendors and the platform issue promo codes (percent or fixed, usage-limited,
+-- optionally scoped to a vendor or adventure, with an expiry). A code is redeemed
+-- when its quote is locked onto a booking. Travelers earn referral credits when a
+-- friend they invited completes a first booking; credits are kept in a ledger and
+-- applied per participant inside split payments.
+
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'referral_credit';
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code TEXT NOT NULL UNIQUE CHECK (code = upper(code) AND code ~ '^[A-Z0-9_-]{3,32}$'),
+    issuer_type TEXT NOT NULL CHECK (issuer_type IN ('platform', 'vendor')),
+    vendor_id UUID REFERENCES vendors(id) ON DELETE CASCADE,
+    adventure_id UUID REFERENCES adventures(id) ON DELETE CASCADE,
+    description TEXT,
+    discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    currency TEXT, -- Required for fixed discounts
+    max_redemptions INTEGER CHECK (max_redemptions > 0), -- NULL is unlimited
+    max_redemptions_per_user INTEGER NOT NULL DEFAULT 1 CHECK (max_redemptions_per_user > 0),
+    redemption_count INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    CHECK (issuer_type = 'platform' OR vendor_id IS NOT NULL),
+    CHECK (discount_type = 'fixed' OR discount_value <= 100),
+    CHECK (discount_type = 'percent' OR currency IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_codes_vendor ON promo_codes(vendor_id);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    discount_amount INTEGER NOT NULL, -- Smallest currency unit
+    currency TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    UNIQUE (promo_code_id, booking_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user ON promo_redemptions(promo_code_id, user_id);
+
+CREATE TABLE IF NOT EXISTS referral_codes (
+    user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    code TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS referrals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    referrer_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    referred_user_id UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+    credit_amount INTEGER NOT NULL CHECK (credit_amount > 0), -- Smallest currency unit
+    credit_currency TEXT NOT NULL,
+    completed_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    CHECK (referrer_id <> referred_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id);
+
+-- Credit ledger: earned credits are positive, applied credits negative
+CREATE TABLE IF NOT EXISTS referral_credits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount <> 0), -- Smallest currency unit
+    currency TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('earned', 'applied', 'restored')),
+    referral_id UUID REFERENCES referrals(id) ON DELETE SET NULL,
+    individual_payment_id UUID REFERENCES individual_payments(id) ON DELETE SET NULL,
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_referral_credits_user ON referral_credits(user_id, currency);
+CREATE INDEX IF NOT EXISTS idx_referral_credits_booking ON referral_credits(booking_id) WHERE booking_id IS NOT NULL;
+
+-- Credit taken off a participant's share before they pay the rest
+ALTER TABLE individual_payments ADD COLUMN IF NOT EXISTS credit_applied INTEGER NOT NULL DEFAULT 0;
+
+CREATE TRIGGER update_promo_codes_modtime
+    BEFORE UPDATE ON promo_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Redeem a promo code for a booking. Locks the code row so usage limits hold under
+-- concurrent checkouts; redeeming the same code for the same booking is a no-op.
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+    p_code TEXT,
+    p_booking_id UUID,
+    p_discount_amount INTEGER,
+    p_currency TEXT
+) RETURNS promo_redemptions AS $$
+DECLARE
+    promo promo_codes%ROWTYPE;
+    booking_row bookings%ROWTYPE;
+    redemption promo_redemptions%ROWTYPE;
+    user_redemptions INTEGER;
+BEGIN
+    SELECT * INTO booking_row FROM bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'BOOKING_NOT_FOUND';
+    END IF;
+    IF booking_row.user_id <> auth.uid() AND auth.role() <> 'service_role' THEN
+        RAISE EXCEPTION 'PROMO_NOT_FOUND';
+    END IF;
+
+    SELECT * INTO promo FROM promo_codes WHERE code = upper(p_code) FOR UPDATE;
+    IF NOT FOUND OR NOT promo.is_active THEN
+        RAISE EXCEPTION 'PROMO_NOT_FOUND';
+    END IF;
+
+    SELECT * INTO redemption FROM promo_redemptions
+    WHERE promo_code_id = promo.id AND booking_id = p_booking_id;
+    IF FOUND THEN
+        RETURN redemption;
+    END IF;
+
+    IF promo.starts_at IS NOT NULL AND promo.starts_at > NOW() THEN
+        RAISE EXCEPTION 'PROMO_NOT_STARTED';
+    END IF;
+    IF promo.expires_at IS NOT NULL AND promo.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'PROMO_EXPIRED';
+    END IF;
+    IF (promo.vendor_id IS NOT NULL AND promo.vendor_id <> booking_row.vendor_id)
+        OR (promo.adventure_id IS NOT NULL AND promo.adventure_id <> booking_row.adventure_id) THEN
+        RAISE EXCEPTION 'PROMO_SCOPE';
+    END IF;
+    IF promo.max_redemptions IS NOT NULL AND promo.redemption_count >= promo.max_redemptions THEN
+        RAISE EXCEPTION 'PROMO_USAGE_LIMIT';
+    END IF;
+
+    SELECT COUNT(*) INTO user_redemptions FROM promo_redemptions
+    WHERE promo_code_id = promo.id AND user_id = booking_row.user_id;
+    IF user_redemptions >= promo.max_redemptions_per_user THEN
+        RAISE EXCEPTION 'PROMO_USER_LIMIT';
+    END IF;
+
+    INSERT INTO promo_redemptions (promo_code_id, booking_id, user_id, discount_amount, currency)
+    VALUES (promo.id, p_booking_id, booking_row.user_id, p_discount_amount, upper(p_currency))
+    RETURNING * INTO redemption;
+
+    UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = promo.id;
+
+    RETURN redemption;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Apply each participant's referral credit to their share of a split payment.
+-- A partially covered share keeps at least p_min_charge so the card charge stays
+-- above the processor minimum; a fully covered share is marked paid.
+CREATE OR REPLACE FUNCTION apply_referral_credits(
+    p_split_payment_id UUID,
+    p_min_charge INTEGER DEFAULT 50
+) RETURNS TABLE (individual_payment_id UUID, user_id UUID, credit_applied INTEGER) AS $$
+DECLARE
+    split split_payments%ROWTYPE;
+    payment individual_payments%ROWTYPE;
+    balance INTEGER;
+    applied INTEGER;
+BEGIN
+    SELECT * INTO split FROM split_payments WHERE id = p_split_payment_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'SPLIT_PAYMENT_NOT_FOUND';
+    END IF;
+    IF split.organizer_id <> auth.uid() AND auth.role() <> 'service_role' THEN
+        RAISE EXCEPTION 'SPLIT_PAYMENT_NOT_FOUND';
+    END IF;
+
+    FOR payment IN
+        SELECT * FROM individual_payments ip
+        WHERE ip.split_payment_id = p_split_payment_id AND ip.status = 'pending' AND ip.credit_applied = 0
+        FOR UPDATE
+    LOOP
+        -- Serialize ledger writes per user so a balance can't be spent twice
+        PERFORM pg_advisory_xact_lock(hashtext('referral_credits:' || payment.user_id::text));
+
+        SELECT COALESCE(SUM(amount), 0) INTO balance
+        FROM referral_credits rc
+        WHERE rc.user_id = payment.user_id AND rc.currency = upper(split.currency);
+
+        IF balance <= 0 THEN
+            CONTINUE;
+        END IF;
+
+        IF balance >= payment.amount_due THEN
+            applied := payment.amount_due;
+        ELSE
+            applied := LEAST(balance, payment.amount_due - p_min_charge);
+        END IF;
+
+        IF applied <= 0 THEN
+            CONTINUE;
+        END IF;
+
+        INSERT INTO referral_credits (user_id, amount, currency, kind, individual_payment_id, booking_id)
+        VALUES (payment.user_id, -applied, upper(split.currency), 'applied', payment.id, split.booking_id);
+
+        UPDATE individual_payments ip
+        SET amount_due = ip.amount_due - applied,
+            credit_applied = applied,
+            status = CASE WHEN ip.amount_due = applied THEN 'paid' ELSE ip.status END,
+            paid_at = CASE WHEN ip.amount_due = applied THEN NOW() ELSE ip.paid_at END,
+            updated_at = NOW()
+        WHERE ip.id = payment.id;
+
+        individual_payment_id := payment.id;
+        user_id := payment.user_id;
+        credit_applied := applied;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Give credit back when a share it was applied to is cancelled or refunded
+CREATE OR REPLACE FUNCTION restore_referral_credit()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.credit_applied > 0 AND NOT EXISTS (
+        SELECT 1 FROM referral_credits
+        WHERE individual_payment_id = NEW.id AND kind = 'restored'
+    ) THEN
+        INSERT INTO referral_credits (user_id, amount, currency, kind, individual_payment_id, booking_id)
+        SELECT NEW.user_id, NEW.credit_applied, rc.currency, 'restored', NEW.id, rc.booking_id
+        FROM referral_credits rc
+        WHERE rc.individual_payment_id = NEW.id AND rc.kind = 'applied'
+        LIMIT 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER restore_referral_credit_on_cancel
+    AFTER UPDATE OF status ON individual_payments
+    FOR EACH ROW
+    WHEN (NEW.status IN ('cancelled', 'refunded') AND OLD.status NOT IN ('cancelled', 'refunded'))
+    EXECUTE FUNCTION restore_referral_credit();
+
+-- Award the referrer's credit when the invited friend's first booking is confirmed
+CREATE OR REPLACE FUNCTION complete_referral_on_first_booking()
+RETURNS TRIGGER AS $$
+DECLARE
+    referral referrals%ROWTYPE;
+BEGIN
+    SELECT * INTO referral FROM referrals
+    WHERE referred_user_id = NEW.user_id AND status = 'pending'
+    FOR UPDATE;
+
+    IF NOT FOUND OR EXISTS (
+        SELECT 1 FROM bookings
+        WHERE user_id = NEW.user_id AND id <> NEW.id AND status IN ('confirmed', 'completed')
+    ) THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE referrals
+    SET status = 'completed', completed_booking_id = NEW.id, completed_at = NOW()
+    WHERE id = referral.id;
+
+    INSERT INTO referral_credits (user_id, amount, currency, kind, referral_id)
+    VALUES (referral.referrer_id, referral.credit_amount, referral.credit_currency, 'earned', referral.id);
+
+    INSERT INTO notifications (user_id, title, body, type, data)
+    VALUES (
+        referral.referrer_id,
+        'You earned a referral credit',
+        'A friend you invited just booked their first adventure. Your credit is ready to use on your next group booking.',
+        'referral_credit',
+        jsonb_build_object('referral_id', referral.id, 'amount', referral.credit_amount, 'currency', referral.credit_currency)
+    );
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER complete_referral_on_booking_confirmed
+    AFTER UPDATE OF status ON bookings
+    FOR EACH ROW
+    WHEN (NEW.status IN ('confirmed', 'completed') AND OLD.status NOT IN ('confirmed', 'completed'))
+    EXECUTE FUNCTION complete_referral_on_first_booking();
+
+-- RLS
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referral_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referrals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referral_credits ENABLE ROW LEVEL SECURITY;
+
+-- Travelers look codes up by value at checkout
+CREATE POLICY "Anyone can look up active promo codes" ON promo_codes
+    FOR SELECT USING (is_active = true);
+
+CREATE POLICY "Vendors can manage their promo codes" ON promo_codes
+    FOR ALL USING (
+        issuer_type = 'vendor' AND EXISTS (
+            SELECT 1 FROM vendors v WHERE v.id = promo_codes.vendor_id AND v.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Admins can manage platform promo codes" ON promo_codes
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+    );
+
+CREATE POLICY "Users can view their own promo redemptions" ON promo_redemptions
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Vendors can view redemptions of their codes" ON promo_redemptions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM promo_codes p
+            JOIN vendors v ON v.id = p.vendor_id
+            WHERE p.id = promo_redemptions.promo_code_id AND v.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can manage their own referral code" ON referral_codes
+    FOR ALL USING (user_id = auth.uid());
+
+CREATE POLICY "Anyone can look up referral codes" ON referral_codes
+    FOR SELECT USING (true);
+
+CREATE POLICY "Users can view referrals they are part of" ON referrals
+    FOR SELECT USING (referrer_id = auth.uid() OR referred_user_id = auth.uid());
+
+CREATE POLICY "Users can register their own referral" ON referrals
+    FOR INSERT WITH CHECK (referred_user_id = auth.uid() AND status = 'pending');
+
+CREATE POLICY "Users can view their own referral credits" ON referral_credits
+    FOR SELECT USING (user_id = auth.uid());
+
+GRANT SELECT ON promo_codes TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON promo_codes TO authenticated;
+GRANT SELECT ON promo_redemptions TO authenticated;
+GRANT SELECT, INSERT ON referral_codes TO authenticated;
+GRANT SELECT, INSERT ON referrals TO authenticated;
+GRANT SELECT ON referral_credits TO authenticated;
+GRANT EXECUTE ON FUNCTION redeem_promo_code(TEXT, UUID, INTEGER, TEXT) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION apply_referral_credits(UUID, INTEGER) TO authenticated, service_role;
+
+COMMENT ON TABLE promo_codes IS 'Vendor- and platform-issued discount codes';
+COMMENT ON TABLE referral_credits IS 'Referral credit ledger; a user''s balance is the sum of amount per currency';
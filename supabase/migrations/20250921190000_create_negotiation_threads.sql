@@ -0,0 +1,358 @@
+-- Counteroffer negotiation threads
+-- Every vendor bid gets a negotiation thread. Each proposal (price, dates,
+-- inclusions, validity) is stored as an immutable revision; the traveler and the
+-- vendor take turns accepting, countering or declining the latest revision, each
+-- with an optional message. Revisions past their validity expire.
+
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'negotiation_update';
+
+-- Statuses the application already writes to vendor_bids
+ALTER TYPE bid_status ADD VALUE IF NOT EXISTS 'pending';
+ALTER TYPE bid_status ADD VALUE IF NOT EXISTS 'counter_offered';
+
+ALTER TABLE vendor_bids ADD COLUMN IF NOT EXISTS valid_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS negotiation_threads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bid_id UUID NOT NULL UNIQUE REFERENCES vendor_bids(id) ON DELETE CASCADE,
+    trip_request_id UUID NOT NULL REFERENCES trip_requests(id) ON DELETE CASCADE,
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'declined', 'expired')),
+    current_revision INTEGER NOT NULL DEFAULT 1,
+    awaiting_party TEXT CHECK (awaiting_party IN ('traveler', 'vendor')), -- NULL once closed
+    closed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_negotiation_threads_trip_request ON negotiation_threads(trip_request_id);
+CREATE INDEX IF NOT EXISTS idx_negotiation_threads_vendor ON negotiation_threads(vendor_id);
+
+CREATE TABLE IF NOT EXISTS negotiation_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    thread_id UUID NOT NULL REFERENCES negotiation_threads(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+    author_party TEXT NOT NULL CHECK (author_party IN ('traveler', 'vendor')),
+    author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    proposed_price DECIMAL(10, 2) NOT NULL CHECK (proposed_price > 0),
+    currency TEXT NOT NULL DEFAULT 'USD',
+    start_date DATE,
+    end_date DATE,
+    inclusions TEXT[] NOT NULL DEFAULT '{}',
+    exclusions TEXT[] NOT NULL DEFAULT '{}',
+    valid_until TIMESTAMPTZ NOT NULL,
+    message TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'countered', 'accepted', 'declined', 'expired')),
+    response_message TEXT, -- Message sent with the accept or decline
+    responded_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    UNIQUE (thread_id, revision_number),
+    CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_negotiation_revisions_open ON negotiation_revisions(valid_until) WHERE status = 'open';
+
+CREATE TRIGGER update_negotiation_threads_modtime
+    BEFORE UPDATE ON negotiation_threads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Which side of a thread the current user is on, or NULL for neither
+CREATE OR REPLACE FUNCTION negotiation_party(p_thread negotiation_threads)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN EXISTS (SELECT 1 FROM vendors v WHERE v.id = p_thread.vendor_id AND v.user_id = auth.uid()) THEN 'vendor'
+        WHEN EXISTS (SELECT 1 FROM trip_requests tr WHERE tr.id = p_thread.trip_request_id AND tr.user_id = auth.uid()) THEN 'traveler'
+        ELSE NULL
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Notify the other side that the thread moved
+CREATE OR REPLACE FUNCTION notify_negotiation_party(
+    p_thread negotiation_threads,
+    p_recipient_party TEXT,
+    p_title TEXT,
+    p_body TEXT
+) RETURNS VOID AS $$
+DECLARE
+    recipient UUID;
+BEGIN
+    IF p_recipient_party = 'vendor' THEN
+        SELECT v.user_id INTO recipient FROM vendors v WHERE v.id = p_thread.vendor_id;
+    ELSE
+        SELECT tr.user_id INTO recipient FROM trip_requests tr WHERE tr.id = p_thread.trip_request_id;
+    END IF;
+
+    IF recipient IS NOT NULL THEN
+        INSERT INTO notifications (user_id, title, body, type, data)
+        VALUES (
+            recipient,
+            p_title,
+            p_body,
+            'negotiation_update',
+            jsonb_build_object('thread_id', p_thread.id, 'bid_id', p_thread.bid_id, 'revision', p_thread.current_revision)
+        );
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Open the thread for a bid with the vendor's terms as revision 1. Calling it
+-- again for the same bid returns the existing thread.
+CREATE OR REPLACE FUNCTION start_negotiation(
+    p_bid_id UUID,
+    p_terms JSONB DEFAULT '{}'::jsonb,
+    p_validity_hours INTEGER DEFAULT 72
+) RETURNS negotiation_threads AS $$
+DECLARE
+    bid vendor_bids%ROWTYPE;
+    request trip_requests%ROWTYPE;
+    thread negotiation_threads%ROWTYPE;
+BEGIN
+    SELECT * INTO bid FROM vendor_bids WHERE id = p_bid_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'NEGOTIATION_NOT_FOUND';
+    END IF;
+
+    SELECT * INTO thread FROM negotiation_threads WHERE bid_id = p_bid_id;
+    IF FOUND THEN
+        RETURN thread;
+    END IF;
+
+    SELECT * INTO request FROM trip_requests WHERE id = bid.trip_request_id;
+    IF NOT EXISTS (SELECT 1 FROM vendors v WHERE v.id = bid.vendor_id AND v.user_id = auth.uid())
+        AND request.user_id <> auth.uid()
+        AND auth.role() <> 'service_role' THEN
+        RAISE EXCEPTION 'NEGOTIATION_NOT_FOUND';
+    END IF;
+
+    INSERT INTO negotiation_threads (bid_id, trip_request_id, vendor_id, awaiting_party)
+    VALUES (bid.id, bid.trip_request_id, bid.vendor_id, 'traveler')
+    ON CONFLICT (bid_id) DO NOTHING
+    RETURNING * INTO thread;
+
+    -- Lost a race with another caller opening the same thread
+    IF NOT FOUND THEN
+        SELECT * INTO thread FROM negotiation_threads WHERE bid_id = p_bid_id;
+        RETURN thread;
+    END IF;
+
+    INSERT INTO negotiation_revisions (
+        thread_id, revision_number, author_party, author_id, proposed_price, currency,
+        start_date, end_date, inclusions, exclusions, valid_until, message
+    ) VALUES (
+        thread.id,
+        1,
+        'vendor',
+        (SELECT v.user_id FROM vendors v WHERE v.id = bid.vendor_id),
+        COALESCE((p_terms->>'proposed_price')::DECIMAL, bid.proposed_price),
+        upper(COALESCE(p_terms->>'currency', 'USD')),
+        COALESCE((p_terms->>'start_date')::DATE, request.start_date),
+        COALESCE((p_terms->>'end_date')::DATE, request.end_date),
+        CASE WHEN p_terms ? 'inclusions' THEN ARRAY(SELECT jsonb_array_elements_text(p_terms->'inclusions')) ELSE COALESCE(bid.included_services, '{}') END,
+        CASE WHEN p_terms ? 'exclusions' THEN ARRAY(SELECT jsonb_array_elements_text(p_terms->'exclusions')) ELSE COALESCE(bid.excluded_services, '{}') END,
+        COALESCE((p_terms->>'valid_until')::TIMESTAMPTZ, bid.valid_until, NOW() + make_interval(hours => p_validity_hours)),
+        p_terms->>'message'
+    );
+
+    RETURN thread;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Accept, counter or decline the latest revision. Only the side waiting on the
+-- latest revision may accept or counter; either side may walk away by declining.
+-- p_expected_revision guards against answering a revision that has since been
+-- superseded. A counter copies any term left out of p_terms from the revision
+-- it answers.
+CREATE OR REPLACE FUNCTION respond_to_negotiation(
+    p_thread_id UUID,
+    p_action TEXT,
+    p_message TEXT DEFAULT NULL,
+    p_terms JSONB DEFAULT '{}'::jsonb,
+    p_expected_revision INTEGER DEFAULT NULL,
+    p_validity_hours INTEGER DEFAULT 72
+) RETURNS negotiation_revisions AS $$
+DECLARE
+    thread negotiation_threads%ROWTYPE;
+    latest negotiation_revisions%ROWTYPE;
+    revision negotiation_revisions%ROWTYPE;
+    party TEXT;
+    other_party TEXT;
+BEGIN
+    IF p_action NOT IN ('accept', 'counter', 'decline') THEN
+        RAISE EXCEPTION 'INVALID_ACTION';
+    END IF;
+
+    SELECT * INTO thread FROM negotiation_threads WHERE id = p_thread_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'NEGOTIATION_NOT_FOUND';
+    END IF;
+
+    party := negotiation_party(thread);
+    IF party IS NULL THEN
+        RAISE EXCEPTION 'NEGOTIATION_NOT_FOUND';
+    END IF;
+    other_party := CASE party WHEN 'vendor' THEN 'traveler' ELSE 'vendor' END;
+
+    IF thread.status <> 'open' THEN
+        RAISE EXCEPTION 'NEGOTIATION_CLOSED';
+    END IF;
+    IF p_expected_revision IS NOT NULL AND p_expected_revision <> thread.current_revision THEN
+        RAISE EXCEPTION 'REVISION_CONFLICT';
+    END IF;
+
+    SELECT * INTO latest FROM negotiation_revisions
+    WHERE thread_id = thread.id AND revision_number = thread.current_revision;
+
+    -- The expiry job may not have closed it yet
+    IF latest.valid_until <= NOW() THEN
+        RAISE EXCEPTION 'NEGOTIATION_EXPIRED';
+    END IF;
+    IF latest.author_party = party AND p_action <> 'decline' THEN
+        RAISE EXCEPTION 'NOT_YOUR_TURN';
+    END IF;
+
+    IF p_action = 'counter' THEN
+        UPDATE negotiation_revisions
+        SET status = 'countered', responded_by = auth.uid(), responded_at = NOW()
+        WHERE id = latest.id;
+
+        INSERT INTO negotiation_revisions (
+            thread_id, revision_number, author_party, author_id, proposed_price, currency,
+            start_date, end_date, inclusions, exclusions, valid_until, message
+        ) VALUES (
+            thread.id,
+            latest.revision_number + 1,
+            party,
+            auth.uid(),
+            COALESCE((p_terms->>'proposed_price')::DECIMAL, latest.proposed_price),
+            upper(COALESCE(p_terms->>'currency', latest.currency)),
+            CASE WHEN p_terms ? 'start_date' THEN (p_terms->>'start_date')::DATE ELSE latest.start_date END,
+            CASE WHEN p_terms ? 'end_date' THEN (p_terms->>'end_date')::DATE ELSE latest.end_date END,
+            CASE WHEN p_terms ? 'inclusions' THEN ARRAY(SELECT jsonb_array_elements_text(p_terms->'inclusions')) ELSE latest.inclusions END,
+            CASE WHEN p_terms ? 'exclusions' THEN ARRAY(SELECT jsonb_array_elements_text(p_terms->'exclusions')) ELSE latest.exclusions END,
+            COALESCE((p_terms->>'valid_until')::TIMESTAMPTZ, NOW() + make_interval(hours => p_validity_hours)),
+            p_message
+        )
+        RETURNING * INTO revision;
+
+        UPDATE negotiation_threads
+        SET current_revision = revision.revision_number, awaiting_party = other_party
+        WHERE id = thread.id
+        RETURNING * INTO thread;
+
+        UPDATE vendor_bids
+        SET status = CASE party WHEN 'traveler' THEN 'counter_offered' ELSE 'pending' END::bid_status,
+            valid_until = revision.valid_until
+        WHERE id = thread.bid_id;
+
+        PERFORM notify_negotiation_party(
+            thread, other_party, 'New counteroffer',
+            format('Revision %s proposes %s %s.', revision.revision_number, revision.proposed_price, revision.currency)
+        );
+
+        RETURN revision;
+    END IF;
+
+    UPDATE negotiation_revisions
+    SET status = CASE p_action WHEN 'accept' THEN 'accepted' ELSE 'declined' END,
+        response_message = p_message,
+        responded_by = auth.uid(),
+        responded_at = NOW()
+    WHERE id = latest.id
+    RETURNING * INTO revision;
+
+    UPDATE negotiation_threads
+    SET status = revision.status, awaiting_party = NULL, closed_at = NOW()
+    WHERE id = thread.id
+    RETURNING * INTO thread;
+
+    IF p_action = 'accept' THEN
+        -- The bid now carries the agreed terms
+        UPDATE vendor_bids
+        SET status = 'accepted',
+            proposed_price = revision.proposed_price,
+            included_services = revision.inclusions,
+            excluded_services = revision.exclusions,
+            valid_until = revision.valid_until
+        WHERE id = thread.bid_id;
+
+        -- The trip request is settled; close the other vendors' threads
+        UPDATE negotiation_revisions r
+        SET status = 'declined', responded_at = NOW()
+        FROM negotiation_threads t
+        WHERE r.thread_id = t.id AND r.status = 'open'
+            AND t.trip_request_id = thread.trip_request_id AND t.id <> thread.id AND t.status = 'open';
+
+        UPDATE negotiation_threads
+        SET status = 'declined', awaiting_party = NULL, closed_at = NOW()
+        WHERE trip_request_id = thread.trip_request_id AND id <> thread.id AND status = 'open';
+    ELSE
+        UPDATE vendor_bids
+        SET status = 'rejected', rejection_reason = p_message
+        WHERE id = thread.bid_id;
+    END IF;
+
+    PERFORM notify_negotiation_party(
+        thread, other_party,
+        CASE p_action WHEN 'accept' THEN 'Offer accepted' ELSE 'Offer declined' END,
+        COALESCE(p_message, format('Revision %s was %s.', revision.revision_number, revision.status))
+    );
+
+    RETURN revision;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Expire open revisions past their validity, closing their threads and bids.
+-- Run by the bid expiry job.
+CREATE OR REPLACE FUNCTION expire_negotiations()
+RETURNS INTEGER AS $$
+DECLARE
+    expired_count INTEGER;
+BEGIN
+    WITH expired AS (
+        UPDATE negotiation_revisions
+        SET status = 'expired'
+        WHERE status = 'open' AND valid_until <= NOW()
+        RETURNING thread_id
+    ), closed AS (
+        UPDATE negotiation_threads t
+        SET status = 'expired', awaiting_party = NULL, closed_at = NOW()
+        FROM expired e
+        WHERE t.id = e.thread_id AND t.status = 'open'
+        RETURNING t.bid_id
+    ), bids AS (
+        UPDATE vendor_bids b
+        SET status = 'expired'
+        FROM closed c
+        WHERE b.id = c.bid_id AND b.status::TEXT IN ('pending', 'counter_offered', 'submitted')
+        RETURNING b.id
+    )
+    SELECT COUNT(*) INTO expired_count FROM closed;
+
+    RETURN expired_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- RLS: revisions are written only through the functions above
+ALTER TABLE negotiation_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE negotiation_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Negotiation parties can view threads" ON negotiation_threads
+    FOR SELECT USING (negotiation_party(negotiation_threads) IS NOT NULL);
+
+CREATE POLICY "Negotiation parties can view revisions" ON negotiation_revisions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM negotiation_threads t
+            WHERE t.id = negotiation_revisions.thread_id AND negotiation_party(t) IS NOT NULL
+        )
+    );
+
+GRANT SELECT ON negotiation_threads TO authenticated;
+GRANT SELECT ON negotiation_revisions TO authenticated;
+GRANT EXECUTE ON FUNCTION start_negotiation(UUID, JSONB, INTEGER) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION respond_to_negotiation(UUID, TEXT, TEXT, JSONB, INTEGER, INTEGER) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION expire_negotiations() TO service_role;
+
+COMMENT ON TABLE negotiation_threads IS 'One negotiation per vendor bid; current_revision points at the latest proposal';
+COMMENT ON TABLE negotiation_revisions IS 'Immutable proposals in a negotiation thread; only status and response fields change';
@@ -0,0 +1,12 @@
+-- Structured itineraries
+-- Adventures carry a typed day-by-day itinerary (see src/schemas/itinerary.js):
+-- days with timed activities, locations with coordinates, accommodation and meals.
+-- Bookings keep their own copy in custom_itinerary once a modification changes it.
+
+ALTER TABLE adventures ADD COLUMN IF NOT EXISTS itinerary JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE adventures DROP CONSTRAINT IF EXISTS adventures_itinerary_is_array;
+ALTER TABLE adventures ADD CONSTRAINT adventures_itinerary_is_array
+    CHECK (jsonb_typeof(itinerary) = 'array');
+
+COMMENT ON COLUMN adventures.itinerary IS 'Array of itinerary days; validated by the itinerary zod schema before saving';
@@ -0,0 +1,38 @@
+-- Group success prediction logging
+-- Every group success score is logged to model_predictions, whether it came from
+-- the deployed group_optimizer model or the heuristic fallback, so that trip
+-- outcomes recorded later can be used to (re)train the model. Heuristic rows
+-- have no model_id.
+
+ALTER TABLE model_predictions ALTER COLUMN model_id DROP NOT NULL;
+
+ALTER TABLE model_predictions ADD COLUMN IF NOT EXISTS model_type TEXT
+    CHECK (model_type IN ('compatibility_predictor', 'group_optimizer', 'preference_learner'));
+ALTER TABLE model_predictions ADD COLUMN IF NOT EXISTS scoring_method TEXT NOT NULL DEFAULT 'model'
+    CHECK (scoring_method IN ('model', 'heuristic'));
+-- Builder group, suggestion or saved configuration the prediction is about;
+-- outcomes are recorded against it
+ALTER TABLE model_predictions ADD COLUMN IF NOT EXISTS subject_key TEXT;
+ALTER TABLE model_predictions ADD COLUMN IF NOT EXISTS participant_ids TEXT[];
+
+ALTER TABLE model_predictions DROP CONSTRAINT IF EXISTS model_predictions_model_for_model_scoring;
+ALTER TABLE model_predictions ADD CONSTRAINT model_predictions_model_for_model_scoring
+    CHECK (scoring_method = 'heuristic' OR model_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_model_predictions_subject
+    ON model_predictions(model_type, subject_key);
+CREATE INDEX IF NOT EXISTS idx_model_predictions_outcomes
+    ON model_predictions(model_type, feedback_provided_at)
+    WHERE actual_outcome IS NOT NULL;
+
+-- Vendors score groups from the group builder; let signed-in users log their
+-- own predictions. Reading and outcome updates stay with the service role.
+DROP POLICY IF EXISTS "Users can log their own predictions" ON model_predictions;
+CREATE POLICY "Users can log their own predictions"
+  ON model_predictions FOR INSERT
+  WITH CHECK (auth.uid() IS NOT NULL AND user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can view their own predictions" ON model_predictions;
+CREATE POLICY "Users can view their own predictions"
+  ON model_predictions FOR SELECT
+  USING (user_id = auth.uid());
@@ -0,0 +1,195 @@
+-- Post-trip feedback
+-- Every traveler on a booking gets a survey once the trip has ended: a trip rating,
+-- a vendor rating and, for each companion, whether they'd travel together again and
+-- whether they clashed. The trip and vendor ratings are written to reviews for
+-- vendor metrics; companion ratings stay private and feed group outcome training.
+
+-- Vendor rating alongside the trip rating
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS vendor_rating SMALLINT
+    CHECK (vendor_rating IS NULL OR vendor_rating BETWEEN 1 AND 5);
+
+CREATE TABLE IF NOT EXISTS trip_feedback_surveys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    adventure_id UUID NOT NULL REFERENCES adventures(id),
+    vendor_id UUID NOT NULL REFERENCES vendors(id),
+    group_id UUID, -- bookings.group_id; outcomes are recorded per group
+    companion_ids UUID[] NOT NULL DEFAULT '{}', -- Travelers this user can rate
+    trip_end_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'expired')),
+    trip_rating SMALLINT CHECK (trip_rating IS NULL OR trip_rating BETWEEN 1 AND 5),
+    vendor_rating SMALLINT CHECK (vendor_rating IS NULL OR vendor_rating BETWEEN 1 AND 5),
+    would_recommend BOOLEAN,
+    comment TEXT,
+    review_id UUID REFERENCES reviews(id) ON DELETE SET NULL,
+    notified_at TIMESTAMPTZ,
+    reminder_count INTEGER NOT NULL DEFAULT 0,
+    last_reminded_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ,
+    outcome_recorded_at TIMESTAMPTZ, -- Set once the group's outcome reached model_predictions
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    UNIQUE (booking_id, user_id),
+    CONSTRAINT trip_feedback_completed_ratings
+        CHECK (status <> 'completed' OR (trip_rating IS NOT NULL AND vendor_rating IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS trip_companion_ratings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    survey_id UUID NOT NULL REFERENCES trip_feedback_surveys(id) ON DELETE CASCADE,
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    group_id UUID,
+    rater_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    companion_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    would_travel_again BOOLEAN NOT NULL,
+    had_conflict BOOLEAN NOT NULL DEFAULT false,
+    -- Matches the group builder's conflict families
+    conflict_types TEXT[] NOT NULL DEFAULT '{}' CHECK (
+        conflict_types <@ ARRAY['energy', 'social', 'risk', 'communication', 'leadership', 'schedule', 'budget', 'other']
+    ),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    UNIQUE (survey_id, companion_id),
+    CHECK (rater_id <> companion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_feedback_surveys_user ON trip_feedback_surveys(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_trip_feedback_surveys_pending ON trip_feedback_surveys(expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_trip_feedback_surveys_group ON trip_feedback_surveys(group_id) WHERE group_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_trip_feedback_surveys_vendor ON trip_feedback_surveys(vendor_id, completed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trip_companion_ratings_group ON trip_companion_ratings(group_id) WHERE group_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_trip_companion_ratings_companion ON trip_companion_ratings(companion_id);
+
+CREATE TRIGGER update_trip_feedback_surveys_modtime
+    BEFORE UPDATE ON trip_feedback_surveys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE trip_feedback_surveys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE trip_companion_ratings ENABLE ROW LEVEL SECURITY;
+
+-- Surveys are created by the feedback job and answered through submit_trip_feedback
+CREATE POLICY "Users can view their own surveys"
+    ON trip_feedback_surveys FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Nobody sees how their companions rated them
+CREATE POLICY "Users can view ratings they gave"
+    ON trip_companion_ratings FOR SELECT
+    USING (rater_id = auth.uid());
+
+-- Feedback per group, for outcome labels and group features. A group trip counts
+-- as successful when travelers rated it 4+ on average and at least half of the
+-- companion ratings would travel together again.
+CREATE OR REPLACE VIEW group_trip_feedback
+WITH (security_invoker = true) AS
+WITH surveys AS (
+    SELECT
+        group_id,
+        COUNT(*) AS survey_count,
+        COUNT(*) FILTER (WHERE status = 'completed') AS response_count,
+        COUNT(*) FILTER (WHERE status = 'pending') AS pending_count,
+        ROUND(AVG(trip_rating), 2) AS average_trip_rating,
+        ROUND(AVG(vendor_rating), 2) AS average_vendor_rating,
+        MAX(completed_at) AS last_response_at
+    FROM trip_feedback_surveys
+    WHERE group_id IS NOT NULL
+    GROUP BY group_id
+), companions AS (
+    SELECT
+        group_id,
+        COUNT(*) AS companion_rating_count,
+        ROUND(AVG(CASE WHEN would_travel_again THEN 1 ELSE 0 END), 4) AS travel_again_rate,
+        ROUND(AVG(CASE WHEN had_conflict THEN 1 ELSE 0 END), 4) AS conflict_rate
+    FROM trip_companion_ratings
+    WHERE group_id IS NOT NULL
+    GROUP BY group_id
+)
+SELECT
+    s.*,
+    COALESCE(c.companion_rating_count, 0) AS companion_rating_count,
+    c.travel_again_rate,
+    c.conflict_rate,
+    CASE WHEN s.response_count = 0 THEN NULL
+        ELSE s.average_trip_rating >= 4 AND COALESCE(c.travel_again_rate, 1) >= 0.5
+    END AS successful
+FROM surveys s
+LEFT JOIN companions c USING (group_id);
+
+-- Answer a survey as its traveler. p_companions is a JSON array of
+-- { companion_id, would_travel_again, had_conflict, conflict_types }; companions
+-- left out are not rated. The trip and vendor ratings become the traveler's review
+-- of the booking.
+CREATE OR REPLACE FUNCTION submit_trip_feedback(
+    p_survey_id UUID,
+    p_trip_rating INTEGER,
+    p_vendor_rating INTEGER,
+    p_would_recommend BOOLEAN DEFAULT NULL,
+    p_comment TEXT DEFAULT NULL,
+    p_companions JSONB DEFAULT '[]'::jsonb
+) RETURNS trip_feedback_surveys AS $$
+DECLARE
+    survey trip_feedback_surveys%ROWTYPE;
+    companion JSONB;
+    saved_review_id UUID;
+BEGIN
+    SELECT * INTO survey FROM trip_feedback_surveys WHERE id = p_survey_id FOR UPDATE;
+    IF NOT FOUND OR survey.user_id <> auth.uid() THEN
+        RAISE EXCEPTION 'SURVEY_NOT_FOUND';
+    END IF;
+    IF survey.status = 'completed' THEN
+        RAISE EXCEPTION 'SURVEY_ALREADY_SUBMITTED';
+    END IF;
+    IF survey.status = 'expired' OR survey.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'SURVEY_EXPIRED';
+    END IF;
+    IF p_trip_rating NOT BETWEEN 1 AND 5 OR p_vendor_rating NOT BETWEEN 1 AND 5 THEN
+        RAISE EXCEPTION 'INVALID_RATING';
+    END IF;
+
+    FOR companion IN SELECT * FROM jsonb_array_elements(COALESCE(p_companions, '[]'::jsonb)) LOOP
+        IF NOT ((companion->>'companion_id')::UUID = ANY(survey.companion_ids)) THEN
+            RAISE EXCEPTION 'UNKNOWN_COMPANION';
+        END IF;
+
+        INSERT INTO trip_companion_ratings (
+            survey_id, booking_id, group_id, rater_id, companion_id,
+            would_travel_again, had_conflict, conflict_types
+        ) VALUES (
+            survey.id,
+            survey.booking_id,
+            survey.group_id,
+            survey.user_id,
+            (companion->>'companion_id')::UUID,
+            (companion->>'would_travel_again')::BOOLEAN,
+            COALESCE((companion->>'had_conflict')::BOOLEAN, false),
+            CASE WHEN companion ? 'conflict_types'
+                THEN ARRAY(SELECT jsonb_array_elements_text(companion->'conflict_types'))
+                ELSE '{}' END
+        );
+    END LOOP;
+
+    INSERT INTO reviews (booking_id, adventure_id, vendor_id, user_id, rating, vendor_rating, comment)
+    VALUES (survey.booking_id, survey.adventure_id, survey.vendor_id, survey.user_id, p_trip_rating, p_vendor_rating, NULLIF(trim(p_comment), ''))
+    ON CONFLICT (booking_id, user_id) DO UPDATE
+    SET rating = EXCLUDED.rating,
+        vendor_rating = EXCLUDED.vendor_rating,
+        comment = COALESCE(EXCLUDED.comment, reviews.comment)
+    RETURNING id INTO saved_review_id;
+
+    UPDATE trip_feedback_surveys
+    SET status = 'completed',
+        trip_rating = p_trip_rating,
+        vendor_rating = p_vendor_rating,
+        would_recommend = p_would_recommend,
+        comment = NULLIF(trim(p_comment), ''),
+        review_id = saved_review_id,
+        completed_at = NOW()
+    WHERE id = survey.id
+    RETURNING * INTO survey;
+
+    RETURN survey;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION submit_trip_feedback(UUID, INTEGER, INTEGER, BOOLEAN, TEXT, JSONB) TO authenticated;
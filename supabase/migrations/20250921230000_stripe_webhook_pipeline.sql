@@ -0,0 +1,90 @@
+-- Stripe webhook event pipeline
+-- Events are recorded before they are processed and claimed by one worker at a time.
+-- Events that touch the same Stripe object (payment intent, payout, account, dispute)
+-- only apply when they are newer than the last applied event for that object; older
+-- deliveries are skipped. Failed events retry with backoff and stay in the 'dead'
+-- state once their attempts are used up, until an admin re-drives them.
+
+ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processing', 'processed', 'skipped', 'failed', 'dead'));
+ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS object_key TEXT;
+ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS event_created_at TIMESTAMPTZ;
+ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ; -- Lease while processing
+ALTER TABLE stripe_webhook_events ADD COLUMN IF NOT EXISTS skip_reason TEXT;
+
+-- Existing rows: processed events are done, anything else is left to retry
+UPDATE stripe_webhook_events
+SET status = CASE WHEN processed THEN 'processed' ELSE 'failed' END,
+    event_created_at = to_timestamp((event_data->>'created')::BIGINT),
+    retry_after = CASE WHEN processed THEN NULL ELSE NOW() END
+WHERE status = 'received';
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_due ON stripe_webhook_events(retry_after) WHERE status = 'failed';
+CREATE INDEX IF NOT EXISTS idx_webhook_events_attention ON stripe_webhook_events(status, created_at DESC)
+    WHERE status IN ('failed', 'dead');
+CREATE INDEX IF NOT EXISTS idx_webhook_events_object_key ON stripe_webhook_events(object_key);
+
+-- Latest applied event per Stripe object
+CREATE TABLE IF NOT EXISTS stripe_object_states (
+    object_key TEXT PRIMARY KEY, -- e.g. 'payment_intent:pi_123'
+    object_type TEXT NOT NULL,
+    object_id TEXT NOT NULL,
+    last_event_id TEXT NOT NULL,
+    last_event_type TEXT NOT NULL,
+    last_event_created_at TIMESTAMPTZ NOT NULL,
+    lifecycle_rank INTEGER NOT NULL DEFAULT 0, -- Breaks ties between events created in the same second
+    state JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TRIGGER update_stripe_object_states_modtime
+    BEFORE UPDATE ON stripe_object_states
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Move an object's state forward to this event. Returns false when a newer event
+-- has already been applied; retries of the last applied event return true.
+CREATE OR REPLACE FUNCTION advance_stripe_object_state(
+    p_object_key TEXT,
+    p_object_type TEXT,
+    p_object_id TEXT,
+    p_event_id TEXT,
+    p_event_type TEXT,
+    p_event_created_at TIMESTAMPTZ,
+    p_lifecycle_rank INTEGER,
+    p_state JSONB DEFAULT '{}'
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_applied TEXT;
+BEGIN
+    INSERT INTO stripe_object_states (
+        object_key, object_type, object_id, last_event_id, last_event_type,
+        last_event_created_at, lifecycle_rank, state
+    ) VALUES (
+        p_object_key, p_object_type, p_object_id, p_event_id, p_event_type,
+        p_event_created_at, p_lifecycle_rank, p_state
+    )
+    ON CONFLICT (object_key) DO UPDATE
+    SET last_event_id = EXCLUDED.last_event_id,
+        last_event_type = EXCLUDED.last_event_type,
+        last_event_created_at = EXCLUDED.last_event_created_at,
+        lifecycle_rank = EXCLUDED.lifecycle_rank,
+        state = EXCLUDED.state
+    WHERE stripe_object_states.last_event_id = EXCLUDED.last_event_id
+       OR (EXCLUDED.last_event_created_at, EXCLUDED.lifecycle_rank)
+          > (stripe_object_states.last_event_created_at, stripe_object_states.lifecycle_rank)
+    RETURNING last_event_id INTO v_applied;
+
+    RETURN v_applied IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- RLS - only the webhook endpoints use these, with the service role
+ALTER TABLE stripe_object_states ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role manages Stripe object states" ON stripe_object_states
+    FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+REVOKE ALL ON FUNCTION advance_stripe_object_state(TEXT, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION advance_stripe_object_state(TEXT, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, INTEGER, JSONB) TO service_role;
+
+COMMENT ON TABLE stripe_object_states IS 'Latest applied Stripe webhook event per object, used to skip out-of-order deliveries';
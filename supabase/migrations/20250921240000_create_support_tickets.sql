@@ -0,0 +1,160 @@
+-- Support tickets
+-- One ticketing queue for WhatsApp messages, booking chat escalations and the contact
+-- form. Tickets carry a status, priority, assignee and SLA deadlines for the first
+-- response and for resolution. Messages are threaded per ticket; agent replies are
+-- sent back over the channel the ticket came from (WhatsApp, in-app chat or email).
+
+CREATE TABLE IF NOT EXISTS support_tickets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_number BIGINT GENERATED ALWAYS AS IDENTITY (START WITH 1000) UNIQUE,
+    user_id UUID REFERENCES profiles(id) ON DELETE SET NULL, -- NULL for guests and unknown WhatsApp numbers
+    channel TEXT NOT NULL CHECK (channel IN ('whatsapp', 'chat', 'email')),
+    channel_ref TEXT NOT NULL, -- WhatsApp number, chat session id or email address replies go to
+    requester_name TEXT,
+    requester_email TEXT,
+    subject TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'general',
+    status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'in_progress', 'waiting_on_customer', 'resolved', 'closed')),
+    priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+    assignee_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    first_response_due_at TIMESTAMPTZ NOT NULL,
+    resolution_due_at TIMESTAMPTZ NOT NULL,
+    first_responded_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ,
+    last_customer_message_at TIMESTAMPTZ,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS support_ticket_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+    author_type TEXT NOT NULL CHECK (author_type IN ('customer', 'agent', 'system')),
+    author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    body TEXT NOT NULL CHECK (length(body) BETWEEN 1 AND 5000),
+    is_internal BOOLEAN NOT NULL DEFAULT false, -- Agent notes, never sent or shown to the customer
+    channel TEXT NOT NULL CHECK (channel IN ('whatsapp', 'chat', 'email')),
+    delivery_status TEXT NOT NULL DEFAULT 'received'
+        CHECK (delivery_status IN ('received', 'pending', 'sent', 'failed', 'internal')),
+    delivery_error TEXT,
+    external_message_id TEXT, -- WhatsApp or email provider message id
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_support_tickets_queue ON support_tickets(status, priority, first_response_due_at)
+    WHERE status NOT IN ('resolved', 'closed');
+CREATE INDEX IF NOT EXISTS idx_support_tickets_channel_ref ON support_tickets(channel, channel_ref)
+    WHERE status NOT IN ('resolved', 'closed');
+CREATE INDEX IF NOT EXISTS idx_support_tickets_assignee ON support_tickets(assignee_id, status);
+CREATE INDEX IF NOT EXISTS idx_support_tickets_user ON support_tickets(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_support_ticket_messages_ticket ON support_ticket_messages(ticket_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_support_ticket_messages_external
+    ON support_ticket_messages(channel, external_message_id) WHERE author_type = 'customer' AND external_message_id IS NOT NULL;
+
+CREATE TRIGGER update_support_tickets_modtime
+    BEFORE UPDATE ON support_tickets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Record a customer message. WhatsApp messages and chat follow-ups thread into the
+-- requester's open ticket on that channel; contact form messages always open a new
+-- ticket. Chat tickets belong to the signed-in user and WhatsApp messages are only
+-- accepted from the webhook's service role. Repeated WhatsApp deliveries of the
+-- same message are ignored.
+CREATE OR REPLACE FUNCTION receive_support_message(
+    p_channel TEXT,
+    p_channel_ref TEXT,
+    p_body TEXT,
+    p_subject TEXT,
+    p_category TEXT DEFAULT 'general',
+    p_priority TEXT DEFAULT 'normal',
+    p_first_response_due_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '24 hours',
+    p_resolution_due_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '72 hours',
+    p_requester_name TEXT DEFAULT NULL,
+    p_requester_email TEXT DEFAULT NULL,
+    p_external_message_id TEXT DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'
+) RETURNS support_tickets AS $$
+DECLARE
+    v_ticket support_tickets;
+    v_user_id UUID := auth.uid();
+BEGIN
+    IF p_channel = 'whatsapp' AND auth.role() <> 'service_role' THEN
+        RAISE EXCEPTION 'WhatsApp messages are only accepted from the webhook';
+    END IF;
+    IF p_channel = 'chat' AND v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Sign in to contact support from chat';
+    END IF;
+
+    IF p_channel <> 'email' THEN
+        SELECT * INTO v_ticket FROM support_tickets
+        WHERE channel = p_channel
+          AND channel_ref = p_channel_ref
+          AND status NOT IN ('resolved', 'closed')
+          AND (p_channel <> 'chat' OR user_id = v_user_id)
+        ORDER BY created_at DESC
+        LIMIT 1
+        FOR UPDATE;
+    END IF;
+
+    IF v_ticket.id IS NULL THEN
+        INSERT INTO support_tickets (
+            user_id, channel, channel_ref, requester_name, requester_email, subject, category,
+            priority, first_response_due_at, resolution_due_at, metadata
+        ) VALUES (
+            v_user_id, p_channel, p_channel_ref, p_requester_name, p_requester_email, p_subject, p_category,
+            p_priority, p_first_response_due_at, p_resolution_due_at, p_metadata
+        )
+        RETURNING * INTO v_ticket;
+    ELSIF p_external_message_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM support_ticket_messages
+        WHERE channel = p_channel AND external_message_id = p_external_message_id AND author_type = 'customer'
+    ) THEN
+        RETURN v_ticket;
+    END IF;
+
+    INSERT INTO support_ticket_messages (ticket_id, author_type, author_id, body, channel, external_message_id)
+    VALUES (v_ticket.id, 'customer', v_user_id, p_body, p_channel, p_external_message_id);
+
+    -- A customer answering puts the ticket back in the agents' court
+    UPDATE support_tickets
+    SET last_customer_message_at = NOW(),
+        status = CASE WHEN status = 'waiting_on_customer' THEN 'open' ELSE status END
+    WHERE id = v_ticket.id
+    RETURNING * INTO v_ticket;
+
+    RETURN v_ticket;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER TABLE support_tickets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE support_ticket_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own tickets"
+    ON support_tickets FOR SELECT
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view replies on their own tickets"
+    ON support_ticket_messages FOR SELECT
+    USING (NOT is_internal AND EXISTS (
+        SELECT 1 FROM support_tickets
+        WHERE support_tickets.id = support_ticket_messages.ticket_id
+          AND support_tickets.user_id = auth.uid()
+    ));
+
+CREATE POLICY "Admins manage support tickets"
+    ON support_tickets FOR ALL
+    USING (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'));
+
+CREATE POLICY "Admins manage support ticket messages"
+    ON support_ticket_messages FOR ALL
+    USING (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'));
+
+GRANT EXECUTE ON FUNCTION receive_support_message(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, TEXT, TEXT, TEXT, JSONB)
+    TO anon, authenticated, service_role;
+
+COMMENT ON TABLE support_tickets IS 'Support tickets from WhatsApp, booking chat and the contact form, with SLA deadlines';
+COMMENT ON TABLE support_ticket_messages IS 'Threaded ticket messages; agent replies are mirrored to the ticket channel';
@@ -0,0 +1,41 @@
+-- WhatsApp conversations
+-- Conversation state per WhatsApp number, linked to the traveler's account through
+-- profiles.phone_number. The webhook keeps the current flow (menu, booking picker,
+-- attendance question) here so numbered and yes/no replies can be understood.
+-- Travelers confirm or decline attendance on booking_participants.
+
+CREATE TABLE IF NOT EXISTS whatsapp_conversations (
+    phone_number TEXT PRIMARY KEY, -- Digits only, as WhatsApp sends it
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    state TEXT NOT NULL DEFAULT 'idle'
+        CHECK (state IN ('idle', 'menu', 'choosing_booking', 'choosing_payment', 'awaiting_attendance')),
+    context JSONB NOT NULL DEFAULT '{}',
+    last_message_id TEXT,
+    last_inbound_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_user ON whatsapp_conversations(user_id);
+
+CREATE TRIGGER update_whatsapp_conversations_modtime
+    BEFORE UPDATE ON whatsapp_conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE booking_participants
+ADD COLUMN IF NOT EXISTS attendance_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (attendance_status IN ('pending', 'confirmed', 'declined')),
+ADD COLUMN IF NOT EXISTS attendance_responded_at TIMESTAMPTZ;
+
+ALTER TABLE whatsapp_conversations ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Only the webhook's service role drives conversations
+CREATE POLICY "Service role manages WhatsApp conversations" ON whatsapp_conversations
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Policy: Users can see their own conversation state
+CREATE POLICY "Users can view their WhatsApp conversation" ON whatsapp_conversations
+    FOR SELECT USING (user_id = auth.uid());
+
+COMMENT ON TABLE whatsapp_conversations IS 'Conversation state for two-way WhatsApp flows, keyed by phone number';
+COMMENT ON COLUMN booking_participants.attendance_status IS 'Attendance answer from the traveler: pending, confirmed or declined';
@@ -0,0 +1,69 @@
+-- Data subject requests
+-- GDPR access (export) and erasure requests. Every request must be answered within
+-- one month (Art. 12(3)); the deadline can be extended once by two further months.
+-- steps records the outcome per table so each request can be audited afterwards.
+-- Export archives are stored in the private data-exports bucket under the user's folder.
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- No foreign key: the request record has to outlive the erased account
+    user_id UUID NOT NULL,
+    request_type TEXT NOT NULL CHECK (request_type IN ('export', 'erasure')),
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'rejected')),
+    categories TEXT[] NOT NULL DEFAULT '{}', -- Empty means every category
+    requested_by UUID,
+    requested_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    due_at TIMESTAMPTZ NOT NULL,
+    extended_at TIMESTAMPTZ,
+    extension_reason TEXT,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    steps JSONB NOT NULL DEFAULT '[]',
+    archive_path TEXT,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One open request per user and type; repeated submissions return the open one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_subject_requests_open
+    ON data_subject_requests(user_id, request_type)
+    WHERE status IN ('pending', 'processing', 'failed');
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_user ON data_subject_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_due ON data_subject_requests(status, due_at);
+
+CREATE TRIGGER update_data_subject_requests_modtime
+    BEFORE UPDATE ON data_subject_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE data_subject_requests ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Requests are processed by the privacy API with the service role
+CREATE POLICY "Service role manages data subject requests" ON data_subject_requests
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Policy: Users can follow their own requests
+CREATE POLICY "Users can view their data subject requests" ON data_subject_requests
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Policy: Admins track deadlines and extend them
+CREATE POLICY "Admins manage data subject requests" ON data_subject_requests
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'));
+
+-- Private bucket for export archives, written by the service role
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('data-exports', 'data-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can download their data exports" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'data-exports' AND
+        auth.uid()::text = (storage.foldername(name))[1]
+    );
+
+COMMENT ON TABLE data_subject_requests IS 'GDPR export and erasure requests with deadlines and per-table outcomes';
+COMMENT ON COLUMN data_subject_requests.steps IS 'Per-table results: table, category, action, rows, status, error';
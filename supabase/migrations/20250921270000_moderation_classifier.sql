@@ -0,0 +1,82 @@
+-- Moderation classifier
+-- Per-category thresholds for the content classifier (harassment, hate, sexual,
+-- spam, scam, off-platform payment), moderator decisions kept as training labels,
+-- and the models retrained from them. The active model is loaded by the app in
+-- place of the bundled one.
+
+CREATE TABLE IF NOT EXISTS moderation_settings (
+    id TEXT PRIMARY KEY DEFAULT 'default',
+    thresholds JSONB NOT NULL DEFAULT '{}', -- category -> score from which content is flagged
+    auto_block_threshold DECIMAL(3,2) NOT NULL DEFAULT 0.95,
+    updated_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS moderation_labels (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_id TEXT NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    queue_item_id UUID REFERENCES moderation_queue(id) ON DELETE SET NULL,
+    text TEXT NOT NULL,
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    labels TEXT[] NOT NULL DEFAULT '{}', -- Empty for approved content
+    predicted_scores JSONB NOT NULL DEFAULT '{}', -- Classifier scores when the decision was made
+    model_version TEXT,
+    moderator_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_labels_created ON moderation_labels(created_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_labels_content ON moderation_labels(content_id, content_type);
+
+CREATE TABLE IF NOT EXISTS moderation_models (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    version TEXT NOT NULL UNIQUE,
+    model JSONB NOT NULL,
+    metrics JSONB NOT NULL DEFAULT '{}', -- Precision and recall per category on moderator labels
+    example_count INTEGER NOT NULL DEFAULT 0,
+    label_count INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    trained_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    trained_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Only one model serves at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_moderation_models_active ON moderation_models(is_active) WHERE is_active;
+
+CREATE TRIGGER update_moderation_settings_modtime
+    BEFORE UPDATE ON moderation_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE moderation_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE moderation_labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE moderation_models ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Content is analyzed in the app, so signed-in users read thresholds and the active model
+CREATE POLICY "Authenticated users can read moderation settings" ON moderation_settings
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Authenticated users can read the active moderation model" ON moderation_models
+    FOR SELECT USING (auth.role() = 'authenticated' AND is_active);
+
+CREATE POLICY "Admins manage moderation settings" ON moderation_settings
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'));
+
+CREATE POLICY "Admins manage moderation labels" ON moderation_labels
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'));
+
+CREATE POLICY "Admins manage moderation models" ON moderation_models
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin'));
+
+INSERT INTO moderation_settings (id) VALUES ('default') ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE moderation_settings IS 'Per-category classifier thresholds and the auto-block threshold';
+COMMENT ON TABLE moderation_labels IS 'Moderator approve/reject decisions kept as labelled examples for retraining';
+COMMENT ON TABLE moderation_models IS 'Moderation classifier models retrained from the bundled data and moderator labels';
@@ -0,0 +1,43 @@
+-- Lock a booking's price quote and redeem its promo code together
+-- The quote is only written while the booking is unlocked, and the promo code is
+-- redeemed in the same transaction. A lost race returns the quote that won, and a
+-- code that ran out since quoting leaves neither the lock nor a redemption behind.
+
+CREATE OR REPLACE FUNCTION lock_booking_price_quote(
+    p_booking_id UUID,
+    p_quote JSONB,
+    p_total_amount DECIMAL(10, 2),
+    p_currency TEXT,
+    p_locked_at TIMESTAMPTZ DEFAULT NOW(),
+    p_promo_code TEXT DEFAULT NULL,
+    p_discount_amount INTEGER DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+    booking_row bookings%ROWTYPE;
+BEGIN
+    SELECT * INTO booking_row FROM bookings WHERE id = p_booking_id FOR UPDATE;
+    IF NOT FOUND OR (booking_row.user_id IS DISTINCT FROM auth.uid() AND auth.role() <> 'service_role') THEN
+        RAISE EXCEPTION 'BOOKING_NOT_FOUND';
+    END IF;
+    IF booking_row.price_locked_at IS NOT NULL THEN
+        RETURN booking_row.price_quote;
+    END IF;
+
+    UPDATE bookings SET
+        price_quote = p_quote,
+        price_locked_at = p_locked_at,
+        total_amount = p_total_amount,
+        currency = upper(p_currency),
+        updated_at = NOW()
+    WHERE id = p_booking_id;
+
+    -- Raises on an exhausted or ineligible code, which rolls the lock back too
+    IF p_promo_code IS NOT NULL THEN
+        PERFORM redeem_promo_code(p_promo_code, p_booking_id, p_discount_amount, p_currency);
+    END IF;
+
+    RETURN p_quote;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION lock_booking_price_quote(UUID, JSONB, DECIMAL, TEXT, TIMESTAMPTZ, TEXT, INTEGER) TO authenticated, service_role;
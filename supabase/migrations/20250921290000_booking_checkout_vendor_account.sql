@@ -0,0 +1,25 @@
+-- Vendor payout account for a booking's checkout
+-- Travelers can't read vendor_stripe_accounts, but checkout needs the account the
+-- payment is transferred to. This returns it for the traveler who owns the booking.
+
+CREATE OR REPLACE FUNCTION get_booking_vendor_account(p_booking_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+    booking_row bookings%ROWTYPE;
+    account_id TEXT;
+BEGIN
+    SELECT * INTO booking_row FROM bookings WHERE id = p_booking_id;
+    IF NOT FOUND OR (booking_row.user_id IS DISTINCT FROM auth.uid() AND auth.role() <> 'service_role') THEN
+        RAISE EXCEPTION 'BOOKING_NOT_FOUND';
+    END IF;
+
+    SELECT stripe_account_id INTO account_id FROM vendor_stripe_accounts
+    WHERE vendor_id = booking_row.vendor_id AND status = 'active'
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    RETURN account_id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_booking_vendor_account(UUID) TO authenticated, service_role;